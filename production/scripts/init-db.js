@@ -1,4 +1,4 @@
-// The SQLite store creates tables on first require; this script is a no-op initializer.
+// Requiring the SQLite store applies any pending schema migrations; see scripts/migrate.js for manual control.
 require('dotenv').config();
 require('../src/utils/store_sqlite');
 console.log('[init] Database ready.');
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Schema migration CLI
+ *
+ * Usage:
+ *   node scripts/migrate.js up [version]   Apply pending migrations (optionally up to a version)
+ *   node scripts/migrate.js down [steps]   Roll back the last N applied migrations (default 1)
+ *   node scripts/migrate.js status         List migrations and whether they are applied
+ *
+ * Uses the same environment-specific database file as the bot (NODE_ENV).
+ */
+
+require('dotenv').config();
+
+// Keep the store from auto-applying migrations so status/down see the real state
+process.env.DB_AUTO_MIGRATE = 'false';
+
+const { db, getDatabasePath } = require('../src/utils/store_sqlite');
+const { migrate, rollback, status } = require('../src/utils/migrations');
+
+function parseCount(value, name) {
+  if (value === undefined) return undefined;
+  const n = parseInt(value, 10);
+  if (!Number.isInteger(n) || n < 1) {
+    throw new Error(`${name} must be a positive integer, got "${value}"`);
+  }
+  return n;
+}
+
+function printStatus() {
+  const rows = status(db);
+  console.log(`[migrate] Database: ${getDatabasePath()}`);
+  for (const row of rows) {
+    const version = String(row.version).padStart(3, '0');
+    const state = row.appliedAt ? `applied ${new Date(row.appliedAt).toISOString()}` : 'pending';
+    console.log(`  ${version}_${row.name.padEnd(24)} ${state}`);
+  }
+  const pending = rows.filter(r => !r.appliedAt).length;
+  console.log(`[migrate] ${rows.length - pending} applied, ${pending} pending`);
+}
+
+function main() {
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const to = parseCount(arg, 'version');
+      const applied = migrate(db, { to });
+      console.log(`[migrate] ${applied.length} migration(s) applied`);
+      break;
+    }
+    case 'down': {
+      const steps = parseCount(arg, 'steps') || 1;
+      const rolledBack = rollback(db, { steps });
+      console.log(`[migrate] ${rolledBack.length} migration(s) rolled back`);
+      break;
+    }
+    case 'status':
+      printStatus();
+      break;
+    default:
+      console.error(`Unknown command "${command}". Use: up [version] | down [steps] | status`);
+      process.exitCode = 1;
+  }
+}
+
+try {
+  main();
+} catch (e) {
+  console.error('[migrate] Failed:', e.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -57,7 +57,7 @@ module.exports = {
           },
           {
             name: '🚀 **Quick Start Guide**',
-            value: '• `/travel <server>` - Begin exploring for travel achievements\
+            value: '• `/travel to <server>` - Begin exploring for travel achievements\
 • `/boss attack` - Fight for combat milestones\
 • `/craft` - Create items for crafting goals\
 • `/gems daily` - Maintain login streaks',
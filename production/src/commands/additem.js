@@ -1,12 +1,12 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const { db } = require('../utils/store_sqlite');
-const config = require('../utils/config');
+const { allItems } = require('../utils/items');
 const { isStaffOrDev, getUserPrefix } = require('../utils/roles');
 const { fetchRoleLevel } = require('../web/util');
 const logger = require('../utils/logger');
 
 function findItemByIdOrName(q){
-  const items = config.items || [];
+  const items = allItems();
   return items.find(i => i.id === q) || items.find(i => i.name.toLowerCase() === q.toLowerCase());
 }
 
@@ -33,7 +33,7 @@ module.exports = {
     const focused = interaction.options.getFocused(true);
     if (focused.name !== 'item') return;
     const q = String(focused.value||'').toLowerCase();
-    const items = (config.items || []).filter(i =>
+    const items = allItems().filter(i =>
       i.id.includes(q) || i.name.toLowerCase().includes(q)
     ).slice(0, 25);
     await interaction.respond(items.map(i => ({
@@ -1,34 +1,9 @@
 const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } = require('discord.js');
-const { db } = require('../utils/store_sqlite');
-const config = require('../utils/config');
 const { getUserPrefix, isStaffOrDev } = require('../utils/roles');
+const { biomeList, biomeLabel, ensureServerBiome, changeBiome, BIOME_CHANGE_COST } = require('../utils/server_admin');
 
-function canonicalList(){
-  const arr = Array.isArray(config.biomes) && config.biomes.length ? config.biomes : [
-    'Volcanic','Ruins','Swamp','Water','Forest','Ice','Meadow','Mountain'
-  ];
-  return arr;
-}
-function biomeLabel(val){
-  if (val == null) return 'Unknown';
-  const arr = canonicalList();
-  const lc = String(val).trim().toLowerCase();
-  if (/^\d+$/.test(lc)){
-    const n = parseInt(lc, 10);
-    if (n >= 0 && n < arr.length) return arr[n];
-    if (n >= 1 && n <= arr.length) return arr[n-1];
-  }
-  for (const name of arr){
-    if (name.toLowerCase() === lc) return name;
-  }
-  return lc.charAt(0).toUpperCase() + lc.slice(1);
-}
-function normalize(b){
-  if (!b) return null;
-  return String(b).trim().toLowerCase();
-}
 function choices(){
-  return canonicalList().map(v=>({ name: v, value: v.toLowerCase() }));
+  return biomeList().map(v=>({ name: v, value: v.toLowerCase() }));
 }
 async function canChange(interaction){
   try{
@@ -63,14 +38,7 @@ module.exports = {
     const sub = interaction.options.getSubcommand();
 
     // Ensure default biome & tokens exist
-    let s = db.prepare('SELECT biome, tokens FROM servers WHERE guildId=?').get(interaction.guild.id) || {};
-    if (!s.biome){
-      const arr = choices().map(c=>c.value);
-      const pick = arr[Math.floor(Math.random()*arr.length)];
-      db.prepare('UPDATE servers SET biome=?, tokens=COALESCE(tokens, 1) WHERE guildId=?')
-        .run(pick, interaction.guild.id);
-      s = { biome: pick, tokens: 1 };
-    }
+    const s = ensureServerBiome(interaction.guild.id) || {};
 
     if (sub === 'current'){
       const biomeName = biomeLabel(s.biome);
@@ -120,13 +88,13 @@ module.exports = {
           },
           {
             name: '🔄 **Change Biome**',
-            value: `Use \`/biome change\` to transform your server\nCost: 1 token per change`,
+            value: `Use \`/biome change\` to transform your server\nCost: ${BIOME_CHANGE_COST} token per change`,
             inline: true
           }
         )
         .addFields({
           name: '🌟 **Available Biomes**',
-          value: canonicalList().map(b => `${biomeEmojis[b.toLowerCase()] || '🌍'} **${b}**`).join(' • '),
+          value: biomeList().map(b => `${biomeEmojis[b.toLowerCase()] || '🌍'} **${b}**`).join(' • '),
           inline: false
         })
         .setFooter({ 
@@ -161,8 +129,9 @@ module.exports = {
         return interaction.reply({ embeds: [permissionEmbed], ephemeral: true });
       }
       
-      const tokens = (s.tokens ?? 0);
-      if (tokens <= 0){
+      const result = changeBiome(interaction.guild.id, interaction.options.getString('to'), interaction.user.id);
+      if (!result.ok && result.reason === 'insufficient_tokens'){
+        const tokens = result.tokens;
         const noTokensEmbed = new EmbedBuilder()
           .setTitle('🪙❌ **INSUFFICIENT TOKENS** ❌🪙')
           .setDescription('Your server needs tokens to change biomes')
@@ -179,7 +148,7 @@ module.exports = {
             },
             {
               name: '💸 **Cost**',
-              value: `**1** token per change`,
+              value: `**${BIOME_CHANGE_COST}** token per change`,
               inline: true
             },
             {
@@ -196,17 +165,17 @@ module.exports = {
         return interaction.reply({ embeds: [noTokensEmbed], ephemeral: true });
       }
       
-      const to = normalize(interaction.options.getString('to'));
-      const valid = new Set(choices().map(c=>c.value));
-      if (!valid.has(to)){
+      if (result.reason === 'same_biome'){
+        return interaction.reply({ content: `${userPrefix} Your server is already a **${result.biome}** biome.`, ephemeral: true });
+      }
+      if (!result.ok){
         return interaction.reply({ content: `${userPrefix} That biome is not valid.`, ephemeral: true });
       }
       
-      const oldBiome = biomeLabel(s.biome);
+      const { to } = result;
+      const oldBiome = biomeLabel(result.from);
       const newBiome = biomeLabel(to);
-      
-      db.prepare('UPDATE servers SET biome=?, tokens = tokens - 1 WHERE guildId=?').run(to, interaction.guild.id);
-      const left = db.prepare('SELECT tokens FROM servers WHERE guildId=?').get(interaction.guild.id)?.tokens ?? 0;
+      const left = result.tokens;
       
       const biomeEmojis = {
         'volcanic': '🌋',
@@ -219,7 +188,7 @@ module.exports = {
         'mountain': '⛰️'
       };
       
-      const oldEmoji = biomeEmojis[s.biome] || '🌍';
+      const oldEmoji = biomeEmojis[result.from] || '🌍';
       const newEmoji = biomeEmojis[to] || '🌍';
       
       const successEmbed = new EmbedBuilder()
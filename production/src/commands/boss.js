@@ -4,12 +4,18 @@ const config = require('../utils/config');
 const { getUserPrefix, isStaffOrDev, isPremium } = require('../utils/roles');
 const { isBanned, regenStamina } = require('./_guard');
 const logger = require('../utils/logger');
-const { itemById, rarityMult, pickLootByTier } = require('../utils/items');
+const { rarityMult, pickLootByTier } = require('../utils/items');
 const { awardBossParticipationGems } = require('../utils/gems');
 const { checkBossAchievements } = require('../utils/achievements');
+const { pickBossDefinition, genericDefinition, initialEncounterState, resolveBossAttack, describeEncounter } = require('../utils/boss_encounters');
+const { getPartyForUser, getParty, partyBossDamage, splitPartyLoot, LOOT_MODES } = require('../utils/party');
+const { recordBossDamage, clanSettings } = require('../utils/clans');
+const { equippedGear, effectiveAttackBonus, applyWear, gearName, gearSettings, grantItem } = require('../utils/gear');
+const { affixBonus } = require('../utils/affixes');
+const { dispatch } = require('../utils/notifications');
+const { emitGameEvent } = require('../utils/game_events');
 
 const BOSS_FIGHTER_ROLE_ID = '1411043105830076497';
-const BOSS_NOTIFICATION_CHANNEL_ID = '1411045103921004554';
 
 function choose(arr) {
   return arr[Math.floor(Math.random() * arr.length)];
@@ -37,22 +43,6 @@ function randomTier() {
   return weighted[Math.floor(Math.random() * weighted.length)] || 1;
 }
 
-/**
- * Retrieves the player's currently equipped weapon from the database
- * Used to calculate attack damage and display weapon info in embeds
- * 
- * @param {string} userId - Discord user ID to check equipment for
- * @returns {Object|null} Weapon item object with stats or null if no weapon equipped
- */
-function equippedWeapon(userId) {
-  // Query database for equipped weapon in the 'weapon' slot
-  const row = db.prepare('SELECT itemId FROM equipment WHERE userId=? AND slot=?').get(userId, 'weapon');
-  if (!row) return null;
-  // Fetch full item details from items system
-  const it = itemById(row.itemId);
-  return it || null;
-}
-
 /**
  * Assigns the boss fighter role to a user when they participate in boss battles
  * This role is used for notifications and to track active boss participants
@@ -134,8 +124,9 @@ async function removeBossFighterRole(client, userId, guildId) {
 }
 
 /**
- * Sends a cross-server notification when a boss spawns
- * Posts to a dedicated Discord channel to alert all players network-wide
+ * Sends a cross-server notification when a boss is spawned with /boss spawn
+ * Posts to the network boss channel and every server subscribed to boss
+ * alerts for this tier (see utils/notifications)
  * 
  * @param {Client} client - Discord client for channel access
  * @param {Object} bossData - Boss information (name, tier, HP, etc.)
@@ -144,13 +135,6 @@ async function removeBossFighterRole(client, userId, guildId) {
  */
 async function sendBossSpawnNotification(client, bossData, serverData, spawnerUser) {
   try {
-    // Fetch the dedicated boss notification channel
-    const channel = await client.channels.fetch(BOSS_NOTIFICATION_CHANNEL_ID);
-    if (!channel) {
-      console.warn('[boss] Boss notification channel not found:', BOSS_NOTIFICATION_CHANNEL_ID);
-      return;
-    }
-    
     const tierEmojis = {
       1: '🟠', 2: '🟡', 3: '🔴', 4: '🟣', 5: '⚫'
     };
@@ -186,10 +170,13 @@ async function sendBossSpawnNotification(client, bossData, serverData, spawnerUs
       })
       .setTimestamp();
     
-    // Note: Boss spawn notifications are now handled by the automatic boss_spawner.js system
-    // to avoid duplicate notifications. Manual boss spawns will rely on the spawner's notification.
+    // Manual spawns do not go through boss_spawner.js, so they are announced here
+    const sent = await dispatch(client, 'boss', {
+      content: '🔥 NEW BOSS ALERT 🔥',
+      embeds: [spawnEmbed]
+    }, { tier: bossData.tier });
 
-    logger.info('boss_notification: Boss spawned manually for %s (tier %s) in %s - notification handled by boss_spawner.js', bossData.name, bossData.tier, serverData.guildId);
+    logger.info('boss_notification: Boss spawned manually for %s (tier %s) in %s - sent to %s channel(s)', bossData.name, bossData.tier, serverData.guildId, sent.length);
   } catch (error) {
     console.warn('[boss] Failed to send boss spawn notification:', error.message);
   }
@@ -197,7 +184,8 @@ async function sendBossSpawnNotification(client, bossData, serverData, spawnerUs
 
 /**
  * Sends a cross-server notification when a boss is defeated
- * Celebrates victory and shows battle statistics to the entire network
+ * Celebrates victory and shows battle statistics to the network boss channel
+ * and every server subscribed to boss alerts for this tier
  * 
  * @param {Client} client - Discord client for channel access
  * @param {Object} bossData - Defeated boss information
@@ -207,10 +195,6 @@ async function sendBossSpawnNotification(client, bossData, serverData, spawnerUs
  */
 async function sendBossDefeatNotification(client, bossData, serverData, participants, battleDuration) {
   try {
-    // Fetch the dedicated boss notification channel
-    const channel = await client.channels.fetch(BOSS_NOTIFICATION_CHANNEL_ID);
-    if (!channel) return;
-    
     const tierEmojis = {
       1: '🟠', 2: '🟡', 3: '🔴', 4: '🟣', 5: '⚫'
     };
@@ -263,18 +247,19 @@ async function sendBossDefeatNotification(client, bossData, serverData, particip
       })
       .setTimestamp();
     
-    const message = await channel.send({ 
+    const messages = await dispatch(client, 'boss', { 
       embeds: [victoryEmbed],
       content: `🎉 **VICTORY!** The **Tier ${bossData.tier} ${bossData.name}** has been defeated! 🎉`
-    });
+    }, { tier: bossData.tier });
     
     // Add victory reactions
-    await message.react('🎉');
-    await message.react('🏆');
-    await message.react('⚔️');
-    await message.react('💰');
+    for (const message of messages) {
+      for (const emoji of ['🎉', '🏆', '⚔️', '💰']) {
+        await message.react(emoji).catch(() => {});
+      }
+    }
     
-    logger.info('boss_notification: Sent defeat notification for %s (tier %s) with %s participants', bossData.name, bossData.tier, participants.length);
+    logger.info('boss_notification: Sent defeat notification for %s (tier %s) with %s participants to %s channel(s)', bossData.name, bossData.tier, participants.length, messages.length);
   } catch (error) {
     console.warn('[boss] Failed to send boss defeat notification:', error.message);
   }
@@ -359,13 +344,29 @@ module.exports = {
       if (targetServer.lastBossAt && now - targetServer.lastBossAt < cd) {
         return interaction.reply({ content: `${userPrefix} Target server is on boss cooldown.`, flags: 64 });
       }
-      const name = nameForBiome(targetServer.biome);
+      const definition = pickBossDefinition(targetServer.biome) || genericDefinition(nameForBiome(targetServer.biome));
+      const name = definition.name;
       const tier = randomTier();
-      const hp = Math.floor((config.boss?.baseHp || 2000) * (1 + (tier - 1) * 0.2));
+      const hp = Math.floor((config.boss?.baseHp || 2000) * (1 + (tier - 1) * 0.2) * (definition.hpMultiplier || 1));
       const expires = now + (config.boss?.ttlSeconds || 3600) * 1000;
-      db.prepare('INSERT INTO bosses(guildId, name, maxHp, hp, startedAt, expiresAt, active, tier) VALUES(?,?,?,?,?,?,1,?)').run(targetServer.guildId, name, hp, hp, now, expires, tier);
+      const encounter = initialEncounterState(definition);
+      const spawned = db.prepare(`INSERT INTO bosses(guildId, name, maxHp, hp, startedAt, expiresAt, active, tier, definitionId, phase, nextAbility, abilityCountdown, effects, enraged)
+                  VALUES(?,?,?,?,?,?,1,?,?,?,?,?,?,?)`)
+        .run(targetServer.guildId, name, hp, hp, now, expires, tier,
+          encounter.definitionId, encounter.phase, encounter.nextAbility, encounter.abilityCountdown, encounter.effects, encounter.enraged);
       db.prepare('UPDATE servers SET lastBossAt=? WHERE guildId=?').run(now, targetServer.guildId);
-      logger.info('boss_spawn: %s in %s name=%s hp=%s', userId, targetServer.guildId, name, hp);
+      logger.info('boss_spawn: %s in %s name=%s hp=%s definition=%s', userId, targetServer.guildId, name, hp, definition.id || 'generic');
+      emitGameEvent('boss.spawned', {
+        bossId: Number(spawned.lastInsertRowid),
+        guildId: targetServer.guildId,
+        serverName: targetServer.name || null,
+        name,
+        tier,
+        maxHp: hp,
+        startedAt: now,
+        expiresAt: expires,
+        manual: true
+      }, { guildId: targetServer.guildId });
       
       const spawnEmbed = new EmbedBuilder()
         .setTitle('Boss Spawned')
@@ -378,7 +379,7 @@ module.exports = {
         .addFields(
           {
             name: 'Boss',
-            value: `${name}\nTier ${tier}`,
+            value: `${name}\nTier ${tier} • ${definition.phases.length} phase${definition.phases.length === 1 ? '' : 's'}`,
             inline: true
           },
           {
@@ -521,18 +522,34 @@ module.exports = {
         return interaction.reply({ embeds: [vanishedEmbed] });
       }
       
-      const eq = equippedWeapon(userId);
+      const eq = equippedGear(userId, 'weapon');
       const timeLeft = Math.ceil((boss.expiresAt - Date.now()) / 1000);
       const timeDisplay = timeLeft >= 60 ? `${Math.floor(timeLeft / 60)}m ${timeLeft % 60}s` : `${timeLeft}s`;
       const healthPercent = Math.round((boss.hp / boss.maxHp) * 100);
+      const encounter = describeEncounter(boss);
       
       let healthBar = '';
       const barLength = 20;
       const filledBars = Math.floor((boss.hp / boss.maxHp) * barLength);
       healthBar = '█'.repeat(filledBars) + '░'.repeat(barLength - filledBars);
       
+      // Phase, telegraphed ability, active defences and enrage state
+      const phaseLines = [
+        `**Phase ${encounter.phase.index + 1}/${encounter.phase.total}:** ${encounter.phase.name}`,
+        encounter.nextPhaseAtPct != null ? `Next phase at ${encounter.nextPhaseAtPct}% HP` : 'Final phase'
+      ];
+      const telegraph = encounter.nextAbility
+        ? `${encounter.nextAbility.emoji} **${encounter.nextAbility.name}** in ${encounter.nextAbility.inAttacks} attack${encounter.nextAbility.inAttacks === 1 ? '' : 's'}${encounter.nextAbility.description ? `\n*${encounter.nextAbility.description}*` : ''}`
+        : 'No abilities telegraphed';
+      const effectLines = [];
+      if (encounter.effects.shield) effectLines.push(`🛡️ ${encounter.effects.shield.name}: -${Math.round(encounter.effects.shield.reduction * 100)}% damage, ends <t:${Math.floor(encounter.effects.shield.until / 1000)}:R>`);
+      if (encounter.effects.reflect) effectLines.push(`🪞 ${encounter.effects.reflect.name}: reflects ${Math.round(encounter.effects.reflect.pct * 100)}%, ends <t:${Math.floor(encounter.effects.reflect.until / 1000)}:R>`);
+      const enrageLine = encounter.enraged
+        ? '😡 **ENRAGED** - abilities and counterattacks hit harder!'
+        : `Enrages <t:${Math.floor(encounter.enrageAt / 1000)}:R>`;
+
       const statusEmbed = new EmbedBuilder()
-        .setTitle(`👹 ${boss.name}`)
+        .setTitle(`👹 ${boss.name}${encounter.enraged ? ' 😡' : ''}`)
         .setDescription(`Tier ${boss.tier||1} Boss Battle`)
         .setColor(healthPercent > 75 ? 0xFF0000 : healthPercent > 50 ? 0xFF8C00 : healthPercent > 25 ? 0xFFD700 : 0x00FF00)
         .setAuthor({ 
@@ -557,8 +574,23 @@ module.exports = {
           },
           {
             name: '⚔️ **Your Weapon**',
-            value: eq ? `**${eq.name}**\n💎 ${eq.rarity} quality` : '**None Equipped**\n⚠️ Equip a weapon!',
+            value: eq ? `**${gearName(eq.item, eq.instance)}**\n💎 ${eq.item.rarity} quality${eq.instance ? `\n🔧 ${eq.instance.durability}/${eq.instance.maxDurability}${eq.broken ? ' - **Broken!**' : ''}` : ''}` : '**None Equipped**\n⚠️ Equip a weapon!',
+            inline: true
+          },
+          {
+            name: '🌀 **Phase**',
+            value: phaseLines.join('\n'),
+            inline: true
+          },
+          {
+            name: '📣 **Next Ability**',
+            value: telegraph,
             inline: true
+          },
+          {
+            name: '🔥 **Boss State**',
+            value: [...effectLines, enrageLine].join('\n'),
+            inline: false
           }
         )
         .addFields({
@@ -584,12 +616,16 @@ module.exports = {
         db.prepare('UPDATE bosses SET active=0 WHERE id=?').run(boss.id);
         return interaction.reply(`${userPrefix} The boss has vanished.`);
       }
-      const weapon = equippedWeapon(userId);
+      // Broken weapons fight like bare fists; upgrade levels multiply attackBonus
+      const weaponGear = equippedGear(userId, 'weapon');
+      const weapon = weaponGear && !weaponGear.broken ? weaponGear.item : null;
       const rarity = weapon?.rarity || 'common';
       const rarityMul = rarityMult(rarity);
-      const attackBonus = weapon?.attackBonus || 1.0;
+      const attackBonus = effectiveAttackBonus(weaponGear);
       let dmg = Math.floor(Math.random() * 150) + 50;
       dmg = Math.floor(dmg * rarityMul * attackBonus);
+      // Boss damage affixes on equipped gear
+      dmg = Math.floor(dmg * (1 + affixBonus(userId, 'bossDamagePct') / 100));
 
       const p = db.prepare('SELECT health, stamina FROM players WHERE userId=?').get(userId) || { health: 100, stamina: 100 };
       const stamina = p.stamina;
@@ -607,30 +643,23 @@ module.exports = {
       // Assign boss fighter role
       await assignBossFighterRole(interaction, userId);
 
-      db.prepare('UPDATE bosses SET hp=MAX(hp-?,0) WHERE id=?').run(dmg, boss.id);
-      const current = db.prepare('SELECT hp FROM bosses WHERE id=?').get(boss.id).hp;
-      
-      // Boss counterattacks if still alive
-      if (current > 0) {
-        const ctr = (config.boss?.counterDamage) || { min: 5, max: 30 };
-        const min = Math.max(0, parseInt(ctr.min ?? 5, 10));
-        const max = Math.max(min, parseInt(ctr.max ?? 30, 10));
-        const bossDmg = Math.floor(Math.random() * (max - min + 1)) + min;
-        const rowhp = db.prepare('SELECT health FROM players WHERE userId=?').get(userId) || { health: 100 };
-        const newHp = Math.max(0, (rowhp.health ?? 100) - bossDmg);
-        db.prepare('UPDATE players SET health=? WHERE userId=?').run(newHp, userId);
-        try { 
-          await interaction.followUp(`It strikes back! You take **${bossDmg}** damage (HP **${newHp}**).`); 
-        } catch (e) {
-          // Silently handle follow-up errors
-        }
-      }
+      // Resolve the hit against the boss's phase, shields, reflection and abilities
+      const outcome = resolveBossAttack(boss.id, userId, dmg);
+      const rawDmg = dmg;
+      dmg = outcome.damage;
+      const current = outcome.hp;
+      // Damage counts toward the attacker's current party, if any
+      const party = getPartyForUser(userId);
       const cur = db.prepare('SELECT damage FROM boss_participants WHERE bossId=? AND userId=?').get(boss.id, userId);
       if (!cur) {
-        db.prepare('INSERT INTO boss_participants(bossId, userId, damage) VALUES(?,?,?)').run(boss.id, userId, dmg);
+        db.prepare('INSERT INTO boss_participants(bossId, userId, damage, partyId) VALUES(?,?,?,?)').run(boss.id, userId, dmg, party?.id ?? null);
       } else {
-        db.prepare('UPDATE boss_participants SET damage=damage+? WHERE bossId=? AND userId=?').run(dmg, boss.id, userId);
+        db.prepare('UPDATE boss_participants SET damage=damage+?, partyId=? WHERE bossId=? AND userId=?').run(dmg, party?.id ?? null, boss.id, userId);
       }
+      // Damage also counts toward the attacker's clan claim on this server
+      const clanProgress = recordBossDamage(userId, boss.guildId, dmg);
+      // Every swing wears the weapon down
+      const worn = applyWear(userId, ['weapon'], gearSettings().wear.bossAttack)[0];
       
       // Track battle analytics
       try {
@@ -645,8 +674,8 @@ module.exports = {
       // Update challenge progress (avoid circular dependency)
       try {
         const challenges = require('../utils/challenges');
-        challenges.updateChallengeProgress(userId, 'boss_damage', dmg);
-        challenges.updateChallengeProgress(userId, 'boss_fight', 1);
+        challenges.updateChallengeProgress(userId, 'boss_damage', dmg, { guildId: boss.guildId, tier: boss.tier || 1, eventId: boss.eventId || null });
+        challenges.updateChallengeProgress(userId, 'boss_fight', 1, { guildId: boss.guildId, tier: boss.tier || 1, eventId: boss.eventId || null });
       } catch (e) {
         console.warn('[boss] Failed to update challenge progress:', e.message);
       }
@@ -658,7 +687,7 @@ module.exports = {
         console.warn('[boss] Failed to award participation gems:', e.message);
       }
       
-      logger.info('boss_attack: user %s dmg=%s weapon=%s', userId, dmg, weapon?.id);
+      logger.info('boss_attack: user %s dmg=%s weapon=%s phase=%s ability=%s', userId, dmg, weapon?.id, outcome.phase.index, outcome.ability?.id || 'none');
 
       if (current <= 0) {
         db.prepare('UPDATE bosses SET active=0 WHERE id=?').run(boss.id);
@@ -671,16 +700,39 @@ module.exports = {
           console.warn('[boss] Failed to record boss defeat for spawning system:', error.message);
         }
         const parts = db.prepare('SELECT * FROM boss_participants WHERE bossId=?').all(boss.id);
+
+        // 3-5 rolls per participant using tiered rarity, avoid premiumNeeded for non-premium users
+        const loot = {};
+        const premiumByUser = {};
         for (const part of parts) {
-          const prem = await isPremium(interaction.client, part.userId);
-          // 3-5 rolls per participant using tiered rarity, avoid premiumNeeded for non-premium users
+          premiumByUser[part.userId] = await isPremium(interaction.client, part.userId);
           const numRolls = 3 + Math.floor(Math.random() * 3); // 3-5 items
+          loot[part.userId] = [];
           for (let i = 0; i < numRolls; i++) {
-            const lootId = pickLootByTier(boss.tier || 1, prem);
-            if (!lootId) continue;
-            const existing = db.prepare('SELECT qty FROM inventory WHERE userId=? AND itemId=?').get(part.userId, lootId);
-            if (!existing) db.prepare('INSERT INTO inventory(userId,itemId,qty) VALUES(?,?,?)').run(part.userId, lootId, 1);
-            else db.prepare('UPDATE inventory SET qty=qty+1 WHERE userId=? AND itemId=?').run(part.userId, lootId);
+            const lootId = pickLootByTier(boss.tier || 1, premiumByUser[part.userId]);
+            if (lootId) loot[part.userId].push(lootId);
+          }
+        }
+
+        // Party members pool their rolls and split them by the party's loot mode
+        const partyGroups = {};
+        for (const part of parts) {
+          if (part.partyId) (partyGroups[part.partyId] = partyGroups[part.partyId] || []).push(part);
+        }
+        const partySummaries = [];
+        for (const [partyId, members] of Object.entries(partyGroups)) {
+          const lootParty = getParty(partyId);
+          if (!lootParty || members.length < 2) continue;
+          const pool = members.flatMap(m => loot[m.userId]);
+          const split = splitPartyLoot(lootParty, members.map(m => ({ userId: m.userId, damage: m.damage, premium: premiumByUser[m.userId] })), pool);
+          Object.assign(loot, split);
+          partySummaries.push(`**${lootParty.name}** - ${members.reduce((sum, m) => sum + m.damage, 0).toLocaleString()} damage, ${pool.length} items (${LOOT_MODES[lootParty.lootMode]})`);
+        }
+
+        for (const part of parts) {
+          // Gear drops roll affixes at the boss's tier
+          for (const lootId of loot[part.userId] || []) {
+            grantItem(part.userId, lootId, 1, { tier: boss.tier || 1, source: 'boss' });
           }
           db.prepare('UPDATE players SET drakari=drakari+?, bossKills=COALESCE(bossKills,0)+1 WHERE userId=?').run(50 * (boss.tier || 1), part.userId);
           
@@ -693,6 +745,14 @@ module.exports = {
           } catch (e) {
             console.warn('[boss] Failed to check achievements for user:', part.userId, e.message);
           }
+
+          // Every participant counts the defeat toward challenges and quests
+          try {
+            const challenges = require('../utils/challenges');
+            challenges.updateChallengeProgress(part.userId, 'boss_defeat', 1, { guildId: boss.guildId, tier: boss.tier || 1, eventId: boss.eventId || null });
+          } catch (e) {
+            console.warn('[boss] Failed to update defeat progress for user:', part.userId, e.message);
+          }
         }
         
         // Clean up boss fighter roles for all participants BEFORE deleting participation records
@@ -707,6 +767,18 @@ module.exports = {
         
         db.prepare('DELETE FROM boss_participants WHERE bossId=?').run(boss.id);
         logger.info('boss_defeat: %s participants=%s name=%s', location, parts.length, boss.name);
+        emitGameEvent('boss.defeated', {
+          bossId: boss.id,
+          guildId: location,
+          serverName: here?.name || null,
+          name: boss.name,
+          tier: boss.tier || 1,
+          maxHp: boss.maxHp,
+          durationMs: Date.now() - boss.startedAt,
+          participants: parts.length,
+          totalDamage: parts.reduce((sum, p) => sum + p.damage, 0),
+          topDamage: [...parts].sort((a, b) => b.damage - a.damage).slice(0, 3).map(p => ({ userId: p.userId, damage: p.damage }))
+        }, { guildId: location });
         
         // Also run global orphaned role cleanup to catch any other stale roles
         try {
@@ -752,6 +824,14 @@ module.exports = {
           })
           .setTimestamp();
 
+        if (partySummaries.length > 0) {
+          victoryEmbed.addFields({ name: 'Party Loot', value: partySummaries.join('\n'), inline: false });
+        }
+
+        if (clanProgress?.claimed) {
+          victoryEmbed.addFields({ name: 'Territory Claimed', value: `**[${clanProgress.clan.tag}] ${clanProgress.clan.name}** now holds ${here?.name || 'this server'}!`, inline: false });
+        }
+
         const victoryReply = await interaction.reply({ embeds: [victoryEmbed] });
         
         // Do slow operations AFTER replying
@@ -787,7 +867,22 @@ module.exports = {
         return;
       } else {
         const healthPercent = Math.round((current / boss.maxHp) * 100);
-        const weaponText = weapon ? `**${weapon.name}** (${weapon.rarity})` : 'bare fists';
+        const weaponText = weapon ? `**${gearName(weapon, weaponGear.instance)}** (${weapon.rarity})` : 'bare fists';
+
+        // Describe everything the boss did in response to this attack
+        const eventLines = [];
+        if (outcome.phaseChanged) eventLines.push(`🌀 **Phase ${outcome.phase.index + 1}/${outcome.phase.total}: ${outcome.phase.name}!**`);
+        if (outcome.newlyEnraged) eventLines.push('😡 **The boss is ENRAGED!**');
+        if (outcome.absorbed > 0) eventLines.push(`🛡️ Shield absorbed **${outcome.absorbed.toLocaleString()}** of your ${rawDmg.toLocaleString()} damage`);
+        if (outcome.ability) {
+          const a = outcome.ability;
+          if (a.type === 'aoe') eventLines.push(`${a.emoji} **${a.name}** hits all ${a.targets} fighters for **${a.damage}** damage!`);
+          if (a.type === 'shield') eventLines.push(`${a.emoji} **${a.name}** - incoming damage reduced by ${Math.round(a.reduction * 100)}% until <t:${Math.floor(a.until / 1000)}:T>`);
+          if (a.type === 'reflect') eventLines.push(`${a.emoji} **${a.name}** - ${Math.round(a.pct * 100)}% of damage reflected until <t:${Math.floor(a.until / 1000)}:T>`);
+        }
+        if (outcome.counter > 0) {
+          eventLines.push(`💥 It strikes back for **${outcome.counter}** damage${outcome.reflected > 0 ? ` (${outcome.reflected} reflected)` : ''} - your HP: **${outcome.playerHealth}**`);
+        }
         
         const attackEmbed = new EmbedBuilder()
           .setTitle('Attack Successful')
@@ -821,6 +916,39 @@ module.exports = {
           })
           .setTimestamp();
 
+        if (party) {
+          attackEmbed.addFields({
+            name: 'Party Damage',
+            value: `**${party.name}**: ${partyBossDamage(boss.id, party.id).toLocaleString()} total damage`,
+            inline: false
+          });
+        }
+
+        if (clanProgress) {
+          const threshold = clanSettings().claimThreshold;
+          attackEmbed.addFields({
+            name: clanProgress.claimed ? 'Territory Claimed' : 'Clan Territory',
+            value: clanProgress.claimed
+              ? `**[${clanProgress.clan.tag}] ${clanProgress.clan.name}** now holds ${here?.name || 'this server'}!`
+              : `**[${clanProgress.clan.tag}]** ${clanProgress.damage.toLocaleString()} damage here${clanProgress.damage < threshold ? ` (${threshold.toLocaleString()} needed to claim)` : ''}`,
+            inline: false
+          });
+        }
+
+        if (eventLines.length > 0) {
+          attackEmbed.addFields({ name: 'Boss Response', value: eventLines.join('\n'), inline: false });
+        }
+
+        if (worn && (worn.broke || worn.low)) {
+          attackEmbed.addFields({
+            name: worn.broke ? '🔧 Weapon Broken' : '🔧 Weapon Worn',
+            value: worn.broke
+              ? `**${gearName(worn.item, worn.instance)}** broke! It gives no bonus until you \`/gear repair\` it.`
+              : `**${gearName(worn.item, worn.instance)}** is at ${worn.instance.durability}/${worn.instance.maxDurability} durability.`,
+            inline: false
+          });
+        }
+
         return interaction.reply({ embeds: [attackEmbed] });
       }
     }
@@ -2,6 +2,7 @@ const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const { getUserPrefix } = require('../utils/roles');
 const { isBanned, regenStamina } = require('./_guard');
 const { getUserChallenges, getChallengeStats } = require('../utils/challenges');
+const { itemById } = require('../utils/items');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -28,6 +29,7 @@ module.exports = {
       const challenges = getUserChallenges(userId);
       const dailyChallenges = challenges.filter(c => c.type === 'daily');
       const weeklyChallenges = challenges.filter(c => c.type === 'weekly');
+      const eventChallenges = challenges.filter(c => c.type === 'event');
 
       const challengesEmbed = new EmbedBuilder()
         .setTitle('🎯⭐ **ACTIVE CHALLENGES** ⭐🎯')
@@ -90,6 +92,29 @@ module.exports = {
         });
       }
 
+      // Seasonal event challenges, one section per running event
+      const eventIds = [...new Set(eventChallenges.map(c => c.eventId))];
+      for (const eventId of eventIds) {
+        const list = eventChallenges.filter(c => c.eventId === eventId);
+        const eventText = list.map(challenge => {
+          const progress = Math.min(challenge.progress, challenge.target);
+          const percentage = Math.round((progress / challenge.target) * 100);
+          const progressBar = generateProgressBar(progress, challenge.target);
+          const status = challenge.completed ? '✅' : '⏳';
+
+          return `${status} **${challenge.name}**\n` +
+                 `📋 ${challenge.description}\n` +
+                 `${progressBar} ${progress.toLocaleString()}/${challenge.target.toLocaleString()} (${percentage}%)\n` +
+                 `🎁 Reward: ${describeEventReward(challenge)}`;
+        }).join('\n\n');
+
+        challengesEmbed.addFields({
+          name: `🎉 **${list[0].eventName}** (Ends <t:${Math.floor(list[0].endsAt / 1000)}:R>)`,
+          value: eventText,
+          inline: false
+        });
+      }
+
       if (challenges.length === 0) {
         challengesEmbed.addFields(
           {
@@ -128,7 +153,7 @@ module.exports = {
 
         challengesEmbed.addFields({
           name: '🎮 **Quick Activities**',
-          value: '• `/travel <server>` - Explore for travel challenges\
+          value: '• `/travel to <server>` - Explore for travel challenges\
 • `/boss` - Fight bosses for combat goals\
 • `/market search` - Trade items for merchant challenges\
 • `/craft` - Create items for crafting objectives',
@@ -275,9 +300,22 @@ function generateProgressBar(current, target, length = 10) {
   return `[${filled}${empty}]`;
 }
 
+function describeEventReward(challenge) {
+  const reward = challenge.reward || {};
+  const parts = [];
+  if (reward.currency) parts.push(`${reward.currency.toLocaleString()} ${challenge.currency.emoji} ${challenge.currency.name}`);
+  if (reward.gems) parts.push(`${reward.gems} gems`);
+  if (reward.drakari) parts.push(`${reward.drakari.toLocaleString()} drakari`);
+  if (reward.itemId) {
+    const item = itemById(reward.itemId);
+    parts.push(`${reward.qty || 1}x ${item ? item.name : reward.itemId}`);
+  }
+  return parts.join(' + ') || 'None';
+}
+
 function calculateTotalRewards(challenges) {
   return challenges.reduce((total, challenge) => {
-    return total + (challenge.completed ? 0 : challenge.reward.gems);
+    return total + (challenge.completed ? 0 : (challenge.reward?.gems || 0));
   }, 0);
 }
 
@@ -0,0 +1,273 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { db } = require('../utils/store_sqlite');
+const config = require('../utils/config');
+const { getUserPrefix } = require('../utils/roles');
+const { isBanned, regenStamina } = require('./_guard');
+const { itemById, itemByNameOrId } = require('../utils/items');
+const clans = require('../utils/clans');
+
+// Player-facing messages for failures reported by utils/clans
+const REASONS = {
+  already_in_clan: 'You are already in a clan. Leave it first with `/clan leave`.',
+  not_in_clan: 'You are not in a clan. Found one with `/clan create` or ask an officer for an invite.',
+  not_leader: 'Only the clan leader can do that.',
+  rank_too_low: 'Your rank is not high enough to do that.',
+  self: 'You cannot do that to yourself.',
+  target_in_clan: 'That player is already in a clan.',
+  target_not_member: 'That player is not in your clan.',
+  clan_full: 'The clan is full.',
+  no_invite: 'You have no pending clan invite.',
+  invalid_tag: 'Clan tags are 2-5 letters or numbers.',
+  invalid_name: 'Clan names are 3-32 letters, digits, spaces or \' . _ - and start with a letter or digit.',
+  name_taken: 'A clan with that name or tag already exists.',
+  invalid_rank: 'Unknown rank.',
+  invalid_amount: 'Enter a positive whole amount.',
+  not_enough_drakari: 'You do not have enough Drakari.',
+  unknown_item: 'Unknown item. Use the item ID or exact name.',
+  not_tradable: 'That item cannot be stored in a clan bank.',
+  not_enough_items: 'You do not have enough of that item.',
+  bank_short: 'The clan bank does not hold that much.',
+  limit_reached: 'That is over your rank\'s daily withdrawal limit.'
+};
+
+// How clan log actions are described in /clan log
+const LOG_LABELS = {
+  create: (e) => `<@${e.userId}> founded the clan`,
+  invite: (e) => `<@${e.userId}> invited <@${e.details}>`,
+  join: (e) => `<@${e.userId}> joined`,
+  leave: (e) => `<@${e.userId}> left${e.details ? ` (<@${e.details}> now leads)` : ''}`,
+  kick: (e) => `<@${e.userId}> removed <@${e.details}>`,
+  rank: (e) => {
+    const [targetId, rankId] = (e.details || '').split(':');
+    return `<@${e.userId}> made <@${targetId}> ${clans.rankById(rankId)?.name || rankId}`;
+  },
+  deposit_drakari: (e) => `<@${e.userId}> deposited ${e.amount.toLocaleString()} Drakari`,
+  withdraw_drakari: (e) => `<@${e.userId}> withdrew ${e.amount.toLocaleString()} Drakari`,
+  deposit_item: (e) => `<@${e.userId}> deposited ${e.amount}× ${itemById(e.itemId)?.name || e.itemId}`,
+  withdraw_item: (e) => `<@${e.userId}> withdrew ${e.amount}× ${itemById(e.itemId)?.name || e.itemId}`,
+  claim: (e) => `<@${e.userId}> claimed ${serverName(e.details)}`,
+  territory_lost: (e) => `Lost ${serverName(e.details)} to a rival clan`,
+  weekly_rank: (e) => `Finished #${e.details} on the weekly leaderboard (${e.amount.toLocaleString()} boss damage)`
+};
+
+/**
+ * Display name for a registered server
+ */
+function serverName(guildId) {
+  return db.prepare('SELECT name FROM servers WHERE guildId = ?').get(guildId)?.name || guildId;
+}
+
+/**
+ * Format a withdrawal limit for display
+ */
+function formatLimit(limit) {
+  return limit === Infinity || limit < 0 ? 'unlimited' : limit.toLocaleString();
+}
+
+/**
+ * Build the clan overview embed
+ */
+function clanEmbed(clan, userPrefix, title = null) {
+  const settings = clans.clanSettings();
+  const members = clan.members.slice(0, 20).map(m => `${m.userId === clan.leaderId ? '👑 ' : ''}<@${m.userId}> • ${clans.rankById(m.rank)?.name || m.rank}`);
+  if (clan.members.length > 20) members.push(`…and ${clan.members.length - 20} more`);
+  const limits = settings.ranks.map(r => `**${r.name}**: ${formatLimit(r.drakariPerDay)} Drakari, ${formatLimit(r.itemsPerDay)} items`);
+  return new EmbedBuilder()
+    .setTitle(title || `[${clan.tag}] ${clan.name}`)
+    .setColor(0x9B59B6)
+    .setAuthor({ name: `${userPrefix}` })
+    .addFields(
+      { name: `Members (${clan.members.length}/${settings.maxMembers})`, value: members.join('\n'), inline: true },
+      { name: 'Bank', value: `${clan.bankDrakari.toLocaleString()} ${config.currencyName || 'Drakari'}`, inline: true },
+      { name: 'Territory', value: `${clan.territories} server${clan.territories === 1 ? '' : 's'}`, inline: true },
+      { name: 'Daily Withdrawal Limits', value: limits.join('\n'), inline: false }
+    )
+    .setFooter({ text: `Deal boss damage at a server to claim it for your clan • QuestCord` })
+    .setTimestamp();
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('clan')
+    .setDescription('Found or manage a clan with a shared bank and territory')
+    .addSubcommand(sc => sc.setName('create').setDescription('Found a clan and become its leader')
+      .addStringOption(o => o.setName('name').setDescription('Clan name').setRequired(true).setMinLength(3).setMaxLength(32))
+      .addStringOption(o => o.setName('tag').setDescription('Short tag, 2-5 letters or numbers').setRequired(true).setMinLength(2).setMaxLength(5)))
+    .addSubcommand(sc => sc.setName('invite').setDescription('Invite a player to your clan (officers)')
+      .addUserOption(o => o.setName('user').setDescription('Player to invite').setRequired(true)))
+    .addSubcommand(sc => sc.setName('join').setDescription('Accept a clan invite')
+      .addStringOption(o => o.setName('tag').setDescription('Tag of the clan whose invite to accept (defaults to the latest)')))
+    .addSubcommand(sc => sc.setName('leave').setDescription('Leave your clan'))
+    .addSubcommand(sc => sc.setName('kick').setDescription('Remove a lower ranked member (officers)')
+      .addUserOption(o => o.setName('user').setDescription('Member to remove').setRequired(true)))
+    .addSubcommand(sc => sc.setName('rank').setDescription("Change a member's rank")
+      .addUserOption(o => o.setName('user').setDescription('Member to change').setRequired(true))
+      .addStringOption(o => o.setName('rank').setDescription('New rank').setRequired(true)
+        .addChoices(...clans.clanSettings().ranks.map(r => ({ name: r.name, value: r.id })))))
+    .addSubcommand(sc => sc.setName('disband').setDescription('Disband your clan; the bank goes to the leader'))
+    .addSubcommand(sc => sc.setName('info').setDescription('Show a clan')
+      .addStringOption(o => o.setName('tag').setDescription('Clan tag or name (defaults to your own)')))
+    .addSubcommand(sc => sc.setName('deposit').setDescription('Put Drakari or an item into the clan bank')
+      .addIntegerOption(o => o.setName('drakari').setDescription('Drakari to deposit').setMinValue(1))
+      .addStringOption(o => o.setName('item').setDescription('Item ID or name to deposit'))
+      .addIntegerOption(o => o.setName('qty').setDescription('How many of the item (default 1)').setMinValue(1)))
+    .addSubcommand(sc => sc.setName('withdraw').setDescription('Take Drakari or an item from the clan bank')
+      .addIntegerOption(o => o.setName('drakari').setDescription('Drakari to withdraw').setMinValue(1))
+      .addStringOption(o => o.setName('item').setDescription('Item ID or name to withdraw'))
+      .addIntegerOption(o => o.setName('qty').setDescription('How many of the item (default 1)').setMinValue(1)))
+    .addSubcommand(sc => sc.setName('bank').setDescription('Show the clan bank and your remaining withdrawals'))
+    .addSubcommand(sc => sc.setName('log').setDescription('Show recent clan activity'))
+    .addSubcommand(sc => sc.setName('leaderboard').setDescription("This week's top clans by boss damage")),
+
+  /**
+   * Main execution handler for clan command
+   *
+   * @param {CommandInteraction} interaction - Discord slash command interaction
+   */
+  async execute(interaction){
+    const userPrefix = await getUserPrefix(interaction.client, interaction.user);
+    if (isBanned(interaction.user.id)) return interaction.reply({ content: `${userPrefix} You are banned from using this bot.`, ephemeral: true });
+    regenStamina(interaction.user.id);
+
+    const sub = interaction.options.getSubcommand();
+    const userId = interaction.user.id;
+    const ensure = db.prepare('SELECT userId FROM players WHERE userId=?').get(userId);
+    if (!ensure) db.prepare('INSERT INTO players(userId, name) VALUES(?,?)').run(userId, interaction.user.username);
+
+    const fail = (result) => {
+      let message = REASONS[result.reason] || 'Something went wrong.';
+      if (result.reason === 'not_enough_drakari' && result.cost) message = `Founding a clan costs **${result.cost.toLocaleString()}** Drakari.`;
+      if (result.reason === 'limit_reached') message += ` You can withdraw ${formatLimit(result.remaining)} more today.`;
+      return interaction.reply({ content: `${userPrefix} ${message}`, ephemeral: true });
+    };
+
+    if (sub === 'create') {
+      const result = clans.createClan(userId, interaction.options.getString('name').trim(), interaction.options.getString('tag').trim());
+      if (!result.ok) return fail(result);
+      return interaction.reply({ embeds: [clanEmbed(result.clan, userPrefix, `Clan Founded: [${result.clan.tag}] ${result.clan.name}`)] });
+    }
+
+    if (sub === 'invite') {
+      const target = interaction.options.getUser('user');
+      if (target.bot) return interaction.reply({ content: `${userPrefix} Bots cannot join clans.`, ephemeral: true });
+      if (isBanned(target.id)) return interaction.reply({ content: `${userPrefix} That player cannot join clans right now.`, ephemeral: true });
+      const result = clans.invitePlayer(userId, target.id);
+      if (!result.ok) return fail(result);
+      return interaction.reply({
+        content: `${target}, ${interaction.user} invited you to **[${result.clan.tag}] ${result.clan.name}**! Use \`/clan join\` to accept. The invite expires <t:${Math.floor(result.expiresAt / 1000)}:R>.`
+      });
+    }
+
+    if (sub === 'join') {
+      const result = clans.joinClan(userId, interaction.options.getString('tag'));
+      if (!result.ok) return fail(result);
+      return interaction.reply({ embeds: [clanEmbed(result.clan, userPrefix, `Joined [${result.clan.tag}] ${result.clan.name}`)] });
+    }
+
+    if (sub === 'leave') {
+      const result = clans.leaveClan(userId);
+      if (!result.ok) return fail(result);
+      if (result.disbanded) return interaction.reply({ content: `${userPrefix} You left **${result.clan.name}**. The clan has been disbanded and its bank paid out to you.` });
+      return interaction.reply({
+        content: `${userPrefix} You left **${result.clan.name}**.${result.newLeaderId ? ` <@${result.newLeaderId}> is the new leader.` : ''}`
+      });
+    }
+
+    if (sub === 'kick') {
+      const target = interaction.options.getUser('user');
+      const result = clans.kickMember(userId, target.id);
+      if (!result.ok) return fail(result);
+      return interaction.reply({ content: `${userPrefix} ${target} was removed from **${result.clan.name}**.` });
+    }
+
+    if (sub === 'rank') {
+      const target = interaction.options.getUser('user');
+      const result = clans.setRank(userId, target.id, interaction.options.getString('rank'));
+      if (!result.ok) return fail(result);
+      return interaction.reply({ content: `${userPrefix} ${target} is now **${result.rank.name}** of **${result.clan.name}**.` });
+    }
+
+    if (sub === 'disband') {
+      const result = clans.disbandClan(userId);
+      if (!result.ok) return fail(result);
+      return interaction.reply({ content: `${userPrefix} **[${result.clan.tag}] ${result.clan.name}** has been disbanded. Its bank was paid out to you.` });
+    }
+
+    if (sub === 'info') {
+      const tag = interaction.options.getString('tag');
+      const clan = tag ? clans.getClanByTag(tag.trim()) : clans.getClanForUser(userId);
+      if (!clan) return interaction.reply({ content: `${userPrefix} ${tag ? 'No clan found with that tag or name.' : REASONS.not_in_clan}`, ephemeral: true });
+      return interaction.reply({ embeds: [clanEmbed(clan, userPrefix)], ephemeral: true });
+    }
+
+    if (sub === 'deposit' || sub === 'withdraw') {
+      const drakari = interaction.options.getInteger('drakari');
+      const itemQuery = interaction.options.getString('item');
+      if (!drakari && !itemQuery) return interaction.reply({ content: `${userPrefix} Give an amount of Drakari or an item.`, ephemeral: true });
+
+      const lines = [];
+      if (drakari) {
+        const result = sub === 'deposit' ? clans.depositDrakari(userId, drakari) : clans.withdrawDrakari(userId, drakari);
+        if (!result.ok) return fail(result);
+        lines.push(`${sub === 'deposit' ? 'Deposited' : 'Withdrew'} **${result.amount.toLocaleString()}** Drakari`);
+      }
+      if (itemQuery) {
+        const item = itemByNameOrId(itemQuery.trim());
+        const qty = interaction.options.getInteger('qty') || 1;
+        const result = sub === 'deposit' ? clans.depositItem(userId, item?.id, qty) : clans.withdrawItem(userId, item?.id, qty);
+        if (!result.ok) {
+          // Drakari may already have moved; report it alongside the item failure
+          if (lines.length) return interaction.reply({ content: `${userPrefix} ${lines.join('\n')}\n${REASONS[result.reason] || 'The item could not be moved.'}`, ephemeral: true });
+          return fail(result);
+        }
+        lines.push(`${sub === 'deposit' ? 'Deposited' : 'Withdrew'} **${result.qty}× ${result.item.name}**`);
+      }
+      const clan = clans.getClanForUser(userId);
+      return interaction.reply({ content: `${userPrefix} ${lines.join('\n')}\nClan bank: **${clan.bankDrakari.toLocaleString()}** Drakari.`, ephemeral: true });
+    }
+
+    if (sub === 'bank') {
+      const clan = clans.getClanForUser(userId);
+      if (!clan) return fail({ reason: 'not_in_clan' });
+      const items = clans.bankItems(clan.id).slice(0, 25).map(({ itemId, qty }) => `• **${itemById(itemId)?.name || itemId}** × ${qty}`);
+      const allowance = clans.withdrawalAllowance(userId);
+      const embed = new EmbedBuilder()
+        .setTitle(`[${clan.tag}] ${clan.name} - Bank`)
+        .setColor(0x9B59B6)
+        .setAuthor({ name: `${userPrefix}` })
+        .addFields(
+          { name: 'Drakari', value: clan.bankDrakari.toLocaleString(), inline: true },
+          { name: 'Your Withdrawals Left Today', value: `${formatLimit(allowance.drakari)} Drakari\n${formatLimit(allowance.items)} items`, inline: true },
+          { name: 'Items', value: items.length ? items.join('\n') : '*Empty*', inline: false }
+        )
+        .setFooter({ text: `Withdrawal limits reset on a rolling 24 hours • QuestCord` })
+        .setTimestamp();
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    if (sub === 'log') {
+      const clan = clans.getClanForUser(userId);
+      if (!clan) return fail({ reason: 'not_in_clan' });
+      const entries = clans.recentLog(clan.id, 15).map(e => `<t:${Math.floor(e.createdAt / 1000)}:R> ${LOG_LABELS[e.action] ? LOG_LABELS[e.action](e) : e.action}`);
+      const embed = new EmbedBuilder()
+        .setTitle(`[${clan.tag}] ${clan.name} - Activity`)
+        .setColor(0x9B59B6)
+        .setDescription(entries.length ? entries.join('\n') : '*No activity yet*')
+        .setTimestamp();
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    if (sub === 'leaderboard') {
+      const medals = ['🥇', '🥈', '🥉'];
+      const rows = clans.weeklyLeaderboard().map((c, i) =>
+        `${medals[i] || `**${i + 1}.**`} **[${c.tag}] ${c.name}** - ${c.bossDamage.toLocaleString()} boss damage • ${c.territories} territor${c.territories === 1 ? 'y' : 'ies'}`);
+      const embed = new EmbedBuilder()
+        .setTitle('Weekly Clan Leaderboard')
+        .setColor(0xFFD700)
+        .setDescription(rows.length ? rows.join('\n') : '*No clan has fought a boss this week yet.*')
+        .setFooter({ text: 'Resets every Monday • QuestCord' })
+        .setTimestamp();
+      return interaction.reply({ embeds: [embed] });
+    }
+  }
+};
@@ -5,6 +5,9 @@ const { getUserPrefix, isPremium } = require('../utils/roles');
 const { isBanned, regenStamina } = require('./_guard');
 const logger = require('../utils/logger');
 const { itemById } = require('../utils/items');
+const { updateChallengeProgress } = require('../utils/challenges');
+const { grantItem } = require('../utils/gear');
+const { craftTier, parseAffixes, describeAffix } = require('../utils/affixes');
 
 const CRAFTING_TIERS = {
   1: { name: 'Apprentice', requirement: 0, maxRarity: 'common' },
@@ -186,19 +189,6 @@ module.exports = {
       player = db.prepare('SELECT * FROM players WHERE userId=?').get(userId);
     }
 
-    // Ensure crafting tables exist
-    try {
-      db.prepare(`CREATE TABLE IF NOT EXISTS active_crafts (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        userId TEXT NOT NULL,
-        itemId TEXT NOT NULL,
-        quantity INTEGER DEFAULT 1,
-        startTime INTEGER NOT NULL,
-        completionTime INTEGER NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`).run();
-    } catch (e) {}
-
     if (subcommand === 'status') {
       const itemsCrafted = player.itemsCrafted || 0;
       const craftingLevel = getCraftingLevel(itemsCrafted);
@@ -419,16 +409,20 @@ module.exports = {
       let totalExperience = 0;
       for (const craft of completedCrafts) {
         const item = itemById(craft.itemId);
-        addItemToInventory(userId, craft.itemId, craft.quantity);
+        // Crafted gear can roll affixes at a tier set by its rarity
+        const instances = grantItem(userId, craft.itemId, craft.quantity, { tier: craftTier(item), source: 'craft' });
         completedItems.push({
           name: item?.name || craft.itemId,
           quantity: craft.quantity,
-          rarity: item?.rarity || 'common'
+          rarity: item?.rarity || 'common',
+          affixes: instances.flatMap(parseAffixes)
         });
         totalExperience += craft.quantity;
         
         // Update crafted count
         db.prepare('UPDATE players SET itemsCrafted=itemsCrafted+? WHERE userId=?').run(craft.quantity, userId);
+        // Collected crafts count toward crafting challenges and quests
+        updateChallengeProgress(userId, 'craft', craft.quantity, { itemId: craft.itemId });
       }
 
       // Remove completed crafts
@@ -450,7 +444,8 @@ module.exports = {
           'transcendent': '✨'
         };
         const icon = rarityColors[item.rarity] || '⚪';
-        return `${icon} **${item.name}** x${item.quantity}`;
+        const affixText = item.affixes.length ? `\n  ✨ ${item.affixes.map(describeAffix).join(', ')}` : '';
+        return `${icon} **${item.name}** x${item.quantity}${affixText}`;
       }).join('\n');
 
       const completeEmbed = new EmbedBuilder()
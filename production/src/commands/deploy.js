@@ -13,7 +13,7 @@ module.exports = {
     .addSubcommand(subcommand =>
       subcommand
         .setName('status')
-        .setDescription('Check deployment status and available backups')
+        .setDescription('Check deployment status, available backups and scheduled jobs')
     )
     .addSubcommand(subcommand =>
       subcommand
@@ -129,6 +129,11 @@ module.exports = {
           value: `**Environment**: ${currentEnv}\n**Port**: ${port}\n**Process**: ${process.pid}`,
           inline: true
         },
+        {
+          name: '🧩 Cluster',
+          value: this.getClusterInfo(interaction.client),
+          inline: true
+        },
         {
           name: '📦 Database Status',
           value: this.getDatabaseInfo(),
@@ -143,7 +148,13 @@ module.exports = {
       .setFooter({ text: 'Use /deploy backup to create a new backup' })
       .setTimestamp();
 
-    await interaction.editReply({ embeds: [embed] });
+    const jobsEmbed = new EmbedBuilder()
+      .setTitle('⏱️ **Scheduled Jobs**')
+      .setDescription(this.getJobsInfo())
+      .setColor(0x3498DB)
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed, jobsEmbed] });
   },
 
   async handleBackup(interaction) {
@@ -458,5 +469,50 @@ module.exports = {
     } catch (error) {
       return '**Status**: Error reading database info';
     }
+  },
+
+  getClusterInfo(client) {
+    try {
+      const { INSTANCE, shardLabel, leaderInfo } = require('../utils/cluster');
+      const leader = leaderInfo();
+      const shard = client.shard ? `${shardLabel(client)} of ${client.shard.count}` : 'Not sharded';
+      const leaderText = !leader ? 'None (election pending)' : leader.self ? 'This process' : `\`${leader.holder}\``;
+      return `**Shard**: ${shard}\n**Instance**: \`${INSTANCE}\`\n**Leader**: ${leaderText}\n**Limits store**: ${require('../utils/shared_store').sharedStore().type}`;
+    } catch (error) {
+      return '**Status**: Error reading cluster info';
+    }
+  },
+
+  getJobsInfo() {
+    const HEALTH = { ok: '🟢', running: '🔄', failing: '🔴', overdue: '🟠', disabled: '⚪' };
+    const ago = (ms) => {
+      const seconds = Math.round(Math.abs(ms) / 1000);
+      if (seconds < 120) return `${seconds}s`;
+      if (seconds < 7200) return `${Math.round(seconds / 60)}m`;
+      return `${Math.round(seconds / 3600)}h`;
+    };
+
+    try {
+      const jobs = require('../utils/scheduler').jobStatus();
+      if (!jobs.length) return 'No jobs registered in this process';
+
+      const now = Date.now();
+      const lines = jobs.map(job => {
+        const last = job.lastRunAt ? `ran ${ago(now - job.lastRunAt)} ago (${job.lastDurationMs}ms)` : 'not run yet';
+        const next = job.nextRunAt > now ? `next in ${ago(job.nextRunAt - now)}` : `due ${ago(now - job.nextRunAt)} ago`;
+        const problems = [
+          job.recent.failed && `${job.recent.failed} failed`,
+          job.recent.missed && `${job.recent.missed} missed`,
+          job.recent.skipped && `${job.recent.skipped} skipped`
+        ].filter(Boolean);
+        let line = `${HEALTH[job.health]} **${job.name}**${job.leaderOnly ? ' (leader)' : ''} \`${job.schedule}\` - ${last}, ${next}`;
+        if (problems.length) line += `\n   24h: ${problems.join(', ')}`;
+        if (job.health === 'failing') line += `\n   ${job.consecutiveFailures}× failing: ${String(job.lastError).slice(0, 120)}`;
+        return line;
+      });
+      return lines.join('\n').slice(0, 4000);
+    } catch (error) {
+      return `**Status**: Error reading job status (${error.message})`;
+    }
   }
 };
\ No newline at end of file
@@ -0,0 +1,209 @@
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType } = require('discord.js');
+const { db } = require('../utils/store_sqlite');
+const { getUserPrefix } = require('../utils/roles');
+const { isBanned, regenStamina } = require('./_guard');
+const duels = require('../utils/duels');
+const { gearName } = require('../utils/gear');
+
+// Player-facing messages for failures reported by utils/duels
+const REASONS = {
+  self: 'You cannot duel yourself.',
+  invalid_wager: 'The wager must be a whole number of Drakari (0 or more).',
+  no_player: 'That player has not started their journey yet.',
+  not_here: 'Both players must be at the same location to duel.',
+  travelling: 'Players who are travelling cannot duel.',
+  downed: 'Players with no health left cannot duel. Rest up first.',
+  in_duel: 'One of you already has a duel challenge open.',
+  not_enough_drakari: 'Not enough Drakari to cover the wager.',
+  not_pending: 'This challenge is no longer open.',
+  not_participant: 'This is not your duel.'
+};
+
+/**
+ * Explain a failure, naming the player at fault when the util reports one
+ */
+function describeFailure(result, users = {}) {
+  if (result.reason === 'wager_too_high') return `The wager cannot exceed ${result.max.toLocaleString()} Drakari.`;
+  const who = result.userId && users[result.userId] ? `${users[result.userId].username}: ` : '';
+  return `${who}${REASONS[result.reason] || 'Something went wrong.'}`;
+}
+
+/**
+ * Accept/Decline buttons for a pending challenge
+ */
+function challengeButtons(duelId, disabled = false) {
+  return [new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`duel_accept_${duelId}`).setLabel('Accept').setStyle(ButtonStyle.Success).setEmoji('⚔️').setDisabled(disabled),
+    new ButtonBuilder().setCustomId(`duel_decline_${duelId}`).setLabel('Decline').setStyle(ButtonStyle.Danger).setDisabled(disabled)
+  )];
+}
+
+/**
+ * Build the embed for a resolved duel: the last few turns and the outcome
+ */
+function resultEmbed(result, users) {
+  const { duel, fight } = result;
+  const name = (id) => users[id]?.username || id;
+  const turns = fight.log.slice(-6).map(t =>
+    `R${t.round}: **${name(t.attackerId)}** hits for ${t.damage}${t.crit ? ' 💥' : ''}${t.exhausted ? ' (exhausted)' : ''} → ${t.defenderHealth} HP left`);
+  if (fight.log.length > 6) turns.unshift(`*…${fight.log.length - 6} earlier turns*`);
+
+  const outcome = fight.winner
+    ? `🏆 **${name(fight.winner.userId)}** wins${fight.pot > 0 ? ` and takes **${fight.pot.toLocaleString()}** Drakari` : ''}!`
+    : `🤝 The duel ends in a draw${duel.wager > 0 ? '. Wagers have been returned' : ''}.`;
+  const fighterLine = (f) => {
+    const broken = (f.worn || []).filter(w => w.broke).map(w => `\n🔧 ${gearName(w.item, w.instance)} broke!`).join('');
+    return `❤️ ${f.health} • ⚡ ${f.stamina}\n🗡️ ${f.weapon ? gearName(f.weapon, f.weaponInstance) : 'Bare hands'}${broken}`;
+  };
+  const ratingLine = (id, before, change) => `${name(id)}: ${before} → ${before + change} (${change >= 0 ? '+' : ''}${change})`;
+
+  return new EmbedBuilder()
+    .setTitle('⚔️ Duel Result')
+    .setColor(fight.winner ? 0x00FF00 : 0x808080)
+    .setDescription(`${outcome}\n\n${turns.join('\n')}`)
+    .addFields(
+      { name: name(duel.challengerId), value: fighterLine(fight.challenger), inline: true },
+      { name: name(duel.opponentId), value: fighterLine(fight.defender), inline: true },
+      { name: 'Rating', value: `${ratingLine(duel.challengerId, duel.challengerRating, fight.delta)}\n${ratingLine(duel.opponentId, duel.opponentRating, -fight.delta)}`, inline: false }
+    )
+    .setFooter({ text: `${fight.rounds} rounds • Both fighters are now in combat` })
+    .setTimestamp();
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('duel')
+    .setDescription('Challenge other players to a one-on-one fight')
+    .addSubcommand(sc => sc.setName('challenge').setDescription('Challenge a player at your location')
+      .addUserOption(o => o.setName('user').setDescription('Player to challenge').setRequired(true))
+      .addIntegerOption(o => o.setName('wager').setDescription('Drakari each side puts up (winner takes all)').setMinValue(0)))
+    .addSubcommand(sc => sc.setName('leaderboard').setDescription('Top duelists by rating'))
+    .addSubcommand(sc => sc.setName('history').setDescription('Your recent duels')
+      .addUserOption(o => o.setName('user').setDescription('Show another player\'s duels instead'))),
+
+  /**
+   * Main execution handler for duel command
+   *
+   * @param {CommandInteraction} interaction - Discord slash command interaction
+   */
+  async execute(interaction){
+    const userPrefix = await getUserPrefix(interaction.client, interaction.user);
+    if (isBanned(interaction.user.id)) return interaction.reply({ content: `${userPrefix} You are banned from using this bot.`, ephemeral: true });
+    regenStamina(interaction.user.id);
+
+    const sub = interaction.options.getSubcommand();
+    const userId = interaction.user.id;
+
+    if (sub === 'leaderboard') {
+      const rows = duels.leaderboard(10);
+      const medals = ['🥇', '🥈', '🥉'];
+      const lines = rows.map((r, i) => `${medals[i] || `**${i + 1}.**`} ${r.name || r.userId} - **${r.rating}** (${r.wins}W/${r.losses}L/${r.draws}D)`);
+      const mine = duels.getRating(userId);
+      const embed = new EmbedBuilder()
+        .setTitle('⚔️ Duel Leaderboard')
+        .setColor(0xB22222)
+        .setDescription(lines.join('\n') || '*No duels fought yet.*')
+        .addFields({ name: 'Your Rating', value: `**${mine.rating}** (${mine.wins}W/${mine.losses}L/${mine.draws}D)`, inline: false })
+        .setFooter({ text: 'Challenge someone with /duel challenge • QuestCord' })
+        .setTimestamp();
+      return interaction.reply({ embeds: [embed] });
+    }
+
+    if (sub === 'history') {
+      const target = interaction.options.getUser('user') || interaction.user;
+      const rows = duels.history(target.id, 10);
+      const names = {};
+      const nameOf = (id) => names[id] ??= db.prepare('SELECT name FROM players WHERE userId = ?').get(id)?.name || id;
+      const lines = rows.map(d => {
+        const rivalId = d.challengerId === target.id ? d.opponentId : d.challengerId;
+        const mark = !d.winnerId ? '🤝 Draw' : d.winnerId === target.id ? '🏆 Won' : '💀 Lost';
+        const change = !d.winnerId ? '' : ` (${d.winnerId === target.id ? '+' : '-'}${d.ratingChange})`;
+        return `${mark} vs **${nameOf(rivalId)}**${d.wager > 0 ? ` • ${d.wager.toLocaleString()} Drakari` : ''}${change} • <t:${Math.floor(d.resolvedAt / 1000)}:R>`;
+      });
+      const rating = duels.getRating(target.id);
+      const embed = new EmbedBuilder()
+        .setTitle(`⚔️ Duel History: ${target.username}`)
+        .setColor(0xB22222)
+        .setDescription(lines.join('\n') || '*No duels fought yet.*')
+        .addFields({ name: 'Rating', value: `**${rating.rating}** (${rating.wins}W/${rating.losses}L/${rating.draws}D)`, inline: false })
+        .setTimestamp();
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    // challenge
+    const target = interaction.options.getUser('user');
+    const wager = interaction.options.getInteger('wager') ?? 0;
+    if (target.bot) return interaction.reply({ content: `${userPrefix} You cannot duel bots.`, ephemeral: true });
+    if (isBanned(target.id)) return interaction.reply({ content: `${userPrefix} That player cannot duel right now.`, ephemeral: true });
+    const ensure = db.prepare('SELECT userId FROM players WHERE userId=?').get(userId);
+    if (!ensure) db.prepare('INSERT INTO players(userId, name) VALUES(?,?)').run(userId, interaction.user.username);
+
+    const users = { [userId]: interaction.user, [target.id]: target };
+    const created = duels.createChallenge(userId, target.id, wager);
+    if (!created.ok) return interaction.reply({ content: `${userPrefix} ${describeFailure(created, users)}`, ephemeral: true });
+
+    const duel = created.duel;
+    const expires = Math.floor(duel.expiresAt / 1000);
+    const challengeEmbed = new EmbedBuilder()
+      .setTitle('⚔️ Duel Challenge')
+      .setColor(0xB22222)
+      .setDescription(`${interaction.user} challenges ${target} to a duel!${wager > 0 ? `\n\n💰 Wager: **${wager.toLocaleString()}** Drakari each - winner takes all.` : ''}\n\nExpires <t:${expires}:R>.`)
+      .addFields(
+        { name: interaction.user.username, value: `Rating ${duels.getRating(userId).rating}`, inline: true },
+        { name: target.username, value: `Rating ${duels.getRating(target.id).rating}`, inline: true }
+      )
+      .setTimestamp();
+
+    const response = await interaction.reply({
+      content: `${target}`,
+      embeds: [challengeEmbed],
+      components: challengeButtons(duel.id),
+      fetchReply: true
+    });
+
+    const collector = response.createMessageComponentCollector({
+      componentType: ComponentType.Button,
+      time: Math.max(1000, duel.expiresAt - Date.now())
+    });
+
+    collector.on('collect', async (i) => {
+      try {
+        if (!users[i.user.id]) return i.reply({ content: REASONS.not_participant, ephemeral: true });
+        const action = i.customId.startsWith('duel_accept_') ? 'accept' : 'decline';
+
+        if (action === 'decline') {
+          const result = duels.declineChallenge(duel.id, i.user.id);
+          if (!result.ok) return i.reply({ content: describeFailure(result, users), ephemeral: true });
+          collector.stop(result.status);
+          const verb = result.status === 'cancelled' ? 'withdrew the challenge' : 'declined the duel';
+          return i.update({
+            content: null,
+            embeds: [EmbedBuilder.from(challengeEmbed).setColor(0x808080).setDescription(`${i.user} ${verb}.${wager > 0 ? ' The wager has been returned.' : ''}`)],
+            components: challengeButtons(duel.id, true)
+          });
+        }
+
+        if (i.user.id !== target.id) return i.reply({ content: 'Only the challenged player can accept.', ephemeral: true });
+        const result = duels.acceptChallenge(duel.id, i.user.id);
+        if (!result.ok) return i.reply({ content: describeFailure(result, users), ephemeral: true });
+        collector.stop('completed');
+        return i.update({ content: null, embeds: [resultEmbed(result, users)], components: challengeButtons(duel.id, true) });
+      } catch (error) {
+        console.error('[duel] Button handling error:', error);
+        if (!i.replied && !i.deferred) {
+          await i.reply({ content: '❌ Error handling the duel. Please try again.', ephemeral: true }).catch(() => {});
+        }
+      }
+    });
+
+    collector.on('end', async (_collected, reason) => {
+      if (reason !== 'time') return;
+      duels.expireChallenges();
+      await interaction.editReply({
+        content: null,
+        embeds: [EmbedBuilder.from(challengeEmbed).setColor(0x808080).setDescription(`${target} did not answer in time.${wager > 0 ? ' The wager has been returned.' : ''}`)],
+        components: challengeButtons(duel.id, true)
+      }).catch(() => {});
+    });
+  }
+};
@@ -5,6 +5,9 @@ const { isBanned, regenStamina } = require('./_guard');
 const { getUserPrefix, isPremium } = require('../utils/roles');
 const config = require('../utils/config');
 const { ensurePlayerWithVehicles } = require('../utils/players');
+const { bindEquipped, gearName, isGear, syncInstances, isNotable } = require('../utils/gear');
+const { parseAffixes, describeAffix } = require('../utils/affixes');
+const { vehicleProfile } = require('../utils/vehicles');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -104,14 +107,27 @@ module.exports = {
           tool: '🔨'
         }[slot] || '📦';
         
+        // Copies with affixes or upgrades can be picked individually
+        const copies = isGear(item) ? syncInstances(userId, item.id).filter(isNotable) : [];
+        copies.forEach(inst => {
+          const affixes = parseAffixes(inst);
+          options.push({
+            label: `${gearName(item, inst)}`.slice(0, 100),
+            description: `🔧 ${inst.durability}/${inst.maxDurability}${affixes.length ? ` • ${affixes.map(describeAffix).join(', ')}` : ''}`.slice(0, 100),
+            value: `${item.id}:${inst.id}`,
+            emoji: slotIcon
+          });
+        });
+        
         options.push({
           label: `${item.name}`,
-          description: `${slot.charAt(0).toUpperCase() + slot.slice(1)} • ${item.rarity} • Qty: ${item.qty}`,
+          description: `${slot.charAt(0).toUpperCase() + slot.slice(1)} • ${item.rarity} • Qty: ${item.qty}${copies.length ? ' • Best copy' : ''}`,
           value: item.id,
           emoji: slotIcon
         });
       });
     });
+    options.splice(25); // Discord limit of 25 select menu options
     
     const selectMenu = new StringSelectMenuBuilder()
       .setCustomId('equip_select')
@@ -186,7 +202,9 @@ module.exports = {
         filter: i => i.user.id === interaction.user.id
       });
       
-      const itemId = confirmation.values[0];
+      // Specific copies are chosen as <itemId>:<instanceId>
+      const [itemId, instancePart] = confirmation.values[0].split(':');
+      const instanceId = instancePart ? parseInt(instancePart, 10) : null;
       const item = itemById(itemId);
       
       if (!item) {
@@ -215,6 +233,8 @@ module.exports = {
       
       // Equip the item
       db.prepare('INSERT OR REPLACE INTO equipment(userId, slot, itemId) VALUES(?,?,?)').run(userId, item.equipSlot, item.id);
+      // Equip the chosen copy, or the best owned one (highest upgrade, affixes, then durability)
+      const gear = bindEquipped(userId, item.equipSlot, instanceId);
       
       if (item.equipSlot === 'vehicle'){
         db.prepare('UPDATE players SET vehicle=? WHERE userId=?').run(item.id, userId);
@@ -232,7 +252,7 @@ module.exports = {
         .addFields(
           {
             name: '**Item Equipped**',
-            value: `**${item.name}**\n${item.rarity} ${item.equipSlot}`,
+            value: `**${gearName(item, gear?.instance)}**\n${item.rarity} ${item.equipSlot}`,
             inline: true
           },
           {
@@ -247,6 +267,41 @@ module.exports = {
           }
         );
 
+      if (gear?.instance) {
+        successEmbed.addFields({
+          name: '**Condition**',
+          value: `🔧 ${gear.instance.durability}/${gear.instance.maxDurability} durability${gear.broken ? ' - **Broken!** Repair it with `/gear repair`' : ''}`,
+          inline: false
+        });
+        const affixes = parseAffixes(gear.instance);
+        if (affixes.length) {
+          successEmbed.addFields({
+            name: '**Affixes**',
+            value: affixes.map(a => `✨ ${describeAffix(a)}`).join('\n'),
+            inline: false
+          });
+        }
+      }
+
+      if (item.equipSlot === 'vehicle') {
+        const vehicle = vehicleProfile(item.id);
+        const fuel = vehicle.fuel
+          ? `${vehicle.fuel.base ? `${vehicle.fuel.base} + ` : ''}${vehicle.fuel.perKm}/km ${vehicle.fuel.resource === 'drakari' ? config.currencyName : 'stamina'}`
+          : 'None';
+        const lines = [
+          `🏎️ **Speed:** ${vehicle.speed}x`,
+          `📏 **Range:** ${vehicle.rangeKm != null ? `${vehicle.rangeKm.toLocaleString()} km per trip` : 'Unlimited'}`,
+          `⛽ **Fuel:** ${fuel}`
+        ];
+        if (vehicle.cargoBonusPct) lines.push(`📦 **Cargo:** +${vehicle.cargoBonusPct}% items found while travelling`);
+        if (vehicle.immunities.length) lines.push(`🛡️ **Ignores:** ${vehicle.immunities.map(e => e.replace(/_/g, ' ')).join(', ')}`);
+        successEmbed.addFields({
+          name: `**${vehicle.class.replace(/_/g, ' ').toUpperCase()} Stats**`,
+          value: lines.join('\n'),
+          inline: false
+        });
+      }
+
       if (item.description) {
         successEmbed.addFields({
           name: '**Item Description**',
@@ -0,0 +1,243 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { getUserPrefix, isStaffOrDev } = require('../utils/roles');
+const { isBanned, regenStamina } = require('./_guard');
+const seasonal = require('../utils/seasonal_events');
+
+// Player-facing messages for failures reported by utils/seasonal_events
+const REASONS = {
+  unknown_event: 'There is no event with that ID.',
+  event_not_active: 'That event is not running right now.',
+  not_in_shop: 'That item is not sold in the event shop.',
+  invalid_qty: 'Quantity must be a whole number of at least 1.',
+  insufficient_currency: 'You do not have enough event currency for that.',
+  invalid_dates: 'The event must end after it starts.',
+  already_ended: 'That event has already ended.'
+};
+
+/**
+ * Explain a failure, adding the numbers the util reports
+ */
+function describeFailure(result) {
+  if (result.reason === 'limit_reached') {
+    return `You can buy at most ${result.limit} of that item this event (you have bought ${result.bought}).`;
+  }
+  return REASONS[result.reason] || 'Something went wrong.';
+}
+
+/**
+ * Parse a schedule option: 'now', an ISO date/time, or empty to keep the
+ * current value
+ * @returns {number|null|undefined} ms, null when not given, undefined when invalid
+ */
+function parseDateOption(value) {
+  if (!value) return null;
+  if (value.toLowerCase() === 'now') return Date.now();
+  const time = Date.parse(value);
+  return Number.isFinite(time) ? time : undefined;
+}
+
+const eventColor = (event) => parseInt(String(event.color || '#F39C12').replace('#', ''), 16) || 0xF39C12;
+const when = (ms) => ms != null ? `<t:${Math.floor(ms / 1000)}:f> (<t:${Math.floor(ms / 1000)}:R>)` : 'Not set';
+
+/**
+ * Event overview: dates, the player's currency, challenges and bosses
+ */
+function infoEmbed(event, userId) {
+  const currency = seasonal.currencyOf(event);
+  const { balance, earned } = seasonal.currencyBalance(userId, event.id);
+  const embed = new EmbedBuilder()
+    .setTitle(`${event.emoji || '🎉'} ${event.name}`)
+    .setDescription(event.description || 'A limited-time event.')
+    .setColor(eventColor(event))
+    .addFields(
+      event.status === 'active'
+        ? { name: '⏰ Ends', value: when(event.endsAt), inline: true }
+        : { name: '⏰ Starts', value: when(event.startsAt), inline: true },
+      { name: `${currency.emoji} Your ${currency.name}`, value: `${balance.toLocaleString()} (${earned.toLocaleString()} earned)`, inline: true }
+    )
+    .setTimestamp();
+
+  const earnLines = Object.entries(currency.earn).map(([type, rate]) => `• ${type.replace(/_/g, ' ')}: ${rate} each`);
+  if (earnLines.length) {
+    if (currency.eventBossMultiplier > 1) earnLines.push(`• ${currency.eventBossMultiplier}x against event bosses`);
+    embed.addFields({ name: `${currency.emoji} Earning ${currency.name}`, value: earnLines.join('\n'), inline: false });
+  }
+
+  const bosses = event.bosses?.definitions || [];
+  if (bosses.length) {
+    embed.addFields({ name: '👹 Event Bosses', value: bosses.map(b => `• **${b.name}**`).join('\n'), inline: true });
+  }
+  const drops = (event.items || []).filter(i => !i.shopOnly);
+  if (drops.length) {
+    embed.addFields({ name: '🎁 Event Drops', value: drops.map(i => `• ${i.name} (${i.rarity || 'common'})`).join('\n'), inline: true });
+  }
+
+  if (event.status === 'active') {
+    const challenges = seasonal.seasonalChallengesFor(userId).filter(c => c.eventId === event.id);
+    if (challenges.length) {
+      embed.addFields({
+        name: '🎯 Event Challenges',
+        value: challenges.map(c => `${c.completed ? '✅' : '⏳'} **${c.name}** ${Math.min(c.progress, c.target).toLocaleString()}/${c.target.toLocaleString()}`).join('\n'),
+        inline: false
+      });
+    }
+    embed.setFooter({ text: 'Spend your currency with /event shop • Leftover currency expires when the event ends' });
+  }
+  return embed;
+}
+
+/**
+ * Shop listing with prices, limits and what the player has bought
+ */
+function shopEmbed(event, userId) {
+  const currency = seasonal.currencyOf(event);
+  const { balance } = seasonal.currencyBalance(userId, event.id);
+  const lines = seasonal.shopEntries(event).map(entry => {
+    const limit = entry.limit ? ` • ${seasonal.purchasedCount(userId, event.id, entry.itemId)}/${entry.limit} bought` : '';
+    return `**${entry.item.name}** (${entry.item.rarity || 'common'}) - ${entry.price.toLocaleString()} ${currency.emoji}${limit}\n\`${entry.itemId}\``;
+  });
+  return new EmbedBuilder()
+    .setTitle(`🛒 ${event.name} Shop`)
+    .setColor(eventColor(event))
+    .setDescription(lines.join('\n\n') || '*This event has no shop.*')
+    .addFields({ name: `${currency.emoji} Your ${currency.name}`, value: balance.toLocaleString(), inline: true })
+    .setFooter({ text: 'Buy with /event buy • Closes when the event ends' })
+    .setTimestamp();
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('event')
+    .setDescription('Limited-time seasonal events: challenges, currency and the event shop')
+    .addSubcommand(sc => sc.setName('info').setDescription('See running and upcoming events')
+      .addStringOption(o => o.setName('event').setDescription('Event to show').setAutocomplete(true)))
+    .addSubcommand(sc => sc.setName('shop').setDescription('Browse an event shop')
+      .addStringOption(o => o.setName('event').setDescription('Event whose shop to show').setAutocomplete(true)))
+    .addSubcommand(sc => sc.setName('buy').setDescription('Buy an item with event currency')
+      .addStringOption(o => o.setName('item').setDescription('Item to buy (use autocomplete)').setAutocomplete(true).setRequired(true))
+      .addIntegerOption(o => o.setName('qty').setDescription('Quantity (default 1)').setMinValue(1))
+      .addStringOption(o => o.setName('event').setDescription('Event whose shop to buy from').setAutocomplete(true)))
+    .addSubcommand(sc => sc.setName('schedule').setDescription('Change an event\'s dates (Staff only)')
+      .addStringOption(o => o.setName('event').setDescription('Event to change').setAutocomplete(true).setRequired(true))
+      .addStringOption(o => o.setName('starts').setDescription('Start, as an ISO date/time (e.g. 2026-10-24T00:00Z) or "now"'))
+      .addStringOption(o => o.setName('ends').setDescription('End, as an ISO date/time or "now"')))
+    .addSubcommand(sc => sc.setName('end').setDescription('End an event straight away (Staff only)')
+      .addStringOption(o => o.setName('event').setDescription('Event to end').setAutocomplete(true).setRequired(true))),
+
+  /**
+   * Autocomplete events (every event for staff subcommands, running and
+   * upcoming ones otherwise) and shop items of running events
+   */
+  async autocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+    const q = String(focused.value || '').toLowerCase();
+    const sub = interaction.options.getSubcommand();
+
+    if (focused.name === 'event') {
+      const events = ['schedule', 'end'].includes(sub) ? seasonal.listEvents() : seasonal.currentEvents();
+      return interaction.respond(events
+        .filter(e => e.id.includes(q) || String(e.name).toLowerCase().includes(q))
+        .slice(0, 25)
+        .map(e => ({ name: `${e.name} (${e.status})`, value: e.id })));
+    }
+
+    if (focused.name === 'item') {
+      const eventId = interaction.options.getString('event');
+      const events = seasonal.activeEvents().filter(e => !eventId || e.id === eventId);
+      const entries = events.flatMap(event => seasonal.shopEntries(event).map(entry => ({ event, entry })));
+      return interaction.respond(entries
+        .filter(({ entry }) => entry.itemId.includes(q) || entry.item.name.toLowerCase().includes(q))
+        .slice(0, 25)
+        .map(({ event, entry }) => ({ name: `${entry.item.name} - ${entry.price} ${seasonal.currencyOf(event).name}`, value: entry.itemId })));
+    }
+  },
+
+  /**
+   * Main execution handler for event command
+   *
+   * @param {CommandInteraction} interaction - Discord slash command interaction
+   */
+  async execute(interaction) {
+    const userPrefix = await getUserPrefix(interaction.client, interaction.user);
+    if (isBanned(interaction.user.id)) return interaction.reply({ content: `${userPrefix} You are banned from using this bot.`, ephemeral: true });
+    regenStamina(interaction.user.id);
+
+    const sub = interaction.options.getSubcommand();
+    const userId = interaction.user.id;
+    const eventId = interaction.options.getString('event');
+
+    if (sub === 'schedule' || sub === 'end') {
+      if (!(await isStaffOrDev(interaction.client, userId))) {
+        return interaction.reply({ content: `${userPrefix} Staff/Developer only.`, ephemeral: true });
+      }
+      let result;
+      if (sub === 'end') {
+        result = seasonal.endEventNow(eventId, userId);
+      } else {
+        const startsAt = parseDateOption(interaction.options.getString('starts'));
+        const endsAt = parseDateOption(interaction.options.getString('ends'));
+        if (startsAt === undefined || endsAt === undefined) {
+          return interaction.reply({ content: `${userPrefix} Dates must be ISO date/times like 2026-10-24T00:00Z, or "now".`, ephemeral: true });
+        }
+        result = seasonal.scheduleEvent(eventId, { startsAt, endsAt }, userId);
+      }
+      if (!result.ok) return interaction.reply({ content: `${userPrefix} ${describeFailure(result)}`, ephemeral: true });
+
+      const { event } = result;
+      const embed = new EmbedBuilder()
+        .setTitle(`${event.emoji || '🎉'} ${event.name} ${sub === 'end' ? 'ended' : 'rescheduled'}`)
+        .setColor(eventColor(event))
+        .addFields(
+          { name: 'Starts', value: when(event.startsAt), inline: true },
+          { name: 'Ends', value: when(event.endsAt), inline: true },
+          { name: 'Status', value: event.status, inline: true }
+        )
+        .setFooter({ text: 'Starts are announced and ended events wound down within a minute' })
+        .setTimestamp();
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    const current = seasonal.currentEvents();
+    const running = current.filter(e => e.status === 'active');
+
+    if (sub === 'info') {
+      if (eventId) {
+        const event = seasonal.getEvent(eventId);
+        if (!event) return interaction.reply({ content: `${userPrefix} ${REASONS.unknown_event}`, ephemeral: true });
+        return interaction.reply({ embeds: [infoEmbed(event, userId)] });
+      }
+      if (current.length === 0) {
+        return interaction.reply({ content: `${userPrefix} No events are running or coming up soon. Check back later!`, ephemeral: true });
+      }
+      return interaction.reply({ embeds: current.slice(0, 10).map(event => infoEmbed(event, userId)) });
+    }
+
+    // shop and buy default to the only running event when there is one
+    const event = eventId ? seasonal.getEvent(eventId) : running.length === 1 ? running[0] : null;
+    if (!event) {
+      const message = running.length === 0 ? 'No event is running right now.' : 'Several events are running. Choose one with the event option.';
+      return interaction.reply({ content: `${userPrefix} ${eventId ? REASONS.unknown_event : message}`, ephemeral: true });
+    }
+
+    if (sub === 'shop') {
+      if (event.status !== 'active') return interaction.reply({ content: `${userPrefix} ${REASONS.event_not_active}`, ephemeral: true });
+      return interaction.reply({ embeds: [shopEmbed(event, userId)], ephemeral: true });
+    }
+
+    // buy
+    const itemId = interaction.options.getString('item');
+    const qty = interaction.options.getInteger('qty') ?? 1;
+    const result = seasonal.buyFromShop(userId, event.id, itemId, qty);
+    if (!result.ok) return interaction.reply({ content: `${userPrefix} ${describeFailure(result)}`, ephemeral: true });
+
+    const currency = seasonal.currencyOf(event);
+    const embed = new EmbedBuilder()
+      .setTitle('🛒 Purchase Complete')
+      .setColor(eventColor(event))
+      .setDescription(`You bought **${result.qty}x ${result.item.name}** for **${result.price.toLocaleString()}** ${currency.emoji} ${currency.name}.`)
+      .addFields({ name: `${currency.emoji} Remaining`, value: result.balance.toLocaleString(), inline: true })
+      .setFooter({ text: 'Find it in /inventory • QuestCord' })
+      .setTimestamp();
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+};
@@ -0,0 +1,156 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { db } = require('../utils/store_sqlite');
+const { getUserPrefix } = require('../utils/roles');
+const { isBanned, regenStamina } = require('./_guard');
+const { itemById } = require('../utils/items');
+const gear = require('../utils/gear');
+
+// Player-facing messages for failures reported by utils/gear
+const REASONS = {
+  nothing_equipped: 'Nothing is equipped in that slot.',
+  no_durability: 'That item does not wear out and cannot be repaired or upgraded.',
+  not_damaged: 'That item is already at full durability.',
+  no_material_repair: 'That item can only be repaired with Drakari.',
+  broken: 'That item is broken. Repair it before upgrading.',
+  max_level: 'That item is already at its maximum upgrade level.'
+};
+
+/**
+ * Format a material list for display
+ */
+function describeMaterials(materials) {
+  return materials.map(({ id, qty }) => `${qty}× **${itemById(id)?.name || id}**`).join(', ');
+}
+
+/**
+ * Durability bar for an instance
+ */
+function durabilityBar(instance) {
+  const filled = Math.round((instance.durability / instance.maxDurability) * 10);
+  return `${'█'.repeat(filled)}${'░'.repeat(10 - filled)} ${instance.durability}/${instance.maxDurability}`;
+}
+
+/**
+ * Every equipped slot whose item carries durability
+ */
+function equippedGearSlots(userId) {
+  return db.prepare('SELECT slot FROM equipment WHERE userId = ? ORDER BY slot').all(userId)
+    .map(({ slot }) => ({ slot, gear: gear.equippedGear(userId, slot) }))
+    .filter(({ gear: g }) => g?.instance);
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('gear')
+    .setDescription('Check, repair and upgrade your equipped gear')
+    .addSubcommand(sc => sc.setName('status').setDescription('Durability and upgrade level of your equipped gear'))
+    .addSubcommand(sc => sc.setName('repair').setDescription('Fully repair an equipped item')
+      .addStringOption(o => o.setName('slot').setDescription('Equipment slot to repair').setRequired(true).setAutocomplete(true))
+      .addStringOption(o => o.setName('method').setDescription('Pay with Drakari or crafting materials').setRequired(true)
+        .addChoices({ name: 'Drakari', value: 'drakari' }, { name: 'Materials', value: 'materials' })))
+    .addSubcommand(sc => sc.setName('upgrade').setDescription('Try to raise an equipped item\'s upgrade level')
+      .addStringOption(o => o.setName('slot').setDescription('Equipment slot to upgrade').setRequired(true).setAutocomplete(true))),
+
+  /**
+   * Autocomplete equipped slots that have durability
+   */
+  async autocomplete(interaction){
+    const q = String(interaction.options.getFocused() || '').toLowerCase();
+    const options = equippedGearSlots(interaction.user.id).map(({ slot, gear: g }) => ({
+      name: `${slot}: ${gear.gearName(g.item, g.instance)} (${g.instance.durability}/${g.instance.maxDurability})`,
+      value: slot
+    }));
+    return interaction.respond(options.filter(o => o.name.toLowerCase().includes(q)).slice(0, 25).map(o => ({ ...o, name: o.name.slice(0, 100) })));
+  },
+
+  /**
+   * Main execution handler for gear command
+   *
+   * @param {CommandInteraction} interaction - Discord slash command interaction
+   */
+  async execute(interaction){
+    const userPrefix = await getUserPrefix(interaction.client, interaction.user);
+    if (isBanned(interaction.user.id)) return interaction.reply({ content: `${userPrefix} You are banned from using this bot.`, ephemeral: true });
+    regenStamina(interaction.user.id);
+
+    const sub = interaction.options.getSubcommand();
+    const userId = interaction.user.id;
+    const ensure = db.prepare('SELECT userId FROM players WHERE userId=?').get(userId);
+    if (!ensure) db.prepare('INSERT INTO players(userId, name) VALUES(?,?)').run(userId, interaction.user.username);
+
+    const fail = (result) => {
+      let message = REASONS[result.reason] || 'Something went wrong.';
+      if (result.reason === 'not_enough_drakari') message = `You need ${result.need.toLocaleString()} Drakari.`;
+      if (result.reason === 'not_enough_materials') message = `You need ${result.qty}× **${itemById(result.id)?.name || result.id}** (you have ${result.have}).`;
+      return interaction.reply({ content: `${userPrefix} ${message}`, ephemeral: true });
+    };
+
+    if (sub === 'status') {
+      const slots = equippedGearSlots(userId);
+      const embed = new EmbedBuilder()
+        .setTitle('🔧 Gear Condition')
+        .setColor(0x00AE86)
+        .setAuthor({ name: `${userPrefix}` })
+        .setFooter({ text: 'Gear wears down in boss fights and duels • QuestCord' })
+        .setTimestamp();
+      if (slots.length === 0) embed.setDescription('You have no equipped gear that wears out. Equip some with `/equip`.');
+      for (const { slot, gear: g } of slots) {
+        const cost = gear.repairCost(g);
+        const next = gear.nextUpgrade(g.instance);
+        const lines = [
+          durabilityBar(g.instance) + (g.broken ? ' - **Broken!**' : ''),
+          g.item.attackBonus || slot === 'weapon' ? `Attack bonus ×${gear.effectiveAttackBonus(g).toFixed(2)}` : null,
+          cost.missing > 0 ? `Repair: ${cost.drakari.toLocaleString()} Drakari${cost.materials.length ? ` or ${describeMaterials(cost.materials)}` : ''}` : null,
+          next ? `Next upgrade +${next.level}: ${next.successPct}% chance` : 'Fully upgraded'
+        ].filter(Boolean);
+        embed.addFields({ name: `${slot}: ${gear.gearName(g.item, g.instance)}`, value: lines.join('\n'), inline: false });
+      }
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    const slot = interaction.options.getString('slot');
+
+    if (sub === 'repair') {
+      const result = gear.repairEquipped(userId, slot, interaction.options.getString('method'));
+      if (!result.ok) return fail(result);
+      const paid = result.method === 'materials' ? describeMaterials(result.cost.materials) : `${result.cost.drakari.toLocaleString()} Drakari`;
+      const embed = new EmbedBuilder()
+        .setTitle('🔧 Repaired')
+        .setColor(0x00D26A)
+        .setAuthor({ name: `${userPrefix}` })
+        .setDescription(`**${gear.gearName(result.gear.item, result.gear.instance)}** is back to full durability.`)
+        .addFields(
+          { name: 'Durability', value: durabilityBar(result.gear.instance), inline: true },
+          { name: 'Paid', value: paid, inline: true }
+        )
+        .setTimestamp();
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    if (sub === 'upgrade') {
+      const result = gear.upgradeEquipped(userId, slot);
+      if (!result.ok) return fail(result);
+      const { attempted } = result;
+      const name = gear.gearName(result.gear.item, result.gear.instance);
+      const outcomes = {
+        success: `✨ Success! Your item is now **${name}**.`,
+        keep: `The upgrade to +${attempted.level} failed. **${name}** keeps its level.`,
+        downgrade: `💢 The upgrade to +${attempted.level} failed and the item slipped back to **${name}**.`,
+        break: `💥 The upgrade to +${attempted.level} failed and **${name}** broke! Repair it with \`/gear repair\`.`
+      };
+      const paid = [attempted.drakari > 0 ? `${attempted.drakari.toLocaleString()} Drakari` : null, describeMaterials(attempted.materials) || null].filter(Boolean).join(', ');
+      const embed = new EmbedBuilder()
+        .setTitle(result.success ? '⚒️ Upgrade Succeeded' : '⚒️ Upgrade Failed')
+        .setColor(result.success ? 0x00D26A : result.outcome === 'keep' ? 0xFFD700 : 0xFF6B6B)
+        .setAuthor({ name: `${userPrefix}` })
+        .setDescription(outcomes[result.outcome])
+        .addFields(
+          { name: 'Chance', value: `${attempted.successPct}%`, inline: true },
+          { name: 'Paid', value: paid || 'Nothing', inline: true },
+          { name: 'Attack Bonus', value: `×${gear.effectiveAttackBonus(result.gear).toFixed(2)}`, inline: true }
+        )
+        .setTimestamp();
+      return interaction.reply({ embeds: [embed] });
+    }
+  }
+};
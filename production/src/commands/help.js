@@ -126,7 +126,17 @@ module.exports = {
             },
             {
               name: '📍 `/whereami`',
-              value: '• Shows your current server location and region\n• Displays travel costs to nearby servers\n• Useful for planning your next adventure',
+              value: '• Shows your current server location, country and region\n• Displays travel costs to nearby servers\n• Useful for planning your next adventure',
+              inline: false
+            },
+            {
+              name: '🔔 `/notify view | set | radius`',
+              value: '• Get DMs when your travel finishes, a craft completes or a listing sells\n• Hear about bosses spawning within a distance you choose, and daily challenge resets\n• Everything is off until you turn it on',
+              inline: false
+            },
+            {
+              name: '🔑 Public API',
+              value: '• Build bots and sites on QuestCord data: profiles, inventory, bosses, market, map and leaderboards\n• Create API keys with the scopes you need at questcord.fun/developer',
               inline: false
             }
           )
@@ -179,6 +189,21 @@ module.exports = {
               name: '❌ `/market cancel <listing_id>`',
               value: '• Cancel your own active market listings\n• Items are returned to your inventory immediately\n• No fees for canceling listings\n• **Note:** You can only cancel your own listings',
               inline: false
+            },
+            {
+              name: '📋 `/market order <item> <price> <qty> <duration>`',
+              value: '• Place a standing buy order at your max price per item\n• Fills instantly against cheaper listings, then waits for new ones\n• Partial fills allowed; Drakari is held in escrow until filled\n• **Tip:** See bids and asks with `/market book <item>`',
+              inline: false
+            },
+            {
+              name: '🧾 `/market orders` / `/market cancelorder <order_id>`',
+              value: '• View your open buy orders and how much has filled\n• Cancelling refunds the unfilled escrow immediately\n• Expired orders are refunded automatically',
+              inline: false
+            },
+            {
+              name: '🤝 `/trade <user>`',
+              value: '• Open a trade window with another player\n• Add items and Drakari, then both lock and confirm\n• Any change clears confirmations, so nobody gets swapped out\n• **Note:** Untradable and blacklisted items cannot be offered',
+              inline: false
             }
           )
           .setFooter({ text: '💡 Market prices fluctuate based on supply and demand!' });
@@ -189,13 +214,28 @@ module.exports = {
           .setDescription('Explore the world, discover new servers, and embark on adventures')
           .addFields(
             {
-              name: '✈️ `/travel <server_id>`',
+              name: '✈️ `/travel to <server|landmark>`',
               value: '• Travel to another server to explore new areas\n• **Costs:** Stamina and time (varies by distance)\n• **Rewards:** New biomes, items, and experiences\n• **Tip:** Plan your route using `/nearby` first!',
               inline: false
             },
+            {
+              name: '🧭 `/travel plan|route|cancel`',
+              value: '• Chain up to 5 servers, landmarks or waypoints into one route\n• See each leg\'s time, weather and cost before you commit\n• Queue it with `queue:True` and each leg departs as soon as you land\n• **Note:** Severe weather or running out of gems stops the route',
+              inline: false
+            },
+            {
+              name: '🎲 Travel Encounters',
+              value: '• Bandits, lost merchants, treasure caches and weather mishaps can find you mid-flight\n• The land below and any weather you are flying through change the odds\n• Answer with the buttons in your DMs before you land\n• **Outcomes:** Delays or shortcuts, health, Drakari and materials',
+              inline: false
+            },
+            {
+              name: '🚢 Vehicles',
+              value: '• Equip a vehicle with `/equip` to change how you travel\n• Ships shrug off sea fog and flooding, helicopters fly through turbulence, airships carry extra loot\n• Some vehicles have a range limit per trip and burn stamina or Drakari as fuel\n• **Get them:** Craft ships and helicopters, earn the Cargo Airship from the Freight Charter quest',
+              inline: false
+            },
             {
               name: '📍 `/whereami`',
-              value: '• Shows your current server location and region\n• Displays the local biome and its effects\n• See travel costs to nearby popular destinations\n• **Useful for:** Getting your bearings after traveling',
+              value: '• Shows your current server location, country and region\n• Displays the local biome and its effects\n• See travel costs to nearby popular destinations\n• **Useful for:** Getting your bearings after traveling',
               inline: false
             },
             {
@@ -207,6 +247,26 @@ module.exports = {
               name: '🎯 `/waypoints`',
               value: '• Manage your saved waypoints for quick travel\n• Set waypoints at important locations\n• Fast travel to previously visited servers\n• **Limit:** 10 waypoints maximum per player',
               inline: false
+            },
+            {
+              name: '🗿 `/poi list|visit|nearby|profile`',
+              value: '• Discover famous landmarks around the world\n• Your first visit to each pays category rewards (Drakari, gems or materials)\n• Be the first player ever to reach a landmark for a discoverer bonus\n• Know a spot worth visiting? Propose it with `/poi suggest` and track it with `/poi suggestions`',
+              inline: false
+            },
+            {
+              name: '🛂 `/passport view|title`',
+              value: '• Earn a stamp for every country and continent your travels reach\n• Track how much of each continent you have explored\n• Reaching 25%, 50% and 100% of a continent pays gems and unlocks a title\n• Show off a title with `/passport title`',
+              inline: false
+            },
+            {
+              name: '👥 `/party create|invite|join|leave|kick|disband`',
+              value: '• Group up with other players under a leader\n• Members who `/party follow` travel with the leader at the slowest member\'s speed\n• Boss damage adds up to a party total\n• Leaders pick the loot split with `/party loot` (need/greed, round-robin, damage-weighted)',
+              inline: false
+            },
+            {
+              name: '🛡️ `/clan create|invite|join|leave|rank|info`',
+              value: '• Found a permanent clan with a name, tag and ranks\n• Share Drakari and items with `/clan deposit` and `/clan withdraw` (daily limits per rank)\n• Boss damage at a server builds your claim to it as clan territory\n• Compete on the weekly `/clan leaderboard`; review activity with `/clan log`',
+              inline: false
             }
           )
           .setFooter({ text: '🌍 Each server offers unique biomes, resources, and challenges!' });
@@ -231,6 +291,11 @@ module.exports = {
               value: '• Remove an item from a specific equipment slot\n• Items return to your inventory immediately\n• **Slots:** weapon, armor, accessory, tool\n• **Example:** `/unequip slot:weapon`',
               inline: false
             },
+            {
+              name: '🔧 `/gear status|repair|upgrade`',
+              value: '• Equipped gear loses durability in boss fights and duels\n• Broken gear gives no bonus until repaired with Drakari or materials\n• Upgrade gear from +1 to +10 with crafting materials - higher levels can fail\n• Each upgrade level multiplies your weapon\'s attack bonus',
+              inline: false
+            },
             {
               name: '💊 `/useitem <item>`',
               value: '• Consume items like potions, food, or scrolls\n• Effects apply instantly (healing, buffs, etc.)\n• Some items have cooldowns to prevent abuse\n• **Tip:** Stock up on health potions before traveling!',
@@ -287,6 +352,21 @@ module.exports = {
               name: '🗡️ `/challenges`',
               value: '• View available combat challenges\n• Take on special monsters for extra rewards\n• Progress through difficulty tiers\n• **Reset:** Daily challenges refresh at midnight UTC',
               inline: false
+            },
+            {
+              name: '🎉 `/event info|shop|buy`',
+              value: '• Limited-time seasonal events with their own bosses and drops\n• Earn event currency from activities and event challenges\n• Spend it in the event shop before it closes\n• **Ends:** Leftover currency expires with the event',
+              inline: false
+            },
+            {
+              name: '📜 `/quest list|accept|progress|abandon`',
+              value: '• Story quest chains from NPCs at landmarks and biomes\n• Steps ask you to travel, defeat bosses, craft, trade or deliver items\n• Some steps branch - pick your path with `/quest progress choice:`\n• Finishing quests unlocks later chapters and unique rewards',
+              inline: false
+            },
+            {
+              name: '⚔️ `/duel challenge|leaderboard|history`',
+              value: '• Challenge a player at your location to a one-on-one fight\n• Optional Drakari wager - winner takes the pot\n• Your weapon, chest armor, health and stamina decide the fight\n• Win to climb the ELO rating leaderboard',
+              inline: false
             }
           )
           .setFooter({ text: '🏆 Boss battles require strategy, teamwork, and good equipment!' });
@@ -324,6 +404,16 @@ module.exports = {
               name: '/relocate search <query>',
               value: 'Search for countries by name',
               inline: false
+            },
+            {
+              name: '/settings view | set | off',
+              value: 'Choose channels for boss alerts, weather alerts, market highlights and arrivals, with a role to ping, UTC quiet hours and a minimum boss tier',
+              inline: false
+            },
+            {
+              name: '🛠️ Server Dashboard',
+              value: 'Sign in at questcord.fun/dashboard to see token history, visitors and boss history, and to relocate or change biome from the web',
+              inline: false
             }
           );
         break;
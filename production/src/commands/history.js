@@ -39,7 +39,7 @@ module.exports = {
       if (history.length === 0) {
         historyEmbed.addFields({
           name: '📭 **No Travel Records**',
-          value: '• Start your journey with `/travel <server>`\
+          value: '• Start your journey with `/travel to <server>`\
 • Explore new servers to build your travel log\
 • Every journey is automatically recorded',
           inline: false
@@ -182,7 +182,7 @@ Ready to start exploring!',
       if (stats.totalTravels === 0) {
         statsEmbed.addFields({
           name: '🚀 **Get Started**',
-          value: '• Use `/travel <server>` to begin your first journey\
+          value: '• Use `/travel to <server>` to begin your first journey\
 • Premium users enjoy 3x faster travel speeds\
 • Save favorite spots with `/waypoints save`\
 • Earn gems and unlock achievements by exploring!',
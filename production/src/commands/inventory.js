@@ -46,6 +46,8 @@ module.exports = {
   async execute(interaction) {
     // Lazy load database to avoid circular dependency issues during deployment
     const { db } = require('../utils/store_sqlite');
+    const { isGear, syncInstances, isNotable, gearName } = require('../utils/gear');
+    const { parseAffixes, describeAffix } = require('../utils/affixes');
     const userId = interaction.user.id;
     // Extract user preferences for sorting and filtering (with defaults)
     const sortBy = interaction.options.getString('sort') || 'name';
@@ -211,7 +213,14 @@ module.exports = {
       const itemList = items.slice(0, 8).map(item => {
         const rarityEmoji = rarityEmojis[item.rarity] || '⚪';
         const equipInfo = item.equipSlot ? ` (${item.equipSlot})` : '';
-        return `${rarityEmoji} **${item.name}**${equipInfo} × ${item.qty}`;
+        // Gear copies with affixes, upgrades or wear get their own sub-lines
+        const copies = isGear(item.meta) ? syncInstances(userId, item.itemId).filter(isNotable) : [];
+        const copyLines = copies.slice(0, 2).map(inst => {
+          const affixes = parseAffixes(inst);
+          return `└ ${gearName(item.meta, inst)} 🔧${inst.durability}/${inst.maxDurability}${affixes.length ? ` ✨ ${affixes.map(describeAffix).join(', ')}` : ''}`;
+        });
+        if (copies.length > 2) copyLines.push(`└ … ${copies.length - 2} more special copies`);
+        return [`${rarityEmoji} **${item.name}**${equipInfo} × ${item.qty}`, ...copyLines].join('\n');
       }).join('\
 ');
 
@@ -220,7 +229,7 @@ module.exports = {
 
       inventoryEmbed.addFields({
         name: `${emoji} ${category.toUpperCase()} (${items.length})`,
-        value: itemList + moreItems,
+        value: (itemList + moreItems).slice(0, 1024),
         inline: true
       });
     });
@@ -5,6 +5,8 @@ const { getUserPrefix, isPremium } = require('../utils/roles');
 const { isBanned, regenStamina } = require('./_guard');
 const logger = require('../utils/logger');
 const { itemById, isTradable } = require('../utils/items');
+const { marketTaxPct, placeBuyOrder, buyListing, cancelBuyOrder, getOrderBook } = require('../utils/market');
+const { isGear, syncInstances, listingInstances, releaseFromListing, isNotable, describeInstance } = require('../utils/gear');
 
 /**
  * Checks if an item is blocked from trading
@@ -14,7 +16,7 @@ const { itemById, isTradable } = require('../utils/items');
 function blocked(itemId){ return !isTradable(itemId); }
 
 module.exports = {
-  // Define slash command structure with four main subcommands
+  // Define slash command structure: listings (buy/cancel/browse/sell) and buy orders (order/orders/cancelorder/book)
   data: new SlashCommandBuilder()
     .setName('market').setDescription('Player market')
     // Subcommand 1: Buy a specific listing by ID
@@ -26,7 +28,38 @@ module.exports = {
     // Subcommand 3: Browse all active listings with interactive buttons
     .addSubcommand(sc=>sc.setName('browse').setDescription('Browse top listings'))
     // Subcommand 4: Sell items from inventory with quick-sell interface
-    .addSubcommand(sc=>sc.setName('sell').setDescription('Sell items from your inventory')),
+    .addSubcommand(sc=>sc.setName('sell').setDescription('Sell items from your inventory'))
+    // Subcommand 5: Place a standing buy order that fills against listings
+    .addSubcommand(sc=>sc.setName('order').setDescription('Place a buy order for an item')
+      .addStringOption(o=>o.setName('item').setDescription('Item to buy (use autocomplete)').setAutocomplete(true).setRequired(true))
+      .addIntegerOption(o=>o.setName('price').setDescription('Highest price you will pay per item').setRequired(true).setMinValue(1))
+      .addIntegerOption(o=>o.setName('qty').setDescription('Quantity wanted').setRequired(true).setMinValue(1))
+      .addStringOption(o=>o.setName('duration').setDescription('How long the order stays open').setRequired(true)
+        .addChoices(...['10m','1h','6h','12h','24h'].map(d=>({ name: d, value: d })))))
+    // Subcommand 6: List the user's open buy orders
+    .addSubcommand(sc=>sc.setName('orders').setDescription('View your open buy orders'))
+    // Subcommand 7: Cancel a buy order and refund its escrow
+    .addSubcommand(sc=>sc.setName('cancelorder').setDescription('Cancel your buy order')
+      .addIntegerOption(o=>o.setName('order').setDescription('Buy order ID').setRequired(true)))
+    // Subcommand 8: Show the bids and asks for an item
+    .addSubcommand(sc=>sc.setName('book').setDescription('View the order book for an item')
+      .addStringOption(o=>o.setName('item').setDescription('Item to look up (use autocomplete)').setAutocomplete(true).setRequired(true))),
+
+  /**
+   * Autocomplete tradable item IDs for the order and book subcommands
+   */
+  async autocomplete(interaction){
+    const focused = interaction.options.getFocused(true);
+    if (focused.name !== 'item') return;
+    const q = String(focused.value||'').toLowerCase();
+    const items = (config.items || []).filter(i =>
+      i.tradable !== false && (i.id.includes(q) || i.name.toLowerCase().includes(q))
+    ).slice(0, 25);
+    await interaction.respond(items.map(i => ({
+      name: `${i.name} (${i.rarity || 'common'}) - ${i.id}`,
+      value: i.id
+    })));
+  },
   
   /**
    * Main execution handler for market command
@@ -48,135 +81,6 @@ module.exports = {
     const ensure = db.prepare('SELECT * FROM players WHERE userId=?').get(userId);
     if (!ensure) db.prepare('INSERT INTO players(userId, name) VALUES(?,?)').run(userId, interaction.user.username);
 
-    // List subcommand removed - use /market sell with buttons instead
-    if (false && sub === 'list'){
-      const itemId = interaction.options.getString('item');
-      const item = itemById(itemId);
-      if (!item) return interaction.reply({ content: `${userPrefix} Unknown item id.`, ephemeral: true });
-      if (blocked(itemId)) return interaction.reply({ content: `${userPrefix} This item cannot be traded.`, ephemeral: true });
-      const qty = interaction.options.getInteger('qty');
-      const price = interaction.options.getInteger('price');
-      const duration = interaction.options.getString('duration');
-      const mult = { '10m':600, '1h':3600, '6h':21600, '12h':43200, '24h':86400 }[duration];
-      if (!mult) return interaction.reply({ content: `${userPrefix} Duration must be one of 10m,1h,6h,12h,24h`, ephemeral: true });
-      const inv = db.prepare('SELECT qty FROM inventory WHERE userId=? AND itemId=?').get(userId, itemId);
-      if (!inv || inv.qty < qty) return interaction.reply({ content: `${userPrefix} Not enough items.`, ephemeral: true });
-      
-      // Check listing limits
-      const isPremiumUser = await isPremium(interaction.client, userId);
-      const maxListings = isPremiumUser ? 5 : 2;
-      
-      const currentListings = db.prepare('SELECT COUNT(*) as count FROM market_listings WHERE sellerId = ? AND expiresAt > ?')
-        .get(userId, Date.now());
-      
-      if (currentListings.count >= maxListings) {
-        return interaction.reply({ 
-          content: `${userPrefix} Market listing limit reached! ${isPremiumUser ? 'Premium users' : 'Users'} can have up to **${maxListings}** active listings.\n\nCancel existing listings with \`/market cancel <listing_id>\` or upgrade to premium for more slots.`, 
-          ephemeral: true 
-        });
-      }
-      
-      // Premium users get longer listing durations and reduced listing fees
-      let actualExpires = Date.now() + mult*1000;
-      
-      // Premium users get 2x listing duration
-      if (isPremiumUser) {
-        actualExpires = Date.now() + (mult * 2 * 1000);
-      }
-      
-      // Check for listing fee (premium users get 50% off)
-      const listingFee = Math.floor(price * 0.02); // 2% listing fee
-      const actualFee = isPremiumUser ? Math.floor(listingFee * 0.5) : listingFee;
-      
-      const playerBalance = db.prepare('SELECT drakari FROM players WHERE userId=?').get(userId);
-      if (playerBalance.drakari < actualFee) {
-        return interaction.reply({ 
-          content: `${userPrefix} Insufficient funds for listing fee. Required: ${actualFee} ${config.currencyName}`, 
-          ephemeral: true 
-        });
-      }
-      
-      // Deduct listing fee and inventory item
-      if (actualFee > 0) {
-        db.prepare('UPDATE players SET drakari=drakari-? WHERE userId=?').run(actualFee, userId);
-      }
-      db.prepare('UPDATE inventory SET qty=qty-? WHERE userId=? AND itemId=?').run(qty, userId, itemId);
-      const info = db.prepare('INSERT INTO market_listings(sellerId,itemId,qty,price,expiresAt) VALUES(?,?,?,?,?)').run(userId, itemId, qty, price, actualExpires);
-      logger.info('market_list: user %s listed %s x%s for %s', userId, itemId, qty, price);
-      const listingEmbed = new EmbedBuilder()
-        .setTitle(isPremiumUser ? '📈👑 **PREMIUM LISTING CREATED** 👑📈' : '📈 **ITEM LISTED SUCCESSFULLY** 📈')
-        .setDescription(isPremiumUser ? 
-          '⭐ *Your premium listing gets priority display and extended duration* ⭐' :
-          '✨ *Your item has been added to the marketplace* ✨')
-        .setColor(isPremiumUser ? 0xFFD700 : 0x00AE86)
-        .setAuthor({ 
-          name: `${userPrefix}${isPremiumUser ? ' - Premium Seller' : ' - Merchant'}`,
-          iconURL: interaction.user.displayAvatarURL() 
-        })
-        .addFields(
-          {
-            name: '📦 **Listed Item**',
-            value: `**${item.name}** × ${qty}${isPremiumUser ? ' ⭐' : ''}`,
-            inline: true
-          },
-          {
-            name: '💰 **Asking Price**',
-            value: `${price.toLocaleString()} ${config.currencyName}\n(${Math.round(price/qty).toLocaleString()} each)`,
-            inline: true
-          },
-          {
-            name: '🆔 **Listing ID**',
-            value: `**#${info.lastInsertRowid}**\n📋 Use for buy/cancel`,
-            inline: true
-          },
-          {
-            name: '💸 **Listing Fee**',
-            value: `${actualFee.toLocaleString()} ${config.currencyName}${isPremiumUser ? ' (50% off)' : ''}\n${((actualFee/price)*100).toFixed(1)}% of price`,
-            inline: true
-          },
-          {
-            name: '⏰ **Duration**',
-            value: `${duration}${isPremiumUser ? ' × 2 (premium bonus)' : ''}\nExpires: <t:${Math.floor(actualExpires/1000)}:R>`,
-            inline: true
-          },
-          {
-            name: '📈 **Sale Tax**',
-            value: `${config.marketTaxPct}% on sale\n(${Math.floor(price * (config.marketTaxPct/100)).toLocaleString()} ${config.currencyName})`,
-            inline: true
-          },
-          {
-            name: '💎 **You\'ll Receive**',
-            value: `${(price - Math.floor(price * (config.marketTaxPct/100))).toLocaleString()} ${config.currencyName}\nAfter ${config.marketTaxPct}% sale tax`,
-            inline: true
-          }
-        );
-        
-        if (isPremiumUser) {
-          listingEmbed.addFields({
-            name: '👑 **Premium Benefits**',
-            value: '• ⭐ **Priority Display**: Your listings appear first\n• ⏰ **2x Duration**: Double the listing time\n• 💸 **50% Off Fees**: Reduced listing costs\n• 🎯 **Premium Badge**: ⭐ shown on listings',
-            inline: false
-          });
-        } else {
-          listingEmbed.addFields({
-            name: '💡 **Upgrade to Premium**',
-            value: '• Get priority listing display\
-• Double listing duration\
-• 50% off listing fees\
-• Use `/gems buy` to get premium time',
-            inline: false
-          });
-        }
-        
-        listingEmbed.setFooter({ 
-          text: `📈 ${isPremiumUser ? 'Premium listings get priority display' : 'Use /market browse to see all listings'} • QuestCord`,
-          iconURL: interaction.client.user.displayAvatarURL()
-        })
-        .setTimestamp();
-
-      return interaction.reply({ embeds: [listingEmbed] });
-    }
-
     // Handle buy subcommand - purchase a specific marketplace listing
     if (sub === 'buy'){
       // Extract the listing ID from command parameters
@@ -199,18 +103,16 @@ module.exports = {
       // Check if buyer has sufficient funds
       const buyer = db.prepare('SELECT drakari FROM players WHERE userId=?').get(userId);
       if (buyer.drakari < row.price) return interaction.reply({ content:`${userPrefix} Not enough funds.`, ephemeral: true });
-      // Calculate market tax and net amount for seller
-      const tax = Math.floor(row.price * (config.marketTaxPct/100));
+      // Gear copies in the listing, captured before they move to the buyer
+      const held = listingInstances(id);
+      // Settle payment, tax, item transfer and trade history in one transaction
+      const result = buyListing(id, userId);
+      if (!result.ok) {
+        const reasons = { not_found: 'Listing not found.', expired: 'Listing expired.', own_listing: 'Cannot buy your own listing.', insufficient_funds: 'Not enough funds.' };
+        return interaction.reply({ content:`${userPrefix} ${reasons[result.reason] || 'Purchase failed.'}`, ephemeral: true });
+      }
+      const { tax } = result.trade;
       const net = row.price - tax;
-      // Process payment: deduct from buyer, credit seller (minus tax)
-      db.prepare('UPDATE players SET drakari=drakari-? WHERE userId=?').run(row.price, userId);
-      db.prepare('UPDATE players SET drakari=drakari+? WHERE userId=?').run(net, row.sellerId);
-      // Transfer items to buyer's inventory
-      const inv = db.prepare('SELECT qty FROM inventory WHERE userId=? AND itemId=?').get(userId, row.itemId);
-      if (!inv) db.prepare('INSERT INTO inventory(userId,itemId,qty) VALUES(?,?,?)').run(userId, row.itemId, row.qty);
-      else db.prepare('UPDATE inventory SET qty=qty+? WHERE userId=? AND itemId=?').run(row.qty, userId, row.itemId);
-      // Remove completed listing from marketplace
-      db.prepare('DELETE FROM market_listings WHERE id=?').run(id);
       logger.info('market_buy: user %s bought listing %s', userId, id);
       const purchaseEmbed = new EmbedBuilder()
         .setTitle('✨ Purchase Complete!')
@@ -223,7 +125,9 @@ module.exports = {
         .addFields(
           {
             name: '📦 Item Purchased',
-            value: `**${item ? item.name : row.itemId}** × ${row.qty}`,
+            value: held.some(isNotable)
+              ? held.map(inst => describeInstance(item, inst)).join('\n')
+              : `**${item ? item.name : row.itemId}** × ${row.qty}`,
             inline: true
           },
           {
@@ -272,7 +176,8 @@ module.exports = {
       if (row.sellerId !== userId) return interaction.reply({ content:`${userPrefix} Not your listing.`, ephemeral: true });
       // Remove the listing from the marketplace
       db.prepare('DELETE FROM market_listings WHERE id=?').run(id);
-      // Return the items to the seller's inventory
+      // Return held gear copies and then the items to the seller's inventory
+      releaseFromListing(id, userId, row.itemId, row.qty);
       const inv = db.prepare('SELECT qty FROM inventory WHERE userId=? AND itemId=?').get(userId, row.itemId);
       if (!inv) db.prepare('INSERT INTO inventory(userId,itemId,qty) VALUES(?,?,?)').run(userId, row.itemId, row.qty);
       else db.prepare('UPDATE inventory SET qty=qty+? WHERE userId=? AND itemId=?').run(row.qty, userId, row.itemId);
@@ -343,7 +248,7 @@ module.exports = {
 
       const embed = new EmbedBuilder()
         .setTitle('Marketplace')
-        .setDescription(`Market Statistics:\n• ${rows.length} active listings\n• ${uniqueItems} unique items\n• ${totalValue.toLocaleString()} ${config.currencyName} total value\n• ${config.marketTaxPct}% transaction tax\n• Premium sellers get priority display`)
+        .setDescription(`Market Statistics:\n• ${rows.length} active listings\n• ${uniqueItems} unique items\n• ${totalValue.toLocaleString()} ${config.currencyName} total value\n• ${marketTaxPct()}% transaction tax\n• Premium sellers get priority display`)
         .setColor(0x00AE86)
         .setAuthor({
           name: `${userPrefix}`,
@@ -383,10 +288,14 @@ module.exports = {
         
         const pricePerUnit = Math.round(r.price / r.qty);
         const timeDisplay = timeLeft > 60 ? `${Math.round(timeLeft/60)}h` : `${timeLeft}m`;
+        // Affixes, upgrades and wear on listed gear copies
+        const notable = listingInstances(r.id).filter(isNotable);
+        const details = notable.length ? notable.slice(0, 2).map(inst => describeInstance(it, inst)).join('\n') + '\n' : '';
         
         embed.addFields({
           name: `${rarityIcon} **#${r.id}** ${name}${prem}${premiumSeller}`,
-          value: `🔢 **Qty:** ${r.qty.toLocaleString()}\n` +
+          value: details +
+                 `🔢 **Qty:** ${r.qty.toLocaleString()}\n` +
                  `💰 **Price:** ${r.price.toLocaleString()} ${config.currencyName}\n` +
                  `📈 **Per Unit:** ${pricePerUnit.toLocaleString()} ${config.currencyName}\n` +
                  `👤 **Seller:** ${sellerName}\n` +
@@ -424,6 +333,173 @@ module.exports = {
       return interaction.reply({ embeds: [embed], components, ephemeral: true });
     }
 
+    // Handle order subcommand - place a standing buy order and fill what we can right away
+    if (sub === 'order'){
+      const itemId = interaction.options.getString('item');
+      const item = itemById(itemId);
+      if (!item) return interaction.reply({ content: `${userPrefix} Unknown item id.`, ephemeral: true });
+      if (blocked(itemId)) return interaction.reply({ content: `${userPrefix} This item cannot be traded.`, ephemeral: true });
+      const maxPrice = interaction.options.getInteger('price');
+      const qty = interaction.options.getInteger('qty');
+      const duration = interaction.options.getString('duration');
+      const mult = { '10m':600, '1h':3600, '6h':21600, '12h':43200, '24h':86400 }[duration];
+      if (!mult) return interaction.reply({ content: `${userPrefix} Duration must be one of 10m,1h,6h,12h,24h`, ephemeral: true });
+
+      // Buy orders share the listing slot limits and premium duration bonus
+      const isPremiumUser = await isPremium(interaction.client, userId);
+      if (item.premiumNeeded && !isPremiumUser) {
+        return interaction.reply({ content: `${userPrefix} This item is Premium-only.`, ephemeral: true });
+      }
+      const maxOrders = isPremiumUser ? 5 : 2;
+      const openOrders = db.prepare("SELECT COUNT(*) as count FROM market_buy_orders WHERE buyerId = ? AND status = 'open' AND expiresAt > ?")
+        .get(userId, Date.now());
+      if (openOrders.count >= maxOrders) {
+        return interaction.reply({
+          content: `${userPrefix} Buy order limit reached! ${isPremiumUser ? 'Premium users' : 'Users'} can have up to **${maxOrders}** open buy orders.\n\nCancel one with \`/market cancelorder <order_id>\` or upgrade to premium for more slots.`,
+          ephemeral: true
+        });
+      }
+      const expiresAt = Date.now() + mult * (isPremiumUser ? 2 : 1) * 1000;
+
+      const result = placeBuyOrder({ buyerId: userId, itemId, qty, maxPrice, expiresAt });
+      if (!result.ok) {
+        return interaction.reply({
+          content: `${userPrefix} Not enough funds to escrow this order. Required: ${result.required.toLocaleString()} ${config.currencyName}`,
+          ephemeral: true
+        });
+      }
+
+      const orderEmbed = new EmbedBuilder()
+        .setTitle(result.remainingQty === 0 ? 'Buy Order Filled' : 'Buy Order Placed')
+        .setDescription(result.filledQty > 0
+          ? `Matched **${result.filledQty}** × **${item.name}** against existing listings.`
+          : `Your order is on the book and will fill automatically when a matching listing appears.`)
+        .setColor(result.remainingQty === 0 ? 0x00FF00 : 0x00AE86)
+        .setAuthor({
+          name: `${userPrefix}`,
+          iconURL: interaction.user.displayAvatarURL()
+        })
+        .addFields(
+          {
+            name: 'Item',
+            value: `**${item.name}** × ${qty}`,
+            inline: true
+          },
+          {
+            name: 'Max Price',
+            value: `${maxPrice.toLocaleString()} ${config.currencyName} each`,
+            inline: true
+          },
+          {
+            name: 'Order ID',
+            value: `**#${result.orderId}**\nUse for cancelorder`,
+            inline: true
+          },
+          {
+            name: 'Filled',
+            value: `${result.filledQty}/${qty}${result.filledQty > 0 ? `\nPaid ${result.spent.toLocaleString()} ${config.currencyName}` : ''}`,
+            inline: true
+          },
+          {
+            name: 'Escrowed',
+            value: `${(result.remainingQty * maxPrice).toLocaleString()} ${config.currencyName}${result.refunded > 0 ? `\nRefunded ${result.refunded.toLocaleString()} below max` : ''}`,
+            inline: true
+          },
+          {
+            name: 'Expires',
+            value: result.remainingQty > 0 ? `<t:${Math.floor(expiresAt/1000)}:R>` : 'Complete',
+            inline: true
+          }
+        )
+        .setFooter({
+          text: `Unfilled escrow is refunded on cancel or expiry • QuestCord`,
+          iconURL: interaction.client.user.displayAvatarURL()
+        })
+        .setTimestamp();
+
+      return interaction.reply({ embeds: [orderEmbed], ephemeral: true });
+    }
+
+    // Handle orders subcommand - list the user's open buy orders
+    if (sub === 'orders'){
+      const orders = db.prepare(`
+        SELECT * FROM market_buy_orders
+        WHERE buyerId = ? AND status = 'open' AND expiresAt > ?
+        ORDER BY createdAt ASC
+      `).all(userId, Date.now());
+      if (!orders.length) return interaction.reply({ content: `${userPrefix} You have no open buy orders. Place one with \`/market order\`.`, ephemeral: true });
+
+      const embed = new EmbedBuilder()
+        .setTitle('Your Buy Orders')
+        .setColor(0x00AE86)
+        .setAuthor({
+          name: `${userPrefix}`,
+          iconURL: interaction.user.displayAvatarURL()
+        })
+        .setFooter({
+          text: `Cancel with /market cancelorder • QuestCord`,
+          iconURL: interaction.client.user.displayAvatarURL()
+        })
+        .setTimestamp();
+
+      for (const o of orders.slice(0, 25)) {
+        embed.addFields({
+          name: `#${o.id} ${itemById(o.itemId)?.name || o.itemId}`,
+          value: `**Wanted:** ${o.qty} (${o.filledQty} filled)\n` +
+                 `**Max:** ${o.maxPrice.toLocaleString()} ${config.currencyName} each\n` +
+                 `**Escrow:** ${o.escrow.toLocaleString()} ${config.currencyName}\n` +
+                 `**Expires:** <t:${Math.floor(o.expiresAt/1000)}:R>`,
+          inline: true
+        });
+      }
+
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    // Handle cancelorder subcommand - close a buy order and refund its escrow
+    if (sub === 'cancelorder'){
+      const id = interaction.options.getInteger('order');
+      const result = cancelBuyOrder(id, userId);
+      if (!result.ok) {
+        const reasons = { not_found: 'Buy order not found.', not_owner: 'Not your buy order.' };
+        return interaction.reply({ content: `${userPrefix} ${reasons[result.reason] || `This order is already ${result.reason}.`}`, ephemeral: true });
+      }
+      logger.info('market_cancel_order: user %s cancelled buy order %s', userId, id);
+      return interaction.reply({
+        content: `${userPrefix} Buy order **#${id}** cancelled. Refunded **${result.refunded.toLocaleString()} ${config.currencyName}** for ${result.order.qty} unfilled × ${itemById(result.order.itemId)?.name || result.order.itemId}.`,
+        ephemeral: true
+      });
+    }
+
+    // Handle book subcommand - show bid and ask depth for a single item
+    if (sub === 'book'){
+      const itemId = interaction.options.getString('item');
+      const item = itemById(itemId);
+      if (!item) return interaction.reply({ content: `${userPrefix} Unknown item id.`, ephemeral: true });
+      const book = getOrderBook(itemId);
+      const formatLevels = levels => levels.length
+        ? levels.map(l => `${Number(l.unitPrice).toLocaleString()} × ${l.qty} (${l.orders})`).join('\n')
+        : 'None';
+
+      const embed = new EmbedBuilder()
+        .setTitle(`Order Book: ${item.name}`)
+        .setDescription(book.lastTrade
+          ? `Last trade: **${Math.round(book.lastTrade.unitPrice).toLocaleString()} ${config.currencyName}** each × ${book.lastTrade.qty} <t:${Math.floor(book.lastTrade.createdAt/1000)}:R>`
+          : 'No trades yet')
+        .setColor(0x00AE86)
+        .addFields(
+          { name: 'Bids (price × qty)', value: formatLevels(book.bids), inline: true },
+          { name: 'Asks (price × qty)', value: formatLevels(book.asks), inline: true }
+        )
+        .setFooter({
+          text: `Prices per item • ${marketTaxPct()}% tax on sales • QuestCord`,
+          iconURL: interaction.client.user.displayAvatarURL()
+        })
+        .setTimestamp();
+
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
     // Handle sell subcommand - display user's tradable inventory with quick-sell interface
     if (sub === 'sell') {
       // Get user's complete inventory with quantity > 0
@@ -448,6 +524,18 @@ module.exports = {
         } : null;
       }).filter(item => item && item.tradable);
 
+      // Gear copies with affixes, upgrades or wear are sold one at a time so
+      // the buyer knows exactly what they get; plain copies stay grouped
+      const expanded = [];
+      for (const entry of inventory) {
+        const notable = isGear(itemById(entry.itemId)) ? syncInstances(userId, entry.itemId).filter(isNotable) : [];
+        for (const inst of notable) {
+          expanded.push({ ...entry, qty: 1, instanceId: inst.id, name: describeInstance(itemById(entry.itemId), inst).replace(/\*\*/g, '') });
+        }
+        if (entry.qty > notable.length) expanded.push({ ...entry, qty: entry.qty - notable.length });
+      }
+      inventory.splice(0, inventory.length, ...expanded);
+
       // Check if user has any tradable items
       if (inventory.length === 0) {
         return interaction.reply({
@@ -500,7 +588,9 @@ module.exports = {
           inventoryText += `\n**${rarityIcon} ${rarity.charAt(0).toUpperCase() + rarity.slice(1)} Items:**\n`;
           
           groupedInventory[rarity].slice(0, 10 - itemCount).forEach(item => {
-            inventoryText += `• **${item.name}** (${item.qty}x) - ID: \`${item.itemId}\`\n`;
+            inventoryText += item.instanceId
+              ? `• **${item.name}** - Copy #${item.instanceId}\n`
+              : `• **${item.name}** (${item.qty}x) - ID: \`${item.itemId}\`\n`;
             itemCount++;
           });
         }
@@ -519,7 +609,7 @@ module.exports = {
         },
         {
           name: 'Selling Tips',
-          value: `• Check \`/market browse\` to see current prices\n• Price competitively for faster sales\n• Higher rarity items sell for more\n• Listing limits: 2 slots (5 for Premium)\n• Premium users get 2x listing duration\n• Market tax: ${config.marketTaxPct || 5}% of sale price`,
+          value: `• Check \`/market browse\` to see current prices\n• Price competitively for faster sales\n• Higher rarity items sell for more\n• Listing limits: 2 slots (5 for Premium)\n• Premium users get 2x listing duration\n• Market tax: ${marketTaxPct()}% of sale price`,
           inline: false
         }
       );
@@ -543,8 +633,8 @@ module.exports = {
 
         quickSellRow.addComponents(
           new ButtonBuilder()
-            .setCustomId(`quick_sell_${item.itemId}`)
-            .setLabel(`${item.name} (${item.qty})`)
+            .setCustomId(item.instanceId ? `quick_sell_${item.itemId}:${item.instanceId}` : `quick_sell_${item.itemId}`)
+            .setLabel(item.instanceId ? item.name.slice(0, 80) : `${item.name} (${item.qty})`)
             .setStyle(ButtonStyle.Secondary)
             .setEmoji(rarityIcon)
         );
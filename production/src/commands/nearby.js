@@ -28,7 +28,7 @@ module.exports = {
         iconURL: interaction.user.displayAvatarURL() 
       })
       .setFooter({ 
-        text: `✈️ Use /travel <server> to visit other communities • QuestCord Navigator`,
+        text: `✈️ Use /travel to <server> to visit other communities • QuestCord Navigator`,
         iconURL: interaction.client.user.displayAvatarURL()
       })
       .setTimestamp();
@@ -93,7 +93,7 @@ module.exports = {
       // Add travel tips
       embed.addFields({
         name: '✈️ **Travel Tips**',
-        value: '• Closer servers require less travel time\n• Premium users travel 3x faster\n• Travel costs stamina but opens new communities!\n• Use `/travel <server name>` to visit other servers',
+        value: '• Closer servers require less travel time\n• Premium users travel 3x faster\n• Travel costs stamina but opens new communities!\n• Use `/travel to <server name>` to visit other servers',
         inline: false
       });
     }
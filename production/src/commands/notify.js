@@ -0,0 +1,97 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { getUserPrefix } = require('../utils/roles');
+const { isBanned } = require('./_guard');
+const { PLAYER_EVENTS, EVENT_EMOJIS, getPrefs, updatePrefs } = require('../utils/player_notifications');
+
+// Player-facing messages for failures reported by utils/player_notifications
+const REASONS = {
+  unknown_event: 'Unknown notification type.',
+  invalid_radius: 'The boss alert radius must be between 1 and {max} km.'
+};
+
+function eventChoices() {
+  return [
+    ...Object.entries(PLAYER_EVENTS).map(([value, name]) => ({ name, value })),
+    { name: 'Everything', value: 'all' }
+  ];
+}
+
+function reasonText(result) {
+  return (REASONS[result.reason] || 'Something went wrong.').replace('{max}', (result.max || 0).toLocaleString());
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('notify')
+    .setDescription('Choose which game events QuestCord DMs you about')
+    .addSubcommand(sc => sc
+      .setName('view')
+      .setDescription('Show your DM alerts'))
+    .addSubcommand(sc => sc
+      .setName('set')
+      .setDescription('Turn a DM alert on or off')
+      .addStringOption(o => o
+        .setName('event')
+        .setDescription('What to be told about')
+        .setRequired(true)
+        .addChoices(...eventChoices()))
+      .addBooleanOption(o => o
+        .setName('enabled')
+        .setDescription('On or off')
+        .setRequired(true)))
+    .addSubcommand(sc => sc
+      .setName('radius')
+      .setDescription('How close a boss has to spawn for a DM')
+      .addIntegerOption(o => o
+        .setName('km')
+        .setDescription('Distance from your current location in km')
+        .setRequired(true)
+        .setMinValue(1))),
+
+  async execute(interaction) {
+    const userPrefix = await getUserPrefix(interaction.client, interaction.user);
+    if (isBanned(interaction.user.id)) {
+      return interaction.reply({ content: `${userPrefix} You are banned from using this bot.`, ephemeral: true });
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    const userId = interaction.user.id;
+
+    if (subcommand === 'view') {
+      const prefs = getPrefs(userId);
+      const lines = Object.entries(PLAYER_EVENTS).map(([event, label]) => {
+        const extra = event === 'boss' ? ` (within ${prefs.bossRadiusKm.toLocaleString()} km)` : '';
+        return `${EVENT_EMOJIS[event]} **${label}**${extra}: ${prefs[event] ? '🟢 On' : '🔴 Off'}`;
+      });
+      const embed = new EmbedBuilder()
+        .setTitle('🔔 Your DM Alerts')
+        .setDescription(lines.join('\n'))
+        .setColor(0x5865F2)
+        .setAuthor({ name: `${userPrefix} - Notifications`, iconURL: interaction.user.displayAvatarURL() })
+        .setFooter({ text: 'Alerts arrive as one DM per batch. Keep DMs from server members open to receive them.' });
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    if (subcommand === 'set') {
+      const event = interaction.options.getString('event', true);
+      const enabled = interaction.options.getBoolean('enabled', true);
+      const events = event === 'all' ? Object.keys(PLAYER_EVENTS) : [event];
+      const result = updatePrefs(userId, Object.fromEntries(events.map(e => [e, enabled])));
+      if (!result.ok) {
+        return interaction.reply({ content: `${userPrefix} ${reasonText(result)}`, ephemeral: true });
+      }
+      const label = event === 'all' ? 'All DM alerts are' : `**${PLAYER_EVENTS[event]}** alerts are`;
+      return interaction.reply({ content: `${userPrefix} ${label} now ${enabled ? 'on' : 'off'}.`, ephemeral: true });
+    }
+
+    if (subcommand === 'radius') {
+      const km = interaction.options.getInteger('km', true);
+      const result = updatePrefs(userId, { bossRadiusKm: km });
+      if (!result.ok) {
+        return interaction.reply({ content: `${userPrefix} ${reasonText(result)}`, ephemeral: true });
+      }
+      const hint = result.prefs.boss ? '' : ' Turn boss alerts on with `/notify set event:Boss spawned nearby enabled:True`.';
+      return interaction.reply({ content: `${userPrefix} You will be told about bosses spawning within **${km.toLocaleString()} km** of you.${hint}`, ephemeral: true });
+    }
+  }
+};
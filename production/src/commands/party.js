@@ -0,0 +1,151 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { db } = require('../utils/store_sqlite');
+const { getUserPrefix } = require('../utils/roles');
+const { isBanned, regenStamina } = require('./_guard');
+const party = require('../utils/party');
+
+// Player-facing messages for failures reported by utils/party
+const REASONS = {
+  already_in_party: 'You are already in a party. Leave it first with `/party leave`.',
+  not_in_party: 'You are not in a party. Create one with `/party create`.',
+  not_leader: 'Only the party leader can do that.',
+  self: 'You cannot do that to yourself.',
+  target_in_party: 'That player is already in a party.',
+  target_not_member: 'That player is not in your party.',
+  party_full: 'The party is full.',
+  no_invite: 'You have no pending party invite.',
+  invalid_mode: 'Unknown loot mode.'
+};
+
+/**
+ * Build the party overview embed
+ */
+function partyEmbed(p, userPrefix, title = null) {
+  const settings = party.partySettings();
+  const members = p.members.map(m => {
+    const crown = m.userId === p.leaderId ? '👑 ' : '';
+    const follow = m.userId === p.leaderId ? '' : m.followLeader ? ' • follows' : ' • stays';
+    return `${crown}<@${m.userId}>${follow}`;
+  });
+  return new EmbedBuilder()
+    .setTitle(title || `Party: ${p.name}`)
+    .setColor(0x5865F2)
+    .setAuthor({ name: `${userPrefix}` })
+    .addFields(
+      { name: `Members (${p.members.length}/${settings.maxSize})`, value: members.join('\n'), inline: true },
+      { name: 'Loot Mode', value: party.LOOT_MODES[p.lootMode] || p.lootMode, inline: true },
+      { name: 'Party ID', value: `#${p.id}`, inline: true }
+    )
+    .setFooter({ text: `Members who follow travel with the leader at the slowest member's speed • QuestCord` })
+    .setTimestamp();
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('party')
+    .setDescription('Form a party to travel and fight together')
+    .addSubcommand(sc => sc.setName('create').setDescription('Create a party and become its leader')
+      .addStringOption(o => o.setName('name').setDescription('Party name').setMaxLength(40)))
+    .addSubcommand(sc => sc.setName('invite').setDescription('Invite a player to your party')
+      .addUserOption(o => o.setName('user').setDescription('Player to invite').setRequired(true)))
+    .addSubcommand(sc => sc.setName('join').setDescription('Accept a party invite')
+      .addUserOption(o => o.setName('leader').setDescription('Leader whose invite to accept (defaults to the latest)')))
+    .addSubcommand(sc => sc.setName('leave').setDescription('Leave your party'))
+    .addSubcommand(sc => sc.setName('kick').setDescription('Remove a member from your party')
+      .addUserOption(o => o.setName('user').setDescription('Member to remove').setRequired(true)))
+    .addSubcommand(sc => sc.setName('disband').setDescription('Disband your party'))
+    .addSubcommand(sc => sc.setName('info').setDescription('Show your party'))
+    .addSubcommand(sc => sc.setName('follow').setDescription("Choose whether the leader's /travel takes you along")
+      .addBooleanOption(o => o.setName('enabled').setDescription('Travel with the leader').setRequired(true)))
+    .addSubcommand(sc => sc.setName('loot').setDescription('Set how boss loot is split (leader only)')
+      .addStringOption(o => o.setName('mode').setDescription('Loot split mode').setRequired(true)
+        .addChoices(...Object.entries(party.LOOT_MODES).map(([value, name]) => ({ name, value }))))),
+
+  /**
+   * Main execution handler for party command
+   *
+   * @param {CommandInteraction} interaction - Discord slash command interaction
+   */
+  async execute(interaction){
+    const userPrefix = await getUserPrefix(interaction.client, interaction.user);
+    if (isBanned(interaction.user.id)) return interaction.reply({ content: `${userPrefix} You are banned from using this bot.`, ephemeral: true });
+    regenStamina(interaction.user.id);
+
+    const sub = interaction.options.getSubcommand();
+    const userId = interaction.user.id;
+    const ensure = db.prepare('SELECT userId FROM players WHERE userId=?').get(userId);
+    if (!ensure) db.prepare('INSERT INTO players(userId, name) VALUES(?,?)').run(userId, interaction.user.username);
+
+    const fail = (result) => interaction.reply({ content: `${userPrefix} ${REASONS[result.reason] || 'Something went wrong.'}`, ephemeral: true });
+
+    if (sub === 'create') {
+      const name = interaction.options.getString('name') || `${interaction.user.username}'s Party`;
+      const result = party.createParty(userId, name);
+      if (!result.ok) return fail(result);
+      return interaction.reply({ embeds: [partyEmbed(result.party, userPrefix, `Party Created: ${result.party.name}`)] });
+    }
+
+    if (sub === 'invite') {
+      const target = interaction.options.getUser('user');
+      if (target.bot) return interaction.reply({ content: `${userPrefix} Bots cannot join parties.`, ephemeral: true });
+      if (isBanned(target.id)) return interaction.reply({ content: `${userPrefix} That player cannot join parties right now.`, ephemeral: true });
+      const result = party.invitePlayer(userId, target.id);
+      if (!result.ok) return fail(result);
+      return interaction.reply({
+        content: `${target}, ${interaction.user} invited you to **${result.party.name}**! Use \`/party join\` to accept. The invite expires <t:${Math.floor(result.expiresAt / 1000)}:R>.`
+      });
+    }
+
+    if (sub === 'join') {
+      const leader = interaction.options.getUser('leader');
+      const result = party.joinParty(userId, leader?.id || null);
+      if (!result.ok) return fail(result);
+      return interaction.reply({ embeds: [partyEmbed(result.party, userPrefix, `Joined ${result.party.name}`)] });
+    }
+
+    if (sub === 'leave') {
+      const result = party.leaveParty(userId);
+      if (!result.ok) return fail(result);
+      if (result.disbanded) return interaction.reply({ content: `${userPrefix} You left **${result.party.name}**. The party has been disbanded.` });
+      return interaction.reply({
+        content: `${userPrefix} You left **${result.party.name}**.${result.newLeaderId ? ` <@${result.newLeaderId}> is the new leader.` : ''}`
+      });
+    }
+
+    if (sub === 'kick') {
+      const target = interaction.options.getUser('user');
+      const result = party.kickMember(userId, target.id);
+      if (!result.ok) return fail(result);
+      return interaction.reply({ content: `${userPrefix} ${target} was removed from **${result.party.name}**.` });
+    }
+
+    if (sub === 'disband') {
+      const result = party.disbandParty(userId);
+      if (!result.ok) return fail(result);
+      return interaction.reply({ content: `${userPrefix} **${result.party.name}** has been disbanded.` });
+    }
+
+    if (sub === 'info') {
+      const current = party.getPartyForUser(userId);
+      if (!current) return fail({ reason: 'not_in_party' });
+      return interaction.reply({ embeds: [partyEmbed(current, userPrefix)], ephemeral: true });
+    }
+
+    if (sub === 'follow') {
+      const enabled = interaction.options.getBoolean('enabled');
+      const result = party.setFollowLeader(userId, enabled);
+      if (!result.ok) return fail(result);
+      return interaction.reply({
+        content: `${userPrefix} ${enabled ? "You will travel with your party leader when they use `/travel` from your location." : "You will stay behind when your party leader travels."}`,
+        ephemeral: true
+      });
+    }
+
+    if (sub === 'loot') {
+      const mode = interaction.options.getString('mode');
+      const result = party.setLootMode(userId, mode);
+      if (!result.ok) return fail(result);
+      return interaction.reply({ content: `${userPrefix} Party loot is now split by **${party.LOOT_MODES[mode]}**.` });
+    }
+  }
+};
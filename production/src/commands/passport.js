@@ -0,0 +1,97 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { db } = require('../utils/store_sqlite');
+const { getUserPrefix } = require('../utils/roles');
+const { isBanned, regenStamina } = require('./_guard');
+const passport = require('../utils/passport');
+
+// Player-facing messages for failures reported by utils/passport
+const REASONS = {
+  not_unlocked: 'You have not unlocked that title. Explore more of the world to earn it!'
+};
+
+/**
+ * Ten-step progress bar for a percentage
+ */
+function progressBar(pct) {
+  const filled = Math.round(pct / 10);
+  return `${'▰'.repeat(filled)}${'▱'.repeat(10 - filled)}`;
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('passport')
+    .setDescription('Your passport stamps and exploration progress')
+    .addSubcommand(sc => sc.setName('view').setDescription('Show country stamps and continent completion')
+      .addUserOption(o => o.setName('user').setDescription('Show another player\'s passport instead')))
+    .addSubcommand(sc => sc.setName('title').setDescription('Display an exploration title you have unlocked')
+      .addStringOption(o => o.setName('title').setDescription('Title to display (leave empty to clear)').setAutocomplete(true))),
+
+  /**
+   * Autocomplete the player's unlocked titles
+   */
+  async autocomplete(interaction){
+    const q = String(interaction.options.getFocused() || '').toLowerCase();
+    const { titles } = passport.getPassport(interaction.user.id);
+    return interaction.respond(titles.filter(t => t.toLowerCase().includes(q)).slice(0, 25).map(t => ({ name: t, value: t })));
+  },
+
+  /**
+   * Main execution handler for passport command
+   *
+   * @param {CommandInteraction} interaction - Discord slash command interaction
+   */
+  async execute(interaction){
+    const userPrefix = await getUserPrefix(interaction.client, interaction.user);
+    if (isBanned(interaction.user.id)) return interaction.reply({ content: `${userPrefix} You are banned from using this bot.`, ephemeral: true });
+    regenStamina(interaction.user.id);
+
+    const sub = interaction.options.getSubcommand();
+    const userId = interaction.user.id;
+    const ensure = db.prepare('SELECT userId FROM players WHERE userId=?').get(userId);
+    if (!ensure) db.prepare('INSERT INTO players(userId, name) VALUES(?,?)').run(userId, interaction.user.username);
+
+    if (sub === 'title') {
+      passport.syncPassport(userId);
+      const result = passport.setTitle(userId, interaction.options.getString('title'));
+      if (!result.ok) return interaction.reply({ content: `${userPrefix} ${REASONS[result.reason] || 'Something went wrong.'}`, ephemeral: true });
+      return interaction.reply({
+        content: result.title ? `${userPrefix} You are now known as **${result.title}**.` : `${userPrefix} Your title has been cleared.`,
+        ephemeral: true
+      });
+    }
+
+    // view
+    const target = interaction.options.getUser('user') || interaction.user;
+    // Catch up on any trips made before the passport existed
+    const fresh = passport.syncPassport(target.id);
+    const book = passport.getPassport(target.id);
+
+    const continents = book.progress.map(p =>
+      `**${p.continent}** ${progressBar(p.pct)} ${p.pct}% (${p.stamped}/${p.total})`);
+    const recent = book.countries.slice(-8).reverse().map(c => `🛂 ${c.name} • <t:${Math.floor(c.stampedAt / 1000)}:R>`);
+
+    const embed = new EmbedBuilder()
+      .setTitle(`🛂 Passport: ${target.username}`)
+      .setColor(0x1F6FEB)
+      .setDescription(`${book.title ? `*${book.title}*\n` : ''}**${book.countries.length}**/${book.totalCountries} countries • **${book.continents.length}** continents`)
+      .addFields(
+        { name: '🌍 Continents', value: continents.join('\n') || 'No stamps yet.', inline: false },
+        { name: '📅 Latest Stamps', value: recent.join('\n') || 'Travel somewhere new with `/travel` to earn your first stamp!', inline: false }
+      )
+      .setFooter({ text: 'Stamps come from the countries your destinations are in • QuestCord' })
+      .setTimestamp();
+
+    if (book.titles.length) {
+      embed.addFields({ name: '🏅 Titles Unlocked', value: book.titles.join('\n').slice(0, 1024), inline: false });
+    }
+    if (fresh.milestones.length) {
+      embed.addFields({
+        name: '✨ New Milestones',
+        value: fresh.milestones.map(m => `${m.pct}% of ${m.continent}${m.gems ? ` • +${m.gems} 💎` : ''}${m.title ? ` • **${m.title}**` : ''}`).join('\n'),
+        inline: false
+      });
+    }
+
+    return interaction.reply({ embeds: [embed], ephemeral: target.id === userId });
+  }
+};
@@ -1,11 +1,32 @@
 const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, StringSelectMenuBuilder, ComponentType } = require('discord.js');
 const { db } = require('../utils/store_sqlite');
-const { getAllPOIs, getPOIById, getPOIsByCategory, getNearbyPOIs, hasVisitedPOI, getUserVisitedPOIs, getUserPOIVisitCount, visitPOI, calculateDistance } = require('../utils/pois');
+const { getAllPOIs, getPOIById, getPOIsByCategory, getNearbyPOIs, hasVisitedPOI, getUserVisitedPOIs, getUserPOIVisitCount, visitPOI, calculateDistance, poiSettings, discoveryRewards, firstDiscoveryBonus, describeRewards, suggestPOI, userSuggestions } = require('../utils/pois');
 const { isBanned, regenStamina } = require('./_guard');
 const { getUserPrefix, isPremium } = require('../utils/roles');
 const config = require('../utils/config');
 const { ensurePlayerWithVehicles } = require('../utils/players');
 
+// Player-facing messages for failures reported by utils/pois
+const REASONS = {
+  invalid_name: 'Give the landmark a name (60 characters at most).',
+  invalid_coords: 'Latitude must be between -90 and 90 and longitude between -180 and 180.',
+  invalid_category: 'That is not a landmark category.',
+  invalid_description: 'That description is too long.',
+  already_suggested: 'Someone has already suggested a landmark at that spot. It is waiting for review.'
+};
+
+// Category choices and emojis come from config so new categories need no code change
+const categoryChoices = () => Object.entries(poiSettings().categories).map(([value, c]) => ({ name: c.name || value, value })).slice(0, 24);
+const categoryEmoji = (category) => poiSettings().categories[category]?.emoji || '📍';
+
+/**
+ * What a first visit pays, for list and nearby displays
+ */
+function rewardLine(poi) {
+  const bonus = firstDiscoveryBonus(poi);
+  return `💰 ${describeRewards(discoveryRewards(poi))}${bonus > 0 ? ` • 🏅 +${bonus.toLocaleString()} for the first visitor` : ''}`;
+}
+
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('poi')
@@ -19,13 +40,7 @@ module.exports = {
             .setName('category')
             .setDescription('Filter by category')
             .setRequired(false)
-            .addChoices(
-              { name: 'All', value: 'all' },
-              { name: 'Monuments', value: 'monument' },
-              { name: 'Historical Sites', value: 'historical' },
-              { name: 'Cultural Sites', value: 'cultural' },
-              { name: 'Natural Wonders', value: 'natural' }
-            )
+            .addChoices({ name: 'All', value: 'all' }, ...categoryChoices())
         )
     )
     .addSubcommand(subcommand =>
@@ -57,6 +72,23 @@ module.exports = {
       subcommand
         .setName('profile')
         .setDescription('View your POI exploration progress')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('suggest')
+        .setDescription('Suggest a new landmark for staff to add')
+        .addStringOption(option => option.setName('name').setDescription('Landmark name').setRequired(true).setMaxLength(60))
+        .addNumberOption(option => option.setName('latitude').setDescription('Latitude (-90 to 90)').setRequired(true).setMinValue(-90).setMaxValue(90))
+        .addNumberOption(option => option.setName('longitude').setDescription('Longitude (-180 to 180)').setRequired(true).setMinValue(-180).setMaxValue(180))
+        .addStringOption(option => option.setName('category').setDescription('Kind of landmark').setRequired(true).addChoices(...categoryChoices()))
+        .addStringOption(option => option.setName('country').setDescription('Country it is in').setRequired(false))
+        .addStringOption(option => option.setName('description').setDescription('What makes it worth visiting').setRequired(false).setMaxLength(300))
+        .addStringOption(option => option.setName('emoji').setDescription('Emoji to show on the map').setRequired(false))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('suggestions')
+        .setDescription('See the review status of your landmark suggestions')
     ),
 
   async autocomplete(interaction) {
@@ -103,6 +135,12 @@ module.exports = {
       case 'profile':
         await this.handleProfile(interaction, userPrefix, userId);
         break;
+      case 'suggest':
+        await this.handleSuggest(interaction, userPrefix, userId);
+        break;
+      case 'suggestions':
+        await this.handleSuggestions(interaction, userPrefix, userId);
+        break;
     }
   },
 
@@ -141,19 +179,12 @@ module.exports = {
     
     // Add fields for each category
     Object.entries(grouped).forEach(([cat, landmarks]) => {
-      const categoryEmojis = {
-        monument: '🏛️',
-        historical: '🏺',
-        cultural: '🎭',
-        natural: '🌿'
-      };
-      
       const landmarkList = landmarks.slice(0, 8).map(poi => 
-        `${poi.emoji} **${poi.name}** (${poi.country})\n💰 ${poi.discoveryReward} ${config.currencyName} reward`
+        `${poi.emoji} **${poi.name}** (${poi.country})\n${rewardLine(poi)}`
       ).join('\n\n');
       
       embed.addFields({
-        name: `${categoryEmojis[cat] || '📍'} **${cat.charAt(0).toUpperCase() + cat.slice(1)} Sites**`,
+        name: `${categoryEmoji(cat)} **${poiSettings().categories[cat]?.name || cat.charAt(0).toUpperCase() + cat.slice(1)}**`,
         value: landmarkList || 'No landmarks available',
         inline: false
       });
@@ -171,7 +202,7 @@ module.exports = {
     const landmarkId = interaction.options.getString('landmark');
     const poi = getPOIById(landmarkId);
     
-    if (!poi) {
+    if (!poi || !poi.enabled) {
       return interaction.reply({
         content: `${userPrefix} Landmark not found.`,
         ephemeral: true
@@ -237,7 +268,7 @@ module.exports = {
           },
           {
             name: '💰 **Discovery Reward**',
-            value: `+${visitResult.reward} ${config.currencyName}\nFirst visit bonus!`,
+            value: `+${describeRewards(visitResult.rewards)}\nFirst visit bonus!`,
             inline: true
           },
           {
@@ -247,6 +278,14 @@ module.exports = {
           }
         );
       
+      if (visitResult.discoverer) {
+        embed.addFields({
+          name: '🏅 **First Discoverer!**',
+          value: `Nobody has been here before you${visitResult.bonus > 0 ? ` - +${visitResult.bonus.toLocaleString()} ${config.currencyName}` : ''}. Your name is on this landmark now.`,
+          inline: false
+        });
+      }
+      
       if (poi.description) {
         embed.addFields({
           name: '📖 **About This Landmark**',
@@ -345,7 +384,7 @@ module.exports = {
       
       embed.addFields({
         name: `${poi.emoji} **${poi.name}**`,
-        value: `📍 ${poi.country}\n📏 ${distance.toFixed(0)}km away\n${status}\n💰 ${poi.discoveryReward} ${config.currencyName} reward`,
+        value: `📍 ${poi.country}\n📏 ${distance.toFixed(0)}km away\n${status}\n${rewardLine(poi)}`,
         inline: true
       });
     });
@@ -393,19 +432,12 @@ module.exports = {
       }, {});
       
       Object.entries(visitedByCategory).forEach(([category, pois]) => {
-        const categoryEmojis = {
-          monument: '🏛️',
-          historical: '🏺',
-          cultural: '🎭',
-          natural: '🌿'
-        };
-        
         const poiList = pois.slice(0, 5).map(poi => 
           `${poi.emoji} ${poi.name} (${poi.country})`
         ).join('\n');
         
         embed.addFields({
-          name: `${categoryEmojis[category] || '📍'} **${category.charAt(0).toUpperCase() + category.slice(1)} (${pois.length})**`,
+          name: `${categoryEmoji(category)} **${category.charAt(0).toUpperCase() + category.slice(1)} (${pois.length})**`,
           value: poiList + (pois.length > 5 ? `\n*...and ${pois.length - 5} more*` : ''),
           inline: true
         });
@@ -436,6 +468,86 @@ module.exports = {
     await interaction.reply({ embeds: [embed] });
   },
 
+  async handleSuggest(interaction, userPrefix, userId) {
+    const result = suggestPOI(userId, {
+      name: interaction.options.getString('name'),
+      lat: interaction.options.getNumber('latitude'),
+      lon: interaction.options.getNumber('longitude'),
+      category: interaction.options.getString('category'),
+      country: interaction.options.getString('country'),
+      description: interaction.options.getString('description'),
+      emoji: interaction.options.getString('emoji')
+    });
+    
+    if (!result.ok) {
+      let message = REASONS[result.reason] || 'Something went wrong.';
+      if (result.reason === 'too_many_pending') message = `You already have ${result.max} suggestions waiting for review. Check them with \`/poi suggestions\`.`;
+      if (result.reason === 'too_close') message = `That spot is too close to ${result.poi.emoji} **${result.poi.name}**, which is already a landmark.`;
+      return interaction.reply({ content: `${userPrefix} ${message}`, ephemeral: true });
+    }
+    
+    const { suggestion } = result;
+    const reward = poiSettings().suggestions.approvalReward;
+    const embed = new EmbedBuilder()
+      .setTitle('📮 **LANDMARK SUGGESTED**')
+      .setDescription(`${suggestion.emoji} **${suggestion.name}** has been sent to staff for review.`)
+      .setColor(0x3498DB)
+      .setAuthor({
+        name: `${userPrefix} - World Explorer`,
+        iconURL: interaction.user.displayAvatarURL()
+      })
+      .addFields(
+        {
+          name: '🗺️ **Location**',
+          value: `${suggestion.lat.toFixed(4)}, ${suggestion.lon.toFixed(4)}${suggestion.country ? `\n${suggestion.country}` : ''}`,
+          inline: true
+        },
+        {
+          name: '📂 **Category**',
+          value: `${categoryEmoji(suggestion.category)} ${poiSettings().categories[suggestion.category]?.name || suggestion.category}`,
+          inline: true
+        },
+        {
+          name: '🎁 **If Approved**',
+          value: reward ? describeRewards(reward) : 'Your name on the landmark',
+          inline: true
+        }
+      )
+      .setFooter({
+        text: `Suggestion #${suggestion.id} • Check its status with /poi suggestions`,
+        iconURL: interaction.client.user.displayAvatarURL()
+      })
+      .setTimestamp();
+    
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+  },
+
+  async handleSuggestions(interaction, userPrefix, userId) {
+    const suggestions = userSuggestions(userId, 10);
+    const statusIcons = { pending: '⏳ Pending', approved: '✅ Approved', rejected: '❌ Rejected' };
+    const lines = suggestions.map(s =>
+      `**#${s.id}** ${s.emoji || '📍'} ${s.name} - ${statusIcons[s.status] || s.status}` +
+      (s.reviewNote ? `\n> ${s.reviewNote}` : '') +
+      (s.poiId ? `\n> Now visitable as \`${s.poiId}\`` : '')
+    );
+    
+    const embed = new EmbedBuilder()
+      .setTitle('📮 **YOUR LANDMARK SUGGESTIONS**')
+      .setDescription(lines.join('\n') || 'You have not suggested any landmarks yet. Use `/poi suggest` to propose one!')
+      .setColor(0x3498DB)
+      .setAuthor({
+        name: `${userPrefix} - World Explorer`,
+        iconURL: interaction.user.displayAvatarURL()
+      })
+      .setFooter({
+        text: 'Staff review suggestions in the order they arrive • QuestCord Explorer',
+        iconURL: interaction.client.user.displayAvatarURL()
+      })
+      .setTimestamp();
+    
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+  },
+
   getExplorerRank(visited, total) {
     const percentage = (visited / total) * 100;
     
@@ -0,0 +1,209 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { db } = require('../utils/store_sqlite');
+const { getUserPrefix } = require('../utils/roles');
+const { isBanned, regenStamina } = require('./_guard');
+const { itemById } = require('../utils/items');
+const quests = require('../utils/quests');
+
+// Player-facing messages for failures reported by utils/quests
+const REASONS = {
+  unknown_quest: 'Unknown quest. Pick one from `/quest list`.',
+  already_active: 'You are already on that quest. Check it with `/quest progress`.',
+  already_completed: 'You have already completed that quest.',
+  not_active: 'You are not on that quest.',
+  no_quests: 'You have no active quests. Find one with `/quest list`.',
+  no_choice: 'That quest is not waiting on a decision right now.',
+  invalid_choice: 'That is not one of the options. Use the choice autocomplete.'
+};
+
+/**
+ * Format a reward set for display
+ */
+function describeRewards(rewards) {
+  const parts = [];
+  for (const r of rewards.filter(Boolean)) {
+    if (r.drakari > 0) parts.push(`${r.drakari.toLocaleString()} Drakari`);
+    if (r.gems > 0) parts.push(`${r.gems} 💎`);
+    for (const { id, qty = 1 } of r.items || []) parts.push(`${qty}× **${itemById(id)?.name || id}**`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * One-line objective summary with progress
+ */
+function describeObjective(details) {
+  const { step, row, target } = details;
+  if (!step) return 'Complete';
+  if (row.status === 'choosing') return `${step.description || 'Make a choice'} - choose with \`/quest progress choice:\``;
+  if (step.objective?.type === 'deliver') {
+    const held = db.prepare('SELECT qty FROM inventory WHERE userId = ? AND itemId = ?').get(row.userId, step.objective.itemId)?.qty || 0;
+    return `${step.description} (carrying ${Math.min(held, target)}/${target})`;
+  }
+  return `${step.description} (${row.progress.toLocaleString()}/${target.toLocaleString()})`;
+}
+
+/**
+ * Build the embed shown after a quest update (accept, choice, delivery)
+ */
+function updateEmbed(update, userPrefix, title) {
+  const npc = update.quest.npc || {};
+  const embed = new EmbedBuilder()
+    .setTitle(title)
+    .setColor(update.finished ? 0x00FF00 : 0xC27C0E)
+    .setAuthor({ name: `${userPrefix}` })
+    .setTimestamp();
+  if (update.dialogue.length) {
+    embed.setDescription(update.dialogue.map(line => `${npc.emoji || '💬'} **${npc.name || 'Stranger'}:** "${line}"`).join('\n\n'));
+  }
+  const rewards = describeRewards(update.rewards);
+  if (rewards) embed.addFields({ name: 'Rewards', value: rewards, inline: false });
+  return embed;
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('quest')
+    .setDescription('Story quests from NPCs around the world')
+    .addSubcommand(sc => sc.setName('list').setDescription('Show quests you can take, are on, or have finished'))
+    .addSubcommand(sc => sc.setName('accept').setDescription('Accept a quest from an NPC at your location')
+      .addStringOption(o => o.setName('quest').setDescription('Quest to accept').setRequired(true).setAutocomplete(true)))
+    .addSubcommand(sc => sc.setName('progress').setDescription('Check a quest, hand in deliveries or make a choice')
+      .addStringOption(o => o.setName('quest').setDescription('Quest to check (defaults to all active quests)').setAutocomplete(true))
+      .addStringOption(o => o.setName('choice').setDescription('Your decision, when the quest is waiting on one').setAutocomplete(true)))
+    .addSubcommand(sc => sc.setName('abandon').setDescription('Give up a quest (you can start it over later)')
+      .addStringOption(o => o.setName('quest').setDescription('Quest to abandon').setRequired(true).setAutocomplete(true))),
+
+  /**
+   * Autocomplete quests for each subcommand and choices for the selected quest
+   */
+  async autocomplete(interaction){
+    const userId = interaction.user.id;
+    const focused = interaction.options.getFocused(true);
+    const q = String(focused.value || '').toLowerCase();
+    const sub = interaction.options.getSubcommand();
+
+    if (focused.name === 'choice') {
+      const active = quests.activeQuests(userId).filter(r => r.status === 'choosing');
+      const selected = interaction.options.getString('quest');
+      const row = active.find(r => r.questId === selected) || active[0];
+      const details = row && quests.questDetails(userId, row.questId);
+      return interaction.respond((details?.choices || [])
+        .filter(c => c.label.toLowerCase().includes(q))
+        .map(c => ({ name: c.label.slice(0, 100), value: c.id })));
+    }
+
+    let options;
+    if (sub === 'accept') {
+      options = quests.listQuests(userId).available.map(def => ({
+        name: `${def.npc?.emoji || '📜'} ${def.name}${def.offeredHere ? '' : ` (offered ${def.offeredAt})`}`,
+        value: def.id
+      }));
+    } else {
+      options = quests.activeQuests(userId).map(r => {
+        const def = quests.getQuestDefinition(r.questId);
+        return { name: `${def?.npc?.emoji || '📜'} ${def?.name || r.questId}`, value: r.questId };
+      });
+    }
+    return interaction.respond(options.filter(o => o.name.toLowerCase().includes(q)).slice(0, 25).map(o => ({ ...o, name: o.name.slice(0, 100) })));
+  },
+
+  /**
+   * Main execution handler for quest command
+   *
+   * @param {CommandInteraction} interaction - Discord slash command interaction
+   */
+  async execute(interaction){
+    const userPrefix = await getUserPrefix(interaction.client, interaction.user);
+    if (isBanned(interaction.user.id)) return interaction.reply({ content: `${userPrefix} You are banned from using this bot.`, ephemeral: true });
+    regenStamina(interaction.user.id);
+
+    const sub = interaction.options.getSubcommand();
+    const userId = interaction.user.id;
+    const ensure = db.prepare('SELECT userId FROM players WHERE userId=?').get(userId);
+    if (!ensure) db.prepare('INSERT INTO players(userId, name) VALUES(?,?)').run(userId, interaction.user.username);
+
+    const fail = (result) => {
+      let message = REASONS[result.reason] || 'Something went wrong.';
+      if (result.reason === 'too_many_active') message = `You can only have ${result.max} quests active at once. Finish or abandon one first.`;
+      if (result.reason === 'prerequisites') message = `You must first complete: ${result.missing.join(', ')}.`;
+      if (result.reason === 'not_here') message = `That quest is only offered ${result.offeredAt === 'anywhere' ? 'anywhere' : `at ${result.offeredAt}`}. Travel there first.`;
+      return interaction.reply({ content: `${userPrefix} ${message}`, ephemeral: true });
+    };
+
+    if (sub === 'list') {
+      const list = quests.listQuests(userId);
+      const available = list.available.map(def =>
+        `${def.npc?.emoji || '📜'} **${def.name}** - ${def.description}\n  ${def.offeredHere ? '✅ Offered here' : `📍 Offered ${def.offeredAt === 'anywhere' ? 'anywhere' : `at ${def.offeredAt}`}`}`);
+      const active = list.active.map(def => {
+        const details = quests.questDetails(userId, def.id);
+        return `${def.npc?.emoji || '📜'} **${def.name}** - ${describeObjective(details)}`;
+      });
+      const embed = new EmbedBuilder()
+        .setTitle('📜 Quests')
+        .setColor(0xC27C0E)
+        .setAuthor({ name: `${userPrefix}` })
+        .addFields(
+          { name: `Active (${list.active.length}/${quests.questSettings().maxActive})`, value: active.join('\n') || '*None*', inline: false },
+          { name: 'Available', value: available.join('\n').slice(0, 1024) || '*None right now*', inline: false },
+          { name: 'Locked', value: list.locked.map(def => `🔒 ${def.name}`).join('\n') || '*None*', inline: true },
+          { name: 'Completed', value: list.completed.map(def => `✅ ${def.name}`).join('\n') || '*None*', inline: true }
+        )
+        .setFooter({ text: 'Accept quests with /quest accept while at the NPC\'s location • QuestCord' })
+        .setTimestamp();
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    if (sub === 'accept') {
+      const result = quests.acceptQuest(userId, interaction.options.getString('quest'));
+      if (!result.ok) return fail(result);
+      const embed = updateEmbed(result.update, userPrefix, `Quest Accepted: ${result.update.quest.name}`);
+      const details = quests.questDetails(userId, result.update.questId);
+      embed.addFields({ name: 'Objective', value: describeObjective(details), inline: false });
+      return interaction.reply({ embeds: [embed] });
+    }
+
+    if (sub === 'abandon') {
+      const result = quests.abandonQuest(userId, interaction.options.getString('quest'));
+      if (!result.ok) return fail(result);
+      return interaction.reply({ content: `${userPrefix} You abandoned **${result.quest?.name || 'the quest'}**.`, ephemeral: true });
+    }
+
+    if (sub === 'progress') {
+      const questId = interaction.options.getString('quest');
+      const choiceId = interaction.options.getString('choice');
+
+      if (choiceId) {
+        const target = questId || quests.activeQuests(userId).find(r => r.status === 'choosing')?.questId;
+        if (!target) return fail({ reason: 'no_choice' });
+        const result = quests.chooseBranch(userId, target, choiceId);
+        if (!result.ok) return fail(result);
+        const embed = updateEmbed(result.update, userPrefix, result.update.finished ? `Quest Complete: ${result.update.quest.name}` : `${result.update.quest.name}: ${result.choice.label}`);
+        if (!result.update.finished) embed.addFields({ name: 'Next', value: describeObjective(quests.questDetails(userId, target)), inline: false });
+        return interaction.reply({ embeds: [embed] });
+      }
+
+      // Hand over anything deliverable at the current location first
+      const deliveries = quests.tryDeliveries(userId);
+      const embeds = deliveries.map(update => updateEmbed(update, userPrefix, update.finished ? `Quest Complete: ${update.quest.name}` : `Delivered: ${update.quest.name}`));
+
+      const rows = questId ? [quests.getPlayerQuest(userId, questId)].filter(r => r && r.status !== 'completed') : quests.activeQuests(userId);
+      if (rows.length === 0 && embeds.length === 0) return fail({ reason: questId ? 'not_active' : 'no_quests' });
+
+      for (const row of rows.slice(0, 10 - embeds.length)) {
+        const details = quests.questDetails(userId, row.questId);
+        const npc = details.quest.npc || {};
+        const embed = new EmbedBuilder()
+          .setTitle(`${npc.emoji || '📜'} ${details.quest.name}`)
+          .setColor(0xC27C0E)
+          .setDescription(details.step?.dialogue ? `**${npc.name || 'Stranger'}:** "${details.step.dialogue}"` : details.quest.description)
+          .addFields({ name: 'Objective', value: describeObjective(details), inline: false });
+        if (details.choices.length) {
+          embed.addFields({ name: 'Choices', value: details.choices.map(c => `• **${c.label}**${c.rewards ? ` - ${describeRewards([c.rewards])}` : ''}`).join('\n'), inline: false });
+        }
+        embeds.push(embed);
+      }
+      return interaction.reply({ embeds, ephemeral: true });
+    }
+  }
+};
@@ -1,8 +1,7 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
-const { db } = require('../utils/store_sqlite');
 const { getUserPrefix, isStaffOrDev } = require('../utils/roles');
 const { getAllCountries, getCountry, findCountries, getCountriesByContinent } = require('../utils/countries');
-const { findLandPosition } = require('../utils/geo');
+const { relocationQuote, relocateServer } = require('../utils/server_admin');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -195,22 +194,21 @@ module.exports = {
   async executeRelocation(interaction, country, userPrefix) {
     const guildId = interaction.guild.id;
     
-    // Get current server data
-    const serverData = db.prepare('SELECT tokens, lat, lon, name FROM servers WHERE guildId=?').get(guildId);
-    if (!serverData) {
+    // Check the server can pay before searching for land
+    const quote = relocationQuote(guildId, country);
+    if (quote.reason === 'not_found') {
       return interaction.reply({
         content: `${userPrefix} Server not found in database. Please contact support.`,
         ephemeral: true
       });
     }
 
-    const currentTokens = serverData.tokens || 0;
     const requiredTokens = country.cost;
 
     // Check if server has enough tokens
-    if (currentTokens < requiredTokens) {
+    if (!quote.ok) {
       return interaction.reply({
-        content: `${userPrefix} Insufficient tokens! You need **${requiredTokens}** tokens to relocate to **${country.name}**, but only have **${currentTokens}**.\n\nUse \`/tokens buy\` to purchase more tokens.`,
+        content: `${userPrefix} Insufficient tokens! You need **${requiredTokens}** tokens to relocate to **${country.name}**, but only have **${quote.tokens}**.\n\nUse \`/tokens buy\` to purchase more tokens.`,
         ephemeral: true
       });
     }
@@ -218,13 +216,14 @@ module.exports = {
     await interaction.deferReply();
 
     try {
-      // Find a land position in the target country
-      console.log(`Finding land position for ${country.name} at ${country.lat}, ${country.lon}`);
-      const landPosition = await findLandPosition(country.lat, country.lon, 30);
-      
-      // Deduct tokens and update position
-      db.prepare('UPDATE servers SET tokens = tokens - ?, lat = ?, lon = ? WHERE guildId = ?')
-        .run(requiredTokens, landPosition.lat, landPosition.lon, guildId);
+      // Find a land position in the target country, then deduct tokens and move
+      const result = await relocateServer(guildId, country, interaction.user.id);
+      if (!result.ok) {
+        return interaction.editReply({
+          content: `${userPrefix} Your server no longer has the **${requiredTokens}** tokens needed to relocate to **${country.name}**.`
+        });
+      }
+      const landPosition = { lat: result.lat, lon: result.lon };
 
       // Create success embed
       const embed = new EmbedBuilder()
@@ -234,7 +233,7 @@ module.exports = {
           { name: '📍 New Location', value: country.name, inline: true },
           { name: '🌍 Continent', value: country.continent, inline: true },
           { name: '💰 Cost', value: `${requiredTokens} tokens`, inline: true },
-          { name: '🏦 Remaining Tokens', value: `${currentTokens - requiredTokens}`, inline: true },
+          { name: '🏦 Remaining Tokens', value: `${result.tokens}`, inline: true },
           { name: '🗺️ Coordinates', value: `${landPosition.lat.toFixed(4)}, ${landPosition.lon.toFixed(4)}`, inline: true }
         )
         .setFooter({ text: 'Your server is now visible on the map in its new location!' });
@@ -0,0 +1,158 @@
+const { SlashCommandBuilder, EmbedBuilder, ChannelType, PermissionFlagsBits } = require('discord.js');
+const { getUserPrefix, isStaffOrDev } = require('../utils/roles');
+const { NOTIFICATION_EVENTS, getGuildSettings, getSetting, updateSetting } = require('../utils/notifications');
+
+// Player-facing messages for failures reported by utils/notifications
+const REASONS = {
+  unknown_event: 'Unknown notification type.',
+  not_registered: 'This server is not registered with QuestCord.',
+  no_channel: 'Pick a `channel` the first time you set up this notification.',
+  invalid_hours: 'Quiet hours need both `quiet_start` and `quiet_end`, as UTC hours from 0 to 23.',
+  invalid_tier: 'The minimum boss tier must be between 1 and 5.',
+  not_set: 'That notification is not set up for this server.',
+  no_access: 'I cannot post in that channel. Give me View Channel, Send Messages and Embed Links there.'
+};
+
+const EVENT_EMOJIS = { boss: '👹', weather: '⛈️', market: '📈', arrivals: '🛬', events: '🎉' };
+
+function eventChoices() {
+  return Object.entries(NOTIFICATION_EVENTS).map(([value, name]) => ({ name, value }));
+}
+
+/**
+ * One line summary of a subscription for /settings view
+ */
+function describeSetting(event, setting) {
+  if (!setting) return 'Not set up';
+  const lines = [
+    `${setting.enabled ? '🟢 On' : '🔴 Off'} in <#${setting.channelId}>`,
+    `**Ping:** ${setting.roleId ? `<@&${setting.roleId}>` : 'nobody'}`,
+    `**Quiet hours:** ${setting.quietStart != null ? `${setting.quietStart}:00-${setting.quietEnd}:00 UTC` : 'none'}`
+  ];
+  if (event === 'boss') lines.push(`**Minimum tier:** ${setting.minBossTier}`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('settings')
+    .setDescription("Choose where this server's QuestCord notifications are posted")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand(sc => sc
+      .setName('view')
+      .setDescription('Show the notification settings for this server'))
+    .addSubcommand(sc => sc
+      .setName('set')
+      .setDescription('Set up or change a notification')
+      .addStringOption(o => o
+        .setName('event')
+        .setDescription('Notification type')
+        .setRequired(true)
+        .addChoices(...eventChoices()))
+      .addChannelOption(o => o
+        .setName('channel')
+        .setDescription('Channel to post in (required the first time)')
+        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+      .addRoleOption(o => o
+        .setName('role')
+        .setDescription('Role to ping with each notification'))
+      .addBooleanOption(o => o
+        .setName('clear_role')
+        .setDescription('Stop pinging a role'))
+      .addIntegerOption(o => o
+        .setName('quiet_start')
+        .setDescription('UTC hour quiet hours begin (0-23, same as quiet_end for none)')
+        .setMinValue(0)
+        .setMaxValue(23))
+      .addIntegerOption(o => o
+        .setName('quiet_end')
+        .setDescription('UTC hour quiet hours end (0-23)')
+        .setMinValue(0)
+        .setMaxValue(23))
+      .addIntegerOption(o => o
+        .setName('min_boss_tier')
+        .setDescription('Lowest boss tier to announce (boss alerts)')
+        .setMinValue(1)
+        .setMaxValue(5)))
+    .addSubcommand(sc => sc
+      .setName('off')
+      .setDescription('Turn a notification off (use /settings set to turn it back on)')
+      .addStringOption(o => o
+        .setName('event')
+        .setDescription('Notification type')
+        .setRequired(true)
+        .addChoices(...eventChoices()))),
+
+  async execute(interaction) {
+    const userPrefix = await getUserPrefix(interaction.client, interaction.user);
+    const subcommand = interaction.options.getSubcommand();
+    const guildId = interaction.guild?.id;
+
+    if (!guildId) {
+      return interaction.reply({ content: `${userPrefix} Use this command in a server.`, ephemeral: true });
+    }
+    if (!interaction.member.permissions.has('ManageGuild') && !await isStaffOrDev(interaction.client, interaction.user.id)) {
+      return interaction.reply({ content: `${userPrefix} Only server managers can change notification settings.`, ephemeral: true });
+    }
+
+    if (subcommand === 'view') {
+      const settings = getGuildSettings(guildId);
+      const embed = new EmbedBuilder()
+        .setTitle('🔔 Notification Settings')
+        .setDescription('Where QuestCord posts network announcements in this server. Quiet hours are in UTC.')
+        .setColor(0x5865F2)
+        .setFooter({ text: 'Use /settings set to change a notification' });
+      for (const [event, label] of Object.entries(NOTIFICATION_EVENTS)) {
+        embed.addFields({ name: `${EVENT_EMOJIS[event]} ${label}`, value: describeSetting(event, settings[event]), inline: true });
+      }
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    const event = interaction.options.getString('event', true);
+
+    if (subcommand === 'off') {
+      if (!getSetting(guildId, event)) {
+        return interaction.reply({ content: `${userPrefix} ${REASONS.not_set}`, ephemeral: true });
+      }
+      const result = updateSetting(guildId, event, { enabled: false }, interaction.user.id);
+      if (!result.ok) {
+        return interaction.reply({ content: `${userPrefix} ${REASONS[result.reason] || 'Something went wrong.'}`, ephemeral: true });
+      }
+      return interaction.reply({ content: `${userPrefix} ${NOTIFICATION_EVENTS[event]} are now off.`, ephemeral: true });
+    }
+
+    if (subcommand === 'set') {
+      const channel = interaction.options.getChannel('channel');
+      const role = interaction.options.getRole('role');
+      const quietStart = interaction.options.getInteger('quiet_start');
+      const quietEnd = interaction.options.getInteger('quiet_end');
+      const minBossTier = interaction.options.getInteger('min_boss_tier');
+
+      if (channel) {
+        const perms = channel.permissionsFor?.(interaction.guild.members.me);
+        if (!perms?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks])) {
+          return interaction.reply({ content: `${userPrefix} ${REASONS.no_access}`, ephemeral: true });
+        }
+      }
+
+      const changes = {
+        channelId: channel?.id,
+        roleId: interaction.options.getBoolean('clear_role') ? null : role?.id,
+        quietStart: quietStart ?? undefined,
+        quietEnd: quietEnd ?? undefined,
+        minBossTier: minBossTier ?? undefined,
+        enabled: true
+      };
+      const result = updateSetting(guildId, event, changes, interaction.user.id);
+      if (!result.ok) {
+        return interaction.reply({ content: `${userPrefix} ${REASONS[result.reason] || 'Something went wrong.'}`, ephemeral: true });
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle(`${EVENT_EMOJIS[event]} ${NOTIFICATION_EVENTS[event]} updated`)
+        .setDescription(describeSetting(event, result.setting))
+        .setColor(0x2ECC71);
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+  }
+};
@@ -14,8 +14,6 @@ module.exports = {
     const userId = interaction.user.id;
     try { applyRegenForUser(userId); } catch {}
 
-    try { db.prepare("ALTER TABLE players ADD COLUMN isPremium INTEGER DEFAULT 0").run(); } catch {}
-
     const row = db.prepare("SELECT health, stamina, isPremium FROM players WHERE userId=?").get(userId) || { health: 0, stamina: 0, isPremium: 0 };
     const userIsPremium = (await isPremium(interaction.client, userId)) || row.isPremium;
 
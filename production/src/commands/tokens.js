@@ -2,6 +2,7 @@ const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const { db } = require('../utils/store_sqlite');
 const config = require('../utils/config');
 const { getUserPrefix, isDev } = require('../utils/roles');
+const { adjustTokens } = require('../utils/server_admin');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -203,8 +204,7 @@ module.exports = {
       if (!exists){
         return interaction.reply({ content: `${userPrefix} Server not found: \`${gid}\``, ephemeral: true });
       }
-      db.prepare('UPDATE servers SET tokens = COALESCE(tokens,0) + ? WHERE guildId=?').run(n, gid);
-      const after = db.prepare('SELECT tokens FROM servers WHERE guildId=?').get(gid)?.tokens ?? 0;
+      const after = adjustTokens(gid, n, 'staff_add', { actorId: interaction.user.id }).tokens;
       return interaction.reply({ content: `${userPrefix} Added **${n}** token(s) to \`${gid}\`. New balance: **${after}**.`, ephemeral: false });
     }
 
@@ -222,8 +222,7 @@ module.exports = {
         return interaction.reply({ content: `${userPrefix} Server not found: \`${gid}\``, ephemeral: true });
       }
 
-      db.prepare('UPDATE servers SET tokens = MAX(0, COALESCE(tokens,0) - ?) WHERE guildId=?').run(n, gid);
-      const after = db.prepare('SELECT tokens FROM servers WHERE guildId=?').get(gid)?.tokens ?? 0;
+      const after = adjustTokens(gid, -n, 'staff_remove', { actorId: interaction.user.id }).tokens;
       return interaction.reply({ content: `${userPrefix} Removed **${n}** token(s) from \`${gid}\`. New balance: **${after}**.`, ephemeral: false });
     }
   }
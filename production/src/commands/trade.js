@@ -0,0 +1,234 @@
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
+const { db } = require('../utils/store_sqlite');
+const config = require('../utils/config');
+const { getUserPrefix } = require('../utils/roles');
+const { isBanned, regenStamina } = require('./_guard');
+const logger = require('../utils/logger');
+const { itemById, itemByNameOrId } = require('../utils/items');
+const trade = require('../utils/trade');
+
+// Player-facing messages for failures reported by utils/trade
+const REASONS = {
+  self: 'You cannot trade with yourself.',
+  initiator_busy: 'You already have an open trade. Finish or cancel it first.',
+  partner_busy: 'That player is already in another trade.',
+  not_participant: 'This is not your trade.',
+  locked: 'Your offer is locked. Unlock it to make changes.',
+  unknown_item: 'Unknown item. Use the item ID or exact name.',
+  not_tradable: 'That item cannot be traded.',
+  not_enough_items: 'You do not have enough of that item.',
+  invalid_amount: 'Enter a whole number of Drakari (0 or more).',
+  not_enough_drakari: 'You do not have that much Drakari.',
+  not_locked: 'Both players must lock their offers before confirming.',
+  empty: 'Add at least one item or some Drakari first.'
+};
+
+/**
+ * Describe one side of the trade for the embed
+ */
+function describeOffer(session, userId) {
+  const offer = session.offers[userId];
+  const lines = trade.offerItems(session, userId).map(({ itemId, qty }) => `• **${itemById(itemId)?.name || itemId}** × ${qty}`);
+  if (offer.drakari > 0) lines.push(`• **${offer.drakari.toLocaleString()}** ${config.currencyName}`);
+  const state = session.confirmed.has(userId) ? '✅ Confirmed' : session.locked.has(userId) ? '🔒 Locked' : '✏️ Editing';
+  return `${lines.length ? lines.join('\n') : '*Nothing yet*'}\n\n${state}`;
+}
+
+/**
+ * Build the trade window embed
+ */
+function buildTradeEmbed(session, users, { title = 'Trade Window', color = 0x00AE86, description } = {}) {
+  const initiator = users[session.initiatorId];
+  const partner = users[session.partnerId];
+  return new EmbedBuilder()
+    .setTitle(title)
+    .setDescription(description || `${initiator} ⇄ ${partner}\nAdd items or ${config.currencyName}, lock your offer, then both confirm.`)
+    .setColor(color)
+    .addFields(
+      { name: `${initiator.username} offers`, value: describeOffer(session, session.initiatorId), inline: true },
+      { name: `${partner.username} offers`, value: describeOffer(session, session.partnerId), inline: true }
+    )
+    .setFooter({ text: `Any change clears confirmations • Expires after ${Math.round(trade.tradeTimeoutMs() / 60000)} minutes • QuestCord` })
+    .setTimestamp();
+}
+
+/**
+ * Build the trade window buttons
+ */
+function buildTradeButtons(session, disabled = false) {
+  const bothLocked = session.locked.size === 2;
+  return [new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`trade_item_${session.id}`).setLabel('Add Item').setStyle(ButtonStyle.Secondary).setEmoji('📦').setDisabled(disabled),
+    new ButtonBuilder().setCustomId(`trade_drakari_${session.id}`).setLabel(`Set ${config.currencyName || 'Drakari'}`).setStyle(ButtonStyle.Secondary).setEmoji('💰').setDisabled(disabled),
+    new ButtonBuilder().setCustomId(`trade_lock_${session.id}`).setLabel('Lock / Unlock').setStyle(ButtonStyle.Primary).setEmoji('🔒').setDisabled(disabled),
+    new ButtonBuilder().setCustomId(`trade_confirm_${session.id}`).setLabel('Confirm').setStyle(ButtonStyle.Success).setEmoji('✅').setDisabled(disabled || !bothLocked),
+    new ButtonBuilder().setCustomId(`trade_cancel_${session.id}`).setLabel('Cancel').setStyle(ButtonStyle.Danger).setDisabled(disabled)
+  )];
+}
+
+/**
+ * Show a modal from a button press and wait for its submission
+ * @returns {Promise<ModalSubmitInteraction|null>} Submission, or null if the user closed it
+ */
+async function promptModal(buttonInteraction, modal) {
+  await buttonInteraction.showModal(modal);
+  return buttonInteraction.awaitModalSubmit({
+    time: 120000,
+    filter: m => m.customId === modal.data.custom_id && m.user.id === buttonInteraction.user.id
+  }).catch(() => null);
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('trade')
+    .setDescription('Open a trade window with another player')
+    .addUserOption(o => o.setName('user').setDescription('Player to trade with').setRequired(true)),
+
+  /**
+   * Open a trade session and drive it through button presses until it
+   * completes, is cancelled or times out
+   *
+   * @param {CommandInteraction} interaction - Discord slash command interaction
+   */
+  async execute(interaction){
+    const userPrefix = await getUserPrefix(interaction.client, interaction.user);
+    if (isBanned(interaction.user.id)) return interaction.reply({ content: `${userPrefix} You are banned from using this bot.`, ephemeral: true });
+    regenStamina(interaction.user.id);
+
+    const target = interaction.options.getUser('user');
+    if (target.bot) return interaction.reply({ content: `${userPrefix} You cannot trade with bots.`, ephemeral: true });
+    if (isBanned(target.id)) return interaction.reply({ content: `${userPrefix} That player cannot trade right now.`, ephemeral: true });
+
+    // Make sure both players have rows for balance and inventory checks
+    for (const u of [interaction.user, target]) {
+      const exists = db.prepare('SELECT userId FROM players WHERE userId=?').get(u.id);
+      if (!exists) db.prepare('INSERT INTO players(userId, name) VALUES(?,?)').run(u.id, u.username);
+    }
+
+    const created = trade.createSession({
+      initiatorId: interaction.user.id,
+      partnerId: target.id,
+      guildId: interaction.guildId,
+      channelId: interaction.channelId
+    });
+    if (!created.ok) return interaction.reply({ content: `${userPrefix} ${REASONS[created.reason]}`, ephemeral: true });
+
+    const session = created.session;
+    const users = { [interaction.user.id]: interaction.user, [target.id]: target };
+    logger.info('trade_open: %s opened trade %s with %s', interaction.user.id, session.id, target.id);
+
+    const response = await interaction.reply({
+      content: `${target}, ${interaction.user} wants to trade with you!`,
+      embeds: [buildTradeEmbed(session, users)],
+      components: buildTradeButtons(session),
+      fetchReply: true
+    });
+
+    const collector = response.createMessageComponentCollector({
+      componentType: ComponentType.Button,
+      time: trade.tradeTimeoutMs()
+    });
+
+    collector.on('collect', async (i) => {
+      try {
+        if (!users[i.user.id]) {
+          return i.reply({ content: REASONS.not_participant, ephemeral: true });
+        }
+        const action = i.customId.slice('trade_'.length, i.customId.lastIndexOf('_'));
+
+        if (action === 'cancel') {
+          trade.endSession(session.id);
+          logger.info('trade_cancel: %s cancelled trade %s', i.user.id, session.id);
+          collector.stop('cancelled');
+          return i.update({
+            content: null,
+            embeds: [buildTradeEmbed(session, users, { title: 'Trade Cancelled', color: 0xFF6B6B, description: `${i.user} cancelled the trade. Nothing was exchanged.` })],
+            components: buildTradeButtons(session, true)
+          });
+        }
+
+        if (action === 'item') {
+          const modal = new ModalBuilder()
+            .setCustomId(`trade_item_modal_${session.id}_${i.id}`)
+            .setTitle('Offer an Item')
+            .addComponents(
+              new ActionRowBuilder().addComponents(new TextInputBuilder()
+                .setCustomId('trade_item').setLabel('Item ID or name').setStyle(TextInputStyle.Short)
+                .setPlaceholder('e.g. iron_sword').setRequired(true).setMaxLength(100)),
+              new ActionRowBuilder().addComponents(new TextInputBuilder()
+                .setCustomId('trade_qty').setLabel('Quantity (0 removes it)').setStyle(TextInputStyle.Short)
+                .setPlaceholder('1').setRequired(true).setMaxLength(10))
+            );
+          const submit = await promptModal(i, modal);
+          if (!submit) return;
+
+          const item = itemByNameOrId(submit.fields.getTextInputValue('trade_item').trim());
+          const qty = parseInt(submit.fields.getTextInputValue('trade_qty'), 10);
+          if (!Number.isInteger(qty) || qty < 0) return submit.reply({ content: 'Enter a whole quantity (0 or more).', ephemeral: true });
+          const result = trade.setOfferItem(session, i.user.id, item?.id, qty);
+          if (!result.ok) return submit.reply({ content: REASONS[result.reason], ephemeral: true });
+          return submit.update({ embeds: [buildTradeEmbed(session, users)], components: buildTradeButtons(session) });
+        }
+
+        if (action === 'drakari') {
+          const modal = new ModalBuilder()
+            .setCustomId(`trade_drakari_modal_${session.id}_${i.id}`)
+            .setTitle(`Offer ${config.currencyName || 'Drakari'}`)
+            .addComponents(
+              new ActionRowBuilder().addComponents(new TextInputBuilder()
+                .setCustomId('trade_amount').setLabel('Amount (replaces your current offer)').setStyle(TextInputStyle.Short)
+                .setPlaceholder('0').setRequired(true).setMaxLength(12))
+            );
+          const submit = await promptModal(i, modal);
+          if (!submit) return;
+
+          const amount = Number(submit.fields.getTextInputValue('trade_amount').replace(/[,\s]/g, ''));
+          const result = trade.setOfferDrakari(session, i.user.id, amount);
+          if (!result.ok) return submit.reply({ content: REASONS[result.reason], ephemeral: true });
+          return submit.update({ embeds: [buildTradeEmbed(session, users)], components: buildTradeButtons(session) });
+        }
+
+        if (action === 'lock') {
+          trade.toggleLock(session, i.user.id);
+          return i.update({ embeds: [buildTradeEmbed(session, users)], components: buildTradeButtons(session) });
+        }
+
+        if (action === 'confirm') {
+          const result = trade.confirm(session, i.user.id);
+          if (!result.ok) {
+            // A failed swap names the player at fault and unlocks both sides, so refresh the window too
+            if (result.userId) {
+              await i.update({ embeds: [buildTradeEmbed(session, users)], components: buildTradeButtons(session) });
+              return i.followUp({ content: `Trade could not complete: ${REASONS[result.reason] || result.reason} Offers have been unlocked.`, ephemeral: true });
+            }
+            return i.reply({ content: REASONS[result.reason], ephemeral: true });
+          }
+          if (!result.completed) {
+            return i.update({ embeds: [buildTradeEmbed(session, users)], components: buildTradeButtons(session) });
+          }
+          collector.stop('completed');
+          return i.update({
+            content: null,
+            embeds: [buildTradeEmbed(session, users, { title: 'Trade Complete', color: 0x00FF00, description: `${users[session.initiatorId]} ⇄ ${users[session.partnerId]}\nItems and ${config.currencyName} have been exchanged.` })],
+            components: buildTradeButtons(session, true)
+          });
+        }
+      } catch (error) {
+        console.error('[trade] Button handling error:', error);
+        if (!i.replied && !i.deferred) {
+          await i.reply({ content: '❌ Error updating the trade. Please try again.', ephemeral: true }).catch(() => {});
+        }
+      }
+    });
+
+    collector.on('end', async (_collected, reason) => {
+      if (reason === 'completed' || reason === 'cancelled') return;
+      trade.endSession(session.id);
+      await interaction.editReply({
+        content: null,
+        embeds: [buildTradeEmbed(session, users, { title: 'Trade Expired', color: 0x808080, description: 'The trade window timed out. Nothing was exchanged.' })],
+        components: buildTradeButtons(session, true)
+      }).catch(() => {});
+    });
+  }
+};
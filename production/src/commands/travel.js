@@ -7,34 +7,176 @@ const { isBanned, regenStamina } = require('./_guard');
 const logger = require('../utils/logger');
 const { itemById } = require('../utils/items');
 const { ensurePlayerWithVehicles } = require('../utils/players');
-const { getAllPOIs, getPOIById, calculateDistance, hasVisitedPOI, visitPOI } = require('../utils/pois');
+const { getAllPOIs, getPOIById, calculateDistance, hasVisitedPOI, visitPOI, discoveryRewards, firstDiscoveryBonus, describeRewards } = require('../utils/pois');
+const { getTravelCompanions } = require('../utils/party');
+const { affixBonus } = require('../utils/affixes');
+const travelPlans = require('../utils/travel_plans');
+const { travelVehicle, combineVehicles, fuelCost, canAffordFuel, chargeFuel, describeFuel } = require('../utils/vehicles');
+
+// Player-facing messages for failures reported by utils/travel_plans
+const REASONS = {
+  no_stops: 'Add at least one stop to your route.',
+  too_many_stops: 'A route can have at most {max} stops.',
+  no_location: 'You need to be at a server or landmark to plan a route. Use `/travel to` first!',
+  same_stop: '**{stop}** is listed twice in a row.',
+  plan_active: 'You already have a route queued. Check it with `/travel route` or drop it with `/travel cancel`.',
+  blocked: 'Your first leg is grounded by {weather}. Try again once it passes.',
+  insufficient_gems: 'You need {needed} 💎 gems for the landmark visits on this route.',
+  out_of_range: 'Your {vehicle} can only travel {range} km per leg, and **{stop}** is further than that.',
+  insufficient_fuel: 'This route burns {fuel} of fuel, and you don\'t have enough.',
+  no_plan: 'You have no route queued.'
+};
+
+// Why a queued route ended early, shown by /travel route
+const STOP_REASONS = {
+  blocked: '⛔ Grounded by severe weather',
+  insufficient_gems: '💎 Not enough gems for the next landmark',
+  unavailable: '🚫 The next stop is no longer available',
+  out_of_range: '📏 The next stop is out of your vehicle\'s range',
+  no_fuel: '⛽ Not enough fuel for the next leg',
+  rerouted: '↪️ You travelled somewhere else'
+};
+
+const STOP_EMOJI = { server: '🌍', landmark: '🏛️', waypoint: '📍' };
+
+/**
+ * Fill {placeholders} in a REASONS message from a util result
+ */
+function reasonText(result) {
+  const text = REASONS[result.reason] || 'Something went wrong.';
+  return text.replace(/\{(\w+)\}/g, (_, key) => (key === 'stop' ? result.stop?.name : result[key]) ?? '');
+}
+
+/**
+ * Duration as "Xm Ys"
+ */
+function formatDuration(seconds) {
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+/**
+ * Travel time multiplier from travel-time affixes on equipped gear. A group
+ * only gets the smallest reduction among its members.
+ */
+function gearTravelFactor(userIds) {
+  const reduction = Math.min(...userIds.map(id => affixBonus(id, 'travelTimePct')));
+  return 1 - reduction / 100;
+}
+
+/**
+ * Work out how a group travels a distance. Companions whose own vehicle is out
+ * of range or who cannot pay its fuel stay behind; the rest move together at
+ * the slowest speed and only ignore weather every vehicle is built for.
+ *
+ * @param {Client} client - Discord client for premium checks
+ * @param {string} leaderId - Player starting the trip
+ * @param {Array<Object>} companions - Party members who would come along
+ * @param {number} distanceKm - Straight-line trip distance
+ * @returns {Promise<{error?: string, companions?: Array, travellerIds?: string[], vehicle?: Object, lead?: Object, fuel?: Object}>}
+ */
+async function prepareVehicles(client, leaderId, companions, distanceKm) {
+  const usable = async (userId) => {
+    const vehicle = await travelVehicle(client, userId);
+    const fuel = fuelCost(vehicle, distanceKm);
+    if (vehicle.rangeKm != null && distanceKm > vehicle.rangeKm) return { vehicle, fuel, error: 'range' };
+    if (!canAffordFuel(userId, fuel)) return { vehicle, fuel, error: 'fuel' };
+    return { vehicle, fuel };
+  };
+
+  const lead = await usable(leaderId);
+  if (lead.error === 'range') {
+    return { error: `Your ${lead.vehicle.name} can only travel **${lead.vehicle.rangeKm.toLocaleString()} km** per trip, and this destination is **${Math.round(distanceKm).toLocaleString()} km** away. Equip a longer-range vehicle with \`/equip\`.` };
+  }
+  if (lead.error === 'fuel') {
+    return { error: `Your ${lead.vehicle.name} needs **${describeFuel(lead.fuel)}** of fuel for this trip.` };
+  }
 
-async function vehicleSpeed(client, userId) {
-  if (await isPremium(client, userId)) {
-    return config.vehicles?.private_jet?.speedMultiplier || 3.0;
+  const going = [];
+  const fuel = { [leaderId]: lead.fuel };
+  const vehicles = [lead.vehicle];
+  for (const companion of companions) {
+    const check = await usable(companion.userId);
+    if (check.error) continue;
+    going.push(companion);
+    fuel[companion.userId] = check.fuel;
+    vehicles.push(check.vehicle);
   }
-  return config.vehicles?.plane?.speedMultiplier || 1.0;
+
+  return {
+    companions: going,
+    travellerIds: [leaderId, ...going.map(c => c.userId)],
+    vehicle: combineVehicles(vehicles),
+    lead: lead.vehicle,
+    fuel
+  };
+}
+
+/**
+ * Burn each traveller's fuel once the group has set off
+ */
+function chargeGroupFuel(fuel) {
+  for (const [userId, cost] of Object.entries(fuel)) chargeFuel(userId, cost);
+}
+
+/**
+ * Vehicle field for travel embeds
+ */
+function vehicleField(group) {
+  const lines = [`**${group.lead.name}**`, `• Speed: ${group.vehicle.speed}x multiplier`];
+  const fuel = group.fuel[group.travellerIds[0]];
+  if (fuel) lines.push(`• Fuel: ${describeFuel(fuel)}`);
+  if (group.vehicle.immunities.length) lines.push(`• Ignores: ${group.vehicle.immunities.map(e => e.replace(/_/g, ' ')).join(', ')}`);
+  return { name: '🚘 Vehicle', value: lines.join('\n'), inline: true };
+}
+
+/**
+ * Party field for travel embeds listing who came along
+ */
+function companionsField(companions) {
+  return {
+    name: '👥 Party',
+    value: `${companions.length} member${companions.length === 1 ? '' : 's'} travelling with you:\n${companions.map(c => `• ${c.name || c.userId}`).join('\n')}\nMoving at the slowest member's speed`,
+    inline: false
+  };
 }
 
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('travel')
     .setDescription('Travel to a server or famous landmark')
-    .addStringOption(o =>
-      o.setName('destination_type')
-       .setDescription('Choose destination type')
-       .setRequired(true)
-       .addChoices(
-         { name: 'Server', value: 'server' },
-         { name: 'Landmark', value: 'landmark' }
-       )
-    )
-    .addStringOption(o =>
-      o.setName('target')
-       .setDescription('Server name/ID or landmark name')
-       .setRequired(true)
-       .setAutocomplete(true)
-    ),
+    .addSubcommand(sc => sc
+      .setName('to')
+      .setDescription('Travel straight to a server or landmark')
+      .addStringOption(o =>
+        o.setName('destination_type')
+         .setDescription('Choose destination type')
+         .setRequired(true)
+         .addChoices(
+           { name: 'Server', value: 'server' },
+           { name: 'Landmark', value: 'landmark' }
+         )
+      )
+      .addStringOption(o =>
+        o.setName('target')
+         .setDescription('Server name/ID or landmark name')
+         .setRequired(true)
+         .setAutocomplete(true)
+      ))
+    .addSubcommand(sc => {
+      sc.setName('plan')
+        .setDescription('Plan a route with stopovers and queue it')
+        .addStringOption(o => o.setName('stop1').setDescription('First stop: server, landmark or waypoint').setRequired(true).setAutocomplete(true));
+      for (let i = 2; i <= 5; i++) {
+        sc.addStringOption(o => o.setName(`stop${i}`).setDescription(`Stop ${i}`).setAutocomplete(true));
+      }
+      return sc.addBooleanOption(o => o.setName('queue').setDescription('Queue the route and set off (default: just show the estimate)'));
+    })
+    .addSubcommand(sc => sc
+      .setName('route')
+      .setDescription('Show your queued route and its progress'))
+    .addSubcommand(sc => sc
+      .setName('cancel')
+      .setDescription('Drop the rest of your queued route (the current leg still lands)')),
 
   /**
    * Autocomplete handler that provides intelligent destination suggestions
@@ -56,6 +198,11 @@ module.exports = {
         FROM players WHERE userId=?
       `).get(userId) || {};
 
+      // Route stops can be planned while travelling, so handle them first
+      if (focusedOption.name.startsWith('stop')) {
+        return interaction.respond(this.stopSuggestions(userId, String(focusedValue || '')));
+      }
+
       // Prevent autocomplete suggestions if user is currently traveling
       if (player.travelArrivalAt && player.travelArrivalAt > Date.now()) {
         return interaction.respond([
@@ -176,6 +323,17 @@ module.exports = {
     // Regenerate user's stamina based on time passed since last update
     regenStamina(interaction.user.id);
     
+    // Route planning subcommands
+    const sub = interaction.options.getSubcommand();
+    if (sub === 'plan') return this.handlePlan(interaction, userPrefix);
+    if (sub === 'route') return this.handleRoute(interaction, userPrefix);
+    if (sub === 'cancel') {
+      const result = travelPlans.cancelPlan(interaction.user.id);
+      if (!result.ok) return interaction.reply({ content: `${userPrefix} ${reasonText(result)}`, ephemeral: true });
+      const left = result.plan.legs.filter(l => l.status === 'pending').length;
+      return interaction.reply({ content: `${userPrefix} Route cancelled. ${left} remaining stop${left === 1 ? '' : 's'} dropped; any leg already in the air will still land.`, ephemeral: true });
+    }
+
     // Extract command options from user input
     const destinationType = interaction.options.getString('destination_type');
     const target = interaction.options.getString('target');
@@ -190,6 +348,125 @@ module.exports = {
     }
   },
 
+  /**
+   * Autocomplete choices for route stops: the player's waypoints first, then
+   * landmarks and servers matching the input
+   *
+   * @param {string} userId - Player planning the route
+   * @param {string} query - Text typed so far
+   */
+  stopSuggestions(userId, query) {
+    const q = `%${query}%`;
+    const waypoints = db.prepare('SELECT name, serverName FROM waypoints WHERE userId = ? AND name LIKE ? ORDER BY name LIMIT 8').all(userId, q)
+      .map(w => ({ name: `${STOP_EMOJI.waypoint} ${w.name}${w.serverName ? ` (${w.serverName})` : ''}`, value: `waypoint:${w.name}` }));
+    const landmarks = getAllPOIs().filter(p => p.name.toLowerCase().includes(query.toLowerCase()) || p.country.toLowerCase().includes(query.toLowerCase())).slice(0, 8)
+      .map(p => ({ name: `${p.emoji} ${p.name} (${p.country}) • 💎${p.visitCost}`, value: `landmark:${p.id}` }));
+    const servers = db.prepare('SELECT guildId, name FROM servers WHERE archived = 0 AND name LIKE ? AND lat IS NOT NULL AND lon IS NOT NULL ORDER BY name LIMIT 9').all(q)
+      .map(sv => ({ name: `${STOP_EMOJI.server} ${sv.name}`, value: `server:${sv.guildId}` }));
+    return [...waypoints, ...landmarks, ...servers].slice(0, 25).map(c => ({ ...c, name: c.name.slice(0, 100) }));
+  },
+
+  /**
+   * Estimates a multi-stop route leg by leg and, when asked, queues it.
+   * Each leg uses the same weather, stamina and gear rules as a direct trip;
+   * the regen tick starts each following leg as the previous one lands.
+   *
+   * @param {CommandInteraction} interaction - Discord command interaction
+   * @param {string} userPrefix - User's display prefix
+   */
+  async handlePlan(interaction, userPrefix) {
+    const userId = interaction.user.id;
+    await ensurePlayerWithVehicles(interaction.client, userId, interaction.user.username, interaction.guild?.id);
+
+    const stops = [];
+    for (let i = 1; i <= 5; i++) {
+      const value = interaction.options.getString(`stop${i}`);
+      if (!value) continue;
+      const stop = travelPlans.resolveStop(userId, value);
+      if (!stop) {
+        return interaction.reply({ content: `${userPrefix} Couldn't find stop ${i} (**${value}**). Pick a server, landmark or waypoint from the list.`, ephemeral: true });
+      }
+      stops.push(stop);
+    }
+
+    const vehicle = await travelVehicle(interaction.client, userId);
+    const queue = interaction.options.getBoolean('queue') || false;
+    const result = queue ? travelPlans.queuePlan(userId, stops, vehicle) : travelPlans.estimatePlan(userId, stops, vehicle);
+    if (!result.ok) return interaction.reply({ content: `${userPrefix} ${reasonText(result)}`, ephemeral: true });
+
+    const estimate = queue ? result.estimate : result;
+    const legLines = estimate.legs.map((leg, i) => {
+      const weather = leg.blockedBy ? `⛔ ${leg.blockedBy}` : leg.weatherDescription;
+      return `**${i + 1}.** ${STOP_EMOJI[leg.to.kind] || '📍'} ${leg.to.name} • ${Math.round(leg.distanceKm)} km • ${formatDuration(leg.seconds)}\n└ ${weather}${leg.to.visitCost ? ` • 💎${leg.to.visitCost}` : ''}`;
+    });
+    const arrivesAt = Math.floor((estimate.departsAt + estimate.totalSeconds * 1000) / 1000);
+
+    const embed = new EmbedBuilder()
+      .setTitle(queue ? '🧭 Route Queued' : '🧭 Route Plan')
+      .setColor(queue ? 0x2ECC71 : 0x5865F2)
+      .setAuthor({ name: `${interaction.user.displayName} - Navigator`, iconURL: interaction.user.displayAvatarURL() })
+      .setDescription(`${userPrefix} ${estimate.legs.length} leg${estimate.legs.length === 1 ? '' : 's'} from **${estimate.legs[0].from.name}**`)
+      .addFields(
+        { name: '🗺️ Legs', value: legLines.join('\n').slice(0, 1024), inline: false },
+        { name: '⏱️ Total Time', value: `**${formatDuration(estimate.totalSeconds)}**\nDone around <t:${arrivesAt}:t>`, inline: true },
+        { name: '💰 Route Cost', value: `**${estimate.totalGems}** 💎 gems\n⚡ **${estimate.totalStamina}** stamina\n⛽ Fuel: **${describeFuel(estimate.totalFuel)}**`, inline: true }
+      );
+
+    if (estimate.legs.some(leg => leg.blockedBy)) {
+      embed.addFields({ name: '⚠️ Severe Weather', value: 'A queued route stops at any leg that is still grounded when you reach it.', inline: false });
+    }
+
+    if (queue) {
+      const started = result.started;
+      let status = `🕰️ Your route starts when your current trip lands <t:${Math.floor(estimate.departsAt / 1000)}:R>.`;
+      if (started?.ok) status = `✈️ First leg to **${started.leg.name}** has departed, landing <t:${Math.floor(started.arrival / 1000)}:R>.`;
+      else if (started) status = `${STOP_REASONS[started.reason] || '🛑 Stopped'} before the first leg could depart.`;
+      embed.addFields({ name: '🚦 Status', value: `${status}\nFollow along with \`/travel route\`.`, inline: false });
+      logger.info('travel_plan: user %s queued %s legs (est. %ss)', userId, estimate.legs.length, estimate.totalSeconds);
+    } else {
+      embed.setFooter({ text: 'Estimates only • Run again with queue:True to set off • QuestCord' });
+    }
+
+    return interaction.reply({ embeds: [embed], ephemeral: !queue });
+  },
+
+  /**
+   * Shows the player's active route, or how their last route ended
+   *
+   * @param {CommandInteraction} interaction - Discord command interaction
+   * @param {string} userPrefix - User's display prefix
+   */
+  async handleRoute(interaction, userPrefix) {
+    const plan = travelPlans.latestPlan(interaction.user.id);
+    if (!plan) {
+      return interaction.reply({ content: `${userPrefix} You have no route. Plan one with \`/travel plan\`.`, ephemeral: true });
+    }
+
+    const legIcon = { done: '✅', travelling: '✈️', blocked: '⛔', pending: '⏳' };
+    const lines = plan.legs.map(leg => {
+      const when = leg.status === 'done' ? ` • landed <t:${Math.floor(leg.arrivedAt / 1000)}:R>` : ` • ~${formatDuration(leg.estimatedSeconds)}`;
+      return `${legIcon[leg.status] || '⏳'} **${leg.seq}.** ${STOP_EMOJI[leg.kind] || '📍'} ${leg.name}${when}`;
+    });
+    const status = {
+      active: '🟢 Underway',
+      completed: '🏁 Completed',
+      cancelled: '🛑 Cancelled',
+      stopped: STOP_REASONS[plan.stopReason] || '🛑 Stopped'
+    }[plan.status] || plan.status;
+
+    const embed = new EmbedBuilder()
+      .setTitle('🧭 Your Route')
+      .setColor(plan.status === 'active' ? 0x2ECC71 : 0x95A5A6)
+      .addFields(
+        { name: '🚦 Status', value: status, inline: true },
+        { name: '⏱️ Estimated Total', value: formatDuration(plan.estimatedSeconds), inline: true },
+        { name: '🗺️ Legs', value: lines.join('\n').slice(0, 1024), inline: false }
+      )
+      .setFooter({ text: `Queued ${new Date(plan.createdAt).toUTCString()} • QuestCord` });
+
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  },
+
   /**
    * Handles landmark travel by POI ID - validates prerequisites and routes to main travel handler
    * Checks gem costs, validates landmark existence, and prepares landmark data
@@ -204,8 +481,8 @@ module.exports = {
       // Fetch landmark data from POI system
       const poi = getPOIById(landmarkId);
       
-      // Validate that the landmark exists
-      if (!poi) {
+      // Validate that the landmark exists and has not been disabled by staff
+      if (!poi || !poi.enabled) {
         return interaction.reply({
           content: `${userPrefix} Landmark not found.`,
           ephemeral: true
@@ -238,7 +515,9 @@ module.exports = {
         visitCost: poi.visitCost,          // Gem cost to visit
         emoji: poi.emoji,                  // Landmark emoji for displays
         country: poi.country,              // Country where landmark is located
-        alreadyVisited: alreadyVisited     // Whether user has visited before
+        alreadyVisited: alreadyVisited,    // Whether user has visited before
+        rewards: discoveryRewards(poi),    // Paid on a first visit
+        discoveryBonus: firstDiscoveryBonus(poi) // Paid if nobody has been there yet
       };
       
       // Route to the main landmark travel handler with prepared destination data
@@ -279,6 +558,19 @@ module.exports = {
       fromServer = db.prepare('SELECT * FROM servers WHERE guildId=? AND archived=0').get(interaction.guild?.id);
     }
     
+    // Actual distance, used for vehicle range and fuel (not weather-adjusted)
+    const distance = fromServer && fromServer.lat != null ?
+      haversine(fromServer.lat, fromServer.lon, dest.lat, dest.lon) : 0;
+
+    // Party members who opted in come along if they can pay the visit cost too,
+    // and their own vehicle can make the trip
+    const group = await prepareVehicles(interaction.client, interaction.user.id,
+      getTravelCompanions(interaction.user.id, p.locationGuildId).filter(c => (c.gems || 0) >= dest.visitCost), distance);
+    if (group.error) {
+      return interaction.reply({ content: `${userPrefix} ${group.error}`, ephemeral: true });
+    }
+    const { companions, travellerIds } = group;
+
     // Get travel configuration settings with fallback defaults
     const tcfg = config.travel || {};
     const minS = tcfg.minSeconds ?? 60;        // Minimum travel time (1 minute)
@@ -295,7 +587,7 @@ module.exports = {
       const { getWeatherEffectsForTravel, recordWeatherEncounter } = require('../utils/weather');
       if (fromServer && fromServer.lat != null) {
         // Get weather effects along the travel route
-        weatherInfo = getWeatherEffectsForTravel(fromServer.lat, fromServer.lon, dest.lat, dest.lon);
+        weatherInfo = getWeatherEffectsForTravel(fromServer.lat, fromServer.lon, dest.lat, dest.lon, group.vehicle.immunities);
         weatherTimeMultiplier = weatherInfo.timeMultiplier || 1.0;
         
         // Format weather message based on conditions encountered
@@ -317,50 +609,59 @@ module.exports = {
     if (fromServer && fromServer.lat != null) {
       // Calculate distance, using weather-adjusted route if available
       const d = weatherInfo ? weatherInfo.totalDistance : haversine(fromServer.lat, fromServer.lon, dest.lat, dest.lon);
-      // Get user's vehicle speed multiplier (premium users travel faster)
-      const mult = await vehicleSpeed(interaction.client, interaction.user.id);
+      // Get vehicle speed multiplier (parties move at the slowest member's pace)
+      const mult = group.vehicle.speed;
       // Calculate base travel time: minimum + (distance * multiplier) / vehicle speed
       let base = minS + (d * distMult) / mult;
       // Apply weather time multiplier (storms slow travel, clear skies neutral)
       base = Math.round(base * weatherTimeMultiplier);
 
-      // Get player's current stamina for travel time reduction calculation
-      const staminaRow = db.prepare('SELECT stamina FROM players WHERE userId=?').get(interaction.user.id);
-      const stamina = staminaRow?.stamina || 0;
+      // Get the group's lowest stamina for travel time reduction calculation
+      const staminaRows = travellerIds.map(id => db.prepare('SELECT stamina FROM players WHERE userId=?').get(id));
+      const stamina = Math.min(...staminaRows.map(r => r?.stamina || 0));
       // Calculate stamina-based travel time reduction (up to 50% faster with high stamina)
       const maxReduction = (config.stamina?.travelMaxReductionPct ?? 50) / 100;
       const staminaFactor = 1 - Math.min(maxReduction, stamina / 200);
-      timeSec = Math.round(base * staminaFactor);
+      timeSec = Math.round(base * staminaFactor * gearTravelFactor(travellerIds));
       // Enforce minimum and maximum travel time limits
       if (timeSec < minS) timeSec = minS;
       if (timeSec > maxS) timeSec = maxS;
       
-      // Deduct stamina cost for travel and update player record
+      // Deduct stamina cost for travel from every traveller
       const spend = config.stamina?.travelCost ?? 10;
-      const newSt = Math.max(0, stamina - spend);
-      db.prepare('UPDATE players SET stamina=?, staminaUpdatedAt=? WHERE userId=?').run(newSt, Date.now(), interaction.user.id);
+      travellerIds.forEach((id, i) => {
+        const newSt = Math.max(0, (staminaRows[i]?.stamina || 0) - spend);
+        db.prepare('UPDATE players SET stamina=?, staminaUpdatedAt=? WHERE userId=?').run(newSt, Date.now(), id);
+      });
     }
     
+    // Burn each traveller's vehicle fuel
+    chargeGroupFuel(group.fuel);
+
     // Calculate exact arrival timestamp (current time + travel duration)
     const arrival = Date.now() + timeSec * 1000;
     
-    // Deduct gem cost for landmark travel from player's balance
-    db.prepare('UPDATE players SET gems = COALESCE(gems, 0) - ? WHERE userId = ?').run(dest.visitCost, interaction.user.id);
-    
-    // Update player's travel state in database
-    // travelArrivalAt: When travel completes (future timestamp)
-    // travelStartAt: When travel began (current timestamp)
-    // locationGuildId: Set to landmark ID during travel
-    // travelFromGuildId: Remember original server for return navigation
-    db.prepare('UPDATE players SET travelArrivalAt=?, travelStartAt=?, locationGuildId=?, travelFromGuildId=? WHERE userId=?').run(
-      arrival, Date.now(), dest.guildId, fromServer ? fromServer.guildId : null, interaction.user.id
-    );
+    for (const id of travellerIds) {
+      // Deduct gem cost for landmark travel from each traveller's balance
+      db.prepare('UPDATE players SET gems = COALESCE(gems, 0) - ? WHERE userId = ?').run(dest.visitCost, id);
+
+      // Update player's travel state in database
+      // travelArrivalAt: When travel completes (future timestamp)
+      // travelStartAt: When travel began (current timestamp)
+      // locationGuildId: Set to landmark ID during travel
+      // travelFromGuildId: Remember original server for return navigation
+      db.prepare('UPDATE players SET travelArrivalAt=?, travelStartAt=?, locationGuildId=?, travelFromGuildId=? WHERE userId=?').run(
+        arrival, Date.now(), dest.guildId, fromServer ? fromServer.guildId : null, id
+      );
+    }
 
     // Record travel activity for real-time statistics
     try {
       const realtimeStats = require('../web/routes/realtime-stats');
       if (realtimeStats && realtimeStats.recordTravel) {
-        realtimeStats.recordTravel(interaction.user.id, fromServer ? fromServer.guildId : null, dest.guildId);
+        for (const id of travellerIds) {
+          realtimeStats.recordTravel(id, fromServer ? fromServer.guildId : null, dest.guildId);
+        }
       }
     } catch (statsError) {
       // Don't let stats tracking errors affect travel execution
@@ -371,13 +672,6 @@ module.exports = {
     const base = (config.web && config.web.publicBaseUrl || '').replace(/\/$/, '');
     // Check premium status for enhanced embed styling and features
     const isPremiumUser = await isPremium(interaction.client, interaction.user.id);
-    // Get speed multiplier for display in embed
-    const speedMult = await vehicleSpeed(interaction.client, interaction.user.id);
-    
-    // Calculate actual distance for display purposes (not weather-adjusted)
-    const distance = fromServer && fromServer.lat != null ? 
-      haversine(fromServer.lat, fromServer.lon, dest.lat, dest.lon) : 0;
-    
     const travelEmbed = new EmbedBuilder()
       .setTitle(`🏛️ Traveling to ${dest.name}`)
       .setDescription(`${dest.alreadyVisited ? '🔄 Returning to a familiar landmark' : '✨ Discovering a new landmark for the first time!'}`)
@@ -388,11 +682,7 @@ module.exports = {
       })
       .setThumbnail(`https://cdn.discordapp.com/emojis/${dest.emoji ? '1234567890123456789' : '1234567890123456789'}.png`)
       .addFields(
-        {
-          name: '✈️ Transportation',
-          value: `**${isPremiumUser ? 'Private Jet' : 'Commercial Flight'}**\n• Speed: ${speedMult}x multiplier`,
-          inline: true
-        },
+        vehicleField(group),
         {
           name: '🎯 Destination',
           value: `**${dest.name}** ${dest.emoji}\n🗺️ ${dest.country}`,
@@ -410,7 +700,9 @@ module.exports = {
         },
         {
           name: '🎆 Visit Status',
-          value: dest.alreadyVisited ? '✅ **Return Visit**\nFamiliar territory' : '🎆 **First Discovery**\nUncharted adventure!',
+          value: dest.alreadyVisited
+            ? '✅ **Return Visit**\nFamiliar territory'
+            : `🎆 **First Discovery**\nOn arrival: ${describeRewards(dest.rewards)}${dest.discoveryBonus > 0 ? `\n🏅 First ever visitor: +${dest.discoveryBonus.toLocaleString()} ${config.currencyName}` : ''}`,
           inline: true
         },
         {
@@ -424,6 +716,10 @@ module.exports = {
       travelEmbed.setDescription(`Traveling to ${dest.name}${weatherMessage}`);
     }
 
+    if (companions.length > 0) {
+      travelEmbed.addFields(companionsField(companions));
+    }
+
     travelEmbed.setFooter({
       text: `QuestCord • Landing in ${Math.round(timeSec / 60)} minutes`,
       iconURL: interaction.client.user.displayAvatarURL()
@@ -451,6 +747,18 @@ module.exports = {
     if (!fromServer || fromServer.lat == null) {
       fromServer = db.prepare('SELECT * FROM servers WHERE guildId=? AND archived=0').get(interaction.guild?.id);
     }
+    // Calculate distance (straight line, for vehicle range and fuel)
+    const distance = fromServer && fromServer.lat != null ?
+      haversine(fromServer.lat, fromServer.lon, dest.lat, dest.lon) : 0;
+
+    // Party members who opted in and are standing with the leader come along,
+    // if their own vehicle can make the trip
+    const group = await prepareVehicles(interaction.client, interaction.user.id, getTravelCompanions(interaction.user.id, p.locationGuildId), distance);
+    if (group.error) {
+      return interaction.reply({ content: `${userPrefix} ${group.error}`, ephemeral: true });
+    }
+    const { companions, travellerIds } = group;
+
     const tcfg = config.travel || {};
     const minS = tcfg.minSeconds ?? 60;
     const maxS = tcfg.maxSeconds ?? 600;
@@ -464,7 +772,7 @@ module.exports = {
     try {
       const { getWeatherEffectsForTravel, recordWeatherEncounter } = require('../utils/weather');
       if (fromServer && fromServer.lat != null) {
-        weatherInfo = getWeatherEffectsForTravel(fromServer.lat, fromServer.lon, dest.lat, dest.lon);
+        weatherInfo = getWeatherEffectsForTravel(fromServer.lat, fromServer.lon, dest.lat, dest.lon, group.vehicle.immunities);
         weatherTimeMultiplier = weatherInfo.timeMultiplier || 1.0;
         
         if (weatherInfo.detourRequired) {
@@ -488,31 +796,39 @@ module.exports = {
     let timeSec = minS;
     if (fromServer && fromServer.lat != null) {
       const d = weatherInfo ? weatherInfo.totalDistance : haversine(fromServer.lat, fromServer.lon, dest.lat, dest.lon);
-      const mult = await vehicleSpeed(interaction.client, interaction.user.id);
+      const mult = group.vehicle.speed;
       let base = minS + (d * distMult) / mult;
       
       // Apply weather time multiplier
       base *= weatherTimeMultiplier;
       
-      const staminaRow = db.prepare('SELECT stamina FROM players WHERE userId=?').get(interaction.user.id);
-      const stamina = staminaRow?.stamina || 0;
+      // The group is only as rested as its most tired member
+      const staminaRows = travellerIds.map(id => db.prepare('SELECT stamina FROM players WHERE userId=?').get(id));
+      const stamina = Math.min(...staminaRows.map(r => r?.stamina || 0));
       const maxReduction = (config.stamina?.travelMaxReductionPct ?? 50) / 100;
       const staminaFactor = 1 - Math.min(maxReduction, stamina / 200);
-      timeSec = Math.round(base * staminaFactor);
+      timeSec = Math.round(base * staminaFactor * gearTravelFactor(travellerIds));
       if (timeSec < minS) timeSec = minS;
       if (timeSec > maxS) timeSec = maxS;
       const spend = config.stamina?.travelCost ?? 10;
-      const newSt = Math.max(0, stamina - spend);
-      db.prepare('UPDATE players SET stamina=?, staminaUpdatedAt=? WHERE userId=?').run(newSt, Date.now(), interaction.user.id);
+      travellerIds.forEach((id, i) => {
+        const newSt = Math.max(0, (staminaRows[i]?.stamina || 0) - spend);
+        db.prepare('UPDATE players SET stamina=?, staminaUpdatedAt=? WHERE userId=?').run(newSt, Date.now(), id);
+      });
     }
+    chargeGroupFuel(group.fuel);
     const arrival = Date.now() + timeSec * 1000;
-    db.prepare('UPDATE players SET travelArrivalAt=?, travelStartAt=?, locationGuildId=?, travelFromGuildId=? WHERE userId=?').run(arrival, Date.now(), dest.guildId, fromServer ? fromServer.guildId : null, interaction.user.id);
+    for (const id of travellerIds) {
+      db.prepare('UPDATE players SET travelArrivalAt=?, travelStartAt=?, locationGuildId=?, travelFromGuildId=? WHERE userId=?').run(arrival, Date.now(), dest.guildId, fromServer ? fromServer.guildId : null, id);
+    }
 
     // Record travel activity for real-time statistics
     try {
       const realtimeStats = require('../web/routes/realtime-stats');
       if (realtimeStats && realtimeStats.recordTravel) {
-        realtimeStats.recordTravel(interaction.user.id, fromServer ? fromServer.guildId : null, dest.guildId);
+        for (const id of travellerIds) {
+          realtimeStats.recordTravel(id, fromServer ? fromServer.guildId : null, dest.guildId);
+        }
       }
     } catch (statsError) {
       // Don't let stats tracking errors affect travel execution
@@ -520,11 +836,7 @@ module.exports = {
     }
     const base = (config.web && config.web.publicBaseUrl || '').replace(/\/$/, '');
     const isPremiumUser = await isPremium(interaction.client, interaction.user.id);
-    const speedMult = await vehicleSpeed(interaction.client, interaction.user.id);
-    
-    // Calculate distance
-    const distance = fromServer && fromServer.lat != null ? 
-      haversine(fromServer.lat, fromServer.lon, dest.lat, dest.lon) : 0;
+    const speedMult = group.vehicle.speed;
     
     // Get stamina info
     const staminaRow = db.prepare('SELECT stamina FROM players WHERE userId=?').get(interaction.user.id);
@@ -540,11 +852,7 @@ module.exports = {
         iconURL: interaction.user.displayAvatarURL()
       })
       .addFields(
-        {
-          name: '✈️ Vehicle Type',
-          value: `**${isPremiumUser ? 'Private Jet 🚁' : 'Commercial Flight ✈️'}**\n${isPremiumUser ? 'Premium travel experience' : 'Standard transportation'}`,
-          inline: true
-        },
+        vehicleField(group),
         {
           name: '🎯 Destination Server',
           value: `**${dest.name}**`,
@@ -601,6 +909,10 @@ module.exports = {
       });
     }
 
+    if (companions.length > 0) {
+      travelEmbed.addFields(companionsField(companions));
+    }
+
     if (weatherMessage) {
       travelEmbed.addFields({
         name: '🌦️ Weather Conditions',
@@ -616,7 +928,7 @@ module.exports = {
       })
       .setTimestamp();
 
-    logger.info('travel_start: user %s to %s from %s (speed: %sx)', interaction.user.id, dest.guildId, fromServer?.guildId, speedMult);
+    logger.info('travel_start: user %s to %s from %s (speed: %sx, party: %s)', interaction.user.id, dest.guildId, fromServer?.guildId, speedMult, companions.length);
     await interaction.reply({ embeds: [travelEmbed] });
   }
 };
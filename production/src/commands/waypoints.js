@@ -320,7 +320,7 @@ module.exports = {
       // Use the regular travel system
       // We'll integrate with the existing travel command by redirecting
       return interaction.reply({
-        content: `${userPrefix} **Waypoint Travel:** Use \`/travel ${server.name || waypoint.guildId}\` to travel to your **${name}** waypoint!\n\n💡 *Waypoint quick-travel will be available in a future update.*`,
+        content: `${userPrefix} **Waypoint Travel:** Use \`/travel to ${server.name || waypoint.guildId}\` to travel to your **${name}** waypoint!\n\n💡 *Waypoints can also be stops on a multi-leg route with \`/travel plan\`.*`,
         ephemeral: true
       });
     }
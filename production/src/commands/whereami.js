@@ -1,6 +1,7 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const { getUserPrefix } = require('../utils/roles');
 const config = require('../utils/config');
+const { getCountryByCoordinates } = require('../utils/countries');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -73,7 +74,7 @@ module.exports = {
       let serverName = null;
       let serverData = null;
       if (destinationGuildId) {
-        serverData = db.prepare('SELECT name, biome FROM servers WHERE guildId=?').get(destinationGuildId);
+        serverData = db.prepare('SELECT name, biome, lat, lon FROM servers WHERE guildId=?').get(destinationGuildId);
         serverName = serverData?.name || null;
 
         if (!serverName) {
@@ -93,10 +94,12 @@ module.exports = {
       const displayName = serverName || `Server (${destinationGuildId})`;
       const biome = serverData?.biome || 'Unknown Biome';
       
-      // Get region info from guild location if available, or use a default
-      const region = interaction.guild?.preferredLocale ? 
-        interaction.guild.preferredLocale.split('-')[1]?.toUpperCase() || 'Unknown Region' : 
-        'Unknown Region';
+      // Country and continent from the server's position on the map
+      const country = serverData?.lat != null && serverData?.lon != null
+        ? getCountryByCoordinates(serverData.lat, serverData.lon)
+        : null;
+      const countryName = country?.name || (serverData?.lat != null ? 'International Waters' : 'Unknown Country');
+      const region = country?.continent || 'Unknown Region';
       
       const locationEmbed = new EmbedBuilder()
         .setTitle(`🏛️ ${userPrefix} Current Location`)
@@ -112,6 +115,11 @@ module.exports = {
             value: `**${displayName}**`,
             inline: true
           },
+          {
+            name: '🗺️ Country',
+            value: `**${countryName}**`,
+            inline: true
+          },
           {
             name: '📍 Region',
             value: `**${region}**`,
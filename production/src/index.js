@@ -11,6 +11,8 @@ const { placeOnSpiral, findLandPosition, checkAndFixWaterServers, findNonCollidi
 const logger = require('./utils/logger');
 const config = require('./utils/config');
 const { logBotStartup, logError, logBotShutdown, logCommandError } = require('./utils/webhook_safe');
+const { hitLimit } = require('./utils/shared_store');
+const { startLeaderElection, stepDown, shardLabel } = require('./utils/cluster');
 
 const client = new Client({
   intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMembers],
@@ -25,31 +27,12 @@ for (const f of cmdFiles) {
   if (cmd.data) client.commands.set(cmd.data.name, cmd);
 }
 
-const buckets = new Map();
-
-// Cleanup expired rate limiting buckets every 10 minutes to prevent memory leaks
-setInterval(() => {
-  const now = Date.now();
-  for (const [userId, bucket] of buckets.entries()) {
-    if (now > bucket.reset) {
-      buckets.delete(userId);
-    }
-  }
-}, 600000); // Clean every 10 minutes
-
+// Command cooldown, counted in the shared store so it holds across shards
 function hit(userId) {
-  const now = Date.now();
   const lim = config.security?.commandRate || { max: 12, perMs: 10000 };
   const max = lim.max ?? 12;
   const perMs = lim.perMs ?? 10000;
-  const b = buckets.get(userId) || { count: 0, reset: now + perMs };
-  if (now > b.reset) {
-    b.count = 0;
-    b.reset = now + perMs;
-  }
-  b.count++; // Increment command count
-  buckets.set(userId, b); // Update user's bucket
-  return b.count <= max; // Return true if under limit, false if over
+  return hitLimit(`cmd:${userId}`, max, perMs).allowed; // Return true if under limit, false if over
 }
 
 // ============================================================================
@@ -73,7 +56,7 @@ async function autoPlaceIfNeeded(guildId) {
         { lat: 0, lon: 0 };
       
       // Use collision-aware placement to avoid placing servers on water or too close to others
-      const pos = await findNonCollidingLandPosition(center.lat, center.lon, db);
+      const pos = await findNonCollidingLandPosition(center.lat, center.lon, db, 100, guildId);
       const biome = require('./web/util').assignBiomeDeterministic(guildId); // Assign biome based on guild ID
       
       // Update database with new coordinates and biome
@@ -143,7 +126,11 @@ module.exports = { updateBossStatus }; // Make updateBossStatus available to oth
 // Handles all system initialization including commands, databases, and background services
 
 client.once(Events.ClientReady, async () => {
-  logger.info(`[bot] Logged in as ${client.user.tag}`);
+  // When sharded (src/shards.js) this process is one of several; the launcher
+  // runs the web server and the shards elect a leader for world-wide jobs
+  const shard = shardLabel(client);
+  logger.info(`[bot] Logged in as ${client.user.tag}${shard ? ` (${shard})` : ''}`);
+  startLeaderElection(); // Boss spawns, weather and the weekly reset run on the leader only
   
   // Log bot startup to Discord webhook for monitoring
   try {
@@ -155,39 +142,141 @@ client.once(Events.ClientReady, async () => {
   
   // Auto-deploy slash commands on startup
   // This registers all bot commands with Discord so users can see and use them
-  try {
-    logger.info('[deploy] Deploying slash commands...');
-    require('../scripts/deploy-commands'); // Run deployment script
-    logger.info('[deploy] Slash commands deployed successfully');
-  } catch (error) {
-    console.error('[deploy] Failed to deploy slash commands:', error.message); // Log deployment failure
-    await logError(error, 'Slash command deployment failed'); // Send error to webhook
+  // (once per deployment: only the process holding shard 0 does it when sharded)
+  if (!client.shard || client.shard.ids.includes(0)) {
+    try {
+      logger.info('[deploy] Deploying slash commands...');
+      require('../scripts/deploy-commands'); // Run deployment script
+      logger.info('[deploy] Slash commands deployed successfully');
+    } catch (error) {
+      console.error('[deploy] Failed to deploy slash commands:', error.message); // Log deployment failure
+      await logError(error, 'Slash command deployment failed'); // Send error to webhook
+    }
   }
   
+  // Background jobs run through the scheduler (utils/scheduler), which keeps
+  // their last and next runs in the database, catches up runs missed while
+  // offline and never runs a job twice at once. Jobs registered here start
+  // once startScheduler() is called after the boss spawner is set up.
+  const { registerJob, startScheduler } = require('./utils/scheduler'); // Import job scheduler
+
   // Initialize boss status tracking
   // Updates bot's Discord presence to show active boss count
-  updateBossStatus(); // Update status immediately
-  setInterval(updateBossStatus, 30000); // Update every 30 seconds
+  // Presence is per shard, so each shard process has its own job
+  registerJob(shard ? `boss-status:${shard}` : 'boss-status', {
+    schedule: '@every 30s', // Update every 30 seconds
+    runOnStart: true,
+    description: 'Show the active boss in the bot presence',
+    run: updateBossStatus
+  });
   
   // Initialize regeneration system (handles travel completion and stats recording)
   // This system processes player health/stamina regeneration and completes travel
   const { applyRegenToAll } = require('./utils/regen'); // Import regeneration functions
-  applyRegenToAll(); // Run once on startup to process any pending travels
-  setInterval(applyRegenToAll, 60000); // Run every 60 seconds continuously
+  registerJob('regen', {
+    schedule: '@every 60s', // Run every 60 seconds continuously
+    runOnStart: true, // Process any travels that landed while the bot was offline
+    description: 'Regenerate health and stamina, complete travel',
+    run: () => applyRegenToAll(client)
+  });
   logger.info('[regen] Batch regeneration system started - travel completion and stats recording active');
+
+  // Initialize player DM notifications
+  // Delivers queued travel, craft, market, boss and challenge alerts players opted into with /notify
+  const { flushNotificationQueue } = require('./utils/player_notifications'); // Import DM queue
+  registerJob('player-notifications', {
+    schedule: `@every ${config.playerNotifications?.flushSeconds ?? 15}s`, // Deliver queued DMs in batches
+    description: 'Send queued player DMs',
+    run: () => flushNotificationQueue(client)
+  });
+  logger.info('[notify] Player DM queue started - batched delivery with retries');
+
+  // Initialize outbound webhooks
+  // Delivers game events to endpoints registered from the dashboard and developer page
+  const { flushWebhookDeliveries } = require('./utils/outbound_webhooks'); // Import webhook delivery queue
+  registerJob('outbound-webhooks', {
+    schedule: `@every ${config.outboundWebhooks?.flushSeconds ?? 10}s`, // Send queued deliveries with retries
+    description: 'Send queued webhook deliveries',
+    run: () => flushWebhookDeliveries()
+  });
+  logger.info('[webhooks] Outbound webhook delivery started - signed, retried with backoff');
   
   // Initialize weather system
   // Creates dynamic weather that affects travel times and routes
-  const { initializeWeatherSystem, generateWeatherEvents } = require('./utils/weather'); // Import weather functions
-  initializeWeatherSystem(); // Setup database tables for weather data
-  generateWeatherEvents(client); // Generate initial weather events
-  setInterval(() => generateWeatherEvents(client), 5 * 60 * 1000); // Generate new weather every 5 minutes
+  const { generateWeatherEvents } = require('./utils/weather'); // Import weather functions (tables come from migrations)
+  registerJob('weather-generate', {
+    schedule: '*/5 * * * *', // Generate new weather every 5 minutes
+    runOnStart: true, // Generate initial weather events
+    leaderOnly: true,
+    description: 'Generate weather events',
+    run: () => generateWeatherEvents(client)
+  });
   logger.info('[weather] Dynamic weather system initialized - storms, cyclones, and weather effects active');
 
+  // Initialize seasonal events
+  // Announces events as they start and winds them down when they end
+  const { runSeasonalEventLifecycle } = require('./utils/seasonal_events'); // Import seasonal event lifecycle
+  registerJob('seasonal-events', {
+    schedule: '@every 60s', // Check every 60 seconds
+    runOnStart: true, // Catch up on events that started or ended while offline
+    leaderOnly: true,
+    description: 'Start and wind down seasonal events',
+    run: () => runSeasonalEventLifecycle(client)
+  });
+  logger.info('[events] Seasonal event lifecycle started - bosses, drops, currency and shop follow event dates');
+
+  // Initialize travel encounters
+  // Rolls random events for players in the air and lapses unanswered ones on landing
+  const { rollTravelEncounters } = require('./utils/encounters'); // Import encounter functions
+  registerJob('travel-encounters', {
+    schedule: '@every 60s', // Roll every 60 seconds
+    description: 'Roll travel encounters',
+    run: () => rollTravelEncounters(client)
+  });
+  logger.info('[encounters] Travel encounter system started - bandits, merchants, caches and mishaps active');
+
+  // Initialize market order expiry
+  // Closes expired buy orders and refunds their escrowed Drakari
+  const { expireBuyOrders, notifyMarketHighlights } = require('./utils/market'); // Import market order book functions
+  registerJob('market-order-expiry', {
+    schedule: '@every 60s', // Check every 60 seconds
+    runOnStart: true, // Refund anything that expired while the bot was offline
+    description: 'Expire buy orders and refund escrow',
+    run: () => expireBuyOrders()
+  });
+  logger.info('[market] Buy order expiry started - escrow refunded on expiry');
+
+  // Initialize market highlights
+  // Announces the biggest trades to servers subscribed with /settings
+  registerJob('market-highlights', {
+    schedule: '*/15 * * * *', // Every 15 minutes
+    runOnStart: true, // Sets the starting point, announces nothing
+    leaderOnly: true, // The starting point is kept in memory, so one process announces
+    description: 'Announce the biggest trades',
+    run: () => notifyMarketHighlights(client)
+  });
+
+  // Initialize duel challenge expiry
+  // Closes unanswered duel challenges and refunds the challenger's wager
+  const { expireChallenges } = require('./utils/duels'); // Import duel functions
+  registerJob('duel-expiry', {
+    schedule: '@every 60s', // Check every 60 seconds
+    runOnStart: true, // Refund challenges left open while the bot was offline
+    description: 'Expire duel challenges and refund wagers',
+    run: () => expireChallenges()
+  });
+  logger.info('[duels] Challenge expiry started - wagers refunded on expiry');
+
   // Initialize weekly reset system
   // Resets leaderboards and statistics every Monday at 12:00 AM
-  const { initializeWeeklyReset } = require('./utils/weekly_reset'); // Import weekly reset functions
-  initializeWeeklyReset(); // Setup weekly reset scheduler
+  const { runWeeklyResetIfDue } = require('./utils/weekly_reset'); // Import weekly reset functions
+  registerJob('weekly-reset', {
+    schedule: '0 0 * * 1', // Monday at midnight, server time
+    runOnStart: true, // Perform a reset missed while offline
+    leaderOnly: true,
+    description: 'Weekly leaderboard and statistics reset',
+    run: runWeeklyResetIfDue
+  });
   logger.info('[weekly-reset] Weekly reset system initialized - data resets every Monday at midnight');
   
   // Initialize POI (Points of Interest) system with famous landmarks
@@ -231,45 +320,33 @@ client.once(Events.ClientReady, async () => {
     }, 10000); // Wait 10 seconds for bot to be fully ready
   }
   
-  // Initialize automatic boss spawning system with randomized 4-6 hour intervals
-  const { initializeBossSpawner, runBossSpawningCycle, getNextSpawnInterval, cleanupExpiredBosses, cleanupOrphanedBossFighterRoles } = require('./utils/boss_spawner');
-  initializeBossSpawner(); // Setup boss spawning system
-  
-  // Startup cleanup: Clean up any expired bosses and orphaned roles from previous session
-  logger.info('[boss_spawner] Running startup cleanup...');
-  
+  // Initialize automatic boss spawning system
+  const { runBossSpawningCycle, getNextSpawnInterval, cleanupOrphanedBossFighterRoles } = require('./utils/boss_spawner');
+
+  // Startup cleanup: each shard removes orphaned boss roles from its own guilds
+  // (expired bosses are cleared by the leader's first spawn cycle below)
   // Add a small delay to ensure bot is fully ready and guilds are cached
   setTimeout(async () => {
     try {
-      const expiredCount = await cleanupExpiredBosses(client); // Clean up expired bosses and database records
       await cleanupOrphanedBossFighterRoles(client); // Clean up orphaned Discord roles
-      logger.info(`[boss_spawner] Startup cleanup completed - cleaned up ${expiredCount} expired bosses and orphaned roles`);
+      logger.info('[boss_spawner] Startup cleanup completed - orphaned boss roles removed');
     } catch (error) {
       console.warn('[boss_spawner] Startup cleanup failed:', error.message);
     }
   }, 5000); // Wait 5 seconds for bot to be fully ready
   
-  // Initial spawn cycle will be run async without blocking startup
-  runBossSpawningCycle(client).catch(err => console.warn('[boss_spawner] Initial spawn cycle failed:', err.message)); // Run initial spawn cycle
-  
-  // Set up randomized spawning intervals
-  function scheduleNextBossSpawn() {
-    const nextInterval = getNextSpawnInterval(); // 1 hour intervals
-    const hoursFromNow = (nextInterval / (1000 * 60 * 60)).toFixed(1);
-    logger.info(`[boss_spawner] Next boss spawn scheduled in ${hoursFromNow} hours`);
-    
-    setTimeout(async () => {
-      try {
-        await runBossSpawningCycle(client);
-      } catch (error) {
-        console.warn('[boss_spawner] Scheduled spawn cycle failed:', error.message);
-      }
-      scheduleNextBossSpawn(); // Schedule the next one
-    }, nextInterval);
-  }
-  
-  scheduleNextBossSpawn(); // Start the randomized scheduling
+  // Spawn cycles run on the scheduler, starting with one at startup.
+  // Each cycle first clears expired bosses, so the leader also does the startup cleanup.
+  registerJob('boss-spawn', {
+    schedule: `@every ${Math.round(getNextSpawnInterval() / 60000)}m`, // 1 hour intervals
+    runOnStart: true,
+    leaderOnly: true,
+    description: 'Boss spawning cycle',
+    run: () => runBossSpawningCycle(client)
+  });
   logger.info('[boss_spawner] Automatic boss spawning system initialized - 1 hour intervals with chance-based spawning (all servers eligible)');
+
+  startScheduler(); // Run the jobs registered above; jobs registered later join on the next tick
   
   for (const [id, guild] of client.guilds.cache) {
     const iconUrl = guild.iconURL({ extension: 'png', size: 64 });
@@ -285,31 +362,30 @@ client.once(Events.ClientReady, async () => {
   createAutoPlacementIfMissing().catch(console.error);
   
   // Check for servers in water and fix them automatically
-  try {
-    logger.info('Starting water check...');
-    await checkAndFixWaterServers(db);
-  } catch (error) {
-    console.error('Water check failed:', error.message);
-  }
+  // (registered after the placement loop above, so its first run sees every new server)
+  registerJob('water-check', {
+    schedule: '@daily',
+    runOnStart: true,
+    leaderOnly: true,
+    description: 'Move servers placed in water back onto land',
+    run: () => checkAndFixWaterServers(db)
+  });
   
   // Create web server and pass the Discord client for real-time stats
-  const webServerResult = createWebServer();
-  if (webServerResult && webServerResult.app) {
-    webServerResult.app.locals.discordClient = client;
+  // (sharded deployments run it in the launcher instead)
+  if (!client.shard) {
+    const webServerResult = createWebServer();
+    if (webServerResult && webServerResult.app) {
+      webServerResult.app.locals.discordClient = client;
+    }
   }
 
   // Start periodic uptime status recording
-  setInterval(() => {
-    try {
-      const realtimeStats = require('./web/routes/realtime-stats');
-      if (realtimeStats && realtimeStats.recordUptimeStatus) {
-        // Record online status every 5 minutes
-        realtimeStats.recordUptimeStatus('online', 0);
-      }
-    } catch (error) {
-      console.warn('Failed to record periodic uptime status:', error.message);
-    }
-  }, 5 * 60 * 1000); // Record every 5 minutes
+  registerJob('uptime-record', {
+    schedule: '*/5 * * * *', // Record online status every 5 minutes
+    description: 'Record uptime for the status page',
+    run: () => require('./web/routes/realtime-stats').recordUptimeStatus('online', 0)
+  });
 
   // Ensure all guilds have a biome assigned
   try {
@@ -334,7 +410,7 @@ client.on(Events.GuildCreate, async (guild) => {
     const center = process.env.SPAWN_GUILD_ID ? db.prepare('SELECT lat, lon FROM servers WHERE guildId=?').get(process.env.SPAWN_GUILD_ID) || { lat: 0, lon: 0 } : { lat: 0, lon: 0 };
     
     // Use collision-aware land placement
-    const pos = await findNonCollidingLandPosition(center.lat, center.lon, db);
+    const pos = await findNonCollidingLandPosition(center.lat, center.lon, db, 100, guild.id);
     const biome = require('./web/util').assignBiomeDeterministic(guild.id);
     
     db.prepare('UPDATE servers SET lat=?, lon=?, biome=? WHERE guildId=?').run(pos.lat, pos.lon, biome, guild.id);
@@ -422,9 +498,16 @@ client.on(Events.InteractionCreate, async (interaction) => {
         return;
       }
       
+      // Handle travel encounter choices (delivered by DM, so no command collector)
+      if (interaction.customId.startsWith('encounter_')) {
+        const { handleEncounterButton } = require('./utils/encounters');
+        return await handleEncounterButton(interaction);
+      }
+
       // Handle quick sell buttons
       if (interaction.customId.startsWith('quick_sell_')) {
-        const itemId = interaction.customId.replace('quick_sell_', '');
+        // A specific gear copy is sold as quick_sell_<itemId>:<instanceId>
+        const [itemId, instanceId] = interaction.customId.replace('quick_sell_', '').split(':');
         const { itemById } = require('./utils/items');
         const item = itemById(itemId);
         
@@ -434,8 +517,8 @@ client.on(Events.InteractionCreate, async (interaction) => {
         
         // Create modal for price input
         const modal = new ModalBuilder()
-          .setCustomId(`sell_modal_${itemId}`)
-          .setTitle(`Sell ${item.name}`);
+          .setCustomId(instanceId ? `sell_modal_${itemId}:${instanceId}` : `sell_modal_${itemId}`)
+          .setTitle(`Sell ${item.name}`.slice(0, 45));
         
         // Price input
         const priceInput = new TextInputBuilder()
@@ -471,7 +554,9 @@ client.on(Events.InteractionCreate, async (interaction) => {
         const qtyRow = new ActionRowBuilder().addComponents(qtyInput);
         const durationRow = new ActionRowBuilder().addComponents(durationInput);
         
-        modal.addComponents(priceRow, qtyRow, durationRow);
+        // A single gear copy has no quantity to choose
+        if (instanceId) modal.addComponents(priceRow, durationRow);
+        else modal.addComponents(priceRow, qtyRow, durationRow);
         
         await interaction.showModal(modal);
         return;
@@ -481,9 +566,10 @@ client.on(Events.InteractionCreate, async (interaction) => {
     // Handle modal submissions
     if (interaction.isModalSubmit()) {
       if (interaction.customId.startsWith('sell_modal_')) {
-        const itemId = interaction.customId.replace('sell_modal_', '');
+        const [itemId, instancePart] = interaction.customId.replace('sell_modal_', '').split(':');
+        const instanceId = instancePart ? parseInt(instancePart, 10) : null;
         const price = parseInt(interaction.fields.getTextInputValue('sell_price'));
-        const qty = parseInt(interaction.fields.getTextInputValue('sell_quantity'));
+        const qty = instanceId ? 1 : parseInt(interaction.fields.getTextInputValue('sell_quantity'));
         const duration = interaction.fields.getTextInputValue('sell_duration');
         
         // Validate inputs
@@ -560,14 +646,30 @@ client.on(Events.InteractionCreate, async (interaction) => {
             });
           }
           
-          // Deduct items from inventory and listing fee
-          db.prepare('UPDATE inventory SET qty=qty-? WHERE userId=? AND itemId=?').run(qty, interaction.user.id, itemId);
-          db.prepare('DELETE FROM inventory WHERE qty<=0').run();
-          db.prepare('UPDATE players SET drakari=drakari-? WHERE userId=?').run(actualFee, interaction.user.id);
-          
-          // Create market listing
-          const info = db.prepare('INSERT INTO market_listings(sellerId,itemId,qty,price,expiresAt) VALUES(?,?,?,?,?)').run(interaction.user.id, itemId, qty, price, actualExpires);
-          logger.info('market_list: user %s listed %s x%s for %s', interaction.user.id, itemId, qty, price);
+          // Create the listing, hand gear copies to it, then deduct items and listing fee
+          const { holdForListing } = require('./utils/gear');
+          const createListing = db.transaction(() => {
+            const created = db.prepare('INSERT INTO market_listings(sellerId,itemId,qty,price,expiresAt) VALUES(?,?,?,?,?)').run(interaction.user.id, itemId, qty, price, actualExpires);
+            // Gear copies must be picked while the seller still owns them
+            if (!holdForListing(interaction.user.id, itemId, qty, created.lastInsertRowid, instanceId)) {
+              throw new Error('listed copy is no longer owned');
+            }
+            db.prepare('UPDATE inventory SET qty=qty-? WHERE userId=? AND itemId=?').run(qty, interaction.user.id, itemId);
+            db.prepare('DELETE FROM inventory WHERE qty<=0').run();
+            db.prepare('UPDATE players SET drakari=drakari-? WHERE userId=?').run(actualFee, interaction.user.id);
+            return created;
+          });
+          let info;
+          try {
+            info = createListing();
+          } catch (error) {
+            return interaction.reply({ content: `${userPrefix} You no longer have that item.`, ephemeral: true });
+          }
+          logger.info('market_list: user %s listed %s x%s for %s%s', interaction.user.id, itemId, qty, price, instanceId ? ` (copy ${instanceId})` : '');
+
+          // Fill against any standing buy orders before the listing hits the book
+          const { matchListing, marketTaxPct } = require('./utils/market');
+          const match = matchListing(info.lastInsertRowid);
           
           // Create success embed
           const listingEmbed = new EmbedBuilder()
@@ -602,10 +704,18 @@ client.on(Events.InteractionCreate, async (interaction) => {
               },
               {
                 name: '**Sale Tax**',
-                value: `${config.marketTaxPct}% on sale\n(${Math.floor(price * (config.marketTaxPct/100)).toLocaleString()} ${config.currencyName})`,
+                value: `${marketTaxPct()}% on sale\n(${Math.floor(price * (marketTaxPct()/100)).toLocaleString()} ${config.currencyName})`,
                 inline: true
               }
             );
+
+          if (match.filledQty > 0) {
+            listingEmbed.addFields({
+              name: '**Buy Orders Filled**',
+              value: `${match.filledQty} sold instantly to ${match.fills.length} buy order(s)\nYou received ${match.earned.toLocaleString()} ${config.currencyName} after tax${match.remainingQty > 0 ? `\n${match.remainingQty} still listed` : '\nListing complete'}`,
+              inline: false
+            });
+          }
             
           listingEmbed.setFooter({ 
             text: `${isPremiumUser ? 'Premium listings get priority display' : 'Use /market browse to see all listings'} • QuestCord`,
@@ -705,6 +815,7 @@ process.on('unhandledRejection', async (reason, promise) => {
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
   logger.info('\nReceived SIGINT. Graceful shutdown initiated...');
+  stepDown(); // Let another shard take over as leader straight away
   try {
     await logBotShutdown('Manual shutdown (SIGINT)');
     logger.info('Shutdown logged to Discord');
@@ -716,6 +827,7 @@ process.on('SIGINT', async () => {
 
 process.on('SIGTERM', async () => {
   logger.info('\nReceived SIGTERM. Graceful shutdown initiated...');
+  stepDown(); // Let another shard take over as leader straight away
   try {
     await logBotShutdown('System shutdown (SIGTERM)');
     logger.info('Shutdown logged to Discord');
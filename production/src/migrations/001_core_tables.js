@@ -0,0 +1,121 @@
+/**
+ * MIGRATION 001 - Core game tables
+ *
+ * Servers, players, bosses, inventory and boss participants, plus the columns
+ * that were bolted onto them before the migration system existed. Statements
+ * are idempotent so databases created by the old ad-hoc initializer adopt
+ * this migration without changes.
+ */
+
+const { addColumnIfMissing } = require('../utils/migrations');
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS servers (
+      guildId TEXT PRIMARY KEY,        -- Discord guild ID (unique identifier)
+      name TEXT,                       -- Discord server name for display
+      lat REAL,                        -- Latitude coordinate for server location
+      lon REAL,                        -- Longitude coordinate for server location
+      ownerId TEXT,                    -- Discord user ID of server owner
+      addedAt INTEGER,                 -- Unix timestamp when server was registered
+      lastBossAt INTEGER DEFAULT 0,    -- Timestamp of last boss spawn for cooldown
+      iconUrl TEXT,                    -- Discord server icon URL for display
+      discoverable INTEGER DEFAULT 1,  -- Whether server appears in discovery (0/1 boolean)
+      archived INTEGER DEFAULT 0,      -- Whether server is archived/inactive (0/1 boolean)
+      archivedAt INTEGER,              -- Timestamp when server was archived
+      archivedBy TEXT,                 -- User ID who archived the server
+      biome TEXT,                      -- Environmental biome type (affects gameplay)
+      tokens INTEGER DEFAULT 1,        -- Server tokens for premium features/unlocks
+      isBanned INTEGER DEFAULT 0,      -- Whether server is banned (0/1 boolean)
+      banReason TEXT,                  -- Reason for server ban if applicable
+      bannedAt INTEGER                 -- Timestamp when server was banned
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS players (
+      userId TEXT PRIMARY KEY,            -- Discord user ID (unique identifier)
+      name TEXT,                          -- Discord username for display
+      drakari INTEGER DEFAULT 0,          -- Primary game currency (coins/gold)
+      locationGuildId TEXT,               -- Current server/location player is at
+      travelArrivalAt INTEGER DEFAULT 0,  -- Timestamp when current travel completes
+      travelFromGuildId TEXT,             -- Server ID where travel originated from
+      travelStartAt INTEGER DEFAULT 0,    -- Timestamp when current travel began
+      vehicle TEXT,                       -- Currently equipped vehicle (plane, jet, etc.)
+      health INTEGER DEFAULT 100,         -- Current health points (0-100+ with bonuses)
+      stamina INTEGER DEFAULT 100,        -- Current stamina points (0-100+ with bonuses)
+      staminaUpdatedAt INTEGER DEFAULT 0, -- Last timestamp stamina was calculated
+      gems INTEGER DEFAULT 0,             -- Premium currency for special purchases
+      loginStreak INTEGER DEFAULT 0,      -- Consecutive days logged in for bonuses
+      lastLoginAt INTEGER DEFAULT 0,      -- Timestamp of last daily login
+      serversVisited INTEGER DEFAULT 0,   -- Total count of unique servers visited
+      bossKills INTEGER DEFAULT 0,        -- Total boss fights participated in
+      itemsCrafted INTEGER DEFAULT 0,     -- Total items crafted for achievements
+      banned INTEGER DEFAULT 0,           -- Whether player is banned (0/1 boolean)
+      banReason TEXT,                     -- Reason for ban if applicable
+      bannedAt INTEGER                    -- Timestamp when player was banned
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS bosses (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, -- Unique boss encounter ID
+      guildId TEXT,                         -- Server where boss spawned
+      name TEXT,                            -- Boss creature name for display
+      maxHp INTEGER,                        -- Boss maximum health points
+      hp INTEGER,                           -- Current health remaining
+      startedAt INTEGER,                    -- Timestamp when boss spawned
+      expiresAt INTEGER,                    -- Timestamp when boss expires
+      active INTEGER DEFAULT 1,             -- Whether boss is still active (0/1 boolean)
+      tier INTEGER DEFAULT 1                -- Boss difficulty tier (affects rewards)
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS inventory (
+      userId TEXT,                          -- Discord user ID who owns the items
+      itemId TEXT,                          -- Unique identifier for item type
+      qty INTEGER,                          -- Quantity of this item owned
+      PRIMARY KEY (userId, itemId)          -- Composite key: one row per user-item pair
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS boss_participants (
+      bossId INTEGER,                       -- Reference to boss encounter ID
+      userId TEXT,                          -- Discord user ID of participant
+      damage INTEGER DEFAULT 0,             -- Total damage dealt by this player
+      PRIMARY KEY (bossId, userId)          -- Composite key: one row per boss-player pair
+    )
+  `);
+
+  // Columns added after the initial release; older databases may lack them
+  addColumnIfMissing(db, 'players', 'travelStartAt', 'INTEGER DEFAULT 0');
+  addColumnIfMissing(db, 'players', 'gems', 'INTEGER DEFAULT 0');
+  addColumnIfMissing(db, 'players', 'loginStreak', 'INTEGER DEFAULT 0');
+  addColumnIfMissing(db, 'players', 'lastLoginAt', 'INTEGER DEFAULT 0');
+  addColumnIfMissing(db, 'players', 'serversVisited', 'INTEGER DEFAULT 0');
+  addColumnIfMissing(db, 'players', 'bossKills', 'INTEGER DEFAULT 0');
+  addColumnIfMissing(db, 'bosses', 'tier', 'INTEGER DEFAULT 1');
+  addColumnIfMissing(db, 'servers', 'isBanned', 'INTEGER DEFAULT 0');
+  addColumnIfMissing(db, 'servers', 'banReason', 'TEXT');
+  addColumnIfMissing(db, 'servers', 'bannedAt', 'INTEGER');
+
+  addColumnIfMissing(db, 'servers', 'tokens', 'INTEGER DEFAULT 1');
+
+  // Legacy biomeChangeTokens column was replaced by the generic tokens column
+  const serverCols = db.prepare('PRAGMA table_info(servers)').all().map(c => c.name);
+  if (serverCols.includes('biomeChangeTokens')) {
+    db.exec('UPDATE servers SET tokens = COALESCE(tokens, biomeChangeTokens, 1)');
+  }
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS boss_participants');
+  db.exec('DROP TABLE IF EXISTS inventory');
+  db.exec('DROP TABLE IF EXISTS bosses');
+  db.exec('DROP TABLE IF EXISTS players');
+  db.exec('DROP TABLE IF EXISTS servers');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,181 @@
+/**
+ * MIGRATION 002 - Feature tables
+ *
+ * Waypoints, travel history, achievements, daily challenges, analytics,
+ * premium catalogue, gem ledger, bans, equipment, market listings and POIs.
+ */
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS waypoints (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, -- Unique waypoint ID
+      userId TEXT NOT NULL,                  -- Discord user who created waypoint
+      name TEXT NOT NULL,                    -- Player-chosen name for waypoint
+      guildId TEXT NOT NULL,                 -- Server ID that waypoint points to
+      serverName TEXT,                       -- Cached server name for display
+      createdAt INTEGER NOT NULL,            -- When waypoint was created
+      UNIQUE(userId, name)                   -- Each user can only have one waypoint per name
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS travel_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, -- Unique travel record ID
+      userId TEXT NOT NULL,                  -- Player who traveled
+      fromGuildId TEXT,                      -- Origin server (NULL for first spawn)
+      toGuildId TEXT NOT NULL,               -- Destination server
+      fromServerName TEXT,                   -- Cached origin server name
+      toServerName TEXT,                     -- Cached destination server name
+      travelTime INTEGER NOT NULL,           -- Travel duration in milliseconds
+      timestamp INTEGER NOT NULL             -- When travel was completed
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS achievements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, -- Unique achievement record ID
+      userId TEXT NOT NULL,                  -- Player who unlocked achievement
+      achievementId TEXT NOT NULL,           -- Achievement identifier/type
+      unlockedAt INTEGER NOT NULL,           -- When achievement was unlocked
+      rewardClaimed INTEGER DEFAULT 0,       -- Whether reward was claimed (0/1)
+      UNIQUE(userId, achievementId)          -- One record per user-achievement pair
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS daily_challenges (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, -- Unique challenge record ID
+      userId TEXT NOT NULL,                  -- Player working on challenge
+      challengeId TEXT NOT NULL,             -- Challenge type/identifier
+      progress INTEGER DEFAULT 0,            -- Current progress toward target
+      target INTEGER NOT NULL,               -- Required amount to complete
+      completed INTEGER DEFAULT 0,           -- Whether challenge is completed (0/1)
+      rewardClaimed INTEGER DEFAULT 0,       -- Whether reward was claimed (0/1)
+      dateKey TEXT NOT NULL,                 -- Date string (YYYY-MM-DD) for daily reset
+      UNIQUE(userId, challengeId, dateKey)   -- One challenge per user per day
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS battle_analytics (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, -- Unique analytics record ID
+      userId TEXT NOT NULL,                  -- Player who participated in battle
+      bossId INTEGER,                        -- Boss encounter ID (can be NULL)
+      damage INTEGER NOT NULL,               -- Damage dealt in this battle
+      weapon TEXT,                           -- Weapon used (for balancing analysis)
+      timestamp INTEGER NOT NULL             -- When battle occurred
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS premium_items (
+      id TEXT PRIMARY KEY,               -- Unique item identifier
+      name TEXT NOT NULL,                -- Item display name
+      type TEXT NOT NULL,                -- Item category (weapon, armor, vehicle)
+      rarity TEXT NOT NULL,              -- Rarity level (common, rare, legendary)
+      damage INTEGER DEFAULT 0,          -- Damage bonus if applicable
+      defense INTEGER DEFAULT 0,         -- Defense bonus if applicable
+      description TEXT,                  -- Item description text
+      price INTEGER DEFAULT 0,           -- Cost in gems
+      premiumOnly INTEGER DEFAULT 1      -- Whether item requires premium (0/1)
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS gem_transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, -- Unique transaction ID
+      userId TEXT NOT NULL,                  -- Player involved in transaction
+      amount INTEGER NOT NULL,               -- Gem amount (positive = gained, negative = spent)
+      type TEXT NOT NULL,                    -- Transaction type (purchase, reward, spend)
+      description TEXT,                      -- Human-readable transaction description
+      timestamp INTEGER NOT NULL             -- When transaction occurred
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS bans (
+      userId TEXT PRIMARY KEY,                               -- Discord user ID of banned player
+      reason TEXT NOT NULL,                                  -- Reason for ban (required)
+      expiresAt INTEGER,                                     -- When ban expires (NULL = permanent)
+      bannedAt INTEGER NOT NULL DEFAULT (UNIXEPOCH() * 1000) -- When ban was applied
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS premium_users (
+      userId TEXT PRIMARY KEY,                               -- Discord user ID of premium user
+      expiresAt INTEGER,                                     -- When premium expires (NULL = permanent)
+      addedAt INTEGER NOT NULL DEFAULT (UNIXEPOCH() * 1000), -- When premium was granted
+      addedBy TEXT,                                          -- Admin who granted premium
+      notes TEXT                                             -- Additional notes about premium status
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS equipment (
+      userId TEXT,                                              -- Player who equipped the item
+      slot TEXT,                                                -- Equipment slot (weapon, armor, vehicle)
+      itemId TEXT,                                              -- Item currently equipped in slot
+      equippedAt INTEGER NOT NULL DEFAULT (UNIXEPOCH() * 1000), -- When item was equipped
+      PRIMARY KEY (userId, slot)                                -- One item per slot per player
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS market_listings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,                  -- Unique listing ID
+      sellerId TEXT NOT NULL,                                 -- Player selling the item
+      itemId TEXT NOT NULL,                                   -- Item being sold
+      qty INTEGER NOT NULL,                                   -- Quantity being sold
+      price INTEGER NOT NULL,                                 -- Price in drakari (game currency)
+      expiresAt INTEGER NOT NULL,                             -- When listing expires
+      createdAt INTEGER NOT NULL DEFAULT (UNIXEPOCH() * 1000) -- When listing was created
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS pois (
+      id TEXT PRIMARY KEY,                  -- Unique POI identifier
+      name TEXT NOT NULL,                   -- Landmark name (e.g., "Eiffel Tower")
+      description TEXT,                     -- Description of the landmark
+      lat REAL NOT NULL,                    -- Latitude coordinate
+      lon REAL NOT NULL,                    -- Longitude coordinate
+      country TEXT,                         -- Country where landmark is located
+      category TEXT NOT NULL,               -- Category (monument, natural, etc.)
+      emoji TEXT,                           -- Emoji icon for display
+      discoveryReward INTEGER DEFAULT 100,  -- Drakari reward for first visit
+      visitCost INTEGER DEFAULT 50,         -- Stamina cost to visit
+      createdAt INTEGER NOT NULL            -- When POI was added to database
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS poi_visits (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,   -- Unique visit record ID
+      userId TEXT NOT NULL,                   -- Player who visited the POI
+      poiId TEXT NOT NULL,                    -- POI that was visited
+      visitedAt INTEGER NOT NULL,             -- Timestamp of visit
+      isFirstVisit INTEGER DEFAULT 0,         -- Whether this was player's first visit (0/1)
+      UNIQUE(userId, poiId),                  -- One record per user-POI pair
+      FOREIGN KEY (poiId) REFERENCES pois(id) -- Ensure POI exists
+    )
+  `);
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS poi_visits');
+  db.exec('DROP TABLE IF EXISTS pois');
+  db.exec('DROP TABLE IF EXISTS market_listings');
+  db.exec('DROP TABLE IF EXISTS equipment');
+  db.exec('DROP TABLE IF EXISTS premium_users');
+  db.exec('DROP TABLE IF EXISTS bans');
+  db.exec('DROP TABLE IF EXISTS gem_transactions');
+  db.exec('DROP TABLE IF EXISTS premium_items');
+  db.exec('DROP TABLE IF EXISTS battle_analytics');
+  db.exec('DROP TABLE IF EXISTS daily_challenges');
+  db.exec('DROP TABLE IF EXISTS achievements');
+  db.exec('DROP TABLE IF EXISTS travel_history');
+  db.exec('DROP TABLE IF EXISTS waypoints');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+/**
+ * MIGRATION 003 - Regeneration columns on players
+ *
+ * Timestamps and state used by utils/regen.js for health/stamina recovery,
+ * combat penalties, item buffs and biome bonuses.
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('../utils/migrations');
+
+function up(db) {
+  // Existing players start their regen clock from the moment the column appears
+  if (addColumnIfMissing(db, 'players', 'healthUpdatedAt', 'INTEGER')) {
+    db.exec("UPDATE players SET healthUpdatedAt = strftime('%s','now')*1000 WHERE healthUpdatedAt IS NULL");
+  }
+  if (addColumnIfMissing(db, 'players', 'staminaUpdatedAt', 'INTEGER')) {
+    db.exec("UPDATE players SET staminaUpdatedAt = strftime('%s','now')*1000 WHERE staminaUpdatedAt IS NULL");
+  }
+
+  addColumnIfMissing(db, 'players', 'isPremium', 'INTEGER DEFAULT 0');
+  addColumnIfMissing(db, 'players', 'lastCombatAt', 'INTEGER DEFAULT 0');
+  addColumnIfMissing(db, 'players', 'regenEffects', "TEXT DEFAULT '{}'");
+  addColumnIfMissing(db, 'players', 'currentBiome', "TEXT DEFAULT 'city'");
+}
+
+function down(db) {
+  // staminaUpdatedAt is part of the core players table and stays
+  dropColumnIfExists(db, 'players', 'currentBiome');
+  dropColumnIfExists(db, 'players', 'regenEffects');
+  dropColumnIfExists(db, 'players', 'lastCombatAt');
+  dropColumnIfExists(db, 'players', 'isPremium');
+  dropColumnIfExists(db, 'players', 'healthUpdatedAt');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,46 @@
+/**
+ * MIGRATION 004 - Weather system tables
+ *
+ * Active/expired weather events and the log of player encounters with them.
+ */
+
+const { addColumnIfMissing } = require('../utils/migrations');
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS weather_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      centerLat REAL NOT NULL,
+      centerLon REAL NOT NULL,
+      radius REAL NOT NULL,
+      severity INTEGER NOT NULL,
+      startTime INTEGER NOT NULL,
+      endTime INTEGER NOT NULL,
+      active INTEGER DEFAULT 1,
+      specialEffects TEXT,
+      created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000)
+    )
+  `);
+
+  // Databases created before special effects existed lack this column
+  addColumnIfMissing(db, 'weather_events', 'specialEffects', 'TEXT');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS weather_encounters (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      userId TEXT NOT NULL,
+      weatherEventId INTEGER NOT NULL,
+      encounterType TEXT NOT NULL, -- 'avoided', 'flew_through', 'detoured'
+      timestamp INTEGER NOT NULL,
+      FOREIGN KEY (weatherEventId) REFERENCES weather_events(id)
+    )
+  `);
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS weather_encounters');
+  db.exec('DROP TABLE IF EXISTS weather_events');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+/**
+ * MIGRATION 005 - Crafting queue
+ *
+ * Crafts in progress; rows are removed when the item is collected.
+ */
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS active_crafts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      userId TEXT NOT NULL,
+      itemId TEXT NOT NULL,
+      quantity INTEGER DEFAULT 1,
+      startTime INTEGER NOT NULL,
+      completionTime INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS active_crafts');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+/**
+ * MIGRATION 006 - System bookkeeping tables
+ *
+ * Key/value system settings (boss defeat cooldown, ...) and the weekly reset log.
+ */
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS system_settings (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      updatedAt INTEGER NOT NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS weekly_resets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      week_start INTEGER NOT NULL,
+      reset_timestamp INTEGER NOT NULL,
+      items_reset TEXT
+    )
+  `);
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS weekly_resets');
+  db.exec('DROP TABLE IF EXISTS system_settings');
+}
+
+module.exports = { up, down };
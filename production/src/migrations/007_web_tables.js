@@ -0,0 +1,48 @@
+/**
+ * MIGRATION 007 - Website tables
+ *
+ * PayPal token orders plus the uptime and command usage history shown on the
+ * status page.
+ */
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS paypal_orders (
+      orderId TEXT PRIMARY KEY,
+      guildId TEXT,
+      tokens INTEGER,
+      createdAt INTEGER
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS uptime_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp INTEGER NOT NULL,
+      status TEXT NOT NULL,
+      response_time INTEGER DEFAULT 0,
+      error_message TEXT,
+      created_at INTEGER DEFAULT (strftime('%s', 'now'))
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS command_usage (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      command_name TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      guild_id TEXT,
+      timestamp INTEGER NOT NULL,
+      success INTEGER DEFAULT 1,
+      created_at INTEGER DEFAULT (strftime('%s', 'now'))
+    )
+  `);
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS command_usage');
+  db.exec('DROP TABLE IF EXISTS uptime_history');
+  db.exec('DROP TABLE IF EXISTS paypal_orders');
+}
+
+module.exports = { up, down };
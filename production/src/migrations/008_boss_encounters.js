@@ -0,0 +1,28 @@
+/**
+ * MIGRATION 008 - Boss encounter state
+ *
+ * Tracks which boss definition a spawn came from, its current phase, the
+ * telegraphed next ability and any active shield/reflect effects.
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('../utils/migrations');
+
+function up(db) {
+  addColumnIfMissing(db, 'bosses', 'definitionId', 'TEXT');
+  addColumnIfMissing(db, 'bosses', 'phase', 'INTEGER DEFAULT 0');
+  addColumnIfMissing(db, 'bosses', 'nextAbility', 'TEXT');
+  addColumnIfMissing(db, 'bosses', 'abilityCountdown', 'INTEGER');
+  addColumnIfMissing(db, 'bosses', 'effects', "TEXT DEFAULT '{}'");
+  addColumnIfMissing(db, 'bosses', 'enraged', 'INTEGER DEFAULT 0');
+}
+
+function down(db) {
+  dropColumnIfExists(db, 'bosses', 'enraged');
+  dropColumnIfExists(db, 'bosses', 'effects');
+  dropColumnIfExists(db, 'bosses', 'abilityCountdown');
+  dropColumnIfExists(db, 'bosses', 'nextAbility');
+  dropColumnIfExists(db, 'bosses', 'phase');
+  dropColumnIfExists(db, 'bosses', 'definitionId');
+}
+
+module.exports = { up, down };
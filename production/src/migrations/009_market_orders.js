@@ -0,0 +1,50 @@
+/**
+ * MIGRATION 009 - Market buy orders and trade history
+ *
+ * Standing buy orders escrow Drakari until they are filled against sell
+ * listings, cancelled or expire. Every fill (order book match or direct
+ * purchase) is recorded in market_trades, which feeds the market trends API.
+ */
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS market_buy_orders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,                  -- Unique order ID
+      buyerId TEXT NOT NULL,                                  -- Player placing the order
+      itemId TEXT NOT NULL,                                   -- Item wanted
+      qty INTEGER NOT NULL,                                   -- Quantity still wanted
+      filledQty INTEGER NOT NULL DEFAULT 0,                   -- Quantity received so far
+      maxPrice INTEGER NOT NULL,                              -- Highest price per unit the buyer will pay
+      escrow INTEGER NOT NULL,                                -- Drakari still held for the unfilled quantity
+      status TEXT NOT NULL DEFAULT 'open',                    -- open, filled, cancelled or expired
+      expiresAt INTEGER NOT NULL,                             -- When the order expires
+      createdAt INTEGER NOT NULL DEFAULT (UNIXEPOCH() * 1000) -- When the order was placed
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_market_buy_orders_item ON market_buy_orders(itemId, status, maxPrice)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_market_buy_orders_buyer ON market_buy_orders(buyerId, status)');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS market_trades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,                  -- Unique trade ID
+      itemId TEXT NOT NULL,                                   -- Item traded
+      qty INTEGER NOT NULL,                                   -- Quantity traded
+      unitPrice REAL NOT NULL,                                -- Price paid per unit
+      total INTEGER NOT NULL,                                 -- Total paid by the buyer
+      tax INTEGER NOT NULL DEFAULT 0,                         -- Market tax taken from the seller
+      buyerId TEXT NOT NULL,                                  -- Player who bought
+      sellerId TEXT NOT NULL,                                 -- Player who sold
+      listingId INTEGER,                                      -- Sell listing that was filled
+      buyOrderId INTEGER,                                     -- Buy order that was filled (if any)
+      createdAt INTEGER NOT NULL DEFAULT (UNIXEPOCH() * 1000) -- When the trade happened
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_market_trades_item_time ON market_trades(itemId, createdAt)');
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS market_trades');
+  db.exec('DROP TABLE IF EXISTS market_buy_orders');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+/**
+ * MIGRATION 010 - Player trade audit log
+ *
+ * One row per completed /trade swap, recording exactly what each side gave
+ * so staff can review trades after the fact.
+ */
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS trade_audit (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,  -- Unique audit entry ID
+      sessionId TEXT NOT NULL,               -- Trade session that produced the swap
+      initiatorId TEXT NOT NULL,             -- Player who opened the trade
+      partnerId TEXT NOT NULL,               -- Player the trade was opened with
+      initiatorItems TEXT NOT NULL,          -- JSON [{itemId, qty}] given by the initiator
+      partnerItems TEXT NOT NULL,            -- JSON [{itemId, qty}] given by the partner
+      initiatorDrakari INTEGER NOT NULL DEFAULT 0, -- Drakari given by the initiator
+      partnerDrakari INTEGER NOT NULL DEFAULT 0,   -- Drakari given by the partner
+      guildId TEXT,                          -- Server the trade was made in
+      channelId TEXT,                        -- Channel the trade window was posted in
+      createdAt INTEGER NOT NULL,            -- When the trade window was opened
+      completedAt INTEGER NOT NULL           -- When the swap was executed
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_trade_audit_initiator ON trade_audit(initiatorId, completedAt)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_trade_audit_partner ON trade_audit(partnerId, completedAt)');
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS trade_audit');
+}
+
+module.exports = { up, down };
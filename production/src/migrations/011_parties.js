@@ -0,0 +1,53 @@
+/**
+ * MIGRATION 011 - Parties
+ *
+ * Player parties with a leader, members who can opt in to following the
+ * leader's travel, pending invites, and the party each boss attack counted
+ * toward so damage totals and loot splits can be worked out on defeat.
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('../utils/migrations');
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS parties (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,       -- Unique party ID
+      name TEXT NOT NULL,                         -- Display name
+      leaderId TEXT NOT NULL,                     -- Player who leads the party
+      lootMode TEXT NOT NULL DEFAULT 'need_greed',-- need_greed, round_robin or damage_weighted
+      lootCursor INTEGER NOT NULL DEFAULT 0,      -- Next member in line for round-robin loot
+      createdAt INTEGER NOT NULL                  -- When the party was formed
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS party_members (
+      userId TEXT PRIMARY KEY,                    -- A player belongs to at most one party
+      partyId INTEGER NOT NULL,                   -- Party the player belongs to
+      followLeader INTEGER NOT NULL DEFAULT 1,    -- 1 if the leader's /travel should move this player too
+      joinedAt INTEGER NOT NULL                   -- When the player joined
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_party_members_party ON party_members(partyId)');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS party_invites (
+      partyId INTEGER NOT NULL,                   -- Party the invite is for
+      userId TEXT NOT NULL,                       -- Invited player
+      invitedBy TEXT NOT NULL,                    -- Player who sent the invite
+      expiresAt INTEGER NOT NULL,                 -- When the invite lapses
+      PRIMARY KEY (partyId, userId)
+    )
+  `);
+
+  addColumnIfMissing(db, 'boss_participants', 'partyId', 'INTEGER');
+}
+
+function down(db) {
+  dropColumnIfExists(db, 'boss_participants', 'partyId');
+  db.exec('DROP TABLE IF EXISTS party_invites');
+  db.exec('DROP TABLE IF EXISTS party_members');
+  db.exec('DROP TABLE IF EXISTS parties');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,106 @@
+/**
+ * MIGRATION 012 - Clans
+ *
+ * Persistent player clans with ranks, a shared Drakari/item bank, an activity
+ * log (which also backs per-rank daily withdrawal limits), boss damage
+ * accumulated per server toward territory claims, the current owner of each
+ * claimed server, and weekly clan scores for the leaderboard.
+ */
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS clans (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,       -- Unique clan ID
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,   -- Display name
+      tag TEXT NOT NULL UNIQUE COLLATE NOCASE,    -- Short tag shown next to the name, e.g. [QC]
+      leaderId TEXT NOT NULL,                     -- Player who leads the clan
+      bankDrakari INTEGER NOT NULL DEFAULT 0,     -- Drakari held in the clan bank
+      createdAt INTEGER NOT NULL                  -- When the clan was founded
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS clan_members (
+      userId TEXT PRIMARY KEY,                    -- A player belongs to at most one clan
+      clanId INTEGER NOT NULL,                    -- Clan the player belongs to
+      rank TEXT NOT NULL DEFAULT 'recruit',       -- Rank ID from config.clans.ranks
+      joinedAt INTEGER NOT NULL                   -- When the player joined
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_clan_members_clan ON clan_members(clanId)');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS clan_invites (
+      clanId INTEGER NOT NULL,                    -- Clan the invite is for
+      userId TEXT NOT NULL,                       -- Invited player
+      invitedBy TEXT NOT NULL,                    -- Member who sent the invite
+      expiresAt INTEGER NOT NULL,                 -- When the invite lapses
+      PRIMARY KEY (clanId, userId)
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS clan_bank_items (
+      clanId INTEGER NOT NULL,                    -- Owning clan
+      itemId TEXT NOT NULL,                       -- Item stored in the bank
+      qty INTEGER NOT NULL,                       -- Quantity stored
+      PRIMARY KEY (clanId, itemId)
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS clan_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      clanId INTEGER NOT NULL,                    -- Clan the entry belongs to
+      userId TEXT,                                -- Player who acted (null for system events)
+      action TEXT NOT NULL,                       -- e.g. deposit_drakari, withdraw_item, claim, rank
+      itemId TEXT,                                -- Item involved, if any
+      amount INTEGER NOT NULL DEFAULT 0,          -- Drakari or item quantity moved
+      details TEXT,                               -- Free-form context (target player, server, rank...)
+      createdAt INTEGER NOT NULL
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_clan_log_clan ON clan_log(clanId, createdAt)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_clan_log_user ON clan_log(userId, action, createdAt)');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS clan_server_damage (
+      clanId INTEGER NOT NULL,                    -- Clan whose members dealt the damage
+      guildId TEXT NOT NULL,                      -- Server the bosses were fought at
+      damage INTEGER NOT NULL DEFAULT 0,          -- Accumulated boss damage (decays weekly)
+      PRIMARY KEY (clanId, guildId)
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_clan_server_damage_guild ON clan_server_damage(guildId, damage)');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS clan_territories (
+      guildId TEXT PRIMARY KEY,                   -- Claimed server from the servers table
+      clanId INTEGER NOT NULL,                    -- Clan holding the claim
+      claimedAt INTEGER NOT NULL                  -- When the current clan took the server
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS clan_weekly_scores (
+      clanId INTEGER NOT NULL,
+      weekStart INTEGER NOT NULL,                 -- Monday 00:00 of the scored week
+      bossDamage INTEGER NOT NULL DEFAULT 0,      -- Boss damage dealt by members that week
+      claims INTEGER NOT NULL DEFAULT 0,          -- Servers claimed that week
+      PRIMARY KEY (clanId, weekStart)
+    )
+  `);
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS clan_weekly_scores');
+  db.exec('DROP TABLE IF EXISTS clan_territories');
+  db.exec('DROP TABLE IF EXISTS clan_server_damage');
+  db.exec('DROP TABLE IF EXISTS clan_log');
+  db.exec('DROP TABLE IF EXISTS clan_bank_items');
+  db.exec('DROP TABLE IF EXISTS clan_invites');
+  db.exec('DROP TABLE IF EXISTS clan_members');
+  db.exec('DROP TABLE IF EXISTS clans');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,32 @@
+/**
+ * MIGRATION 013 - Quest Chains
+ *
+ * Per-player state for the story quests defined in config.quests: which step
+ * each accepted quest is on, progress toward that step's objective, and the
+ * branch choices made along the way. Completed rows are kept so later quests
+ * in a chain can require them.
+ */
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS player_quests (
+      userId TEXT NOT NULL,                       -- Player on the quest
+      questId TEXT NOT NULL,                      -- Quest definition ID from config.quests
+      stepId TEXT,                                -- Current step (null once completed)
+      progress INTEGER NOT NULL DEFAULT 0,        -- Progress toward the current step's objective
+      status TEXT NOT NULL DEFAULT 'active',      -- active, choosing or completed
+      choices TEXT NOT NULL DEFAULT '[]',         -- JSON list of {stepId, choiceId} picked so far
+      acceptedAt INTEGER NOT NULL,                -- When the quest was accepted
+      updatedAt INTEGER NOT NULL,                 -- Last progress or step change
+      completedAt INTEGER,                        -- When the final step was finished
+      PRIMARY KEY (userId, questId)
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_player_quests_status ON player_quests(userId, status)');
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS player_quests');
+}
+
+module.exports = { up, down };
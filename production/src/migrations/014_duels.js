@@ -0,0 +1,51 @@
+/**
+ * MIGRATION 014 - Duels
+ *
+ * Player-vs-player duels: every challenge with its escrowed wager, outcome,
+ * fight log and rating changes, plus each player's ELO-style duel rating.
+ */
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS duels (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      challengerId TEXT NOT NULL,                 -- Player who issued the challenge
+      opponentId TEXT NOT NULL,                   -- Player who was challenged
+      guildId TEXT NOT NULL,                      -- Location both players were at
+      wager INTEGER NOT NULL DEFAULT 0,           -- Drakari each side puts up
+      escrow INTEGER NOT NULL DEFAULT 0,          -- Drakari currently held for this duel
+      status TEXT NOT NULL DEFAULT 'pending',     -- pending, completed, declined, cancelled or expired
+      winnerId TEXT,                              -- Winner (null for a draw or an unfought duel)
+      rounds INTEGER NOT NULL DEFAULT 0,          -- Attacks exchanged
+      log TEXT,                                   -- JSON list of turns
+      challengerRating INTEGER,                   -- Challenger rating before the duel
+      opponentRating INTEGER,                     -- Opponent rating before the duel
+      ratingChange INTEGER,                       -- Points moved from loser to winner
+      createdAt INTEGER NOT NULL,
+      expiresAt INTEGER NOT NULL,                 -- When an unanswered challenge lapses
+      resolvedAt INTEGER
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_duels_challenger ON duels(challengerId, createdAt)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_duels_opponent ON duels(opponentId, createdAt)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_duels_pending ON duels(status, expiresAt)');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS duel_ratings (
+      userId TEXT PRIMARY KEY,
+      rating INTEGER NOT NULL,                    -- ELO-style rating
+      wins INTEGER NOT NULL DEFAULT 0,
+      losses INTEGER NOT NULL DEFAULT 0,
+      draws INTEGER NOT NULL DEFAULT 0,
+      updatedAt INTEGER NOT NULL
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_duel_ratings_rating ON duel_ratings(rating DESC)');
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS duel_ratings');
+  db.exec('DROP TABLE IF EXISTS duels');
+}
+
+module.exports = { up, down };
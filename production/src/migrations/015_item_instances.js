@@ -0,0 +1,35 @@
+/**
+ * MIGRATION 015 - Item Instances
+ *
+ * Per-copy state for gear. The inventory table still counts how many of an
+ * item a player owns; each owned copy of a piece of equipment also gets an
+ * item_instances row carrying its own durability and upgrade level, and the
+ * equipment table records which copy fills each slot.
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('../utils/migrations');
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS item_instances (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,       -- Unique instance ID
+      userId TEXT NOT NULL,                       -- Player who owns this copy
+      itemId TEXT NOT NULL,                       -- Item definition ID from config.items
+      durability INTEGER NOT NULL,                -- Remaining durability (0 = broken)
+      maxDurability INTEGER NOT NULL,             -- Durability when fully repaired
+      upgradeLevel INTEGER NOT NULL DEFAULT 0,    -- +0 to +maxLevel
+      createdAt INTEGER NOT NULL,
+      updatedAt INTEGER NOT NULL
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_item_instances_owner ON item_instances(userId, itemId)');
+
+  addColumnIfMissing(db, 'equipment', 'instanceId', 'INTEGER');
+}
+
+function down(db) {
+  dropColumnIfExists(db, 'equipment', 'instanceId');
+  db.exec('DROP TABLE IF EXISTS item_instances');
+}
+
+module.exports = { up, down };
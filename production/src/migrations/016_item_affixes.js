@@ -0,0 +1,25 @@
+/**
+ * MIGRATION 016 - Item Affixes
+ *
+ * Random affixes rolled onto gear from boss loot and crafting, where each
+ * instance came from, and the market listing an instance is held by while it
+ * is up for sale.
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('../utils/migrations');
+
+function up(db) {
+  addColumnIfMissing(db, 'item_instances', 'affixes', "TEXT NOT NULL DEFAULT '[]'"); // JSON list of {id, value}
+  addColumnIfMissing(db, 'item_instances', 'source', 'TEXT');                        // boss, craft, admin or null for plain copies
+  addColumnIfMissing(db, 'item_instances', 'listingId', 'INTEGER');                  // Market listing holding this copy
+  db.exec('CREATE INDEX IF NOT EXISTS idx_item_instances_listing ON item_instances(listingId)');
+}
+
+function down(db) {
+  db.exec('DROP INDEX IF EXISTS idx_item_instances_listing');
+  dropColumnIfExists(db, 'item_instances', 'listingId');
+  dropColumnIfExists(db, 'item_instances', 'source');
+  dropColumnIfExists(db, 'item_instances', 'affixes');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,62 @@
+/**
+ * MIGRATION 017 - POI Catalogue
+ *
+ * Landmarks become a managed catalogue: staff can disable and reprice them,
+ * each may carry a first-discoverer bonus, and players can suggest new ones
+ * through a review queue. Existing landmarks credit their earliest visitor as
+ * first discoverer so the bonus is not paid out again.
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('../utils/migrations');
+
+function up(db) {
+  addColumnIfMissing(db, 'pois', 'enabled', 'INTEGER NOT NULL DEFAULT 1');   // 0 hides the landmark from lists, travel and visits
+  addColumnIfMissing(db, 'pois', 'firstDiscoveryBonus', 'INTEGER');          // Drakari for the first ever visitor (null = config default, 0 = none)
+  addColumnIfMissing(db, 'pois', 'firstDiscovererId', 'TEXT');               // Player who visited first
+  addColumnIfMissing(db, 'pois', 'firstDiscoveredAt', 'INTEGER');
+  addColumnIfMissing(db, 'pois', 'source', "TEXT NOT NULL DEFAULT 'seed'");  // seed, admin or suggestion
+  addColumnIfMissing(db, 'pois', 'suggestedBy', 'TEXT');                     // Player whose suggestion became this landmark
+  addColumnIfMissing(db, 'pois', 'updatedAt', 'INTEGER');
+
+  db.exec(`
+    UPDATE pois SET
+      firstDiscovererId = (SELECT userId FROM poi_visits WHERE poiId = pois.id ORDER BY visitedAt ASC, id ASC LIMIT 1),
+      firstDiscoveredAt = (SELECT MIN(visitedAt) FROM poi_visits WHERE poiId = pois.id)
+    WHERE firstDiscovererId IS NULL
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS poi_suggestions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      userId TEXT NOT NULL,                      -- Player who suggested the landmark
+      name TEXT NOT NULL,
+      description TEXT,
+      lat REAL NOT NULL,
+      lon REAL NOT NULL,
+      country TEXT,
+      category TEXT NOT NULL,
+      emoji TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',    -- pending, approved or rejected
+      reviewerId TEXT,                           -- Staff member who reviewed it
+      reviewNote TEXT,                           -- Reason shown to the player
+      poiId TEXT,                                -- Landmark created on approval
+      createdAt INTEGER NOT NULL,
+      reviewedAt INTEGER
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_poi_suggestions_status ON poi_suggestions(status, createdAt)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_poi_suggestions_user ON poi_suggestions(userId, createdAt)');
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS poi_suggestions');
+  dropColumnIfExists(db, 'pois', 'updatedAt');
+  dropColumnIfExists(db, 'pois', 'suggestedBy');
+  dropColumnIfExists(db, 'pois', 'source');
+  dropColumnIfExists(db, 'pois', 'firstDiscoveredAt');
+  dropColumnIfExists(db, 'pois', 'firstDiscovererId');
+  dropColumnIfExists(db, 'pois', 'firstDiscoveryBonus');
+  dropColumnIfExists(db, 'pois', 'enabled');
+}
+
+module.exports = { up, down };
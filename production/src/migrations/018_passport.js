@@ -0,0 +1,44 @@
+/**
+ * MIGRATION 018 - Passport
+ *
+ * Exploration progress per player: a stamp for every country and continent
+ * reached, the continent completion milestones already paid out (each with
+ * the title it unlocked), and the title a player has chosen to display.
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('../utils/migrations');
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS passport_stamps (
+      userId TEXT NOT NULL,
+      kind TEXT NOT NULL,                         -- country or continent
+      name TEXT NOT NULL,                         -- Country or continent name
+      guildId TEXT,                               -- Destination that earned the stamp (server or landmark_<id>)
+      stampedAt INTEGER NOT NULL,
+      PRIMARY KEY (userId, kind, name)
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS passport_milestones (
+      userId TEXT NOT NULL,
+      continent TEXT NOT NULL,
+      pct INTEGER NOT NULL,                       -- Completion threshold reached
+      title TEXT,                                 -- Title unlocked
+      gems INTEGER NOT NULL DEFAULT 0,            -- Gems paid out
+      unlockedAt INTEGER NOT NULL,
+      PRIMARY KEY (userId, continent, pct)
+    )
+  `);
+
+  addColumnIfMissing(db, 'players', 'title', 'TEXT'); // Unlocked title shown next to the player's name
+}
+
+function down(db) {
+  dropColumnIfExists(db, 'players', 'title');
+  db.exec('DROP TABLE IF EXISTS passport_milestones');
+  db.exec('DROP TABLE IF EXISTS passport_stamps');
+}
+
+module.exports = { up, down };
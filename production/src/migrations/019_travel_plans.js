@@ -0,0 +1,45 @@
+/**
+ * MIGRATION 019 - Travel Plans
+ *
+ * Multi-leg itineraries queued with /travel plan. A plan is an ordered list
+ * of stops (servers, landmarks or waypoints); the regen tick starts each leg
+ * when the previous one arrives, and stops the plan if a leg cannot start.
+ */
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS travel_plans (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      userId TEXT NOT NULL,                      -- Player travelling the plan
+      status TEXT NOT NULL DEFAULT 'active',     -- active, completed, stopped or cancelled
+      speedMultiplier REAL NOT NULL DEFAULT 1,   -- Vehicle speed captured when the plan was queued
+      estimatedSeconds INTEGER NOT NULL DEFAULT 0, -- Total estimate shown when queued
+      stopReason TEXT,                           -- Why a stopped plan ended (blocked, insufficient_gems, ...)
+      createdAt INTEGER NOT NULL,
+      endedAt INTEGER
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_travel_plans_user ON travel_plans(userId, status)');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS travel_plan_legs (
+      planId INTEGER NOT NULL,
+      seq INTEGER NOT NULL,                      -- Leg order, starting at 1
+      kind TEXT NOT NULL,                        -- server, landmark or waypoint (how the stop was chosen)
+      guildId TEXT NOT NULL,                     -- Destination: a server ID or landmark_<poiId>
+      name TEXT NOT NULL,                        -- Display name captured when planned
+      estimatedSeconds INTEGER NOT NULL DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'pending',    -- pending, travelling, done or blocked
+      startedAt INTEGER,
+      arrivedAt INTEGER,
+      PRIMARY KEY (planId, seq)
+    )
+  `);
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS travel_plan_legs');
+  db.exec('DROP TABLE IF EXISTS travel_plans');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,39 @@
+/**
+ * MIGRATION 020 - Travel Encounters
+ *
+ * Random events that find players while they are in the air: bandits, lost
+ * merchants, treasure caches and weather mishaps. Each encounter is sent to
+ * the player with button choices and keeps the outcome of the choice made.
+ */
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS travel_encounters (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      userId TEXT NOT NULL,                      -- Player the encounter happened to
+      type TEXT NOT NULL,                        -- bandits, lost_merchant, treasure_cache or weather_mishap
+      biome TEXT,                                -- Biome being crossed when it fired
+      weatherEventId INTEGER,                    -- Active weather at the player's position, if any
+      lat REAL,                                  -- Where along the route it happened
+      lon REAL,
+      fromGuildId TEXT,                          -- Trip the encounter interrupted
+      toGuildId TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',    -- pending, resolved or expired
+      choice TEXT,                               -- Button the player picked
+      outcome TEXT,                              -- JSON: outcome id and the effects applied
+      channelId TEXT,                            -- Where the prompt was delivered (DM or fallback channel)
+      messageId TEXT,
+      createdAt INTEGER NOT NULL,
+      expiresAt INTEGER NOT NULL,                -- Unanswered encounters lapse when the trip lands
+      resolvedAt INTEGER
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_travel_encounters_user ON travel_encounters(userId, createdAt)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_travel_encounters_status ON travel_encounters(status, expiresAt)');
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS travel_encounters');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,19 @@
+/**
+ * MIGRATION 021 - Vehicle Progression
+ *
+ * Vehicles now have a range, a fuel cost and weather immunities on top of
+ * their speed. Queued travel plans remember which vehicle they were planned
+ * with so every leg is flown (and fuelled) the same way.
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('../utils/migrations');
+
+function up(db) {
+  addColumnIfMissing(db, 'travel_plans', 'vehicleId', 'TEXT'); // Vehicle item the plan was queued with
+}
+
+function down(db) {
+  dropColumnIfExists(db, 'travel_plans', 'vehicleId');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,29 @@
+/**
+ * MIGRATION 022 - Server Token Log
+ *
+ * A ledger of every change to a server's token balance: purchases, refunds,
+ * staff grants, relocations and biome changes. Shown to server owners on the
+ * web dashboard as their token history.
+ */
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS server_token_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guildId TEXT NOT NULL,                     -- Server whose balance changed
+      change INTEGER NOT NULL,                   -- Tokens added (positive) or spent/removed (negative)
+      balance INTEGER NOT NULL,                  -- Balance after the change
+      reason TEXT NOT NULL,                      -- purchase, refund, staff_add, staff_remove, relocate, biome_change, ...
+      actorId TEXT,                              -- User who made the change, if any
+      details TEXT,                              -- Short description (country moved to, new biome, order id)
+      createdAt INTEGER NOT NULL
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_server_token_log_guild ON server_token_log(guildId, createdAt)');
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS server_token_log');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+/**
+ * MIGRATION 023 - Guild Notification Settings
+ *
+ * Per-server notification subscriptions. Each registered server can choose a
+ * channel for boss alerts, weather alerts, market highlights and arrivals,
+ * with a role to ping, UTC quiet hours during which nothing is posted, and
+ * the lowest boss tier worth announcing. Read by utils/notifications, which
+ * every notifier posts through.
+ */
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS guild_settings (
+      guildId TEXT NOT NULL,                     -- Registered server
+      event TEXT NOT NULL,                       -- boss, weather, market or arrivals
+      channelId TEXT NOT NULL,                   -- Channel notifications are posted to
+      roleId TEXT,                               -- Role pinged with each notification, if any
+      quietStart INTEGER,                        -- UTC hour (0-23) quiet hours begin, null for none
+      quietEnd INTEGER,                          -- UTC hour (0-23) quiet hours end (exclusive)
+      minBossTier INTEGER NOT NULL DEFAULT 1,    -- Lowest boss tier announced (boss alerts only)
+      enabled INTEGER NOT NULL DEFAULT 1,        -- 0 when the server turned the event off
+      updatedBy TEXT,                            -- User who last changed the setting
+      updatedAt INTEGER NOT NULL,
+      PRIMARY KEY (guildId, event)
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_guild_settings_event ON guild_settings(event, enabled)');
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS guild_settings');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,52 @@
+/**
+ * MIGRATION 024 - Player Notifications
+ *
+ * Players can opt in to DMs when their travel finishes, a craft completes, a
+ * market listing sells, a boss spawns near them or challenges reset. Events
+ * are queued in notification_queue and delivered in batches, one DM per
+ * player, with retries. active_crafts remembers which finished crafts have
+ * already been announced.
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('../utils/migrations');
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS player_notification_prefs (
+      userId TEXT PRIMARY KEY,                   -- Player
+      travel INTEGER NOT NULL DEFAULT 0,         -- DM when travel finishes
+      craft INTEGER NOT NULL DEFAULT 0,          -- DM when a craft completes
+      market INTEGER NOT NULL DEFAULT 0,         -- DM when a market listing sells
+      boss INTEGER NOT NULL DEFAULT 0,           -- DM when a boss spawns within bossRadiusKm
+      challenges INTEGER NOT NULL DEFAULT 0,     -- DM when daily challenges reset
+      bossRadiusKm INTEGER NOT NULL DEFAULT 500, -- Distance from the player's location for boss alerts
+      challengeKey TEXT,                         -- Daily challenge date last announced
+      updatedAt INTEGER NOT NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS notification_queue (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      userId TEXT NOT NULL,                      -- Player to DM
+      event TEXT NOT NULL,                       -- travel, craft, market, boss or challenges
+      message TEXT NOT NULL,                     -- Line shown in the DM
+      status TEXT NOT NULL DEFAULT 'pending',    -- pending or failed (sent rows are deleted)
+      attempts INTEGER NOT NULL DEFAULT 0,       -- Failed delivery attempts so far
+      nextAttemptAt INTEGER NOT NULL,            -- Earliest time to (re)try delivery
+      lastError TEXT,                            -- Error from the last failed attempt
+      createdAt INTEGER NOT NULL
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_notification_queue_due ON notification_queue(status, nextAttemptAt)');
+
+  addColumnIfMissing(db, 'active_crafts', 'notifiedAt', 'INTEGER'); // When the finished craft was announced
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS notification_queue');
+  db.exec('DROP TABLE IF EXISTS player_notification_prefs');
+  dropColumnIfExists(db, 'active_crafts', 'notifiedAt');
+}
+
+module.exports = { up, down };
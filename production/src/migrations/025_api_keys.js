@@ -0,0 +1,44 @@
+/**
+ * MIGRATION 025 - Public API Keys
+ *
+ * Personal API keys for the public /api/v1 surface. Players create keys on
+ * the website; each key carries read scopes and optional per-key quotas
+ * (falling back to config.publicApi). Only a SHA-256 hash of the key is
+ * stored. api_key_usage counts requests per key per UTC day for the daily
+ * quota.
+ */
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      userId TEXT NOT NULL,                      -- Player who owns the key
+      name TEXT NOT NULL,                        -- Label chosen by the player
+      keyPrefix TEXT NOT NULL,                   -- First characters of the key, shown to tell keys apart
+      keyHash TEXT NOT NULL UNIQUE,              -- SHA-256 of the full key
+      scopes TEXT NOT NULL,                      -- Space separated scopes (profile:read, market:read, ...)
+      perMinute INTEGER,                         -- Requests per minute, null for the config default
+      perDay INTEGER,                            -- Requests per UTC day, null for the config default
+      createdAt INTEGER NOT NULL,
+      lastUsedAt INTEGER,                        -- Last authenticated request
+      revokedAt INTEGER                          -- Set when the player revokes the key
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(userId)');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_key_usage (
+      keyId INTEGER NOT NULL,                    -- api_keys.id
+      day TEXT NOT NULL,                         -- UTC date (YYYY-MM-DD)
+      requests INTEGER NOT NULL DEFAULT 0,       -- Requests made that day
+      PRIMARY KEY (keyId, day)
+    )
+  `);
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS api_key_usage');
+  db.exec('DROP TABLE IF EXISTS api_keys');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,55 @@
+/**
+ * MIGRATION 026 - Outbound Webhooks
+ *
+ * Server owners (from the dashboard) and API key holders (from the developer
+ * page) can register HTTPS URLs that receive game events such as boss spawns,
+ * weather, market sales and relocations. Each emitted event becomes one row
+ * in webhook_deliveries per subscribed endpoint; rows are retried with
+ * backoff and kept as a delivery log, with rows that ran out of attempts
+ * left as 'dead' (the dead-letter list) until redelivered or pruned.
+ */
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_endpoints (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ownerType TEXT NOT NULL,                   -- 'guild' (server owners) or 'user' (API key holders)
+      ownerId TEXT NOT NULL,                     -- Guild ID or user ID that owns the endpoint
+      url TEXT NOT NULL,                         -- HTTPS URL events are POSTed to
+      secret TEXT NOT NULL,                      -- HMAC-SHA256 signing secret
+      events TEXT NOT NULL,                      -- Space-separated subscribed event types
+      enabled INTEGER NOT NULL DEFAULT 1,        -- 0 while paused
+      createdBy TEXT,                            -- User who registered it
+      createdAt INTEGER NOT NULL,
+      lastSuccessAt INTEGER,                     -- Last 2xx response
+      lastFailureAt INTEGER                      -- Last failed attempt
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_owner ON webhook_endpoints(ownerType, ownerId)');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      endpointId INTEGER NOT NULL,               -- webhook_endpoints.id
+      event TEXT NOT NULL,                       -- Event type, e.g. boss.spawned
+      eventId TEXT NOT NULL,                     -- Shared by every delivery of the same event
+      payload TEXT NOT NULL,                     -- JSON body sent to the endpoint
+      status TEXT NOT NULL DEFAULT 'pending',    -- pending, delivered or dead
+      attempts INTEGER NOT NULL DEFAULT 0,       -- Attempts made so far
+      nextAttemptAt INTEGER NOT NULL,            -- Earliest time to (re)try delivery
+      responseStatus INTEGER,                    -- HTTP status of the last attempt
+      lastError TEXT,                            -- Error from the last failed attempt
+      createdAt INTEGER NOT NULL,
+      deliveredAt INTEGER
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, nextAttemptAt)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries(endpointId, createdAt)');
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS webhook_deliveries');
+  db.exec('DROP TABLE IF EXISTS webhook_endpoints');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,58 @@
+/**
+ * MIGRATION 027 - Scheduled Jobs
+ *
+ * Background work (regeneration, weather, boss spawns, queue flushes, the
+ * weekly reset) runs through utils/scheduler instead of bare timers. Each job
+ * keeps one row in scheduled_jobs with its schedule, when it last ran and
+ * when it is due next, so a restart picks up where the last process stopped
+ * and missed runs can be caught up. The lock columns stop two processes (or a
+ * slow run and the next tick) from running the same job at once.
+ *
+ * job_runs only keeps the runs worth looking at: failures, runs missed while
+ * the bot was offline, and runs skipped because the previous one was still
+ * going. Successful runs are counted on scheduled_jobs instead.
+ */
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS scheduled_jobs (
+      name TEXT PRIMARY KEY,                       -- Job name, e.g. weather-generate
+      schedule TEXT NOT NULL,                      -- Cron expression or '@every 30s'
+      nextRunAt INTEGER NOT NULL,                  -- When the job is next due
+      lastRunAt INTEGER,                           -- When the last run started
+      lastFinishedAt INTEGER,                      -- When the last run finished
+      lastDurationMs INTEGER,
+      lastStatus TEXT,                             -- ok or failed
+      lastError TEXT,                              -- Error message of the last failed run
+      runCount INTEGER NOT NULL DEFAULT 0,         -- Runs started
+      failCount INTEGER NOT NULL DEFAULT 0,        -- Runs that threw
+      consecutiveFailures INTEGER NOT NULL DEFAULT 0,
+      missedRuns INTEGER NOT NULL DEFAULT 0,       -- Occurrences missed offline or skipped by the lock
+      lockedBy TEXT,                               -- 'host:pid' of the process running it
+      lockedUntil INTEGER,                         -- Lock expiry, in case that process died
+      updatedAt INTEGER NOT NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS job_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job TEXT NOT NULL,                           -- scheduled_jobs.name
+      status TEXT NOT NULL,                        -- failed, missed or skipped
+      scheduledFor INTEGER NOT NULL,               -- Occurrence the entry is about
+      missed INTEGER NOT NULL DEFAULT 0,           -- Occurrences missed or skipped
+      durationMs INTEGER,
+      error TEXT,
+      instance TEXT,                               -- 'host:pid' that recorded it
+      createdAt INTEGER NOT NULL
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job, createdAt)');
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS job_runs');
+  db.exec('DROP TABLE IF EXISTS scheduled_jobs');
+}
+
+module.exports = { up, down };
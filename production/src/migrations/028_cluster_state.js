@@ -0,0 +1,43 @@
+/**
+ * MIGRATION 028 - Cluster State
+ *
+ * State shared by the processes of a sharded deployment (src/shards.js runs
+ * the web server and one process per group of Discord shards, all on the same
+ * database file).
+ *
+ * leader_leases holds time-limited leases; the process holding the 'leader'
+ * lease runs the world-wide jobs (boss spawns, weather, the weekly reset) and
+ * keeps renewing it. If it stops renewing, another process takes over once
+ * the lease expires.
+ *
+ * shared_counters backs fixed-window rate limits and cooldowns (commands,
+ * web routes, API keys) so a user hitting two shards or processes is still
+ * counted once. Single-process runs keep these counters in memory instead.
+ */
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS leader_leases (
+      name TEXT PRIMARY KEY,                 -- Lease name, e.g. leader
+      holder TEXT NOT NULL,                  -- 'host:pid' of the holding process
+      acquiredAt INTEGER NOT NULL,           -- When the current holder took it
+      expiresAt INTEGER NOT NULL             -- Holder must renew before this
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS shared_counters (
+      key TEXT PRIMARY KEY,                  -- Namespaced key, e.g. cmd:<userId>
+      count INTEGER NOT NULL,                -- Hits in the current window
+      resetAt INTEGER NOT NULL               -- When the window ends
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_shared_counters_reset ON shared_counters(resetAt)');
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS shared_counters');
+  db.exec('DROP TABLE IF EXISTS leader_leases');
+}
+
+module.exports = { up, down };
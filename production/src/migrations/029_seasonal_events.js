@@ -0,0 +1,85 @@
+/**
+ * MIGRATION 029 - Seasonal Events
+ *
+ * Limited-time events are defined in config.seasonalEvents.definitions (see
+ * utils/seasonal_events). These tables hold what changes while one runs:
+ * staff schedule changes, each player's event currency, event challenge
+ * progress and shop purchases. Bosses remember the event that spawned them
+ * so they can be cleared when it ends.
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('../utils/migrations');
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS seasonal_event_state (
+      eventId TEXT PRIMARY KEY,              -- Definition ID from config
+      startsAt INTEGER,                      -- Staff override of the configured start
+      endsAt INTEGER,                        -- Staff override of the configured end
+      startedAt INTEGER,                     -- When the start was announced
+      endedAt INTEGER,                       -- When the event was wound down
+      updatedBy TEXT,                        -- Staff member who last changed the schedule
+      updatedAt INTEGER
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS seasonal_currency (
+      userId TEXT NOT NULL,
+      eventId TEXT NOT NULL,
+      balance INTEGER NOT NULL DEFAULT 0,    -- Spendable now
+      earned INTEGER NOT NULL DEFAULT 0,     -- Lifetime total earned in this event
+      PRIMARY KEY (userId, eventId)
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS seasonal_currency_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      userId TEXT NOT NULL,
+      eventId TEXT NOT NULL,
+      amount INTEGER NOT NULL,               -- Positive when earned, negative when spent or expired
+      reason TEXT NOT NULL,                  -- earn:<activity>, challenge:<id>, shop:<itemId>, expired
+      createdAt INTEGER NOT NULL
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_seasonal_currency_log_user ON seasonal_currency_log(userId, eventId, createdAt)');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS seasonal_challenges (
+      userId TEXT NOT NULL,
+      eventId TEXT NOT NULL,
+      challengeId TEXT NOT NULL,
+      progress INTEGER NOT NULL DEFAULT 0,
+      target INTEGER NOT NULL,
+      completedAt INTEGER,                   -- Set once, when the reward is paid
+      PRIMARY KEY (userId, eventId, challengeId)
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS seasonal_purchases (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      userId TEXT NOT NULL,
+      eventId TEXT NOT NULL,
+      itemId TEXT NOT NULL,
+      qty INTEGER NOT NULL,
+      price INTEGER NOT NULL,                -- Total currency paid
+      createdAt INTEGER NOT NULL
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_seasonal_purchases_user ON seasonal_purchases(userId, eventId, itemId)');
+
+  addColumnIfMissing(db, 'bosses', 'eventId', 'TEXT'); // Seasonal event that spawned the boss
+}
+
+function down(db) {
+  dropColumnIfExists(db, 'bosses', 'eventId');
+  db.exec('DROP TABLE IF EXISTS seasonal_purchases');
+  db.exec('DROP TABLE IF EXISTS seasonal_challenges');
+  db.exec('DROP TABLE IF EXISTS seasonal_currency_log');
+  db.exec('DROP TABLE IF EXISTS seasonal_currency');
+  db.exec('DROP TABLE IF EXISTS seasonal_event_state');
+}
+
+module.exports = { up, down };
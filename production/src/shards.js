@@ -0,0 +1,64 @@
+const envFile = process.env.NODE_ENV ? `.env.${process.env.NODE_ENV}` : '.env';
+require('dotenv').config({ path: envFile });
+require('dotenv').config();
+
+// ============================================================================
+// SHARDED LAUNCHER
+// ============================================================================
+// Runs QuestCord across several processes: this launcher runs the web server
+// and spawns src/index.js once per group of Discord shards through the
+// discord.js ShardingManager. Every process shares the SQLite database, which
+// is also where they keep shared rate limits and elect the leader that runs
+// world-wide jobs (see utils/cluster and utils/shared_store).
+//
+// Use src/index.js directly to run the bot and web server in one process.
+
+// Marks this process and the shards it spawns (which inherit the environment)
+// as clustered, so rate limits and cooldowns use the shared store
+process.env.QUESTCORD_CLUSTER = 'true';
+
+const path = require('path');
+const { ShardingManager } = require('discord.js');
+const { db } = require('./utils/store_sqlite'); // Applies pending migrations before any shard starts
+const logger = require('./utils/logger');
+const { clusterSettings } = require('./utils/cluster');
+
+const settings = clusterSettings();
+
+const manager = new ShardingManager(path.join(__dirname, 'index.js'), {
+  token: process.env.DISCORD_TOKEN,
+  totalShards: settings.totalShards, // 'auto' asks Discord for the recommended count
+  respawn: true // Restart a shard process that dies
+});
+
+manager.on('shardCreate', (shard) => {
+  logger.info(`[shards] Launched shard ${shard.id}`);
+  shard.on('death', () => logger.warn(`[shards] Shard ${shard.id} exited, respawning`));
+  shard.on('disconnect', () => logger.warn(`[shards] Shard ${shard.id} disconnected`));
+});
+
+// Web server runs here, apart from the shards; bot statistics come from the manager
+if (settings.webInLauncher) {
+  const { createWebServer } = require('./web/server');
+  const webServerResult = createWebServer();
+  if (webServerResult && webServerResult.app) {
+    webServerResult.app.locals.shardManager = manager;
+  }
+}
+
+manager.spawn({ timeout: settings.spawnTimeoutMs })
+  .then(shards => logger.info(`[shards] ${shards.size} shard(s) ready`))
+  .catch(error => {
+    logger.error('[shards] Failed to spawn shards:', error.message);
+    process.exit(1);
+  });
+
+// Stop the shard processes along with the launcher
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    logger.info(`[shards] Received ${signal}, shutting down`);
+    for (const shard of manager.shards.values()) shard.kill();
+    db.close();
+    process.exit(0);
+  });
+}
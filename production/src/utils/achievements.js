@@ -1,5 +1,6 @@
 const { db } = require('./store_sqlite');
 const { awardGems } = require('./gems');
+const { emitGameEvent } = require('./game_events');
 
 // Achievement definitions
 const ACHIEVEMENTS = {
@@ -135,6 +136,13 @@ function checkAchievement(userId, achievementId) {
     }
     
     console.log(`[achievements] ${userId} unlocked achievement: ${achievement.name}`);
+    emitGameEvent('player.achievement', {
+      userId,
+      achievementId: achievement.id,
+      name: achievement.name,
+      description: achievement.description,
+      gems: achievement.reward.gems
+    }, { userId });
     return achievement;
   } catch (error) {
     console.error('[achievements] Error checking achievement:', error.message);
@@ -0,0 +1,165 @@
+const { db } = require('./store_sqlite');
+const config = require('./config');
+
+/**
+ * Item Affixes
+ * Gear from boss loot and crafting can roll random affixes: bonus boss
+ * damage, faster stamina regen, shorter travel, or extra gems from bosses.
+ * The chance to roll, how many affixes an item can get, which affixes are
+ * likely and how strong they are all scale with tier (the boss tier, or a
+ * tier derived from a crafted item's rarity). Affixes on equipped, unbroken
+ * gear add together per stat up to a configured cap.
+ */
+
+// Stats an affix can grant, with fallback caps
+const STATS = {
+  bossDamagePct: 100,
+  staminaRegenPct: 100,
+  travelTimePct: 40,
+  gemDropPct: 100
+};
+
+/**
+ * Affix settings with defaults
+ */
+function affixSettings() {
+  const cfg = config.affixes || {};
+  return {
+    rollChanceByTier: cfg.rollChanceByTier || {},
+    maxAffixesByTier: cfg.maxAffixesByTier || {},
+    craftTierByRarity: cfg.craftTierByRarity || {},
+    caps: { ...STATS, ...(cfg.caps || {}) },
+    definitions: (cfg.definitions || []).filter(d => d.id && STATS[d.stat] != null)
+  };
+}
+
+/**
+ * Look up an affix definition
+ */
+function affixById(id) {
+  return affixSettings().definitions.find(d => d.id === id) || null;
+}
+
+/**
+ * Tier a crafted item rolls affixes at, from its rarity
+ */
+function craftTier(item) {
+  return affixSettings().craftTierByRarity[item?.rarity] || 1;
+}
+
+/**
+ * Roll affixes for a new piece of gear. Each slot rolls its own chance;
+ * an item never gets the same affix twice.
+ *
+ * @param {Object} item - Item definition being created
+ * @param {number} tier - Boss tier or craft tier (1-5)
+ * @returns {Array<{id: string, value: number}>}
+ */
+function rollAffixes(item, tier) {
+  const settings = affixSettings();
+  const chance = settings.rollChanceByTier[tier] ?? 0;
+  const max = settings.maxAffixesByTier[tier] ?? 0;
+  const pool = settings.definitions.filter(d => !d.slots || d.slots.includes(item?.equipSlot));
+  const rolled = [];
+
+  for (let i = 0; i < max && pool.length > 0; i++) {
+    if (Math.random() >= chance) break;
+    const weights = pool.map(d => d.weights?.[tier] ?? 1);
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    if (total <= 0) break;
+    let roll = Math.random() * total;
+    const index = weights.findIndex(w => (roll -= w) < 0);
+    const def = pool.splice(index < 0 ? pool.length - 1 : index, 1)[0];
+    const scale = 1 + (def.perTier ?? 0) * (tier - 1);
+    const value = Math.max(1, Math.round((def.min + Math.random() * (def.max - def.min)) * scale));
+    rolled.push({ id: def.id, value });
+  }
+  return rolled;
+}
+
+/**
+ * Parse the affixes column of an instance row
+ */
+function parseAffixes(instance) {
+  if (!instance?.affixes) return [];
+  if (Array.isArray(instance.affixes)) return instance.affixes;
+  try {
+    return JSON.parse(instance.affixes);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Human-readable line for one affix, e.g. "Ferocious (+8% boss damage)"
+ */
+function describeAffix(affix) {
+  const def = affixById(affix.id);
+  if (!def) return affix.id;
+  return `${def.name} (${(def.description || `+{value} ${def.stat}`).replace('{value}', affix.value)})`;
+}
+
+/**
+ * Add up affixes from a list of instances, applying caps
+ * @returns {Object} Totals keyed by stat
+ */
+function sumAffixes(instances) {
+  const { caps } = affixSettings();
+  const totals = Object.fromEntries(Object.keys(STATS).map(stat => [stat, 0]));
+  for (const instance of instances) {
+    for (const affix of parseAffixes(instance)) {
+      const def = affixById(affix.id);
+      if (def) totals[def.stat] += affix.value;
+    }
+  }
+  for (const stat of Object.keys(totals)) totals[stat] = Math.min(totals[stat], caps[stat]);
+  return totals;
+}
+
+/**
+ * Affix totals from a player's equipped, unbroken gear
+ */
+function equippedAffixTotals(userId) {
+  const rows = db.prepare(`
+    SELECT i.affixes FROM equipment e
+    JOIN item_instances i ON i.id = e.instanceId AND i.userId = e.userId
+    WHERE e.userId = ? AND i.durability > 0
+  `).all(userId);
+  return sumAffixes(rows);
+}
+
+/**
+ * One stat's total from a player's equipped gear
+ * @param {string} userId - Player to check
+ * @param {string} stat - bossDamagePct, staminaRegenPct, travelTimePct or gemDropPct
+ */
+function affixBonus(userId, stat) {
+  return equippedAffixTotals(userId)[stat] || 0;
+}
+
+/**
+ * Affix totals for every player with affixed gear equipped, for batch jobs
+ * @returns {Object} Totals keyed by userId
+ */
+function allEquippedAffixTotals() {
+  const rows = db.prepare(`
+    SELECT e.userId, i.affixes FROM equipment e
+    JOIN item_instances i ON i.id = e.instanceId AND i.userId = e.userId
+    WHERE i.durability > 0 AND i.affixes != '[]'
+  `).all();
+  const byUser = {};
+  for (const row of rows) (byUser[row.userId] = byUser[row.userId] || []).push(row);
+  return Object.fromEntries(Object.entries(byUser).map(([userId, list]) => [userId, sumAffixes(list)]));
+}
+
+module.exports = {
+  affixSettings,
+  affixById,
+  craftTier,
+  rollAffixes,
+  parseAffixes,
+  describeAffix,
+  equippedAffixTotals,
+  affixBonus,
+  allEquippedAffixTotals
+};
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { hitLimit, clearLimit } = require('./shared_store');
+
+/**
+ * Public API Keys
+ * Players create personal keys on the website to use the public /api/v1
+ * surface from community tools. A key is shown once when created; only its
+ * SHA-256 hash is stored. Each key carries read scopes, which decide the
+ * endpoints it can call, and two quotas: requests per minute (counted in
+ * the shared store) and requests per UTC day (counted in api_key_usage). Keys without
+ * their own quotas use config.publicApi.
+ */
+
+// Scopes a key can be given, with the description shown on the website
+const API_SCOPES = {
+  'profile:read': 'Your profile and public player profiles',
+  'inventory:read': 'Your inventory',
+  'bosses:read': 'Active bosses',
+  'market:read': 'Market listings and order books',
+  'map:read': 'Servers on the map',
+  'leaderboards:read': 'Leaderboards'
+};
+
+const KEY_PREFIX = 'qc_';
+
+/**
+ * Quota settings from config.publicApi with defaults
+ */
+function apiSettings() {
+  const c = config.publicApi || {};
+  return {
+    maxKeysPerUser: c.maxKeysPerUser ?? 5,
+    perMinute: c.perMinute ?? 60,
+    perDay: c.perDay ?? 5000,
+    maxPageSize: c.maxPageSize ?? 100
+  };
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function parseScopes(scopes) {
+  return String(scopes || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Key as shown to its owner (never includes the hash)
+ */
+function describeKey(row) {
+  const settings = apiSettings();
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.keyPrefix,
+    scopes: parseScopes(row.scopes),
+    perMinute: row.perMinute ?? settings.perMinute,
+    perDay: row.perDay ?? settings.perDay,
+    createdAt: row.createdAt,
+    lastUsedAt: row.lastUsedAt,
+    revokedAt: row.revokedAt
+  };
+}
+
+/**
+ * Create a key for a player. The returned key is the only time the full
+ * value is available.
+ *
+ * @param {string} userId - Player the key belongs to
+ * @param {string} name - Label for the key (1-40 characters)
+ * @param {Array<string>} scopes - Scopes from API_SCOPES
+ * @returns {{ok: boolean, reason?: string, key?: string, record?: Object}}
+ */
+const createKey = db.transaction((userId, name, scopes) => {
+  const label = String(name || '').trim();
+  if (!label || label.length > 40) return { ok: false, reason: 'invalid_name' };
+  const wanted = [...new Set(Array.isArray(scopes) ? scopes : parseScopes(scopes))];
+  if (!wanted.length || wanted.some(s => !API_SCOPES[s])) return { ok: false, reason: 'invalid_scopes' };
+
+  const { maxKeysPerUser } = apiSettings();
+  const active = db.prepare('SELECT COUNT(*) AS n FROM api_keys WHERE userId = ? AND revokedAt IS NULL').get(userId).n;
+  if (active >= maxKeysPerUser) return { ok: false, reason: 'too_many_keys', max: maxKeysPerUser };
+
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+  const result = db.prepare(`
+    INSERT INTO api_keys (userId, name, keyPrefix, keyHash, scopes, createdAt)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(userId, label, key.slice(0, KEY_PREFIX.length + 8), hashKey(key), wanted.join(' '), Date.now());
+  logger.info('api_key_create: %s created key %s (%s)', userId, result.lastInsertRowid, wanted.join(' '));
+  const record = db.prepare('SELECT * FROM api_keys WHERE id = ?').get(result.lastInsertRowid);
+  return { ok: true, key, record: describeKey(record) };
+});
+
+/**
+ * A player's keys, newest first (revoked keys included so they can see them)
+ */
+function listKeys(userId) {
+  return db.prepare('SELECT * FROM api_keys WHERE userId = ? ORDER BY createdAt DESC, id DESC').all(userId).map(describeKey);
+}
+
+/**
+ * Revoke one of a player's keys
+ * @returns {{ok: boolean, reason?: string}}
+ */
+function revokeKey(userId, keyId) {
+  const row = db.prepare('SELECT id, revokedAt FROM api_keys WHERE id = ? AND userId = ?').get(keyId, userId);
+  if (!row) return { ok: false, reason: 'key_not_found' };
+  if (row.revokedAt) return { ok: false, reason: 'already_revoked' };
+  db.prepare('UPDATE api_keys SET revokedAt = ? WHERE id = ?').run(Date.now(), keyId);
+  clearLimit(`api:${keyId}`);
+  logger.info('api_key_revoke: %s revoked key %s', userId, keyId);
+  return { ok: true };
+}
+
+/**
+ * Look up an active key from its full value. Keys of banned players do not
+ * authenticate.
+ *
+ * @returns {Object|null} Key row with scopes as an array, or null
+ */
+function authenticateKey(key) {
+  if (!key || !String(key).startsWith(KEY_PREFIX)) return null;
+  const row = db.prepare(`
+    SELECT k.* FROM api_keys k
+    LEFT JOIN players p ON p.userId = k.userId
+    WHERE k.keyHash = ? AND k.revokedAt IS NULL AND COALESCE(p.banned, 0) = 0
+  `).get(hashKey(key));
+  if (!row) return null;
+  return { ...row, scopes: parseScopes(row.scopes) };
+}
+
+/**
+ * Count a request against a key's quotas
+ *
+ * @param {Object} key - Row from authenticateKey
+ * @returns {{ok: boolean, reason?: string, limit: number, remaining: number, reset: number}}
+ *   reset is when the exhausted (or per-minute) window ends, in ms since epoch
+ */
+function consumeQuota(key, now = Date.now()) {
+  const settings = apiSettings();
+  const perMinute = key.perMinute ?? settings.perMinute;
+  const perDay = key.perDay ?? settings.perDay;
+
+  const minute = hitLimit(`api:${key.id}`, perMinute, 60000);
+  if (!minute.allowed) {
+    return { ok: false, reason: 'rate_limited', limit: perMinute, remaining: 0, reset: minute.resetAt };
+  }
+
+  const day = new Date(now).toISOString().slice(0, 10);
+  const dayEnd = Date.parse(`${day}T00:00:00Z`) + 24 * 60 * 60 * 1000;
+  const used = db.prepare('SELECT requests FROM api_key_usage WHERE keyId = ? AND day = ?').get(key.id, day)?.requests || 0;
+  if (used >= perDay) {
+    return { ok: false, reason: 'quota_exceeded', limit: perDay, remaining: 0, reset: dayEnd };
+  }
+
+  db.prepare(`
+    INSERT INTO api_key_usage (keyId, day, requests) VALUES (?, ?, 1)
+    ON CONFLICT(keyId, day) DO UPDATE SET requests = requests + 1
+  `).run(key.id, day);
+  db.prepare('UPDATE api_keys SET lastUsedAt = ? WHERE id = ?').run(now, key.id);
+  return { ok: true, limit: perMinute, remaining: minute.remaining, reset: minute.resetAt };
+}
+
+module.exports = {
+  API_SCOPES,
+  apiSettings,
+  createKey,
+  listKeys,
+  revokeKey,
+  authenticateKey,
+  consumeQuota
+};
@@ -0,0 +1,315 @@
+const { db } = require('./store_sqlite');
+const config = require('./config');
+
+/**
+ * Multi-phase Boss Encounter System
+ * Bosses are defined as data in config.boss.definitions. Each definition has
+ * HP-threshold phases, named abilities (AoE, shields, damage reflection) and
+ * enrages as the fight nears expiresAt. Encounter state lives on the bosses row.
+ */
+
+// Default enrage behaviour when config.boss.enrage is not set
+const DEFAULT_ENRAGE = {
+  secondsBeforeExpiry: 600, // Enrage during the final 10 minutes
+  damageMultiplier: 1.5,    // Ability damage while enraged
+  counterMultiplier: 2      // Counterattack damage while enraged
+};
+
+/**
+ * Get every configured boss definition
+ */
+function getBossDefinitions() {
+  return Array.isArray(config.boss?.definitions) ? config.boss.definitions : [];
+}
+
+/**
+ * Build a single-phase definition for bosses without configured data
+ * (legacy rows, or biomes that have no definitions yet)
+ */
+function genericDefinition(name) {
+  return {
+    id: null,
+    name: name || 'Ancient Beast',
+    hpMultiplier: 1,
+    counterDamage: config.boss?.counterDamage || { min: 5, max: 30 },
+    abilities: {},
+    phases: [{ name: 'Rampage', hpPct: 100, abilities: [] }]
+  };
+}
+
+/**
+ * Look up the definition a boss row was spawned from
+ */
+function definitionForBoss(boss) {
+  if (!boss?.definitionId) return genericDefinition(boss?.name);
+  const def = getBossDefinitions().find(d => d.id === boss.definitionId)
+    || require('./seasonal_events').eventBossDefinition(boss.definitionId);
+  return def || genericDefinition(boss.name);
+}
+
+/**
+ * Pick a weighted random definition for a biome.
+ * Definitions with an empty biomes list can appear anywhere.
+ * @param {string} biome - Server biome
+ * @param {Array<Object>} definitions - Pool to pick from (a seasonal event's
+ *   bosses, or config.boss.definitions by default)
+ * @returns {Object|null} Definition, or null if none fit the biome
+ */
+function pickBossDefinition(biome, definitions = getBossDefinitions()) {
+  const normalizedBiome = biome ? String(biome).toLowerCase() : null;
+  const candidates = definitions.filter(d => {
+    const biomes = d.biomes || [];
+    return biomes.length === 0 || (normalizedBiome && biomes.includes(normalizedBiome));
+  });
+  if (candidates.length === 0) return null;
+
+  // Prefer biome-specific bosses over wanderers when both exist
+  const specific = candidates.filter(d => (d.biomes || []).length > 0);
+  const pool = specific.length > 0 ? specific : candidates;
+
+  const totalWeight = pool.reduce((sum, d) => sum + (d.weight ?? 1), 0);
+  let roll = Math.random() * totalWeight;
+  for (const def of pool) {
+    roll -= (def.weight ?? 1);
+    if (roll <= 0) return def;
+  }
+  return pool[pool.length - 1];
+}
+
+/**
+ * Index of the phase a boss is in for the given HP.
+ * Phases are ordered by descending hpPct; the last one whose threshold has
+ * been reached wins.
+ */
+function phaseIndexForHp(def, hp, maxHp) {
+  const pct = maxHp > 0 ? (hp / maxHp) * 100 : 0;
+  let index = 0;
+  def.phases.forEach((phase, i) => {
+    if (pct <= (phase.hpPct ?? 100)) index = i;
+  });
+  return index;
+}
+
+/**
+ * How many attacks a phase waits between abilities
+ */
+function abilityInterval(phase) {
+  return Math.max(1, phase?.abilityEvery || config.boss?.abilityEvery || 5);
+}
+
+/**
+ * Initial encounter columns for a freshly spawned boss
+ */
+function initialEncounterState(def) {
+  const firstPhase = def.phases[0];
+  return {
+    definitionId: def.id,
+    phase: 0,
+    nextAbility: firstPhase?.abilities?.[0] || null,
+    abilityCountdown: abilityInterval(firstPhase),
+    effects: '{}',
+    enraged: 0
+  };
+}
+
+/**
+ * Get the enrage settings for a definition (definition overrides config)
+ */
+function enrageSettings(def) {
+  return { ...DEFAULT_ENRAGE, ...(config.boss?.enrage || {}), ...(def.enrage || {}) };
+}
+
+/**
+ * Whether a boss is enraged at the given time
+ */
+function isEnraged(boss, def, now = Date.now()) {
+  const enrage = enrageSettings(def);
+  return now >= boss.expiresAt - enrage.secondsBeforeExpiry * 1000;
+}
+
+/**
+ * Parse the active effects JSON and drop anything that has worn off
+ */
+function activeEffects(boss, now = Date.now()) {
+  let effects = {};
+  try {
+    effects = JSON.parse(boss.effects || '{}');
+  } catch {
+    effects = {};
+  }
+  for (const [key, effect] of Object.entries(effects)) {
+    if (!effect || effect.until <= now) delete effects[key];
+  }
+  return effects;
+}
+
+function randomBetween(range, fallbackMin, fallbackMax) {
+  const min = Math.max(0, parseInt(range?.min ?? fallbackMin, 10));
+  const max = Math.max(min, parseInt(range?.max ?? fallbackMax, 10));
+  return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+/**
+ * Fire a boss ability, mutating the effects object for buffs
+ * @returns {Object} Description of what happened for the attack embed
+ */
+function fireAbility(boss, def, abilityId, attackerId, effects, damageMultiplier, now) {
+  const ability = def.abilities?.[abilityId];
+  if (!ability) return null;
+
+  const fired = { id: abilityId, name: ability.name || abilityId, emoji: ability.emoji || '✨', type: ability.type };
+
+  if (ability.type === 'aoe') {
+    // Hit everyone who has joined the fight, including the current attacker
+    const targets = new Set(db.prepare('SELECT userId FROM boss_participants WHERE bossId = ?').all(boss.id).map(r => r.userId));
+    targets.add(attackerId);
+    const damage = Math.floor(randomBetween(ability.damage, 10, 25) * damageMultiplier);
+    const hit = db.prepare('UPDATE players SET health = MAX(health - ?, 0), lastCombatAt = ? WHERE userId = ?');
+    for (const userId of targets) hit.run(damage, now, userId);
+    fired.damage = damage;
+    fired.targets = targets.size;
+  } else if (ability.type === 'shield') {
+    effects.shield = { name: fired.name, reduction: Math.min(1, ability.reduction ?? 0.5), until: now + (ability.durationSeconds || 60) * 1000 };
+    fired.reduction = effects.shield.reduction;
+    fired.until = effects.shield.until;
+  } else if (ability.type === 'reflect') {
+    effects.reflect = { name: fired.name, pct: Math.min(1, ability.pct ?? 0.25), until: now + (ability.durationSeconds || 45) * 1000 };
+    fired.pct = effects.reflect.pct;
+    fired.until = effects.reflect.until;
+  } else {
+    console.warn(`[boss_encounters] Unknown ability type "${ability.type}" on ${def.id}.${abilityId}`);
+    return null;
+  }
+
+  return fired;
+}
+
+/**
+ * Resolve one player attack against a boss.
+ * Applies shields and reflection, advances phases, fires telegraphed
+ * abilities, and computes the counterattack. Runs in a single transaction.
+ *
+ * @param {number} bossId - Boss being attacked
+ * @param {string} userId - Attacking player
+ * @param {number} rawDamage - Damage rolled before boss defences
+ * @returns {Object} Outcome: damage, hp, absorbed, reflected, counter, phase info, ability fired, enrage
+ */
+const resolveBossAttack = db.transaction((bossId, userId, rawDamage) => {
+  const now = Date.now();
+  const boss = db.prepare('SELECT * FROM bosses WHERE id = ?').get(bossId);
+  const def = definitionForBoss(boss);
+  const effects = activeEffects(boss, now);
+  const enraged = isEnraged(boss, def, now);
+  const enrage = enrageSettings(def);
+
+  // Shields soak part of the hit; reflection bounces part of it back
+  let damage = rawDamage;
+  let absorbed = 0;
+  if (effects.shield) {
+    absorbed = Math.floor(damage * effects.shield.reduction);
+    damage -= absorbed;
+  }
+  const reflected = effects.reflect ? Math.floor(damage * effects.reflect.pct) : 0;
+
+  const hp = Math.max(0, boss.hp - damage);
+
+  // Crossing an HP threshold moves the boss into its next phase
+  const previousPhase = boss.phase || 0;
+  const phaseIndex = Math.max(previousPhase, phaseIndexForHp(def, hp, boss.maxHp));
+  const phase = def.phases[phaseIndex];
+  let nextAbility = boss.nextAbility;
+  let countdown = boss.abilityCountdown ?? abilityInterval(phase);
+  if (phaseIndex !== previousPhase) {
+    nextAbility = phase.abilities?.[0] || null;
+    countdown = abilityInterval(phase);
+  }
+
+  const damageMultiplier = (phase.damageMultiplier || 1) * (enraged ? enrage.damageMultiplier : 1);
+
+  // Telegraphed abilities go off once enough attacks have landed
+  let ability = null;
+  if (hp > 0 && nextAbility) {
+    countdown -= 1;
+    if (countdown <= 0) {
+      ability = fireAbility(boss, def, nextAbility, userId, effects, damageMultiplier, now);
+      const rotation = phase.abilities || [];
+      const at = rotation.indexOf(nextAbility);
+      nextAbility = rotation.length ? rotation[(at + 1) % rotation.length] : null;
+      countdown = abilityInterval(phase);
+    }
+  }
+
+  // Boss strikes back at the attacker if it is still standing
+  let counter = 0;
+  if (hp > 0) {
+    const base = randomBetween(def.counterDamage || config.boss?.counterDamage, 5, 30);
+    counter = Math.floor(base * (phase.damageMultiplier || 1) * (enraged ? enrage.counterMultiplier : 1)) + reflected;
+  }
+  if (counter > 0) {
+    db.prepare('UPDATE players SET health = MAX(health - ?, 0), lastCombatAt = ? WHERE userId = ?').run(counter, now, userId);
+  } else {
+    db.prepare('UPDATE players SET lastCombatAt = ? WHERE userId = ?').run(now, userId);
+  }
+
+  db.prepare(`
+    UPDATE bosses
+    SET hp = ?, phase = ?, nextAbility = ?, abilityCountdown = ?, effects = ?, enraged = ?
+    WHERE id = ?
+  `).run(hp, phaseIndex, nextAbility, countdown, JSON.stringify(effects), enraged ? 1 : 0, bossId);
+
+  const player = db.prepare('SELECT health FROM players WHERE userId = ?').get(userId);
+
+  return {
+    damage,
+    hp,
+    absorbed,
+    reflected,
+    counter,
+    playerHealth: player?.health ?? 0,
+    phaseChanged: phaseIndex !== previousPhase,
+    phase: { index: phaseIndex, total: def.phases.length, name: phase.name },
+    ability,
+    enraged,
+    newlyEnraged: enraged && !boss.enraged
+  };
+});
+
+/**
+ * Summarise a boss's current encounter state for status embeds
+ */
+function describeEncounter(boss, now = Date.now()) {
+  const def = definitionForBoss(boss);
+  const phaseIndex = Math.min(boss.phase || 0, def.phases.length - 1);
+  const phase = def.phases[phaseIndex];
+  const ability = boss.nextAbility ? def.abilities?.[boss.nextAbility] : null;
+  const enrage = enrageSettings(def);
+  const nextPhase = def.phases[phaseIndex + 1];
+
+  return {
+    phase: { index: phaseIndex, total: def.phases.length, name: phase.name },
+    nextPhaseAtPct: nextPhase ? nextPhase.hpPct : null,
+    nextAbility: ability ? {
+      name: ability.name || boss.nextAbility,
+      emoji: ability.emoji || '✨',
+      type: ability.type,
+      description: ability.description || null,
+      inAttacks: Math.max(1, boss.abilityCountdown ?? abilityInterval(phase))
+    } : null,
+    effects: activeEffects(boss, now),
+    enraged: isEnraged(boss, def, now),
+    enrageAt: boss.expiresAt - enrage.secondsBeforeExpiry * 1000
+  };
+}
+
+module.exports = {
+  getBossDefinitions,
+  genericDefinition,
+  definitionForBoss,
+  pickBossDefinition,
+  phaseIndexForHp,
+  initialEncounterState,
+  isEnraged,
+  activeEffects,
+  resolveBossAttack,
+  describeEncounter
+};
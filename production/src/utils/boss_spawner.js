@@ -1,5 +1,10 @@
 const { db } = require('./store_sqlite');
 const config = require('./config');
+const { pickBossDefinition, genericDefinition, initialEncounterState } = require('./boss_encounters');
+const { dispatch } = require('./notifications');
+const { queueBossNearby } = require('./player_notifications');
+const { emitGameEvent } = require('./game_events');
+const { rollEventBoss, getEvent } = require('./seasonal_events');
 
 /**
  * Automatic Boss Spawning System
@@ -12,9 +17,7 @@ const BOSS_CONFIG = {
   SPAWN_INTERVAL: 2 * 60 * 60 * 1000, // 2 hours in milliseconds (check more frequently for single boss)
   MAX_GLOBAL_BOSSES: 1, // Only 1 boss at a time globally
   MAX_BOSSES_PER_CYCLE: 1, // Maximum bosses that can spawn in a single cycle
-  SPAWN_CHANCE: 1.0, // 100% chance to spawn when no boss is active
-  NOTIFICATION_CHANNEL_ID: '1411045103921004554',
-  BOSS_ROLE_ID: '1411051374153826386' // Correct boss notification role
+  SPAWN_CHANCE: 1.0 // 100% chance to spawn when no boss is active
 };
 
 // Boss tier distribution (weighted random selection)
@@ -228,20 +231,29 @@ function spawnRandomBoss(client = null) {
     // Select random server
     const server = eligibleServers[Math.floor(Math.random() * eligibleServers.length)];
     
-    // Generate boss parameters
+    // Generate boss parameters from the biome's boss definition
+    // (biomes without definitions fall back to a named single-phase boss).
+    // A running seasonal event can swap in one of its own bosses.
     const tier = getRandomBossTier();
-    const name = getBossNameForBiome(server.biome);
+    const seasonal = rollEventBoss();
+    const definition = (seasonal && pickBossDefinition(server.biome, seasonal.definitions))
+      || pickBossDefinition(server.biome) || genericDefinition(getBossNameForBiome(server.biome));
+    const eventId = definition.eventId || null;
+    const name = definition.name;
     const baseHp = config.boss?.baseHp || 2000;
-    const hp = Math.floor(baseHp * (1 + (tier - 1) * 0.4)); // More HP scaling for higher tiers
+    const hp = Math.floor(baseHp * (1 + (tier - 1) * 0.4) * (definition.hpMultiplier || 1)); // More HP scaling for higher tiers
     const duration = (config.boss?.ttlSeconds || 3600) * 1000; // Default 1 hour
     const now = Date.now();
     const expiresAt = now + duration;
+    const encounter = initialEncounterState(definition);
     
     // Create boss in database
     const result = db.prepare(`
-      INSERT INTO bosses (guildId, name, maxHp, hp, startedAt, expiresAt, active, tier)
-      VALUES (?, ?, ?, ?, ?, ?, 1, ?)
-    `).run(server.guildId, name, hp, hp, now, expiresAt, tier);
+      INSERT INTO bosses (guildId, name, maxHp, hp, startedAt, expiresAt, active, tier,
+                          definitionId, phase, nextAbility, abilityCountdown, effects, enraged, eventId)
+      VALUES (?, ?, ?, ?, ?, ?, 1, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(server.guildId, name, hp, hp, now, expiresAt, tier,
+      encounter.definitionId, encounter.phase, encounter.nextAbility, encounter.abilityCountdown, encounter.effects, encounter.enraged, eventId);
     
     // Update server's last boss time
     db.prepare('UPDATE servers SET lastBossAt = ? WHERE guildId = ?').run(now, server.guildId);
@@ -253,18 +265,41 @@ function spawnRandomBoss(client = null) {
       maxHp: hp,
       hp,
       tier,
+      definitionId: definition.id,
+      eventId,
+      phases: definition.phases.length,
       serverName: server.name,
       biome: server.biome,
       startedAt: now,
       expiresAt
     };
     
-    console.log(`[boss_spawner] Spawned Tier ${tier} ${name} (${hp} HP) in ${server.name} (${server.guildId})`);
+    console.log(`[boss_spawner] Spawned Tier ${tier} ${name} [${definition.id || 'generic'}] (${hp} HP) in ${server.name} (${server.guildId})`);
     
     // Send Discord notification
     if (client) {
       notifyBossSpawn(bossData, client);
     }
+
+    // DM players with boss alerts on who are within their chosen radius
+    try {
+      queueBossNearby(bossData, server.lat, server.lon);
+    } catch (error) {
+      console.error('[boss_spawner] Error queueing nearby boss alerts:', error.message);
+    }
+
+    emitGameEvent('boss.spawned', {
+      bossId: Number(bossData.id),
+      guildId: server.guildId,
+      serverName: server.name || null,
+      name,
+      tier,
+      maxHp: hp,
+      startedAt: now,
+      expiresAt,
+      eventId,
+      manual: false
+    }, { guildId: server.guildId });
     
     return bossData;
     
@@ -275,16 +310,11 @@ function spawnRandomBoss(client = null) {
 }
 
 /**
- * Send Discord notification for new boss spawn
+ * Send Discord notification for new boss spawn to the network boss channel
+ * and every server subscribed to boss alerts for this tier
  */
 async function notifyBossSpawn(bossData, client) {
   try {
-    const channel = await client.channels.fetch(BOSS_CONFIG.NOTIFICATION_CHANNEL_ID);
-    if (!channel) {
-      console.warn('[boss_spawner] Could not find boss notification channel');
-      return;
-    }
-
     // Calculate time remaining
     const timeRemainingMs = bossData.expiresAt - Date.now();
     const timeRemainingHours = Math.round(timeRemainingMs / 1000 / 60 / 60 * 10) / 10;
@@ -314,7 +344,7 @@ async function notifyBossSpawn(bossData, client) {
       .addFields(
         {
           name: '💀 Boss Info',
-          value: `**HP:** ${bossData.maxHp.toLocaleString()}\n**Type:** ${tierNames[bossData.tier]} (Tier ${bossData.tier})\n**Biome:** ${bossData.biome || 'Unknown'}`,
+          value: `**HP:** ${bossData.maxHp.toLocaleString()}\n**Type:** ${tierNames[bossData.tier]} (Tier ${bossData.tier})\n**Biome:** ${bossData.biome || 'Unknown'}\n**Phases:** ${bossData.phases || 1}`,
           inline: true
         },
         {
@@ -330,7 +360,7 @@ async function notifyBossSpawn(bossData, client) {
       )
       .addFields({
         name: '⚔️ How to Fight',
-        value: '• Join the server where the boss spawned\n• Use `/boss attack` to deal damage\n• Work together with other players!\n• Defeat it for valuable rewards',
+        value: '• Join the server where the boss spawned\n• Use `/boss attack` to deal damage\n• Watch `/boss status` for its next ability\n• Work together with other players!\n• Defeat it for valuable rewards',
         inline: false
       })
       .setFooter({
@@ -339,13 +369,24 @@ async function notifyBossSpawn(bossData, client) {
       })
       .setTimestamp();
 
-    // Send notification with boss role ping
-    await channel.send({
-      content: `<@&${BOSS_CONFIG.BOSS_ROLE_ID}> 🔥 NEW BOSS ALERT 🔥`,
+    if (bossData.eventId) {
+      const event = getEvent(bossData.eventId);
+      if (event) {
+        embed.addFields({
+          name: `${event.emoji || '🎉'} ${event.name}`,
+          value: 'A limited-time event boss! Defeating it earns extra event currency.',
+          inline: false
+        });
+      }
+    }
+
+    // Send notification (each channel pings its own boss role)
+    const sent = await dispatch(client, 'boss', {
+      content: '🔥 NEW BOSS ALERT 🔥',
       embeds: [embed]
-    });
+    }, { tier: bossData.tier });
 
-    console.log(`[boss_spawner] Sent Discord notification for ${bossData.name}`);
+    console.log(`[boss_spawner] Sent Discord notification for ${bossData.name} to ${sent.length} channel(s)`);
 
   } catch (error) {
     console.error('[boss_spawner] Failed to send boss notification:', error.message);
@@ -397,15 +438,6 @@ async function runBossSpawningCycle(client = null) {
     // Check for global boss defeat cooldown (5 minutes after any boss is defeated)
     let lastBossDefeat = 0;
     try {
-      // Create system_settings table if it doesn't exist
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS system_settings (
-          key TEXT PRIMARY KEY,
-          value TEXT NOT NULL,
-          updatedAt INTEGER NOT NULL
-        )
-      `);
-      
       const setting = db.prepare('SELECT value FROM system_settings WHERE key = ?').get('lastBossDefeat');
       lastBossDefeat = setting ? parseInt(setting.value) : 0;
     } catch (error) {
@@ -460,15 +492,6 @@ async function runBossSpawningCycle(client = null) {
  */
 function recordBossDefeat() {
   try {
-    // Create system_settings table if it doesn't exist
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS system_settings (
-        key TEXT PRIMARY KEY,
-        value TEXT NOT NULL,
-        updatedAt INTEGER NOT NULL
-      )
-    `);
-    
     const now = Date.now();
     
     // Use REPLACE to insert or update the lastBossDefeat timestamp
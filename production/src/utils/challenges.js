@@ -1,5 +1,6 @@
 const { db } = require('./store_sqlite');
 const { awardGems } = require('./gems');
+const { recordQuestEvent } = require('./quests');
 
 // Daily challenge definitions
 const DAILY_CHALLENGES = {
@@ -195,9 +196,15 @@ function initializeWeeklyChallenges(userId) {
 }
 
 /**
- * Update challenge progress
+ * Update challenge progress, and feed the same event to the player's quests
+ *
+ * @param {string} userId - Player the event happened to
+ * @param {string} challengeType - travel, boss_damage, boss_fight, boss_defeat, market_trade, craft, login
+ * @param {number} amount - Progress amount
+ * @param {Object} [context] - Event details quests filter on (guildId, tier, itemId,
+ *   and eventId for seasonal event bosses)
  */
-function updateChallengeProgress(userId, challengeType, amount = 1) {
+function updateChallengeProgress(userId, challengeType, amount = 1, context = {}) {
   try {
     const dailyDateKey = getDateKey('daily');
     const weeklyDateKey = getDateKey('weekly');
@@ -245,6 +252,20 @@ function updateChallengeProgress(userId, challengeType, amount = 1) {
       // Check if completed
       checkChallengeCompletion(userId, challengeId, weeklyDateKey);
     }
+
+    // Story quests listen to the same events
+    try {
+      recordQuestEvent(userId, challengeType, amount, context);
+    } catch (e) {
+      console.error('[challenges] Error updating quest progress:', e.message);
+    }
+
+    // So do running seasonal events (event currency and event challenges)
+    try {
+      require('./seasonal_events').recordSeasonalProgress(userId, challengeType, amount, context);
+    } catch (e) {
+      console.error('[challenges] Error updating seasonal event progress:', e.message);
+    }
     
     return true;
   } catch (error) {
@@ -317,6 +338,9 @@ function getUserChallenges(userId) {
       ORDER BY dateKey DESC, challengeId
     `).all(userId, dailyDateKey, weeklyDateKey);
     
+    const seasonal = require('./seasonal_events').seasonalChallengesFor(userId)
+      .map(c => ({ ...c, type: 'event' }));
+
     return challenges.map(c => {
       const challengeData = DAILY_CHALLENGES[c.challengeId.toUpperCase()] || WEEKLY_CHALLENGES[c.challengeId.toUpperCase()];
       return {
@@ -324,7 +348,7 @@ function getUserChallenges(userId) {
         ...challengeData,
         type: c.dateKey.includes('W') ? 'weekly' : 'daily'
       };
-    });
+    }).concat(seasonal);
   } catch (error) {
     console.error('[challenges] Error getting user challenges:', error.message);
     return [];
@@ -362,6 +386,7 @@ function getChallengeStats(userId) {
 module.exports = {
   DAILY_CHALLENGES,
   WEEKLY_CHALLENGES,
+  getDateKey,
   initializeDailyChallenges,
   initializeWeeklyChallenges,
   updateChallengeProgress,
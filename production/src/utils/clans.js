@@ -0,0 +1,561 @@
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { itemById, isTradable } = require('./items');
+const { getWeekStart } = require('./weekly_reset');
+
+/**
+ * Clan System
+ * Clans are persistent player guilds with a name, a short tag and ranks from
+ * config.clans.ranks. Members share a Drakari/item bank; each rank has a
+ * daily withdrawal allowance enforced from the clan activity log. Boss damage
+ * dealt by members accumulates per server, and the clan with the most damage
+ * past the claim threshold holds that server as territory. Weekly scores feed
+ * the clan leaderboard and are closed out by the weekly reset.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Ranks used when config.clans.ranks is missing
+const DEFAULT_RANKS = [
+  { id: 'leader', name: 'Leader', level: 4, drakariPerDay: -1, itemsPerDay: -1 },
+  { id: 'officer', name: 'Officer', level: 3, drakariPerDay: 50000, itemsPerDay: 50 },
+  { id: 'member', name: 'Member', level: 2, drakariPerDay: 5000, itemsPerDay: 10 },
+  { id: 'recruit', name: 'Recruit', level: 1, drakariPerDay: 0, itemsPerDay: 0 }
+];
+
+// Rank level needed to invite, kick and change ranks
+const OFFICER_LEVEL = 3;
+
+/**
+ * Clan settings with defaults. Ranks are sorted highest level first; the
+ * first is the leader rank and the last is given to new members.
+ */
+function clanSettings() {
+  const cfg = config.clans || {};
+  const ranks = (Array.isArray(cfg.ranks) && cfg.ranks.length >= 2 ? cfg.ranks : DEFAULT_RANKS)
+    .slice()
+    .sort((a, b) => b.level - a.level);
+  return {
+    createCost: Math.max(0, cfg.createCost ?? 5000),
+    maxMembers: Math.max(2, cfg.maxMembers || 30),
+    inviteMs: (cfg.inviteMinutes || 1440) * 60 * 1000,
+    claimThreshold: Math.max(1, cfg.claimThreshold || 5000),
+    territoryDecayPct: Math.min(100, Math.max(0, cfg.territoryDecayPct ?? 50)),
+    ranks
+  };
+}
+
+/**
+ * Look up a rank definition by ID
+ */
+function rankById(rankId) {
+  return clanSettings().ranks.find(r => r.id === rankId) || null;
+}
+
+/**
+ * Write an entry to a clan's activity log
+ */
+function logClan(clanId, userId, action, { itemId = null, amount = 0, details = null } = {}) {
+  db.prepare('INSERT INTO clan_log (clanId, userId, action, itemId, amount, details, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?)')
+    .run(clanId, userId, action, itemId, amount, details, Date.now());
+}
+
+/**
+ * Load a clan with its members (highest rank first, then by join order)
+ * @returns {Object|null} Clan row plus members and territory count
+ */
+function getClan(clanId) {
+  const clan = db.prepare('SELECT * FROM clans WHERE id = ?').get(clanId);
+  if (!clan) return null;
+  const levels = Object.fromEntries(clanSettings().ranks.map(r => [r.id, r.level]));
+  clan.members = db.prepare(`
+    SELECT cm.userId, cm.rank, cm.joinedAt, p.name
+    FROM clan_members cm
+    LEFT JOIN players p ON p.userId = cm.userId
+    WHERE cm.clanId = ?
+    ORDER BY cm.joinedAt ASC
+  `).all(clanId).sort((a, b) => (levels[b.rank] || 0) - (levels[a.rank] || 0));
+  clan.territories = db.prepare('SELECT COUNT(*) AS n FROM clan_territories WHERE clanId = ?').get(clanId).n;
+  return clan;
+}
+
+/**
+ * Find a clan by tag or name
+ */
+function getClanByTag(query) {
+  const row = db.prepare('SELECT id FROM clans WHERE tag = ? OR name = ?').get(query, query);
+  return row ? getClan(row.id) : null;
+}
+
+/**
+ * Get the clan a player belongs to
+ * @returns {Object|null} Clan with members, or null if the player has no clan
+ */
+function getClanForUser(userId) {
+  const row = db.prepare('SELECT clanId FROM clan_members WHERE userId = ?').get(userId);
+  return row ? getClan(row.clanId) : null;
+}
+
+/**
+ * A player's membership row joined with their rank definition
+ */
+function membership(userId) {
+  const row = db.prepare('SELECT * FROM clan_members WHERE userId = ?').get(userId);
+  if (!row) return null;
+  return { ...row, rankDef: rankById(row.rank) || clanSettings().ranks[clanSettings().ranks.length - 1] };
+}
+
+/**
+ * Found a new clan. The founder pays the creation cost and becomes leader.
+ */
+const createClan = db.transaction((userId, name, tag) => {
+  const settings = clanSettings();
+  if (db.prepare('SELECT 1 FROM clan_members WHERE userId = ?').get(userId)) return { ok: false, reason: 'already_in_clan' };
+  if (!/^[A-Za-z0-9]{2,5}$/.test(tag)) return { ok: false, reason: 'invalid_tag' };
+  // Letters, digits, spaces and a little punctuation; names show up on the website
+  if (!/^[\p{L}\p{N}][\p{L}\p{N} '._-]{2,31}$/u.test(name)) return { ok: false, reason: 'invalid_name' };
+  if (db.prepare('SELECT 1 FROM clans WHERE name = ? OR tag = ?').get(name, tag)) return { ok: false, reason: 'name_taken' };
+
+  const player = db.prepare('SELECT drakari FROM players WHERE userId = ?').get(userId);
+  if (!player || player.drakari < settings.createCost) return { ok: false, reason: 'not_enough_drakari', cost: settings.createCost };
+
+  const now = Date.now();
+  db.prepare('UPDATE players SET drakari = drakari - ? WHERE userId = ?').run(settings.createCost, userId);
+  const info = db.prepare('INSERT INTO clans (name, tag, leaderId, createdAt) VALUES (?, ?, ?, ?)').run(name, tag.toUpperCase(), userId, now);
+  db.prepare('INSERT INTO clan_members (userId, clanId, rank, joinedAt) VALUES (?, ?, ?, ?)').run(userId, info.lastInsertRowid, settings.ranks[0].id, now);
+  logClan(info.lastInsertRowid, userId, 'create', { amount: settings.createCost, details: name });
+  logger.info('clan_create: %s founded clan %s [%s]', userId, info.lastInsertRowid, tag.toUpperCase());
+  return { ok: true, clan: getClan(info.lastInsertRowid) };
+});
+
+/**
+ * Invite a player to the inviter's clan (officers and above)
+ */
+const invitePlayer = db.transaction((userId, targetId) => {
+  const me = membership(userId);
+  if (!me) return { ok: false, reason: 'not_in_clan' };
+  if (me.rankDef.level < OFFICER_LEVEL) return { ok: false, reason: 'rank_too_low' };
+  if (userId === targetId) return { ok: false, reason: 'self' };
+  if (db.prepare('SELECT 1 FROM clan_members WHERE userId = ?').get(targetId)) return { ok: false, reason: 'target_in_clan' };
+  const clan = getClan(me.clanId);
+  if (clan.members.length >= clanSettings().maxMembers) return { ok: false, reason: 'clan_full' };
+
+  const expiresAt = Date.now() + clanSettings().inviteMs;
+  db.prepare('INSERT OR REPLACE INTO clan_invites (clanId, userId, invitedBy, expiresAt) VALUES (?, ?, ?, ?)')
+    .run(clan.id, targetId, userId, expiresAt);
+  logClan(clan.id, userId, 'invite', { details: targetId });
+  return { ok: true, clan, expiresAt };
+});
+
+/**
+ * Accept a pending invite. With no tag given, the most recent invite wins.
+ */
+const joinClan = db.transaction((userId, tag = null) => {
+  if (db.prepare('SELECT 1 FROM clan_members WHERE userId = ?').get(userId)) return { ok: false, reason: 'already_in_clan' };
+
+  const now = Date.now();
+  db.prepare('DELETE FROM clan_invites WHERE expiresAt <= ?').run(now);
+  const invite = tag
+    ? db.prepare('SELECT i.* FROM clan_invites i JOIN clans c ON c.id = i.clanId WHERE i.userId = ? AND (c.tag = ? OR c.name = ?)').get(userId, tag, tag)
+    : db.prepare('SELECT * FROM clan_invites WHERE userId = ? ORDER BY expiresAt DESC LIMIT 1').get(userId);
+  if (!invite) return { ok: false, reason: 'no_invite' };
+
+  const clan = getClan(invite.clanId);
+  if (!clan) {
+    db.prepare('DELETE FROM clan_invites WHERE clanId = ?').run(invite.clanId);
+    return { ok: false, reason: 'no_invite' };
+  }
+  if (clan.members.length >= clanSettings().maxMembers) return { ok: false, reason: 'clan_full' };
+
+  const ranks = clanSettings().ranks;
+  db.prepare('INSERT INTO clan_members (userId, clanId, rank, joinedAt) VALUES (?, ?, ?, ?)').run(userId, clan.id, ranks[ranks.length - 1].id, now);
+  db.prepare('DELETE FROM clan_invites WHERE userId = ?').run(userId);
+  logClan(clan.id, userId, 'join');
+  logger.info('clan_join: %s joined clan %s', userId, clan.id);
+  return { ok: true, clan: getClan(clan.id) };
+});
+
+/**
+ * Remove a clan and everything attached to it. Whatever is left in the bank
+ * goes to the given player (the leader disbanding it).
+ */
+function deleteClan(clanId, heirId) {
+  const clan = db.prepare('SELECT bankDrakari FROM clans WHERE id = ?').get(clanId);
+  if (heirId && clan) {
+    if (clan.bankDrakari > 0) db.prepare('UPDATE players SET drakari = drakari + ? WHERE userId = ?').run(clan.bankDrakari, heirId);
+    for (const { itemId, qty } of db.prepare('SELECT itemId, qty FROM clan_bank_items WHERE clanId = ?').all(clanId)) {
+      giveItem(heirId, itemId, qty);
+    }
+  }
+  for (const table of ['clan_invites', 'clan_members', 'clan_bank_items', 'clan_server_damage', 'clan_territories', 'clan_weekly_scores', 'clan_log']) {
+    db.prepare(`DELETE FROM ${table} WHERE clanId = ?`).run(clanId);
+  }
+  db.prepare('DELETE FROM clans WHERE id = ?').run(clanId);
+}
+
+/**
+ * Leave the current clan. A departing leader hands over to the highest
+ * ranked, longest serving member; the last member out disbands the clan and
+ * takes the bank with them.
+ */
+const leaveClan = db.transaction((userId) => {
+  const clan = getClanForUser(userId);
+  if (!clan) return { ok: false, reason: 'not_in_clan' };
+
+  const remaining = clan.members.filter(m => m.userId !== userId);
+  if (remaining.length === 0) {
+    deleteClan(clan.id, userId);
+    logger.info('clan_disband: clan %s emptied', clan.id);
+    return { ok: true, clan, disbanded: true };
+  }
+
+  db.prepare('DELETE FROM clan_members WHERE userId = ?').run(userId);
+  let newLeaderId = null;
+  if (clan.leaderId === userId) {
+    newLeaderId = remaining[0].userId;
+    db.prepare('UPDATE clans SET leaderId = ? WHERE id = ?').run(newLeaderId, clan.id);
+    db.prepare('UPDATE clan_members SET rank = ? WHERE userId = ?').run(clanSettings().ranks[0].id, newLeaderId);
+  }
+  logClan(clan.id, userId, 'leave', { details: newLeaderId });
+  logger.info('clan_leave: %s left clan %s', userId, clan.id);
+  return { ok: true, clan: getClan(clan.id), disbanded: false, newLeaderId };
+});
+
+/**
+ * Remove a lower ranked member from the clan (officers and above)
+ */
+const kickMember = db.transaction((userId, targetId) => {
+  const me = membership(userId);
+  if (!me) return { ok: false, reason: 'not_in_clan' };
+  if (userId === targetId) return { ok: false, reason: 'self' };
+  const target = membership(targetId);
+  if (!target || target.clanId !== me.clanId) return { ok: false, reason: 'target_not_member' };
+  if (me.rankDef.level < OFFICER_LEVEL || target.rankDef.level >= me.rankDef.level) return { ok: false, reason: 'rank_too_low' };
+
+  db.prepare('DELETE FROM clan_members WHERE userId = ?').run(targetId);
+  logClan(me.clanId, userId, 'kick', { details: targetId });
+  logger.info('clan_kick: %s removed %s from clan %s', userId, targetId, me.clanId);
+  return { ok: true, clan: getClan(me.clanId) };
+});
+
+/**
+ * Change a member's rank. Officers may assign ranks below their own to
+ * members below them; giving the leader rank transfers leadership and drops
+ * the old leader to the next rank down.
+ */
+const setRank = db.transaction((userId, targetId, rankId) => {
+  const settings = clanSettings();
+  const rank = rankById(rankId);
+  if (!rank) return { ok: false, reason: 'invalid_rank' };
+  const me = membership(userId);
+  if (!me) return { ok: false, reason: 'not_in_clan' };
+  if (userId === targetId) return { ok: false, reason: 'self' };
+  const target = membership(targetId);
+  if (!target || target.clanId !== me.clanId) return { ok: false, reason: 'target_not_member' };
+
+  const leaderRank = settings.ranks[0];
+  if (rank.id === leaderRank.id) {
+    if (me.rank !== leaderRank.id) return { ok: false, reason: 'not_leader' };
+    db.prepare('UPDATE clan_members SET rank = ? WHERE userId = ?').run(leaderRank.id, targetId);
+    db.prepare('UPDATE clan_members SET rank = ? WHERE userId = ?').run(settings.ranks[1].id, userId);
+    db.prepare('UPDATE clans SET leaderId = ? WHERE id = ?').run(targetId, me.clanId);
+  } else {
+    if (me.rankDef.level < OFFICER_LEVEL || target.rankDef.level >= me.rankDef.level || rank.level >= me.rankDef.level) {
+      return { ok: false, reason: 'rank_too_low' };
+    }
+    db.prepare('UPDATE clan_members SET rank = ? WHERE userId = ?').run(rank.id, targetId);
+  }
+
+  logClan(me.clanId, userId, 'rank', { details: `${targetId}:${rank.id}` });
+  logger.info('clan_rank: %s set %s to %s in clan %s', userId, targetId, rank.id, me.clanId);
+  return { ok: true, clan: getClan(me.clanId), rank };
+});
+
+/**
+ * Break up the leader's clan. The bank is paid out to the leader.
+ */
+const disbandClan = db.transaction((userId) => {
+  const clan = getClanForUser(userId);
+  if (!clan) return { ok: false, reason: 'not_in_clan' };
+  if (clan.leaderId !== userId) return { ok: false, reason: 'not_leader' };
+  deleteClan(clan.id, userId);
+  logger.info('clan_disband: %s disbanded clan %s', userId, clan.id);
+  return { ok: true, clan };
+});
+
+/**
+ * Add items to a player's inventory
+ */
+function giveItem(userId, itemId, qty) {
+  const inv = db.prepare('SELECT qty FROM inventory WHERE userId = ? AND itemId = ?').get(userId, itemId);
+  if (!inv) db.prepare('INSERT INTO inventory (userId, itemId, qty) VALUES (?, ?, ?)').run(userId, itemId, qty);
+  else db.prepare('UPDATE inventory SET qty = qty + ? WHERE userId = ? AND itemId = ?').run(qty, userId, itemId);
+}
+
+/**
+ * Move Drakari from a member into the clan bank
+ */
+const depositDrakari = db.transaction((userId, amount) => {
+  const me = membership(userId);
+  if (!me) return { ok: false, reason: 'not_in_clan' };
+  if (!Number.isInteger(amount) || amount <= 0) return { ok: false, reason: 'invalid_amount' };
+  const player = db.prepare('SELECT drakari FROM players WHERE userId = ?').get(userId);
+  if (!player || player.drakari < amount) return { ok: false, reason: 'not_enough_drakari' };
+
+  db.prepare('UPDATE players SET drakari = drakari - ? WHERE userId = ?').run(amount, userId);
+  db.prepare('UPDATE clans SET bankDrakari = bankDrakari + ? WHERE id = ?').run(amount, me.clanId);
+  logClan(me.clanId, userId, 'deposit_drakari', { amount });
+  return { ok: true, clan: getClan(me.clanId), amount };
+});
+
+/**
+ * Move items from a member's inventory into the clan bank. Only tradable
+ * items can be banked so the bank cannot be used to pass bound items around.
+ */
+const depositItem = db.transaction((userId, itemId, qty) => {
+  const me = membership(userId);
+  if (!me) return { ok: false, reason: 'not_in_clan' };
+  const item = itemById(itemId);
+  if (!item) return { ok: false, reason: 'unknown_item' };
+  if (!isTradable(item.id)) return { ok: false, reason: 'not_tradable' };
+  if (!Number.isInteger(qty) || qty <= 0) return { ok: false, reason: 'invalid_amount' };
+  const inv = db.prepare('SELECT qty FROM inventory WHERE userId = ? AND itemId = ?').get(userId, item.id);
+  if (!inv || inv.qty < qty) return { ok: false, reason: 'not_enough_items' };
+
+  db.prepare('UPDATE inventory SET qty = qty - ? WHERE userId = ? AND itemId = ?').run(qty, userId, item.id);
+  db.prepare('DELETE FROM inventory WHERE userId = ? AND itemId = ? AND qty <= 0').run(userId, item.id);
+  db.prepare(`
+    INSERT INTO clan_bank_items (clanId, itemId, qty) VALUES (?, ?, ?)
+    ON CONFLICT(clanId, itemId) DO UPDATE SET qty = qty + excluded.qty
+  `).run(me.clanId, item.id, qty);
+  logClan(me.clanId, userId, 'deposit_item', { itemId: item.id, amount: qty });
+  return { ok: true, clan: getClan(me.clanId), item, qty };
+});
+
+/**
+ * How much a member has withdrawn from the bank over the last 24 hours
+ * @returns {{drakari: number, items: number}}
+ */
+function withdrawnToday(userId) {
+  const since = Date.now() - DAY_MS;
+  const rows = db.prepare(`
+    SELECT action, COALESCE(SUM(amount), 0) AS total
+    FROM clan_log
+    WHERE userId = ? AND action IN ('withdraw_drakari', 'withdraw_item') AND createdAt > ?
+    GROUP BY action
+  `).all(userId, since);
+  const totals = Object.fromEntries(rows.map(r => [r.action, r.total]));
+  return { drakari: totals.withdraw_drakari || 0, items: totals.withdraw_item || 0 };
+}
+
+/**
+ * What a member may still withdraw today under their rank's limits
+ * (Infinity for ranks with no limit)
+ * @returns {{drakari: number, items: number}}
+ */
+function withdrawalAllowance(userId) {
+  const me = membership(userId);
+  if (!me) return { drakari: 0, items: 0 };
+  const used = withdrawnToday(userId);
+  const left = (limit, spent) => (limit < 0 ? Infinity : Math.max(0, limit - spent));
+  return {
+    drakari: left(me.rankDef.drakariPerDay ?? 0, used.drakari),
+    items: left(me.rankDef.itemsPerDay ?? 0, used.items)
+  };
+}
+
+/**
+ * Take Drakari out of the clan bank, within the member's daily allowance
+ */
+const withdrawDrakari = db.transaction((userId, amount) => {
+  const me = membership(userId);
+  if (!me) return { ok: false, reason: 'not_in_clan' };
+  if (!Number.isInteger(amount) || amount <= 0) return { ok: false, reason: 'invalid_amount' };
+  const allowance = withdrawalAllowance(userId);
+  if (amount > allowance.drakari) return { ok: false, reason: 'limit_reached', remaining: allowance.drakari };
+  const clan = db.prepare('SELECT bankDrakari FROM clans WHERE id = ?').get(me.clanId);
+  if (clan.bankDrakari < amount) return { ok: false, reason: 'bank_short' };
+
+  db.prepare('UPDATE clans SET bankDrakari = bankDrakari - ? WHERE id = ?').run(amount, me.clanId);
+  db.prepare('UPDATE players SET drakari = drakari + ? WHERE userId = ?').run(amount, userId);
+  logClan(me.clanId, userId, 'withdraw_drakari', { amount });
+  return { ok: true, clan: getClan(me.clanId), amount };
+});
+
+/**
+ * Take items out of the clan bank, within the member's daily allowance
+ */
+const withdrawItem = db.transaction((userId, itemId, qty) => {
+  const me = membership(userId);
+  if (!me) return { ok: false, reason: 'not_in_clan' };
+  const item = itemById(itemId);
+  if (!item) return { ok: false, reason: 'unknown_item' };
+  if (!Number.isInteger(qty) || qty <= 0) return { ok: false, reason: 'invalid_amount' };
+  const allowance = withdrawalAllowance(userId);
+  if (qty > allowance.items) return { ok: false, reason: 'limit_reached', remaining: allowance.items };
+  const stored = db.prepare('SELECT qty FROM clan_bank_items WHERE clanId = ? AND itemId = ?').get(me.clanId, item.id);
+  if (!stored || stored.qty < qty) return { ok: false, reason: 'bank_short' };
+
+  db.prepare('UPDATE clan_bank_items SET qty = qty - ? WHERE clanId = ? AND itemId = ?').run(qty, me.clanId, item.id);
+  db.prepare('DELETE FROM clan_bank_items WHERE clanId = ? AND qty <= 0').run(me.clanId);
+  giveItem(userId, item.id, qty);
+  logClan(me.clanId, userId, 'withdraw_item', { itemId: item.id, amount: qty });
+  return { ok: true, clan: getClan(me.clanId), item, qty };
+});
+
+/**
+ * Items stored in a clan's bank, largest stacks first
+ */
+function bankItems(clanId) {
+  return db.prepare('SELECT itemId, qty FROM clan_bank_items WHERE clanId = ? ORDER BY qty DESC, itemId').all(clanId);
+}
+
+/**
+ * Most recent activity log entries for a clan
+ */
+function recentLog(clanId, limit = 15) {
+  return db.prepare('SELECT * FROM clan_log WHERE clanId = ? ORDER BY createdAt DESC, id DESC LIMIT ?').all(clanId, limit);
+}
+
+/**
+ * Credit boss damage dealt by a player to their clan. The damage counts
+ * toward the clan's weekly score and toward claiming the server the boss
+ * was fought at: the clan with the most accumulated damage there takes the
+ * server once it passes the claim threshold.
+ * @param {string} userId - Attacking player
+ * @param {string} guildId - Server the boss is at
+ * @param {number} damage - Damage dealt by the attack
+ * @returns {Object|null} {clan, damage, claimed, previousClanId} or null if the player has no clan
+ */
+const recordBossDamage = db.transaction((userId, guildId, damage) => {
+  const me = membership(userId);
+  if (!me || !(damage > 0)) return null;
+
+  db.prepare(`
+    INSERT INTO clan_server_damage (clanId, guildId, damage) VALUES (?, ?, ?)
+    ON CONFLICT(clanId, guildId) DO UPDATE SET damage = damage + excluded.damage
+  `).run(me.clanId, guildId, damage);
+  addWeeklyScore(me.clanId, { bossDamage: damage });
+
+  const mine = db.prepare('SELECT damage FROM clan_server_damage WHERE clanId = ? AND guildId = ?').get(me.clanId, guildId).damage;
+  const owner = db.prepare('SELECT clanId FROM clan_territories WHERE guildId = ?').get(guildId);
+  let claimed = false;
+  if (mine >= clanSettings().claimThreshold && owner?.clanId !== me.clanId) {
+    const ownerDamage = owner
+      ? db.prepare('SELECT damage FROM clan_server_damage WHERE clanId = ? AND guildId = ?').get(owner.clanId, guildId)?.damage || 0
+      : 0;
+    if (mine > ownerDamage) {
+      db.prepare('INSERT OR REPLACE INTO clan_territories (guildId, clanId, claimedAt) VALUES (?, ?, ?)').run(guildId, me.clanId, Date.now());
+      addWeeklyScore(me.clanId, { claims: 1 });
+      logClan(me.clanId, userId, 'claim', { details: guildId });
+      if (owner) logClan(owner.clanId, null, 'territory_lost', { details: guildId });
+      logger.info('clan_claim: clan %s took %s from %s', me.clanId, guildId, owner?.clanId ?? 'nobody');
+      claimed = true;
+    }
+  }
+
+  return { clan: getClan(me.clanId), damage: mine, claimed, previousClanId: owner?.clanId ?? null };
+});
+
+/**
+ * Add to a clan's score for the current week
+ */
+function addWeeklyScore(clanId, { bossDamage = 0, claims = 0 }) {
+  db.prepare(`
+    INSERT INTO clan_weekly_scores (clanId, weekStart, bossDamage, claims) VALUES (?, ?, ?, ?)
+    ON CONFLICT(clanId, weekStart) DO UPDATE SET bossDamage = bossDamage + excluded.bossDamage, claims = claims + excluded.claims
+  `).run(clanId, getWeekStart().getTime(), bossDamage, claims);
+}
+
+/**
+ * Clan that currently holds a server, if any
+ * @returns {{id, name, tag, claimedAt}|null}
+ */
+function territoryOwner(guildId) {
+  return db.prepare(`
+    SELECT c.id, c.name, c.tag, t.claimedAt
+    FROM clan_territories t JOIN clans c ON c.id = t.clanId
+    WHERE t.guildId = ?
+  `).get(guildId) || null;
+}
+
+/**
+ * All claimed servers keyed by guildId
+ * @returns {Object<string, {id, name, tag, claimedAt}>}
+ */
+function territoryMap() {
+  const rows = db.prepare(`
+    SELECT t.guildId, c.id, c.name, c.tag, t.claimedAt
+    FROM clan_territories t JOIN clans c ON c.id = t.clanId
+  `).all();
+  return Object.fromEntries(rows.map(({ guildId, ...clan }) => [guildId, clan]));
+}
+
+/**
+ * Clan leaderboard for a week, ranked by boss damage then claims
+ * @param {number} [weekStart] - Week to rank (defaults to the current week)
+ */
+function weeklyLeaderboard(weekStart = getWeekStart().getTime(), limit = 10) {
+  return db.prepare(`
+    SELECT c.id, c.name, c.tag, s.bossDamage, s.claims,
+      (SELECT COUNT(*) FROM clan_members m WHERE m.clanId = c.id) AS members,
+      (SELECT COUNT(*) FROM clan_territories t WHERE t.clanId = c.id) AS territories
+    FROM clan_weekly_scores s JOIN clans c ON c.id = s.clanId
+    WHERE s.weekStart = ?
+    ORDER BY s.bossDamage DESC, s.claims DESC, c.id ASC
+    LIMIT ?
+  `).all(weekStart, limit);
+}
+
+/**
+ * Close out the week that just ended: record the top three clans in their
+ * activity logs, decay accumulated territory damage so claims stay
+ * contested, and drop scores older than eight weeks. Called from the weekly
+ * reset.
+ * @returns {{placed: number, decayed: number, pruned: number}}
+ */
+const closeWeek = db.transaction(() => {
+  const currentWeek = getWeekStart().getTime();
+  // The latest scored week before this one (not simply a week back, which DST can shift)
+  const lastWeek = db.prepare('SELECT MAX(weekStart) AS weekStart FROM clan_weekly_scores WHERE weekStart < ?').get(currentWeek).weekStart;
+  const top = lastWeek ? weeklyLeaderboard(lastWeek, 3) : [];
+  top.forEach((clan, i) => logClan(clan.id, null, 'weekly_rank', { amount: clan.bossDamage, details: String(i + 1) }));
+
+  const keep = 1 - clanSettings().territoryDecayPct / 100;
+  const decayed = db.prepare('UPDATE clan_server_damage SET damage = CAST(damage * ? AS INTEGER)').run(keep).changes;
+  db.prepare('DELETE FROM clan_server_damage WHERE damage <= 0').run();
+  const pruned = db.prepare('DELETE FROM clan_weekly_scores WHERE weekStart < ?').run(currentWeek - 8 * WEEK_MS).changes;
+
+  logger.info('clan_week_close: %s ranked, %s damage rows decayed, %s old scores pruned', top.length, decayed, pruned);
+  return { placed: top.length, decayed, pruned };
+});
+
+module.exports = {
+  clanSettings,
+  rankById,
+  getClan,
+  getClanByTag,
+  getClanForUser,
+  membership,
+  createClan,
+  invitePlayer,
+  joinClan,
+  leaveClan,
+  kickMember,
+  setRank,
+  disbandClan,
+  depositDrakari,
+  depositItem,
+  withdrawDrakari,
+  withdrawItem,
+  withdrawalAllowance,
+  bankItems,
+  recentLog,
+  recordBossDamage,
+  territoryOwner,
+  territoryMap,
+  weeklyLeaderboard,
+  closeWeek
+};
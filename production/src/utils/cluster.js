@@ -0,0 +1,143 @@
+const os = require('os');
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+
+/**
+ * Cluster Membership and Leader Election
+ * The bot can run as one process (src/index.js) or sharded (src/shards.js),
+ * where a launcher process runs the web server and spawns shard processes.
+ * All of them share the SQLite database, which is also where they agree on a
+ * leader: the holder of the 'leader' row in leader_leases.
+ *
+ * Shard processes (and a single-process bot) take part in the election. The
+ * leader renews its lease every third of leaseSeconds; if it dies or stalls,
+ * the lease runs out and the next process to try takes over. A process only
+ * considers itself leader while its own copy of the lease is unexpired, so a
+ * stalled leader stops acting as one before anyone else can take over.
+ *
+ * The scheduler runs jobs registered with leaderOnly (boss spawns, weather,
+ * the weekly reset) on the leader alone.
+ */
+
+// Identifies this process in leases, scheduler locks and job_runs
+const INSTANCE = `${os.hostname()}:${process.pid}`;
+
+const LEADER_LEASE = 'leader';
+
+let leaderUntil = 0;
+let electionTimer = null;
+
+/**
+ * Settings from config.sharding with defaults
+ */
+function clusterSettings() {
+  const c = config.sharding || {};
+  return {
+    totalShards: c.totalShards ?? 'auto',
+    leaseSeconds: c.leaseSeconds ?? 30,
+    store: c.store ?? 'auto',
+    webInLauncher: c.webInLauncher ?? true,
+    spawnTimeoutMs: c.spawnTimeoutMs ?? 60000
+  };
+}
+
+/**
+ * Whether this process is part of a sharded deployment: the launcher sets
+ * QUESTCORD_CLUSTER, and discord.js sets SHARDING_MANAGER in shard processes
+ */
+function isClustered() {
+  return process.env.QUESTCORD_CLUSTER === 'true' || process.env.SHARDING_MANAGER === 'true';
+}
+
+/**
+ * Short label for a client's shards, e.g. 'shard-0' or 'shard-2-3';
+ * null when the client is not sharded
+ */
+function shardLabel(client) {
+  return client?.shard ? `shard-${client.shard.ids.join('-')}` : null;
+}
+
+/**
+ * Take or renew the leader lease once
+ * @returns {boolean} Whether this process is the leader afterwards
+ */
+function tryLead() {
+  const now = Date.now();
+  const expiresAt = now + clusterSettings().leaseSeconds * 1000;
+  const result = db.prepare(`
+    INSERT INTO leader_leases (name, holder, acquiredAt, expiresAt) VALUES (?, ?, ?, ?)
+    ON CONFLICT(name) DO UPDATE SET
+      acquiredAt = CASE WHEN holder = excluded.holder THEN acquiredAt ELSE excluded.acquiredAt END,
+      holder = excluded.holder,
+      expiresAt = excluded.expiresAt
+    WHERE holder = excluded.holder OR expiresAt < ?
+  `).run(LEADER_LEASE, INSTANCE, now, expiresAt, now);
+
+  const wasLeader = isLeader();
+  leaderUntil = result.changes ? expiresAt : 0;
+  if (!wasLeader && result.changes) logger.info(`[cluster] ${INSTANCE} is now the leader`);
+  if (wasLeader && !result.changes) logger.warn(`[cluster] ${INSTANCE} lost the leader lease`);
+  return result.changes > 0;
+}
+
+/**
+ * Whether this process currently holds the leader lease
+ */
+function isLeader() {
+  return Date.now() < leaderUntil;
+}
+
+/**
+ * Join the leader election and keep renewing. Safe to call more than once.
+ */
+function startLeaderElection() {
+  if (electionTimer) return;
+  const renewMs = Math.max(1000, Math.floor(clusterSettings().leaseSeconds * 1000 / 3));
+  const attempt = () => {
+    try {
+      tryLead();
+    } catch (error) {
+      logger.error('[cluster] Leader election failed:', error.message);
+    }
+  };
+  electionTimer = setInterval(attempt, renewMs);
+  attempt();
+}
+
+/**
+ * Leave the election and hand the lease back so another process can take
+ * over straight away (used on shutdown)
+ */
+function stepDown() {
+  if (electionTimer) clearInterval(electionTimer);
+  electionTimer = null;
+  leaderUntil = 0;
+  try {
+    db.prepare('DELETE FROM leader_leases WHERE name = ? AND holder = ?').run(LEADER_LEASE, INSTANCE);
+  } catch (error) {
+    logger.warn('[cluster] Could not release the leader lease:', error.message);
+  }
+}
+
+/**
+ * Current leader, for status displays
+ * @returns {Object|null} { holder, acquiredAt, expiresAt, self }
+ */
+function leaderInfo() {
+  const row = db.prepare('SELECT holder, acquiredAt, expiresAt FROM leader_leases WHERE name = ? AND expiresAt > ?')
+    .get(LEADER_LEASE, Date.now());
+  return row ? { ...row, self: row.holder === INSTANCE } : null;
+}
+
+module.exports = {
+  INSTANCE,
+  clusterSettings,
+  isClustered,
+  shardLabel,
+  tryLead,
+  isLeader,
+  startLeaderElection,
+  stepDown,
+  leaderInfo
+};
@@ -1,5 +1,9 @@
+const { boundaryAt, randomPointInBoundary } = require('./country_boundaries');
+
 // Country coordinate data for server relocation feature
-// Coordinates represent approximate geographic center of each country
+// Coordinates represent approximate geographic center of each country.
+// Which country a point is in comes from the bundled border data
+// (utils/country_boundaries), not from these centres.
 
 const COUNTRIES = {
   // North America
@@ -96,6 +100,61 @@ const COUNTRIES = {
   'Puerto Rico': { lat: 18.2208, lon: -66.5901, continent: 'North America', cost: 6 },
 };
 
+// Countries above whose name differs in the border data
+const BOUNDARY_NAMES = {
+  'United States': 'United States of America',
+  'Czech Republic': 'Czechia'
+};
+
+const COUNTRY_BY_BOUNDARY = Object.fromEntries(
+  Object.keys(COUNTRIES).map(name => [BOUNDARY_NAMES[name] || name, name])
+);
+
+// Continent of every other country and territory in the border data, so a
+// location outside the relocation list still shows its region
+const BOUNDARY_CONTINENTS = {
+  'Africa': [
+    'Angola', 'Benin', 'Burkina Faso', 'Burundi', 'Cabo Verde', 'Central African Rep.', 'Chad', 'Comoros',
+    'Congo', "Côte d'Ivoire", 'Dem. Rep. Congo', 'Djibouti', 'Eq. Guinea', 'Eritrea', 'Gabon', 'Gambia',
+    'Guinea', 'Guinea-Bissau', 'Lesotho', 'Liberia', 'Libya', 'Malawi', 'Mali', 'Mauritania', 'Mauritius',
+    'Mozambique', 'Namibia', 'Niger', 'Rwanda', 'S. Sudan', 'Saint Helena', 'São Tomé and Principe', 'Senegal',
+    'Seychelles', 'Sierra Leone', 'Somalia', 'Somaliland', 'Sudan', 'Togo', 'W. Sahara', 'Zambia', 'eSwatini'
+  ],
+  'Asia': [
+    'Afghanistan', 'Armenia', 'Azerbaijan', 'Bahrain', 'Bhutan', 'Br. Indian Ocean Ter.', 'Brunei', 'Georgia',
+    'Hong Kong', 'Iran', 'Iraq', 'Jordan', 'Kuwait', 'Kyrgyzstan', 'Lebanon', 'Macao', 'Maldives', 'North Korea',
+    'Oman', 'Palestine', 'Qatar', 'Siachen Glacier', 'Syria', 'Taiwan', 'Tajikistan', 'Timor-Leste',
+    'Turkmenistan', 'Uzbekistan', 'Yemen'
+  ],
+  'Europe': [
+    'Albania', 'Andorra', 'Belarus', 'Bosnia and Herz.', 'Bulgaria', 'Cyprus', 'Estonia', 'Faeroe Is.',
+    'Guernsey', 'Isle of Man', 'Jersey', 'Kosovo', 'Latvia', 'Liechtenstein', 'Lithuania', 'Luxembourg',
+    'Macedonia', 'Malta', 'Moldova', 'Monaco', 'Montenegro', 'N. Cyprus', 'San Marino', 'Serbia', 'Slovakia',
+    'Slovenia', 'Vatican', 'Åland'
+  ],
+  'North America': [
+    'Anguilla', 'Antigua and Barb.', 'Aruba', 'Bahamas', 'Barbados', 'Belize', 'Bermuda', 'British Virgin Is.',
+    'Cayman Is.', 'Costa Rica', 'Curaçao', 'Dominica', 'Dominican Rep.', 'El Salvador', 'Grenada', 'Guatemala',
+    'Haiti', 'Honduras', 'Montserrat', 'Nicaragua', 'Panama', 'Saint Lucia', 'Sint Maarten', 'St-Barthélemy',
+    'St-Martin', 'St. Kitts and Nevis', 'St. Pierre and Miquelon', 'St. Vin. and Gren.', 'Trinidad and Tobago',
+    'Turks and Caicos Is.', 'U.S. Virgin Is.'
+  ],
+  'South America': [
+    'Bolivia', 'Ecuador', 'Falkland Is.', 'Guyana', 'Paraguay', 'S. Geo. and the Is.', 'Suriname', 'Uruguay',
+    'Venezuela'
+  ],
+  'Oceania': [
+    'American Samoa', 'Ashmore and Cartier Is.', 'Cook Is.', 'Fr. Polynesia', 'Guam', 'Indian Ocean Ter.',
+    'Kiribati', 'Marshall Is.', 'Micronesia', 'N. Mariana Is.', 'Nauru', 'New Caledonia', 'Niue',
+    'Norfolk Island', 'Palau', 'Pitcairn Is.', 'Samoa', 'Solomon Is.', 'Tonga', 'Vanuatu', 'Wallis and Futuna Is.'
+  ],
+  'Antarctica': ['Fr. S. Antarctic Lands', 'Heard I. and McDonald Is.']
+};
+
+const CONTINENT_BY_BOUNDARY = Object.fromEntries(
+  Object.entries(BOUNDARY_CONTINENTS).flatMap(([continent, names]) => names.map(name => [name, continent]))
+);
+
 // Get all countries grouped by continent
 function getCountriesByContinent() {
   const grouped = {};
@@ -167,16 +226,29 @@ function findNearestCountry(lat, lon, maxDistance = 2000) {
   return nearest;
 }
 
-// Get country region/area (rough geographical boundaries)
+// Get the country whose borders contain a point. Countries on the relocation
+// list come back with all their data; any other country or territory comes
+// back with just its name and continent (relocatable: false). Null at sea.
 function getCountryByCoordinates(lat, lon) {
-  // This is a simplified approach - for more accuracy, you'd use proper country boundary data
-  const nearest = findNearestCountry(lat, lon, 1000); // Within 1000km
-  
-  if (nearest && nearest.distance < 500) { // Within 500km is considered "in" the country
-    return nearest;
-  }
-  
-  return null;
+  const boundary = boundaryAt(lat, lon);
+  if (!boundary) return null;
+
+  const listed = COUNTRY_BY_BOUNDARY[boundary.name];
+  if (listed) return { ...getCountry(listed), relocatable: true };
+
+  return {
+    name: boundary.name,
+    continent: CONTINENT_BY_BOUNDARY[boundary.name] || null,
+    relocatable: false
+  };
+}
+
+// Random land position inside a listed country's borders, on the landmass
+// around its centre rather than in outlying territories (null if none was found)
+function randomPointInCountry(name, random = Math.random) {
+  const country = COUNTRIES[name];
+  if (!country) return null;
+  return randomPointInBoundary(BOUNDARY_NAMES[name] || name, random, 1000, { lat: country.lat, lon: country.lon });
 }
 
 module.exports = {
@@ -187,5 +259,6 @@ module.exports = {
   getCountry,
   getCountriesByCost,
   findNearestCountry,
-  getCountryByCoordinates
+  getCountryByCoordinates,
+  randomPointInCountry
 };
\ No newline at end of file
@@ -0,0 +1,160 @@
+const { readTopology, decodeObject, inPolygon, gridIndex, normalizeLon } = require('./topojson');
+const { isLandAt } = require('./land_mask');
+
+/**
+ * Country Boundaries
+ * Point-in-polygon lookups against the Natural Earth 1:50m country borders
+ * bundled in src/geodata/countries-50m.json (its 'countries' object), and
+ * random points inside a country for relocation.
+ *
+ * Names are Natural Earth's short names ('United States of America',
+ * 'Dem. Rep. Congo'); utils/countries maps them to its own country list.
+ * The data is decoded and indexed on first use.
+ */
+
+// Relocation keeps to a country's main landmass: the polygon holding the
+// given centre plus any polygon with at least MAINLAND_SHARE of the country's
+// area, and every polygon within MAINLAND_GAP_DEG of those (chained, so
+// archipelagos stay whole). Outlying territories such as Alaska, Svalbard or
+// French Guiana are left out.
+const MAINLAND_SHARE = 0.25;
+const MAINLAND_GAP_DEG = 3;
+
+const RAD = Math.PI / 180;
+
+let boundaries = null;
+
+function load() {
+  const countries = decodeObject(readTopology('countries-50m.json'), 'countries');
+  const byName = new Map(countries.map(country => [country.properties.name, country]));
+  return { lookup: gridIndex(countries), byName };
+}
+
+function data() {
+  if (!boundaries) boundaries = load();
+  return boundaries;
+}
+
+/**
+ * Country whose borders contain a point
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude (wrapped into -180..180)
+ * @returns {{name: string, id: string|null}|null} Natural Earth name and ISO
+ *   3166-1 numeric code, or null at sea
+ */
+function boundaryAt(lat, lon) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || lat < -90 || lat > 90) return null;
+  const x = normalizeLon(lon);
+  const country = data().lookup(lat, x).find(item => item.polygons.some(polygon => inPolygon(x, lat, polygon)));
+  return country ? { name: country.properties.name, id: country.id } : null;
+}
+
+/**
+ * Whether the bundled data has borders for a country
+ * @param {string} name - Natural Earth name
+ */
+function hasBoundary(name) {
+  return data().byName.has(name);
+}
+
+/**
+ * Area of a box on the unit sphere (degrees in, steradians out)
+ */
+function bboxArea([minLon, minLat, maxLon, maxLat]) {
+  return (maxLon - minLon) * RAD * (Math.sin(maxLat * RAD) - Math.sin(minLat * RAD));
+}
+
+/**
+ * Area of a ring on the unit sphere, treating edges as straight in
+ * longitude/sin(latitude) (an equal-area projection)
+ */
+function ringArea(ring) {
+  let sum = 0;
+  for (let i = 0, j = ring.length - 2; i < ring.length; j = i, i += 2) {
+    sum += ring[j] * Math.sin(ring[i + 1] * RAD) - ring[i] * Math.sin(ring[j + 1] * RAD);
+  }
+  return Math.abs(sum / 2) * RAD;
+}
+
+function polygonArea(polygon) {
+  return polygon.rings.reduce((sum, ring, i) => sum + (i === 0 ? 1 : -1) * ringArea(ring), 0);
+}
+
+/**
+ * Degrees between two bounding boxes (0 when they overlap), across the
+ * antimeridian too
+ */
+function bboxGap(a, b) {
+  const dx = Math.min(...[0, 360, -360].map(shift => Math.max(0, a[0] - (b[2] + shift), b[0] + shift - a[2])));
+  const dy = Math.max(0, a[1] - b[3], b[1] - a[3]);
+  return Math.max(dx, dy);
+}
+
+/**
+ * A country's main landmass polygons (see MAINLAND_SHARE)
+ */
+function mainlandPolygons(country, center) {
+  const areas = country.polygons.map(polygonArea);
+  const total = areas.reduce((sum, area) => sum + area, 0);
+  const holding = center && country.polygons.find(polygon => inPolygon(normalizeLon(center.lon), center.lat, polygon));
+  const largest = country.polygons[areas.indexOf(Math.max(...areas))];
+  const kept = new Set([holding || largest, ...country.polygons.filter((polygon, i) => areas[i] >= total * MAINLAND_SHARE)]);
+
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const polygon of country.polygons) {
+      if (kept.has(polygon)) continue;
+      if ([...kept].some(other => bboxGap(polygon.bbox, other.bbox) <= MAINLAND_GAP_DEG)) {
+        kept.add(polygon);
+        grew = true;
+      }
+    }
+  }
+  return country.polygons.filter(polygon => kept.has(polygon));
+}
+
+/**
+ * Random point on land inside a country's main landmass, uniform over its
+ * area on the globe. Each try picks one of the polygons in proportion to the
+ * spherical area of its bounding box and an equal-area point inside that box
+ * (latitude drawn on sin(lat)), and keeps it if it falls inside the polygon
+ * and on the land mask.
+ *
+ * @param {string} name - Natural Earth name
+ * @param {Function} random - Math.random or a seeded generator
+ * @param {number} maxAttempts - Points to try before giving up
+ * @param {{lat: number, lon: number}} center - A point on the mainland (the
+ *   country's listed centre), so outlying territories are skipped
+ * @returns {{lat: number, lon: number}|null} Null for unknown countries or
+ *   when no point was found
+ */
+function randomPointInBoundary(name, random = Math.random, maxAttempts = 1000, center = null) {
+  const country = data().byName.get(name);
+  if (!country || !country.polygons.length) return null;
+
+  const polygons = mainlandPolygons(country, center);
+  const areas = polygons.map(({ bbox }) => bboxArea(bbox));
+  const total = areas.reduce((sum, area) => sum + area, 0);
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    let pick = random() * total;
+    let index = 0;
+    while (index < areas.length - 1 && pick >= areas[index]) pick -= areas[index++];
+
+    const polygon = polygons[index];
+    const [minLon, minLat, maxLon, maxLat] = polygon.bbox;
+    const lon = minLon + random() * (maxLon - minLon);
+    const sinMin = Math.sin(minLat * RAD);
+    const lat = Math.asin(sinMin + random() * (Math.sin(maxLat * RAD) - sinMin)) / RAD;
+    if (inPolygon(lon, lat, polygon) && isLandAt(lat, lon)) return { lat, lon: normalizeLon(lon) };
+  }
+  return null;
+}
+
+module.exports = {
+  boundaryAt,
+  hasBoundary,
+  randomPointInBoundary
+};
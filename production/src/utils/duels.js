@@ -0,0 +1,326 @@
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { rarityMult } = require('./items');
+const { equippedGear, effectiveAttackBonus, applyWear, gearSettings } = require('./gear');
+const { updateCombatStatus } = require('./regen');
+
+/**
+ * Player-vs-Player Duels
+ * A challenger names an opponent at the same location and an optional
+ * Drakari wager, which is escrowed straight away. If the opponent accepts,
+ * their matching wager is escrowed and the fight is resolved turn by turn
+ * from each player's equipped weapon and chest piece, rarity multipliers and
+ * current health and stamina. The winner takes the escrow, both ratings move
+ * ELO-style, and both players pick up the in_combat regen penalty.
+ */
+
+/**
+ * Duel settings with defaults
+ */
+function duelSettings() {
+  const cfg = config.duels || {};
+  return {
+    challengeMs: (cfg.challengeSeconds || 120) * 1000,
+    maxWager: Math.max(0, cfg.maxWager ?? 1000000),
+    maxRounds: Math.max(2, cfg.maxRounds || 30),
+    staminaPerAttack: Math.max(0, cfg.staminaPerAttack ?? 4),
+    baseDamage: { min: cfg.baseDamage?.min ?? 8, max: cfg.baseDamage?.max ?? 18 },
+    critChance: Math.min(1, Math.max(0, cfg.critChance ?? 0.1)),
+    startingRating: cfg.startingRating || 1000,
+    kFactor: cfg.kFactor || 32
+  };
+}
+
+/**
+ * A player's duel rating row, or a fresh one at the starting rating
+ */
+function getRating(userId) {
+  return db.prepare('SELECT * FROM duel_ratings WHERE userId = ?').get(userId)
+    || { userId, rating: duelSettings().startingRating, wins: 0, losses: 0, draws: 0 };
+}
+
+/**
+ * Check a player can fight a duel at the given location right now
+ * @returns {string|null} Failure reason, or null if the player is ready
+ */
+function readiness(userId, guildId) {
+  const player = db.prepare('SELECT locationGuildId, travelArrivalAt, health FROM players WHERE userId = ?').get(userId);
+  if (!player) return 'no_player';
+  if (player.travelArrivalAt && player.travelArrivalAt > Date.now()) return 'travelling';
+  if (player.locationGuildId !== guildId) return 'not_here';
+  if ((player.health ?? 0) <= 0) return 'downed';
+  if (pendingDuelFor(userId)) return 'in_duel';
+  return null;
+}
+
+/**
+ * The open challenge a player is part of, if any
+ */
+function pendingDuelFor(userId) {
+  return db.prepare("SELECT * FROM duels WHERE status = 'pending' AND expiresAt > ? AND (challengerId = ? OR opponentId = ?)")
+    .get(Date.now(), userId, userId) || null;
+}
+
+/**
+ * Get a duel by ID
+ */
+function getDuel(duelId) {
+  const duel = db.prepare('SELECT * FROM duels WHERE id = ?').get(duelId);
+  if (duel) duel.log = duel.log ? JSON.parse(duel.log) : [];
+  return duel || null;
+}
+
+/**
+ * Issue a challenge. Both players must be at the challenger's location; the
+ * challenger's wager is taken into escrow.
+ * @returns {{ok: boolean, reason?: string, userId?: string, duel?: Object}}
+ */
+const createChallenge = db.transaction((challengerId, opponentId, wager = 0) => {
+  const settings = duelSettings();
+  if (challengerId === opponentId) return { ok: false, reason: 'self' };
+  if (!Number.isInteger(wager) || wager < 0) return { ok: false, reason: 'invalid_wager' };
+  if (wager > settings.maxWager) return { ok: false, reason: 'wager_too_high', max: settings.maxWager };
+
+  const challenger = db.prepare('SELECT locationGuildId, drakari FROM players WHERE userId = ?').get(challengerId);
+  const guildId = challenger?.locationGuildId;
+  for (const userId of [challengerId, opponentId]) {
+    const reason = readiness(userId, guildId);
+    if (reason) return { ok: false, reason, userId };
+  }
+  if ((challenger.drakari || 0) < wager) return { ok: false, reason: 'not_enough_drakari', userId: challengerId };
+
+  const now = Date.now();
+  if (wager > 0) db.prepare('UPDATE players SET drakari = drakari - ? WHERE userId = ?').run(wager, challengerId);
+  const info = db.prepare(`
+    INSERT INTO duels (challengerId, opponentId, guildId, wager, escrow, status, createdAt, expiresAt)
+    VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)
+  `).run(challengerId, opponentId, guildId, wager, wager, now, now + settings.challengeMs);
+  logger.info('duel_challenge: %s challenged %s at %s for %s', challengerId, opponentId, guildId, wager);
+  return { ok: true, duel: getDuel(info.lastInsertRowid) };
+});
+
+/**
+ * Close a pending duel without a fight and return the challenger's escrow
+ */
+function closeUnfought(duel, status) {
+  if (duel.escrow > 0) db.prepare('UPDATE players SET drakari = drakari + ? WHERE userId = ?').run(duel.escrow, duel.challengerId);
+  db.prepare('UPDATE duels SET status = ?, escrow = 0, resolvedAt = ? WHERE id = ?').run(status, Date.now(), duel.id);
+}
+
+/**
+ * Decline (opponent) or withdraw (challenger) a pending challenge
+ * @returns {{ok: boolean, reason?: string, status?: string}}
+ */
+const declineChallenge = db.transaction((duelId, userId) => {
+  const duel = getDuel(duelId);
+  if (!duel || duel.status !== 'pending') return { ok: false, reason: 'not_pending' };
+  if (userId !== duel.challengerId && userId !== duel.opponentId) return { ok: false, reason: 'not_participant' };
+  const status = userId === duel.challengerId ? 'cancelled' : 'declined';
+  closeUnfought(duel, status);
+  logger.info('duel_%s: duel %s by %s', status, duelId, userId);
+  return { ok: true, status };
+});
+
+/**
+ * Expire every unanswered challenge past its deadline, refunding escrow
+ * @returns {number} Number of challenges expired
+ */
+const expireChallenges = db.transaction((now = Date.now()) => {
+  const expired = db.prepare("SELECT * FROM duels WHERE status = 'pending' AND expiresAt <= ?").all(now);
+  for (const duel of expired) closeUnfought(duel, 'expired');
+  if (expired.length) logger.info('duel_expire: refunded %s unanswered challenge(s)', expired.length);
+  return expired.length;
+});
+
+/**
+ * Build a fighter from a player's current health, stamina and equipment
+ */
+function loadFighter(userId) {
+  const player = db.prepare('SELECT userId, name, health, stamina FROM players WHERE userId = ?').get(userId);
+  // Broken gear counts as nothing equipped
+  const weaponGear = equippedGear(userId, 'weapon');
+  const chestGear = equippedGear(userId, 'chest');
+  const weapon = weaponGear && !weaponGear.broken ? weaponGear.item : null;
+  const chest = chestGear && !chestGear.broken ? chestGear.item : null;
+  return {
+    userId,
+    name: player.name,
+    health: Math.max(0, player.health ?? 0),
+    stamina: Math.max(0, player.stamina ?? 0),
+    weapon,
+    chest,
+    weaponInstance: weaponGear?.instance || null,
+    attack: (weapon ? rarityMult(weapon.rarity || 'common') : 0.75) * effectiveAttackBonus(weaponGear),
+    // Each point of chest multiplier absorbs a share of incoming damage
+    defense: chest ? rarityMult(chest.rarity || 'common') : 0
+  };
+}
+
+/**
+ * Resolve a fight turn by turn. The fresher fighter (more stamina) strikes
+ * first. Exhausted fighters hit for half damage. If nobody falls within the
+ * round limit, the fighter with the larger share of their starting health
+ * wins; identical shares are a draw.
+ *
+ * @param {Object} a - Fighter from loadFighter
+ * @param {Object} b - Fighter from loadFighter
+ * @returns {{winner: Object|null, loser: Object|null, rounds: number, log: Array}}
+ */
+function simulateFight(a, b) {
+  const settings = duelSettings();
+  const start = { [a.userId]: Math.max(1, a.health), [b.userId]: Math.max(1, b.health) };
+  let [attacker, defender] = a.stamina > b.stamina || (a.stamina === b.stamina && Math.random() < 0.5) ? [a, b] : [b, a];
+  const log = [];
+
+  let rounds = 0;
+  while (rounds < settings.maxRounds && a.health > 0 && b.health > 0) {
+    rounds++;
+    const exhausted = attacker.stamina < settings.staminaPerAttack;
+    const roll = settings.baseDamage.min + Math.random() * (settings.baseDamage.max - settings.baseDamage.min);
+    const crit = Math.random() < settings.critChance;
+    let damage = roll * attacker.attack * (crit ? 1.5 : 1) * (exhausted ? 0.5 : 1) / (1 + 0.15 * defender.defense);
+    damage = Math.max(1, Math.round(damage));
+
+    defender.health = Math.max(0, defender.health - damage);
+    attacker.stamina = Math.max(0, attacker.stamina - settings.staminaPerAttack);
+    log.push({ round: rounds, attackerId: attacker.userId, damage, crit, exhausted, defenderHealth: defender.health });
+    [attacker, defender] = [defender, attacker];
+  }
+
+  if (a.health <= 0 || b.health <= 0) {
+    const winner = a.health > 0 ? a : b;
+    return { winner, loser: winner === a ? b : a, rounds, log };
+  }
+  const shareA = a.health / start[a.userId];
+  const shareB = b.health / start[b.userId];
+  if (shareA === shareB) return { winner: null, loser: null, rounds, log };
+  const winner = shareA > shareB ? a : b;
+  return { winner, loser: winner === a ? b : a, rounds, log };
+}
+
+/**
+ * Apply an ELO update for one duel result
+ * @param {number} ra - Rating of player A
+ * @param {number} rb - Rating of player B
+ * @param {number} scoreA - 1 for an A win, 0.5 for a draw, 0 for a loss
+ * @returns {number} Points A gains (negative if A loses points); B moves by the opposite
+ */
+function ratingDelta(ra, rb, scoreA) {
+  const expected = 1 / (1 + Math.pow(10, (rb - ra) / 400));
+  return Math.round(duelSettings().kFactor * (scoreA - expected));
+}
+
+/**
+ * Store a player's rating after a duel
+ */
+function saveRating(row, delta, outcome) {
+  db.prepare(`
+    INSERT INTO duel_ratings (userId, rating, wins, losses, draws, updatedAt) VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(userId) DO UPDATE SET rating = excluded.rating, wins = excluded.wins,
+      losses = excluded.losses, draws = excluded.draws, updatedAt = excluded.updatedAt
+  `).run(row.userId, row.rating + delta,
+    row.wins + (outcome === 'win' ? 1 : 0), row.losses + (outcome === 'loss' ? 1 : 0), row.draws + (outcome === 'draw' ? 1 : 0),
+    Date.now());
+}
+
+/**
+ * Accept a challenge and fight it out. Both players are re-checked, the
+ * opponent's wager is escrowed, and the result is settled in one transaction.
+ * @returns {{ok: boolean, reason?: string, userId?: string, duel?: Object, fight?: Object}}
+ */
+const acceptChallenge = db.transaction((duelId, opponentId) => {
+  const duel = getDuel(duelId);
+  if (!duel || duel.status !== 'pending') return { ok: false, reason: 'not_pending' };
+  if (duel.opponentId !== opponentId) return { ok: false, reason: 'not_participant' };
+  if (duel.expiresAt <= Date.now()) {
+    closeUnfought(duel, 'expired');
+    return { ok: false, reason: 'not_pending' };
+  }
+
+  // Re-check both sides; the pending duel itself is excluded from the busy check
+  for (const userId of [duel.challengerId, duel.opponentId]) {
+    const reason = readiness(userId, duel.guildId);
+    if (reason && reason !== 'in_duel') return { ok: false, reason, userId };
+  }
+  const opponent = db.prepare('SELECT drakari FROM players WHERE userId = ?').get(opponentId);
+  if ((opponent?.drakari || 0) < duel.wager) return { ok: false, reason: 'not_enough_drakari', userId: opponentId };
+  if (duel.wager > 0) db.prepare('UPDATE players SET drakari = drakari - ? WHERE userId = ?').run(duel.wager, opponentId);
+  const pot = duel.escrow + duel.wager;
+
+  const challenger = loadFighter(duel.challengerId);
+  const defender = loadFighter(duel.opponentId);
+  const fight = simulateFight(challenger, defender);
+
+  // Fighters keep the wounds and fatigue of the duel
+  const now = Date.now();
+  for (const f of [challenger, defender]) {
+    db.prepare('UPDATE players SET health = ?, stamina = ?, staminaUpdatedAt = ? WHERE userId = ?').run(f.health, f.stamina, now, f.userId);
+    updateCombatStatus(f.userId);
+    f.worn = applyWear(f.userId, ['weapon', 'chest'], gearSettings().wear.duel);
+  }
+
+  const ratingA = getRating(duel.challengerId);
+  const ratingB = getRating(duel.opponentId);
+  const scoreA = !fight.winner ? 0.5 : fight.winner.userId === duel.challengerId ? 1 : 0;
+  const delta = ratingDelta(ratingA.rating, ratingB.rating, scoreA);
+  saveRating(ratingA, delta, scoreA === 1 ? 'win' : scoreA === 0 ? 'loss' : 'draw');
+  saveRating(ratingB, -delta, scoreA === 0 ? 'win' : scoreA === 1 ? 'loss' : 'draw');
+
+  // The winner takes the pot; a draw hands each wager back
+  if (fight.winner && pot > 0) {
+    db.prepare('UPDATE players SET drakari = drakari + ? WHERE userId = ?').run(pot, fight.winner.userId);
+  } else if (!fight.winner && duel.wager > 0) {
+    db.prepare('UPDATE players SET drakari = drakari + ? WHERE userId IN (?, ?)').run(duel.wager, duel.challengerId, duel.opponentId);
+  }
+
+  db.prepare(`
+    UPDATE duels SET status = 'completed', escrow = 0, winnerId = ?, rounds = ?, log = ?,
+      challengerRating = ?, opponentRating = ?, ratingChange = ?, resolvedAt = ?
+    WHERE id = ?
+  `).run(fight.winner?.userId || null, fight.rounds, JSON.stringify(fight.log),
+    ratingA.rating, ratingB.rating, Math.abs(delta), now, duel.id);
+
+  logger.info('duel_complete: duel %s winner=%s rounds=%s pot=%s delta=%s', duel.id, fight.winner?.userId || 'draw', fight.rounds, pot, delta);
+  return { ok: true, duel: getDuel(duel.id), fight: { ...fight, challenger, defender, pot, delta } };
+});
+
+/**
+ * Top duelists by rating
+ */
+function leaderboard(limit = 10) {
+  return db.prepare(`
+    SELECT r.*, p.name
+    FROM duel_ratings r
+    LEFT JOIN players p ON p.userId = r.userId
+    ORDER BY r.rating DESC, r.wins DESC
+    LIMIT ?
+  `).all(limit);
+}
+
+/**
+ * A player's most recent completed duels
+ */
+function history(userId, limit = 10) {
+  return db.prepare(`
+    SELECT * FROM duels
+    WHERE status = 'completed' AND (challengerId = ? OR opponentId = ?)
+    ORDER BY resolvedAt DESC
+    LIMIT ?
+  `).all(userId, userId, limit);
+}
+
+module.exports = {
+  duelSettings,
+  getRating,
+  getDuel,
+  pendingDuelFor,
+  createChallenge,
+  acceptChallenge,
+  declineChallenge,
+  expireChallenges,
+  simulateFight,
+  ratingDelta,
+  leaderboard,
+  history
+};
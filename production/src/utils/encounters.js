@@ -0,0 +1,403 @@
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { locationOf } = require('./travel_plans');
+const { getActiveWeather, recordWeatherEncounter, calculateDistance, isImmuneTo, WEATHER_TYPES } = require('./weather');
+const { grantItem } = require('./gear');
+const { itemById } = require('./items');
+const { MAX_H } = require('./regen');
+const { equippedVehicle, withCargoBonus } = require('./vehicles');
+
+/**
+ * Travel Encounters
+ * While a player is in the air, each minute of the trip may roll a random
+ * encounter: bandits, a lost merchant, a treasure cache or, inside active
+ * weather, a weather mishap. The odds of each type depend on the biome below
+ * (the biome of the nearest server to the player's position on the route)
+ * and on the weather there. The player gets a DM (or a ping in a fallback
+ * channel) with button choices; each choice rolls one of its outcomes, which
+ * can shift the arrival time and change health, Drakari or items. Outcomes
+ * are kept in travel_encounters, and weather mishaps are also recorded in
+ * weather_encounters. Encounters left unanswered lapse when the trip lands.
+ */
+
+// Player-facing messages for failures when pressing an encounter button
+const REASONS = {
+  not_found: 'This encounter no longer exists.',
+  not_yours: 'This encounter is not yours.',
+  already_resolved: 'You already dealt with this encounter.',
+  expired: 'Too late! You have already landed.',
+  unknown_choice: 'That option is not available.'
+};
+
+const BUTTON_STYLES = {
+  Primary: ButtonStyle.Primary,
+  Secondary: ButtonStyle.Secondary,
+  Success: ButtonStyle.Success,
+  Danger: ButtonStyle.Danger
+};
+
+/**
+ * Encounter settings with defaults
+ */
+function encounterSettings() {
+  const cfg = config.encounters || {};
+  return {
+    chancePerMinute: cfg.chancePerMinute ?? 0.1,
+    maxPerTrip: cfg.maxPerTrip ?? 1,
+    minSecondsLeft: cfg.minSecondsLeft ?? 90,
+    fallbackChannelId: cfg.fallbackChannelId || null,
+    biomeWeights: cfg.biomeWeights || {},
+    types: cfg.types || {}
+  };
+}
+
+/**
+ * Where a traveller is now, assuming a straight line at constant speed
+ * @returns {{lat: number, lon: number, progress: number}|null}
+ */
+function routePosition(player, now = Date.now()) {
+  const from = locationOf(player.travelFromGuildId);
+  const to = locationOf(player.locationGuildId);
+  if (!from && !to) return null;
+  if (!from || !to) return { ...(from || to), progress: 0 };
+  const span = Math.max(1, player.travelArrivalAt - player.travelStartAt);
+  const progress = Math.min(1, Math.max(0, (now - player.travelStartAt) / span));
+  return {
+    lat: from.lat + (to.lat - from.lat) * progress,
+    lon: from.lon + (to.lon - from.lon) * progress,
+    progress
+  };
+}
+
+/**
+ * Biome below a point: that of the nearest server with a biome
+ */
+function biomeAt(lat, lon) {
+  const row = db.prepare(`
+    SELECT biome FROM servers
+    WHERE archived = 0 AND biome IS NOT NULL AND lat IS NOT NULL AND lon IS NOT NULL
+    ORDER BY ((lat - ?) * (lat - ?) + (lon - ?) * (lon - ?)) LIMIT 1
+  `).get(lat, lat, lon, lon);
+  return row?.biome ? String(row.biome).toLowerCase() : null;
+}
+
+/**
+ * The most severe active weather covering a point, ignoring weather the
+ * traveller's vehicle is immune to
+ * @returns {{weather: Object, weatherType: Object}|null}
+ */
+function weatherAt(lat, lon, immunities = []) {
+  let worst = null;
+  for (const weather of getActiveWeather()) {
+    const weatherType = WEATHER_TYPES[weather.type];
+    if (!weatherType || isImmuneTo(weatherType, immunities) || calculateDistance(lat, lon, weather.centerLat, weather.centerLon) > weather.radius) continue;
+    if (!worst || weatherType.severity > worst.weatherType.severity) worst = { weather, weatherType };
+  }
+  return worst;
+}
+
+/**
+ * Pick an encounter type for the biome and weather being crossed. Weather
+ * mishaps only happen inside weather, and grow likelier with its severity.
+ * @returns {string|null} Encounter type id
+ */
+function pickEncounterType(biome, weather) {
+  const { types, biomeWeights } = encounterSettings();
+  const entries = Object.entries(types).map(([id, type]) => {
+    if (type.requiresWeather && !weather) return [id, 0];
+    let weight = (type.weight ?? 1) * (biomeWeights[biome]?.[id] ?? 1);
+    if (type.requiresWeather) weight *= weather.weatherType.severity || 1;
+    return [id, weight];
+  }).filter(([, weight]) => weight > 0);
+
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  if (total <= 0) return null;
+  let roll = Math.random() * total;
+  for (const [id, weight] of entries) {
+    if ((roll -= weight) < 0) return id;
+  }
+  return entries[entries.length - 1][0];
+}
+
+/**
+ * Roll one outcome of a choice by its chances
+ */
+function rollOutcome(choice) {
+  const outcomes = choice.outcomes || [];
+  const total = outcomes.reduce((sum, o) => sum + (o.chance ?? 1), 0);
+  let roll = Math.random() * total;
+  return outcomes.find(o => (roll -= (o.chance ?? 1)) < 0) || outcomes[outcomes.length - 1] || { id: 'nothing', text: 'Nothing happens.' };
+}
+
+/**
+ * Start an encounter for a traveller at their current position
+ * @returns {Object|null} Encounter row, or null if no type fits
+ */
+const createEncounter = db.transaction((player, now = Date.now()) => {
+  const position = routePosition(player, now);
+  if (!position) return null;
+  const biome = biomeAt(position.lat, position.lon);
+  const weather = weatherAt(position.lat, position.lon, equippedVehicle(player.userId).immunities);
+  const type = pickEncounterType(biome, weather);
+  if (!type) return null;
+
+  const mishap = !!encounterSettings().types[type]?.requiresWeather;
+  const id = db.prepare(`
+    INSERT INTO travel_encounters (userId, type, biome, weatherEventId, lat, lon, fromGuildId, toGuildId, createdAt, expiresAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(player.userId, type, biome, mishap ? weather.weather.id : null, position.lat, position.lon,
+    player.travelFromGuildId, player.locationGuildId, now, player.travelArrivalAt).lastInsertRowid;
+  if (mishap) recordWeatherEncounter(player.userId, weather.weather.id, 'mishap');
+
+  logger.info('travel_encounter: %s met %s over %s', player.userId, type, biome || 'unknown');
+  return getEncounter(id);
+});
+
+/**
+ * An encounter row
+ */
+function getEncounter(id) {
+  return db.prepare('SELECT * FROM travel_encounters WHERE id = ?').get(id) || null;
+}
+
+/**
+ * Apply an outcome's effects. The arrival time only moves while the player
+ * is still in the air; health never drops below 1 and Drakari never below 0.
+ * Downed players (0 health) are left at 0: encounters neither hurt nor revive them.
+ * @returns {Object} Effects actually applied
+ */
+function applyEffects(userId, outcome, now) {
+  const player = db.prepare('SELECT health, drakari, travelArrivalAt FROM players WHERE userId = ?').get(userId);
+  const applied = {};
+
+  const health = player.health ?? MAX_H;
+  if (outcome.health && health > 0) {
+    const next = Math.min(Math.max(health, MAX_H), Math.max(1, health + outcome.health));
+    db.prepare('UPDATE players SET health = ?, healthUpdatedAt = ? WHERE userId = ?').run(next, now, userId);
+    applied.health = next - health;
+  }
+  if (outcome.drakari) {
+    const change = Math.max(-(player.drakari || 0), outcome.drakari);
+    db.prepare('UPDATE players SET drakari = COALESCE(drakari, 0) + ? WHERE userId = ?').run(change, userId);
+    applied.drakari = change;
+  }
+  if (outcome.arrivalSeconds && player.travelArrivalAt > now) {
+    const arrival = Math.max(now + 5000, player.travelArrivalAt + outcome.arrivalSeconds * 1000);
+    db.prepare('UPDATE players SET travelArrivalAt = ? WHERE userId = ?').run(arrival, userId);
+    applied.arrivalSeconds = Math.round((arrival - player.travelArrivalAt) / 1000);
+    applied.arrivalAt = arrival;
+  }
+  const items = withCargoBonus(userId, (outcome.items || []).filter(i => itemById(i.id)));
+  for (const { id, qty = 1 } of items) grantItem(userId, id, qty, { source: 'encounter' });
+  if (items.length) applied.items = items;
+
+  return applied;
+}
+
+/**
+ * Answer an encounter with one of its choices
+ * @returns {{ok: boolean, reason?: string, encounter?: Object, choice?: Object, outcome?: Object, applied?: Object}}
+ */
+const resolveEncounter = db.transaction((encounterId, userId, choiceId, now = Date.now()) => {
+  const encounter = getEncounter(encounterId);
+  if (!encounter) return { ok: false, reason: 'not_found' };
+  if (encounter.userId !== userId) return { ok: false, reason: 'not_yours' };
+  if (encounter.status === 'resolved') return { ok: false, reason: 'already_resolved' };
+  if (encounter.status === 'expired' || encounter.expiresAt <= now) return { ok: false, reason: 'expired' };
+  const choice = encounterSettings().types[encounter.type]?.choices?.[choiceId];
+  if (!choice) return { ok: false, reason: 'unknown_choice' };
+
+  const outcome = rollOutcome(choice);
+  const applied = applyEffects(userId, outcome, now);
+  db.prepare("UPDATE travel_encounters SET status = 'resolved', choice = ?, outcome = ?, resolvedAt = ? WHERE id = ?")
+    .run(choiceId, JSON.stringify({ id: outcome.id, ...applied }), now, encounterId);
+
+  logger.info('travel_encounter_resolved: %s chose %s on %s -> %s', userId, choiceId, encounter.type, outcome.id);
+  return { ok: true, encounter: getEncounter(encounterId), choice, outcome, applied };
+});
+
+/**
+ * Lapse pending encounters whose trip has landed
+ * @returns {Array<Object>} Encounters that just expired
+ */
+const expireEncounters = db.transaction((now = Date.now()) => {
+  const rows = db.prepare("SELECT * FROM travel_encounters WHERE status = 'pending' AND expiresAt <= ?").all(now);
+  db.prepare("UPDATE travel_encounters SET status = 'expired', resolvedAt = ? WHERE status = 'pending' AND expiresAt <= ?").run(now, now);
+  return rows;
+});
+
+/**
+ * A player's recent encounters, newest first
+ */
+function recentEncounters(userId, limit = 10) {
+  return db.prepare('SELECT * FROM travel_encounters WHERE userId = ? ORDER BY createdAt DESC LIMIT ?').all(userId, limit);
+}
+
+/**
+ * Prompt embed for a new encounter
+ */
+function encounterEmbed(encounter) {
+  const type = encounterSettings().types[encounter.type] || {};
+  const destination = locationOf(encounter.toGuildId);
+  return new EmbedBuilder()
+    .setTitle(`${type.emoji || '❔'} ${type.name || encounter.type}`)
+    .setDescription(`${type.description || 'Something happens on your journey.'}\n\n*What do you do?*`)
+    .setColor(0xE67E22)
+    .addFields(
+      { name: '🗺️ Over', value: `${encounter.biome ? encounter.biome[0].toUpperCase() + encounter.biome.slice(1) : 'Open'} lands`, inline: true },
+      { name: '🎯 Heading to', value: destination?.name || encounter.toGuildId || 'Unknown', inline: true },
+      { name: '⏳ Decide before', value: `<t:${Math.floor(encounter.expiresAt / 1000)}:R>`, inline: true }
+    )
+    .setFooter({ text: 'Travel Encounter • QuestCord' })
+    .setTimestamp(encounter.createdAt);
+}
+
+/**
+ * One button per choice of an encounter
+ */
+function encounterButtons(encounter, disabled = false) {
+  const choices = encounterSettings().types[encounter.type]?.choices || {};
+  const buttons = Object.entries(choices).slice(0, 5).map(([id, choice]) => new ButtonBuilder()
+    .setCustomId(`encounter_${encounter.id}_${id}`)
+    .setLabel(choice.label || id)
+    .setStyle(BUTTON_STYLES[choice.style] || ButtonStyle.Secondary)
+    .setDisabled(disabled));
+  return buttons.length ? [new ActionRowBuilder().addComponents(buttons)] : [];
+}
+
+/**
+ * Result embed once a choice has been made
+ */
+function outcomeEmbed(result) {
+  const type = encounterSettings().types[result.encounter.type] || {};
+  const { applied } = result;
+  const lines = [];
+  if (applied.health) lines.push(`❤️ ${applied.health > 0 ? '+' : ''}${applied.health} health`);
+  if (applied.drakari) lines.push(`💰 ${applied.drakari > 0 ? '+' : ''}${applied.drakari.toLocaleString()} ${config.currencyName}`);
+  for (const { id, qty = 1 } of applied.items || []) lines.push(`📦 +${qty}x ${itemById(id)?.name || id}`);
+  if (applied.arrivalSeconds) {
+    lines.push(`⏱️ ${applied.arrivalSeconds > 0 ? `${applied.arrivalSeconds}s delay` : `${-applied.arrivalSeconds}s faster`} • landing <t:${Math.floor(applied.arrivalAt / 1000)}:R>`);
+  }
+  return new EmbedBuilder()
+    .setTitle(`${type.emoji || '❔'} ${type.name || result.encounter.type}: ${result.choice.label}`)
+    .setDescription(result.outcome.text || 'You carry on.')
+    .setColor(applied.health < 0 || applied.drakari < 0 || applied.arrivalSeconds > 0 ? 0xE74C3C : 0x2ECC71)
+    .addFields({ name: '📋 Outcome', value: lines.join('\n') || 'No lasting effects.', inline: false })
+    .setFooter({ text: 'Travel Encounter • QuestCord' })
+    .setTimestamp();
+}
+
+/**
+ * Send an encounter to its player by DM, or ping them in the fallback
+ * channel if their DMs are closed
+ * @returns {Promise<boolean>} Whether it was delivered
+ */
+async function deliverEncounter(client, encounter) {
+  const payload = { embeds: [encounterEmbed(encounter)], components: encounterButtons(encounter) };
+  let message = null;
+  try {
+    const user = await client.users.fetch(encounter.userId);
+    message = await user.send(payload);
+  } catch (error) {
+    const { fallbackChannelId } = encounterSettings();
+    if (fallbackChannelId) {
+      try {
+        const channel = await client.channels.fetch(fallbackChannelId);
+        message = await channel.send({ content: `<@${encounter.userId}>`, ...payload });
+      } catch (fallbackError) {
+        logger.warn('[encounters] Fallback channel delivery failed: %s', fallbackError.message);
+      }
+    }
+  }
+  if (!message) return false;
+  db.prepare('UPDATE travel_encounters SET channelId = ?, messageId = ? WHERE id = ?').run(message.channelId, message.id, encounter.id);
+  return true;
+}
+
+/**
+ * Disable the buttons on an encounter prompt that can no longer be answered
+ */
+async function closePrompt(client, encounter) {
+  if (!encounter.channelId || !encounter.messageId) return;
+  try {
+    const channel = await client.channels.fetch(encounter.channelId);
+    const message = await channel.messages.fetch(encounter.messageId);
+    await message.edit({ components: encounterButtons(encounter, true) });
+  } catch (error) {
+    // The DM or message may be gone; nothing left to update
+  }
+}
+
+/**
+ * Encounter tick: lapse answered-too-late encounters, then roll for every
+ * player still far enough from landing who has not had their share this trip
+ *
+ * @param {Client} client - Discord client used to deliver prompts
+ */
+async function rollTravelEncounters(client) {
+  try {
+    const now = Date.now();
+    for (const encounter of expireEncounters(now)) {
+      if (client) await closePrompt(client, encounter);
+    }
+    if (!client) return;
+
+    const settings = encounterSettings();
+    const travellers = db.prepare(`
+      SELECT p.userId, p.travelFromGuildId, p.locationGuildId, p.travelStartAt, p.travelArrivalAt,
+        (SELECT COUNT(*) FROM travel_encounters e WHERE e.userId = p.userId AND e.createdAt >= p.travelStartAt) as encounters
+      FROM players p
+      WHERE p.travelArrivalAt > ? AND p.travelStartAt > 0
+    `).all(now + settings.minSecondsLeft * 1000);
+
+    for (const player of travellers) {
+      if (player.encounters >= settings.maxPerTrip || Math.random() >= settings.chancePerMinute) continue;
+      const encounter = createEncounter(player, now);
+      if (!encounter) continue;
+      if (!(await deliverEncounter(client, encounter))) {
+        // Nobody can answer it, so do not leave it pending
+        db.prepare("UPDATE travel_encounters SET status = 'expired', resolvedAt = ? WHERE id = ?").run(Date.now(), encounter.id);
+      }
+    }
+  } catch (error) {
+    console.error('[encounters] Encounter tick failed:', error);
+  }
+}
+
+/**
+ * Button handler for encounter_<id>_<choice> presses
+ *
+ * @param {ButtonInteraction} interaction - Discord button interaction
+ */
+async function handleEncounterButton(interaction) {
+  const [, id, ...rest] = interaction.customId.split('_');
+  const result = resolveEncounter(parseInt(id, 10), interaction.user.id, rest.join('_'));
+  if (!result.ok) {
+    if (result.reason === 'expired' || result.reason === 'already_resolved') {
+      const encounter = getEncounter(parseInt(id, 10));
+      if (encounter && encounter.userId === interaction.user.id) {
+        return interaction.update({ components: encounterButtons(encounter, true) }).then(() =>
+          interaction.followUp({ content: REASONS[result.reason], ephemeral: true }));
+      }
+    }
+    return interaction.reply({ content: REASONS[result.reason] || 'Something went wrong.', ephemeral: true });
+  }
+  return interaction.update({ embeds: [outcomeEmbed(result)], components: encounterButtons(result.encounter, true) });
+}
+
+module.exports = {
+  encounterSettings,
+  routePosition,
+  biomeAt,
+  weatherAt,
+  pickEncounterType,
+  createEncounter,
+  getEncounter,
+  resolveEncounter,
+  expireEncounters,
+  recentEncounters,
+  rollTravelEncounters,
+  handleEncounterButton
+};
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+/**
+ * Game Event Bus
+ * Game code reports what happened with emitGameEvent(); anything interested
+ * subscribes with onGameEvent(). Emitting is synchronous and only writes to
+ * the database, so it is safe inside transactions: if the transaction rolls
+ * back, so do the queued webhook deliveries. Listener errors are logged and
+ * never reach the emitter.
+ *
+ * Every event is also handed to utils/outbound_webhooks, which queues a
+ * delivery for each registered endpoint subscribed to it.
+ */
+
+// Event types, with the description shown when choosing subscriptions.
+// Personal events concern one player and only reach that player's endpoints.
+const GAME_EVENTS = {
+  'boss.spawned': { description: 'A boss spawned on a server', personal: false },
+  'boss.defeated': { description: 'A boss was defeated', personal: false },
+  'weather.created': { description: 'A weather system formed on the map', personal: false },
+  'server.relocated': { description: 'A server moved on the map', personal: false },
+  'seasonal_event.started': { description: 'A seasonal event began', personal: false },
+  'seasonal_event.ended': { description: 'A seasonal event ended', personal: false },
+  'market.sold': { description: 'One of your market listings sold', personal: true },
+  'player.achievement': { description: 'You unlocked an achievement', personal: true }
+};
+
+// type (or '*') -> Set of listeners
+const listeners = new Map();
+
+/**
+ * Subscribe to an event type, or '*' for every event
+ *
+ * @param {string} type - Event type from GAME_EVENTS, or '*'
+ * @param {Function} listener - Called with the event ({ id, type, createdAt, data, scope })
+ * @returns {Function} Call to unsubscribe
+ */
+function onGameEvent(type, listener) {
+  if (!listeners.has(type)) listeners.set(type, new Set());
+  listeners.get(type).add(listener);
+  return () => listeners.get(type).delete(listener);
+}
+
+/**
+ * Report a game event
+ *
+ * @param {string} type - Event type from GAME_EVENTS
+ * @param {Object} data - Event details sent to subscribers (must be JSON-safe)
+ * @param {Object} scope - Who the event concerns: guildId (server it happened
+ *   on) and/or userId (player, required for personal events)
+ * @returns {Object|null} The event, or null for an unknown type
+ */
+function emitGameEvent(type, data, scope = {}) {
+  if (!GAME_EVENTS[type]) {
+    logger.warn('game_event: unknown event type %s', type);
+    return null;
+  }
+  const event = { id: crypto.randomUUID(), type, createdAt: Date.now(), data, scope };
+
+  for (const listener of [...(listeners.get(type) || []), ...(listeners.get('*') || [])]) {
+    try {
+      listener(event);
+    } catch (error) {
+      logger.error('game_event: listener for %s failed: %s', type, error.message);
+    }
+  }
+
+  try {
+    require('./outbound_webhooks').queueWebhookDeliveries(event);
+  } catch (error) {
+    logger.error('game_event: could not queue webhooks for %s: %s', type, error.message);
+  }
+  return event;
+}
+
+module.exports = {
+  GAME_EVENTS,
+  onGameEvent,
+  emitGameEvent
+};
@@ -0,0 +1,481 @@
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { itemById } = require('./items');
+const { rollAffixes, parseAffixes, describeAffix } = require('./affixes');
+
+/**
+ * Gear Instances, Durability and Upgrades
+ * The inventory table counts how many copies of an item a player owns; for
+ * equipment each copy also has an item_instances row with its own durability
+ * and +0..+10 upgrade level. Instance rows are reconciled against the
+ * inventory count whenever gear is looked at, so every existing path that
+ * adds or removes inventory (loot, crafting, market, trades) keeps working:
+ * new copies arrive fresh, and when copies leave the least valuable
+ * unequipped ones go first.
+ *
+ * Equipped gear wears down on boss attacks and duels. Broken gear (0
+ * durability) grants nothing until repaired with Drakari or materials.
+ * Upgrades consume materials and Drakari with a per-level success chance and
+ * a weighted failure table, and multiply the item's attackBonus.
+ *
+ * Copies granted through grantItem (boss loot, crafting) may roll affixes.
+ * Paths that hand a specific copy to someone else (market listings, trades)
+ * move the instance row itself so its affixes and upgrades go with it; while
+ * listed, a copy is owned by MARKET_HOLDER.
+ */
+
+// Owner recorded on instances held by a market listing
+const MARKET_HOLDER = 'market';
+
+/**
+ * Gear settings with defaults
+ */
+function gearSettings() {
+  const cfg = config.gear || {};
+  const upgrade = cfg.upgrade || {};
+  return {
+    noDurabilitySlots: cfg.noDurabilitySlots || ['vehicle'],
+    durability: cfg.durability || {},
+    wear: { bossAttack: cfg.wear?.bossAttack ?? 1, duel: cfg.wear?.duel ?? 2 },
+    lowDurabilityPct: cfg.lowDurabilityPct ?? 20,
+    repair: {
+      drakariPerPoint: cfg.repair?.drakariPerPoint || {},
+      materials: cfg.repair?.materials || {}
+    },
+    upgrade: {
+      maxLevel: upgrade.maxLevel || 10,
+      attackBonusPerLevel: upgrade.attackBonusPerLevel ?? 0.1,
+      levels: upgrade.levels || []
+    }
+  };
+}
+
+/**
+ * Whether copies of this item carry durability and upgrade state
+ */
+function isGear(item) {
+  return !!(item && item.equipSlot && !gearSettings().noDurabilitySlots.includes(item.equipSlot));
+}
+
+/**
+ * Full durability for an item, by rarity
+ */
+function maxDurabilityFor(item) {
+  return gearSettings().durability[item.rarity] || 100;
+}
+
+/**
+ * Display name with the upgrade level, e.g. "Iron Sword +3"
+ */
+function gearName(item, instance) {
+  const name = item?.name || instance?.itemId || 'Unknown';
+  return instance?.upgradeLevel > 0 ? `${name} +${instance.upgradeLevel}` : name;
+}
+
+/**
+ * Bring a player's instance rows for one item in line with their inventory
+ * count. The equipped copy is always kept; otherwise the highest upgrade,
+ * affixes and durability survive.
+ * @returns {Array<Object>} The player's instances of the item, best first
+ */
+const syncInstances = db.transaction((userId, itemId) => {
+  const item = itemById(itemId);
+  if (!isGear(item)) return [];
+
+  const owned = db.prepare('SELECT qty FROM inventory WHERE userId = ? AND itemId = ?').get(userId, itemId)?.qty || 0;
+  const equippedId = db.prepare('SELECT instanceId FROM equipment WHERE userId = ? AND itemId = ?').get(userId, itemId)?.instanceId;
+  let rows = db.prepare(`
+    SELECT * FROM item_instances WHERE userId = ? AND itemId = ?
+    ORDER BY (id = ?) DESC, upgradeLevel DESC, length(affixes) DESC, durability DESC, id ASC
+  `).all(userId, itemId, equippedId ?? -1);
+
+  if (rows.length > owned) {
+    const drop = db.prepare('DELETE FROM item_instances WHERE id = ?');
+    for (const row of rows.slice(Math.max(0, owned))) drop.run(row.id);
+    rows = rows.slice(0, Math.max(0, owned));
+  } else if (rows.length < owned) {
+    const now = Date.now();
+    const max = maxDurabilityFor(item);
+    const insert = db.prepare(`
+      INSERT INTO item_instances (userId, itemId, durability, maxDurability, upgradeLevel, createdAt, updatedAt)
+      VALUES (?, ?, ?, ?, 0, ?, ?)
+    `);
+    for (let i = rows.length; i < owned; i++) {
+      const info = insert.run(userId, itemId, max, max, now, now);
+      rows.push({ id: info.lastInsertRowid, userId, itemId, durability: max, maxDurability: max, upgradeLevel: 0, affixes: '[]', createdAt: now, updatedAt: now });
+    }
+  }
+  return rows;
+});
+
+/**
+ * Give a player items. Gear gets one instance per copy, rolling affixes at
+ * the given tier; anything else just stacks in the inventory.
+ * @param {string} userId - Player receiving the items
+ * @param {string} itemId - Item definition ID
+ * @param {number} qty - Copies to give
+ * @param {{tier?: number, source?: string}} options - Affix tier (omit for no affixes) and where the copies came from
+ * @returns {Array<Object>} Instances created (empty for non-gear)
+ */
+const grantItem = db.transaction((userId, itemId, qty = 1, { tier = null, source = null } = {}) => {
+  const item = itemById(itemId);
+  const gear = isGear(item);
+  // Settle existing copies first so the new rows are not mistaken for them
+  if (gear) syncInstances(userId, itemId);
+
+  const inv = db.prepare('SELECT qty FROM inventory WHERE userId = ? AND itemId = ?').get(userId, itemId);
+  if (!inv) db.prepare('INSERT INTO inventory (userId, itemId, qty) VALUES (?, ?, ?)').run(userId, itemId, qty);
+  else db.prepare('UPDATE inventory SET qty = qty + ? WHERE userId = ? AND itemId = ?').run(qty, userId, itemId);
+  if (!gear) return [];
+
+  const now = Date.now();
+  const max = maxDurabilityFor(item);
+  const insert = db.prepare(`
+    INSERT INTO item_instances (userId, itemId, durability, maxDurability, upgradeLevel, affixes, source, createdAt, updatedAt)
+    VALUES (?, ?, ?, ?, 0, ?, ?, ?, ?)
+  `);
+  const created = [];
+  for (let i = 0; i < qty; i++) {
+    const affixes = tier ? rollAffixes(item, tier) : [];
+    const info = insert.run(userId, itemId, max, max, JSON.stringify(affixes), source, now, now);
+    created.push({ id: info.lastInsertRowid, userId, itemId, durability: max, maxDurability: max, upgradeLevel: 0, affixes, source });
+  }
+  if (created.some(c => c.affixes.length)) {
+    logger.info('gear_affixes: %s got %s with %s', userId, itemId, created.map(c => c.affixes.map(a => `${a.id}:${a.value}`).join('+') || 'none').join(', '));
+  }
+  return created;
+});
+
+/**
+ * Choose which of a player's copies leave their inventory. A named instance
+ * is used if the player owns it; otherwise the least valuable copies go
+ * first and the equipped one last.
+ * @returns {Array<Object>|null} Instances chosen, or null if the player lacks them
+ */
+function pickInstances(userId, itemId, qty, instanceId = null) {
+  const rows = syncInstances(userId, itemId);
+  if (instanceId != null) {
+    const chosen = rows.find(r => r.id === instanceId);
+    return chosen && qty === 1 ? [chosen] : null;
+  }
+  if (rows.length < qty) return null;
+  return rows.slice().reverse().slice(0, qty);
+}
+
+/**
+ * Move copies from one player to another along with their affixes and
+ * upgrades. Call before the inventory counts change.
+ * @returns {Array<Object>|null} Instances moved, or null if the giver lacks them
+ */
+const transferInstances = db.transaction((fromId, toId, itemId, qty, instanceId = null) => {
+  if (!isGear(itemById(itemId))) return [];
+  const chosen = pickInstances(fromId, itemId, qty, instanceId);
+  if (!chosen) return null;
+  syncInstances(toId, itemId);
+  const move = db.prepare('UPDATE item_instances SET userId = ?, listingId = NULL, updatedAt = ? WHERE id = ?');
+  for (const row of chosen) move.run(toId, Date.now(), row.id);
+  return chosen;
+});
+
+/**
+ * Hand copies over to a market listing. Call before the seller's inventory
+ * count is reduced.
+ * @returns {Array<Object>|null} Instances now held by the listing
+ */
+const holdForListing = db.transaction((sellerId, itemId, qty, listingId, instanceId = null) => {
+  if (!isGear(itemById(itemId))) return [];
+  const chosen = pickInstances(sellerId, itemId, qty, instanceId);
+  if (!chosen) return null;
+  const hold = db.prepare('UPDATE item_instances SET userId = ?, listingId = ?, updatedAt = ? WHERE id = ?');
+  for (const row of chosen) hold.run(MARKET_HOLDER, listingId, Date.now(), row.id);
+  return chosen;
+});
+
+/**
+ * Release copies held by a listing to a player (buyer, or the seller on
+ * cancel). Call before that player's inventory count is increased.
+ * @returns {number} Instances released
+ */
+const releaseFromListing = db.transaction((listingId, toId, itemId, qty) => {
+  if (!isGear(itemById(itemId))) return 0;
+  syncInstances(toId, itemId);
+  const held = db.prepare('SELECT id FROM item_instances WHERE listingId = ? ORDER BY id LIMIT ?').all(listingId, qty);
+  const move = db.prepare('UPDATE item_instances SET userId = ?, listingId = NULL, updatedAt = ? WHERE id = ?');
+  for (const row of held) move.run(toId, Date.now(), row.id);
+  return held.length;
+});
+
+/**
+ * Instances held by a listing
+ */
+function listingInstances(listingId) {
+  return db.prepare('SELECT * FROM item_instances WHERE listingId = ? ORDER BY id').all(listingId);
+}
+
+/**
+ * Whether a copy differs from a fresh one (affixes, upgrades or wear) and
+ * so is worth showing on its own
+ */
+function isNotable(instance) {
+  return parseAffixes(instance).length > 0 || instance.upgradeLevel > 0 || instance.durability < instance.maxDurability;
+}
+
+/**
+ * One-line description of a copy: upgrade, durability and affixes
+ */
+function describeInstance(item, instance) {
+  const parts = [`**${gearName(item, instance)}**`];
+  if (instance) {
+    parts.push(`🔧 ${instance.durability}/${instance.maxDurability}`);
+    const affixes = parseAffixes(instance);
+    if (affixes.length) parts.push(`✨ ${affixes.map(describeAffix).join(', ')}`);
+  }
+  return parts.join(' • ');
+}
+
+/**
+ * The item and instance filling a slot. Clears the slot if the player no
+ * longer owns a copy of the equipped item, and binds a copy if none is set.
+ * @returns {{item: Object, instance: Object|null, broken: boolean}|null}
+ */
+const equippedGear = db.transaction((userId, slot) => {
+  const row = db.prepare('SELECT itemId, instanceId FROM equipment WHERE userId = ? AND slot = ?').get(userId, slot);
+  const item = itemById(row?.itemId);
+  if (!item) return null;
+  if (!isGear(item)) return { item, instance: null, broken: false };
+
+  const instances = syncInstances(userId, item.id);
+  if (instances.length === 0) {
+    db.prepare('DELETE FROM equipment WHERE userId = ? AND slot = ?').run(userId, slot);
+    return null;
+  }
+  let instance = instances.find(i => i.id === row.instanceId);
+  if (!instance) {
+    instance = instances[0];
+    db.prepare('UPDATE equipment SET instanceId = ? WHERE userId = ? AND slot = ?').run(instance.id, userId, slot);
+  }
+  return { item, instance, broken: instance.durability <= 0 };
+});
+
+/**
+ * Point a slot at a chosen copy of the item just equipped, or at the best
+ * owned copy when none is chosen (or the chosen one is not owned)
+ */
+function bindEquipped(userId, slot, instanceId = null) {
+  db.prepare('UPDATE equipment SET instanceId = ? WHERE userId = ? AND slot = ?').run(instanceId, userId, slot);
+  return equippedGear(userId, slot);
+}
+
+/**
+ * Multiplier an instance's upgrade level applies to attackBonus
+ */
+function upgradeMultiplier(instance) {
+  return 1 + (instance?.upgradeLevel || 0) * gearSettings().upgrade.attackBonusPerLevel;
+}
+
+/**
+ * Attack bonus of an equipped item including its upgrade level
+ */
+function effectiveAttackBonus(gear) {
+  if (!gear || gear.broken) return 1.0;
+  return (gear.item.attackBonus || 1.0) * upgradeMultiplier(gear.instance);
+}
+
+/**
+ * The equipped item in a slot, or null when the slot is empty or its item is
+ * broken. Drop-in for code that only needs the item definition.
+ */
+function usableEquipped(userId, slot) {
+  const gear = equippedGear(userId, slot);
+  return gear && !gear.broken ? gear.item : null;
+}
+
+/**
+ * Wear down the gear in the given slots
+ * @param {string} userId - Player whose gear wears
+ * @param {string[]} slots - Equipment slots to wear
+ * @param {number} amount - Durability points to remove from each
+ * @returns {Array<{slot: string, item: Object, instance: Object, broke: boolean, low: boolean}>}
+ */
+const applyWear = db.transaction((userId, slots, amount) => {
+  const settings = gearSettings();
+  const worn = [];
+  if (!(amount > 0)) return worn;
+  for (const slot of slots) {
+    const gear = equippedGear(userId, slot);
+    if (!gear?.instance || gear.broken) continue;
+    const durability = Math.max(0, gear.instance.durability - amount);
+    db.prepare('UPDATE item_instances SET durability = ?, updatedAt = ? WHERE id = ?').run(durability, Date.now(), gear.instance.id);
+    const instance = { ...gear.instance, durability };
+    worn.push({
+      slot,
+      item: gear.item,
+      instance,
+      broke: durability === 0,
+      low: durability > 0 && durability * 100 <= instance.maxDurability * settings.lowDurabilityPct
+    });
+    if (durability === 0) logger.info('gear_broken: %s %s (instance %s)', userId, gear.item.id, gear.instance.id);
+  }
+  return worn;
+});
+
+/**
+ * Check a player holds every material in a list
+ * @returns {{id: string, qty: number, have: number}|null} First shortfall, or null
+ */
+function missingMaterial(userId, materials) {
+  for (const { id, qty } of materials) {
+    const have = db.prepare('SELECT qty FROM inventory WHERE userId = ? AND itemId = ?').get(userId, id)?.qty || 0;
+    if (have < qty) return { id, qty, have };
+  }
+  return null;
+}
+
+/**
+ * Remove a list of materials from a player's inventory
+ */
+function consumeMaterials(userId, materials) {
+  for (const { id, qty } of materials) {
+    db.prepare('UPDATE inventory SET qty = qty - ? WHERE userId = ? AND itemId = ?').run(qty, userId, id);
+    db.prepare('DELETE FROM inventory WHERE userId = ? AND itemId = ? AND qty <= 0').run(userId, id);
+  }
+}
+
+/**
+ * What a full repair of an equipped item costs by each method. Material
+ * quantities in config are for a repair from zero and scale with wear.
+ * @returns {{missing: number, drakari: number, materials: Array<{id, qty}>}}
+ */
+function repairCost(gear) {
+  const { repair } = gearSettings();
+  const missing = gear.instance.maxDurability - gear.instance.durability;
+  const share = missing / gear.instance.maxDurability;
+  return {
+    missing,
+    drakari: Math.ceil(missing * (repair.drakariPerPoint[gear.item.rarity] || 2)),
+    materials: (repair.materials[gear.item.rarity] || []).map(({ id, qty }) => ({ id, qty: Math.max(1, Math.ceil(qty * share)) }))
+  };
+}
+
+/**
+ * Fully repair the item in a slot
+ * @param {string} userId - Player repairing
+ * @param {string} slot - Equipment slot to repair
+ * @param {string} method - 'drakari' or 'materials'
+ * @returns {{ok: boolean, reason?: string, cost?: Object, gear?: Object}}
+ */
+const repairEquipped = db.transaction((userId, slot, method) => {
+  const gear = equippedGear(userId, slot);
+  if (!gear) return { ok: false, reason: 'nothing_equipped' };
+  if (!gear.instance) return { ok: false, reason: 'no_durability' };
+  const cost = repairCost(gear);
+  if (cost.missing <= 0) return { ok: false, reason: 'not_damaged' };
+
+  if (method === 'materials') {
+    if (cost.materials.length === 0) return { ok: false, reason: 'no_material_repair' };
+    const short = missingMaterial(userId, cost.materials);
+    if (short) return { ok: false, reason: 'not_enough_materials', ...short };
+    consumeMaterials(userId, cost.materials);
+  } else {
+    const drakari = db.prepare('SELECT drakari FROM players WHERE userId = ?').get(userId)?.drakari || 0;
+    if (drakari < cost.drakari) return { ok: false, reason: 'not_enough_drakari', need: cost.drakari };
+    db.prepare('UPDATE players SET drakari = drakari - ? WHERE userId = ?').run(cost.drakari, userId);
+  }
+
+  db.prepare('UPDATE item_instances SET durability = maxDurability, updatedAt = ? WHERE id = ?').run(Date.now(), gear.instance.id);
+  logger.info('gear_repair: %s repaired %s (+%s) via %s', userId, gear.item.id, cost.missing, method);
+  return { ok: true, cost, method, gear: { ...gear, instance: { ...gear.instance, durability: gear.instance.maxDurability }, broken: false } };
+});
+
+/**
+ * Cost and odds of the next upgrade for an instance, or null at max level
+ */
+function nextUpgrade(instance) {
+  const { upgrade } = gearSettings();
+  const level = (instance?.upgradeLevel || 0) + 1;
+  if (level > upgrade.maxLevel) return null;
+  const def = upgrade.levels.find(l => l.level === level);
+  if (!def) return null;
+  return {
+    level,
+    successPct: Math.min(100, Math.max(0, def.successPct ?? 100)),
+    drakari: def.drakari || 0,
+    materials: def.materials || [],
+    onFailure: def.onFailure || { keep: 100 }
+  };
+}
+
+/**
+ * Pick a failure outcome from a weighted table like {keep: 70, downgrade: 30}
+ */
+function rollFailure(table) {
+  const entries = Object.entries(table).filter(([, w]) => w > 0);
+  const total = entries.reduce((sum, [, w]) => sum + w, 0);
+  let roll = Math.random() * total;
+  for (const [outcome, weight] of entries) {
+    if ((roll -= weight) < 0) return outcome;
+  }
+  return 'keep';
+}
+
+/**
+ * Attempt to upgrade the item in a slot by one level. The cost is paid
+ * whatever the result. On failure the item keeps its level, drops one level
+ * or breaks (durability 0, repairable) according to the level's table.
+ * @returns {{ok: boolean, reason?: string, success?: boolean, outcome?: string, level?: number, gear?: Object}}
+ */
+const upgradeEquipped = db.transaction((userId, slot) => {
+  const gear = equippedGear(userId, slot);
+  if (!gear) return { ok: false, reason: 'nothing_equipped' };
+  if (!gear.instance) return { ok: false, reason: 'no_durability' };
+  if (gear.broken) return { ok: false, reason: 'broken' };
+  const next = nextUpgrade(gear.instance);
+  if (!next) return { ok: false, reason: 'max_level' };
+
+  const short = missingMaterial(userId, next.materials);
+  if (short) return { ok: false, reason: 'not_enough_materials', ...short };
+  const drakari = db.prepare('SELECT drakari FROM players WHERE userId = ?').get(userId)?.drakari || 0;
+  if (drakari < next.drakari) return { ok: false, reason: 'not_enough_drakari', need: next.drakari };
+
+  consumeMaterials(userId, next.materials);
+  if (next.drakari > 0) db.prepare('UPDATE players SET drakari = drakari - ? WHERE userId = ?').run(next.drakari, userId);
+
+  const instance = { ...gear.instance };
+  const success = Math.random() * 100 < next.successPct;
+  const outcome = success ? 'success' : rollFailure(next.onFailure);
+  if (outcome === 'success') instance.upgradeLevel = next.level;
+  if (outcome === 'downgrade') instance.upgradeLevel = Math.max(0, instance.upgradeLevel - 1);
+  if (outcome === 'break') instance.durability = 0;
+
+  db.prepare('UPDATE item_instances SET upgradeLevel = ?, durability = ?, updatedAt = ? WHERE id = ?')
+    .run(instance.upgradeLevel, instance.durability, Date.now(), instance.id);
+  logger.info('gear_upgrade: %s %s +%s attempt -> %s (now +%s)', userId, gear.item.id, next.level, outcome, instance.upgradeLevel);
+  return { ok: true, success, outcome, attempted: next, gear: { ...gear, instance, broken: instance.durability <= 0 } };
+});
+
+module.exports = {
+  MARKET_HOLDER,
+  gearSettings,
+  isGear,
+  gearName,
+  syncInstances,
+  grantItem,
+  pickInstances,
+  transferInstances,
+  holdForListing,
+  releaseFromListing,
+  listingInstances,
+  isNotable,
+  describeInstance,
+  equippedGear,
+  bindEquipped,
+  usableEquipped,
+  upgradeMultiplier,
+  effectiveAttackBonus,
+  applyWear,
+  repairCost,
+  repairEquipped,
+  nextUpgrade,
+  upgradeEquipped
+};
@@ -1,4 +1,5 @@
 const { db } = require('./store_sqlite');
+const { affixBonus } = require('./affixes');
 
 // Gem earning rates
 const GEM_RATES = {
@@ -186,14 +187,16 @@ function handleDailyLogin(userId) {
 }
 
 /**
- * Award gems for boss participation based on damage dealt
+ * Award gems for boss participation based on damage dealt, boosted by
+ * gem-drop affixes on the player's equipped gear
  */
 function awardBossParticipationGems(userId, damageDealt, totalBossHealth) {
   try {
     // Calculate gems based on contribution (5-15 gems)
     const contribution = Math.min(1, damageDealt / (totalBossHealth * 0.1)); // 10% = max contribution
-    const gems = Math.floor(GEM_RATES.BOSS_PARTICIPATION_MIN + 
-                           (contribution * (GEM_RATES.BOSS_PARTICIPATION_MAX - GEM_RATES.BOSS_PARTICIPATION_MIN)));
+    const base = GEM_RATES.BOSS_PARTICIPATION_MIN + 
+                 (contribution * (GEM_RATES.BOSS_PARTICIPATION_MAX - GEM_RATES.BOSS_PARTICIPATION_MIN));
+    const gems = Math.floor(base * (1 + affixBonus(userId, 'gemDropPct') / 100));
     
     return awardGems(userId, gems, 'boss_participation', `Dealt ${damageDealt} damage to boss`);
   } catch (error) {
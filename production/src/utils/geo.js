@@ -1,3 +1,5 @@
+const { isLandAt } = require('./land_mask');
+
 function deg2rad(d) {
   return d * Math.PI / 180;
 }
@@ -35,239 +37,59 @@ function placeOnSpiral(i, center = { lat: 0, lon: 0 }) {
 }
 
 /**
- * SAFE FETCH HELPER
+ * LAND/WATER DETECTION
  * 
- * Provides cross-environment fetch functionality, handling both Node.js and browser environments.
- * Uses built-in fetch if available (Node.js 18+), otherwise falls back to node-fetch polyfill.
- * 
- * @param {...any} args - Arguments to pass to fetch function
- * @returns {Promise} Fetch response promise
- */
-async function fetchSafe(...args) {
-  // Use built-in fetch if available (Node.js 18+ or browsers)
-  if (typeof globalThis.fetch === 'function') return globalThis.fetch(...args);
-  // Fall back to node-fetch polyfill for older Node.js versions
-  const mod = await import('node-fetch');
-  return mod.default(...args);
-}
-
-/**
- * COMPREHENSIVE LAND/WATER DETECTION
- * 
- * Determines if coordinates are on land using multiple validation methods:
- * 1. Coordinate-based detection using predefined ocean/continental boundaries
- * 2. Elevation API validation for borderline cases
- * 3. Sophisticated elevation analysis for edge cases
- * 
- * This dual approach ensures accurate land detection while minimizing API calls.
+ * Looks the point up in the bundled Natural Earth land mask (see
+ * utils/land_mask). Runs offline and always gives the same answer for the
+ * same point. Kept async so existing callers that await it keep working.
  * 
  * @param {number} lat - Latitude coordinate to check
  * @param {number} lon - Longitude coordinate to check  
  * @returns {Promise<boolean>} True if position is on land, false if in water
  */
 async function isOnLand(lat, lon) {
-  // Log position being checked (commented out to reduce spam)
-  // console.log(`🗺️  Checking land status for ${lat.toFixed(4)}, ${lon.toFixed(4)}`);
-  
-  // First attempt: Fast coordinate-based detection using boundary definitions
-  const coordinateBased = isLandByCoordinates(lat, lon);
-  // console.log(`📍 Coordinate-based detection: ${coordinateBased ? 'LAND' : 'WATER'}`);
-  
-  // If coordinate detection suggests water, return false immediately (optimization)
-  if (!coordinateBased) {
-    return false;
-  }
-  
-  /**
-   * ELEVATION API VALIDATION
-   * 
-   * For positions that coordinate detection suggests might be land,
-   * verify using elevation data from open-elevation.com API.
-   */
-  try {
-    // Construct API URL for elevation lookup
-    const url = `https://api.open-elevation.com/api/v1/lookup?locations=${lat},${lon}`;
-    // Make API request with timeout to avoid hanging
-    const response = await fetchSafe(url, { timeout: 3000 });
-    
-    if (response.ok) {
-      const data = await response.json();
-      const elevation = data.results?.[0]?.elevation;
-      
-      // Log elevation data (commented to reduce spam)
-      // console.log(`🏔️  Elevation: ${elevation}m`);
-      
-      // Apply sophisticated elevation analysis for land/water determination
-      if (typeof elevation === 'number') {
-        /**
-         * ELEVATION ANALYSIS LOGIC
-         * 
-         * Analyzes elevation data to determine land vs water:
-         * - Significantly negative elevation = deep water (oceans, deep lakes)
-         * - Near sea level (±2m) = trust coordinate detection (handles coastal areas)
-         * - Positive elevation = likely land
-         */
-        
-        // Deep negative elevation indicates major water bodies
-        if (elevation < -50) {
-          return false;
-        }
-        
-        // Near sea level requires coordinate-based decision
-        if (Math.abs(elevation) <= 2) {
-          return coordinateBased; // Trust coordinate boundaries for coastal areas
-        }
-        
-        // Positive elevation above 2m typically indicates land
-        const isLand = elevation > 2;
-        // console.log(`🏞️  Elevation suggests: ${isLand ? 'LAND' : 'WATER'}`);
-        return isLand;
-      }
-    } else {
-      // API request failed, log status code
-    }
-  } catch (error) {
-    // API completely failed, fall back to coordinate detection
-    console.warn('🚨 Elevation API failed, using coordinate-based detection:', error.message);
-  }
-  
-  // Final fallback: use coordinate-based detection result
-  return coordinateBased;
+  return isLandAt(lat, lon);
 }
 
 /**
- * COORDINATE-BASED LAND DETECTION
+ * SYNCHRONOUS LAND/WATER DETECTION
  * 
- * Fast land/water detection using predefined geographic boundaries.
- * Defines major ocean areas and continental regions to classify coordinates
- * without external API calls. Used as primary filter before elevation checking.
+ * Same lookup as isOnLand for callers that cannot await.
  * 
  * @param {number} lat - Latitude coordinate to check
  * @param {number} lon - Longitude coordinate to check
- * @returns {boolean} True if likely land, false if likely water
+ * @returns {boolean} True if on land, false if in water
  */
 function isLandByCoordinates(lat, lon) {
-  // Exclude polar regions (mostly ice sheets and frozen seas)
-  if (Math.abs(lat) > 78) return false;
-  
-  /**
-   * MAJOR OCEAN AREAS DEFINITION
-   * 
-   * Defines rectangular boundaries for major ocean regions where land is unlikely.
-   * These areas are checked first to quickly identify obviously oceanic coordinates.
-   */
-  const oceanAreas = [
-    // Pacific Ocean regions (largest ocean, split into sections)
-    { latMin: -60, latMax: 65, lonMin: -180, lonMax: -100, name: "Eastern Pacific" },
-    { latMin: -60, latMax: 65, lonMin: 140, lonMax: 165, name: "Western Pacific" }, // Excludes New Zealand area
-    
-    // Atlantic Ocean central regions (avoiding coastal areas)
-    { latMin: -60, latMax: 70, lonMin: -65, lonMax: -10, name: "Central Atlantic" },
-    
-    // Indian Ocean central region
-    { latMin: -50, latMax: 30, lonMin: 45, lonMax: 100, name: "Central Indian" },
-    
-    // Polar ocean regions
-    { latMin: 78, latMax: 90, lonMin: -180, lonMax: 180, name: "Arctic" },
-    { latMin: -90, latMax: -60, lonMin: -180, lonMax: 180, name: "Southern" },
-    
-    /**
-     * COMPLEX WATER REGIONS WITH LAND EXCEPTIONS
-     * 
-     * Regions that are primarily water but contain significant land masses.
-     * Exceptions define the land areas within these water regions.
-     */
-    
-    // Mediterranean Sea region (complex coastlines require exceptions)
-    { latMin: 30, latMax: 46, lonMin: -6, lonMax: 36, name: "Mediterranean", 
-      exceptions: [
-        // Iberian Peninsula (Spain/Portugal)
-        { latMin: 35, latMax: 44, lonMin: -10, lonMax: -6 },
-        // Italian Peninsula 
-        { latMin: 36, latMax: 47, lonMin: 6, lonMax: 19 },
-        // Balkan Peninsula
-        { latMin: 39, latMax: 47, lonMin: 13, lonMax: 30 },
-        // Turkey/Anatolia
-        { latMin: 36, latMax: 42, lonMin: 26, lonMax: 45 }
-      ]
-    },
-    
-    // Caribbean Sea and Gulf of Mexico region
-    { latMin: 10, latMax: 30, lonMin: -100, lonMax: -60, name: "Caribbean",
-      exceptions: [
-        // Florida Peninsula and Cuba
-        { latMin: 20, latMax: 28, lonMin: -85, lonMax: -79 },
-        // Caribbean island chains
-        { latMin: 10, latMax: 25, lonMin: -85, lonMax: -60 }
-      ]
-    },
-    
-    // Red Sea and Persian Gulf region  
-    { latMin: 12, latMax: 32, lonMin: 32, lonMax: 58, name: "Red Sea/Persian Gulf",
-      exceptions: [
-        // Arabian Peninsula and surrounding land
-        { latMin: 15, latMax: 33, lonMin: 34, lonMax: 56 }
-      ]
-    }
-  ];
-  
-  /**
-   * OCEAN AREA BOUNDARY CHECKING
-   * 
-   * Check if coordinates fall within any defined ocean regions.
-   * If in ocean area, check for land exceptions (islands, peninsulas).
-   */
-  for (const ocean of oceanAreas) {
-    if (lat >= ocean.latMin && lat <= ocean.latMax && 
-        lon >= ocean.lonMin && lon <= ocean.lonMax) {
-      
-      // Check for land exceptions within this ocean zone
-      if (ocean.exceptions) {
-        for (const exception of ocean.exceptions) {
-          if (lat >= exception.latMin && lat <= exception.latMax && 
-              lon >= exception.lonMin && lon <= exception.lonMax) {
-            return true; // Coordinates are in a land exception area
-          }
-        }
-      }
-      
-      return false; // Coordinates are in ocean with no land exceptions
-    }
-  }
-  
-  // Define major continental areas (definitely land)
-  const continentalAreas = [
-    // North America mainland
-    { latMin: 25, latMax: 75, lonMin: -170, lonMax: -50 },
-    
-    // South America
-    { latMin: -55, latMax: 15, lonMin: -82, lonMax: -35 },
-    
-    // Europe/Asia
-    { latMin: 35, latMax: 75, lonMin: -10, lonMax: 180 },
-    { latMin: -10, latMax: 35, lonMin: 60, lonMax: 180 }, // Asia extends south
-    
-    // Africa
-    { latMin: -35, latMax: 37, lonMin: -18, lonMax: 52 },
-    
-    // Australia
-    { latMin: -45, latMax: -10, lonMin: 112, lonMax: 155 },
-    
-    // New Zealand (both North and South Islands)
-    { latMin: -47, latMax: -34, lonMin: 166, lonMax: 179 }
-  ];
-  
-  // Check if in major continental area
-  for (const continent of continentalAreas) {
-    if (lat >= continent.latMin && lat <= continent.latMax && 
-        lon >= continent.lonMin && lon <= continent.lonMax) {
-      return true;
-    }
+  return isLandAt(lat, lon);
+}
+
+/**
+ * SEEDED RANDOM NUMBERS
+ * 
+ * Returns a Math.random-like generator. With a seed (e.g. a guild ID) the
+ * sequence is always the same, so placement for a given guild is
+ * reproducible; without one it falls back to Math.random.
+ * 
+ * @param {string|number} [seed] - Seed value
+ * @returns {Function} () => number in [0, 1)
+ */
+function seededRandom(seed) {
+  if (seed == null) return Math.random;
+  // FNV-1a hash of the seed (as in assignBiomeDeterministic), then mulberry32
+  let h = 2166136261;
+  const text = String(seed);
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619) >>> 0;
   }
-  
-  // If not in ocean or continental area, it might be an island
-  // Use conservative approach - assume water unless proven otherwise
-  return false;
+  return () => {
+    h = (h + 0x6D2B79F5) >>> 0;
+    let t = h;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
 }
 
 // Find a land-based position using spiral search
@@ -294,11 +116,6 @@ async function findLandPosition(startLat = 0, startLon = 0, maxAttempts = 100) {
     if (await isOnLand(pos.lat, pos.lon)) {
       return pos;
     }
-    
-    // Add small delay to avoid overwhelming the API
-    if (i % 10 === 0) {
-      await new Promise(resolve => setTimeout(resolve, 200));
-    }
   }
   
   // Country-specific fallbacks for known problematic areas
@@ -357,8 +174,20 @@ function isPositionTooClose(lat, lon, existingServers, minDistanceKm = 50) {
   return false;
 }
 
-// Find a random global land position that doesn't collide with existing servers
-async function findNonCollidingLandPosition(startLat = 0, startLon = 0, db, maxAttempts = 100) {
+/**
+ * Find a random global land position that doesn't collide with existing servers
+ * 
+ * @param {number} startLat - Unused, kept for call compatibility
+ * @param {number} startLon - Unused, kept for call compatibility
+ * @param {Object} db - Database handle
+ * @param {number} maxAttempts - Random positions to try before the city fallbacks
+ * @param {string} [seed] - Makes the search deterministic (pass the guild ID);
+ *   the same seed and the same set of existing servers give the same position
+ * @returns {Promise<Object>} Position with lat/lon properties
+ */
+async function findNonCollidingLandPosition(startLat = 0, startLon = 0, db, maxAttempts = 100, seed = null) {
+  const random = seededRandom(seed);
+
   // Get existing server positions for collision detection
   const existingServers = db.prepare(`
     SELECT lat, lon FROM servers 
@@ -404,11 +233,11 @@ async function findNonCollidingLandPosition(startLat = 0, startLon = 0, db, maxA
   // Try random positions across different regions
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
     // Select random region (weighted)
-    const region = weightedRegions[Math.floor(Math.random() * weightedRegions.length)];
+    const region = weightedRegions[Math.floor(random() * weightedRegions.length)];
     
     // Generate random position within region
-    const randomLat = region.latMin + Math.random() * (region.latMax - region.latMin);
-    const randomLon = region.lonMin + Math.random() * (region.lonMax - region.lonMin);
+    const randomLat = region.latMin + random() * (region.latMax - region.latMin);
+    const randomLon = region.lonMin + random() * (region.lonMax - region.lonMin);
     
     
     // Check if position is valid (on land and not too close to others)
@@ -416,11 +245,6 @@ async function findNonCollidingLandPosition(startLat = 0, startLon = 0, db, maxA
         !isPositionTooClose(randomLat, randomLon, existingServers)) {
       return { lat: randomLat, lon: randomLon };
     }
-    
-    // Add delay every 10 attempts to avoid overwhelming APIs
-    if (attempt % 10 === 0) {
-      await new Promise(resolve => setTimeout(resolve, 300));
-    }
   }
   
   // If we can't find a random spot, try global city fallbacks with collision detection
@@ -470,10 +294,10 @@ async function findNonCollidingLandPosition(startLat = 0, startLon = 0, db, maxA
   }
   
   // Final emergency fallback - random position around a major city
-  const emergencyBase = globalCityFallbacks[Math.floor(Math.random() * globalCityFallbacks.length)];
+  const emergencyBase = globalCityFallbacks[Math.floor(random() * globalCityFallbacks.length)];
   const emergencyFallback = { 
-    lat: emergencyBase.lat + (Math.random() - 0.5) * 5,  // ±2.5 degrees 
-    lon: emergencyBase.lon + (Math.random() - 0.5) * 5 
+    lat: emergencyBase.lat + (random() - 0.5) * 5,  // ±2.5 degrees 
+    lon: emergencyBase.lon + (random() - 0.5) * 5 
   };
   console.warn(`🚨 Using emergency random fallback near ${emergencyBase.name}:`, emergencyFallback);
   return emergencyFallback;
@@ -494,40 +318,30 @@ async function checkAndFixWaterServers(db) {
     // console.log(`Found ${servers.length} servers to check`); // Disabled to reduce spam
     
     let fixedCount = 0;
-    const batchSize = 5; // Process in batches to avoid overwhelming APIs
     
-    for (let i = 0; i < servers.length; i += batchSize) {
-      const batch = servers.slice(i, i + batchSize);
-      
-      await Promise.all(batch.map(async (server) => {
-        try {
-          const isLand = await isOnLand(server.lat, server.lon);
+    for (const server of servers) {
+      try {
+        const isLand = await isOnLand(server.lat, server.lon);
+        
+        if (!isLand) {
+          
+          // Find nearest land position
+          const landPosition = await findLandPosition(server.lat, server.lon, 50);
+          
+          // Update server position
+          db.prepare(`
+            UPDATE servers 
+            SET lat = ?, lon = ? 
+            WHERE guildId = ?
+          `).run(landPosition.lat, landPosition.lon, server.guildId);
+          
+          fixedCount++;
           
-          if (!isLand) {
-            
-            // Find nearest land position
-            const landPosition = await findLandPosition(server.lat, server.lon, 50);
-            
-            // Update server position
-            db.prepare(`
-              UPDATE servers 
-              SET lat = ?, lon = ? 
-              WHERE guildId = ?
-            `).run(landPosition.lat, landPosition.lon, server.guildId);
-            
-            fixedCount++;
-            
-          } else {
-            // console.log(`✅ Server "${server.name}" is already on land`); // Disabled to reduce spam
-          }
-        } catch (error) {
-          console.warn(`❌ Failed to check server ${server.guildId}: ${error.message}`);
+        } else {
+          // console.log(`✅ Server "${server.name}" is already on land`); // Disabled to reduce spam
         }
-      }));
-      
-      // Small delay between batches to be respectful to APIs
-      if (i + batchSize < servers.length) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
+      } catch (error) {
+        console.warn(`❌ Failed to check server ${server.guildId}: ${error.message}`);
       }
     }
     
@@ -549,25 +363,25 @@ async function checkAndFixWaterServers(db) {
  * Export all geographic utility functions for use by other modules:
  * - haversine: Distance calculation between coordinates
  * - placeOnSpiral: Spiral search pattern generation  
- * - isOnLand: Comprehensive land/water detection
- * - isLandByCoordinates: Fast coordinate-based land detection
+ * - isOnLand: Land/water detection against the bundled land mask
+ * - isLandByCoordinates: Synchronous form of isOnLand
  * - findLandPosition: Find nearest land position to coordinates
  * - checkAndFixWaterServers: Batch validation and fixing of water-placed servers
  * - isPositionTooClose: Collision detection for server placement
  * - findNonCollidingLandPosition: Global random land position finder
+ * - seededRandom: Deterministic random numbers for placement
  * 
- * Note: This module contains extensive geographic logic with continent/ocean
- * boundary definitions, elevation API integration, and sophisticated algorithms
- * for server placement and validation. Many functions include detailed position
- * validation and fallback mechanisms to ensure reliable operation.
+ * Note: Land checks use the offline land mask, so nothing here needs network
+ * access. Placement is deterministic when given a seed.
  */
 module.exports = { 
   haversine,                      // Distance calculations
   placeOnSpiral,                  // Spiral search patterns
   isOnLand,                       // Primary land/water detection
-  isLandByCoordinates,           // Fast coordinate-based detection  
+  isLandByCoordinates,           // Synchronous land/water detection
   findLandPosition,              // Land position search
   checkAndFixWaterServers,       // Server position validation
   isPositionTooClose,            // Collision detection
-  findNonCollidingLandPosition   // Global server placement
+  findNonCollidingLandPosition,  // Global server placement
+  seededRandom                   // Deterministic placement randomness
 };
@@ -1,24 +1,32 @@
 const config = require('./config');
 
+// config.items plus every seasonal event's items (kept after the event ends so
+// owned copies still resolve)
+function allItems(){
+  const { eventItems } = require('./seasonal_events');
+  return (config.items || []).concat(eventItems());
+}
 function itemById(id){
-  return (config.items || []).find(i => i.id === id) || null;
+  return allItems().find(i => i.id === id) || null;
 }
 function itemByNameOrId(q){
-  return (config.items || []).find(i => i.id === q) || (config.items || []).find(i => i.name.toLowerCase() === String(q||'').toLowerCase()) || null;
+  const items = allItems();
+  return items.find(i => i.id === q) || items.find(i => i.name.toLowerCase() === String(q||'').toLowerCase()) || null;
 }
 function isTradable(id){
   const it = itemById(id);
   if (!it) return false;
   if (it.tradable === false) return false;
-  const bl = (config.tradeBlacklist || []);
+  const bl = (config.economy?.tradeBlacklist || config.tradeBlacklist || []);
   return !bl.includes(id);
 }
 function rarityMult(r){
-  const map = config.rarityMultipliers || {};
+  const map = config.rarityMultipliers || config.game?.rarityMultipliers || {};
   return map[r] || 1.0;
 }
 function weightsForTier(tier) {
-  const w = (config.lootRarityWeights || {})[String(tier)] || (config.lootRarityWeights || {})['1'] || {};
+  const table = config.lootRarityWeights || config.game?.lootRarityWeights || {};
+  const w = table[String(tier)] || table['1'] || {};
   return w;
 }
 function weightedPick(weights) {
@@ -33,8 +41,10 @@ function weightedPick(weights) {
 }
 function pickLootByTier(tier, isPremium) {
   const targetRarity = weightedPick(weightsForTier(tier));
-  const pool = (config.items || []).filter(i => i.rarity === targetRarity && !i.consumable && i.equipSlot !== 'vehicle');
-  // allow materials/weapons etc; exclude vehicles to avoid movement gating
+  const { lootableEventItems } = require('./seasonal_events');
+  const pool = (config.items || []).concat(lootableEventItems()).filter(i => i.rarity === targetRarity && !i.consumable && i.equipSlot !== 'vehicle' && !i.questReward);
+  // allow materials/weapons etc; exclude vehicles to avoid movement gating and quest-only rewards
+  // running seasonal events add their drops (not their shop-only items)
   let list = pool;
   if (!isPremium) list = list.filter(i => !i.premiumNeeded);
   if (list.length === 0){
@@ -45,4 +55,4 @@ function pickLootByTier(tier, isPremium) {
   }
   return list[Math.floor(Math.random()*list.length)].id;
 }
-module.exports = { itemById, itemByNameOrId, isTradable, rarityMult, pickLootByTier };
+module.exports = { allItems, itemById, itemByNameOrId, isTradable, rarityMult, pickLootByTier };
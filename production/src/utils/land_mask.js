@@ -0,0 +1,37 @@
+const { readTopology, decodeObject, inPolygon, gridIndex, normalizeLon } = require('./topojson');
+
+/**
+ * Offline Land Mask
+ * Land/water lookups against Natural Earth 1:50m land polygons bundled in
+ * src/geodata/countries-50m.json (its 'land' object). No network access, and
+ * the same point always gives the same answer.
+ *
+ * The data is decoded and indexed on first use (well under a second); each
+ * lookup then tests only the polygons whose bounding box covers the point's
+ * 1° cell. Coastlines are accurate to a few kilometres, and islands smaller
+ * than the 1:50m scale shows are treated as water.
+ */
+
+let lookup = null;
+
+function load() {
+  const topology = readTopology('countries-50m.json');
+  const [land] = decodeObject(topology, 'land');
+  return gridIndex(land.polygons.map(polygon => ({ polygons: [polygon] })));
+}
+
+/**
+ * Whether a point is on land
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude (wrapped into -180..180)
+ * @returns {boolean}
+ */
+function isLandAt(lat, lon) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || lat < -90 || lat > 90) return false;
+  if (!lookup) lookup = load();
+  const x = normalizeLon(lon);
+  return lookup(lat, x).some(item => inPolygon(x, lat, item.polygons[0]));
+}
+
+module.exports = { isLandAt };
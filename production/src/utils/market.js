@@ -0,0 +1,366 @@
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { updateChallengeProgress } = require('./challenges');
+const { releaseFromListing } = require('./gear');
+const { itemById } = require('./items');
+const { dispatch } = require('./notifications');
+const { queueNotification } = require('./player_notifications');
+const { emitGameEvent } = require('./game_events');
+
+/**
+ * Market Order Book
+ * Sell listings (market_listings) and standing buy orders (market_buy_orders)
+ * are matched on price. A listing's price is the total for its remaining
+ * quantity, while a buy order's maxPrice is per unit. Trades execute at the
+ * price of the order that was already resting on the book, and partial fills
+ * are allowed on both sides. Buy orders escrow their full cost up front; any
+ * unspent escrow is refunded on fill, cancel or expiry.
+ */
+
+/**
+ * Market tax percentage taken from the seller on every sale
+ */
+function marketTaxPct() {
+  const pct = Number(config.economy?.marketTaxPct);
+  return Number.isFinite(pct) && pct >= 0 ? pct : 5;
+}
+
+/**
+ * Tax owed on a sale of the given total
+ */
+function taxFor(total) {
+  return Math.floor(total * (marketTaxPct() / 100));
+}
+
+/**
+ * Add items to a player's inventory
+ */
+function giveItems(userId, itemId, qty) {
+  const inv = db.prepare('SELECT qty FROM inventory WHERE userId=? AND itemId=?').get(userId, itemId);
+  if (!inv) db.prepare('INSERT INTO inventory(userId,itemId,qty) VALUES(?,?,?)').run(userId, itemId, qty);
+  else db.prepare('UPDATE inventory SET qty=qty+? WHERE userId=? AND itemId=?').run(qty, userId, itemId);
+}
+
+/**
+ * Price of taking part of a listing, proportional to its total price.
+ * Taking the whole listing always costs exactly its price.
+ */
+function listingCost(listing, qty) {
+  return qty === listing.qty ? listing.price : Math.round(listing.price * qty / listing.qty);
+}
+
+/**
+ * Record a fill, pay the seller (minus tax) and shrink the listing
+ * @returns {Object} The trade that was recorded
+ */
+function settleFill({ listing, buyerId, qty, total, buyOrderId = null, now }) {
+  const tax = taxFor(total);
+  db.prepare('UPDATE players SET drakari=drakari+? WHERE userId=?').run(total - tax, listing.sellerId);
+  // Gear copies held by the listing go to the buyer with their affixes and upgrades
+  releaseFromListing(listing.id, buyerId, listing.itemId, qty);
+  giveItems(buyerId, listing.itemId, qty);
+
+  // Remaining quantity keeps the remaining share of the listing's price
+  if (qty >= listing.qty) {
+    db.prepare('DELETE FROM market_listings WHERE id=?').run(listing.id);
+  } else {
+    db.prepare('UPDATE market_listings SET qty=qty-?, price=price-? WHERE id=?').run(qty, listingCost(listing, qty), listing.id);
+  }
+
+  const trade = {
+    itemId: listing.itemId,
+    qty,
+    unitPrice: total / qty,
+    total,
+    tax,
+    buyerId,
+    sellerId: listing.sellerId,
+    listingId: listing.id,
+    buyOrderId
+  };
+  db.prepare(`
+    INSERT INTO market_trades (itemId, qty, unitPrice, total, tax, buyerId, sellerId, listingId, buyOrderId, createdAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(trade.itemId, qty, trade.unitPrice, total, tax, buyerId, listing.sellerId, listing.id, buyOrderId, now);
+
+  // Both sides of a fill count toward market challenges and quests
+  updateChallengeProgress(buyerId, 'market_trade', 1, { itemId: listing.itemId });
+  updateChallengeProgress(listing.sellerId, 'market_trade', 1, { itemId: listing.itemId });
+
+  queueNotification(listing.sellerId, 'market', `Your **${qty}× ${itemById(listing.itemId)?.name || listing.itemId}** sold for **${(total - tax).toLocaleString()} ${config.currencyName || 'Drakari'}** after tax.`);
+  emitGameEvent('market.sold', {
+    listingId: listing.id,
+    itemId: listing.itemId,
+    itemName: itemById(listing.itemId)?.name || listing.itemId,
+    qty,
+    unitPrice: trade.unitPrice,
+    total,
+    tax,
+    proceeds: total - tax,
+    listingClosed: qty >= listing.qty
+  }, { userId: listing.sellerId });
+  return trade;
+}
+
+/**
+ * Take quantity from a buy order after a fill, closing it once complete
+ */
+function consumeBuyOrder(order, qty, spent, now) {
+  const remaining = order.qty - qty;
+  const escrowUsed = order.maxPrice * qty;
+  const refund = escrowUsed - spent;
+  if (refund > 0) {
+    db.prepare('UPDATE players SET drakari=drakari+? WHERE userId=?').run(refund, order.buyerId);
+  }
+
+  // A filled order hands back whatever escrow rounding left behind
+  let leftover = 0;
+  if (remaining <= 0) {
+    leftover = Math.max(0, order.escrow - escrowUsed);
+    if (leftover > 0) db.prepare('UPDATE players SET drakari=drakari+? WHERE userId=?').run(leftover, order.buyerId);
+  }
+
+  db.prepare(`
+    UPDATE market_buy_orders
+    SET qty = ?, filledQty = filledQty + ?, escrow = ?, status = ?
+    WHERE id = ?
+  `).run(Math.max(0, remaining), qty, remaining > 0 ? order.escrow - escrowUsed : 0, remaining > 0 ? 'open' : 'filled', order.id);
+
+  order.qty = Math.max(0, remaining);
+  order.escrow = remaining > 0 ? order.escrow - escrowUsed : 0;
+  return refund + leftover;
+}
+
+/**
+ * Match a freshly created listing against resting buy orders.
+ * Highest bids fill first, oldest first on ties; each fill pays the bid price.
+ *
+ * @param {number} listingId - Listing to match
+ * @returns {{fills: Array, filledQty: number, remainingQty: number, earned: number}}
+ */
+const matchListing = db.transaction((listingId) => {
+  const now = Date.now();
+  const listing = db.prepare('SELECT * FROM market_listings WHERE id=?').get(listingId);
+  const result = { fills: [], filledQty: 0, remainingQty: listing?.qty || 0, earned: 0 };
+  if (!listing || listing.expiresAt <= now) return result;
+
+  const bids = db.prepare(`
+    SELECT * FROM market_buy_orders
+    WHERE itemId = ? AND status = 'open' AND expiresAt > ? AND buyerId != ?
+    ORDER BY maxPrice DESC, createdAt ASC, id ASC
+  `).all(listing.itemId, now, listing.sellerId);
+
+  for (const order of bids) {
+    if (listing.qty <= 0) break;
+    // Bids are sorted, so the first one below the ask ends matching
+    if (order.maxPrice * listing.qty < listing.price) break;
+
+    const qty = Math.min(order.qty, listing.qty);
+    const total = order.maxPrice * qty;
+    const trade = settleFill({ listing, buyerId: order.buyerId, qty, total, buyOrderId: order.id, now });
+    consumeBuyOrder(order, qty, total, now);
+
+    listing.price -= listingCost(listing, qty);
+    listing.qty -= qty;
+    result.fills.push(trade);
+    result.filledQty += qty;
+    result.earned += total - trade.tax;
+  }
+
+  result.remainingQty = listing.qty;
+  if (result.fills.length) {
+    logger.info('market_match: listing %s filled %s against %s buy order(s)', listingId, result.filledQty, result.fills.length);
+  }
+  return result;
+});
+
+/**
+ * Place a buy order, escrowing its full cost, and fill it against the
+ * cheapest resting listings. Whatever is not filled stays on the book.
+ *
+ * @param {Object} order
+ * @param {string} order.buyerId - Player placing the order
+ * @param {string} order.itemId - Item wanted
+ * @param {number} order.qty - Quantity wanted
+ * @param {number} order.maxPrice - Highest price per unit
+ * @param {number} order.expiresAt - Expiry timestamp
+ * @returns {{ok: boolean, reason?: string, orderId?: number, fills?: Array, filledQty?: number, remainingQty?: number, spent?: number, refunded?: number}}
+ */
+const placeBuyOrder = db.transaction(({ buyerId, itemId, qty, maxPrice, expiresAt }) => {
+  const now = Date.now();
+  const escrow = maxPrice * qty;
+  const buyer = db.prepare('SELECT drakari FROM players WHERE userId=?').get(buyerId);
+  if (!buyer || buyer.drakari < escrow) return { ok: false, reason: 'insufficient_funds', required: escrow };
+
+  db.prepare('UPDATE players SET drakari=drakari-? WHERE userId=?').run(escrow, buyerId);
+  const info = db.prepare(`
+    INSERT INTO market_buy_orders (buyerId, itemId, qty, maxPrice, escrow, expiresAt, createdAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(buyerId, itemId, qty, maxPrice, escrow, expiresAt, now);
+  const order = db.prepare('SELECT * FROM market_buy_orders WHERE id=?').get(info.lastInsertRowid);
+
+  // Cheapest asks per unit first, oldest first on ties
+  const asks = db.prepare(`
+    SELECT * FROM market_listings
+    WHERE itemId = ? AND expiresAt > ? AND sellerId != ? AND qty > 0
+    ORDER BY (price * 1.0 / qty) ASC, createdAt ASC, id ASC
+  `).all(itemId, now, buyerId);
+
+  const result = { ok: true, orderId: order.id, fills: [], filledQty: 0, remainingQty: qty, spent: 0, refunded: 0 };
+  for (const listing of asks) {
+    if (order.qty <= 0) break;
+    if (listing.price > maxPrice * listing.qty) break;
+
+    const take = Math.min(order.qty, listing.qty);
+    const total = listingCost(listing, take);
+    const trade = settleFill({ listing, buyerId, qty: take, total, buyOrderId: order.id, now });
+    result.refunded += consumeBuyOrder(order, take, total, now);
+    result.fills.push(trade);
+    result.filledQty += take;
+    result.spent += total;
+  }
+
+  result.remainingQty = order.qty;
+  logger.info('market_order: user %s placed buy order %s for %s x%s at %s each (%s filled)', buyerId, order.id, itemId, qty, maxPrice, result.filledQty);
+  return result;
+});
+
+/**
+ * Buy a whole listing directly (the /market buy path)
+ * @returns {{ok: boolean, reason?: string, trade?: Object}}
+ */
+const buyListing = db.transaction((listingId, buyerId) => {
+  const now = Date.now();
+  const listing = db.prepare('SELECT * FROM market_listings WHERE id=?').get(listingId);
+  if (!listing) return { ok: false, reason: 'not_found' };
+  if (listing.expiresAt < now) return { ok: false, reason: 'expired' };
+  if (listing.sellerId === buyerId) return { ok: false, reason: 'own_listing' };
+
+  const buyer = db.prepare('SELECT drakari FROM players WHERE userId=?').get(buyerId);
+  if (!buyer || buyer.drakari < listing.price) return { ok: false, reason: 'insufficient_funds' };
+
+  db.prepare('UPDATE players SET drakari=drakari-? WHERE userId=?').run(listing.price, buyerId);
+  const trade = settleFill({ listing, buyerId, qty: listing.qty, total: listing.price, now });
+  return { ok: true, trade };
+});
+
+/**
+ * Cancel an open buy order and refund its escrow
+ * @returns {{ok: boolean, reason?: string, order?: Object, refunded?: number}}
+ */
+const cancelBuyOrder = db.transaction((orderId, userId) => {
+  const order = db.prepare('SELECT * FROM market_buy_orders WHERE id=?').get(orderId);
+  if (!order) return { ok: false, reason: 'not_found' };
+  if (order.buyerId !== userId) return { ok: false, reason: 'not_owner' };
+  if (order.status !== 'open') return { ok: false, reason: order.status };
+
+  db.prepare('UPDATE players SET drakari=drakari+? WHERE userId=?').run(order.escrow, userId);
+  db.prepare("UPDATE market_buy_orders SET status='cancelled', escrow=0 WHERE id=?").run(orderId);
+  return { ok: true, order, refunded: order.escrow };
+});
+
+/**
+ * Close every open buy order past its expiry and refund the escrow
+ * @returns {number} Number of orders expired
+ */
+const expireBuyOrders = db.transaction((now = Date.now()) => {
+  const expired = db.prepare("SELECT * FROM market_buy_orders WHERE status='open' AND expiresAt <= ?").all(now);
+  const refund = db.prepare('UPDATE players SET drakari=drakari+? WHERE userId=?');
+  const close = db.prepare("UPDATE market_buy_orders SET status='expired', escrow=0 WHERE id=?");
+  for (const order of expired) {
+    if (order.escrow > 0) refund.run(order.escrow, order.buyerId);
+    close.run(order.id);
+  }
+  if (expired.length) logger.info('market_expire: refunded %s expired buy order(s)', expired.length);
+  return expired.length;
+});
+
+/**
+ * Best bids and asks for an item
+ * @param {string} itemId - Item to look up
+ * @param {number} [depth=5] - Price levels per side
+ */
+function getOrderBook(itemId, depth = 5) {
+  const now = Date.now();
+  const bids = db.prepare(`
+    SELECT maxPrice AS unitPrice, SUM(qty) AS qty, COUNT(*) AS orders
+    FROM market_buy_orders
+    WHERE itemId = ? AND status = 'open' AND expiresAt > ?
+    GROUP BY maxPrice
+    ORDER BY maxPrice DESC
+    LIMIT ?
+  `).all(itemId, now, depth);
+  const asks = db.prepare(`
+    SELECT ROUND(price * 1.0 / qty, 2) AS unitPrice, SUM(qty) AS qty, COUNT(*) AS orders
+    FROM market_listings
+    WHERE itemId = ? AND expiresAt > ? AND qty > 0
+    GROUP BY unitPrice
+    ORDER BY unitPrice ASC
+    LIMIT ?
+  `).all(itemId, now, depth);
+  const lastTrade = db.prepare('SELECT unitPrice, qty, createdAt FROM market_trades WHERE itemId = ? ORDER BY createdAt DESC, id DESC LIMIT 1').get(itemId);
+  return { bids, asks, lastTrade: lastTrade || null };
+}
+
+// Last market_trades id considered for highlights (null until the first run)
+let highlightCursor = null;
+
+/**
+ * Trades since the last highlight run worth announcing: those totalling at
+ * least config.notifications.marketHighlightMinTotal, biggest first. The
+ * first run only sets the cursor, so a restart does not replay old trades.
+ */
+function takeNotableTrades() {
+  const latest = db.prepare('SELECT MAX(id) AS id FROM market_trades').get().id || 0;
+  if (highlightCursor === null) {
+    highlightCursor = latest;
+    return [];
+  }
+  const minTotal = config.notifications?.marketHighlightMinTotal ?? 5000;
+  const limit = config.notifications?.marketHighlightMax ?? 5;
+  const trades = db.prepare(`
+    SELECT * FROM market_trades
+    WHERE id > ? AND id <= ? AND total >= ?
+    ORDER BY total DESC
+    LIMIT ?
+  `).all(highlightCursor, latest, minTotal, limit);
+  highlightCursor = latest;
+  return trades;
+}
+
+/**
+ * Announce the biggest recent trades to the network market channel and
+ * every server subscribed to market highlights
+ * @param {Client} client - Discord client for posting
+ * @returns {Promise<number>} Number of trades announced
+ */
+async function notifyMarketHighlights(client) {
+  const trades = takeNotableTrades();
+  if (!trades.length) return 0;
+
+  const { EmbedBuilder } = require('discord.js');
+  const currency = config.currencyName || 'Drakari';
+  const embed = new EmbedBuilder()
+    .setTitle('📈 Market Highlights')
+    .setDescription(trades.map(t =>
+      `**${t.qty}× ${itemById(t.itemId)?.name || t.itemId}** sold for **${t.total.toLocaleString()} ${currency}** (${Math.round(t.unitPrice).toLocaleString()} each)`
+    ).join('\n'))
+    .setColor(0x2ECC71)
+    .setFooter({ text: 'Use /market to trade • QuestCord' })
+    .setTimestamp();
+  await dispatch(client, 'market', { embeds: [embed] });
+  return trades.length;
+}
+
+module.exports = {
+  marketTaxPct,
+  taxFor,
+  matchListing,
+  placeBuyOrder,
+  buyListing,
+  cancelBuyOrder,
+  expireBuyOrders,
+  getOrderBook,
+  notifyMarketHighlights
+};
@@ -0,0 +1,180 @@
+/**
+ * SCHEMA MIGRATION RUNNER
+ *
+ * Applies the numbered migration files in src/migrations/ to a SQLite database
+ * and records each applied version in the schema_migrations table. Every
+ * migration exports an up(db) and a down(db) function and runs inside its own
+ * transaction, so a failing migration never leaves the schema half-applied.
+ *
+ * Migration files are named NNN_description.js; the numeric prefix is the
+ * version and determines the order in which migrations run.
+ */
+
+// Import Node.js file system operations for discovering migration files
+const fs = require('fs');
+// Import path utilities for cross-platform file path handling
+const path = require('path');
+
+// Directory containing the numbered migration files
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+/**
+ * Create the bookkeeping table that records applied migrations
+ * @param {Database} db - better-sqlite3 connection
+ */
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,  -- Numeric prefix of the migration file
+      name TEXT NOT NULL,           -- Descriptive part of the migration file name
+      appliedAt INTEGER NOT NULL    -- When the migration was applied
+    )
+  `);
+}
+
+/**
+ * Load every migration file from the migrations directory, sorted by version
+ * @returns {Array<{version: number, name: string, up: Function, down: Function}>}
+ */
+function loadMigrations() {
+  if (!fs.existsSync(MIGRATIONS_DIR)) return [];
+
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: file.match(/^(\d+)_([\w-]+)\.js$/) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const mod = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof mod.up !== 'function' || typeof mod.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return { version: parseInt(match[1], 10), name: match[2], up: mod.up, down: mod.down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  // Two files sharing a version number would make the apply order ambiguous
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+}
+
+/**
+ * Get the set of migration versions already applied to the database
+ * @param {Database} db - better-sqlite3 connection
+ * @returns {Set<number>} Applied versions
+ */
+function getAppliedVersions(db) {
+  ensureMigrationsTable(db);
+  return new Set(db.prepare('SELECT version FROM schema_migrations').all().map(r => r.version));
+}
+
+/**
+ * Apply all pending migrations, optionally stopping at a target version
+ * @param {Database} db - better-sqlite3 connection
+ * @param {Object} [options]
+ * @param {number} [options.to] - Highest version to apply (defaults to latest)
+ * @param {Function} [options.log] - Logger for progress messages
+ * @returns {Array<number>} Versions that were applied
+ */
+function migrate(db, { to = Infinity, log = console.log } = {}) {
+  const applied = getAppliedVersions(db);
+  const pending = loadMigrations().filter(m => !applied.has(m.version) && m.version <= to);
+
+  for (const migration of pending) {
+    db.transaction(() => {
+      migration.up(db);
+      db.prepare('INSERT INTO schema_migrations (version, name, appliedAt) VALUES (?, ?, ?)')
+        .run(migration.version, migration.name, Date.now());
+    })();
+    log(`[migrate] Applied ${String(migration.version).padStart(3, '0')}_${migration.name}`);
+  }
+
+  return pending.map(m => m.version);
+}
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {Database} db - better-sqlite3 connection
+ * @param {Object} [options]
+ * @param {number} [options.steps=1] - How many migrations to roll back
+ * @param {Function} [options.log] - Logger for progress messages
+ * @returns {Array<number>} Versions that were rolled back
+ */
+function rollback(db, { steps = 1, log = console.log } = {}) {
+  const applied = getAppliedVersions(db);
+  const byVersion = new Map(loadMigrations().map(m => [m.version, m]));
+  const targets = [...applied].sort((a, b) => b - a).slice(0, steps);
+
+  for (const version of targets) {
+    const migration = byVersion.get(version);
+    if (!migration) {
+      throw new Error(`Cannot roll back version ${version}: migration file is missing`);
+    }
+    db.transaction(() => {
+      migration.down(db);
+      db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(version);
+    })();
+    log(`[migrate] Rolled back ${String(version).padStart(3, '0')}_${migration.name}`);
+  }
+
+  return targets;
+}
+
+/**
+ * Report which migrations are applied and which are still pending
+ * @param {Database} db - better-sqlite3 connection
+ * @returns {Array<{version: number, name: string, appliedAt: number|null}>}
+ */
+function status(db) {
+  ensureMigrationsTable(db);
+  const rows = new Map(db.prepare('SELECT version, appliedAt FROM schema_migrations').all().map(r => [r.version, r.appliedAt]));
+  return loadMigrations().map(m => ({
+    version: m.version,
+    name: m.name,
+    appliedAt: rows.get(m.version) || null
+  }));
+}
+
+/**
+ * Add a column to a table unless it is already present.
+ * Databases created before the migration system may already have the column,
+ * so migrations use this instead of a bare ALTER TABLE.
+ * @param {Database} db - better-sqlite3 connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints (e.g. "INTEGER DEFAULT 0")
+ * @returns {boolean} True if the column was added
+ */
+function addColumnIfMissing(db, table, column, definition) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+  if (cols.includes(column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+/**
+ * Drop a column from a table if it exists (used by down migrations)
+ * @param {Database} db - better-sqlite3 connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {boolean} True if the column was dropped
+ */
+function dropColumnIfExists(db, table, column) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+  if (!cols.includes(column)) return false;
+  db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  return true;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrate,
+  rollback,
+  status,
+  addColumnIfMissing,
+  dropColumnIfExists
+};
@@ -0,0 +1,202 @@
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+
+/**
+ * Notification Dispatcher
+ * Every network announcement (boss spawns and defeats, weather alerts, market
+ * highlights, arrivals) is posted through dispatch(). It goes to the network
+ * channel from config.notifications.network, and to every registered server
+ * that subscribed to the event with /settings (guild_settings). A server's
+ * subscription picks the channel, an optional role to ping, UTC quiet hours
+ * during which nothing is posted, and the lowest boss tier worth announcing.
+ */
+
+// Events a server can subscribe to, with the label /settings shows
+const NOTIFICATION_EVENTS = {
+  boss: 'Boss alerts',
+  weather: 'Weather alerts',
+  market: 'Market highlights',
+  arrivals: 'Arrivals',
+  events: 'Seasonal events'
+};
+
+/**
+ * Subscription of a server to one event
+ * @returns {Object|null} guild_settings row, or null when not set
+ */
+function getSetting(guildId, event) {
+  return db.prepare('SELECT * FROM guild_settings WHERE guildId = ? AND event = ?').get(guildId, event) || null;
+}
+
+/**
+ * Every subscription of a server, keyed by event
+ */
+function getGuildSettings(guildId) {
+  const settings = {};
+  for (const row of db.prepare('SELECT * FROM guild_settings WHERE guildId = ?').all(guildId)) {
+    settings[row.event] = row;
+  }
+  return settings;
+}
+
+/**
+ * Where the network posts an event, from config.notifications.network
+ * @returns {{channelId: string|null, roleId: string|null}}
+ */
+function networkTarget(event) {
+  const target = config.notifications?.network?.[event] || {};
+  return { channelId: target.channelId || null, roleId: target.roleId || null };
+}
+
+function validHour(hour) {
+  return Number.isInteger(hour) && hour >= 0 && hour <= 23;
+}
+
+/**
+ * Change a server's subscription to an event. Fields left undefined keep
+ * their current value; roleId null removes the ping, and equal quiet hours
+ * (e.g. 0 to 0) turn quiet hours off.
+ *
+ * @param {string} guildId - Registered server
+ * @param {string} event - One of NOTIFICATION_EVENTS
+ * @param {Object} changes - channelId, roleId, quietStart, quietEnd, minBossTier, enabled
+ * @param {string} actorId - User making the change
+ * @returns {{ok: boolean, reason?: string, setting?: Object}}
+ */
+const updateSetting = db.transaction((guildId, event, changes = {}, actorId = null) => {
+  if (!NOTIFICATION_EVENTS[event]) return { ok: false, reason: 'unknown_event' };
+  const server = db.prepare('SELECT guildId FROM servers WHERE guildId = ? AND COALESCE(archived, 0) = 0').get(guildId);
+  if (!server) return { ok: false, reason: 'not_registered' };
+
+  const current = getSetting(guildId, event);
+  const next = {
+    channelId: current?.channelId ?? null,
+    roleId: current?.roleId ?? null,
+    quietStart: current?.quietStart ?? null,
+    quietEnd: current?.quietEnd ?? null,
+    minBossTier: current?.minBossTier ?? 1,
+    enabled: current ? current.enabled : 1
+  };
+  for (const key of Object.keys(next)) {
+    if (changes[key] !== undefined) next[key] = changes[key];
+  }
+  next.enabled = next.enabled ? 1 : 0;
+
+  if (!next.channelId) return { ok: false, reason: 'no_channel' };
+  if ((changes.quietStart === undefined) !== (changes.quietEnd === undefined) && (next.quietStart == null || next.quietEnd == null)) {
+    return { ok: false, reason: 'invalid_hours' };
+  }
+  if (next.quietStart != null && !validHour(next.quietStart)) return { ok: false, reason: 'invalid_hours' };
+  if (next.quietEnd != null && !validHour(next.quietEnd)) return { ok: false, reason: 'invalid_hours' };
+  if (next.quietStart != null && next.quietStart === next.quietEnd) {
+    next.quietStart = null;
+    next.quietEnd = null;
+  }
+  if (!Number.isInteger(next.minBossTier) || next.minBossTier < 1 || next.minBossTier > 5) {
+    return { ok: false, reason: 'invalid_tier' };
+  }
+
+  db.prepare(`
+    INSERT INTO guild_settings (guildId, event, channelId, roleId, quietStart, quietEnd, minBossTier, enabled, updatedBy, updatedAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(guildId, event) DO UPDATE SET
+      channelId = excluded.channelId, roleId = excluded.roleId,
+      quietStart = excluded.quietStart, quietEnd = excluded.quietEnd,
+      minBossTier = excluded.minBossTier, enabled = excluded.enabled,
+      updatedBy = excluded.updatedBy, updatedAt = excluded.updatedAt
+  `).run(guildId, event, next.channelId, next.roleId, next.quietStart, next.quietEnd, next.minBossTier, next.enabled, actorId, Date.now());
+  logger.info('guild_settings: %s set %s %s to channel %s (enabled %s)', actorId, guildId, event, next.channelId, next.enabled);
+  return { ok: true, setting: getSetting(guildId, event) };
+});
+
+/**
+ * Whether a subscription is inside its quiet hours. Quiet hours run from
+ * quietStart up to (not including) quietEnd in UTC and may wrap midnight.
+ */
+function isQuietHour(setting, date = new Date()) {
+  if (setting?.quietStart == null || setting?.quietEnd == null || setting.quietStart === setting.quietEnd) return false;
+  const hour = date.getUTCHours();
+  return setting.quietStart < setting.quietEnd
+    ? hour >= setting.quietStart && hour < setting.quietEnd
+    : hour >= setting.quietStart || hour < setting.quietEnd;
+}
+
+/**
+ * Servers that should receive an event right now: enabled subscriptions of
+ * registered servers that are outside their quiet hours and, for boss
+ * events, whose minimum tier the boss reaches
+ *
+ * @param {string} event - One of NOTIFICATION_EVENTS
+ * @param {Object} [opts] - tier of the boss, guildIds to limit delivery to, date to check quiet hours against
+ */
+function subscribers(event, { tier = null, guildIds = null, date = new Date() } = {}) {
+  const rows = db.prepare(`
+    SELECT gs.* FROM guild_settings gs
+    JOIN servers s ON s.guildId = gs.guildId
+    WHERE gs.event = ? AND gs.enabled = 1 AND COALESCE(s.archived, 0) = 0
+  `).all(event);
+  return rows.filter(row =>
+    (!guildIds || guildIds.includes(row.guildId)) &&
+    !isQuietHour(row, date) &&
+    (tier == null || tier >= row.minBossTier)
+  );
+}
+
+/**
+ * Post a notification to the network channel and every subscribed server.
+ * Each server's role is pinged in front of the message content. A channel
+ * that cannot be found, no longer belongs to its server or refuses the
+ * message is logged and skipped.
+ *
+ * @param {Client} client - Discord client
+ * @param {string} event - One of NOTIFICATION_EVENTS
+ * @param {Object} message - content and embeds to send
+ * @param {Object} [opts] - tier, guildIds (only those servers, no network post), date
+ * @returns {Promise<Array<Message>>} Messages that were posted
+ */
+async function dispatch(client, event, message, opts = {}) {
+  if (!client || !NOTIFICATION_EVENTS[event]) return [];
+
+  const targets = [];
+  const network = networkTarget(event);
+  if (network.channelId && !opts.guildIds) targets.push({ ...network, guildId: null });
+  for (const row of subscribers(event, opts)) {
+    targets.push({ channelId: row.channelId, roleId: row.roleId, guildId: row.guildId });
+  }
+
+  const sent = [];
+  const seen = new Set();
+  for (const target of targets) {
+    if (seen.has(target.channelId)) continue;
+    seen.add(target.channelId);
+    try {
+      // Servers on other shards are not cached here; fetch and post over REST anyway
+      const channel = await client.channels.fetch(target.channelId, { allowUnknownGuild: true }).catch(() => null);
+      if (!channel?.isTextBased?.() || (target.guildId && channel.guildId !== target.guildId)) {
+        logger.warn('notifications: %s channel %s unavailable for %s', event, target.channelId, target.guildId || 'network');
+        continue;
+      }
+      const content = [target.roleId ? `<@&${target.roleId}>` : null, message.content].filter(Boolean).join(' ');
+      sent.push(await channel.send({
+        ...message,
+        content: content || undefined,
+        allowedMentions: { roles: target.roleId ? [target.roleId] : [] }
+      }));
+    } catch (error) {
+      logger.warn('notifications: failed to post %s to %s: %s', event, target.channelId, error.message);
+    }
+  }
+  return sent;
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  getSetting,
+  getGuildSettings,
+  networkTarget,
+  updateSetting,
+  isQuietHour,
+  subscribers,
+  dispatch
+};
@@ -0,0 +1,443 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { GAME_EVENTS } = require('./game_events');
+
+/**
+ * Outbound Webhooks
+ * Server owners register endpoints for their server from the dashboard; API
+ * key holders register endpoints for themselves from the developer page.
+ * Game events (utils/game_events) are queued as one delivery per subscribed
+ * endpoint and POSTed in the background as JSON:
+ *
+ *   { "id": eventId, "type": "boss.spawned", "createdAt": ms, "data": {...} }
+ *
+ * with X-QuestCord-Event, X-QuestCord-Delivery, X-QuestCord-Timestamp and
+ * X-QuestCord-Signature headers. The signature is
+ * `sha256=` + HMAC-SHA256(secret, `${timestamp}.${body}`) in hex.
+ *
+ * Which events an endpoint receives:
+ * - Server endpoints: weather anywhere, and bosses and relocations on their
+ *   own server. Personal events are not offered.
+ * - User endpoints: every non-personal event, and personal events (market
+ *   sales, achievements) for their owner only.
+ *
+ * Failed deliveries are retried with exponential backoff; after maxAttempts
+ * they become 'dead' (the dead-letter list) and can be redelivered by hand.
+ * Delivered and dead rows form the delivery log until they are pruned.
+ */
+
+// Endpoint owners: server owners and API key holders
+const OWNER_TYPES = ['guild', 'user'];
+
+const SECRET_PREFIX = 'whsec_';
+
+/**
+ * Settings from config.outboundWebhooks with defaults
+ */
+function webhookSettings() {
+  const c = config.outboundWebhooks || {};
+  return {
+    maxEndpointsPerOwner: c.maxEndpointsPerOwner ?? 5,
+    maxPerFlush: c.maxPerFlush ?? 25,
+    timeoutMs: c.timeoutMs ?? 5000,
+    maxAttempts: c.maxAttempts ?? 6,
+    retryBaseSeconds: c.retryBaseSeconds ?? 30,
+    retentionDays: c.retentionDays ?? 14,
+    allowPrivateUrls: c.allowPrivateUrls ?? false
+  };
+}
+
+/**
+ * Event types an owner type may subscribe to
+ */
+function eventsFor(ownerType) {
+  return Object.keys(GAME_EVENTS).filter(type => ownerType === 'user' || !GAME_EVENTS[type].personal);
+}
+
+function parseEvents(events) {
+  return String(events || '').split(/\s+/).filter(Boolean);
+}
+
+// Special-purpose IPv4 ranges (RFC 6890 and successors). BlockList also
+// matches these against IPv4-mapped IPv6 addresses (::ffff:a.b.c.d, written
+// ::ffff:7f00:1 and so on).
+const RESERVED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => RESERVED.addSubnet(network, prefix, 'ipv4'));
+// Reserved ranges inside IPv6 global unicast: Teredo and other IETF
+// assignments, documentation, and 6to4 (which tunnels to any IPv4 address)
+[
+  ['2001::', 23], ['2001:db8::', 32], ['2002::', 16], ['3fff::', 20]
+].forEach(([network, prefix]) => RESERVED.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * on the public internet. IPv6 must be global unicast (2000::/3), which also
+ * rules out NAT64 (64:ff9b::/96) and IPv4-compatible addresses; IPv4-mapped
+ * addresses are judged by the IPv4 address they carry.
+ */
+function isPrivateAddress(ip) {
+  if (net.isIPv4(ip)) return RESERVED.check(ip, 'ipv4');
+  if (!net.isIPv6(ip)) return true;
+  const host = new URL(`http://[${ip}]/`).hostname.slice(1, -1);
+  if (/^::ffff:[0-9a-f]{1,4}:[0-9a-f]{1,4}$/.test(host)) return RESERVED.check(host, 'ipv6');
+  const first = parseInt(host.split(':')[0] || '0', 16);
+  if (first < 0x2000 || first > 0x3fff) return true;
+  return RESERVED.check(host, 'ipv6');
+}
+
+/**
+ * Check that a URL is HTTPS and resolves only to public addresses, so
+ * endpoints cannot be pointed at the bot's own network
+ *
+ * @returns {Promise<{ok: boolean, reason?: string, url?: URL, address?: {address: string, family: number}}>}
+ *   address is what the host resolved to; deliveries connect to it rather
+ *   than resolving again, so DNS cannot change between check and request
+ */
+async function checkUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch (e) {
+    return { ok: false, reason: 'invalid_url' };
+  }
+  const { allowPrivateUrls } = webhookSettings();
+  if (url.protocol !== 'https:' && !(allowPrivateUrls && url.protocol === 'http:')) return { ok: false, reason: 'invalid_url' };
+  if (url.username || url.password || url.href.length > 500) return { ok: false, reason: 'invalid_url' };
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.lookup(host, { all: true });
+  } catch (e) {
+    return { ok: false, reason: 'unresolvable_url' };
+  }
+  if (!addresses.length) return { ok: false, reason: 'unresolvable_url' };
+  if (!allowPrivateUrls && addresses.some(a => isPrivateAddress(a.address))) return { ok: false, reason: 'private_url' };
+  return { ok: true, url, address: addresses[0] };
+}
+
+/**
+ * POST a body to a checked URL, connecting to the address checkUrl resolved
+ * (TLS still verifies the certificate against the URL's host name).
+ * Redirects are not followed.
+ *
+ * @returns {Promise<{status: number, ok: boolean}>}
+ */
+function postPinned(url, address, { headers, body, timeoutMs }) {
+  const lookup = (hostname, options, callback) => {
+    if (options.all) callback(null, [address]);
+    else callback(null, address.address, address.family);
+  };
+  return new Promise((resolve, reject) => {
+    const request = (url.protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup
+    }, response => {
+      response.resume();
+      response.on('end', () => {
+        clearTimeout(timer);
+        resolve({ status: response.statusCode, ok: response.statusCode >= 200 && response.statusCode < 300 });
+      });
+      response.on('error', reject);
+    });
+    const timer = setTimeout(() => request.destroy(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    request.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(body);
+  });
+}
+
+/**
+ * Endpoint as shown to its owner (never includes the secret)
+ */
+function describeEndpoint(row) {
+  const counts = db.prepare(`
+    SELECT
+      SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) AS pending,
+      SUM(CASE WHEN status = 'dead' THEN 1 ELSE 0 END) AS dead
+    FROM webhook_deliveries WHERE endpointId = ?
+  `).get(row.id);
+  return {
+    id: row.id,
+    url: row.url,
+    events: parseEvents(row.events),
+    enabled: !!row.enabled,
+    createdAt: row.createdAt,
+    lastSuccessAt: row.lastSuccessAt,
+    lastFailureAt: row.lastFailureAt,
+    pending: counts.pending || 0,
+    dead: counts.dead || 0
+  };
+}
+
+function ownedEndpoint(ownerType, ownerId, endpointId) {
+  return db.prepare('SELECT * FROM webhook_endpoints WHERE id = ? AND ownerType = ? AND ownerId = ?').get(endpointId, ownerType, ownerId);
+}
+
+function checkEvents(ownerType, events) {
+  const wanted = [...new Set(Array.isArray(events) ? events : parseEvents(events))];
+  const allowed = eventsFor(ownerType);
+  if (!wanted.length || wanted.some(e => !allowed.includes(e))) return null;
+  return wanted;
+}
+
+/**
+ * Register an endpoint. The returned secret is the only time it is shown.
+ *
+ * @param {Object} options
+ * @param {string} options.ownerType - 'guild' or 'user'
+ * @param {string} options.ownerId - Guild ID or user ID
+ * @param {string} options.url - HTTPS URL
+ * @param {Array<string>} options.events - Event types to subscribe to
+ * @param {string} options.actorId - User registering it
+ * @returns {Promise<{ok: boolean, reason?: string, endpoint?: Object, secret?: string}>}
+ */
+async function createEndpoint({ ownerType, ownerId, url, events, actorId = null }) {
+  if (!OWNER_TYPES.includes(ownerType)) return { ok: false, reason: 'invalid_owner' };
+  const wanted = checkEvents(ownerType, events);
+  if (!wanted) return { ok: false, reason: 'invalid_events' };
+  const check = await checkUrl(url);
+  if (!check.ok) return check;
+
+  return db.transaction(() => {
+    const { maxEndpointsPerOwner } = webhookSettings();
+    const count = db.prepare('SELECT COUNT(*) AS n FROM webhook_endpoints WHERE ownerType = ? AND ownerId = ?').get(ownerType, ownerId).n;
+    if (count >= maxEndpointsPerOwner) return { ok: false, reason: 'too_many_endpoints', max: maxEndpointsPerOwner };
+
+    const secret = SECRET_PREFIX + crypto.randomBytes(24).toString('hex');
+    const result = db.prepare(`
+      INSERT INTO webhook_endpoints (ownerType, ownerId, url, secret, events, createdBy, createdAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(ownerType, ownerId, check.url.href, secret, wanted.join(' '), actorId, Date.now());
+    logger.info('webhook_create: %s registered endpoint %s for %s %s (%s)', actorId, result.lastInsertRowid, ownerType, ownerId, wanted.join(' '));
+    const row = db.prepare('SELECT * FROM webhook_endpoints WHERE id = ?').get(result.lastInsertRowid);
+    return { ok: true, endpoint: describeEndpoint(row), secret };
+  })();
+}
+
+/**
+ * An owner's endpoints, oldest first
+ */
+function listEndpoints(ownerType, ownerId) {
+  return db.prepare('SELECT * FROM webhook_endpoints WHERE ownerType = ? AND ownerId = ? ORDER BY id').all(ownerType, ownerId).map(describeEndpoint);
+}
+
+/**
+ * Pause or resume an endpoint, or change its events. Deliveries for a paused
+ * endpoint stay queued until it is resumed.
+ *
+ * @param {Object} changes - enabled (boolean) and/or events (array)
+ * @returns {{ok: boolean, reason?: string, endpoint?: Object}}
+ */
+function updateEndpoint(ownerType, ownerId, endpointId, changes = {}) {
+  const row = ownedEndpoint(ownerType, ownerId, endpointId);
+  if (!row) return { ok: false, reason: 'endpoint_not_found' };
+  let events = row.events;
+  if (changes.events !== undefined) {
+    const wanted = checkEvents(ownerType, changes.events);
+    if (!wanted) return { ok: false, reason: 'invalid_events' };
+    events = wanted.join(' ');
+  }
+  const enabled = changes.enabled === undefined ? row.enabled : (changes.enabled ? 1 : 0);
+  db.prepare('UPDATE webhook_endpoints SET events = ?, enabled = ? WHERE id = ?').run(events, enabled, row.id);
+  return { ok: true, endpoint: describeEndpoint({ ...row, events, enabled }) };
+}
+
+/**
+ * Delete an endpoint and its delivery log
+ * @returns {{ok: boolean, reason?: string}}
+ */
+const deleteEndpoint = db.transaction((ownerType, ownerId, endpointId) => {
+  const row = ownedEndpoint(ownerType, ownerId, endpointId);
+  if (!row) return { ok: false, reason: 'endpoint_not_found' };
+  db.prepare('DELETE FROM webhook_deliveries WHERE endpointId = ?').run(row.id);
+  db.prepare('DELETE FROM webhook_endpoints WHERE id = ?').run(row.id);
+  logger.info('webhook_delete: endpoint %s of %s %s deleted', row.id, ownerType, ownerId);
+  return { ok: true };
+});
+
+/**
+ * Recent deliveries of an endpoint, newest first
+ *
+ * @param {Object} options - status ('pending', 'delivered' or 'dead') and limit
+ * @returns {{ok: boolean, reason?: string, deliveries?: Array<Object>}}
+ */
+function deliveryLog(ownerType, ownerId, endpointId, { status = null, limit = 50 } = {}) {
+  if (!ownedEndpoint(ownerType, ownerId, endpointId)) return { ok: false, reason: 'endpoint_not_found' };
+  const deliveries = db.prepare(`
+    SELECT id, event, eventId, status, attempts, responseStatus, lastError, nextAttemptAt, createdAt, deliveredAt
+    FROM webhook_deliveries
+    WHERE endpointId = ? AND (? IS NULL OR status = ?)
+    ORDER BY createdAt DESC, id DESC
+    LIMIT ?
+  `).all(endpointId, status, status, Math.min(Math.max(limit, 1), 200));
+  return { ok: true, deliveries };
+}
+
+/**
+ * Queue a delivered or dead delivery to be sent again
+ * @returns {{ok: boolean, reason?: string}}
+ */
+function redeliver(ownerType, ownerId, deliveryId) {
+  const row = db.prepare(`
+    SELECT d.id, d.status FROM webhook_deliveries d
+    JOIN webhook_endpoints e ON e.id = d.endpointId
+    WHERE d.id = ? AND e.ownerType = ? AND e.ownerId = ?
+  `).get(deliveryId, ownerType, ownerId);
+  if (!row) return { ok: false, reason: 'delivery_not_found' };
+  if (row.status === 'pending') return { ok: false, reason: 'already_pending' };
+  db.prepare(`
+    UPDATE webhook_deliveries SET status = 'pending', attempts = 0, nextAttemptAt = ?, lastError = NULL, deliveredAt = NULL
+    WHERE id = ?
+  `).run(Date.now(), row.id);
+  return { ok: true };
+}
+
+/**
+ * Queue one delivery per enabled endpoint that should receive an event.
+ * Called by utils/game_events for every emitted event.
+ *
+ * @param {Object} event - Event from emitGameEvent
+ * @returns {number} Deliveries queued
+ */
+function queueWebhookDeliveries(event) {
+  const { guildId = null, userId = null } = event.scope || {};
+  const personal = GAME_EVENTS[event.type]?.personal;
+  const endpoints = db.prepare(`
+    SELECT id, ownerType, ownerId FROM webhook_endpoints
+    WHERE enabled = 1 AND (' ' || events || ' ') LIKE ?
+  `).all(`% ${event.type} %`).filter(e => {
+    if (personal) return e.ownerType === 'user' && e.ownerId === userId;
+    if (e.ownerType === 'guild') return !guildId || e.ownerId === guildId;
+    return true;
+  });
+  if (!endpoints.length) return 0;
+
+  const payload = JSON.stringify({ id: event.id, type: event.type, createdAt: event.createdAt, data: event.data });
+  const insert = db.prepare(`
+    INSERT INTO webhook_deliveries (endpointId, event, eventId, payload, nextAttemptAt, createdAt)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  for (const endpoint of endpoints) insert.run(endpoint.id, event.type, event.id, payload, event.createdAt, event.createdAt);
+  return endpoints.length;
+}
+
+/**
+ * Signature header value for a body
+ */
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Set while a flush is running so overlapping timers do not double-send
+let flushing = false;
+
+/**
+ * Send due deliveries, oldest first, up to maxPerFlush per run. Non-2xx
+ * responses, timeouts and unreachable or private addresses count as failed
+ * attempts and are retried with exponential backoff until maxAttempts, after
+ * which the delivery is dead.
+ *
+ * @returns {Promise<{delivered: number, failed: number, dead: number}>}
+ */
+async function flushWebhookDeliveries() {
+  const result = { delivered: 0, failed: 0, dead: 0 };
+  if (flushing) return result;
+  flushing = true;
+  try {
+    const settings = webhookSettings();
+    const cutoff = Date.now() - settings.retentionDays * 24 * 60 * 60 * 1000;
+    db.prepare("DELETE FROM webhook_deliveries WHERE status != 'pending' AND createdAt < ?").run(cutoff);
+
+    const due = db.prepare(`
+      SELECT d.*, e.url, e.secret FROM webhook_deliveries d
+      JOIN webhook_endpoints e ON e.id = d.endpointId
+      WHERE d.status = 'pending' AND d.nextAttemptAt <= ? AND e.enabled = 1
+      ORDER BY d.nextAttemptAt, d.id
+      LIMIT ?
+    `).all(Date.now(), settings.maxPerFlush);
+
+    for (const delivery of due) {
+      let responseStatus = null;
+      let error = null;
+      try {
+        const check = await checkUrl(delivery.url);
+        if (!check.ok) throw new Error(`URL rejected: ${check.reason}`);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const response = await postPinned(check.url, check.address, {
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'QuestCord-Webhooks/1.0',
+            'X-QuestCord-Event': delivery.event,
+            'X-QuestCord-Delivery': String(delivery.id),
+            'X-QuestCord-Timestamp': String(timestamp),
+            'X-QuestCord-Signature': signPayload(delivery.secret, timestamp, delivery.payload)
+          },
+          body: delivery.payload,
+          timeoutMs: settings.timeoutMs
+        });
+        responseStatus = response.status;
+        if (!response.ok) error = `HTTP ${response.status}`;
+      } catch (e) {
+        error = e.message;
+      }
+
+      const now = Date.now();
+      if (!error) {
+        db.prepare("UPDATE webhook_deliveries SET status = 'delivered', attempts = attempts + 1, responseStatus = ?, lastError = NULL, deliveredAt = ? WHERE id = ?").run(responseStatus, now, delivery.id);
+        db.prepare('UPDATE webhook_endpoints SET lastSuccessAt = ? WHERE id = ?').run(now, delivery.endpointId);
+        result.delivered++;
+        continue;
+      }
+
+      const attempts = delivery.attempts + 1;
+      const dead = attempts >= settings.maxAttempts;
+      const backoff = settings.retryBaseSeconds * 1000 * Math.pow(2, delivery.attempts);
+      db.prepare(`
+        UPDATE webhook_deliveries SET status = ?, attempts = ?, responseStatus = ?, lastError = ?, nextAttemptAt = ?
+        WHERE id = ?
+      `).run(dead ? 'dead' : 'pending', attempts, responseStatus, String(error).slice(0, 200), now + backoff, delivery.id);
+      db.prepare('UPDATE webhook_endpoints SET lastFailureAt = ? WHERE id = ?').run(now, delivery.endpointId);
+      if (dead) {
+        result.dead++;
+        logger.warn('webhook_dead: delivery %s (%s) to endpoint %s gave up after %s attempts: %s', delivery.id, delivery.event, delivery.endpointId, attempts, error);
+      } else {
+        result.failed++;
+      }
+    }
+  } catch (error) {
+    console.error('[webhooks] Delivery flush failed:', error);
+  } finally {
+    flushing = false;
+  }
+  return result;
+}
+
+module.exports = {
+  OWNER_TYPES,
+  webhookSettings,
+  eventsFor,
+  isPrivateAddress,
+  createEndpoint,
+  listEndpoints,
+  updateEndpoint,
+  deleteEndpoint,
+  deliveryLog,
+  redeliver,
+  queueWebhookDeliveries,
+  signPayload,
+  flushWebhookDeliveries
+};
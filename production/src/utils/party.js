@@ -0,0 +1,299 @@
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { itemById } = require('./items');
+
+/**
+ * Party System
+ * Players group up under a leader. Members who opt in travel with the leader,
+ * boss damage is tallied per party, and boss loot earned by party members is
+ * pooled and handed out according to the party's loot mode.
+ */
+
+// Supported loot split modes and how they are shown to players
+const LOOT_MODES = {
+  need_greed: 'Need/Greed',
+  round_robin: 'Round Robin',
+  damage_weighted: 'Damage Weighted'
+};
+
+/**
+ * Party settings with defaults
+ */
+function partySettings() {
+  const cfg = config.party || {};
+  return {
+    maxSize: Math.max(2, cfg.maxSize || 5),
+    inviteMs: (cfg.inviteMinutes || 30) * 60 * 1000,
+    defaultLootMode: LOOT_MODES[cfg.defaultLootMode] ? cfg.defaultLootMode : 'need_greed'
+  };
+}
+
+/**
+ * Load a party with its members (leader first, then by join order)
+ * @returns {Object|null} Party row plus a members array
+ */
+function getParty(partyId) {
+  const party = db.prepare('SELECT * FROM parties WHERE id = ?').get(partyId);
+  if (!party) return null;
+  party.members = db.prepare(`
+    SELECT pm.userId, pm.followLeader, pm.joinedAt, p.name
+    FROM party_members pm
+    LEFT JOIN players p ON p.userId = pm.userId
+    WHERE pm.partyId = ?
+    ORDER BY (pm.userId = ?) DESC, pm.joinedAt ASC
+  `).all(partyId, party.leaderId);
+  return party;
+}
+
+/**
+ * Get the party a player belongs to
+ * @returns {Object|null} Party with members, or null if the player is solo
+ */
+function getPartyForUser(userId) {
+  const row = db.prepare('SELECT partyId FROM party_members WHERE userId = ?').get(userId);
+  return row ? getParty(row.partyId) : null;
+}
+
+/**
+ * Form a new party led by the given player
+ */
+const createParty = db.transaction((leaderId, name) => {
+  if (db.prepare('SELECT 1 FROM party_members WHERE userId = ?').get(leaderId)) return { ok: false, reason: 'already_in_party' };
+  const now = Date.now();
+  const info = db.prepare('INSERT INTO parties (name, leaderId, lootMode, createdAt) VALUES (?, ?, ?, ?)')
+    .run(name, leaderId, partySettings().defaultLootMode, now);
+  db.prepare('INSERT INTO party_members (userId, partyId, joinedAt) VALUES (?, ?, ?)').run(leaderId, info.lastInsertRowid, now);
+  logger.info('party_create: %s formed party %s', leaderId, info.lastInsertRowid);
+  return { ok: true, party: getParty(info.lastInsertRowid) };
+});
+
+/**
+ * Invite a player to the leader's party
+ */
+const invitePlayer = db.transaction((leaderId, targetId) => {
+  const party = getPartyForUser(leaderId);
+  if (!party) return { ok: false, reason: 'not_in_party' };
+  if (party.leaderId !== leaderId) return { ok: false, reason: 'not_leader' };
+  if (leaderId === targetId) return { ok: false, reason: 'self' };
+  if (db.prepare('SELECT 1 FROM party_members WHERE userId = ?').get(targetId)) return { ok: false, reason: 'target_in_party' };
+  if (party.members.length >= partySettings().maxSize) return { ok: false, reason: 'party_full' };
+
+  const expiresAt = Date.now() + partySettings().inviteMs;
+  db.prepare('INSERT OR REPLACE INTO party_invites (partyId, userId, invitedBy, expiresAt) VALUES (?, ?, ?, ?)')
+    .run(party.id, targetId, leaderId, expiresAt);
+  return { ok: true, party, expiresAt };
+});
+
+/**
+ * Accept a pending invite. With no leader given, the most recent invite wins.
+ */
+const joinParty = db.transaction((userId, leaderId = null) => {
+  if (db.prepare('SELECT 1 FROM party_members WHERE userId = ?').get(userId)) return { ok: false, reason: 'already_in_party' };
+
+  const now = Date.now();
+  db.prepare('DELETE FROM party_invites WHERE expiresAt <= ?').run(now);
+  const invite = leaderId
+    ? db.prepare('SELECT i.* FROM party_invites i JOIN parties p ON p.id = i.partyId WHERE i.userId = ? AND p.leaderId = ?').get(userId, leaderId)
+    : db.prepare('SELECT * FROM party_invites WHERE userId = ? ORDER BY expiresAt DESC LIMIT 1').get(userId);
+  if (!invite) return { ok: false, reason: 'no_invite' };
+
+  const party = getParty(invite.partyId);
+  if (!party) {
+    db.prepare('DELETE FROM party_invites WHERE partyId = ?').run(invite.partyId);
+    return { ok: false, reason: 'no_invite' };
+  }
+  if (party.members.length >= partySettings().maxSize) return { ok: false, reason: 'party_full' };
+
+  db.prepare('INSERT INTO party_members (userId, partyId, joinedAt) VALUES (?, ?, ?)').run(userId, party.id, now);
+  db.prepare('DELETE FROM party_invites WHERE userId = ?').run(userId);
+  logger.info('party_join: %s joined party %s', userId, party.id);
+  return { ok: true, party: getParty(party.id) };
+});
+
+/**
+ * Remove a party and everything attached to it
+ */
+function deleteParty(partyId) {
+  db.prepare('DELETE FROM party_invites WHERE partyId = ?').run(partyId);
+  db.prepare('DELETE FROM party_members WHERE partyId = ?').run(partyId);
+  db.prepare('DELETE FROM parties WHERE id = ?').run(partyId);
+}
+
+/**
+ * Leave the current party. A departing leader hands over to the longest
+ * serving member; the last member out disbands the party.
+ */
+const leaveParty = db.transaction((userId) => {
+  const party = getPartyForUser(userId);
+  if (!party) return { ok: false, reason: 'not_in_party' };
+
+  db.prepare('DELETE FROM party_members WHERE userId = ?').run(userId);
+  const remaining = party.members.filter(m => m.userId !== userId);
+  if (remaining.length === 0) {
+    deleteParty(party.id);
+    logger.info('party_disband: party %s emptied', party.id);
+    return { ok: true, party, disbanded: true };
+  }
+
+  let newLeaderId = null;
+  if (party.leaderId === userId) {
+    newLeaderId = remaining[0].userId;
+    db.prepare('UPDATE parties SET leaderId = ? WHERE id = ?').run(newLeaderId, party.id);
+  }
+  logger.info('party_leave: %s left party %s', userId, party.id);
+  return { ok: true, party: getParty(party.id), disbanded: false, newLeaderId };
+});
+
+/**
+ * Remove a member from the leader's party
+ */
+const kickMember = db.transaction((leaderId, targetId) => {
+  const party = getPartyForUser(leaderId);
+  if (!party) return { ok: false, reason: 'not_in_party' };
+  if (party.leaderId !== leaderId) return { ok: false, reason: 'not_leader' };
+  if (leaderId === targetId) return { ok: false, reason: 'self' };
+  if (!party.members.some(m => m.userId === targetId)) return { ok: false, reason: 'target_not_member' };
+
+  db.prepare('DELETE FROM party_members WHERE userId = ?').run(targetId);
+  logger.info('party_kick: %s removed %s from party %s', leaderId, targetId, party.id);
+  return { ok: true, party: getParty(party.id) };
+});
+
+/**
+ * Break up the leader's party
+ */
+const disbandParty = db.transaction((leaderId) => {
+  const party = getPartyForUser(leaderId);
+  if (!party) return { ok: false, reason: 'not_in_party' };
+  if (party.leaderId !== leaderId) return { ok: false, reason: 'not_leader' };
+  deleteParty(party.id);
+  logger.info('party_disband: %s disbanded party %s', leaderId, party.id);
+  return { ok: true, party };
+});
+
+/**
+ * Opt in or out of following the leader's travel
+ */
+function setFollowLeader(userId, follow) {
+  const info = db.prepare('UPDATE party_members SET followLeader = ? WHERE userId = ?').run(follow ? 1 : 0, userId);
+  return info.changes > 0 ? { ok: true } : { ok: false, reason: 'not_in_party' };
+}
+
+/**
+ * Change how the leader's party splits boss loot
+ */
+function setLootMode(leaderId, mode) {
+  if (!LOOT_MODES[mode]) return { ok: false, reason: 'invalid_mode' };
+  const party = getPartyForUser(leaderId);
+  if (!party) return { ok: false, reason: 'not_in_party' };
+  if (party.leaderId !== leaderId) return { ok: false, reason: 'not_leader' };
+  db.prepare('UPDATE parties SET lootMode = ?, lootCursor = 0 WHERE id = ?').run(mode, party.id);
+  return { ok: true, party: getParty(party.id) };
+}
+
+/**
+ * Members who will travel with the leader: opted in, not banned, standing
+ * at the leader's location and not already on a journey.
+ * @param {string} leaderId - Player starting the journey
+ * @param {string} locationGuildId - Where the leader is departing from
+ * @returns {Array<Object>} Player rows for each companion
+ */
+function getTravelCompanions(leaderId, locationGuildId) {
+  const party = getPartyForUser(leaderId);
+  if (!party || party.leaderId !== leaderId) return [];
+  return db.prepare(`
+    SELECT p.*
+    FROM party_members pm
+    JOIN players p ON p.userId = pm.userId
+    WHERE pm.partyId = ? AND pm.userId != ? AND pm.followLeader = 1
+      AND p.locationGuildId = ? AND (p.travelArrivalAt IS NULL OR p.travelArrivalAt <= ?)
+      AND (p.banned = 0 OR p.banned IS NULL)
+      AND NOT EXISTS (SELECT 1 FROM bans b WHERE b.userId = p.userId AND (b.expiresAt IS NULL OR b.expiresAt >= ?))
+  `).all(party.id, leaderId, locationGuildId, Date.now(), Date.now());
+}
+
+/**
+ * Total damage a party has dealt to a boss
+ */
+function partyBossDamage(bossId, partyId) {
+  const row = db.prepare('SELECT COALESCE(SUM(damage), 0) AS damage FROM boss_participants WHERE bossId = ? AND partyId = ?').get(bossId, partyId);
+  return row.damage;
+}
+
+/**
+ * Split a pool of looted item IDs between party members.
+ *
+ * need_greed:      each item goes to a random member who does not own one yet
+ *                  (need), falling back to any member (greed)
+ * round_robin:     members take turns, continuing from where the last fight stopped
+ * damage_weighted: each item is rolled with odds proportional to boss damage
+ *
+ * Premium-only items are only ever given to premium members.
+ *
+ * @param {Object} party - Party row (lootMode, lootCursor)
+ * @param {Array<{userId: string, damage: number, premium: boolean}>} members - Participating members
+ * @param {Array<string>} pool - Item IDs to hand out
+ * @returns {Object<string, Array<string>>} Item IDs per userId
+ */
+function splitPartyLoot(party, members, pool) {
+  const awards = Object.fromEntries(members.map(m => [m.userId, []]));
+  if (members.length === 0) return awards;
+  const owns = db.prepare('SELECT qty FROM inventory WHERE userId = ? AND itemId = ?');
+  let cursor = party.lootCursor || 0;
+
+  for (const itemId of pool) {
+    const item = itemById(itemId);
+    const eligible = item?.premiumNeeded ? members.filter(m => m.premium) : members;
+    if (eligible.length === 0) continue;
+
+    let winner;
+    if (party.lootMode === 'round_robin') {
+      // Skip ahead to the next member in turn who may receive this item
+      for (let i = 0; i < members.length; i++) {
+        const candidate = members[(cursor + i) % members.length];
+        if (eligible.includes(candidate)) {
+          winner = candidate;
+          cursor = (cursor + i + 1) % members.length;
+          break;
+        }
+      }
+    } else if (party.lootMode === 'damage_weighted') {
+      const total = eligible.reduce((sum, m) => sum + Math.max(0, m.damage), 0);
+      let roll = Math.random() * total;
+      winner = eligible[eligible.length - 1];
+      for (const m of eligible) {
+        roll -= Math.max(0, m.damage);
+        if (roll < 0) { winner = m; break; }
+      }
+    } else {
+      const needers = eligible.filter(m => !owns.get(m.userId, itemId) && !awards[m.userId].includes(itemId));
+      const pick = needers.length > 0 ? needers : eligible;
+      winner = pick[Math.floor(Math.random() * pick.length)];
+    }
+    awards[winner.userId].push(itemId);
+  }
+
+  if (party.lootMode === 'round_robin') {
+    db.prepare('UPDATE parties SET lootCursor = ? WHERE id = ?').run(cursor, party.id);
+  }
+  return awards;
+}
+
+module.exports = {
+  LOOT_MODES,
+  partySettings,
+  getParty,
+  getPartyForUser,
+  createParty,
+  invitePlayer,
+  joinParty,
+  leaveParty,
+  kickMember,
+  disbandParty,
+  setFollowLeader,
+  setLootMode,
+  getTravelCompanions,
+  partyBossDamage,
+  splitPartyLoot
+};
@@ -0,0 +1,209 @@
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { COUNTRIES, getCountry, getCountryByCoordinates } = require('./countries');
+const { awardGems } = require('./gems');
+
+/**
+ * Passport and Exploration
+ * Every destination a player reaches (from travel_history) is resolved to a
+ * country from its coordinates, and the player gets a stamp for the country
+ * and its continent(s). Reaching a share of a continent's countries pays gems
+ * and unlocks a title. The web map reveals the area around each destination
+ * reached and leaves the rest under fog.
+ */
+
+/**
+ * Passport settings with defaults
+ */
+function passportSettings() {
+  const cfg = config.passport || {};
+  return {
+    revealRadiusKm: cfg.revealRadiusKm ?? 300,
+    milestones: (cfg.milestones || []).slice().sort((a, b) => a.pct - b.pct)
+  };
+}
+
+/**
+ * Continents a country counts towards ("Europe/Asia" counts for both)
+ */
+function continentsOf(country) {
+  return String(country?.continent || '').split('/').map(c => c.trim()).filter(Boolean);
+}
+
+/**
+ * Number of known countries on each continent
+ */
+function continentTotals() {
+  const totals = {};
+  for (const data of Object.values(COUNTRIES)) {
+    for (const continent of continentsOf(data)) totals[continent] = (totals[continent] || 0) + 1;
+  }
+  return totals;
+}
+
+/**
+ * Coordinates of a destination: a server, or a landmark_<poiId> location
+ */
+function destinationCoords(guildId) {
+  if (!guildId) return null;
+  if (guildId.startsWith('landmark_')) {
+    const poi = db.prepare('SELECT name, lat, lon, country FROM pois WHERE id = ?').get(guildId.replace('landmark_', ''));
+    return poi ? { name: poi.name, lat: poi.lat, lon: poi.lon, country: poi.country, isLandmark: true } : null;
+  }
+  const server = db.prepare('SELECT name, lat, lon FROM servers WHERE guildId = ?').get(guildId);
+  return server && server.lat != null && server.lon != null ? { ...server, isLandmark: false } : null;
+}
+
+/**
+ * Country a destination lies in. Landmarks name their country; servers are
+ * resolved from their coordinates.
+ * @returns {Object|null} Country with name and continent
+ */
+function resolveCountry(dest) {
+  if (!dest) return null;
+  return (dest.country && getCountry(dest.country)) || getCountryByCoordinates(dest.lat, dest.lon);
+}
+
+/**
+ * Stamp every country and continent a player has reached that is not stamped
+ * yet, then pay any continent milestones newly crossed. Safe to call at any
+ * time; it also fills in passports for travel made before passports existed.
+ * @returns {{stamps: Array<{kind: string, name: string}>, milestones: Array<Object>}}
+ */
+const syncPassport = db.transaction((userId) => {
+  const stamped = new Set(db.prepare('SELECT kind, name FROM passport_stamps WHERE userId = ?').all(userId).map(s => `${s.kind}:${s.name}`));
+  const trips = db.prepare(`
+    SELECT toGuildId, MIN(timestamp) as firstAt FROM travel_history
+    WHERE userId = ? GROUP BY toGuildId ORDER BY firstAt ASC
+  `).all(userId);
+
+  const insert = db.prepare('INSERT OR IGNORE INTO passport_stamps (userId, kind, name, guildId, stampedAt) VALUES (?, ?, ?, ?, ?)');
+  const stamps = [];
+  const stamp = (kind, name, guildId, at) => {
+    if (stamped.has(`${kind}:${name}`)) return;
+    stamped.add(`${kind}:${name}`);
+    insert.run(userId, kind, name, guildId, at);
+    stamps.push({ kind, name });
+  };
+
+  for (const trip of trips) {
+    const country = resolveCountry(destinationCoords(trip.toGuildId));
+    if (!country) continue;
+    stamp('country', country.name, trip.toGuildId, trip.firstAt);
+    for (const continent of continentsOf(country)) stamp('continent', continent, trip.toGuildId, trip.firstAt);
+  }
+
+  const milestones = payMilestones(userId);
+  if (stamps.length) logger.info('passport_stamp: %s got %s', userId, stamps.map(s => s.name).join(', '));
+  return { stamps, milestones };
+});
+
+/**
+ * Completion of each continent from a player's country stamps
+ * @returns {Array<{continent: string, stamped: number, total: number, pct: number}>}
+ */
+function continentProgress(userId) {
+  const totals = continentTotals();
+  const counts = {};
+  const countries = db.prepare("SELECT name FROM passport_stamps WHERE userId = ? AND kind = 'country'").all(userId);
+  for (const { name } of countries) {
+    for (const continent of continentsOf(COUNTRIES[name])) counts[continent] = (counts[continent] || 0) + 1;
+  }
+  return Object.entries(totals).map(([continent, total]) => ({
+    continent,
+    stamped: counts[continent] || 0,
+    total,
+    pct: Math.floor(((counts[continent] || 0) / total) * 100)
+  })).sort((a, b) => b.pct - a.pct || a.continent.localeCompare(b.continent));
+}
+
+/**
+ * Pay gems and unlock titles for continent milestones crossed but not yet paid
+ * @returns {Array<Object>} Milestones newly unlocked
+ */
+function payMilestones(userId) {
+  const { milestones } = passportSettings();
+  const paid = new Set(db.prepare('SELECT continent, pct FROM passport_milestones WHERE userId = ?').all(userId).map(m => `${m.continent}:${m.pct}`));
+  const unlocked = [];
+
+  for (const progress of continentProgress(userId)) {
+    for (const milestone of milestones) {
+      if (progress.pct < milestone.pct || paid.has(`${progress.continent}:${milestone.pct}`)) continue;
+      const title = milestone.title ? milestone.title.replace('{continent}', progress.continent) : null;
+      const gems = milestone.gems || 0;
+      db.prepare('INSERT INTO passport_milestones (userId, continent, pct, title, gems, unlockedAt) VALUES (?, ?, ?, ?, ?, ?)')
+        .run(userId, progress.continent, milestone.pct, title, gems, Date.now());
+      if (gems > 0) awardGems(userId, gems, 'exploration', `${milestone.pct}% of ${progress.continent} explored`);
+      unlocked.push({ continent: progress.continent, pct: milestone.pct, title, gems });
+      logger.info('passport_milestone: %s reached %s%% of %s', userId, milestone.pct, progress.continent);
+    }
+  }
+  return unlocked;
+}
+
+/**
+ * A player's passport: stamps, continent completion, milestones and titles
+ */
+function getPassport(userId) {
+  const stamps = db.prepare('SELECT kind, name, guildId, stampedAt FROM passport_stamps WHERE userId = ? ORDER BY stampedAt ASC').all(userId);
+  const milestones = db.prepare('SELECT continent, pct, title, gems, unlockedAt FROM passport_milestones WHERE userId = ? ORDER BY unlockedAt ASC').all(userId);
+  const countries = stamps.filter(s => s.kind === 'country').map(s => ({ ...s, continents: continentsOf(COUNTRIES[s.name]) }));
+  return {
+    countries,
+    continents: stamps.filter(s => s.kind === 'continent'),
+    progress: continentProgress(userId),
+    totalCountries: Object.keys(COUNTRIES).length,
+    milestones,
+    titles: milestones.map(m => m.title).filter(Boolean),
+    title: db.prepare('SELECT title FROM players WHERE userId = ?').get(userId)?.title || null
+  };
+}
+
+/**
+ * Choose which unlocked title to display, or clear it with null
+ * @returns {{ok: boolean, reason?: string, title?: string|null}}
+ */
+function setTitle(userId, title) {
+  if (title && !db.prepare('SELECT 1 FROM passport_milestones WHERE userId = ? AND title = ?').get(userId, title)) {
+    return { ok: false, reason: 'not_unlocked' };
+  }
+  db.prepare('UPDATE players SET title = ? WHERE userId = ?').run(title || null, userId);
+  return { ok: true, title: title || null };
+}
+
+/**
+ * Fog-of-war data for the web map: circles around every destination the
+ * player has reached, plus their stamped countries
+ */
+function explorationMap(userId) {
+  const { revealRadiusKm } = passportSettings();
+  const destinations = db.prepare('SELECT DISTINCT toGuildId FROM travel_history WHERE userId = ?').all(userId);
+  const revealed = [];
+  for (const { toGuildId } of destinations) {
+    const dest = destinationCoords(toGuildId);
+    if (!dest) continue;
+    revealed.push({
+      guildId: toGuildId,
+      name: dest.name,
+      lat: dest.lat,
+      lon: dest.lon,
+      radiusKm: revealRadiusKm,
+      isLandmark: dest.isLandmark,
+      country: resolveCountry(dest)?.name || null
+    });
+  }
+  return { revealRadiusKm, revealed };
+}
+
+module.exports = {
+  passportSettings,
+  continentsOf,
+  continentTotals,
+  resolveCountry,
+  syncPassport,
+  continentProgress,
+  getPassport,
+  setTitle,
+  explorationMap
+};
@@ -0,0 +1,271 @@
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { haversine } = require('./geo');
+const { itemById } = require('./items');
+const { getDateKey } = require('./challenges');
+
+/**
+ * Player Notifications
+ * Players opt in with /notify to DMs about their own game: travel finished,
+ * a craft completed, a market listing sold, a boss spawned within their
+ * chosen radius, daily challenges reset. Game code only queues a line with
+ * queueNotification() (safe inside transactions, no client needed);
+ * flushNotificationQueue() delivers the queue in the background, one DM per
+ * player holding every pending line, paced to stay under Discord's rate
+ * limits and retried with backoff when a DM fails.
+ */
+
+// Events a player can turn on, with the label /notify shows
+const PLAYER_EVENTS = {
+  travel: 'Travel finished',
+  craft: 'Craft completed',
+  market: 'Market listing sold',
+  boss: 'Boss spawned nearby',
+  challenges: 'Daily challenges reset'
+};
+
+const EVENT_EMOJIS = { travel: '🛬', craft: '🔨', market: '💰', boss: '👹', challenges: '📅' };
+
+// Discord error codes that retrying will not fix (DMs closed, unknown user)
+const PERMANENT_ERRORS = new Set([50007, 10013]);
+
+/**
+ * Queue settings from config.playerNotifications with defaults
+ */
+function queueSettings() {
+  const c = config.playerNotifications || {};
+  return {
+    maxUsersPerFlush: c.maxUsersPerFlush ?? 20,
+    sendIntervalMs: c.sendIntervalMs ?? 1100,
+    maxLinesPerDm: c.maxLinesPerDm ?? 10,
+    maxAttempts: c.maxAttempts ?? 5,
+    retryBaseSeconds: c.retryBaseSeconds ?? 60,
+    defaultBossRadiusKm: c.defaultBossRadiusKm ?? 500,
+    maxBossRadiusKm: c.maxBossRadiusKm ?? 5000
+  };
+}
+
+/**
+ * A player's notification preferences (everything off until they opt in)
+ */
+function getPrefs(userId) {
+  const row = db.prepare('SELECT * FROM player_notification_prefs WHERE userId = ?').get(userId);
+  if (row) return row;
+  const prefs = { userId, bossRadiusKm: queueSettings().defaultBossRadiusKm, challengeKey: null, updatedAt: null };
+  for (const event of Object.keys(PLAYER_EVENTS)) prefs[event] = 0;
+  return prefs;
+}
+
+/**
+ * Turn events on or off and set the boss alert radius
+ *
+ * @param {string} userId - Player
+ * @param {Object} changes - Event names mapped to true/false, and/or bossRadiusKm
+ * @returns {{ok: boolean, reason?: string, prefs?: Object}}
+ */
+const updatePrefs = db.transaction((userId, changes = {}) => {
+  const prefs = getPrefs(userId);
+  for (const [key, value] of Object.entries(changes)) {
+    if (key === 'bossRadiusKm') {
+      const { maxBossRadiusKm } = queueSettings();
+      if (!Number.isInteger(value) || value < 1 || value > maxBossRadiusKm) {
+        return { ok: false, reason: 'invalid_radius', max: maxBossRadiusKm };
+      }
+      prefs.bossRadiusKm = value;
+    } else if (PLAYER_EVENTS[key]) {
+      prefs[key] = value ? 1 : 0;
+      // Start counting challenge resets from today, not from before opting in
+      if (key === 'challenges' && value) prefs.challengeKey = getDateKey('daily');
+    } else {
+      return { ok: false, reason: 'unknown_event' };
+    }
+  }
+
+  db.prepare(`
+    INSERT INTO player_notification_prefs (userId, travel, craft, market, boss, challenges, bossRadiusKm, challengeKey, updatedAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(userId) DO UPDATE SET
+      travel = excluded.travel, craft = excluded.craft, market = excluded.market,
+      boss = excluded.boss, challenges = excluded.challenges,
+      bossRadiusKm = excluded.bossRadiusKm, challengeKey = excluded.challengeKey,
+      updatedAt = excluded.updatedAt
+  `).run(userId, prefs.travel, prefs.craft, prefs.market, prefs.boss, prefs.challenges, prefs.bossRadiusKm, prefs.challengeKey, Date.now());
+  return { ok: true, prefs: getPrefs(userId) };
+});
+
+/**
+ * Queue a DM line for a player if they turned the event on
+ *
+ * @param {string} userId - Player to notify
+ * @param {string} event - One of PLAYER_EVENTS
+ * @param {string} message - Line to show in the DM
+ * @returns {boolean} Whether the line was queued
+ */
+function queueNotification(userId, event, message) {
+  if (!PLAYER_EVENTS[event] || !getPrefs(userId)[event]) return false;
+  const now = Date.now();
+  db.prepare(`
+    INSERT INTO notification_queue (userId, event, message, nextAttemptAt, createdAt)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(userId, event, message, now, now);
+  return true;
+}
+
+/**
+ * Queue a line for every finished craft that has not been announced yet.
+ * Crafts are marked as announced whether or not their owner wants the DM,
+ * so turning the event on later does not replay old crafts.
+ *
+ * @returns {number} Crafts announced
+ */
+const queueCompletedCrafts = db.transaction((now = Date.now()) => {
+  const crafts = db.prepare('SELECT * FROM active_crafts WHERE completionTime <= ? AND notifiedAt IS NULL').all(now);
+  const mark = db.prepare('UPDATE active_crafts SET notifiedAt = ? WHERE id = ?');
+  for (const craft of crafts) {
+    const item = itemById(craft.itemId);
+    queueNotification(craft.userId, 'craft', `Your **${craft.quantity || 1}× ${item?.name || craft.itemId}** finished crafting. Collect it with \`/craft claim\`.`);
+    mark.run(now, craft.id);
+  }
+  return crafts.length;
+});
+
+/**
+ * Queue a line for players with challenge alerts on once the daily
+ * challenges roll over to a new day
+ *
+ * @returns {number} Players notified
+ */
+const queueChallengeResets = db.transaction(() => {
+  const dateKey = getDateKey('daily');
+  const due = db.prepare('SELECT userId FROM player_notification_prefs WHERE challenges = 1 AND (challengeKey IS NULL OR challengeKey != ?)').all(dateKey);
+  const mark = db.prepare('UPDATE player_notification_prefs SET challengeKey = ? WHERE userId = ?');
+  for (const { userId } of due) {
+    queueNotification(userId, 'challenges', 'New daily challenges are ready. See them with `/challenges`.');
+    mark.run(dateKey, userId);
+  }
+  return due.length;
+});
+
+/**
+ * Queue a line for every player with boss alerts on whose current location
+ * is within their chosen radius of a newly spawned boss
+ *
+ * @param {Object} boss - Spawned boss (name, tier, serverName)
+ * @param {number} lat - Latitude of the boss's server
+ * @param {number} lon - Longitude of the boss's server
+ * @returns {number} Players notified
+ */
+function queueBossNearby(boss, lat, lon) {
+  if (lat == null || lon == null) return 0;
+  const players = db.prepare(`
+    SELECT p.userId, pr.bossRadiusKm,
+           COALESCE(s.lat, poi.lat) AS lat, COALESCE(s.lon, poi.lon) AS lon
+    FROM player_notification_prefs pr
+    JOIN players p ON p.userId = pr.userId
+    LEFT JOIN servers s ON s.guildId = p.locationGuildId
+    LEFT JOIN pois poi ON 'landmark_' || poi.id = p.locationGuildId
+    WHERE pr.boss = 1
+  `).all();
+
+  let notified = 0;
+  for (const player of players) {
+    if (player.lat == null || player.lon == null) continue;
+    const distance = haversine(player.lat, player.lon, lat, lon);
+    if (distance > player.bossRadiusKm) continue;
+    if (queueNotification(player.userId, 'boss', `A **Tier ${boss.tier} ${boss.name}** spawned at **${boss.serverName || 'a server'}**, ${Math.round(distance).toLocaleString()} km from you.`)) {
+      notified++;
+    }
+  }
+  return notified;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Set while a flush is running so overlapping timers do not double-send
+let flushing = false;
+
+/**
+ * Deliver due notifications: one DM per player with up to maxLinesPerDm
+ * lines, at most maxUsersPerFlush players per run, sendIntervalMs apart.
+ * Failed DMs are retried with exponential backoff until maxAttempts; DMs
+ * Discord will never accept (closed DMs, unknown user) fail at once.
+ *
+ * @param {Client} client - Discord client
+ * @returns {Promise<{sent: number, failed: number}>} Players messaged and failed
+ */
+async function flushNotificationQueue(client) {
+  const result = { sent: 0, failed: 0 };
+  if (!client || flushing) return result;
+  flushing = true;
+  try {
+    const settings = queueSettings();
+    const now = Date.now();
+    db.prepare("DELETE FROM notification_queue WHERE status = 'failed' AND createdAt < ?").run(now - 7 * 24 * 60 * 60 * 1000);
+
+    const users = db.prepare(`
+      SELECT userId, MIN(createdAt) AS oldest FROM notification_queue
+      WHERE status = 'pending' AND nextAttemptAt <= ?
+      GROUP BY userId
+      ORDER BY oldest
+      LIMIT ?
+    `).all(now, settings.maxUsersPerFlush);
+
+    for (const [index, { userId }] of users.entries()) {
+      if (index > 0) await sleep(settings.sendIntervalMs);
+      const rows = db.prepare(`
+        SELECT * FROM notification_queue
+        WHERE userId = ? AND status = 'pending' AND nextAttemptAt <= ?
+        ORDER BY createdAt, id
+        LIMIT ?
+      `).all(userId, Date.now(), settings.maxLinesPerDm);
+      if (!rows.length) continue;
+
+      try {
+        const { EmbedBuilder } = require('discord.js');
+        const embed = new EmbedBuilder()
+          .setTitle('🔔 QuestCord Updates')
+          .setDescription(rows.map(r => `${EVENT_EMOJIS[r.event] || '•'} ${r.message}`).join('\n'))
+          .setColor(0x5865F2)
+          .setFooter({ text: 'Change these alerts with /notify' })
+          .setTimestamp();
+        const user = await client.users.fetch(userId);
+        await user.send({ embeds: [embed] });
+        const remove = db.prepare('DELETE FROM notification_queue WHERE id = ?');
+        db.transaction(() => rows.forEach(r => remove.run(r.id)))();
+        result.sent++;
+      } catch (error) {
+        const permanent = PERMANENT_ERRORS.has(error.code);
+        const fail = db.prepare(`
+          UPDATE notification_queue
+          SET attempts = attempts + 1, lastError = ?, nextAttemptAt = ?,
+              status = CASE WHEN ? OR attempts + 1 >= ? THEN 'failed' ELSE 'pending' END
+          WHERE id = ?
+        `);
+        db.transaction(() => rows.forEach(r => {
+          const backoff = settings.retryBaseSeconds * 1000 * Math.pow(2, r.attempts);
+          fail.run(String(error.message || error).slice(0, 200), Date.now() + backoff, permanent ? 1 : 0, settings.maxAttempts, r.id);
+        }))();
+        result.failed++;
+        logger.warn('notify_dm: could not DM %s (%s): %s', userId, permanent ? 'permanent' : `attempt ${rows[0].attempts + 1}`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('[notify] Queue flush failed:', error);
+  } finally {
+    flushing = false;
+  }
+  return result;
+}
+
+module.exports = {
+  PLAYER_EVENTS,
+  EVENT_EMOJIS,
+  getPrefs,
+  updatePrefs,
+  queueNotification,
+  queueCompletedCrafts,
+  queueChallengeResets,
+  queueBossNearby,
+  flushNotificationQueue
+};
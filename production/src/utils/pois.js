@@ -1,6 +1,24 @@
 const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { awardGems } = require('./gems');
+const { grantItem } = require('./gear');
+const { itemById } = require('./items');
+const { withCargoBonus } = require('./vehicles');
 
-// Famous landmarks data - Top 10 world landmarks (expensive to visit!)
+/**
+ * Points of Interest
+ * Landmarks live in the pois table. The list below only seeds a fresh
+ * database; after that staff manage the catalogue through the admin API
+ * (create, edit, disable, reprice) and players can suggest new landmarks,
+ * which wait in poi_suggestions until staff approve or reject them.
+ *
+ * A player's first visit to a landmark pays its category rewards from config
+ * (with the landmark's own discoveryReward replacing the category Drakari
+ * when set), and the first player ever to visit earns a discoverer bonus.
+ */
+
+// Seed landmarks - Top 10 world landmarks (expensive to visit!)
 const LANDMARKS = [
   {
     id: 'eiffel_tower',
@@ -124,13 +142,43 @@ const LANDMARKS = [
   }
 ];
 
+
+// Editable landmark fields and how they are stored
+const POI_FIELDS = ['name', 'description', 'lat', 'lon', 'country', 'category', 'emoji', 'visitCost', 'discoveryReward', 'firstDiscoveryBonus'];
+
 /**
- * Initialize POIs in the database
+ * POI settings with defaults
+ */
+function poiSettings() {
+  const cfg = config.pois || {};
+  const suggestions = cfg.suggestions || {};
+  return {
+    categories: cfg.categories || {
+      monument: { name: 'Monuments', emoji: '🏛️' },
+      historical: { name: 'Historical Sites', emoji: '🏺' },
+      cultural: { name: 'Cultural Sites', emoji: '🎭' },
+      natural: { name: 'Natural Wonders', emoji: '🌿' }
+    },
+    firstDiscoveryBonus: cfg.firstDiscoveryBonus ?? 0,
+    defaultVisitCost: cfg.defaultVisitCost ?? 30,
+    suggestions: {
+      maxPendingPerUser: suggestions.maxPendingPerUser ?? 3,
+      minDistanceKm: suggestions.minDistanceKm ?? 2,
+      nameMaxLength: suggestions.nameMaxLength ?? 60,
+      descriptionMaxLength: suggestions.descriptionMaxLength ?? 300,
+      approvalReward: suggestions.approvalReward || null
+    }
+  };
+}
+
+/**
+ * Seed the landmark catalogue. Existing rows are left alone so staff edits
+ * (and disabled landmarks) survive restarts.
  */
 function initializePOIs() {
   const insertPOI = db.prepare(`
-    INSERT OR REPLACE INTO pois (id, name, description, lat, lon, country, category, emoji, discoveryReward, visitCost, createdAt)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT OR IGNORE INTO pois (id, name, description, lat, lon, country, category, emoji, discoveryReward, visitCost, createdAt, source)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'seed')
   `);
 
   const now = Date.now();
@@ -138,7 +186,7 @@ function initializePOIs() {
 
   for (const poi of LANDMARKS) {
     try {
-      insertPOI.run(
+      const info = insertPOI.run(
         poi.id,
         poi.name,
         poi.description,
@@ -151,25 +199,28 @@ function initializePOIs() {
         poi.visitCost,
         now
       );
-      inserted++;
+      inserted += info.changes;
     } catch (error) {
       console.warn(`Failed to insert POI ${poi.id}:`, error.message);
     }
   }
 
-  console.log(`[POI] Initialized ${inserted}/${LANDMARKS.length} points of interest`);
+  const total = db.prepare('SELECT COUNT(*) as count FROM pois WHERE enabled = 1').get().count;
+  console.log(`[POI] ${total} points of interest active (${inserted} new from seed list)`);
   return inserted;
 }
 
 /**
- * Get all POIs
+ * Get all POIs (enabled ones unless asked otherwise)
  */
-function getAllPOIs() {
-  return db.prepare('SELECT * FROM pois ORDER BY name').all();
+function getAllPOIs({ includeDisabled = false } = {}) {
+  return includeDisabled
+    ? db.prepare('SELECT * FROM pois ORDER BY name').all()
+    : db.prepare('SELECT * FROM pois WHERE enabled = 1 ORDER BY name').all();
 }
 
 /**
- * Get POI by ID
+ * Get POI by ID (including disabled ones, so old visits still resolve)
  */
 function getPOIById(id) {
   return db.prepare('SELECT * FROM pois WHERE id = ?').get(id);
@@ -179,7 +230,7 @@ function getPOIById(id) {
  * Get POIs by category
  */
 function getPOIsByCategory(category) {
-  return db.prepare('SELECT * FROM pois WHERE category = ? ORDER BY name').all(category);
+  return db.prepare('SELECT * FROM pois WHERE category = ? AND enabled = 1 ORDER BY name').all(category);
 }
 
 /**
@@ -241,59 +292,330 @@ function getUserPOIVisitCount(userId) {
   return result.count;
 }
 
+/**
+ * Rewards a player gets for their first visit to a landmark:
+ * {drakari, gems, items: [{id, qty}]}. The landmark's own discoveryReward
+ * replaces the category Drakari when it is set.
+ */
+function discoveryRewards(poi) {
+  const category = poiSettings().categories[poi.category] || {};
+  const rewards = { drakari: 0, gems: 0, items: [], ...(category.rewards || {}) };
+  if (poi.discoveryReward > 0) rewards.drakari = poi.discoveryReward;
+  return rewards;
+}
+
+/**
+ * Drakari the first ever visitor earns (0 once someone has claimed it)
+ */
+function firstDiscoveryBonus(poi) {
+  if (poi.firstDiscovererId) return 0;
+  return poi.firstDiscoveryBonus ?? poiSettings().firstDiscoveryBonus;
+}
+
+/**
+ * Short description of a reward set, e.g. "150 Drakari, 2 💎, 5× Stone"
+ */
+function describeRewards(rewards) {
+  if (!rewards) return 'Nothing';
+  const parts = [];
+  if (rewards.drakari > 0) parts.push(`${rewards.drakari.toLocaleString()} ${config.currencyName || 'Drakari'}`);
+  if (rewards.gems > 0) parts.push(`${rewards.gems} 💎`);
+  for (const { id, qty = 1 } of rewards.items || []) parts.push(`${qty}× ${itemById(id)?.name || id}`);
+  return parts.join(', ') || 'Nothing';
+}
+
+/**
+ * Hand out a set of rewards: {drakari, gems, items: [{id, qty}]}
+ */
+function grantRewards(userId, rewards, label) {
+  if (!rewards) return;
+  if (rewards.drakari > 0) {
+    db.prepare('UPDATE players SET drakari = COALESCE(drakari, 0) + ? WHERE userId = ?').run(rewards.drakari, userId);
+  }
+  if (rewards.gems > 0) {
+    awardGems(userId, rewards.gems, 'landmark', label);
+  }
+  for (const { id, qty = 1 } of rewards.items || []) {
+    grantItem(userId, id, qty, { source: 'landmark' });
+  }
+}
+
+/**
+ * Record a player's arrival at a landmark and pay the first-visit rewards,
+ * plus the discoverer bonus if nobody has been there before.
+ * @returns {{ok: boolean, reason?: string, poi?: Object, rewards?: Object, discoverer?: boolean, bonus?: number, visitedAt?: number}}
+ */
+const recordVisit = db.transaction((userId, poiId) => {
+  const poi = getPOIById(poiId);
+  if (!poi || !poi.enabled) return { ok: false, reason: 'not_found' };
+  if (hasVisitedPOI(userId, poiId)) return { ok: false, reason: 'already_visited', poi };
+
+  const now = Date.now();
+  db.prepare(`
+    INSERT INTO poi_visits (userId, poiId, visitedAt, isFirstVisit)
+    VALUES (?, ?, ?, 1)
+  `).run(userId, poiId, now);
+
+  // Players without a row yet (visits from the web) get a basic one
+  if (!db.prepare('SELECT 1 FROM players WHERE userId = ?').get(userId)) {
+    db.prepare(`
+      INSERT INTO players (userId, name, locationGuildId, vehicle, health, stamina, drakari, travelArrivalAt)
+      VALUES (?, 'Unknown', NULL, 'plane', 100, 100, 0, 0)
+    `).run(userId);
+  }
+
+  // Vehicles with cargo space bring home more of the landmark's items
+  const base = discoveryRewards(poi);
+  const rewards = { ...base, items: withCargoBonus(userId, base.items) };
+  grantRewards(userId, rewards, `Discovered ${poi.name}`);
+
+  const bonus = firstDiscoveryBonus(poi);
+  const discoverer = !poi.firstDiscovererId;
+  if (discoverer) {
+    db.prepare('UPDATE pois SET firstDiscovererId = ?, firstDiscoveredAt = ? WHERE id = ?').run(userId, now, poiId);
+    if (bonus > 0) db.prepare('UPDATE players SET drakari = COALESCE(drakari, 0) + ? WHERE userId = ?').run(bonus, userId);
+    logger.info('poi_first_discovery: %s discovered %s (bonus %s)', userId, poiId, bonus);
+  }
+
+  return { ok: true, poi, rewards, discoverer, bonus: discoverer ? bonus : 0, visitedAt: now };
+});
+
 /**
  * Visit a POI (record the visit and give rewards)
  */
 function visitPOI(userId, poiId) {
-  const poi = getPOIById(poiId);
-  if (!poi) {
+  const result = recordVisit(userId, poiId);
+  if (result.reason === 'not_found') {
     throw new Error('POI not found');
   }
-
-  const hasVisited = hasVisitedPOI(userId, poiId);
-  const isFirstVisit = !hasVisited;
-  
-  if (hasVisited) {
+  if (result.reason === 'already_visited') {
     throw new Error('You have already visited this landmark');
   }
 
+  return {
+    poi: result.poi,
+    isFirstVisit: true,
+    reward: result.rewards.drakari,
+    rewards: result.rewards,
+    discoverer: result.discoverer,
+    bonus: result.bonus,
+    visitedAt: result.visitedAt
+  };
+}
+
+// Ids chosen by staff (generated ones come from uniquePOIId)
+const POI_ID_PATTERN = /^[a-z0-9_]{1,40}$/;
+
+/**
+ * Turn a landmark name into an unused POI ID, e.g. "Big Ben" -> big_ben
+ */
+function uniquePOIId(name) {
+  const base = String(name).toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40) || 'landmark';
+  let id = base;
+  for (let n = 2; getPOIById(id); n++) id = `${base}_${n}`;
+  return id;
+}
+
+/**
+ * Check and normalise landmark fields. With partial set, only the fields
+ * present are checked (for edits).
+ * @returns {{ok: boolean, reason?: string, fields?: Object}}
+ */
+function validatePOIFields(input, { partial = false } = {}) {
+  const settings = poiSettings();
+  const fields = {};
+  for (const key of POI_FIELDS) {
+    if (input[key] !== undefined) fields[key] = input[key];
+  }
+  const has = (key) => !partial || fields[key] !== undefined;
+
+  if (has('name')) {
+    fields.name = String(fields.name ?? '').trim();
+    if (!fields.name || fields.name.length > settings.suggestions.nameMaxLength) return { ok: false, reason: 'invalid_name' };
+  }
+  if (has('lat') || has('lon')) {
+    fields.lat = Number(fields.lat);
+    fields.lon = Number(fields.lon);
+    if (!Number.isFinite(fields.lat) || !Number.isFinite(fields.lon) || Math.abs(fields.lat) > 90 || Math.abs(fields.lon) > 180) {
+      return { ok: false, reason: 'invalid_coords' };
+    }
+  }
+  if (has('category') && !settings.categories[fields.category]) return { ok: false, reason: 'invalid_category' };
+  if (fields.description != null) {
+    fields.description = String(fields.description).trim();
+    if (fields.description.length > settings.suggestions.descriptionMaxLength) return { ok: false, reason: 'invalid_description' };
+  }
+  for (const key of ['visitCost', 'discoveryReward', 'firstDiscoveryBonus']) {
+    if (fields[key] === undefined || (key === 'firstDiscoveryBonus' && fields[key] === null)) continue;
+    fields[key] = Number(fields[key]);
+    if (!Number.isInteger(fields[key]) || fields[key] < 0) return { ok: false, reason: 'invalid_price' };
+  }
+  if (!partial) {
+    fields.visitCost ??= settings.defaultVisitCost;
+    fields.discoveryReward ??= 0;
+    fields.emoji ||= settings.categories[fields.category].emoji || '📍';
+    fields.country = String(fields.country || '').trim() || 'Unknown';
+  }
+  return { ok: true, fields };
+}
+
+/**
+ * Closest enabled landmark within the suggestion spacing of a point, if any
+ */
+function landmarkTooClose(lat, lon, exceptId = null) {
+  const { minDistanceKm } = poiSettings().suggestions;
+  return getAllPOIs().find(poi => poi.id !== exceptId && calculateDistance(lat, lon, poi.lat, poi.lon) < minDistanceKm) || null;
+}
+
+/**
+ * Add a landmark to the catalogue
+ * @param {Object} input - name, lat, lon, category and optional description, country, emoji, id and prices
+ * @param {{source?: string, suggestedBy?: string}} options - Where the landmark came from
+ * @returns {{ok: boolean, reason?: string, poi?: Object}}
+ */
+function createPOI(input, { source = 'admin', suggestedBy = null } = {}) {
+  const checked = validatePOIFields(input);
+  if (!checked.ok) return checked;
+  const { fields } = checked;
+  if (input.id != null && !POI_ID_PATTERN.test(String(input.id))) return { ok: false, reason: 'invalid_id' };
+  if (input.id && getPOIById(input.id)) return { ok: false, reason: 'duplicate_id' };
+  const near = landmarkTooClose(fields.lat, fields.lon);
+  if (near) return { ok: false, reason: 'too_close', poi: near };
+
+  const id = input.id || uniquePOIId(fields.name);
   const now = Date.now();
-  
-  // Record the visit
   db.prepare(`
-    INSERT INTO poi_visits (userId, poiId, visitedAt, isFirstVisit)
-    VALUES (?, ?, ?, ?)
-  `).run(userId, poiId, now, isFirstVisit ? 1 : 0);
-
-  // Give rewards for first visit
-  let reward = 0;
-  if (isFirstVisit) {
-    reward = poi.discoveryReward;
-    
-    // Add currency reward
-    const updatePlayer = db.prepare('UPDATE players SET drakari = drakari + ? WHERE userId = ?');
-    const result = updatePlayer.run(reward, userId);
-    
-    if (result.changes === 0) {
-      // Player doesn't exist, create them
-      const { ensurePlayerWithVehicles } = require('./players');
-      // Note: We'll need the client and username for this, but for now just create basic player
-      db.prepare(`
-        INSERT INTO players (userId, name, locationGuildId, vehicle, health, stamina, drakari, travelArrivalAt)
-        VALUES (?, 'Unknown', NULL, 'plane', 100, 100, ?, 0)
-      `).run(userId, reward);
-    }
+    INSERT INTO pois (id, name, description, lat, lon, country, category, emoji, discoveryReward, visitCost,
+      firstDiscoveryBonus, source, suggestedBy, createdAt, updatedAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, fields.name, fields.description || null, fields.lat, fields.lon, fields.country || null, fields.category,
+    fields.emoji, fields.discoveryReward, fields.visitCost, fields.firstDiscoveryBonus ?? null, source, suggestedBy, now, now);
+  logger.info('poi_create: %s (%s) from %s', id, fields.name, source);
+  return { ok: true, poi: getPOIById(id) };
+}
+
+/**
+ * Edit a landmark. Only the fields given change.
+ * @returns {{ok: boolean, reason?: string, poi?: Object}}
+ */
+function updatePOI(id, input) {
+  const poi = getPOIById(id);
+  if (!poi) return { ok: false, reason: 'not_found' };
+  const given = Object.fromEntries(Object.entries(input).filter(([, value]) => value !== undefined));
+  const checked = validatePOIFields({ lat: poi.lat, lon: poi.lon, ...given }, { partial: true });
+  if (!checked.ok) return checked;
+  const { fields } = checked;
+  if (fields.lat !== poi.lat || fields.lon !== poi.lon) {
+    const near = landmarkTooClose(fields.lat, fields.lon, id);
+    if (near) return { ok: false, reason: 'too_close', poi: near };
   }
 
-  return {
-    poi,
-    isFirstVisit,
-    reward,
-    visitedAt: now
-  };
+  const keys = Object.keys(fields);
+  db.prepare(`UPDATE pois SET ${keys.map(k => `${k} = ?`).join(', ')}, updatedAt = ? WHERE id = ?`)
+    .run(...keys.map(k => fields[k]), Date.now(), id);
+  logger.info('poi_update: %s changed %s', id, keys.join(', '));
+  return { ok: true, poi: getPOIById(id) };
+}
+
+/**
+ * Change what a landmark costs and pays
+ * @param {string} id - POI ID
+ * @param {{visitCost?: number, discoveryReward?: number, firstDiscoveryBonus?: number|null}} prices
+ */
+function repricePOI(id, { visitCost, discoveryReward, firstDiscoveryBonus: bonus } = {}) {
+  const prices = Object.fromEntries(Object.entries({ visitCost, discoveryReward, firstDiscoveryBonus: bonus }).filter(([, v]) => v !== undefined));
+  if (Object.keys(prices).length === 0) return { ok: false, reason: 'invalid_price' };
+  return updatePOI(id, prices);
 }
 
+/**
+ * Hide or restore a landmark. Past visits are kept either way.
+ */
+function setPOIEnabled(id, enabled) {
+  const info = db.prepare('UPDATE pois SET enabled = ?, updatedAt = ? WHERE id = ?').run(enabled ? 1 : 0, Date.now(), id);
+  if (info.changes === 0) return { ok: false, reason: 'not_found' };
+  logger.info('poi_%s: %s', enabled ? 'enable' : 'disable', id);
+  return { ok: true, poi: getPOIById(id) };
+}
+
+/**
+ * A player proposes a new landmark for staff review
+ * @returns {{ok: boolean, reason?: string, suggestion?: Object, poi?: Object}}
+ */
+function suggestPOI(userId, input) {
+  const settings = poiSettings().suggestions;
+  const checked = validatePOIFields(input);
+  if (!checked.ok) return checked;
+  const { fields } = checked;
+
+  const pending = db.prepare("SELECT COUNT(*) as count FROM poi_suggestions WHERE userId = ? AND status = 'pending'").get(userId).count;
+  if (pending >= settings.maxPendingPerUser) return { ok: false, reason: 'too_many_pending', max: settings.maxPendingPerUser };
+  const near = landmarkTooClose(fields.lat, fields.lon);
+  if (near) return { ok: false, reason: 'too_close', poi: near };
+  const queued = db.prepare("SELECT * FROM poi_suggestions WHERE status = 'pending'").all()
+    .find(s => calculateDistance(fields.lat, fields.lon, s.lat, s.lon) < settings.minDistanceKm);
+  if (queued) return { ok: false, reason: 'already_suggested' };
+
+  const info = db.prepare(`
+    INSERT INTO poi_suggestions (userId, name, description, lat, lon, country, category, emoji, createdAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(userId, fields.name, fields.description || null, fields.lat, fields.lon, fields.country || null, fields.category, fields.emoji, Date.now());
+  logger.info('poi_suggest: %s suggested %s at %s,%s', userId, fields.name, fields.lat, fields.lon);
+  return { ok: true, suggestion: getSuggestion(info.lastInsertRowid) };
+}
+
+/**
+ * Look up a suggestion
+ */
+function getSuggestion(id) {
+  return db.prepare('SELECT * FROM poi_suggestions WHERE id = ?').get(id) || null;
+}
+
+/**
+ * Suggestions in the review queue (oldest first), or by another status
+ */
+function listSuggestions(status = 'pending', limit = 50) {
+  return db.prepare('SELECT * FROM poi_suggestions WHERE status = ? ORDER BY createdAt ASC LIMIT ?').all(status, limit);
+}
+
+/**
+ * A player's own suggestions, newest first
+ */
+function userSuggestions(userId, limit = 10) {
+  return db.prepare('SELECT * FROM poi_suggestions WHERE userId = ? ORDER BY createdAt DESC LIMIT ?').all(userId, limit);
+}
+
+/**
+ * Approve or reject a pending suggestion. Approval adds the landmark
+ * (staff may correct any field first) and rewards the player who suggested it.
+ * @param {number} id - Suggestion ID
+ * @param {string} reviewerId - Staff member reviewing
+ * @param {boolean} approve - Approve (true) or reject (false)
+ * @param {{note?: string, overrides?: Object}} options - Note for the player and field corrections
+ * @returns {{ok: boolean, reason?: string, suggestion?: Object, poi?: Object}}
+ */
+const reviewSuggestion = db.transaction((id, reviewerId, approve, { note = null, overrides = {} } = {}) => {
+  const suggestion = getSuggestion(id);
+  if (!suggestion) return { ok: false, reason: 'not_found' };
+  if (suggestion.status !== 'pending') return { ok: false, reason: 'already_reviewed' };
+
+  let poi = null;
+  if (approve) {
+    const proposed = Object.fromEntries(POI_FIELDS.filter(k => suggestion[k] != null).map(k => [k, suggestion[k]]));
+    const created = createPOI({ ...proposed, ...overrides }, { source: 'suggestion', suggestedBy: suggestion.userId });
+    if (!created.ok) return created;
+    poi = created.poi;
+    grantRewards(suggestion.userId, poiSettings().suggestions.approvalReward, `Landmark suggestion approved: ${poi.name}`);
+  }
+
+  db.prepare('UPDATE poi_suggestions SET status = ?, reviewerId = ?, reviewNote = ?, poiId = ?, reviewedAt = ? WHERE id = ?')
+    .run(approve ? 'approved' : 'rejected', reviewerId, note, poi?.id || null, Date.now(), id);
+  logger.info('poi_review: suggestion %s %s by %s', id, approve ? 'approved' : 'rejected', reviewerId);
+  return { ok: true, suggestion: getSuggestion(id), poi };
+});
+
 module.exports = {
+  poiSettings,
   initializePOIs,
   getAllPOIs,
   getPOIById,
@@ -303,6 +625,19 @@ module.exports = {
   hasVisitedPOI,
   getUserVisitedPOIs,
   getUserPOIVisitCount,
+  discoveryRewards,
+  firstDiscoveryBonus,
+  describeRewards,
+  recordVisit,
   visitPOI,
+  createPOI,
+  updatePOI,
+  repricePOI,
+  setPOIEnabled,
+  suggestPOI,
+  getSuggestion,
+  listSuggestions,
+  userSuggestions,
+  reviewSuggestion,
   LANDMARKS
-};
\ No newline at end of file
+};
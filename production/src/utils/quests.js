@@ -0,0 +1,428 @@
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { awardGems } = require('./gems');
+
+/**
+ * Quest Chain Engine
+ * Story quests are defined as data in config.quests.definitions. Each quest is
+ * offered by an NPC at a set of POIs, biomes or servers (or anywhere), may
+ * require earlier quests to be finished first, and is a graph of steps.
+ *
+ * A step has NPC dialogue and either an objective to complete before moving
+ * on to `next`, or a list of choices that branch to different steps with
+ * their own rewards. Objective types:
+ *
+ *   travel       - arrive somewhere (optionally a given poi, server or biome)
+ *   boss_defeat  - help defeat a boss (optionally minTier and biome)
+ *   boss_damage  - deal an amount of boss damage (optionally biome)
+ *   craft        - collect crafted items (optionally a given itemId)
+ *   market_trade - complete market trades (optionally a given itemId)
+ *   deliver      - be at a place holding qty of itemId; the items are handed over
+ *
+ * Progress arrives through updateChallengeProgress, so the existing travel,
+ * boss, craft and market call sites drive quests as well as challenges.
+ */
+
+// Objective types and the progress event that advances each one
+const OBJECTIVE_EVENTS = {
+  travel: 'travel',
+  boss_defeat: 'boss_defeat',
+  boss_damage: 'boss_damage',
+  craft: 'craft',
+  market_trade: 'market_trade'
+};
+
+/**
+ * Quest settings with defaults
+ */
+function questSettings() {
+  const cfg = config.quests || {};
+  return { maxActive: Math.max(1, cfg.maxActive || 3) };
+}
+
+/**
+ * Every configured quest definition
+ */
+function getQuestDefinitions() {
+  return Array.isArray(config.quests?.definitions) ? config.quests.definitions : [];
+}
+
+/**
+ * Look up a quest definition by ID
+ */
+function getQuestDefinition(questId) {
+  return getQuestDefinitions().find(q => q.id === questId) || null;
+}
+
+/**
+ * Describe a location by guild ID: landmark locations (landmark_<poiId>)
+ * resolve to a POI, servers to their biome.
+ * @returns {{guildId: string|null, poiId: string|null, biome: string|null}}
+ */
+function placeFor(guildId) {
+  if (!guildId) return { guildId: null, poiId: null, biome: null };
+  if (guildId.startsWith('landmark_')) return { guildId, poiId: guildId.slice('landmark_'.length), biome: null };
+  const server = db.prepare('SELECT biome FROM servers WHERE guildId = ?').get(guildId);
+  return { guildId, poiId: null, biome: server?.biome ? String(server.biome).toLowerCase() : null };
+}
+
+/**
+ * Where a player is standing right now. Players still on the road are
+ * nowhere until they arrive.
+ */
+function playerPlace(userId) {
+  const player = db.prepare('SELECT locationGuildId, travelArrivalAt FROM players WHERE userId = ?').get(userId);
+  if (!player || (player.travelArrivalAt && player.travelArrivalAt > Date.now())) return placeFor(null);
+  return placeFor(player.locationGuildId);
+}
+
+/**
+ * Whether a place satisfies the poi/server/biome filters on an objective
+ * (or on a quest's offeredAt, which uses the plural list forms)
+ */
+function placeMatches(filter, place) {
+  const pois = filter.pois || (filter.poi ? [filter.poi] : []);
+  const servers = filter.servers || (filter.server ? [filter.server] : []);
+  const biomes = (filter.biomes || (filter.biome ? [filter.biome] : [])).map(b => String(b).toLowerCase());
+  if (pois.length === 0 && servers.length === 0 && biomes.length === 0) return true;
+  return (place.poiId && pois.includes(place.poiId))
+    || (place.guildId && servers.includes(place.guildId))
+    || (place.biome && biomes.includes(place.biome));
+}
+
+/**
+ * Human-readable list of where a quest is offered
+ */
+function describeOffer(def) {
+  const at = def.offeredAt || {};
+  const parts = [];
+  if (at.pois?.length) parts.push(at.pois.map(poiName).join(', '));
+  if (at.biomes?.length) parts.push(`${at.biomes.join('/')} biomes`);
+  if (at.servers?.length) parts.push(at.servers.map(id => db.prepare('SELECT name FROM servers WHERE guildId = ?').get(id)?.name || id).join(', '));
+  return parts.length ? parts.join(' or ') : 'anywhere';
+}
+
+/**
+ * Display name for a POI ID
+ */
+function poiName(poiId) {
+  return db.prepare('SELECT name FROM pois WHERE id = ?').get(poiId)?.name || poiId;
+}
+
+/**
+ * How much progress an objective needs
+ */
+function objectiveTarget(objective) {
+  if (!objective) return 0;
+  if (objective.type === 'deliver') return objective.qty || 1;
+  return objective.count || objective.amount || 1;
+}
+
+/**
+ * Check a player has finished the quests a definition requires
+ * @returns {Array<string>} IDs of required quests not yet completed
+ */
+function missingPrerequisites(userId, def) {
+  const required = def.prerequisites?.quests || [];
+  if (required.length === 0) return [];
+  const done = new Set(db.prepare("SELECT questId FROM player_quests WHERE userId = ? AND status = 'completed'").all(userId).map(r => r.questId));
+  return required.filter(id => !done.has(id));
+}
+
+/**
+ * Load a player's row for a quest, with choices parsed
+ */
+function getPlayerQuest(userId, questId) {
+  const row = db.prepare('SELECT * FROM player_quests WHERE userId = ? AND questId = ?').get(userId, questId);
+  if (!row) return null;
+  return { ...row, choices: JSON.parse(row.choices || '[]') };
+}
+
+/**
+ * A player's quests that are still in progress
+ */
+function activeQuests(userId) {
+  return db.prepare("SELECT * FROM player_quests WHERE userId = ? AND status != 'completed' ORDER BY acceptedAt ASC").all(userId)
+    .map(row => ({ ...row, choices: JSON.parse(row.choices || '[]') }));
+}
+
+/**
+ * Hand out a set of rewards: {drakari, gems, items: [{id, qty}]}
+ */
+function grantRewards(userId, rewards, label) {
+  if (!rewards) return;
+  if (rewards.drakari > 0) {
+    db.prepare('UPDATE players SET drakari = COALESCE(drakari, 0) + ? WHERE userId = ?').run(rewards.drakari, userId);
+  }
+  if (rewards.gems > 0) {
+    awardGems(userId, rewards.gems, 'quest', label);
+  }
+  for (const { id, qty = 1 } of rewards.items || []) {
+    const inv = db.prepare('SELECT qty FROM inventory WHERE userId = ? AND itemId = ?').get(userId, id);
+    if (!inv) db.prepare('INSERT INTO inventory (userId, itemId, qty) VALUES (?, ?, ?)').run(userId, id, qty);
+    else db.prepare('UPDATE inventory SET qty = qty + ? WHERE userId = ? AND itemId = ?').run(qty, userId, id);
+  }
+}
+
+/**
+ * Move a quest onto a step (or finish it when stepId is null). Steps without
+ * an objective or choices pass straight through to their next step.
+ * @returns {Object} Update describing where the quest ended up
+ */
+function enterStep(userId, def, stepId, update) {
+  const now = Date.now();
+  let current = stepId;
+  // Guard against misconfigured loops of empty steps
+  for (let hops = 0; hops < 20; hops++) {
+    if (!current) {
+      db.prepare("UPDATE player_quests SET stepId = NULL, progress = 0, status = 'completed', updatedAt = ?, completedAt = ? WHERE userId = ? AND questId = ?")
+        .run(now, now, userId, def.id);
+      grantRewards(userId, def.rewards, `Quest: ${def.name}`);
+      update.finished = true;
+      update.rewards.push(def.rewards);
+      logger.info('quest_complete: %s finished %s', userId, def.id);
+      return update;
+    }
+
+    const step = def.steps?.[current];
+    if (!step) {
+      logger.warn('quest_step_missing: %s has no step %s', def.id, current);
+      current = null;
+      continue;
+    }
+    if (step.dialogue) update.dialogue.push(step.dialogue);
+
+    if (step.choices?.length) {
+      db.prepare("UPDATE player_quests SET stepId = ?, progress = 0, status = 'choosing', updatedAt = ? WHERE userId = ? AND questId = ?")
+        .run(current, now, userId, def.id);
+      update.step = current;
+      update.choosing = true;
+      return update;
+    }
+    if (step.objective) {
+      db.prepare("UPDATE player_quests SET stepId = ?, progress = 0, status = 'active', updatedAt = ? WHERE userId = ? AND questId = ?")
+        .run(current, now, userId, def.id);
+      update.step = current;
+      return update;
+    }
+    current = step.next || null;
+  }
+  logger.warn('quest_loop: %s did not settle on a step', def.id);
+  return update;
+}
+
+/**
+ * Finish the current step: pay its rewards and move on to its next step
+ */
+function completeStep(userId, def, stepId, update) {
+  const step = def.steps[stepId];
+  grantRewards(userId, step.rewards, `Quest: ${def.name}`);
+  if (step.rewards) update.rewards.push(step.rewards);
+  update.completedSteps.push(stepId);
+  return enterStep(userId, def, step.next || null, update);
+}
+
+/**
+ * Start an update record for a quest
+ */
+function newUpdate(def) {
+  return { questId: def.id, quest: def, completedSteps: [], dialogue: [], rewards: [], step: null, choosing: false, finished: false };
+}
+
+/**
+ * Quests a player could take, is on, or has finished
+ * @returns {{available: Array, locked: Array, active: Array, completed: Array}}
+ */
+function listQuests(userId) {
+  const place = playerPlace(userId);
+  const rows = Object.fromEntries(db.prepare('SELECT questId, status FROM player_quests WHERE userId = ?').all(userId).map(r => [r.questId, r.status]));
+  const result = { available: [], locked: [], active: [], completed: [] };
+  for (const def of getQuestDefinitions()) {
+    const status = rows[def.id];
+    if (status === 'completed') result.completed.push(def);
+    else if (status) result.active.push(def);
+    else if (missingPrerequisites(userId, def).length) result.locked.push(def);
+    else result.available.push({ ...def, offeredHere: placeMatches(def.offeredAt || {}, place), offeredAt: describeOffer(def) });
+  }
+  return result;
+}
+
+/**
+ * Accept a quest from its NPC. The player must be standing where it is offered.
+ * @returns {{ok: boolean, reason?: string, update?: Object}}
+ */
+const acceptQuest = db.transaction((userId, questId) => {
+  const def = getQuestDefinition(questId);
+  if (!def) return { ok: false, reason: 'unknown_quest' };
+  const existing = getPlayerQuest(userId, questId);
+  if (existing) return { ok: false, reason: existing.status === 'completed' ? 'already_completed' : 'already_active' };
+  if (activeQuests(userId).length >= questSettings().maxActive) return { ok: false, reason: 'too_many_active', max: questSettings().maxActive };
+  const missing = missingPrerequisites(userId, def);
+  if (missing.length) return { ok: false, reason: 'prerequisites', missing: missing.map(id => getQuestDefinition(id)?.name || id) };
+  if (!placeMatches(def.offeredAt || {}, playerPlace(userId))) return { ok: false, reason: 'not_here', offeredAt: describeOffer(def) };
+
+  const now = Date.now();
+  db.prepare("INSERT INTO player_quests (userId, questId, stepId, status, acceptedAt, updatedAt) VALUES (?, ?, ?, 'active', ?, ?)")
+    .run(userId, def.id, def.start, now, now);
+  logger.info('quest_accept: %s accepted %s', userId, def.id);
+
+  const update = enterStep(userId, def, def.start, newUpdate(def));
+  // A deliver step may already be satisfied where the quest was accepted
+  const delivered = tryDeliveries(userId).find(u => u.questId === def.id);
+  return { ok: true, update: delivered ? mergeUpdates(update, delivered) : update };
+});
+
+/**
+ * Drop a quest in progress. It can be accepted again from the start.
+ */
+function abandonQuest(userId, questId) {
+  const info = db.prepare("DELETE FROM player_quests WHERE userId = ? AND questId = ? AND status != 'completed'").run(userId, questId);
+  if (info.changes === 0) return { ok: false, reason: 'not_active' };
+  logger.info('quest_abandon: %s abandoned %s', userId, questId);
+  return { ok: true, quest: getQuestDefinition(questId) };
+}
+
+/**
+ * Pick a branch at a choice step
+ * @returns {{ok: boolean, reason?: string, choice?: Object, update?: Object}}
+ */
+const chooseBranch = db.transaction((userId, questId, choiceId) => {
+  const def = getQuestDefinition(questId);
+  const row = getPlayerQuest(userId, questId);
+  if (!def || !row || row.status === 'completed') return { ok: false, reason: 'not_active' };
+  if (row.status !== 'choosing') return { ok: false, reason: 'no_choice' };
+  const choice = def.steps[row.stepId]?.choices?.find(c => c.id === choiceId);
+  if (!choice) return { ok: false, reason: 'invalid_choice' };
+
+  row.choices.push({ stepId: row.stepId, choiceId });
+  db.prepare('UPDATE player_quests SET choices = ? WHERE userId = ? AND questId = ?').run(JSON.stringify(row.choices), userId, questId);
+
+  const update = newUpdate(def);
+  if (choice.dialogue) update.dialogue.push(choice.dialogue);
+  grantRewards(userId, choice.rewards, `Quest: ${def.name}`);
+  if (choice.rewards) update.rewards.push(choice.rewards);
+  update.completedSteps.push(row.stepId);
+  enterStep(userId, def, choice.next || null, update);
+  logger.info('quest_choice: %s chose %s at %s/%s', userId, choiceId, questId, row.stepId);
+
+  const delivered = tryDeliveries(userId).find(u => u.questId === def.id);
+  return { ok: true, choice, update: delivered ? mergeUpdates(update, delivered) : update };
+});
+
+/**
+ * Fold a follow-up update (e.g. an immediate delivery) into an earlier one
+ */
+function mergeUpdates(first, second) {
+  return {
+    ...second,
+    completedSteps: [...first.completedSteps, ...second.completedSteps],
+    dialogue: [...first.dialogue, ...second.dialogue],
+    rewards: [...first.rewards, ...second.rewards]
+  };
+}
+
+/**
+ * Hand over items for any deliver step whose destination the player is at
+ * and whose items they are carrying
+ * @returns {Array<Object>} Updates for quests that moved on
+ */
+function tryDeliveries(userId) {
+  const place = playerPlace(userId);
+  if (!place.guildId) return [];
+  const updates = [];
+  for (const row of activeQuests(userId)) {
+    if (row.status !== 'active') continue;
+    const def = getQuestDefinition(row.questId);
+    const objective = def?.steps?.[row.stepId]?.objective;
+    if (!objective || objective.type !== 'deliver' || !placeMatches(objective, place)) continue;
+
+    const qty = objectiveTarget(objective);
+    const inv = db.prepare('SELECT qty FROM inventory WHERE userId = ? AND itemId = ?').get(userId, objective.itemId);
+    if (!inv || inv.qty < qty) continue;
+    db.prepare('UPDATE inventory SET qty = qty - ? WHERE userId = ? AND itemId = ?').run(qty, userId, objective.itemId);
+    db.prepare('DELETE FROM inventory WHERE userId = ? AND itemId = ? AND qty <= 0').run(userId, objective.itemId);
+    logger.info('quest_deliver: %s delivered %s x%s for %s', userId, objective.itemId, qty, def.id);
+    updates.push(completeStep(userId, def, row.stepId, newUpdate(def)));
+  }
+  return updates;
+}
+
+/**
+ * Whether a progress event counts toward an objective
+ */
+function objectiveMatches(objective, eventType, context) {
+  if (OBJECTIVE_EVENTS[objective.type] !== eventType) return false;
+  if (objective.itemId && objective.type !== 'deliver' && context.itemId !== objective.itemId) return false;
+  if (objective.minTier && !(context.tier >= objective.minTier)) return false;
+  return placeMatches(objective, context.place || placeFor(context.guildId));
+}
+
+/**
+ * Feed a gameplay event into a player's active quests. Called from
+ * updateChallengeProgress with the same type and amount.
+ *
+ * @param {string} userId - Player the event happened to
+ * @param {string} eventType - travel, boss_damage, boss_defeat, craft, market_trade...
+ * @param {number} amount - Progress amount (damage dealt, items crafted, 1 for events)
+ * @param {Object} context - Event details: guildId, tier, itemId
+ * @returns {Array<Object>} Updates for quests that completed a step
+ */
+const recordQuestEvent = db.transaction((userId, eventType, amount = 1, context = {}) => {
+  const quests = activeQuests(userId);
+  if (quests.length === 0) return [];
+  const ctx = { ...context, place: placeFor(context.guildId) };
+  const updates = [];
+
+  for (const row of quests) {
+    if (row.status !== 'active') continue;
+    const def = getQuestDefinition(row.questId);
+    const objective = def?.steps?.[row.stepId]?.objective;
+    if (!objective || !objectiveMatches(objective, eventType, ctx)) continue;
+
+    const progress = Math.min(row.progress + amount, objectiveTarget(objective));
+    if (progress >= objectiveTarget(objective)) {
+      updates.push(completeStep(userId, def, row.stepId, newUpdate(def)));
+    } else {
+      db.prepare('UPDATE player_quests SET progress = ?, updatedAt = ? WHERE userId = ? AND questId = ?').run(progress, Date.now(), userId, row.questId);
+    }
+  }
+
+  // Arriving somewhere is also when deliveries are handed over
+  if (eventType === 'travel') updates.push(...tryDeliveries(userId));
+  return updates;
+});
+
+/**
+ * A player's quest with its current step resolved for display
+ */
+function questDetails(userId, questId) {
+  const def = getQuestDefinition(questId);
+  const row = getPlayerQuest(userId, questId);
+  if (!def || !row) return null;
+  const step = row.stepId ? def.steps?.[row.stepId] : null;
+  return {
+    quest: def,
+    row,
+    step,
+    target: objectiveTarget(step?.objective),
+    choices: row.status === 'choosing' ? step?.choices || [] : []
+  };
+}
+
+module.exports = {
+  questSettings,
+  getQuestDefinitions,
+  getQuestDefinition,
+  playerPlace,
+  describeOffer,
+  getPlayerQuest,
+  activeQuests,
+  listQuests,
+  acceptQuest,
+  abandonQuest,
+  chooseBranch,
+  tryDeliveries,
+  recordQuestEvent,
+  questDetails
+};
@@ -19,6 +19,16 @@
 const { db } = require('./store_sqlite');
 // Import travel history recording functionality
 const { recordTravel } = require('./travel_history');
+// Import gear affix totals for stamina regen bonuses
+const { affixBonus, allEquippedAffixTotals } = require('./affixes');
+// Import landmark visit recording (first-visit and discoverer rewards)
+const { recordVisit } = require('./pois');
+// Import travel plans so queued itineraries continue on arrival
+const { advancePlan, locationOf } = require('./travel_plans');
+// Import notification dispatcher for arrival announcements
+const { dispatch } = require('./notifications');
+// Import player DM queue for travel, craft and challenge alerts
+const { queueNotification, queueCompletedCrafts, queueChallengeResets } = require('./player_notifications');
 
 /**
  * CONFIGURATION LOADING AND CONSTANTS
@@ -59,60 +69,6 @@ function clamp(n, lo, hi) {
   return Math.max(lo, Math.min(hi, n)); 
 }
 
-/**
- * DATABASE COLUMN EXISTENCE VALIDATION
- * 
- * Ensures all required columns exist in the players table for regeneration system.
- * Adds missing columns dynamically to handle database schema evolution.
- * This function is idempotent - safe to run multiple times.
- */
-function ensureColumns() {
-  try {
-    // Get list of all existing columns in players table
-    const cols = db.prepare("PRAGMA table_info(players)").all().map(c => c.name);
-    
-    // Add health update timestamp column if missing
-    if (!cols.includes('healthUpdatedAt')) {
-      db.prepare("ALTER TABLE players ADD COLUMN healthUpdatedAt INTEGER").run();
-      // Initialize existing players with current timestamp
-      db.prepare("UPDATE players SET healthUpdatedAt = strftime('%s','now')*1000 WHERE healthUpdatedAt IS NULL").run();
-    }
-    // Add stamina update timestamp column if missing
-    if (!cols.includes('staminaUpdatedAt')) {
-      db.prepare("ALTER TABLE players ADD COLUMN staminaUpdatedAt INTEGER").run();
-      // Initialize existing players with current timestamp
-      db.prepare("UPDATE players SET staminaUpdatedAt = strftime('%s','now')*1000 WHERE staminaUpdatedAt IS NULL").run();
-    }
-    
-    // Add premium status column if missing (for regeneration bonuses)
-    if (!cols.includes('isPremium')) {
-      db.prepare("ALTER TABLE players ADD COLUMN isPremium INTEGER DEFAULT 0").run();
-      db.prepare("UPDATE players SET isPremium = COALESCE(isPremium, 0)").run();
-    }
-    
-    // Add last combat timestamp column if missing (for combat penalties)
-    if (!cols.includes('lastCombatAt')) {
-      db.prepare("ALTER TABLE players ADD COLUMN lastCombatAt INTEGER DEFAULT 0").run();
-    }
-    
-    // Add regeneration effects column if missing (for item buffs)
-    if (!cols.includes('regenEffects')) {
-      db.prepare("ALTER TABLE players ADD COLUMN regenEffects TEXT DEFAULT '{}'").run();
-    }
-    
-    // Add current biome column if missing (for location bonuses)
-    if (!cols.includes('currentBiome')) {
-      db.prepare("ALTER TABLE players ADD COLUMN currentBiome TEXT DEFAULT 'city'").run();
-    }
-  } catch (e) {
-    // Ignore errors - tables might not exist on first boot
-    // Database initialization will handle table creation
-  }
-}
-
-// Run column validation on module load
-ensureColumns();
-
 /**
  * LOCATION-BASED REGENERATION MULTIPLIERS
  * 
@@ -177,18 +133,20 @@ function getActivityPenalty(userId, now) {
 }
 
 function getActiveItemEffects(userId, now) {
+  // Stamina regen affixes on equipped gear apply on top of consumable effects
+  const gearStamina = 1 + affixBonus(userId, 'staminaRegenPct') / 100;
   const player = db.prepare(`SELECT regenEffects FROM players WHERE userId=?`).get(userId);
-  if (!player || !player.regenEffects) return { health: 1.0, stamina: 1.0 };
+  if (!player || !player.regenEffects) return { health: 1.0, stamina: gearStamina };
 
   let effects;
   try {
     effects = JSON.parse(player.regenEffects);
   } catch {
-    return { health: 1.0, stamina: 1.0 };
+    return { health: 1.0, stamina: gearStamina };
   }
 
   let healthMult = 1.0;
-  let staminaMult = 1.0;
+  let staminaMult = gearStamina;
   const itemBonuses = regenConfig.itemBonuses || {};
   let effectsChanged = false;
 
@@ -336,7 +294,57 @@ function applyRegenForUser(userId) {
   }
 }
 
-function applyRegenToAll() {
+/**
+ * ANNOUNCE ARRIVALS
+ * 
+ * Posts one message per server listing the players who just landed there,
+ * to servers subscribed to arrivals with /settings. Landmark arrivals are
+ * not announced.
+ * 
+ * @param {Client} client - Discord client for posting
+ * @param {Array} arrivals - Completed travels from applyRegenToAll
+ */
+async function notifyArrivals(client, arrivals) {
+  const byGuild = new Map();
+  for (const travel of arrivals) {
+    if (!travel.locationGuildId || travel.locationGuildId.startsWith('landmark_')) continue;
+    if (!byGuild.has(travel.locationGuildId)) byGuild.set(travel.locationGuildId, []);
+    byGuild.get(travel.locationGuildId).push(travel);
+  }
+  if (byGuild.size === 0) return;
+
+  const { EmbedBuilder } = require('discord.js');
+  const serverName = db.prepare('SELECT name FROM servers WHERE guildId = ?');
+  for (const [guildId, travels] of byGuild) {
+    try {
+      const lines = travels.slice(0, 20).map(t => {
+        const from = t.travelFromGuildId ? serverName.get(t.travelFromGuildId)?.name : null;
+        return `🛬 <@${t.userId}>${from ? ` from **${from}**` : ''}`;
+      });
+      if (travels.length > 20) lines.push(`…and ${travels.length - 20} more`);
+      const embed = new EmbedBuilder()
+        .setTitle(`✈️ ${travels.length === 1 ? 'A traveller has' : `${travels.length} travellers have`} arrived`)
+        .setDescription(lines.join('\n'))
+        .setColor(0x3498DB)
+        .setFooter({ text: 'Arrivals • QuestCord' })
+        .setTimestamp();
+      await dispatch(client, 'arrivals', { embeds: [embed] }, { guildIds: [guildId] });
+    } catch (error) {
+      console.error('Error announcing arrivals:', error);
+    }
+  }
+}
+
+/**
+ * BATCH REGENERATION AND TRAVEL COMPLETION
+ * 
+ * Completes every travel whose arrival time has passed, then regenerates
+ * health and stamina for all players. When a Discord client is given,
+ * arrivals are announced to the servers players landed at.
+ * 
+ * @param {Client} [client] - Discord client for arrival announcements
+ */
+function applyRegenToAll(client = null) {
   try {
     const now = Date.now();
 
@@ -349,31 +357,24 @@ function applyRegenToAll() {
         WHERE travelArrivalAt > 0 AND travelArrivalAt <= ?
       `).all(now);
 
-      if (completedTravels.length === 0) return;
+      if (completedTravels.length === 0) return [];
 
       // Record travel history for completed travels
       for (const travel of completedTravels) {
         const travelTime = travel.travelArrivalAt - travel.travelStartAt;
         recordTravel(travel.userId, travel.travelFromGuildId, travel.locationGuildId, travelTime);
 
+        // Queue the player's "travel finished" DM if they turned it on
+        const destination = locationOf(travel.locationGuildId);
+        queueNotification(travel.userId, 'travel', `You arrived at **${destination?.name || 'your destination'}**.`);
+
         // Handle landmark arrivals
         if (travel.locationGuildId && travel.locationGuildId.startsWith('landmark_')) {
           const landmarkId = travel.locationGuildId.replace('landmark_', '');
 
           try {
-            // Get POI info
-            const poi = db.prepare('SELECT * FROM pois WHERE id = ?').get(landmarkId);
-            if (poi) {
-              // Check if already visited
-              const alreadyVisited = db.prepare('SELECT 1 FROM poi_visits WHERE userId = ? AND poiId = ?').get(travel.userId, landmarkId);
-
-              if (!alreadyVisited) {
-                // Record first visit
-                db.prepare('INSERT INTO poi_visits (userId, poiId, visitedAt, isFirstVisit) VALUES (?, ?, ?, 1)').run(
-                  travel.userId, landmarkId, now
-                );
-              }
-            }
+            // Record the first visit and pay its rewards (repeat visits are a no-op)
+            recordVisit(travel.userId, landmarkId);
           } catch (error) {
             console.error('Error processing landmark arrival:', error);
           }
@@ -386,10 +387,33 @@ function applyRegenToAll() {
         SET travelArrivalAt = 0
         WHERE travelArrivalAt > 0 AND travelArrivalAt <= ?
       `).run(now);
+
+      // Start the next leg of any queued travel plan (stops the plan if the
+      // leg is blocked by weather or can no longer be paid for)
+      for (const travel of completedTravels) {
+        try {
+          advancePlan(travel.userId, travel.locationGuildId);
+        } catch (error) {
+          console.error('Error advancing travel plan:', error);
+        }
+      }
+
+      return completedTravels;
     });
 
-    // Execute the travel completion transaction
-    completeTravels();
+    // Execute the travel completion transaction, then announce the arrivals
+    const arrivals = completeTravels();
+    if (client && arrivals.length) {
+      notifyArrivals(client, arrivals).catch(error => console.error('Error announcing arrivals:', error));
+    }
+
+    // Queue DMs for finished crafts and the daily challenge reset
+    try {
+      queueCompletedCrafts(now);
+      queueChallengeResets();
+    } catch (error) {
+      console.error('Error queueing player notifications:', error);
+    }
     
     const rows = db.prepare(`
       SELECT userId, health, stamina, healthUpdatedAt, staminaUpdatedAt, 
@@ -401,6 +425,8 @@ function applyRegenToAll() {
       UPDATE players SET health=?, stamina=?, healthUpdatedAt=?, staminaUpdatedAt=?, regenEffects=? 
       WHERE userId=?
     `);
+    // Gear affixes for everyone at once rather than a query per player
+    const affixTotals = allEquippedAffixTotals();
     
     const tx = db.transaction((list) => {
       for (const r of list) {
@@ -436,7 +462,7 @@ function applyRegenToAll() {
 
           // Process item effects
           let itemHealthMult = 1.0;
-          let itemStaminaMult = 1.0;
+          let itemStaminaMult = 1 + (affixTotals[r.userId]?.staminaRegenPct || 0) / 100;
           let effects = {};
           
           if (regenEffects) {
@@ -548,6 +574,7 @@ function getRegenStatus(userId) {
 module.exports = { 
   applyRegenForUser,      // Apply regeneration to single player
   applyRegenToAll,        // Batch regeneration for all players + travel completion
+  notifyArrivals,         // Announce completed travels to subscribed servers
   applyItemEffect,        // Apply temporary item-based regeneration effects
   updateCombatStatus,     // Mark player as recently in combat (affects regen)
   updateBiome,            // Update player's current biome for location bonuses
@@ -0,0 +1,460 @@
+const os = require('os');
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { INSTANCE, isLeader } = require('./cluster');
+
+/**
+ * Job Scheduler
+ * Background work is registered here instead of with setInterval/setTimeout.
+ * Every job has a row in scheduled_jobs recording its schedule, last run and
+ * next due time, so the schedule survives restarts:
+ *
+ * - Schedules are cron expressions in server local time
+ *   (minute hour day-of-month month day-of-week, with *, a-b, a,b and /n),
+ *   the aliases @hourly, @daily, @weekly and @monthly, or '@every 30s'
+ *   (s, m, h, d) for fixed intervals.
+ * - A job that came due while the bot was offline runs once as soon as the
+ *   scheduler starts; the occurrences it folded together are recorded as a
+ *   'missed' entry in job_runs.
+ * - Before running, a process claims the job's lock in the database. A job
+ *   never overlaps itself, within one process or across several; occurrences
+ *   that pass while a run is still going are recorded as 'skipped'.
+ * - Failures are recorded with their error and counted until the next
+ *   successful run, which is what jobStatus() reports as failing.
+ * - Jobs registered with leaderOnly run only in the process holding the
+ *   leader lease (utils/cluster); other jobs run in whichever process claims
+ *   them first.
+ *
+ * config.scheduler.jobs can override a job's schedule or disable it by name:
+ *   "jobs": { "weather-generate": { "schedule": "@every 10m" }, "travel-encounters": { "enabled": false } }
+ */
+
+const FIELDS = [
+  { min: 0, max: 59 },  // minute
+  { min: 0, max: 23 },  // hour
+  { min: 1, max: 31 },  // day of month
+  { min: 1, max: 12 },  // month
+  { min: 0, max: 7 }    // day of week, 0 and 7 are Sunday
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Most occurrences counted when working out how many runs were missed
+const MAX_COUNTED = 1000;
+
+// Jobs overdue for this long are treated as removed from the code
+const RETIRED_AFTER_MS = 7 * 24 * 60 * 60 * 1000;
+
+const jobs = new Map();
+const running = new Set();
+let ticker = null;
+
+/**
+ * Settings from config.scheduler with defaults
+ */
+function schedulerSettings() {
+  const c = config.scheduler || {};
+  return {
+    tickMs: c.tickMs ?? 1000,
+    overdueAfterSeconds: c.overdueAfterSeconds ?? 120,
+    historyDays: c.historyDays ?? 14,
+    jobs: c.jobs || {}
+  };
+}
+
+/**
+ * Parse one cron field into the set of values it allows
+ * @returns {Set<number>|null} null when the field is invalid
+ */
+function parseField(text, { min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = /^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) return null;
+    let from = min;
+    let to = max;
+    if (match[1] !== undefined) {
+      from = Number(match[1]);
+      to = match[2] !== undefined ? Number(match[2]) : (match[3] ? max : from);
+    }
+    const step = match[3] ? Number(match[3]) : 1;
+    if (from < min || to > max || from > to || step < 1) return null;
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parse a schedule string
+ *
+ * @param {string} text - Cron expression, alias or '@every <n><s|m|h|d>'
+ * @returns {Object|null} { type: 'interval', ms } or { type: 'cron', ... }, null when invalid
+ */
+function parseSchedule(text) {
+  const expression = String(text || '').trim();
+  const every = /^@every\s+(\d+)\s*([smhd])$/.exec(expression);
+  if (every) {
+    const ms = Number(every[1]) * UNITS[every[2]];
+    return ms > 0 ? { type: 'interval', ms } : null;
+  }
+
+  const parts = (ALIASES[expression] || expression).split(/\s+/);
+  if (parts.length !== 5) return null;
+  const sets = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (sets.includes(null)) return null;
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = sets;
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+  const cron = {
+    type: 'cron',
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // As in cron, when both day fields are restricted either one may match
+    anyDayOfMonth: parts[2].startsWith('*'),
+    anyDayOfWeek: parts[4].startsWith('*')
+  };
+  // Reject expressions that never match, such as 0 0 31 2 *
+  return nextCronTime(cron, Date.now()) === null ? null : cron;
+}
+
+function dayMatches(cron, date) {
+  const dayOfMonth = cron.dayOfMonth.has(date.getDate());
+  const dayOfWeek = cron.dayOfWeek.has(date.getDay());
+  if (cron.anyDayOfMonth) return dayOfWeek;
+  if (cron.anyDayOfWeek) return dayOfMonth;
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * First minute after `after` that matches a cron schedule
+ * @returns {number|null} Timestamp, or null if nothing matches within a few years
+ */
+function nextCronTime(cron, after) {
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  for (let step = 0; step < 100000; step++) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date.getTime();
+    }
+  }
+  return null;
+}
+
+/**
+ * First occurrence after `after`. Intervals stay in step with `anchor`, the
+ * occurrence that was last due.
+ */
+function nextOccurrence(schedule, anchor, after) {
+  if (schedule.type === 'interval') {
+    const steps = Math.max(1, Math.floor((after - anchor) / schedule.ms) + 1);
+    return anchor + steps * schedule.ms;
+  }
+  return nextCronTime(schedule, after);
+}
+
+/**
+ * Number of occurrences after `from` up to and including `to`
+ */
+function countBetween(schedule, from, to) {
+  if (to <= from) return 0;
+  if (schedule.type === 'interval') return Math.min(MAX_COUNTED, Math.floor((to - from) / schedule.ms));
+  let count = 0;
+  for (let at = nextCronTime(schedule, from); at !== null && at <= to && count < MAX_COUNTED; at = nextCronTime(schedule, at)) {
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Register a job. Jobs registered after startScheduler() join on its next
+ * tick; registering the same name again replaces the job.
+ *
+ * @param {string} name - Unique job name, e.g. 'weather-generate'
+ * @param {Object} options
+ * @param {string} options.schedule - Cron expression, alias or '@every 5m'
+ * @param {Function} options.run - Work to do; may return a promise
+ * @param {string} options.description - Shown in job status
+ * @param {boolean} options.runOnStart - Also run as soon as the scheduler starts
+ * @param {boolean} options.leaderOnly - Only run in the leader process
+ * @param {number} options.lockSeconds - How long a run may hold the lock
+ *   before another process may assume it died
+ * @returns {Object} The registered job
+ */
+function registerJob(name, { schedule, run, description = '', runOnStart = false, leaderOnly = false, lockSeconds = 600 }) {
+  if (typeof run !== 'function') throw new Error(`[scheduler] Job ${name} has no run function`);
+  const override = schedulerSettings().jobs[name] || {};
+
+  let text = schedule;
+  let parsed = parseSchedule(schedule);
+  if (!parsed) throw new Error(`[scheduler] Invalid schedule for ${name}: ${schedule}`);
+  if (override.schedule) {
+    const custom = parseSchedule(override.schedule);
+    if (custom) {
+      text = override.schedule;
+      parsed = custom;
+    } else {
+      logger.warn(`[scheduler] Ignoring invalid schedule override for ${name}: ${override.schedule}`);
+    }
+  }
+
+  const job = { name, schedule: text, parsed, run, description, runOnStart, leaderOnly, lockSeconds, enabled: override.enabled !== false };
+  jobs.set(name, job);
+
+  const now = Date.now();
+  const firstRunAt = runOnStart ? now : nextOccurrence(parsed, now, now);
+  const row = db.prepare('SELECT schedule, nextRunAt FROM scheduled_jobs WHERE name=?').get(name);
+  if (!row) {
+    db.prepare('INSERT INTO scheduled_jobs(name, schedule, nextRunAt, updatedAt) VALUES(?,?,?,?)').run(name, text, firstRunAt, now);
+  } else if (row.schedule !== text) {
+    db.prepare('UPDATE scheduled_jobs SET schedule=?, nextRunAt=?, updatedAt=? WHERE name=?').run(text, firstRunAt, now, name);
+  } else if (runOnStart && row.nextRunAt > now) {
+    db.prepare('UPDATE scheduled_jobs SET nextRunAt=?, updatedAt=? WHERE name=?').run(now, now, name);
+  }
+  return job;
+}
+
+function recordRun(job, status, scheduledFor, { missed = 0, durationMs = null, error = null } = {}) {
+  db.prepare(`
+    INSERT INTO job_runs(job, status, scheduledFor, missed, durationMs, error, instance, createdAt)
+    VALUES(?,?,?,?,?,?,?,?)
+  `).run(job, status, scheduledFor, missed, durationMs, error, INSTANCE, Date.now());
+}
+
+/**
+ * Run a claimed job and record the outcome, releasing its lock
+ */
+async function runJob(job, row, startedAt) {
+  running.add(job.name);
+  try {
+    const missed = countBetween(job.parsed, row.nextRunAt, startedAt);
+    if (missed > 0) {
+      recordRun(job.name, 'missed', row.nextRunAt, { missed });
+      logger.warn(`[scheduler] ${job.name} missed ${missed} run(s), catching up once`);
+    }
+
+    let error = null;
+    try {
+      await job.run();
+    } catch (err) {
+      error = err;
+    }
+
+    const finishedAt = Date.now();
+    const durationMs = finishedAt - startedAt;
+    const skipped = countBetween(job.parsed, startedAt, finishedAt);
+    const message = error ? String(error.message || error).slice(0, 500) : null;
+
+    db.transaction(() => {
+      const updated = db.prepare(`
+        UPDATE scheduled_jobs
+        SET lastRunAt=?, lastFinishedAt=?, lastDurationMs=?, lastStatus=?, lastError=?,
+            runCount=runCount+1, failCount=failCount+?,
+            consecutiveFailures=CASE WHEN ? THEN consecutiveFailures+1 ELSE 0 END,
+            missedRuns=missedRuns+?, nextRunAt=?, lockedBy=NULL, lockedUntil=NULL, updatedAt=?
+        WHERE name=? AND lockedBy=?
+      `).run(
+        startedAt, finishedAt, durationMs, error ? 'failed' : 'ok', message,
+        error ? 1 : 0, error ? 1 : 0, missed + skipped,
+        nextOccurrence(job.parsed, row.nextRunAt, finishedAt), finishedAt,
+        job.name, INSTANCE
+      );
+      if (!updated.changes) logger.warn(`[scheduler] ${job.name} lost its lock while running`);
+      if (skipped > 0) recordRun(job.name, 'skipped', startedAt, { missed: skipped, durationMs });
+      if (error) recordRun(job.name, 'failed', row.nextRunAt, { durationMs, error: message });
+    })();
+
+    if (error) logger.warn(`[scheduler] ${job.name} failed: ${message}`);
+  } catch (err) {
+    logger.error(`[scheduler] Could not record run of ${job.name}:`, err.message);
+  } finally {
+    running.delete(job.name);
+  }
+}
+
+/**
+ * Start every registered job that is due. A job only runs here if this
+ * process wins its lock, so several processes can share one database.
+ * Leader-only jobs are left for the leader.
+ */
+function tick() {
+  const now = Date.now();
+  const leader = isLeader();
+  const due = db.prepare('SELECT name, nextRunAt FROM scheduled_jobs WHERE nextRunAt <= ? ORDER BY nextRunAt').all(now);
+  const claim = db.prepare(`
+    UPDATE scheduled_jobs SET lockedBy=?, lockedUntil=?, updatedAt=?
+    WHERE name=? AND nextRunAt=? AND (lockedUntil IS NULL OR lockedUntil < ?)
+  `);
+  for (const row of due) {
+    const job = jobs.get(row.name);
+    if (!job || !job.enabled || running.has(job.name) || (job.leaderOnly && !leader)) continue;
+    const claimed = claim.run(INSTANCE, now + job.lockSeconds * 1000, now, job.name, row.nextRunAt, now);
+    if (claimed.changes) runJob(job, row, now);
+  }
+}
+
+/**
+ * Whether a lock was left by a process on this host that is no longer running
+ */
+function lockIsStale(lockedBy) {
+  const at = String(lockedBy).lastIndexOf(':');
+  const host = lockedBy.slice(0, at);
+  const pid = Number(lockedBy.slice(at + 1));
+  if (host !== os.hostname()) return false;
+  if (pid === process.pid) return !running.size;
+  try {
+    process.kill(pid, 0);
+    return false;
+  } catch (error) {
+    return error.code === 'ESRCH';
+  }
+}
+
+/**
+ * Delete job_runs entries older than historyDays
+ */
+function pruneJobRuns() {
+  const cutoff = Date.now() - schedulerSettings().historyDays * 24 * 60 * 60 * 1000;
+  return db.prepare('DELETE FROM job_runs WHERE createdAt < ?').run(cutoff).changes;
+}
+
+/**
+ * Start running registered jobs. Locks left behind by a crashed process on
+ * this host are released first so its jobs do not wait for the lock to expire.
+ */
+function startScheduler() {
+  if (ticker) return;
+  registerJob('job-history-prune', {
+    schedule: '30 4 * * *',
+    description: 'Delete old scheduler history',
+    run: pruneJobRuns
+  });
+
+  const locked = db.prepare('SELECT name, lockedBy FROM scheduled_jobs WHERE lockedBy IS NOT NULL').all();
+  for (const row of locked) {
+    if (lockIsStale(row.lockedBy)) {
+      db.prepare('UPDATE scheduled_jobs SET lockedBy=NULL, lockedUntil=NULL WHERE name=? AND lockedBy=?').run(row.name, row.lockedBy);
+      logger.info(`[scheduler] Released ${row.name} lock left by ${row.lockedBy}`);
+    }
+  }
+
+  const { tickMs } = schedulerSettings();
+  ticker = setInterval(() => {
+    try {
+      tick();
+    } catch (error) {
+      logger.error('[scheduler] Tick failed:', error.message);
+    }
+  }, tickMs);
+  tick();
+  logger.info(`[scheduler] Started ${jobs.size} jobs`);
+}
+
+/**
+ * Stop starting new runs; runs already going finish normally
+ */
+function stopScheduler() {
+  if (ticker) clearInterval(ticker);
+  ticker = null;
+}
+
+/**
+ * Health of every job, for /deploy status and the status page. Jobs
+ * registered in other processes (shards, when sharded) are included from the
+ * database; their description and leaderOnly are null here.
+ *
+ * health is one of:
+ * - 'ok'
+ * - 'running' - a run is in progress here or in another process
+ * - 'failing' - the last run threw
+ * - 'overdue' - due for longer than overdueAfterSeconds without running
+ * - 'disabled' - turned off in config.scheduler.jobs
+ *
+ * recent counts failed, missed and skipped runs over the last 24 hours.
+ *
+ * @returns {Array<Object>}
+ */
+function jobStatus() {
+  const now = Date.now();
+  const { overdueAfterSeconds } = schedulerSettings();
+  const rows = new Map(db.prepare('SELECT * FROM scheduled_jobs').all().map(row => [row.name, row]));
+  const recent = {};
+  const counts = db.prepare(`
+    SELECT job, status, SUM(MAX(missed, 1)) AS total FROM job_runs WHERE createdAt > ? GROUP BY job, status
+  `).all(now - 24 * 60 * 60 * 1000);
+  for (const { job, status, total } of counts) {
+    recent[job] = recent[job] || { failed: 0, missed: 0, skipped: 0 };
+    recent[job][status] = total;
+  }
+
+  const names = new Set(jobs.keys());
+  for (const row of rows.values()) {
+    if (row.nextRunAt > now - RETIRED_AFTER_MS) names.add(row.name);
+  }
+
+  return [...names].map(name => {
+    const row = rows.get(name) || {};
+    const job = jobs.get(name) || {
+      name,
+      description: null,
+      schedule: row.schedule,
+      leaderOnly: null,
+      enabled: schedulerSettings().jobs[name]?.enabled !== false
+    };
+    let health = 'ok';
+    if (!job.enabled) health = 'disabled';
+    else if (running.has(job.name) || (row.lockedBy && row.lockedUntil > now)) health = 'running';
+    else if (row.consecutiveFailures > 0) health = 'failing';
+    else if (row.nextRunAt < now - overdueAfterSeconds * 1000) health = 'overdue';
+
+    return {
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      leaderOnly: job.leaderOnly,
+      health,
+      lastRunAt: row.lastRunAt ?? null,
+      lastDurationMs: row.lastDurationMs ?? null,
+      lastStatus: row.lastStatus ?? null,
+      lastError: row.lastError ?? null,
+      nextRunAt: row.nextRunAt ?? null,
+      runCount: row.runCount ?? 0,
+      failCount: row.failCount ?? 0,
+      consecutiveFailures: row.consecutiveFailures ?? 0,
+      missedRuns: row.missedRuns ?? 0,
+      lockedBy: row.lockedBy ?? null,
+      recent: recent[job.name] || { failed: 0, missed: 0, skipped: 0 }
+    };
+  });
+}
+
+module.exports = {
+  schedulerSettings,
+  parseSchedule,
+  nextOccurrence,
+  registerJob,
+  startScheduler,
+  stopScheduler,
+  jobStatus
+};
@@ -0,0 +1,542 @@
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { awardGems } = require('./gems');
+const { itemById } = require('./items');
+const { emitGameEvent } = require('./game_events');
+
+/**
+ * Seasonal Events
+ * Limited-time events are defined as data in config.seasonalEvents.definitions,
+ * each with a start and end date (staff can move either with /event
+ * schedule). While an event runs:
+ *
+ *   bosses     - the spawner rolls spawnChance to spawn one of the event's
+ *                boss definitions instead of a regular boss
+ *   items      - event items join the pickLootByTier pool (unless shopOnly);
+ *                they stay defined afterwards so owned copies keep working
+ *   currency   - players earn the event's currency for activities listed in
+ *                currency.earn (more from event bosses) and from challenges
+ *   shop       - the currency buys shop items, with optional per-player limits
+ *   challenges - event-long goals fed by updateChallengeProgress, like daily
+ *                and weekly challenges, paying currency, gems, drakari or items
+ *
+ * Everything above checks the event's dates, so it all stops the moment an
+ * event ends. The 'seasonal-events' scheduler job then winds it down: event
+ * bosses still up are expired, and leftover currency expires (or converts to
+ * drakari at currency.drakariPerUnitOnEnd). The same job announces starts.
+ */
+
+/**
+ * Seasonal event settings with defaults
+ */
+function seasonalSettings() {
+  const cfg = config.seasonalEvents || {};
+  return {
+    announce: cfg.announce ?? true,
+    upcomingDays: cfg.upcomingDays ?? 7
+  };
+}
+
+/**
+ * Every configured event definition
+ */
+function getEventDefinitions() {
+  return Array.isArray(config.seasonalEvents?.definitions) ? config.seasonalEvents.definitions : [];
+}
+
+function parseTime(value) {
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * A definition with its effective dates (staff changes win over config) and
+ * status: upcoming, active, ended, or unscheduled when it has no valid dates
+ */
+function resolveEvent(def, now = Date.now()) {
+  const state = db.prepare('SELECT * FROM seasonal_event_state WHERE eventId = ?').get(def.id);
+  const startsAt = state?.startsAt ?? parseTime(def.startsAt);
+  const endsAt = state?.endsAt ?? parseTime(def.endsAt);
+  let status = 'unscheduled';
+  if (startsAt != null && endsAt != null && endsAt > startsAt) {
+    status = now < startsAt ? 'upcoming' : now < endsAt ? 'active' : 'ended';
+  }
+  return { ...def, startsAt, endsAt, status, startedAt: state?.startedAt ?? null, endedAt: state?.endedAt ?? null };
+}
+
+/**
+ * Every event with its dates and status
+ */
+function listEvents(now = Date.now()) {
+  return getEventDefinitions().map(def => resolveEvent(def, now));
+}
+
+/**
+ * Events running right now
+ */
+function activeEvents(now = Date.now()) {
+  return listEvents(now).filter(event => event.status === 'active');
+}
+
+/**
+ * One event with its dates and status, or null if it is not defined
+ */
+function getEvent(eventId, now = Date.now()) {
+  const def = getEventDefinitions().find(d => d.id === eventId);
+  return def ? resolveEvent(def, now) : null;
+}
+
+/**
+ * An event's currency with defaults
+ */
+function currencyOf(event) {
+  const c = event?.currency || {};
+  return {
+    id: c.id || event?.id,
+    name: c.name || 'Event Tokens',
+    emoji: c.emoji || '🎟️',
+    earn: c.earn || {},
+    eventBossMultiplier: c.eventBossMultiplier ?? 1,
+    drakariPerUnitOnEnd: Math.max(0, c.drakariPerUnitOnEnd ?? 0)
+  };
+}
+
+// ============================================================================
+// ITEMS AND BOSSES
+// ============================================================================
+
+let itemCache = { source: null, items: [] };
+
+/**
+ * Items of every event, running or not, each tagged with its eventId. Ended
+ * events are included so copies players own keep resolving.
+ */
+function eventItems() {
+  const defs = getEventDefinitions();
+  if (itemCache.source !== defs) {
+    itemCache = { source: defs, items: defs.flatMap(def => (def.items || []).map(item => ({ ...item, eventId: def.id }))) };
+  }
+  return itemCache.items;
+}
+
+/**
+ * Items of running events that can drop as loot
+ */
+function lootableEventItems(now = Date.now()) {
+  const running = new Set(activeEvents(now).map(event => event.id));
+  if (running.size === 0) return [];
+  return eventItems().filter(item => running.has(item.eventId) && !item.shopOnly);
+}
+
+/**
+ * Look up an event boss definition by ID (from any event, so bosses keep
+ * their abilities until they are cleared)
+ */
+function eventBossDefinition(definitionId) {
+  for (const def of getEventDefinitions()) {
+    const boss = (def.bosses?.definitions || []).find(b => b.id === definitionId);
+    if (boss) return { ...boss, eventId: def.id };
+  }
+  return null;
+}
+
+/**
+ * Roll whether the next boss comes from a running event
+ * @returns {{event: Object, definitions: Array<Object>}|null} The event whose
+ *   roll came up and its boss definitions (tagged with eventId), or null
+ */
+function rollEventBoss(now = Date.now()) {
+  for (const event of activeEvents(now)) {
+    const definitions = event.bosses?.definitions || [];
+    if (definitions.length === 0) continue;
+    if (Math.random() < (event.bosses.spawnChance ?? 0.5)) {
+      return { event, definitions: definitions.map(def => ({ ...def, eventId: event.id })) };
+    }
+  }
+  return null;
+}
+
+// ============================================================================
+// CURRENCY
+// ============================================================================
+
+/**
+ * A player's currency in an event
+ * @returns {{balance: number, earned: number}}
+ */
+function currencyBalance(userId, eventId) {
+  const row = db.prepare('SELECT balance, earned FROM seasonal_currency WHERE userId = ? AND eventId = ?').get(userId, eventId);
+  return { balance: row?.balance || 0, earned: row?.earned || 0 };
+}
+
+/**
+ * Add (or with a negative amount, take) currency and log it. Callers check
+ * the event is running and the balance covers spending.
+ */
+function adjustCurrency(userId, eventId, amount, reason) {
+  db.prepare(`
+    INSERT INTO seasonal_currency (userId, eventId, balance, earned) VALUES (?, ?, ?, ?)
+    ON CONFLICT(userId, eventId) DO UPDATE SET
+      balance = balance + excluded.balance,
+      earned = earned + excluded.earned
+  `).run(userId, eventId, amount, Math.max(0, amount));
+  db.prepare('INSERT INTO seasonal_currency_log (userId, eventId, amount, reason, createdAt) VALUES (?, ?, ?, ?, ?)')
+    .run(userId, eventId, amount, reason, Date.now());
+}
+
+/**
+ * Top currency holders of an event
+ */
+function currencyLeaderboard(eventId, limit = 10) {
+  return db.prepare('SELECT userId, earned FROM seasonal_currency WHERE eventId = ? AND earned > 0 ORDER BY earned DESC LIMIT ?')
+    .all(eventId, limit);
+}
+
+// ============================================================================
+// CHALLENGES
+// ============================================================================
+
+/**
+ * Pay a completed challenge's reward
+ */
+function payChallengeReward(userId, event, challenge) {
+  const reward = challenge.reward || {};
+  if (reward.currency > 0) adjustCurrency(userId, event.id, reward.currency, `challenge:${challenge.id}`);
+  if (reward.gems > 0) awardGems(userId, reward.gems, 'seasonal_event', `${event.name}: ${challenge.name}`);
+  if (reward.drakari > 0) {
+    db.prepare('UPDATE players SET drakari = COALESCE(drakari, 0) + ? WHERE userId = ?').run(reward.drakari, userId);
+  }
+  if (reward.itemId && itemById(reward.itemId)) {
+    require('./gear').grantItem(userId, reward.itemId, reward.qty || 1, { source: 'seasonal_event' });
+  }
+}
+
+function challengeMatches(challenge, type, context, event) {
+  if (challenge.type !== type) return false;
+  if (challenge.eventBossesOnly && context.eventId !== event.id) return false;
+  if (challenge.minTier && !(context.tier >= challenge.minTier)) return false;
+  if (challenge.itemId && context.itemId !== challenge.itemId) return false;
+  return true;
+}
+
+/**
+ * Feed a gameplay event into every running event: pay currency for it and
+ * advance matching event challenges. Called from updateChallengeProgress with
+ * the same arguments.
+ *
+ * @param {string} userId - Player the event happened to
+ * @param {string} type - travel, boss_damage, boss_fight, boss_defeat, market_trade, craft, login
+ * @param {number} amount - Progress amount
+ * @param {Object} context - Event details: guildId, tier, itemId, and eventId for event bosses
+ * @returns {Array<{event: Object, challenge: Object}>} Challenges this completed
+ */
+const recordSeasonalProgress = db.transaction((userId, type, amount = 1, context = {}) => {
+  const events = activeEvents();
+  const completed = [];
+
+  for (const event of events) {
+    const currency = currencyOf(event);
+    const rate = currency.earn[type];
+    if (rate > 0) {
+      const multiplier = context.eventId === event.id ? currency.eventBossMultiplier : 1;
+      const earned = Math.floor(rate * amount * multiplier);
+      if (earned > 0) adjustCurrency(userId, event.id, earned, `earn:${type}`);
+    }
+
+    for (const challenge of event.challenges || []) {
+      if (!challengeMatches(challenge, type, context, event)) continue;
+      const target = challenge.count || 1;
+      const row = db.prepare('SELECT progress, completedAt FROM seasonal_challenges WHERE userId = ? AND eventId = ? AND challengeId = ?')
+        .get(userId, event.id, challenge.id);
+      if (row?.completedAt) continue;
+
+      const progress = Math.min((row?.progress || 0) + amount, target);
+      const completedAt = progress >= target ? Date.now() : null;
+      db.prepare(`
+        INSERT INTO seasonal_challenges (userId, eventId, challengeId, progress, target, completedAt) VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(userId, eventId, challengeId) DO UPDATE SET progress = excluded.progress, completedAt = excluded.completedAt
+      `).run(userId, event.id, challenge.id, progress, target, completedAt);
+
+      if (completedAt) {
+        payChallengeReward(userId, event, challenge);
+        completed.push({ event, challenge });
+        logger.info('seasonal_challenge: %s completed %s in %s', userId, challenge.id, event.id);
+      }
+    }
+  }
+  return completed;
+});
+
+/**
+ * A player's challenges in every running event, with progress
+ */
+function seasonalChallengesFor(userId, now = Date.now()) {
+  const rows = db.prepare('SELECT eventId, challengeId, progress, completedAt FROM seasonal_challenges WHERE userId = ?').all(userId);
+  const byKey = new Map(rows.map(row => [`${row.eventId}:${row.challengeId}`, row]));
+
+  return activeEvents(now).flatMap(event => (event.challenges || []).map(challenge => {
+    const row = byKey.get(`${event.id}:${challenge.id}`);
+    return {
+      ...challenge,
+      challengeId: challenge.id,
+      eventId: event.id,
+      eventName: event.name,
+      endsAt: event.endsAt,
+      currency: currencyOf(event),
+      progress: row?.progress || 0,
+      target: challenge.count || 1,
+      completed: row?.completedAt ? 1 : 0
+    };
+  }));
+}
+
+// ============================================================================
+// SHOP
+// ============================================================================
+
+/**
+ * How many of an item a player has bought in an event
+ */
+function purchasedCount(userId, eventId, itemId) {
+  return db.prepare('SELECT COALESCE(SUM(qty), 0) AS n FROM seasonal_purchases WHERE userId = ? AND eventId = ? AND itemId = ?')
+    .get(userId, eventId, itemId).n;
+}
+
+/**
+ * An event's shop entries with their items, skipping entries whose item is
+ * not defined
+ */
+function shopEntries(event) {
+  return (event?.shop || [])
+    .map(entry => ({ ...entry, item: itemById(entry.itemId) }))
+    .filter(entry => entry.item && entry.price > 0);
+}
+
+/**
+ * Buy an item from a running event's shop with its currency
+ *
+ * @param {string} userId - Player buying
+ * @param {string} eventId - Event whose shop to buy from
+ * @param {string} itemId - Shop item
+ * @param {number} qty - Copies to buy
+ * @returns {{ok: boolean, reason?: string, item?: Object, qty?: number, price?: number, balance?: number, limit?: number, bought?: number}}
+ */
+const buyFromShop = db.transaction((userId, eventId, itemId, qty = 1) => {
+  const event = getEvent(eventId);
+  if (!event) return { ok: false, reason: 'unknown_event' };
+  if (event.status !== 'active') return { ok: false, reason: 'event_not_active' };
+  if (!Number.isInteger(qty) || qty < 1) return { ok: false, reason: 'invalid_qty' };
+  const entry = shopEntries(event).find(e => e.itemId === itemId);
+  if (!entry) return { ok: false, reason: 'not_in_shop' };
+
+  const bought = purchasedCount(userId, eventId, itemId);
+  if (entry.limit && bought + qty > entry.limit) return { ok: false, reason: 'limit_reached', limit: entry.limit, bought };
+
+  const price = entry.price * qty;
+  const { balance } = currencyBalance(userId, eventId);
+  if (balance < price) return { ok: false, reason: 'insufficient_currency', balance, price };
+
+  adjustCurrency(userId, eventId, -price, `shop:${itemId}`);
+  db.prepare('INSERT INTO seasonal_purchases (userId, eventId, itemId, qty, price, createdAt) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(userId, eventId, itemId, qty, price, Date.now());
+  require('./gear').grantItem(userId, itemId, qty, { source: 'seasonal_shop' });
+  logger.info('seasonal_shop: %s bought %sx %s in %s for %s', userId, qty, itemId, eventId, price);
+  return { ok: true, item: entry.item, qty, price, balance: balance - price };
+});
+
+// ============================================================================
+// SCHEDULE AND LIFECYCLE
+// ============================================================================
+
+/**
+ * Move an event's dates (staff). A date left null keeps its current value.
+ * An event that has already been wound down cannot be reopened.
+ *
+ * @param {string} eventId - Event to change
+ * @param {{startsAt?: number, endsAt?: number}} dates - New dates (ms)
+ * @param {string} actorId - Staff member making the change
+ * @returns {{ok: boolean, reason?: string, event?: Object}}
+ */
+const scheduleEvent = db.transaction((eventId, { startsAt = null, endsAt = null } = {}, actorId = null) => {
+  const event = getEvent(eventId);
+  if (!event) return { ok: false, reason: 'unknown_event' };
+  if (event.endedAt) return { ok: false, reason: 'already_ended' };
+
+  const start = startsAt ?? event.startsAt;
+  const end = endsAt ?? event.endsAt;
+  if (start == null || end == null || !(end > start)) return { ok: false, reason: 'invalid_dates' };
+
+  const now = Date.now();
+  db.prepare(`
+    INSERT INTO seasonal_event_state (eventId, startsAt, endsAt, updatedBy, updatedAt) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(eventId) DO UPDATE SET
+      startsAt = excluded.startsAt, endsAt = excluded.endsAt, updatedBy = excluded.updatedBy, updatedAt = excluded.updatedAt
+  `).run(eventId, start, end, actorId, now);
+  logger.info('seasonal_schedule: %s set %s to %s - %s', actorId, eventId, new Date(start).toISOString(), new Date(end).toISOString());
+  return { ok: true, event: getEvent(eventId) };
+});
+
+/**
+ * End a running or upcoming event straight away (staff). Wind-down follows
+ * on the next lifecycle run.
+ */
+function endEventNow(eventId, actorId = null) {
+  const event = getEvent(eventId);
+  if (!event) return { ok: false, reason: 'unknown_event' };
+  if (event.status === 'ended') return { ok: false, reason: 'already_ended' };
+  const now = Date.now();
+  return scheduleEvent(eventId, { startsAt: Math.min(event.startsAt ?? now, now - 1), endsAt: now }, actorId);
+}
+
+/**
+ * Clear an ended event: expire its bosses still up (the boss cleanup then
+ * removes them as usual) and expire leftover currency, converting it to
+ * drakari if the event says so. Runs once per event.
+ *
+ * @returns {{bosses: number, players: number, currency: number, drakari: number}}
+ */
+const windDownEvent = db.transaction((event, now = Date.now()) => {
+  const bosses = db.prepare('UPDATE bosses SET expiresAt = ? WHERE eventId = ? AND active = 1').run(now - 1, event.id).changes;
+
+  const rate = currencyOf(event).drakariPerUnitOnEnd;
+  const holders = db.prepare('SELECT userId, balance FROM seasonal_currency WHERE eventId = ? AND balance > 0').all(event.id);
+  let currency = 0;
+  let drakari = 0;
+  for (const { userId, balance } of holders) {
+    adjustCurrency(userId, event.id, -balance, 'expired');
+    currency += balance;
+    const paid = Math.floor(balance * rate);
+    if (paid > 0) {
+      db.prepare('UPDATE players SET drakari = COALESCE(drakari, 0) + ? WHERE userId = ?').run(paid, userId);
+      drakari += paid;
+    }
+  }
+
+  db.prepare(`
+    INSERT INTO seasonal_event_state (eventId, endedAt) VALUES (?, ?)
+    ON CONFLICT(eventId) DO UPDATE SET endedAt = excluded.endedAt
+  `).run(event.id, now);
+  return { bosses, players: holders.length, currency, drakari };
+});
+
+/**
+ * Announcement embed for an event starting or ending
+ */
+function lifecycleEmbed(event, phase, summary = null) {
+  const { EmbedBuilder } = require('discord.js');
+  const currency = currencyOf(event);
+  const color = parseInt(String(event.color || '#F39C12').replace('#', ''), 16) || 0xF39C12;
+  const embed = new EmbedBuilder()
+    .setColor(color)
+    .setTimestamp();
+
+  if (phase === 'started') {
+    embed
+      .setTitle(`${event.emoji || '🎉'} ${event.name} has begun!`)
+      .setDescription(event.description || 'A limited-time event is live.')
+      .addFields(
+        { name: '⏰ Ends', value: `<t:${Math.floor(event.endsAt / 1000)}:R>`, inline: true },
+        { name: `${currency.emoji} Currency`, value: currency.name, inline: true },
+        { name: '🛒 Shop', value: `${shopEntries(event).length} items`, inline: true }
+      )
+      .setFooter({ text: 'Use /event info to see challenges and /event shop to spend your currency' });
+  } else {
+    embed
+      .setTitle(`${event.emoji || '🎉'} ${event.name} is over`)
+      .setDescription('Thanks for taking part! Event items you earned are yours to keep.');
+    if (summary?.currency) {
+      embed.addFields({
+        name: `${currency.emoji} Leftover ${currency.name}`,
+        value: summary.drakari ? `Converted to ${summary.drakari.toLocaleString()} drakari` : 'Expired',
+        inline: true
+      });
+    }
+  }
+  return embed;
+}
+
+/**
+ * Announce events that have started and wind down events that have ended.
+ * Run by the 'seasonal-events' scheduler job on the leader.
+ *
+ * @param {Client} client - Discord client for announcements (optional)
+ * @returns {Promise<{started: Array<string>, ended: Array<string>}>}
+ */
+async function runSeasonalEventLifecycle(client = null) {
+  const now = Date.now();
+  const { announce } = seasonalSettings();
+  const { dispatch } = require('./notifications');
+  const started = [];
+  const ended = [];
+
+  for (const event of listEvents(now)) {
+    if (event.status === 'active' && !event.startedAt) {
+      db.prepare(`
+        INSERT INTO seasonal_event_state (eventId, startedAt) VALUES (?, ?)
+        ON CONFLICT(eventId) DO UPDATE SET startedAt = excluded.startedAt
+      `).run(event.id, now);
+      started.push(event.id);
+      logger.info('seasonal_event: %s started', event.id);
+      emitGameEvent('seasonal_event.started', {
+        eventId: event.id,
+        name: event.name,
+        startsAt: event.startsAt,
+        endsAt: event.endsAt
+      });
+      if (client && announce) await dispatch(client, 'events', { embeds: [lifecycleEmbed(event, 'started')] });
+    }
+
+    if (event.status === 'ended' && !event.endedAt) {
+      const summary = windDownEvent(event, now);
+      ended.push(event.id);
+      logger.info('seasonal_event: %s ended (%s bosses cleared, %s currency expired from %s players)', event.id, summary.bosses, summary.currency, summary.players);
+      emitGameEvent('seasonal_event.ended', {
+        eventId: event.id,
+        name: event.name,
+        startsAt: event.startsAt,
+        endsAt: event.endsAt,
+        bossesCleared: summary.bosses
+      });
+      if (summary.bosses > 0) await require('./boss_spawner').cleanupExpiredBosses(client);
+      if (client && announce && event.startedAt) await dispatch(client, 'events', { embeds: [lifecycleEmbed(event, 'ended', summary)] });
+    }
+  }
+  return { started, ended };
+}
+
+/**
+ * Running and upcoming events for the website banner and /event info
+ * (upcoming ones only within upcomingDays)
+ */
+function currentEvents(now = Date.now()) {
+  const horizon = now + seasonalSettings().upcomingDays * 86400000;
+  return listEvents(now)
+    .filter(event => event.status === 'active' || (event.status === 'upcoming' && event.startsAt <= horizon))
+    .sort((a, b) => a.startsAt - b.startsAt);
+}
+
+module.exports = {
+  seasonalSettings,
+  getEventDefinitions,
+  listEvents,
+  activeEvents,
+  currentEvents,
+  getEvent,
+  currencyOf,
+  eventItems,
+  lootableEventItems,
+  eventBossDefinition,
+  rollEventBoss,
+  currencyBalance,
+  currencyLeaderboard,
+  recordSeasonalProgress,
+  seasonalChallengesFor,
+  purchasedCount,
+  shopEntries,
+  buyFromShop,
+  scheduleEvent,
+  endEventNow,
+  windDownEvent,
+  runSeasonalEventLifecycle
+};
@@ -0,0 +1,178 @@
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { findLandPosition } = require('./geo');
+const { randomPointInCountry } = require('./countries');
+const { emitGameEvent } = require('./game_events');
+
+/**
+ * Server Administration
+ * What a server's managers can change about it, shared by /relocate, /biome
+ * and the web dashboard: moving the server to another country and changing
+ * its biome, both paid for in server tokens. Every change to a token balance
+ * goes through adjustTokens so it lands in server_token_log, which the
+ * dashboard shows as the server's token history.
+ */
+
+// Tokens a biome change costs
+const BIOME_CHANGE_COST = 1;
+
+const DEFAULT_BIOMES = ['Volcanic', 'Ruins', 'Swamp', 'Water', 'Forest', 'Ice', 'Meadow', 'Mountain'];
+
+/**
+ * Display names of every biome a server can have
+ */
+function biomeList() {
+  return Array.isArray(config.biomes) && config.biomes.length ? config.biomes : DEFAULT_BIOMES;
+}
+
+/**
+ * Display name of a stored biome (accepts names and legacy numeric values)
+ */
+function biomeLabel(value) {
+  if (value == null) return 'Unknown';
+  const list = biomeList();
+  const lc = String(value).trim().toLowerCase();
+  if (/^\d+$/.test(lc)) {
+    const n = parseInt(lc, 10);
+    if (n >= 0 && n < list.length) return list[n];
+    if (n >= 1 && n <= list.length) return list[n - 1];
+  }
+  for (const name of list) {
+    if (name.toLowerCase() === lc) return name;
+  }
+  return lc.charAt(0).toUpperCase() + lc.slice(1);
+}
+
+/**
+ * Biome value as stored in servers.biome
+ */
+function normalizeBiome(value) {
+  if (!value) return null;
+  return String(value).trim().toLowerCase();
+}
+
+/**
+ * A server's biome and token balance, rolling a random biome (and the
+ * starting token) for servers that do not have one yet
+ * @returns {{biome: string, tokens: number}|null} Null for unknown servers
+ */
+function ensureServerBiome(guildId) {
+  const server = db.prepare('SELECT biome, tokens FROM servers WHERE guildId = ?').get(guildId);
+  if (!server) return null;
+  if (server.biome) return { biome: server.biome, tokens: server.tokens ?? 0 };
+  const values = biomeList().map(normalizeBiome);
+  const pick = values[Math.floor(Math.random() * values.length)];
+  db.prepare('UPDATE servers SET biome = ?, tokens = COALESCE(tokens, 1) WHERE guildId = ?').run(pick, guildId);
+  return { biome: pick, tokens: server.tokens ?? 1 };
+}
+
+/**
+ * Add or remove server tokens and record the change. Balances never go
+ * below zero; the logged change is what was actually applied.
+ *
+ * @param {string} guildId - Server whose balance changes
+ * @param {number} change - Tokens to add (positive) or remove (negative)
+ * @param {string} reason - Why (purchase, refund, staff_add, relocate, ...)
+ * @param {Object} [opts] - actorId of the user responsible, details text
+ * @returns {{ok: boolean, reason?: string, change?: number, tokens?: number}}
+ */
+const adjustTokens = db.transaction((guildId, change, reason, { actorId = null, details = null } = {}) => {
+  const server = db.prepare('SELECT tokens FROM servers WHERE guildId = ?').get(guildId);
+  if (!server) return { ok: false, reason: 'not_found' };
+  const before = server.tokens || 0;
+  const tokens = Math.max(0, before + change);
+  db.prepare('UPDATE servers SET tokens = ? WHERE guildId = ?').run(tokens, guildId);
+  db.prepare(`
+    INSERT INTO server_token_log (guildId, change, balance, reason, actorId, details, createdAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(guildId, tokens - before, tokens, reason, actorId, details, Date.now());
+  return { ok: true, change: tokens - before, tokens };
+});
+
+/**
+ * Most recent token changes for a server, newest first
+ */
+function tokenHistory(guildId, limit = 25) {
+  return db.prepare('SELECT * FROM server_token_log WHERE guildId = ? ORDER BY createdAt DESC, id DESC LIMIT ?').all(guildId, limit);
+}
+
+/**
+ * Change a server's biome for BIOME_CHANGE_COST tokens
+ *
+ * @param {string} guildId - Server to change
+ * @param {string} biome - New biome (name or stored value)
+ * @param {string} actorId - User making the change
+ * @returns {{ok: boolean, reason?: string, from?: string, to?: string, tokens?: number, cost?: number}}
+ */
+const changeBiome = db.transaction((guildId, biome, actorId = null) => {
+  const server = ensureServerBiome(guildId);
+  if (!server) return { ok: false, reason: 'not_found' };
+  const to = normalizeBiome(biome);
+  if (!biomeList().map(normalizeBiome).includes(to)) return { ok: false, reason: 'invalid_biome' };
+  if (to === normalizeBiome(server.biome)) return { ok: false, reason: 'same_biome', biome: biomeLabel(to) };
+  if (server.tokens < BIOME_CHANGE_COST) return { ok: false, reason: 'insufficient_tokens', tokens: server.tokens, cost: BIOME_CHANGE_COST };
+
+  db.prepare('UPDATE servers SET biome = ? WHERE guildId = ?').run(to, guildId);
+  const { tokens } = adjustTokens(guildId, -BIOME_CHANGE_COST, 'biome_change', { actorId, details: `${biomeLabel(server.biome)} → ${biomeLabel(to)}` });
+  logger.info('biome_change: %s changed %s from %s to %s', actorId, guildId, server.biome, to);
+  return { ok: true, from: server.biome, to, tokens, cost: BIOME_CHANGE_COST };
+});
+
+/**
+ * Whether a server can afford to move to a country
+ * @returns {{ok: boolean, reason?: string, tokens?: number, cost?: number}}
+ */
+function relocationQuote(guildId, country) {
+  const server = db.prepare('SELECT tokens FROM servers WHERE guildId = ?').get(guildId);
+  if (!server) return { ok: false, reason: 'not_found' };
+  if (!country) return { ok: false, reason: 'unknown_country' };
+  const tokens = server.tokens || 0;
+  if (tokens < country.cost) return { ok: false, reason: 'insufficient_tokens', tokens, cost: country.cost, country: country.name };
+  return { ok: true, tokens, cost: country.cost };
+}
+
+/**
+ * Move a server to a random land position inside a country's borders,
+ * paying the country's token cost. The balance is checked again after the
+ * land search, since tokens may have been spent meanwhile.
+ *
+ * @param {string} guildId - Server to move
+ * @param {Object} country - Country from utils/countries
+ * @param {string} actorId - User moving the server
+ * @returns {Promise<{ok: boolean, reason?: string, lat?: number, lon?: number, tokens?: number, cost?: number}>}
+ */
+async function relocateServer(guildId, country, actorId = null) {
+  const quote = relocationQuote(guildId, country);
+  if (!quote.ok) return quote;
+
+  // Near the country's centre only if no point inside its borders was found
+  const position = randomPointInCountry(country.name) || await findLandPosition(country.lat, country.lon, 30);
+  return db.transaction(() => {
+    const check = relocationQuote(guildId, country);
+    if (!check.ok) return check;
+    db.prepare('UPDATE servers SET lat = ?, lon = ? WHERE guildId = ?').run(position.lat, position.lon, guildId);
+    const { tokens } = adjustTokens(guildId, -country.cost, 'relocate', { actorId, details: country.name });
+    logger.info('server_relocate: %s moved %s to %s for %s tokens', actorId, guildId, country.name, country.cost);
+    emitGameEvent('server.relocated', {
+      guildId,
+      country: country.name,
+      lat: position.lat,
+      lon: position.lon
+    }, { guildId });
+    return { ok: true, lat: position.lat, lon: position.lon, tokens, cost: country.cost, country: country.name };
+  })();
+}
+
+module.exports = {
+  BIOME_CHANGE_COST,
+  biomeList,
+  biomeLabel,
+  normalizeBiome,
+  ensureServerBiome,
+  adjustTokens,
+  tokenHistory,
+  changeBiome,
+  relocationQuote,
+  relocateServer
+};
@@ -0,0 +1,129 @@
+const { db } = require('./store_sqlite');
+const { clusterSettings, isClustered } = require('./cluster');
+
+/**
+ * Shared Store for Rate Limits and Cooldowns
+ * Fixed-window counters used by the command cooldown, web rate limits and
+ * API key minute limits. Two implementations share one interface:
+ *
+ * - Memory store: a Map in this process. Used when the bot runs as a single
+ *   process, where there is nothing to share with.
+ * - SQLite store: rows in shared_counters, seen by every process using the
+ *   database. Used when sharded, so limits hold across shards and the web
+ *   process.
+ *
+ * config.sharding.store picks one: 'memory', 'sqlite' or 'auto' (SQLite when
+ * sharded, memory otherwise). Both drop expired windows as they go.
+ *
+ * Interface:
+ * - hit(key, max, perMs) -> { allowed, count, remaining, resetAt }
+ *   Count a hit in key's window; allowed while count <= max
+ * - clear(key) - Forget a key's window
+ */
+
+// How often expired windows are swept
+const PRUNE_EVERY_MS = 60 * 1000;
+
+function result(count, resetAt, max) {
+  return { allowed: count <= max, count, remaining: Math.max(0, max - count), resetAt };
+}
+
+/**
+ * In-process store, for single-process runs and tests
+ */
+function createMemoryStore() {
+  const windows = new Map();
+  let prunedAt = Date.now();
+
+  return {
+    type: 'memory',
+    hit(key, max, perMs) {
+      const now = Date.now();
+      if (now - prunedAt > PRUNE_EVERY_MS) {
+        for (const [k, w] of windows) if (now > w.resetAt) windows.delete(k);
+        prunedAt = now;
+      }
+      let w = windows.get(key);
+      if (!w || now > w.resetAt) {
+        w = { count: 0, resetAt: now + perMs };
+        windows.set(key, w);
+      }
+      w.count++;
+      return result(w.count, w.resetAt, max);
+    },
+    clear(key) {
+      windows.delete(key);
+    }
+  };
+}
+
+/**
+ * Store backed by shared_counters, for sharded runs
+ */
+function createSqliteStore() {
+  const upsert = db.prepare(`
+    INSERT INTO shared_counters (key, count, resetAt) VALUES (@key, 1, @resetAt)
+    ON CONFLICT(key) DO UPDATE SET
+      count = CASE WHEN resetAt < @now THEN 1 ELSE count + 1 END,
+      resetAt = CASE WHEN resetAt < @now THEN @resetAt ELSE resetAt END
+    RETURNING count, resetAt
+  `);
+  let prunedAt = Date.now();
+
+  return {
+    type: 'sqlite',
+    hit(key, max, perMs) {
+      const now = Date.now();
+      if (now - prunedAt > PRUNE_EVERY_MS) {
+        db.prepare('DELETE FROM shared_counters WHERE resetAt < ?').run(now);
+        prunedAt = now;
+      }
+      const row = upsert.get({ key, now, resetAt: now + perMs });
+      return result(row.count, row.resetAt, max);
+    },
+    clear(key) {
+      db.prepare('DELETE FROM shared_counters WHERE key = ?').run(key);
+    }
+  };
+}
+
+let store = null;
+
+/**
+ * The store this process uses, chosen on first use from config.sharding.store
+ */
+function sharedStore() {
+  if (!store) {
+    const choice = clusterSettings().store;
+    const useSqlite = choice === 'sqlite' || (choice !== 'memory' && isClustered());
+    store = useSqlite ? createSqliteStore() : createMemoryStore();
+  }
+  return store;
+}
+
+/**
+ * Count a hit against a fixed-window limit in the shared store
+ *
+ * @param {string} key - Namespaced key, e.g. `cmd:${userId}`
+ * @param {number} max - Hits allowed per window
+ * @param {number} perMs - Window length
+ * @returns {Object} { allowed, count, remaining, resetAt }
+ */
+function hitLimit(key, max, perMs) {
+  return sharedStore().hit(key, max, perMs);
+}
+
+/**
+ * Forget a key's current window
+ */
+function clearLimit(key) {
+  sharedStore().clear(key);
+}
+
+module.exports = {
+  createMemoryStore,
+  createSqliteStore,
+  sharedStore,
+  hitLimit,
+  clearLimit
+};
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * TopoJSON Reader
+ * Decodes the bundled Natural Earth topology (src/geodata) into plain polygons
+ * for point-in-polygon lookups. Only what that data uses is supported:
+ * quantized topologies with Polygon and MultiPolygon geometries.
+ *
+ * A decoded polygon is { rings, bbox }: rings[0] is the outer ring and any
+ * others are holes, each a Float64Array of lon,lat pairs; bbox is
+ * [minLon, minLat, maxLon, maxLat].
+ *
+ * The topology is stitched across the antimeridian, so a ring can jump from
+ * 180 to -180. Rings are unwrapped into continuous longitudes instead (the
+ * Chukotka end of Eurasia runs past 180), and a ring that circles a pole,
+ * like Antarctica's, is closed along that pole. Lookups try the point's
+ * longitude shifted by 360° as well.
+ */
+
+const DATA_DIR = path.join(__dirname, '..', 'geodata');
+
+/**
+ * Read a topology from src/geodata
+ * @param {string} file - File name, e.g. 'countries-50m.json'
+ */
+function readTopology(file) {
+  return JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'));
+}
+
+/**
+ * Absolute lon/lat coordinates of every arc, undoing delta encoding and
+ * quantization
+ */
+function decodeArcs(topology) {
+  const { scale, translate } = topology.transform;
+  return topology.arcs.map(arc => {
+    const points = new Float64Array(arc.length * 2);
+    let x = 0;
+    let y = 0;
+    arc.forEach(([dx, dy], i) => {
+      x += dx;
+      y += dy;
+      points[i * 2] = x * scale[0] + translate[0];
+      points[i * 2 + 1] = y * scale[1] + translate[1];
+    });
+    return points;
+  });
+}
+
+/**
+ * Join a ring's arcs into one closed ring. A negative index ~i means arc i
+ * reversed; each arc starts where the previous one ended, so that shared
+ * point is only kept once.
+ */
+function ringFromArcs(arcIndexes, arcs) {
+  const coords = [];
+  for (const index of arcIndexes) {
+    const reversed = index < 0;
+    const arc = arcs[reversed ? ~index : index];
+    const count = arc.length / 2;
+    for (let i = coords.length ? 1 : 0; i < count; i++) {
+      const at = reversed ? count - 1 - i : i;
+      coords.push(arc[at * 2], arc[at * 2 + 1]);
+    }
+  }
+  return Float64Array.from(unwrapRing(coords));
+}
+
+/**
+ * Make a ring's longitudes continuous across the antimeridian; close a ring
+ * that circles a pole along the pole
+ */
+function unwrapRing(coords) {
+  let offset = 0;
+  for (let i = 2; i < coords.length; i += 2) {
+    const lon = coords[i] + offset;
+    const previous = coords[i - 2];
+    if (lon - previous > 180) offset -= 360;
+    else if (previous - lon > 180) offset += 360;
+    coords[i] += offset;
+  }
+  if (offset !== 0) {
+    let latSum = 0;
+    for (let i = 1; i < coords.length; i += 2) latSum += coords[i];
+    const pole = latSum < 0 ? -90 : 90;
+    coords.push(coords[coords.length - 2], pole, coords[0], pole, coords[0], coords[1]);
+  }
+  return coords;
+}
+
+function ringBbox(ring) {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < ring.length; i += 2) {
+    if (ring[i] < bbox[0]) bbox[0] = ring[i];
+    if (ring[i + 1] < bbox[1]) bbox[1] = ring[i + 1];
+    if (ring[i] > bbox[2]) bbox[2] = ring[i];
+    if (ring[i + 1] > bbox[3]) bbox[3] = ring[i + 1];
+  }
+  return bbox;
+}
+
+/**
+ * Decode the geometries of one object in a topology
+ *
+ * @param {Object} topology - From readTopology
+ * @param {string} objectName - e.g. 'land' or 'countries'
+ * @returns {Array<Object>} One entry per geometry: { id, properties, polygons }
+ */
+function decodeObject(topology, objectName) {
+  const arcs = decodeArcs(topology);
+  const object = topology.objects[objectName];
+  if (!object) throw new Error(`Topology has no object named ${objectName}`);
+  const geometries = object.type === 'GeometryCollection' ? object.geometries : [object];
+
+  return geometries.map(geometry => {
+    const shapes = geometry.type === 'Polygon' ? [geometry.arcs]
+      : geometry.type === 'MultiPolygon' ? geometry.arcs
+        : [];
+    // A ring lying along a pole (how the countries object traces Antarctica's
+    // southern edge) encloses nothing on the plane and is dropped
+    const polygons = shapes
+      .map(shape => shape.map(ring => ringFromArcs(ring, arcs)).filter(ring => {
+        const bbox = ringBbox(ring);
+        return Math.min(Math.abs(bbox[1]), Math.abs(bbox[3])) < 89.9;
+      }))
+      .filter(rings => rings.length)
+      .map(rings => ({ rings, bbox: ringBbox(rings[0]) }));
+    return { id: geometry.id ?? null, properties: geometry.properties || {}, polygons };
+  });
+}
+
+/**
+ * Even-odd test of a point against one ring
+ */
+function inRing(lon, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 2; i < ring.length; j = i, i += 2) {
+    const xi = ring[i];
+    const yi = ring[i + 1];
+    const xj = ring[j];
+    const yj = ring[j + 1];
+    if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function inUnwrappedRing(lon, lat, ring, bbox) {
+  if (lat < bbox[1] || lat > bbox[3]) return false;
+  for (const x of [lon, lon + 360, lon - 360]) {
+    if (x >= bbox[0] && x <= bbox[2] && inRing(x, lat, ring)) return true;
+  }
+  return false;
+}
+
+/**
+ * Whether a point is inside a decoded polygon (inside the outer ring and
+ * outside every hole)
+ */
+function inPolygon(lon, lat, polygon) {
+  if (!inUnwrappedRing(lon, lat, polygon.rings[0], polygon.bbox)) return false;
+  if (!polygon.holeBboxes) polygon.holeBboxes = polygon.rings.slice(1).map(ringBbox);
+  for (let i = 1; i < polygon.rings.length; i++) {
+    if (inUnwrappedRing(lon, lat, polygon.rings[i], polygon.holeBboxes[i - 1])) return false;
+  }
+  return true;
+}
+
+/**
+ * Index polygons by 1° cell so a lookup only tests polygons whose bounding
+ * box covers the point's cell
+ *
+ * @param {Array<Object>} items - Anything with a polygons array
+ * @returns {Function} (lat, lon) => items whose polygons may contain the point
+ */
+function gridIndex(items) {
+  const cells = new Map();
+  items.forEach(item => {
+    for (const polygon of item.polygons) {
+      const [minLon, minLat, maxLon, maxLat] = polygon.bbox;
+      for (let x = Math.floor(minLon); x <= Math.min(Math.floor(maxLon), Math.floor(minLon) + 359); x++) {
+        for (let y = Math.floor(minLat); y <= Math.floor(maxLat); y++) {
+          const key = normalizeLon(x) * 1000 + y;
+          const list = cells.get(key) || [];
+          if (list[list.length - 1] !== item) list.push(item);
+          cells.set(key, list);
+        }
+      }
+    }
+  });
+  return (lat, lon) => cells.get(Math.floor(lon) * 1000 + Math.floor(lat)) || [];
+}
+
+/**
+ * Wrap a longitude into [-180, 180)
+ */
+function normalizeLon(lon) {
+  return ((((lon + 180) % 360) + 360) % 360) - 180;
+}
+
+module.exports = {
+  readTopology,
+  decodeObject,
+  inPolygon,
+  gridIndex,
+  normalizeLon
+};
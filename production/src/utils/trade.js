@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { itemById, isTradable } = require('./items');
+const { GEM_RATES, awardGems } = require('./gems');
+const { updateChallengeProgress } = require('./challenges');
+const { transferInstances } = require('./gear');
+
+/**
+ * Player-to-Player Trade Sessions
+ * A session holds what each side is offering (items from inventory and
+ * Drakari). Offers can only change while a side is unlocked; once both sides
+ * lock, each must confirm, and the swap then runs in a single transaction
+ * that re-checks ownership and balances. Sessions live in memory and time out,
+ * nothing is reserved until the swap, and completed swaps are written to
+ * trade_audit for staff review.
+ */
+
+// Active sessions by session ID, plus a lookup of each user's session
+const sessions = new Map();
+const sessionByUser = new Map();
+
+/**
+ * How long a trade window stays open without completing
+ */
+function tradeTimeoutMs() {
+  const minutes = Number(config.economy?.tradeTimeoutMinutes);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : 10) * 60 * 1000;
+}
+
+/**
+ * Get the active session a user is part of, dropping it if it has timed out
+ */
+function getSessionForUser(userId) {
+  const id = sessionByUser.get(userId);
+  const session = id && sessions.get(id);
+  if (!session) return null;
+  if (session.expiresAt <= Date.now()) {
+    endSession(session.id);
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Get a session by ID
+ */
+function getSession(sessionId) {
+  return sessions.get(sessionId) || null;
+}
+
+/**
+ * Open a trade session between two players
+ * @returns {{ok: boolean, reason?: string, session?: Object}}
+ */
+function createSession({ initiatorId, partnerId, guildId = null, channelId = null }) {
+  if (initiatorId === partnerId) return { ok: false, reason: 'self' };
+  if (getSessionForUser(initiatorId)) return { ok: false, reason: 'initiator_busy' };
+  if (getSessionForUser(partnerId)) return { ok: false, reason: 'partner_busy' };
+
+  const now = Date.now();
+  const session = {
+    id: crypto.randomBytes(6).toString('hex'),
+    initiatorId,
+    partnerId,
+    guildId,
+    channelId,
+    offers: {
+      [initiatorId]: { items: new Map(), drakari: 0 },
+      [partnerId]: { items: new Map(), drakari: 0 }
+    },
+    locked: new Set(),
+    confirmed: new Set(),
+    createdAt: now,
+    expiresAt: now + tradeTimeoutMs()
+  };
+
+  sessions.set(session.id, session);
+  sessionByUser.set(initiatorId, session.id);
+  sessionByUser.set(partnerId, session.id);
+  return { ok: true, session };
+}
+
+/**
+ * Close a session and free both players to trade again
+ */
+function endSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) return;
+  sessions.delete(sessionId);
+  for (const userId of [session.initiatorId, session.partnerId]) {
+    if (sessionByUser.get(userId) === sessionId) sessionByUser.delete(userId);
+  }
+}
+
+/**
+ * Check a user may still change their side of the trade
+ */
+function checkEditable(session, userId) {
+  if (!session.offers[userId]) return 'not_participant';
+  if (session.locked.has(userId)) return 'locked';
+  return null;
+}
+
+/**
+ * Set how many of an item a user is offering (0 removes it)
+ * @returns {{ok: boolean, reason?: string, item?: Object, qty?: number}}
+ */
+function setOfferItem(session, userId, itemId, qty) {
+  const blocked = checkEditable(session, userId);
+  if (blocked) return { ok: false, reason: blocked };
+
+  const item = itemById(itemId);
+  if (!item) return { ok: false, reason: 'unknown_item' };
+  if (!isTradable(item.id)) return { ok: false, reason: 'not_tradable' };
+
+  const offer = session.offers[userId];
+  if (qty <= 0) {
+    offer.items.delete(item.id);
+  } else {
+    const inv = db.prepare('SELECT qty FROM inventory WHERE userId=? AND itemId=?').get(userId, item.id);
+    if (!inv || inv.qty < qty) return { ok: false, reason: 'not_enough_items', owned: inv?.qty || 0 };
+    offer.items.set(item.id, qty);
+  }
+
+  // Any change to the offer invalidates earlier confirmations
+  session.confirmed.clear();
+  return { ok: true, item, qty };
+}
+
+/**
+ * Set how much Drakari a user is offering
+ * @returns {{ok: boolean, reason?: string, amount?: number}}
+ */
+function setOfferDrakari(session, userId, amount) {
+  const blocked = checkEditable(session, userId);
+  if (blocked) return { ok: false, reason: blocked };
+  if (!Number.isInteger(amount) || amount < 0) return { ok: false, reason: 'invalid_amount' };
+
+  const player = db.prepare('SELECT drakari FROM players WHERE userId=?').get(userId);
+  if (!player || player.drakari < amount) return { ok: false, reason: 'not_enough_drakari', owned: player?.drakari || 0 };
+
+  session.offers[userId].drakari = amount;
+  session.confirmed.clear();
+  return { ok: true, amount };
+}
+
+/**
+ * Lock or unlock a user's offer. Unlocking clears both confirmations.
+ * @returns {{ok: boolean, reason?: string, locked?: boolean}}
+ */
+function toggleLock(session, userId) {
+  if (!session.offers[userId]) return { ok: false, reason: 'not_participant' };
+  if (session.locked.has(userId)) {
+    session.locked.delete(userId);
+    session.confirmed.clear();
+    return { ok: true, locked: false };
+  }
+  session.locked.add(userId);
+  return { ok: true, locked: true };
+}
+
+/**
+ * Whether either side has put anything on the table
+ */
+function hasOffers(session) {
+  return Object.values(session.offers).some(o => o.items.size > 0 || o.drakari > 0);
+}
+
+/**
+ * Record a user's confirmation. Both sides must be locked first; once both
+ * have confirmed the swap is executed.
+ * @returns {{ok: boolean, reason?: string, completed?: boolean, auditId?: number}}
+ */
+function confirm(session, userId) {
+  if (!session.offers[userId]) return { ok: false, reason: 'not_participant' };
+  if (session.locked.size < 2) return { ok: false, reason: 'not_locked' };
+  if (!hasOffers(session)) return { ok: false, reason: 'empty' };
+
+  session.confirmed.add(userId);
+  if (session.confirmed.size < 2) return { ok: true, completed: false };
+
+  const result = executeTrade(session);
+  if (!result.ok) {
+    // Something changed since the offers were made; make both sides re-check
+    session.locked.clear();
+    session.confirmed.clear();
+    return result;
+  }
+
+  endSession(session.id);
+  rewardTraders(session);
+  return { ok: true, completed: true, auditId: result.auditId };
+}
+
+/**
+ * Items a user is offering as [{itemId, qty}]
+ */
+function offerItems(session, userId) {
+  return [...session.offers[userId].items].map(([itemId, qty]) => ({ itemId, qty }));
+}
+
+/**
+ * Swap both offers in a single transaction, re-validating everything
+ * against the current database state, and write the audit row.
+ * @returns {{ok: boolean, reason?: string, userId?: string, itemId?: string, auditId?: number}}
+ */
+const executeTrade = db.transaction((session) => {
+  const { initiatorId, partnerId } = session;
+  const sides = [[initiatorId, partnerId], [partnerId, initiatorId]];
+
+  // Validate both sides before moving anything
+  for (const [giverId] of sides) {
+    const offer = session.offers[giverId];
+    for (const { itemId, qty } of offerItems(session, giverId)) {
+      if (!isTradable(itemId)) return { ok: false, reason: 'not_tradable', userId: giverId, itemId };
+      const inv = db.prepare('SELECT qty FROM inventory WHERE userId=? AND itemId=?').get(giverId, itemId);
+      if (!inv || inv.qty < qty) return { ok: false, reason: 'not_enough_items', userId: giverId, itemId };
+    }
+    if (offer.drakari > 0) {
+      const player = db.prepare('SELECT drakari FROM players WHERE userId=?').get(giverId);
+      if (!player || player.drakari < offer.drakari) return { ok: false, reason: 'not_enough_drakari', userId: giverId };
+    }
+  }
+
+  for (const [giverId, receiverId] of sides) {
+    const offer = session.offers[giverId];
+    for (const { itemId, qty } of offerItems(session, giverId)) {
+      // Gear copies keep their upgrades and affixes when they change hands
+      transferInstances(giverId, receiverId, itemId, qty);
+      db.prepare('UPDATE inventory SET qty=qty-? WHERE userId=? AND itemId=?').run(qty, giverId, itemId);
+      const inv = db.prepare('SELECT qty FROM inventory WHERE userId=? AND itemId=?').get(receiverId, itemId);
+      if (!inv) db.prepare('INSERT INTO inventory(userId,itemId,qty) VALUES(?,?,?)').run(receiverId, itemId, qty);
+      else db.prepare('UPDATE inventory SET qty=qty+? WHERE userId=? AND itemId=?').run(qty, receiverId, itemId);
+    }
+    if (offer.drakari > 0) {
+      db.prepare('UPDATE players SET drakari=drakari-? WHERE userId=?').run(offer.drakari, giverId);
+      db.prepare('UPDATE players SET drakari=drakari+? WHERE userId=?').run(offer.drakari, receiverId);
+    }
+  }
+  db.prepare('DELETE FROM inventory WHERE qty<=0').run();
+
+  const info = db.prepare(`
+    INSERT INTO trade_audit (sessionId, initiatorId, partnerId, initiatorItems, partnerItems,
+      initiatorDrakari, partnerDrakari, guildId, channelId, createdAt, completedAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    session.id, initiatorId, partnerId,
+    JSON.stringify(offerItems(session, initiatorId)), JSON.stringify(offerItems(session, partnerId)),
+    session.offers[initiatorId].drakari, session.offers[partnerId].drakari,
+    session.guildId, session.channelId, session.createdAt, Date.now()
+  );
+
+  logger.info('trade_complete: %s <-> %s (session %s, audit %s)', initiatorId, partnerId, session.id, info.lastInsertRowid);
+  return { ok: true, auditId: info.lastInsertRowid };
+});
+
+/**
+ * Most gems a player can earn from direct trades in 24 hours
+ */
+function tradeGemsDailyCap() {
+  const cap = Number(config.economy?.tradeGemsDailyCap);
+  return Number.isFinite(cap) && cap >= 0 ? cap : 50;
+}
+
+/**
+ * Count a completed trade toward challenges and trading gems for both players.
+ * Gems are paid only on the Drakari a player comes out ahead by, and capped
+ * per day, so passing the same coins back and forth cannot mint gems.
+ */
+function rewardTraders(session) {
+  const since = Date.now() - 24 * 60 * 60 * 1000;
+  for (const [userId, otherId] of [[session.initiatorId, session.partnerId], [session.partnerId, session.initiatorId]]) {
+    updateChallengeProgress(userId, 'market_trade', 1);
+
+    const netReceived = session.offers[otherId].drakari - session.offers[userId].drakari;
+    if (netReceived < 1000) continue;
+    const earned = db.prepare(`
+      SELECT COALESCE(SUM(amount), 0) AS total FROM gem_transactions
+      WHERE userId = ? AND type = 'direct_trade' AND timestamp >= ?
+    `).get(userId, since).total;
+    const gems = Math.min(
+      Math.floor(netReceived / 1000) * GEM_RATES.MARKET_TRADING_PER_1K,
+      tradeGemsDailyCap() - earned
+    );
+    if (gems > 0) awardGems(userId, gems, 'direct_trade', `Received ${netReceived.toLocaleString()} drakari in a trade`);
+  }
+}
+
+module.exports = {
+  tradeTimeoutMs,
+  getSession,
+  getSessionForUser,
+  createSession,
+  endSession,
+  setOfferItem,
+  setOfferDrakari,
+  toggleLock,
+  confirm,
+  offerItems
+};
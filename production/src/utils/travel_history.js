@@ -1,6 +1,7 @@
 const { db } = require('./store_sqlite');
 const { awardServerVisitGems } = require('./gems');
 const { checkTravelAchievements } = require('./achievements');
+const { syncPassport } = require('./passport');
 
 /**
  * Record a completed travel in the history
@@ -31,11 +32,18 @@ function recordTravel(userId, fromGuildId, toGuildId, travelTime) {
     
     // Check travel achievements
     checkTravelAchievements(userId);
+
+    // Stamp the passport for a new country or continent
+    try {
+      syncPassport(userId);
+    } catch (e) {
+      console.warn('[travel_history] Failed to update passport:', e.message);
+    }
     
     // Update challenge progress (avoid circular dependency)
     try {
       const challenges = require('./challenges');
-      challenges.updateChallengeProgress(userId, 'travel', 1);
+      challenges.updateChallengeProgress(userId, 'travel', 1, { guildId: toGuildId });
     } catch (e) {
       console.warn('[travel_history] Failed to update challenge progress:', e.message);
     }
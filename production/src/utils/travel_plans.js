@@ -0,0 +1,363 @@
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { haversine } = require('./geo');
+const { getPOIById } = require('./pois');
+const { affixBonus } = require('./affixes');
+const { getWeatherEffectsForTravel, isLocationAffectedBySevereWeather } = require('./weather');
+const { vehicleProfile, fuelCost, canAffordFuel, chargeFuel, describeFuel } = require('./vehicles');
+
+/**
+ * Travel Plans
+ * A plan is an ordered list of stops (servers, landmarks, or servers saved
+ * as waypoints) travelled one leg at a time. Queuing a plan starts the first
+ * leg straight away, or when the player's current trip lands. The regen tick
+ * calls advancePlan on every arrival to start the next leg; each leg pays the
+ * same stamina and landmark gems as a /travel trip, plus the fuel of the
+ * vehicle the plan was queued with. A plan stops early if a leg's start or
+ * end lies inside travel-blocking weather the vehicle is not immune to, its
+ * destination is gone, or the player cannot pay for it. Plans move the
+ * planner only, not their party.
+ */
+
+/**
+ * Plan and travel-time settings with defaults (shared with /travel)
+ */
+function planSettings() {
+  const tcfg = config.travel || {};
+  return {
+    maxStops: config.travelPlans?.maxStops ?? 5,
+    minSeconds: tcfg.minSeconds ?? 60,
+    maxSeconds: tcfg.maxSeconds ?? 600,
+    distanceMultiplier: tcfg.distanceMultiplier ?? 0.2,
+    staminaCost: config.stamina?.travelCost ?? 10,
+    maxReduction: (config.stamina?.travelMaxReductionPct ?? 50) / 100
+  };
+}
+
+/**
+ * Where a location is: a server, or a landmark_<poiId> location
+ * @returns {Object|null} Stop with guildId, name, lat, lon and visitCost
+ */
+function locationOf(guildId) {
+  if (!guildId) return null;
+  if (guildId.startsWith('landmark_')) {
+    const poi = getPOIById(guildId.replace('landmark_', ''));
+    if (!poi || !poi.enabled) return null;
+    return { kind: 'landmark', guildId, name: poi.name, lat: poi.lat, lon: poi.lon, visitCost: poi.visitCost || 0, emoji: poi.emoji };
+  }
+  const server = db.prepare('SELECT guildId, name, lat, lon FROM servers WHERE guildId = ? AND archived = 0').get(guildId);
+  if (!server || server.lat == null || server.lon == null) return null;
+  return { kind: 'server', guildId, name: server.name || guildId, lat: server.lat, lon: server.lon, visitCost: 0 };
+}
+
+/**
+ * Resolve a stop chosen in /travel plan. Autocomplete sends
+ * server:<guildId>, landmark:<poiId> or waypoint:<name>; typed text is
+ * matched against the player's waypoints, then landmarks, then servers.
+ * @returns {Object|null} Stop, or null if nothing matches
+ */
+function resolveStop(userId, value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  const [prefix, ...rest] = text.split(':');
+  const key = rest.join(':');
+
+  const waypoint = (name) => {
+    const wp = db.prepare('SELECT name, guildId FROM waypoints WHERE userId = ? AND name = ? COLLATE NOCASE').get(userId, name);
+    const stop = wp && locationOf(wp.guildId);
+    return stop ? { ...stop, kind: 'waypoint', name: `${wp.name} (${stop.name})` } : null;
+  };
+  const landmark = (query) => {
+    const poi = db.prepare('SELECT id FROM pois WHERE enabled = 1 AND (id = ? OR name = ? COLLATE NOCASE)').get(query, query);
+    return poi ? locationOf(`landmark_${poi.id}`) : null;
+  };
+  const server = (query) => {
+    const row = db.prepare(`
+      SELECT guildId FROM servers WHERE archived = 0 AND lat IS NOT NULL AND lon IS NOT NULL AND (guildId = ? OR name LIKE ?)
+      ORDER BY guildId = ? DESC LIMIT 1
+    `).get(query, `%${query}%`, query);
+    return row ? locationOf(row.guildId) : null;
+  };
+
+  if (prefix === 'waypoint' && key) return waypoint(key);
+  if (prefix === 'landmark' && key) return landmark(key);
+  if (prefix === 'server' && key) return server(key);
+  return waypoint(text) || landmark(text) || server(text);
+}
+
+/**
+ * Travel-blocking weather at either end of a leg. Storms along the way are
+ * flown around, but a leg cannot leave from or land inside one.
+ * @returns {Object|null} Blocking weather type, or null if the leg is clear
+ */
+function blockingWeather(from, to, immunities = []) {
+  for (const point of [from, to]) {
+    const check = isLocationAffectedBySevereWeather(point.lat, point.lon, immunities);
+    if (check.blocked) return check.weatherType;
+  }
+  return null;
+}
+
+/**
+ * Estimate one leg with the /travel formula: base time from the weather-safe
+ * route distance and vehicle speed, slowed by weather, shortened by stamina
+ * and travel-time affixes, then clamped.
+ *
+ * @param {Object} from - Origin with lat/lon
+ * @param {Object} to - Destination with lat/lon
+ * @param {Object} opts - speed, stamina, gearFactor and weather immunities of the traveller
+ */
+function estimateLeg(from, to, { speed = 1, stamina = 0, gearFactor = 1, immunities = [] } = {}) {
+  const settings = planSettings();
+  let weather = null;
+  try {
+    weather = getWeatherEffectsForTravel(from.lat, from.lon, to.lat, to.lon, immunities);
+  } catch (e) {
+    logger.warn('[travel_plans] Weather unavailable: %s', e.message);
+  }
+  const distanceKm = weather ? weather.totalDistance : haversine(from.lat, from.lon, to.lat, to.lon);
+  const multiplier = weather?.timeMultiplier || 1;
+  const staminaFactor = 1 - Math.min(settings.maxReduction, stamina / 200);
+  const base = (settings.minSeconds + (distanceKm * settings.distanceMultiplier) / speed) * multiplier;
+  const seconds = Math.min(settings.maxSeconds, Math.max(settings.minSeconds, Math.round(base * staminaFactor * gearFactor)));
+  const blockedBy = blockingWeather(from, to, immunities);
+
+  return {
+    distanceKm,
+    seconds,
+    multiplier,
+    detourRequired: !!weather?.detourRequired,
+    weatherDescription: weather?.detourRequired ? `Detour around ${weather.weatherAvoided}` : (weather?.weatherDescription || 'Clear skies'),
+    blockedBy: blockedBy ? blockedBy.name : null
+  };
+}
+
+/**
+ * Where the player's next leg would leave from, and when. A player in the
+ * air leaves from their destination once they land.
+ */
+function departurePoint(userId) {
+  const player = db.prepare('SELECT locationGuildId, travelArrivalAt, stamina FROM players WHERE userId = ?').get(userId);
+  if (!player) return null;
+  const travelling = (player.travelArrivalAt || 0) > Date.now();
+  return {
+    location: locationOf(player.locationGuildId),
+    travelling,
+    departsAt: travelling ? player.travelArrivalAt : Date.now(),
+    stamina: player.stamina || 0
+  };
+}
+
+/**
+ * Estimate a whole itinerary from where the player is (or will land).
+ * Later legs assume stamina keeps dropping by the travel cost, so the total
+ * errs on the slow side. Every leg must be within the vehicle's range.
+ *
+ * @param {string} userId - Player planning the trip
+ * @param {Array<Object>} stops - Stops from resolveStop, in order
+ * @param {Object} vehicle - Vehicle profile from utils/vehicles
+ * @returns {{ok: boolean, reason?: string, legs?: Array, totalSeconds?: number, totalGems?: number, totalStamina?: number, totalFuel?: Object, departsAt?: number, travelling?: boolean}}
+ */
+function estimatePlan(userId, stops, vehicle = vehicleProfile('plane')) {
+  const settings = planSettings();
+  if (!stops.length) return { ok: false, reason: 'no_stops' };
+  if (stops.length > settings.maxStops) return { ok: false, reason: 'too_many_stops', max: settings.maxStops };
+
+  const start = departurePoint(userId);
+  if (!start?.location) return { ok: false, reason: 'no_location' };
+
+  const gearFactor = 1 - affixBonus(userId, 'travelTimePct') / 100;
+  const legs = [];
+  let from = start.location;
+  let stamina = start.stamina;
+  for (const stop of stops) {
+    if (stop.guildId === from.guildId) return { ok: false, reason: 'same_stop', stop };
+    const leg = { from, to: stop, ...estimateLeg(from, stop, { speed: vehicle.speed, stamina, gearFactor, immunities: vehicle.immunities }) };
+    // Range is judged on the straight line; detours around weather do not count against it
+    const straightKm = haversine(from.lat, from.lon, stop.lat, stop.lon);
+    if (vehicle.rangeKm != null && straightKm > vehicle.rangeKm) {
+      return { ok: false, reason: 'out_of_range', stop, vehicle: vehicle.name, range: vehicle.rangeKm };
+    }
+    leg.fuel = fuelCost(vehicle, straightKm);
+    legs.push(leg);
+    stamina = Math.max(0, stamina - settings.staminaCost);
+    from = stop;
+  }
+
+  const fuelUsed = legs.reduce((sum, leg) => sum + (leg.fuel?.amount || 0), 0);
+  return {
+    ok: true,
+    legs,
+    totalSeconds: legs.reduce((sum, leg) => sum + leg.seconds, 0),
+    totalGems: legs.reduce((sum, leg) => sum + (leg.to.visitCost || 0), 0),
+    totalStamina: legs.length * settings.staminaCost,
+    totalFuel: fuelUsed ? { resource: vehicle.fuel.resource, amount: fuelUsed } : null,
+    departsAt: start.departsAt,
+    travelling: start.travelling
+  };
+}
+
+/**
+ * A plan with its legs
+ */
+function getPlan(planId) {
+  const plan = db.prepare('SELECT * FROM travel_plans WHERE id = ?').get(planId);
+  if (!plan) return null;
+  plan.legs = db.prepare('SELECT * FROM travel_plan_legs WHERE planId = ? ORDER BY seq ASC').all(planId);
+  return plan;
+}
+
+/**
+ * The player's active plan, if any
+ */
+function getActivePlan(userId) {
+  const row = db.prepare("SELECT id FROM travel_plans WHERE userId = ? AND status = 'active' ORDER BY id DESC LIMIT 1").get(userId);
+  return row ? getPlan(row.id) : null;
+}
+
+/**
+ * The player's most recent plan, active or finished
+ */
+function latestPlan(userId) {
+  const row = db.prepare('SELECT id FROM travel_plans WHERE userId = ? ORDER BY id DESC LIMIT 1').get(userId);
+  return row ? getPlan(row.id) : null;
+}
+
+/**
+ * End a plan, leaving its remaining legs pending
+ */
+function endPlan(planId, status, reason = null) {
+  db.prepare('UPDATE travel_plans SET status = ?, stopReason = ?, endedAt = ? WHERE id = ?').run(status, reason, Date.now(), planId);
+}
+
+/**
+ * Start the next pending leg of a plan from the player's current location.
+ * Stops the plan if the leg cannot start, and completes it when no legs are
+ * left.
+ * @returns {{ok: boolean, reason?: string, leg?: Object, arrival?: number, completed?: boolean}}
+ */
+function startNextLeg(planId) {
+  const plan = getPlan(planId);
+  if (!plan || plan.status !== 'active') return { ok: false, reason: 'no_plan' };
+  const leg = plan.legs.find(l => l.status === 'pending');
+  if (!leg) {
+    endPlan(planId, 'completed');
+    logger.info('travel_plan_complete: %s finished plan %s', plan.userId, planId);
+    return { ok: true, completed: true };
+  }
+
+  const stop = (reason) => {
+    if (reason === 'blocked') db.prepare("UPDATE travel_plan_legs SET status = 'blocked' WHERE planId = ? AND seq = ?").run(planId, leg.seq);
+    endPlan(planId, 'stopped', reason);
+    logger.info('travel_plan_stopped: %s plan %s at leg %s (%s)', plan.userId, planId, leg.seq, reason);
+    return { ok: false, reason, leg };
+  };
+
+  const player = db.prepare('SELECT locationGuildId, stamina, gems FROM players WHERE userId = ?').get(plan.userId);
+  const from = locationOf(player?.locationGuildId);
+  const to = locationOf(leg.guildId);
+  if (!from || !to) return stop('unavailable');
+  const vehicle = plan.vehicleId ? vehicleProfile(plan.vehicleId) : { speed: plan.speedMultiplier, rangeKm: null, fuel: null, immunities: [] };
+  if (blockingWeather(from, to, vehicle.immunities)) return stop('blocked');
+  if ((player.gems || 0) < to.visitCost) return stop('insufficient_gems');
+  const straightKm = haversine(from.lat, from.lon, to.lat, to.lon);
+  if (vehicle.rangeKm != null && straightKm > vehicle.rangeKm) return stop('out_of_range');
+  const fuel = fuelCost(vehicle, straightKm);
+  if (!canAffordFuel(plan.userId, fuel)) return stop('no_fuel');
+
+  const settings = planSettings();
+  const { seconds } = estimateLeg(from, to, {
+    speed: plan.speedMultiplier,
+    stamina: player.stamina || 0,
+    gearFactor: 1 - affixBonus(plan.userId, 'travelTimePct') / 100,
+    immunities: vehicle.immunities
+  });
+  const now = Date.now();
+  const arrival = now + seconds * 1000;
+
+  db.prepare('UPDATE players SET stamina = ?, staminaUpdatedAt = ?, gems = COALESCE(gems, 0) - ? WHERE userId = ?')
+    .run(Math.max(0, (player.stamina || 0) - settings.staminaCost), now, to.visitCost, plan.userId);
+  chargeFuel(plan.userId, fuel);
+  db.prepare('UPDATE players SET travelArrivalAt = ?, travelStartAt = ?, locationGuildId = ?, travelFromGuildId = ? WHERE userId = ?')
+    .run(arrival, now, to.guildId, from.guildId, plan.userId);
+  db.prepare("UPDATE travel_plan_legs SET status = 'travelling', startedAt = ? WHERE planId = ? AND seq = ?").run(now, planId, leg.seq);
+
+  logger.info('travel_plan_leg: %s plan %s leg %s to %s (%ss)', plan.userId, planId, leg.seq, to.guildId, seconds);
+  return { ok: true, leg: { ...leg, status: 'travelling', startedAt: now }, arrival, seconds };
+}
+
+/**
+ * Queue an itinerary. The first leg starts now, or when the player's current
+ * trip lands.
+ *
+ * @param {string} userId - Player queuing the plan
+ * @param {Array<Object>} stops - Stops from resolveStop, in order
+ * @param {Object} vehicle - Vehicle profile from utils/vehicles, kept for every leg
+ * @returns {{ok: boolean, reason?: string, plan?: Object, estimate?: Object, started?: Object}}
+ */
+const queuePlan = db.transaction((userId, stops, vehicle = vehicleProfile('plane')) => {
+  if (getActivePlan(userId)) return { ok: false, reason: 'plan_active' };
+  const estimate = estimatePlan(userId, stops, vehicle);
+  if (!estimate.ok) return estimate;
+  if (!estimate.travelling && estimate.legs[0].blockedBy) return { ok: false, reason: 'blocked', weather: estimate.legs[0].blockedBy };
+  const gems = db.prepare('SELECT gems FROM players WHERE userId = ?').get(userId)?.gems || 0;
+  if (gems < estimate.totalGems) return { ok: false, reason: 'insufficient_gems', needed: estimate.totalGems };
+  if (!canAffordFuel(userId, estimate.totalFuel)) return { ok: false, reason: 'insufficient_fuel', fuel: describeFuel(estimate.totalFuel) };
+
+  const planId = db.prepare('INSERT INTO travel_plans (userId, speedMultiplier, vehicleId, estimatedSeconds, createdAt) VALUES (?, ?, ?, ?, ?)')
+    .run(userId, vehicle.speed, vehicle.id, estimate.totalSeconds, Date.now()).lastInsertRowid;
+  const insertLeg = db.prepare('INSERT INTO travel_plan_legs (planId, seq, kind, guildId, name, estimatedSeconds) VALUES (?, ?, ?, ?, ?, ?)');
+  estimate.legs.forEach((leg, i) => insertLeg.run(planId, i + 1, leg.to.kind, leg.to.guildId, leg.to.name, leg.seconds));
+  logger.info('travel_plan_queued: %s plan %s with %s legs', userId, planId, estimate.legs.length);
+
+  // Someone already in the air picks the plan up when they land
+  const started = estimate.travelling ? null : startNextLeg(planId);
+  return { ok: true, plan: getPlan(planId), estimate, started };
+});
+
+/**
+ * Move a player's plan along after they arrive somewhere. Called by the
+ * regen tick for every completed trip, after it has been recorded.
+ * @returns {Object|null} Result of starting the next leg, or null without a plan
+ */
+function advancePlan(userId, arrivedGuildId) {
+  const plan = getActivePlan(userId);
+  if (!plan) return null;
+  const current = plan.legs.find(l => l.status === 'travelling');
+  if (current) {
+    // The player went somewhere else mid-plan; do not drag them back on course
+    if (current.guildId !== arrivedGuildId) {
+      endPlan(plan.id, 'stopped', 'rerouted');
+      return { ok: false, reason: 'rerouted' };
+    }
+    db.prepare("UPDATE travel_plan_legs SET status = 'done', arrivedAt = ? WHERE planId = ? AND seq = ?").run(Date.now(), plan.id, current.seq);
+  }
+  return startNextLeg(plan.id);
+}
+
+/**
+ * Cancel the player's active plan. A leg already in the air still lands.
+ * @returns {{ok: boolean, reason?: string, plan?: Object}}
+ */
+function cancelPlan(userId, reason = null) {
+  const plan = getActivePlan(userId);
+  if (!plan) return { ok: false, reason: 'no_plan' };
+  endPlan(plan.id, 'cancelled', reason);
+  logger.info('travel_plan_cancelled: %s plan %s', userId, plan.id);
+  return { ok: true, plan: getPlan(plan.id) };
+}
+
+module.exports = {
+  planSettings,
+  locationOf,
+  resolveStop,
+  estimateLeg,
+  estimatePlan,
+  getPlan,
+  getActivePlan,
+  latestPlan,
+  queuePlan,
+  advancePlan,
+  cancelPlan
+};
@@ -0,0 +1,138 @@
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const { itemById } = require('./items');
+const { isPremium } = require('./roles');
+
+/**
+ * Vehicles
+ * The vehicle a player has equipped decides how they travel. Every vehicle
+ * item moves at its vehicleSpeedMultiplier; vehicles with a profile in
+ * config.vehicles also get a class (ship, helicopter, airship, ...), a range
+ * limit per trip, a fuel cost in stamina or Drakari, a cargo bonus on items
+ * picked up while travelling, and immunities to weather whose special
+ * effects (WEATHER_TYPES[type].specialEffects) they are built for. Premium
+ * players still flying the default plane travel by private jet.
+ */
+
+/**
+ * Travel profile of a vehicle item, with defaults for vehicles that have no
+ * entry in config.vehicles
+ *
+ * @param {string} itemId - Vehicle item id
+ * @returns {{id: string, name: string, class: string, speed: number, rangeKm: number|null, fuel: Object|null, cargoBonusPct: number, immunities: string[]}}
+ */
+function vehicleProfile(itemId) {
+  const item = itemById(itemId);
+  const profile = config.vehicles?.[itemId] || {};
+  return {
+    id: itemId || 'plane',
+    name: profile.name || item?.name || 'Commercial Plane',
+    class: profile.class || 'plane',
+    speed: profile.speedMultiplier ?? item?.vehicleSpeedMultiplier ?? 1,
+    rangeKm: profile.rangeKm ?? null,
+    fuel: profile.fuel?.resource ? { base: 0, perKm: 0, ...profile.fuel } : null,
+    cargoBonusPct: profile.cargoBonusPct || 0,
+    immunities: profile.weatherImmunities || []
+  };
+}
+
+/**
+ * Profile of the vehicle a player has equipped (no client needed, so no
+ * premium upgrade; for background jobs)
+ */
+function equippedVehicle(userId) {
+  const row = db.prepare("SELECT itemId FROM equipment WHERE userId = ? AND slot = 'vehicle'").get(userId);
+  return vehicleProfile(row?.itemId || 'plane');
+}
+
+/**
+ * Vehicle a player travels with: their equipped vehicle, or the private jet
+ * for premium players on the default plane
+ *
+ * @param {Client} client - Discord client for the premium check
+ * @param {string} userId - Player travelling
+ */
+async function travelVehicle(client, userId) {
+  const vehicle = equippedVehicle(userId);
+  if (vehicle.id === 'plane' && await isPremium(client, userId)) return vehicleProfile('private_jet');
+  return vehicle;
+}
+
+/**
+ * What a group can do together: the slowest speed, the shortest range, and
+ * only the weather immunities every vehicle shares
+ *
+ * @param {Array<Object>} vehicles - Profiles of each traveller's vehicle
+ */
+function combineVehicles(vehicles) {
+  const ranges = vehicles.map(v => v.rangeKm).filter(r => r != null);
+  return {
+    speed: Math.min(...vehicles.map(v => v.speed)),
+    rangeKm: ranges.length ? Math.min(...ranges) : null,
+    immunities: vehicles[0].immunities.filter(tag => vehicles.every(v => v.immunities.includes(tag)))
+  };
+}
+
+/**
+ * Fuel a vehicle burns over a distance
+ * @returns {{resource: string, amount: number}|null} Null for vehicles that need no fuel
+ */
+function fuelCost(vehicle, distanceKm) {
+  if (!vehicle.fuel) return null;
+  const amount = Math.ceil(vehicle.fuel.base + vehicle.fuel.perKm * distanceKm);
+  return amount > 0 ? { resource: vehicle.fuel.resource, amount } : null;
+}
+
+/**
+ * Whether a player has the fuel for a trip
+ */
+function canAffordFuel(userId, cost) {
+  if (!cost) return true;
+  const player = db.prepare('SELECT stamina, drakari FROM players WHERE userId = ?').get(userId) || {};
+  return (player[cost.resource] || 0) >= cost.amount;
+}
+
+/**
+ * Take a trip's fuel from a player
+ */
+function chargeFuel(userId, cost) {
+  if (!cost) return;
+  if (cost.resource === 'stamina') {
+    db.prepare('UPDATE players SET stamina = MAX(0, COALESCE(stamina, 0) - ?), staminaUpdatedAt = ? WHERE userId = ?').run(cost.amount, Date.now(), userId);
+  } else {
+    db.prepare('UPDATE players SET drakari = MAX(0, COALESCE(drakari, 0) - ?) WHERE userId = ?').run(cost.amount, userId);
+  }
+}
+
+/**
+ * Short label for a fuel cost, e.g. "40 Drakari" or "7 stamina"
+ */
+function describeFuel(cost) {
+  if (!cost) return 'None';
+  return `${cost.amount.toLocaleString()} ${cost.resource === 'drakari' ? config.currencyName : 'stamina'}`;
+}
+
+/**
+ * Scale item rewards picked up while travelling by the cargo bonus of the
+ * player's equipped vehicle
+ *
+ * @param {string} userId - Player receiving the items
+ * @param {Array<{id: string, qty: number}>} items - Items before the bonus
+ */
+function withCargoBonus(userId, items = []) {
+  const { cargoBonusPct } = equippedVehicle(userId);
+  if (!cargoBonusPct) return items;
+  return items.map(i => ({ ...i, qty: Math.max(1, Math.round((i.qty ?? 1) * (1 + cargoBonusPct / 100))) }));
+}
+
+module.exports = {
+  vehicleProfile,
+  equippedVehicle,
+  travelVehicle,
+  combineVehicles,
+  fuelCost,
+  canAffordFuel,
+  chargeFuel,
+  describeFuel,
+  withCargoBonus
+};
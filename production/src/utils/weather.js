@@ -1,10 +1,8 @@
 const { db } = require('./store_sqlite');
-
-// Discord notification configuration
-const DISCORD_CONFIG = {
-  WEATHER_CHANNEL_ID: '1411045103921004554',
-  WEATHER_ROLE_ID: '1411069664339034152'
-};
+const config = require('./config');
+const { dispatch } = require('./notifications');
+const { emitGameEvent } = require('./game_events');
+const { isLandAt } = require('./land_mask');
 
 // Geographic weather preferences based on real-world climate patterns
 const WEATHER_GEOGRAPHY = {
@@ -122,6 +120,12 @@ function generateRealisticWeatherLocation(weatherType, weatherData, servers, act
       potentialLocation = generateRandomGlobalLocation();
     }
     
+    // Continental weather (sandstorms) only forms over land
+    if (geoPrefs && geoPrefs.lonPreference === 'continental' &&
+        !isLandAt(potentialLocation.centerLat, potentialLocation.centerLon)) {
+      continue;
+    }
+    
     // Check minimum distance from existing weather events
     let tooClose = false;
     for (const existingWeather of activeWeatherEvents) {
@@ -188,38 +192,55 @@ function generateLocationInRegion(region) {
 }
 
 /**
- * Generate a completely random global location
+ * Generate a completely random global location. Oceanic picks are kept over
+ * water and continental picks over land, checked against the land mask.
  */
 function generateRandomGlobalLocation() {
   // Favor populated areas but allow oceanic weather
   const isOceanic = Math.random() < 0.3; // 30% chance for oceanic weather
+  const generate = isOceanic ? generateOceanicLocation : generateContinentalLocation;
   
-  if (isOceanic) {
-    // Generate oceanic location
-    return {
-      centerLat: -60 + Math.random() * 120, // -60 to +60
-      centerLon: -180 + Math.random() * 360  // Full longitude range
-    };
-  } else {
-    // Generate continental location (weighted towards populated areas)
-    const populatedAreas = [
-      { lat: 40, lon: -100, weight: 0.2 }, // North America
-      { lat: -15, lon: -60, weight: 0.15 }, // South America
-      { lat: 50, lon: 10, weight: 0.15 },   // Europe
-      { lat: 0, lon: 20, weight: 0.1 },     // Africa
-      { lat: 35, lon: 100, weight: 0.25 },  // Asia
-      { lat: -25, lon: 140, weight: 0.1 },  // Australia
-      { lat: 70, lon: 0, weight: 0.05 }     // Arctic
-    ];
-    
-    const chosen = populatedAreas[Math.floor(Math.random() * populatedAreas.length)];
-    
-    // Add significant randomness (±20 degrees) for global spread
-    return {
-      centerLat: Math.max(-85, Math.min(85, chosen.lat + (Math.random() - 0.5) * 40)),
-      centerLon: chosen.lon + (Math.random() - 0.5) * 40
-    };
+  // A handful of tries is plenty: roughly 70% of the band is ocean, and the
+  // populated areas are mostly land
+  let location = generate();
+  for (let attempt = 1; attempt < 20 && isLandAt(location.centerLat, location.centerLon) === isOceanic; attempt++) {
+    location = generate();
   }
+  return location;
+}
+
+/**
+ * Random location anywhere between 60°S and 60°N
+ */
+function generateOceanicLocation() {
+  return {
+    centerLat: -60 + Math.random() * 120, // -60 to +60
+    centerLon: -180 + Math.random() * 360  // Full longitude range
+  };
+}
+
+/**
+ * Random location around a populated area
+ */
+function generateContinentalLocation() {
+  // Weighted towards populated areas
+  const populatedAreas = [
+    { lat: 40, lon: -100, weight: 0.2 }, // North America
+    { lat: -15, lon: -60, weight: 0.15 }, // South America
+    { lat: 50, lon: 10, weight: 0.15 },   // Europe
+    { lat: 0, lon: 20, weight: 0.1 },     // Africa
+    { lat: 35, lon: 100, weight: 0.25 },  // Asia
+    { lat: -25, lon: 140, weight: 0.1 },  // Australia
+    { lat: 70, lon: 0, weight: 0.05 }     // Arctic
+  ];
+  
+  const chosen = populatedAreas[Math.floor(Math.random() * populatedAreas.length)];
+  
+  // Add significant randomness (±20 degrees) for global spread
+  return {
+    centerLat: Math.max(-85, Math.min(85, chosen.lat + (Math.random() - 0.5) * 40)),
+    centerLon: chosen.lon + (Math.random() - 0.5) * 40
+  };
 }
 
 /**
@@ -503,67 +524,13 @@ const WEATHER_TYPES = {
 };
 
 /**
- * Initialize weather system database tables
- */
-function initializeWeatherSystem() {
-  try {
-    // Create weather_events table with enhanced schema
-    db.prepare(`
-      CREATE TABLE IF NOT EXISTS weather_events (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        type TEXT NOT NULL,
-        centerLat REAL NOT NULL,
-        centerLon REAL NOT NULL,
-        radius REAL NOT NULL,
-        severity INTEGER NOT NULL,
-        startTime INTEGER NOT NULL,
-        endTime INTEGER NOT NULL,
-        active INTEGER DEFAULT 1,
-        specialEffects TEXT,
-        created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000)
-      )
-    `).run();
-    
-    // Add specialEffects column if it doesn't exist (migration)
-    try {
-      db.prepare('ALTER TABLE weather_events ADD COLUMN specialEffects TEXT').run();
-    } catch (error) {
-      // Column already exists, that's fine
-    }
-    
-    // Create weather_encounters table for tracking player interactions
-    db.prepare(`
-      CREATE TABLE IF NOT EXISTS weather_encounters (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        userId TEXT NOT NULL,
-        weatherEventId INTEGER NOT NULL,
-        encounterType TEXT NOT NULL, -- 'avoided', 'flew_through', 'detoured'
-        timestamp INTEGER NOT NULL,
-        FOREIGN KEY (weatherEventId) REFERENCES weather_events(id)
-      )
-    `).run();
-    
-    console.log('[weather] Weather system database initialized');
-    return true;
-  } catch (error) {
-    console.error('[weather] Failed to initialize weather system:', error.message);
-    return false;
-  }
-}
-
-/**
- * Send Discord notification for significant weather events
+ * Send Discord notification for significant weather events to the network
+ * weather channel and every server subscribed to weather alerts
  */
 async function notifyDiscordWeatherEvent(weatherEvent, weatherType, client) {
   try {
-    if (!client || weatherType.severity < 3) {
-      return; // Only notify for moderate weather (severity 3+) and above
-    }
-
-    const channel = await client.channels.fetch(DISCORD_CONFIG.WEATHER_CHANNEL_ID);
-    if (!channel) {
-      console.warn('[weather] Could not find weather notification channel');
-      return;
+    if (!client || weatherType.severity < (config.notifications?.weatherMinSeverity ?? 3)) {
+      return; // Only notify for moderate weather (severity 3+ by default) and above
     }
 
     // Calculate duration
@@ -615,13 +582,13 @@ async function notifyDiscordWeatherEvent(weatherEvent, weatherType, client) {
       })
       .setTimestamp();
 
-    // Send notification with role mention
-    await channel.send({
-      content: `<@&${DISCORD_CONFIG.WEATHER_ROLE_ID}> ${isSevereWeather ? '**SEVERE WEATHER ALERT**' : '**WEATHER ADVISORY**'}`,
+    // Send notification (each channel pings its own weather role)
+    const sent = await dispatch(client, 'weather', {
+      content: isSevereWeather ? '**SEVERE WEATHER ALERT**' : '**WEATHER ADVISORY**',
       embeds: [embed]
     });
 
-    console.log(`[weather] Sent Discord notification for ${weatherType.name} event`);
+    console.log(`[weather] Sent Discord notification for ${weatherType.name} event to ${sent.length} channel(s)`);
 
   } catch (error) {
     console.error('[weather] Failed to send Discord notification:', error.message);
@@ -703,6 +670,7 @@ function generateWeatherEvents(client = null) {
         if (client) {
           notifyDiscordWeatherEvent(weatherEvent, weather, client);
         }
+        emitWeatherCreated(weatherEvent, weather);
         
         console.log(`[weather] Generated ${weather.name} at (${location.centerLat.toFixed(2)}, ${location.centerLon.toFixed(2)}), radius: ${finalRadius}km, duration: ${Math.round(duration / 1000 / 60)}min, severity: ${weather.severity}`);
       }
@@ -713,6 +681,17 @@ function generateWeatherEvents(client = null) {
   }
 }
 
+/**
+ * Whether a vehicle can ignore a weather type: true if the weather has one of
+ * the special effects the vehicle is immune to
+ *
+ * @param {Object} weatherType - Entry of WEATHER_TYPES
+ * @param {string[]} immunities - Special effects the vehicle ignores
+ */
+function isImmuneTo(weatherType, immunities = []) {
+  return (weatherType?.specialEffects || []).some(effect => immunities.includes(effect));
+}
+
 /**
  * Get all active weather events
  */
@@ -732,12 +711,12 @@ function getActiveWeather() {
 /**
  * Check if a coordinate is affected by severe weather
  */
-function isLocationAffectedBySevereWeather(lat, lon) {
+function isLocationAffectedBySevereWeather(lat, lon, immunities = []) {
   const activeWeather = getActiveWeather();
   
   for (const weather of activeWeather) {
     const weatherType = WEATHER_TYPES[weather.type];
-    if (!weatherType || !weatherType.blockTravel) continue;
+    if (!weatherType || !weatherType.blockTravel || isImmuneTo(weatherType, immunities)) continue;
     
     const distance = calculateDistance(lat, lon, weather.centerLat, weather.centerLon);
     if (distance <= weather.radius) {
@@ -770,8 +749,8 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
 /**
  * Find safe path around severe weather using A* pathfinding
  */
-function findSafePathAroundWeather(fromLat, fromLon, toLat, toLon) {
-  const activeWeather = getActiveWeather().filter(w => WEATHER_TYPES[w.type]?.blockTravel);
+function findSafePathAroundWeather(fromLat, fromLon, toLat, toLon, immunities = []) {
+  const activeWeather = getActiveWeather().filter(w => WEATHER_TYPES[w.type]?.blockTravel && !isImmuneTo(WEATHER_TYPES[w.type], immunities));
   
   // If no severe weather, return direct path
   if (activeWeather.length === 0) {
@@ -906,10 +885,11 @@ function calculatePathDistance(path) {
 }
 
 /**
- * Get weather effects for a travel route
+ * Get weather effects for a travel route. Weather the vehicle is immune to
+ * (see isImmuneTo) neither forces a detour nor slows the trip.
  */
-function getWeatherEffectsForTravel(fromLat, fromLon, toLat, toLon) {
-  const pathResult = findSafePathAroundWeather(fromLat, fromLon, toLat, toLon);
+function getWeatherEffectsForTravel(fromLat, fromLon, toLat, toLon, immunities = []) {
+  const pathResult = findSafePathAroundWeather(fromLat, fromLon, toLat, toLon, immunities);
   
   // Check for weather along the safe path that affects travel time
   const weatherEffects = [];
@@ -918,7 +898,7 @@ function getWeatherEffectsForTravel(fromLat, fromLon, toLat, toLon) {
   const allWeather = getActiveWeather();
   for (const weather of allWeather) {
     const weatherType = WEATHER_TYPES[weather.type];
-    if (!weatherType) continue;
+    if (!weatherType || isImmuneTo(weatherType, immunities)) continue;
     
     // Check if any point in path is affected by this weather
     for (const point of pathResult.path) {
@@ -961,6 +941,23 @@ function recordWeatherEncounter(userId, weatherEventId, encounterType) {
   }
 }
 
+/**
+ * Report a new weather event on the game event bus (outbound webhooks)
+ */
+function emitWeatherCreated(weatherEvent, weatherType) {
+  emitGameEvent('weather.created', {
+    weatherId: Number(weatherEvent.id),
+    type: weatherEvent.type,
+    name: weatherType.name,
+    severity: weatherEvent.severity,
+    centerLat: weatherEvent.centerLat,
+    centerLon: weatherEvent.centerLon,
+    radiusKm: weatherEvent.radius,
+    startTime: weatherEvent.startTime,
+    endTime: Math.round(weatherEvent.endTime)
+  });
+}
+
 /**
  * Create a weather event at specific coordinates (for staff commands)
  */
@@ -1010,9 +1007,10 @@ function createWeatherEvent(type, lat, lon, durationMinutes = 60, customRadius =
     console.log(`[weather] Created ${weatherType.name} at ${lat}, ${lon} (${radius}km radius, ${durationMinutes}min duration)`);
 
     // Send Discord notification for moderate and severe weather
-    if (weatherType.severity >= 3 && client) {
+    if (client) {
       notifyDiscordWeatherEvent(weatherEvent, weatherType, client);
     }
+    emitWeatherCreated(weatherEvent, weatherType);
 
     return weatherEvent;
   } catch (error) {
@@ -1131,10 +1129,10 @@ async function createWeatherInCountry(type, countryName, client = null) {
 
 module.exports = {
   WEATHER_TYPES,
-  initializeWeatherSystem,
   generateWeatherEvents,
   getActiveWeather,
   isLocationAffectedBySevereWeather,
+  isImmuneTo,
   findSafePathAroundWeather,
   getWeatherEffectsForTravel,
   recordWeatherEncounter,
@@ -62,42 +62,26 @@ async function performWeeklyReset() {
         // Reset any weekly statistics or achievements
         logger.info('[weekly-reset] Resetting weekly player statistics...');
 
+        // Close out the clan leaderboard and decay territory damage
+        // (required here because clans.js uses getWeekStart from this module)
+        logger.info('[weekly-reset] Closing the clan week...');
+        const clanResult = require('./clans').closeWeek();
+        logger.info(`[weekly-reset] Ranked ${clanResult.placed} clans, decayed ${clanResult.decayed} territory records`);
+
         // Create a weekly reset log entry
-        try {
-            db.prepare(`
-                INSERT OR REPLACE INTO weekly_resets (week_start, reset_timestamp, items_reset)
-                VALUES (?, ?, ?)
-            `).run(
-                getWeekStart().getTime(),
-                resetTimestamp,
-                JSON.stringify({
-                    travel_records: travelResult.changes,
-                    weather_events: weatherResult.changes
-                })
-            );
-        } catch (error) {
-            // Table might not exist, create it
-            db.prepare(`
-                CREATE TABLE IF NOT EXISTS weekly_resets (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    week_start INTEGER NOT NULL,
-                    reset_timestamp INTEGER NOT NULL,
-                    items_reset TEXT
-                )
-            `).run();
-
-            db.prepare(`
-                INSERT INTO weekly_resets (week_start, reset_timestamp, items_reset)
-                VALUES (?, ?, ?)
-            `).run(
-                getWeekStart().getTime(),
-                resetTimestamp,
-                JSON.stringify({
-                    travel_records: travelResult.changes,
-                    weather_events: weatherResult.changes
-                })
-            );
-        }
+        db.prepare(`
+            INSERT OR REPLACE INTO weekly_resets (week_start, reset_timestamp, items_reset)
+            VALUES (?, ?, ?)
+        `).run(
+            getWeekStart().getTime(),
+            resetTimestamp,
+            JSON.stringify({
+                travel_records: travelResult.changes,
+                weather_events: weatherResult.changes,
+                clan_territory_decayed: clanResult.decayed,
+                clan_scores_pruned: clanResult.pruned
+            })
+        );
 
         logger.info('[weekly-reset] Weekly reset completed successfully');
         return true;
@@ -135,23 +119,21 @@ function getTimeUntilNextReset() {
 }
 
 /**
- * Initialize the weekly reset scheduler
- * This should be called when the bot starts
+ * Perform the weekly reset if this week's has not happened yet
+ * Runs as the weekly-reset scheduler job (utils/scheduler) every Monday at
+ * midnight and at startup, so a reset missed while offline still happens.
+ * Throws when the reset fails so the job is reported as failing.
+ * @returns {Promise<boolean>} True if a reset was performed
  */
-function initializeWeeklyReset() {
-    logger.info('[weekly-reset] Initializing weekly reset scheduler...');
-
-    // Check if we need to perform an immediate reset (if we missed it while offline)
+async function runWeeklyResetIfDue() {
     const lastReset = getLastResetTime();
     const currentWeekStart = getWeekStart().getTime();
 
-    if (!lastReset || lastReset < currentWeekStart) {
-        logger.info('[weekly-reset] Performing missed weekly reset...');
-        performWeeklyReset();
-    }
+    if (lastReset && lastReset >= currentWeekStart) return false;
 
-    // Schedule the next reset
-    scheduleNextReset();
+    logger.info('[weekly-reset] Weekly reset is due, performing it now...');
+    if (!(await performWeeklyReset())) throw new Error('Weekly reset failed, see the log for details');
+    return true;
 }
 
 /**
@@ -168,21 +150,6 @@ function getLastResetTime() {
     }
 }
 
-/**
- * Schedule the next weekly reset
- */
-function scheduleNextReset() {
-    const timeUntilReset = getTimeUntilNextReset();
-    const nextResetDate = new Date(Date.now() + timeUntilReset);
-
-    logger.info(`[weekly-reset] Next reset scheduled for: ${nextResetDate.toISOString()}`);
-
-    setTimeout(() => {
-        performWeeklyReset();
-        scheduleNextReset(); // Schedule the next one
-    }, timeUntilReset);
-}
-
 /**
  * Get current week statistics for API endpoints
  * @returns {Object} Current week data boundaries
@@ -215,7 +182,7 @@ function getWeekNumber(date) {
 }
 
 module.exports = {
-    initializeWeeklyReset,
+    runWeeklyResetIfDue,
     performWeeklyReset,
     getCurrentWeekBounds,
     getTimeUntilNextReset,
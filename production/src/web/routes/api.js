@@ -16,6 +16,12 @@ const { createAutoPlacementIfMissing, getSpawnServer, ensurePlayerRow, fetchRole
 const logger = require('../../utils/logger');
 // Import safe webhook logging utility for admin action tracking
 const { logAdminAction } = require('../../utils/webhook_safe');
+// Import clan helpers for territory ownership and the clan leaderboard
+const { territoryMap, weeklyLeaderboard } = require('../../utils/clans');
+const { isGear, syncInstances, grantItem } = require('../../utils/gear');
+const { parseAffixes } = require('../../utils/affixes');
+const { itemById } = require('../../utils/items');
+const { adjustTokens } = require('../../utils/server_admin');
 
 // Create Express router instance for mounting API routes
 const router = express.Router();
@@ -171,6 +177,8 @@ function nearest(center, limit=50, opts={}){
     .filter(s => s.lat != null && s.lon != null)  // Only servers with valid coordinates
     .filter(s => (opts.discoverableOnly ? !!s.discoverable : true));  // Filter by discoverability if requested
   
+  // Clans holding territory, looked up once for the whole list
+  const territories = territoryMap();
   // Enrich each server with calculated distance and real-time data
   const rows = all.map(s => {
     const bossData = getBossData(s.guildId);  // Get current boss battle status
@@ -179,7 +187,8 @@ function nearest(center, limit=50, opts={}){
       dist: haversine(center.lat, center.lon, s.lat, s.lon),  // Calculate distance from center
       visitors: visitorsCount(s.guildId),  // Get current visitor count
       bossActive: bossData.active,  // Include boss battle status
-      bossTier: bossData.tier  // Include boss tier level
+      bossTier: bossData.tier,  // Include boss tier level
+      clan: territories[s.guildId] || null  // Clan that has claimed this server
     };
   });
   
@@ -194,13 +203,15 @@ function globalList(limit=500, opts={}){
   const all = listServers(!!opts.includeArchived)
     .filter(s => (opts.discoverableOnly ? !!s.discoverable : true))
     .slice(0, limit);
+  const territories = territoryMap();
   return all.map(s => {
     const bossData = getBossData(s.guildId);
     return {
       ...s, 
       visitors: visitorsCount(s.guildId),
       bossActive: bossData.active,
-      bossTier: bossData.tier
+      bossTier: bossData.tier,
+      clan: territories[s.guildId] || null
     };
   });
 }
@@ -1313,7 +1324,7 @@ router.post('/api/tokens/webhook', express.json({ limit: '512kb' }), (req, res)
     if (!exists){
       return res.status(404).json({ ok:false, error: 'unknown_guild' });
     }
-    db.prepare('UPDATE servers SET tokens = COALESCE(tokens, 0) + ? WHERE guildId=?').run(amount, guildId);
+    adjustTokens(guildId, amount, 'purchase', { details: eventId || null });
 
     return res.json({ ok:true, guildId, credited: amount });
   }catch(e){
@@ -1350,8 +1361,7 @@ router.post('/api/tokens/remove', express.json({ limit: '512kb' }), (req, res) =
     const exists = db.prepare('SELECT 1 FROM servers WHERE guildId=?').get(guildId);
     if (!exists) return res.status(404).json({ ok:false, error: 'unknown_guild' });
 
-    db.prepare('UPDATE servers SET tokens = MAX(0, COALESCE(tokens,0) - ?) WHERE guildId=?').run(amount, guildId);
-    const after = db.prepare('SELECT tokens FROM servers WHERE guildId=?').get(guildId)?.tokens ?? 0;
+    const after = adjustTokens(guildId, -amount, 'removed', { details: eventId || null }).tokens;
     return res.json({ ok:true, guildId, removed: amount, tokens: after });
   }catch(e){
     console.error('POST /api/tokens/remove error', e);
@@ -2644,10 +2654,7 @@ router.post('/api/admin/tokens/add', rateLimit(20, 10000), ensureCsrf, async (re
     const amountInt = Math.floor(Math.abs(Number(amount)));
     
     // Add tokens
-    db.prepare('UPDATE servers SET tokens = COALESCE(tokens, 0) + ? WHERE guildId = ?').run(amountInt, guildId);
-
-    // Get updated balance
-    const newBalance = db.prepare('SELECT tokens FROM servers WHERE guildId = ?').get(guildId)?.tokens || 0;
+    const newBalance = adjustTokens(guildId, amountInt, 'staff_add', { actorId: req.session.user?.id, details: reason || null }).tokens;
 
     logger.info('admin_tokens_add: %s tokens added to server %s by %s (reason: %s)', amountInt, guildId, req.session.user?.id, reason || 'none');
 
@@ -2688,10 +2695,7 @@ router.post('/api/admin/tokens/remove', rateLimit(20, 10000), ensureCsrf, async
     const currentBalance = server.tokens || 0;
 
     // Remove tokens (don't go below 0)
-    db.prepare('UPDATE servers SET tokens = MAX(0, COALESCE(tokens, 0) - ?) WHERE guildId = ?').run(amountInt, guildId);
-
-    // Get updated balance
-    const newBalance = db.prepare('SELECT tokens FROM servers WHERE guildId = ?').get(guildId)?.tokens || 0;
+    const newBalance = adjustTokens(guildId, -amountInt, 'staff_remove', { actorId: req.session.user?.id, details: reason || null }).tokens;
     const actualRemoved = currentBalance - newBalance;
 
     logger.info('admin_tokens_remove: %s tokens removed from server %s by %s (reason: %s)', actualRemoved, guildId, req.session.user?.id, reason || 'none');
@@ -2739,8 +2743,11 @@ router.get('/api/admin/user/inventory/:userId', rateLimit(30, 60000), async (req
       console.warn('Failed to fetch Discord user for inventory lookup:', e.message);
     }
 
-    // Get inventory
-    const inventory = db.prepare('SELECT itemId, qty FROM inventory WHERE userId=? ORDER BY itemId').all(userId);
+    // Get inventory, with one entry per copy for gear (durability, upgrade, affixes)
+    const inventory = db.prepare('SELECT itemId, qty FROM inventory WHERE userId=? ORDER BY itemId').all(userId)
+      .map(row => isGear(itemById(row.itemId))
+        ? { ...row, instances: syncInstances(userId, row.itemId).map(inst => ({ ...inst, affixes: parseAffixes(inst) })) }
+        : row);
 
     res.json({
       userId,
@@ -2754,6 +2761,37 @@ router.get('/api/admin/user/inventory/:userId', rateLimit(30, 60000), async (req
   }
 });
 
+// List completed player trades for staff review (optionally filtered by user)
+router.get('/api/admin/trades', rateLimit(30, 60000), async (req, res) => {
+  try {
+    const roleLevel = await getRoleLevel(req);
+    if (roleLevel !== 'Developer' && roleLevel !== 'Staff') {
+      return res.status(403).json({ error: 'forbidden', message: 'Access denied' });
+    }
+
+    const { userId } = req.query;
+    const limit = Math.max(1, Math.min(200, parseInt(req.query.limit) || 50));
+
+    const trades = (userId
+      ? db.prepare('SELECT * FROM trade_audit WHERE initiatorId = ? OR partnerId = ? ORDER BY completedAt DESC LIMIT ?').all(userId, userId, limit)
+      : db.prepare('SELECT * FROM trade_audit ORDER BY completedAt DESC LIMIT ?').all(limit)
+    ).map(t => ({
+      ...t,
+      initiatorItems: JSON.parse(t.initiatorItems || '[]'),
+      partnerItems: JSON.parse(t.partnerItems || '[]')
+    }));
+
+    res.json({
+      trades,
+      count: trades.length
+    });
+
+  } catch (error) {
+    console.error('GET /api/admin/trades error:', error);
+    res.status(500).json({ error: 'server_error', message: 'Failed to list trades' });
+  }
+});
+
 // Add item to inventory
 router.post('/api/admin/inventory/add', rateLimit(20, 10000), ensureCsrf, async (req, res) => {
   try {
@@ -2762,27 +2800,22 @@ router.post('/api/admin/inventory/add', rateLimit(20, 10000), ensureCsrf, async
       return res.status(403).json({ error: 'forbidden', message: 'Access denied' });
     }
 
-    const { userId, itemId, quantity, reason } = req.body;
+    const { userId, itemId, quantity, reason, affixTier } = req.body;
     if (!userId || !itemId || !quantity || quantity <= 0) {
       return res.status(400).json({ error: 'invalid_input', message: 'userId, itemId, and positive quantity required' });
     }
+    // Optional tier (1-5) to roll affixes on gear copies, as if dropped by a boss of that tier
+    const tier = affixTier ? parseInt(affixTier) : null;
+    if (tier !== null && !(tier >= 1 && tier <= 5)) {
+      return res.status(400).json({ error: 'invalid_input', message: 'affixTier must be between 1 and 5' });
+    }
 
     // Ensure player exists
     ensurePlayerRow({ id: userId });
 
-    // Check if item already exists in inventory
-    const existing = db.prepare('SELECT qty FROM inventory WHERE userId=? AND itemId=?').get(userId, itemId);
-    
-    let newQuantity;
-    if (existing) {
-      // Update existing item
-      newQuantity = existing.qty + quantity;
-      db.prepare('UPDATE inventory SET qty=qty+? WHERE userId=? AND itemId=?').run(quantity, userId, itemId);
-    } else {
-      // Insert new item
-      newQuantity = quantity;
-      db.prepare('INSERT INTO inventory(userId, itemId, qty) VALUES(?, ?, ?)').run(userId, itemId, quantity);
-    }
+    // Gear copies get their own instances; everything else stacks as before
+    const instances = grantItem(userId, itemId, quantity, { tier, source: 'admin' });
+    const newQuantity = db.prepare('SELECT qty FROM inventory WHERE userId=? AND itemId=?').get(userId, itemId).qty;
 
     logger.info('admin_inventory_add: user %s item %s qty %d by %s reason: %s', userId, itemId, quantity, req.session?.user?.username || 'Unknown', reason || 'none');
 
@@ -2793,6 +2826,7 @@ router.post('/api/admin/inventory/add', rateLimit(20, 10000), ensureCsrf, async
       userId,
       itemId,
       quantity,
+      instances,
       reason: reason || 'Admin addition'
     });
 
@@ -2810,7 +2844,7 @@ router.post('/api/admin/inventory/remove', rateLimit(20, 10000), ensureCsrf, asy
       return res.status(403).json({ error: 'forbidden', message: 'Access denied' });
     }
 
-    const { userId, itemId, quantity, reason } = req.body;
+    const { userId, itemId, quantity, reason, instanceId } = req.body;
     if (!userId || !itemId || !quantity || quantity <= 0) {
       return res.status(400).json({ error: 'invalid_input', message: 'userId, itemId, and positive quantity required' });
     }
@@ -2822,6 +2856,18 @@ router.post('/api/admin/inventory/remove', rateLimit(20, 10000), ensureCsrf, asy
       return res.status(400).json({ error: 'not_found', message: 'Item not found in inventory' });
     }
 
+    // Removing one specific gear copy: drop its instance first so the count sync keeps the others
+    if (instanceId) {
+      if (quantity !== 1) {
+        return res.status(400).json({ error: 'invalid_input', message: 'quantity must be 1 when removing a specific instance' });
+      }
+      syncInstances(userId, itemId);
+      const removed = db.prepare('DELETE FROM item_instances WHERE id=? AND userId=? AND itemId=?').run(instanceId, userId, itemId);
+      if (removed.changes === 0) {
+        return res.status(400).json({ error: 'not_found', message: 'Instance not found in inventory' });
+      }
+    }
+
     let newQuantity = existing.qty - quantity;
     
     if (newQuantity <= 0) {
@@ -2868,8 +2914,9 @@ router.post('/api/admin/inventory/clear', rateLimit(20, 10000), ensureCsrf, asyn
     const itemCount = db.prepare('SELECT COUNT(*) as count FROM inventory WHERE userId=?').get(userId);
     const totalItems = itemCount ? itemCount.count : 0;
 
-    // Clear all inventory for user
+    // Clear all inventory for user, along with their gear copies
     db.prepare('DELETE FROM inventory WHERE userId=?').run(userId);
+    db.prepare('DELETE FROM item_instances WHERE userId=?').run(userId);
 
     logger.info('admin_inventory_clear: user %s cleared %d items by %s reason: %s', userId, totalItems, req.session?.user?.username || 'Unknown', reason || 'none');
 
@@ -2887,6 +2934,250 @@ router.post('/api/admin/inventory/clear', rateLimit(20, 10000), ensureCsrf, asyn
   }
 });
 
+// === Admin POI Management ===
+
+// Messages for failures reported by utils/pois
+const POI_ERRORS = {
+  not_found: 'Landmark or suggestion not found',
+  invalid_id: 'id may only contain a-z, 0-9 and _ (40 characters at most)',
+  duplicate_id: 'A landmark with that id already exists',
+  invalid_name: 'name is required (60 characters at most)',
+  invalid_coords: 'lat must be between -90 and 90 and lon between -180 and 180',
+  invalid_category: 'Unknown category',
+  invalid_description: 'description is too long',
+  invalid_price: 'visitCost, discoveryReward and firstDiscoveryBonus must be whole numbers of 0 or more',
+  too_close: 'Too close to an existing landmark',
+  already_reviewed: 'That suggestion has already been reviewed'
+};
+
+/**
+ * Send a utils/pois failure as a 400 (404 for missing records)
+ */
+function poiFailure(res, result) {
+  const status = result.reason === 'not_found' ? 404 : 400;
+  const message = result.reason === 'too_close' ? `Too close to ${result.poi.name} (${result.poi.id})` : POI_ERRORS[result.reason] || 'Request failed';
+  return res.status(status).json({ error: result.reason, message });
+}
+
+// List every landmark, including disabled ones, with visit counts
+router.get('/api/admin/poi/list', rateLimit(30, 60000), async (req, res) => {
+  try {
+    const roleLevel = await getRoleLevel(req);
+    if (roleLevel !== 'Developer' && roleLevel !== 'Staff') {
+      return res.status(403).json({ error: 'forbidden', message: 'Access denied' });
+    }
+
+    const { getAllPOIs, poiSettings } = require('../../utils/pois');
+    const visits = Object.fromEntries(db.prepare('SELECT poiId, COUNT(*) as count FROM poi_visits GROUP BY poiId').all().map(r => [r.poiId, r.count]));
+    const pois = getAllPOIs({ includeDisabled: true }).map(poi => ({ ...poi, enabled: !!poi.enabled, visits: visits[poi.id] || 0 }));
+
+    res.json({
+      pois,
+      count: pois.length,
+      categories: Object.keys(poiSettings().categories)
+    });
+
+  } catch (error) {
+    console.error('GET /api/admin/poi/list error:', error);
+    res.status(500).json({ error: 'server_error', message: 'Failed to list landmarks' });
+  }
+});
+
+// Create a landmark
+router.post('/api/admin/poi/create', rateLimit(20, 10000), ensureCsrf, async (req, res) => {
+  try {
+    const roleLevel = await getRoleLevel(req);
+    if (roleLevel !== 'Developer' && roleLevel !== 'Staff') {
+      return res.status(403).json({ error: 'forbidden', message: 'Access denied' });
+    }
+
+    const { createPOI } = require('../../utils/pois');
+    const { id, name, description, lat, lon, country, category, emoji, visitCost, discoveryReward, firstDiscoveryBonus } = req.body;
+    const result = createPOI({ id, name, description, lat, lon, country, category, emoji, visitCost, discoveryReward, firstDiscoveryBonus });
+    if (!result.ok) return poiFailure(res, result);
+
+    await logAdminActionFromReq(req, 'Landmark Create', result.poi.id, result.poi.name, {
+      'Category': result.poi.category,
+      'Coordinates': `${result.poi.lat}, ${result.poi.lon}`,
+      'Visit Cost': `${result.poi.visitCost}`
+    });
+
+    res.json({
+      success: true,
+      message: `Landmark ${result.poi.name} created`,
+      poi: result.poi
+    });
+
+  } catch (error) {
+    console.error('POST /api/admin/poi/create error:', error);
+    res.status(500).json({ error: 'server_error', message: 'Failed to create landmark' });
+  }
+});
+
+// Edit a landmark's details (only the fields sent change)
+router.post('/api/admin/poi/update', rateLimit(20, 10000), ensureCsrf, async (req, res) => {
+  try {
+    const roleLevel = await getRoleLevel(req);
+    if (roleLevel !== 'Developer' && roleLevel !== 'Staff') {
+      return res.status(403).json({ error: 'forbidden', message: 'Access denied' });
+    }
+
+    const { updatePOI } = require('../../utils/pois');
+    const { id, name, description, lat, lon, country, category, emoji } = req.body;
+    if (!id) {
+      return res.status(400).json({ error: 'invalid_input', message: 'id required' });
+    }
+
+    const result = updatePOI(id, { name, description, lat, lon, country, category, emoji });
+    if (!result.ok) return poiFailure(res, result);
+
+    await logAdminActionFromReq(req, 'Landmark Update', id, result.poi.name, {
+      'Fields': Object.entries({ name, description, lat, lon, country, category, emoji }).filter(([, v]) => v !== undefined).map(([k]) => k).join(', ') || 'none'
+    });
+
+    res.json({
+      success: true,
+      message: `Landmark ${result.poi.name} updated`,
+      poi: result.poi
+    });
+
+  } catch (error) {
+    console.error('POST /api/admin/poi/update error:', error);
+    res.status(500).json({ error: 'server_error', message: 'Failed to update landmark' });
+  }
+});
+
+// Change a landmark's visit cost, discovery reward or first-discoverer bonus
+router.post('/api/admin/poi/reprice', rateLimit(20, 10000), ensureCsrf, async (req, res) => {
+  try {
+    const roleLevel = await getRoleLevel(req);
+    if (roleLevel !== 'Developer' && roleLevel !== 'Staff') {
+      return res.status(403).json({ error: 'forbidden', message: 'Access denied' });
+    }
+
+    const { repricePOI, getPOIById } = require('../../utils/pois');
+    const { id, visitCost, discoveryReward, firstDiscoveryBonus } = req.body;
+    if (!id) {
+      return res.status(400).json({ error: 'invalid_input', message: 'id required' });
+    }
+
+    const before = getPOIById(id);
+    const result = repricePOI(id, { visitCost, discoveryReward, firstDiscoveryBonus });
+    if (!result.ok) return poiFailure(res, result);
+
+    logger.info('admin_poi_reprice: %s cost %s->%s reward %s->%s by %s', id, before.visitCost, result.poi.visitCost,
+      before.discoveryReward, result.poi.discoveryReward, req.session?.user?.username || 'Unknown');
+    await logAdminActionFromReq(req, 'Landmark Reprice', id, result.poi.name, {
+      'Visit Cost': `${before.visitCost} → ${result.poi.visitCost}`,
+      'Discovery Reward': `${before.discoveryReward} → ${result.poi.discoveryReward}`,
+      'First Discovery Bonus': `${before.firstDiscoveryBonus ?? 'default'} → ${result.poi.firstDiscoveryBonus ?? 'default'}`
+    });
+
+    res.json({
+      success: true,
+      message: `Landmark ${result.poi.name} repriced`,
+      poi: result.poi
+    });
+
+  } catch (error) {
+    console.error('POST /api/admin/poi/reprice error:', error);
+    res.status(500).json({ error: 'server_error', message: 'Failed to reprice landmark' });
+  }
+});
+
+// Disable or re-enable a landmark (disabled landmarks keep their visit history)
+router.post('/api/admin/poi/disable', rateLimit(20, 10000), ensureCsrf, async (req, res) => {
+  try {
+    const roleLevel = await getRoleLevel(req);
+    if (roleLevel !== 'Developer' && roleLevel !== 'Staff') {
+      return res.status(403).json({ error: 'forbidden', message: 'Access denied' });
+    }
+
+    const { setPOIEnabled } = require('../../utils/pois');
+    const { id, enabled = false } = req.body;
+    if (!id) {
+      return res.status(400).json({ error: 'invalid_input', message: 'id required' });
+    }
+
+    const result = setPOIEnabled(id, !!enabled);
+    if (!result.ok) return poiFailure(res, result);
+
+    await logAdminActionFromReq(req, enabled ? 'Landmark Enable' : 'Landmark Disable', id, result.poi.name, {});
+
+    res.json({
+      success: true,
+      message: `Landmark ${result.poi.name} ${enabled ? 'enabled' : 'disabled'}`,
+      poi: result.poi
+    });
+
+  } catch (error) {
+    console.error('POST /api/admin/poi/disable error:', error);
+    res.status(500).json({ error: 'server_error', message: 'Failed to change landmark status' });
+  }
+});
+
+// Player landmark suggestions waiting for review (or reviewed ones by status)
+router.get('/api/admin/poi/suggestions', rateLimit(30, 60000), async (req, res) => {
+  try {
+    const roleLevel = await getRoleLevel(req);
+    if (roleLevel !== 'Developer' && roleLevel !== 'Staff') {
+      return res.status(403).json({ error: 'forbidden', message: 'Access denied' });
+    }
+
+    const { listSuggestions } = require('../../utils/pois');
+    const status = ['pending', 'approved', 'rejected'].includes(req.query.status) ? req.query.status : 'pending';
+    const limit = Math.max(1, Math.min(200, parseInt(req.query.limit) || 50));
+    const suggestions = listSuggestions(status, limit);
+
+    res.json({
+      suggestions,
+      count: suggestions.length,
+      status
+    });
+
+  } catch (error) {
+    console.error('GET /api/admin/poi/suggestions error:', error);
+    res.status(500).json({ error: 'server_error', message: 'Failed to list suggestions' });
+  }
+});
+
+// Approve or reject a suggestion; approval may correct any landmark field first
+router.post('/api/admin/poi/suggestions/review', rateLimit(20, 10000), ensureCsrf, async (req, res) => {
+  try {
+    const roleLevel = await getRoleLevel(req);
+    if (roleLevel !== 'Developer' && roleLevel !== 'Staff') {
+      return res.status(403).json({ error: 'forbidden', message: 'Access denied' });
+    }
+
+    const { reviewSuggestion } = require('../../utils/pois');
+    const { suggestionId, action, note, overrides = {} } = req.body;
+    if (!suggestionId || !['approve', 'reject'].includes(action)) {
+      return res.status(400).json({ error: 'invalid_input', message: 'suggestionId and action (approve or reject) required' });
+    }
+
+    const reviewerId = req.session?.user?.id || 'Unknown';
+    const result = reviewSuggestion(parseInt(suggestionId), reviewerId, action === 'approve', { note: note || null, overrides });
+    if (!result.ok) return poiFailure(res, result);
+
+    await logAdminActionFromReq(req, action === 'approve' ? 'Landmark Suggestion Approve' : 'Landmark Suggestion Reject', result.suggestion.userId, result.suggestion.name, {
+      'Suggestion': `#${result.suggestion.id}`,
+      'Landmark': result.poi ? result.poi.id : 'none',
+      'Note': note || 'none'
+    });
+
+    res.json({
+      success: true,
+      message: `Suggestion #${result.suggestion.id} ${result.suggestion.status}`,
+      suggestion: result.suggestion,
+      poi: result.poi
+    });
+
+  } catch (error) {
+    console.error('POST /api/admin/poi/suggestions/review error:', error);
+    res.status(500).json({ error: 'server_error', message: 'Failed to review suggestion' });
+  }
+});
+
 // === Admin Boss Management ===
 
 // List all active bosses
@@ -3376,6 +3667,47 @@ router.get('/api/profile/:userId', rateLimit(30, 60000), async (req, res) => {
       };
     }
 
+    // Get party membership (publicly visible)
+    let party = null;
+    try {
+      const { getPartyForUser, LOOT_MODES } = require('../../utils/party');
+      const current = getPartyForUser(userId);
+      if (current) {
+        party = {
+          id: current.id,
+          name: current.name,
+          leaderId: current.leaderId,
+          isLeader: current.leaderId === userId,
+          lootMode: current.lootMode,
+          lootModeName: LOOT_MODES[current.lootMode] || current.lootMode,
+          members: current.members.map(m => ({ userId: m.userId, name: m.name, followLeader: !!m.followLeader }))
+        };
+      }
+    } catch (e) {
+      // Ignore party lookup errors
+    }
+
+    // Get clan membership (publicly visible; the bank stays private to members)
+    let clan = null;
+    try {
+      const { getClanForUser, rankById } = require('../../utils/clans');
+      const current = getClanForUser(userId);
+      if (current) {
+        const me = current.members.find(m => m.userId === userId);
+        clan = {
+          id: current.id,
+          name: current.name,
+          tag: current.tag,
+          rank: me?.rank,
+          rankName: rankById(me?.rank)?.name || me?.rank,
+          members: current.members.length,
+          territories: current.territories
+        };
+      }
+    } catch (e) {
+      // Ignore clan lookup errors
+    }
+
     const profileData = {
       user: {
         id: userId,
@@ -3394,6 +3726,8 @@ router.get('/api/profile/:userId', rateLimit(30, 60000), async (req, res) => {
       inventory,
       travel,
       currentLocationServer,
+      party,
+      clan,
       analytics,
       achievements,
       isOwnProfile: req.session?.user?.id === userId
@@ -3407,6 +3741,43 @@ router.get('/api/profile/:userId', rateLimit(30, 60000), async (req, res) => {
   }
 });
 
+// Passport stamps and fog-of-war reveal areas for the web map
+router.get('/api/profile/:userId/exploration', rateLimit(30, 60000), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!userId) {
+      return res.status(400).json({ error: 'invalid_input', message: 'Valid userId required' });
+    }
+
+    const player = db.prepare('SELECT userId, name FROM players WHERE userId = ? AND COALESCE(banned, 0) = 0').get(userId);
+    if (!player) {
+      return res.status(404).json({ error: 'not_found', message: 'Player not found' });
+    }
+
+    // Read-only: stamps and milestone gems are handled when travel completes
+    const { getPassport, explorationMap } = require('../../utils/passport');
+    const passport = getPassport(userId);
+    const { revealRadiusKm, revealed } = explorationMap(userId);
+
+    res.json({
+      userId,
+      name: player.name,
+      title: passport.title,
+      // Areas the map should clear from the fog: one circle per destination reached
+      fog: { revealRadiusKm, revealed },
+      countries: passport.countries.map(c => ({ name: c.name, continents: c.continents, stampedAt: c.stampedAt })),
+      continents: passport.progress,
+      totalCountries: passport.totalCountries,
+      milestones: passport.milestones,
+      isOwnProfile: req.session?.user?.id === userId
+    });
+
+  } catch (error) {
+    console.error('GET /api/profile/:userId/exploration error:', error);
+    res.status(500).json({ error: 'server_error', message: 'Failed to load exploration' });
+  }
+});
+
 // Boss timer endpoint for real-time countdown
 router.get('/api/boss-timer', rateLimit(60, 60000), async (req, res) => {
   try {
@@ -3520,6 +3891,35 @@ router.get('/api/weather-events', rateLimit(60, 60000), async (req, res) => {
   }
 });
 
+// Seasonal events endpoint for the site-wide event banner and countdown
+router.get('/api/seasonal-events', rateLimit(60, 60000), async (req, res) => {
+  try {
+    const { currentEvents, currencyOf } = require('../../utils/seasonal_events');
+
+    const events = currentEvents().map(event => {
+      const currency = currencyOf(event);
+      return {
+        id: event.id,
+        name: event.name,
+        emoji: event.emoji || '🎉',
+        color: event.color || '#F39C12',
+        description: event.description || '',
+        status: event.status,
+        startsAt: event.startsAt,
+        endsAt: event.endsAt,
+        currency: { name: currency.name, emoji: currency.emoji },
+        bosses: (event.bosses?.definitions || []).map(b => b.name)
+      };
+    });
+
+    res.json({ events, serverTime: Date.now() });
+
+  } catch (error) {
+    console.error('GET /api/seasonal-events error:', error);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
 // Travel routes endpoint for popular travel destinations (resets weekly)
 router.get('/api/travel-routes', rateLimit(60, 60000), async (req, res) => {
   try {
@@ -3569,37 +3969,39 @@ router.get('/api/market-trends', rateLimit(60, 60000), async (req, res) => {
   try {
     const { db } = require('../../utils/store_sqlite');
 
-    // Get recent market transactions to calculate trends
+    // Get recent market fills (direct purchases and order book matches) to calculate trends
     const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
     const twoDaysAgo = Date.now() - (48 * 60 * 60 * 1000);
 
-    // Get trending items based on transaction volume and price changes
+    // Volume-weighted average price per unit for the last 24h and the 24h before
     const trendingItems = db.prepare(`
       SELECT
-        itemName,
-        AVG(CASE WHEN createdAt >= ? THEN price END) as currentAvgPrice,
-        AVG(CASE WHEN createdAt >= ? AND createdAt < ? THEN price END) as previousAvgPrice,
-        COUNT(CASE WHEN createdAt >= ? THEN 1 END) as recentTransactions
-      FROM market_listings
+        itemId,
+        SUM(CASE WHEN createdAt >= ? THEN total END) * 1.0 / SUM(CASE WHEN createdAt >= ? THEN qty END) as currentAvgPrice,
+        SUM(CASE WHEN createdAt < ? THEN total END) * 1.0 / SUM(CASE WHEN createdAt < ? THEN qty END) as previousAvgPrice,
+        COUNT(CASE WHEN createdAt >= ? THEN 1 END) as recentTransactions,
+        SUM(CASE WHEN createdAt >= ? THEN qty ELSE 0 END) as recentVolume
+      FROM market_trades
       WHERE createdAt >= ?
-        AND price > 0
-        AND itemName IS NOT NULL
-      GROUP BY itemName
+        AND total > 0
+      GROUP BY itemId
       HAVING recentTransactions >= 2
       ORDER BY recentTransactions DESC, currentAvgPrice DESC
       LIMIT 5
-    `).all(oneDayAgo, twoDaysAgo, oneDayAgo, oneDayAgo, twoDaysAgo);
+    `).all(oneDayAgo, oneDayAgo, oneDayAgo, oneDayAgo, oneDayAgo, oneDayAgo, twoDaysAgo);
 
     // Calculate price change percentages
+    const { itemById } = require('../../utils/items');
     const trendsWithChanges = trendingItems.map(item => {
       const priceChange = item.previousAvgPrice ?
         ((item.currentAvgPrice - item.previousAvgPrice) / item.previousAvgPrice * 100) : 0;
 
       return {
-        name: item.itemName,
+        name: itemById(item.itemId)?.name || item.itemId,
         currentPrice: Math.round(item.currentAvgPrice || 0),
         priceChange: Math.round(priceChange * 10) / 10, // Round to 1 decimal
         transactions: item.recentTransactions,
+        volume: item.recentVolume,
         trend: priceChange > 5 ? 'up' : priceChange < -5 ? 'down' : 'stable'
       };
     });
@@ -3630,6 +4032,7 @@ router.get('/api/server-population', rateLimit(60, 60000), async (req, res) => {
         s.name as serverName,
         s.biome,
         s.guildId,
+        c.tag as clanTag,
         COUNT(DISTINCT p.userId) as uniquePlayers,
         COUNT(*) as totalActivity
       FROM (
@@ -3641,6 +4044,8 @@ router.get('/api/server-population', rateLimit(60, 60000), async (req, res) => {
       ) activity
       JOIN servers s ON activity.guildId = s.guildId
       JOIN players p ON activity.userId = p.userId
+      LEFT JOIN clan_territories t ON t.guildId = s.guildId
+      LEFT JOIN clans c ON c.id = t.clanId
       WHERE s.archived = 0
         AND s.name IS NOT NULL
       GROUP BY s.guildId, s.name, s.biome
@@ -3720,4 +4125,35 @@ router.get('/api/live-leaderboard', rateLimit(60, 60000), async (req, res) => {
   }
 });
 
+// Weekly clan leaderboard ranked by boss damage (closed out every Monday by the weekly reset)
+router.get('/api/clan-leaderboard', rateLimit(60, 60000), async (req, res) => {
+  try {
+    const { getCurrentWeekBounds } = require('../../utils/weekly_reset');
+    const weekBounds = getCurrentWeekBounds();
+    const medals = ['🥇', '🥈', '🥉', '🏅', '🎖️'];
+
+    const clans = weeklyLeaderboard(weekBounds.startTimestamp, 5).map((clan, index) => ({
+      rank: index + 1,
+      name: clan.name,
+      tag: clan.tag,
+      bossDamage: clan.bossDamage,
+      claims: clan.claims,
+      members: clan.members,
+      territories: clan.territories,
+      medal: medals[index] || '⭐'
+    }));
+
+    res.json({
+      leaderboard: clans,
+      timeFrame: `Week ${weekBounds.weekNumber}`,
+      weekStart: weekBounds.weekStart,
+      lastUpdate: Date.now()
+    });
+
+  } catch (error) {
+    console.error('GET /api/clan-leaderboard error:', error);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
 // [removed deprecated checkout handler]
@@ -21,6 +21,7 @@
  * - Travel status tracking with real-time position
  * - Inventory and game state synchronization
  * - Role-based permissions and member status
+ * - Guilds the user owns or manages, for the server dashboard
  * 
  * **Security Features:**
  * - CSRF state parameter validation
@@ -65,10 +66,50 @@ const REDIRECT_URI = process.env.OAUTH_REDIRECT_URI;
 // In-memory state storage (simple approach)
 const pendingStates = new Map();
 
+// Discord permission bits that let someone manage a server from the dashboard
+const ADMINISTRATOR = 0x8n;
+const MANAGE_GUILD = 0x20n;
+
+/**
+ * Reduce the user's guild list from Discord to the ones they own or manage,
+ * keeping the flags the dashboard needs to decide what they may change
+ * @param {Array} guilds - Response of /users/@me/guilds
+ * @returns {Array<{id: string, name: string, icon: string|null, owner: boolean, admin: boolean, manage: boolean}>}
+ */
+function managedGuilds(guilds) {
+  return (Array.isArray(guilds) ? guilds : []).map(g => {
+    const perms = BigInt(g.permissions || 0);
+    const admin = !!g.owner || (perms & ADMINISTRATOR) === ADMINISTRATOR;
+    return { id: g.id, name: g.name, icon: g.icon || null, owner: !!g.owner, admin, manage: admin || (perms & MANAGE_GUILD) === MANAGE_GUILD };
+  }).filter(g => g.manage);
+}
+
+/**
+ * Same-site path to send a user back to after login, or null. The value is
+ * resolved against a placeholder origin and kept only if it stays there, so
+ * '//host', '/\host' and other tricks browsers read as another site are
+ * dropped; only the path and query are kept.
+ */
+function safeReturnPath(value) {
+  const next = String(value || '');
+  if (!next.startsWith('/') || /[\\\u0000-\u001f\u007f]/.test(next)) return null;
+  try {
+    const origin = 'https://questcord.invalid';
+    const url = new URL(next, origin);
+    return url.origin === origin ? url.pathname + url.search : null;
+  } catch (e) {
+    return null;
+  }
+}
+
 // Start OAuth flow
 router.get('/auth/discord', (req, res) => {
   const state = crypto.randomBytes(32).toString('hex');
   
+  // Pages such as the dashboard send users back to themselves after login
+  const next = safeReturnPath(req.query.next);
+  if (next) req.session.returnTo = next;
+
   // Store state with expiration
   pendingStates.set(state, Date.now());
   setTimeout(() => pendingStates.delete(state), 10 * 60 * 1000); // 10 min expiry
@@ -77,7 +118,7 @@ router.get('/auth/discord', (req, res) => {
     client_id: DISCORD_CLIENT_ID,
     redirect_uri: REDIRECT_URI,
     response_type: 'code',
-    scope: 'identify',
+    scope: 'identify guilds',
     state: state
   });
 
@@ -139,6 +180,17 @@ router.get('/auth/discord/callback', async (req, res) => {
     const user = await userResponse.json();
     // User authentication successful
 
+    // Guilds the user can manage, for the server dashboard (best-effort)
+    let guilds = [];
+    try {
+      const guildsResponse = await fetch('https://discord.com/api/users/@me/guilds', {
+        headers: { Authorization: `Bearer ${tokens.access_token}` }
+      });
+      if (guildsResponse.ok) guilds = managedGuilds(await guildsResponse.json());
+    } catch (e) {
+      logger.warn('[auth] Guild list fetch failed: %s', e.message);
+    }
+
     // Store in session
     req.session.user = {
       id: user.id,
@@ -146,9 +198,13 @@ router.get('/auth/discord/callback', async (req, res) => {
       avatar: user.avatar,
       global_name: user.global_name
     };
+    req.session.guilds = guilds;
+    req.session.guildsFetchedAt = Date.now();
 
-    // Redirect to home
-    res.redirect('/');
+    // Redirect to the page that started the login, or home
+    const returnTo = safeReturnPath(req.session.returnTo) || '/';
+    delete req.session.returnTo;
+    res.redirect(returnTo);
     
   } catch (error) {
     console.error('OAuth error:', error);
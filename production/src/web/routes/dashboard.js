@@ -0,0 +1,280 @@
+/**
+ * QuestCord Server Dashboard Routes
+ * =================================
+ * API behind the server-owner dashboard at /dashboard. Users sign in with the
+ * same Discord OAuth as the rest of the site (routes/auth.js), which also
+ * records the guilds they own or manage; only those guilds (and, for staff,
+ * any registered server) can be opened here.
+ *
+ * **Read Endpoints:**
+ * - GET /api/dashboard/guilds - Registered servers the user can manage
+ * - GET /api/dashboard/guild/:guildId - Tokens, token history, biome, map
+ *   position, visitor numbers, boss history and notification settings
+ * - GET /api/dashboard/countries - Relocation destinations and their costs
+ *
+ * **Write Endpoints (CSRF protected):**
+ * - POST /api/dashboard/guild/:guildId/relocate - Move the server to a country
+ * - POST /api/dashboard/guild/:guildId/biome - Change the server's biome
+ *
+ * **Outbound Webhooks (Manage Server, see web/webhook_routes):**
+ * - /api/dashboard/guild/:guildId/webhooks - Register, pause and delete
+ *   endpoints for this server's game events and read their delivery log
+ *
+ * Writes go through utils/server_admin, the same code /relocate and /biome
+ * use, and follow the same permission rules: relocating needs Manage Server,
+ * changing the biome needs the owner or an Administrator.
+ */
+
+// Import Express framework for creating dashboard routes
+const express = require('express');
+// Import SQLite database connection for server data
+const { db } = require('../../utils/store_sqlite');
+// Import security middleware for rate limiting and CSRF protection
+const { rateLimit, ensureCsrf, validateGuildId } = require('../security');
+// Import role lookup so staff can open any server
+const { fetchRoleLevel } = require('../util');
+const logger = require('../../utils/logger');
+const { getAllCountries, getCountry, getCountryByCoordinates } = require('../../utils/countries');
+const { biomeList, biomeLabel, ensureServerBiome, tokenHistory, changeBiome, relocateServer, BIOME_CHANGE_COST } = require('../../utils/server_admin');
+const { NOTIFICATION_EVENTS, getGuildSettings } = require('../../utils/notifications');
+const { webhookRoutes } = require('../webhook_routes');
+
+const router = express.Router();
+
+// Error codes returned by utils/server_admin, as HTTP status and message
+const REASONS = {
+  not_found: [404, 'Server not found'],
+  unknown_country: [400, 'Unknown country'],
+  invalid_biome: [400, 'Unknown biome'],
+  same_biome: [400, 'The server already has that biome'],
+  insufficient_tokens: [402, 'Not enough server tokens']
+};
+
+/**
+ * Reject requests without a signed-in user
+ */
+function requireLogin(req, res, next) {
+  if (!req.session?.user?.id) {
+    return res.status(401).json({ error: 'not_logged_in', message: 'Sign in with Discord to use the dashboard' });
+  }
+  next();
+}
+
+/**
+ * Whether the signed-in user is QuestCord staff (cached in the session)
+ */
+async function isStaff(req) {
+  if (!req.session.roleLevel || req.session.roleLevel === 'User') {
+    try {
+      req.session.roleLevel = await fetchRoleLevel(req.session.user.id);
+    } catch (e) {
+      return false;
+    }
+  }
+  return req.session.roleLevel === 'Staff' || req.session.roleLevel === 'Developer';
+}
+
+/**
+ * What the signed-in user may do with a guild
+ * @returns {Promise<{owner: boolean, relocate: boolean, biome: boolean, webhooks: boolean}|null>} Null without access
+ */
+async function guildAccess(req, guildId) {
+  const guild = (req.session.guilds || []).find(g => g.id === guildId);
+  if (guild) return { owner: guild.owner, relocate: guild.manage, biome: guild.admin, webhooks: guild.manage };
+  if (await isStaff(req)) return { owner: false, relocate: true, biome: true, webhooks: true, staff: true };
+  return null;
+}
+
+/**
+ * Load the guild named in the URL, answering 400/403/404 when it is not one
+ * the user can open. Sets req.server and req.access.
+ */
+async function loadGuild(req, res, next) {
+  const guildId = req.params.guildId;
+  if (!validateGuildId(guildId)) return res.status(400).json({ error: 'invalid_guild_id', message: 'Invalid guild ID' });
+  const access = await guildAccess(req, guildId);
+  if (!access) return res.status(403).json({ error: 'forbidden', message: 'You do not own or manage this server' });
+  const server = db.prepare('SELECT guildId, name, iconUrl, lat, lon, biome, tokens, discoverable, archived, addedAt FROM servers WHERE guildId = ?').get(guildId);
+  if (!server) return res.status(404).json({ error: 'server_not_found', message: 'QuestCord is not in this server' });
+  req.server = server;
+  req.access = access;
+  next();
+}
+
+/**
+ * Send a failed server_admin result as a JSON error
+ */
+function sendFailure(res, result) {
+  const { ok, reason, ...details } = result;
+  const [status, message] = REASONS[reason] || [400, 'Request failed'];
+  return res.status(status).json({ error: reason, message, ...details });
+}
+
+/**
+ * Boss fights hosted by a server, newest first, with how each one ended
+ */
+function bossHistory(guildId, limit = 20) {
+  const now = Date.now();
+  return db.prepare(`
+    SELECT b.id, b.name, b.tier, b.maxHp, b.hp, b.startedAt, b.expiresAt, b.active,
+           COUNT(bp.userId) AS fighters, COALESCE(SUM(bp.damage), 0) AS totalDamage
+    FROM bosses b
+    LEFT JOIN boss_participants bp ON bp.bossId = b.id
+    WHERE b.guildId = ?
+    GROUP BY b.id
+    ORDER BY b.startedAt DESC
+    LIMIT ?
+  `).all(guildId, limit).map(b => ({
+    ...b,
+    outcome: b.hp <= 0 ? 'defeated' : (b.active && b.expiresAt > now ? 'active' : 'escaped')
+  }));
+}
+
+/**
+ * Visitor numbers for a server. The current visitor list itself comes from
+ * /api/map/visitors, which the dashboard page calls directly.
+ */
+function visitorStats(guildId) {
+  const now = Date.now();
+  const weekAgo = now - 7 * 24 * 60 * 60 * 1000;
+  return {
+    current: db.prepare('SELECT COUNT(*) AS n FROM players WHERE locationGuildId = ? AND (travelArrivalAt = 0 OR travelArrivalAt <= ?)').get(guildId, now).n,
+    incoming: db.prepare('SELECT COUNT(*) AS n FROM players WHERE locationGuildId = ? AND travelArrivalAt > ?').get(guildId, now).n,
+    arrivalsLast7d: db.prepare('SELECT COUNT(*) AS n FROM travel_history WHERE toGuildId = ? AND timestamp >= ?').get(guildId, weekAgo).n,
+    uniqueVisitorsLast7d: db.prepare('SELECT COUNT(DISTINCT userId) AS n FROM travel_history WHERE toGuildId = ? AND timestamp >= ?').get(guildId, weekAgo).n
+  };
+}
+
+/**
+ * The server's notification subscriptions (set with /settings), keyed by event
+ */
+function notificationSettings(guildId) {
+  return { events: NOTIFICATION_EVENTS, guild: getGuildSettings(guildId) };
+}
+
+/**
+ * Managed Servers Endpoint
+ * GET /api/dashboard/guilds
+ * Lists the registered servers the signed-in user owns or manages. Sessions
+ * from before the dashboard existed carry no guild list and must sign in again.
+ */
+router.get('/api/dashboard/guilds', rateLimit(60, 60000), requireLogin, (req, res) => {
+  try {
+    if (!Array.isArray(req.session.guilds)) {
+      return res.json({ guilds: [], reauth: true });
+    }
+    const guilds = req.session.guilds.map(g => {
+      const server = db.prepare('SELECT guildId, name, iconUrl, tokens, biome, archived FROM servers WHERE guildId = ?').get(g.id);
+      if (!server) return null;
+      return {
+        ...server,
+        name: server.name || g.name,
+        biomeLabel: biomeLabel(server.biome),
+        owner: g.owner,
+        canRelocate: g.manage,
+        canChangeBiome: g.admin
+      };
+    }).filter(Boolean);
+    res.json({ guilds, reauth: false });
+  } catch (error) {
+    console.error('GET /api/dashboard/guilds error:', error);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/**
+ * Relocation Destinations Endpoint
+ * GET /api/dashboard/countries
+ * Countries a server can move to, with their token costs
+ */
+router.get('/api/dashboard/countries', rateLimit(30, 60000), requireLogin, (req, res) => {
+  res.json({ countries: getAllCountries().map(c => ({ name: c.name, continent: c.continent, cost: c.cost })) });
+});
+
+/**
+ * Server Overview Endpoint
+ * GET /api/dashboard/guild/:guildId
+ * Everything the dashboard shows for one server
+ */
+router.get('/api/dashboard/guild/:guildId', rateLimit(60, 60000), requireLogin, loadGuild, (req, res) => {
+  try {
+    const guildId = req.server.guildId;
+    const biome = ensureServerBiome(guildId) || {};
+    const country = req.server.lat != null ? getCountryByCoordinates(req.server.lat, req.server.lon) : null;
+    res.json({
+      server: {
+        ...req.server,
+        biome: biome.biome,
+        biomeLabel: biomeLabel(biome.biome),
+        tokens: biome.tokens ?? req.server.tokens ?? 0,
+        country: country?.name || null
+      },
+      access: req.access,
+      tokenHistory: tokenHistory(guildId),
+      visitors: visitorStats(guildId),
+      bosses: bossHistory(guildId),
+      notifications: notificationSettings(guildId),
+      biomes: biomeList(),
+      biomeChangeCost: BIOME_CHANGE_COST
+    });
+  } catch (error) {
+    console.error('GET /api/dashboard/guild error:', error);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/**
+ * Server Relocation Endpoint
+ * POST /api/dashboard/guild/:guildId/relocate
+ * Body: { country } - Moves the server to land in that country for its token cost
+ */
+router.post('/api/dashboard/guild/:guildId/relocate', rateLimit(10, 60000), ensureCsrf, requireLogin, loadGuild, async (req, res) => {
+  try {
+    if (!req.access.relocate) {
+      return res.status(403).json({ error: 'forbidden', message: 'Relocating needs the Manage Server permission' });
+    }
+    const country = getCountry(String(req.body?.country || ''));
+    if (!country) return sendFailure(res, { reason: 'unknown_country' });
+
+    const result = await relocateServer(req.server.guildId, country, req.session.user.id);
+    if (!result.ok) return sendFailure(res, result);
+    logger.info('dashboard_relocate: %s moved %s to %s', req.session.user.id, req.server.guildId, country.name);
+    res.json(result);
+  } catch (error) {
+    console.error('POST /api/dashboard/guild/relocate error:', error);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/**
+ * Biome Change Endpoint
+ * POST /api/dashboard/guild/:guildId/biome
+ * Body: { biome } - Changes the server's biome for BIOME_CHANGE_COST tokens
+ */
+router.post('/api/dashboard/guild/:guildId/biome', rateLimit(10, 60000), ensureCsrf, requireLogin, loadGuild, (req, res) => {
+  try {
+    if (!req.access.biome) {
+      return res.status(403).json({ error: 'forbidden', message: 'Changing the biome needs the server owner or an Administrator' });
+    }
+    const result = changeBiome(req.server.guildId, String(req.body?.biome || ''), req.session.user.id);
+    if (!result.ok) return sendFailure(res, result);
+    res.json({ ...result, label: biomeLabel(result.to) });
+  } catch (error) {
+    console.error('POST /api/dashboard/guild/biome error:', error);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/**
+ * Outbound webhooks for the server's game events
+ * /api/dashboard/guild/:guildId/webhooks/*
+ */
+webhookRoutes(router, '/api/dashboard/guild/:guildId/webhooks', [requireLogin, loadGuild, (req, res, next) => {
+  if (!req.access.webhooks) {
+    return res.status(403).json({ error: 'forbidden', message: 'Managing webhooks needs the Manage Server permission' });
+  }
+  req.webhookOwner = { ownerType: 'guild', ownerId: req.server.guildId };
+  next();
+}]);
+
+module.exports = router;
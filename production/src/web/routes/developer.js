@@ -0,0 +1,117 @@
+/**
+ * QuestCord Developer Routes
+ * ==========================
+ * API behind the /developer page, where signed-in players manage the
+ * personal keys they use with the public API (/api/v1). Keys belong to the
+ * Discord account signed in through routes/auth.js.
+ *
+ * **Endpoints:**
+ * - GET /api/developer/keys - The user's keys, available scopes and default limits
+ * - POST /api/developer/keys - Create a key (CSRF protected); the full key is
+ *   returned once and never again
+ * - POST /api/developer/keys/:keyId/revoke - Revoke a key (CSRF protected)
+ * - /api/developer/webhooks - Outbound webhooks for the user's game events
+ *   (see web/webhook_routes); registering one needs an active API key
+ */
+
+// Import Express framework for creating developer routes
+const express = require('express');
+// Import security middleware for rate limiting and CSRF protection
+const { rateLimit, ensureCsrf } = require('../security');
+const { API_SCOPES, apiSettings, createKey, listKeys, revokeKey } = require('../../utils/api_keys');
+const { webhookRoutes } = require('../webhook_routes');
+
+const router = express.Router();
+
+// Error codes returned by utils/api_keys, as HTTP status and message
+const REASONS = {
+  invalid_name: [400, 'Give the key a name of up to 40 characters'],
+  invalid_scopes: [400, 'Pick at least one scope'],
+  too_many_keys: [400, 'You already have the maximum number of active keys'],
+  key_not_found: [404, 'Key not found'],
+  already_revoked: [400, 'That key is already revoked']
+};
+
+/**
+ * Reject requests without a signed-in user
+ */
+function requireLogin(req, res, next) {
+  if (!req.session?.user?.id) {
+    return res.status(401).json({ error: 'not_logged_in', message: 'Sign in with Discord to manage API keys' });
+  }
+  next();
+}
+
+/**
+ * Send a failed utils/api_keys result as a JSON error
+ */
+function sendFailure(res, result) {
+  const { ok, reason, ...details } = result;
+  const [status, message] = REASONS[reason] || [400, 'Request failed'];
+  return res.status(status).json({ error: reason, message, ...details });
+}
+
+/**
+ * List Keys
+ * GET /api/developer/keys
+ */
+router.get('/api/developer/keys', rateLimit(60, 60000), requireLogin, (req, res) => {
+  try {
+    const { maxKeysPerUser, perMinute, perDay } = apiSettings();
+    res.json({
+      keys: listKeys(req.session.user.id),
+      scopes: Object.entries(API_SCOPES).map(([id, description]) => ({ id, description })),
+      limits: { maxKeysPerUser, perMinute, perDay }
+    });
+  } catch (error) {
+    console.error('GET /api/developer/keys error:', error);
+    res.status(500).json({ error: 'server_error', message: 'Internal server error' });
+  }
+});
+
+/**
+ * Create Key
+ * POST /api/developer/keys
+ * Body: { name, scopes: [scope, ...] }
+ */
+router.post('/api/developer/keys', rateLimit(10, 60000), ensureCsrf, requireLogin, (req, res) => {
+  try {
+    const { name, scopes } = req.body || {};
+    const result = createKey(req.session.user.id, name, scopes);
+    if (!result.ok) return sendFailure(res, result);
+    res.status(201).json({ key: result.key, record: result.record });
+  } catch (error) {
+    console.error('POST /api/developer/keys error:', error);
+    res.status(500).json({ error: 'server_error', message: 'Internal server error' });
+  }
+});
+
+/**
+ * Revoke Key
+ * POST /api/developer/keys/:keyId/revoke
+ */
+router.post('/api/developer/keys/:keyId/revoke', rateLimit(20, 60000), ensureCsrf, requireLogin, (req, res) => {
+  try {
+    const keyId = Number(req.params.keyId);
+    if (!Number.isInteger(keyId)) return sendFailure(res, { reason: 'key_not_found' });
+    const result = revokeKey(req.session.user.id, keyId);
+    if (!result.ok) return sendFailure(res, result);
+    res.json(result);
+  } catch (error) {
+    console.error('POST /api/developer/keys/revoke error:', error);
+    res.status(500).json({ error: 'server_error', message: 'Internal server error' });
+  }
+});
+
+/**
+ * Outbound webhooks owned by the signed-in user
+ * /api/developer/webhooks/*
+ */
+webhookRoutes(router, '/api/developer/webhooks', [requireLogin, (req, res, next) => {
+  req.webhookOwner = { ownerType: 'user', ownerId: req.session.user.id };
+  next();
+}], {
+  beforeCreate: (req) => listKeys(req.session.user.id).some(k => !k.revokedAt) ? null : { reason: 'no_api_key' }
+});
+
+module.exports = router;
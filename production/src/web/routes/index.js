@@ -94,6 +94,21 @@ function mountRoutes(app) {
     logger.error('[routes] store mount failed %s', e && e.stack || e);
   }
 
+  // PUBLIC API v1 router (handles /api/v1/* endpoints, authenticated with API keys)
+  try {
+    const v1 = safeRequire('./v1');
+    if (v1) {
+      if (typeof v1 === 'function' || (v1 && typeof v1.handle === 'function')) {
+        app.use('/api/v1', v1);
+        logger.info('[routes] v1 mounted');
+      } else {
+        logger.warn('[routes] v1 export not a router, skipping');
+      }
+    }
+  } catch (e) {
+    logger.error('[routes] v1 mount failed %s', e && e.stack || e);
+  }
+
   // API router (handles /api/* endpoints)
   try {
     const api = safeRequire('./api');
@@ -112,6 +127,39 @@ function mountRoutes(app) {
     logger.error('[routes] api mount failed %s', e && e.stack || e);
   }
 
+  // DASHBOARD router (handles /api/dashboard/* endpoints)
+  try {
+    const dashboard = safeRequire('./dashboard');
+    if (dashboard) {
+      if (typeof dashboard === 'function' || (dashboard && typeof dashboard.handle === 'function')) {
+        app.use(dashboard);
+        logger.info('[routes] dashboard mounted');
+      } else if (dashboard && dashboard.default && (typeof dashboard.default === 'function' || typeof dashboard.default.handle === 'function')) {
+        app.use(dashboard.default);
+        logger.info('[routes] dashboard mounted (default export)');
+      } else {
+        logger.warn('[routes] dashboard export not a router, skipping');
+      }
+    }
+  } catch (e) {
+    logger.error('[routes] dashboard mount failed %s', e && e.stack || e);
+  }
+
+  // DEVELOPER router (handles /api/developer/* endpoints)
+  try {
+    const developer = safeRequire('./developer');
+    if (developer) {
+      if (typeof developer === 'function' || (developer && typeof developer.handle === 'function')) {
+        app.use(developer);
+        logger.info('[routes] developer mounted');
+      } else {
+        logger.warn('[routes] developer export not a router, skipping');
+      }
+    }
+  } catch (e) {
+    logger.error('[routes] developer mount failed %s', e && e.stack || e);
+  }
+
   // STATUS router (handles /status/* endpoints)
   try {
     const status = safeRequire('./status');
@@ -7,6 +7,8 @@
  * - Landing page (main application interface)
  * - Terms of Service and Privacy Policy (legal compliance)
  * - Status page (service health monitoring)
+ * - Server dashboard (for server owners and managers)
+ * - Developer page (public API keys)
  *
  * **Features:**
  * - Subdomain routing for status page
@@ -78,6 +80,26 @@ router.get('/updates/:version', (req, res) => {
 
 
 
+/**
+ * Server Dashboard Page
+ * GET /dashboard
+ * Serves the server-owner dashboard; the page signs users in and loads its
+ * data from /api/dashboard/*
+ */
+router.get('/dashboard', (req, res) => {
+  res.sendFile(path.join(process.cwd(), 'web', 'public', 'dashboard.html'));
+});
+
+/**
+ * Developer Page
+ * GET /developer
+ * Lets signed-in players create and revoke keys for the public API
+ * (/api/v1); the page loads its data from /api/developer/*
+ */
+router.get('/developer', (req, res) => {
+  res.sendFile(path.join(process.cwd(), 'web', 'public', 'developer.html'));
+});
+
 /**
  * Service Status Page
  * GET /status
@@ -10,15 +10,7 @@ async function fetchSafe(...args){
 
 const cfg = require('../../utils/config');
 const { db } = require('../../utils/store_sqlite');
-
-try{
-  db.exec(`CREATE TABLE IF NOT EXISTS paypal_orders(
-    orderId TEXT PRIMARY KEY,
-    guildId TEXT,
-    tokens INTEGER,
-    createdAt INTEGER
-  );`);
-}catch(e){ console.warn('[paypal] table create failed', e?.message); }
+const { adjustTokens } = require('../../utils/server_admin');
 
 function apiBase(){
   const env = (cfg?.billing?.paypal?.environment || 'sandbox').toLowerCase();
@@ -170,14 +162,13 @@ function mount(app){
       if (type === 'PAYMENT.CAPTURE.COMPLETED'){
         if (!row) return res.json({ ok:false, error: 'missing_order_mapping' });
         db.prepare('INSERT OR IGNORE INTO servers(guildId) VALUES (?)').run(row.guildId);
-        db.prepare('UPDATE servers SET tokens = COALESCE(tokens,0) + ? WHERE guildId=?').run(row.tokens, row.guildId);
-        const after = db.prepare('SELECT tokens FROM servers WHERE guildId=?').get(row.guildId)?.tokens ?? 0;
+        const after = adjustTokens(row.guildId, row.tokens, 'purchase', { details: `PayPal order ${orderId}` }).tokens;
         return res.json({ ok:true, guildId: row.guildId, credited: row.tokens, tokens: after });
       }
 
       if (type === 'PAYMENT.CAPTURE.REFUNDED'){
         if (!row) return res.json({ ok:false, error: 'missing_order_mapping' });
-        db.prepare('UPDATE servers SET tokens = MAX(0, COALESCE(tokens,0) - ?) WHERE guildId=?').run(row.tokens, row.guildId);
+        adjustTokens(row.guildId, -row.tokens, 'refund', { details: `PayPal order ${orderId}` });
         if (cfg?.billing?.autoBanOnRefund !== false){
           db.prepare('UPDATE servers SET isBanned=1, banReason=?, bannedAt=? WHERE guildId=?').run('paypal_refund', Date.now(), row.guildId);
         }
@@ -7,45 +7,6 @@ const router = express.Router();
 // Store bot start time for accurate uptime calculation
 const BOT_START_TIME = Date.now();
 
-// Initialize uptime history tracking table
-try {
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS uptime_history (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      timestamp INTEGER NOT NULL,
-      status TEXT NOT NULL,
-      response_time INTEGER DEFAULT 0,
-      error_message TEXT,
-      created_at INTEGER DEFAULT (strftime('%s', 'now'))
-    )
-  `);
-
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS command_usage (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      command_name TEXT NOT NULL,
-      user_id TEXT NOT NULL,
-      guild_id TEXT,
-      timestamp INTEGER NOT NULL,
-      success INTEGER DEFAULT 1,
-      created_at INTEGER DEFAULT (strftime('%s', 'now'))
-    )
-  `);
-
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS travel_history (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id TEXT NOT NULL,
-      from_guild_id TEXT,
-      to_guild_id TEXT NOT NULL,
-      timestamp INTEGER NOT NULL,
-      created_at INTEGER DEFAULT (strftime('%s', 'now'))
-    )
-  `);
-} catch (error) {
-  logger.error('Failed to create tracking tables:', error);
-}
-
 // Function to record uptime status
 function recordUptimeStatus(status = 'online', responseTime = 0, errorMessage = null, customTimestamp = null) {
   try {
@@ -106,9 +67,20 @@ router.get('/bot-stats', async (req, res) => {
 
   try {
     // Get real bot statistics from Discord client if available
+    // (when sharded, the web server runs in the launcher and asks every shard)
     const client = req.app.locals.discordClient;
-    const realServerCount = client ? client.guilds.cache.size : 0;
-    const realUserCount = client ? client.users.cache.size : 0;
+    const shardManager = req.app.locals.shardManager;
+    let realServerCount = client ? client.guilds.cache.size : 0;
+    let realUserCount = client ? client.users.cache.size : 0;
+    if (!client && shardManager) {
+      try {
+        const sum = (values) => values.reduce((total, n) => total + n, 0);
+        realServerCount = sum(await shardManager.fetchClientValues('guilds.cache.size'));
+        realUserCount = sum(await shardManager.fetchClientValues('users.cache.size'));
+      } catch (error) {
+        // Shards still starting; fall back to the database below
+      }
+    }
 
     // Fallback to database if client not available
     const dbServerCount = db.prepare('SELECT COUNT(*) as count FROM servers WHERE archived = 0').get();
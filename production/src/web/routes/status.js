@@ -116,6 +116,31 @@ const healthChecks = {
         details: error.message
       };
     }
+  },
+
+  async scheduler() {
+    const startTime = Date.now();
+    try {
+      // Job names only; errors and timings stay in /deploy status
+      const jobs = require('../../utils/scheduler').jobStatus();
+      const failing = jobs.filter(job => job.health === 'failing').map(job => job.name);
+      const overdue = jobs.filter(job => job.health === 'overdue').map(job => job.name);
+      const problems = [
+        failing.length && `failing: ${failing.join(', ')}`,
+        overdue.length && `overdue: ${overdue.join(', ')}`
+      ].filter(Boolean);
+      return {
+        status: problems.length ? 'degraded' : 'healthy',
+        responseTime: Date.now() - startTime,
+        details: problems.length ? problems.join('; ') : `${jobs.length} background jobs on schedule`
+      };
+    } catch (error) {
+      return {
+        status: 'degraded',
+        responseTime: Date.now() - startTime,
+        details: error.message
+      };
+    }
   }
 };
 
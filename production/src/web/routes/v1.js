@@ -0,0 +1,523 @@
+/**
+ * QuestCord Public API (v1)
+ * =========================
+ * Versioned, read-only API for community tools, mounted at /api/v1. Every
+ * endpoint except the OpenAPI document needs a personal API key (created on
+ * /developer) sent as `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+ *
+ * **Endpoints:**
+ * - GET /api/v1/openapi.json - OpenAPI 3 document for this API
+ * - GET /api/v1/me, /api/v1/players/{userId} - Profiles (profile:read)
+ * - GET /api/v1/me/inventory - The key owner's inventory (inventory:read)
+ * - GET /api/v1/bosses - Active bosses (bosses:read)
+ * - GET /api/v1/market/listings, /api/v1/market/items/{itemId}/orderbook (market:read)
+ * - GET /api/v1/map/servers - Servers on the map (map:read)
+ * - GET /api/v1/leaderboards/{board} - Leaderboards (leaderboards:read)
+ *
+ * Endpoints are declared with endpoint(), which registers the Express route
+ * and records its parameters, scope and response schema; the OpenAPI document
+ * is generated from those records, so it cannot drift from the routes.
+ *
+ * **Envelopes:** successful responses are `{ data, meta? }`; every error,
+ * including unknown endpoints and quota failures, is `{ error, message }`
+ * with the matching HTTP status. Each authenticated response carries
+ * X-RateLimit-Limit, X-RateLimit-Remaining and X-RateLimit-Reset headers.
+ */
+
+// Import Express framework for creating the API router
+const express = require('express');
+// Import SQLite database connection for game data
+const { db } = require('../../utils/store_sqlite');
+// Import per-IP rate limiting (guards key guessing before a key is known)
+const { rateLimit } = require('../security');
+const logger = require('../../utils/logger');
+const { API_SCOPES, apiSettings, authenticateKey, consumeQuota } = require('../../utils/api_keys');
+const { itemById } = require('../../utils/items');
+const { getOrderBook } = require('../../utils/market');
+const { locationOf } = require('../../utils/travel_plans');
+const { weeklyLeaderboard } = require('../../utils/clans');
+
+const router = express.Router();
+
+// Endpoint definitions, in declaration order, for the OpenAPI document
+const endpoints = [];
+
+// Error codes, as HTTP status and default message
+const ERRORS = {
+  missing_key: [401, 'Send your API key as "Authorization: Bearer <key>" or "X-API-Key: <key>"'],
+  invalid_key: [401, 'API key not recognised or revoked'],
+  missing_scope: [403, 'This API key does not have the scope this endpoint needs'],
+  rate_limited: [429, 'Too many requests this minute for this API key'],
+  quota_exceeded: [429, 'Daily request quota for this API key is used up'],
+  invalid_input: [400, 'Invalid request parameters'],
+  not_found: [404, 'Not found'],
+  server_error: [500, 'Internal server error']
+};
+
+/**
+ * Send an error in the v1 envelope
+ */
+function sendError(res, code, message, details = {}) {
+  const [status, fallback] = ERRORS[code] || ERRORS.server_error;
+  return res.status(status).json({ error: code, message: message || fallback, ...details });
+}
+
+/**
+ * API key from the Authorization (Bearer) or X-API-Key header
+ */
+function keyFromRequest(req) {
+  const auth = req.headers.authorization || '';
+  if (/^Bearer\s+/i.test(auth)) return auth.replace(/^Bearer\s+/i, '').trim();
+  return req.headers['x-api-key'] || null;
+}
+
+/**
+ * Require a valid key with the given scope and count the request against the
+ * key's quotas. Sets req.apiKey.
+ */
+function requireKey(scope) {
+  return (req, res, next) => {
+    const raw = keyFromRequest(req);
+    if (!raw) return sendError(res, 'missing_key');
+    const key = authenticateKey(raw);
+    if (!key) return sendError(res, 'invalid_key');
+    if (!key.scopes.includes(scope)) return sendError(res, 'missing_scope', `This API key needs the ${scope} scope`, { scope });
+
+    const quota = consumeQuota(key);
+    res.setHeader('X-RateLimit-Limit', quota.limit);
+    res.setHeader('X-RateLimit-Remaining', quota.remaining);
+    res.setHeader('X-RateLimit-Reset', Math.ceil(quota.reset / 1000));
+    if (!quota.ok) {
+      res.setHeader('Retry-After', Math.max(1, Math.ceil((quota.reset - Date.now()) / 1000)));
+      return sendError(res, quota.reason);
+    }
+    req.apiKey = key;
+    next();
+  };
+}
+
+/**
+ * Read and validate declared path and query parameters into req.params
+ * and req.input, answering invalid_input for bad values
+ */
+function readParams(params) {
+  return (req, res, next) => {
+    const input = {};
+    for (const p of params) {
+      let value = p.in === 'path' ? req.params[p.name] : req.query[p.name];
+      if (value === undefined || value === '') {
+        if (p.required) return sendError(res, 'invalid_input', `${p.name} is required`);
+        input[p.name] = p.default;
+        continue;
+      }
+      if (p.type === 'integer') {
+        value = Number(value);
+        if (!Number.isInteger(value) || (p.min != null && value < p.min) || (p.max != null && value > p.max)) {
+          return sendError(res, 'invalid_input', `${p.name} must be a whole number${p.min != null ? ` from ${p.min}` : ''}${p.max != null ? ` to ${p.max}` : ''}`);
+        }
+      } else {
+        value = String(value);
+        if (p.enum && !p.enum.includes(value)) {
+          return sendError(res, 'invalid_input', `${p.name} must be one of: ${p.enum.join(', ')}`);
+        }
+      }
+      input[p.name] = value;
+    }
+    req.input = input;
+    next();
+  };
+}
+
+/**
+ * Declare a GET endpoint: registers the route and records it for the
+ * OpenAPI document
+ *
+ * @param {Object} def - path (OpenAPI style, e.g. /players/{userId}), id,
+ *   summary, tag, scope, params, schema of `data`, paginated
+ * @param {Function} handler - (req, res) returning the `data` value, or a
+ *   { data, meta } object when paginated; null means not_found
+ */
+function endpoint(def, handler) {
+  const spec = { params: [], paginated: false, ...def };
+  endpoints.push(spec);
+  const expressPath = spec.path.replace(/\{(\w+)\}/g, ':$1');
+  router.get(expressPath, rateLimit(120, 60000), requireKey(spec.scope), readParams(spec.params), (req, res) => {
+    try {
+      const result = handler(req, res);
+      if (result == null) return sendError(res, 'not_found', spec.notFound);
+      res.json(spec.paginated ? result : { data: result });
+    } catch (error) {
+      logger.error('GET /api/v1%s error: %s', spec.path, error.message);
+      sendError(res, 'server_error');
+    }
+  });
+}
+
+// ===============================================
+// SCHEMAS AND SHARED PARAMETERS
+// ===============================================
+
+const T = {
+  string: { type: 'string' },
+  integer: { type: 'integer' },
+  number: { type: 'number' },
+  boolean: { type: 'boolean' },
+  nullableString: { type: 'string', nullable: true },
+  nullableInteger: { type: 'integer', nullable: true },
+  timestamp: { type: 'integer', description: 'Milliseconds since the Unix epoch' }
+};
+
+function object(properties) {
+  return { type: 'object', properties };
+}
+
+function list(items) {
+  return { type: 'array', items };
+}
+
+function pageParams() {
+  const { maxPageSize } = apiSettings();
+  return [
+    { name: 'limit', in: 'query', type: 'integer', min: 1, max: maxPageSize, default: Math.min(50, maxPageSize), description: 'Results per page' },
+    { name: 'offset', in: 'query', type: 'integer', min: 0, default: 0, description: 'Results to skip' }
+  ];
+}
+
+const LOCATION = object({ guildId: T.string, name: T.string, kind: { type: 'string', enum: ['server', 'landmark'] } });
+
+const PROFILE = object({
+  userId: T.string,
+  name: T.nullableString,
+  title: T.nullableString,
+  location: { ...LOCATION, nullable: true },
+  travelling: T.boolean,
+  stats: object({ serversVisited: T.integer, bossKills: T.integer, itemsCrafted: T.integer }),
+  duel: { ...object({ rating: T.integer, wins: T.integer, losses: T.integer, draws: T.integer }), nullable: true },
+  private: { ...object({ drakari: T.integer, gems: T.integer, health: T.number, stamina: T.number, travelArrivalAt: T.timestamp }), description: 'Only on /me' }
+});
+
+const LEADERBOARDS = ['drakari', 'gems', 'boss_kills', 'servers_visited', 'items_crafted', 'duels', 'clans'];
+
+// players column ranked by each player leaderboard
+const PLAYER_BOARDS = {
+  drakari: 'drakari',
+  gems: 'gems',
+  boss_kills: 'bossKills',
+  servers_visited: 'serversVisited',
+  items_crafted: 'itemsCrafted'
+};
+
+/**
+ * Profile of a player, with private fields for the key owner
+ */
+function playerProfile(userId, { includePrivate = false } = {}) {
+  const player = db.prepare(`
+    SELECT userId, name, title, drakari, gems, health, stamina, locationGuildId, travelArrivalAt,
+           serversVisited, bossKills, itemsCrafted
+    FROM players WHERE userId = ? AND COALESCE(banned, 0) = 0
+  `).get(userId);
+  if (!player) return null;
+  const location = locationOf(player.locationGuildId);
+  const duel = db.prepare('SELECT rating, wins, losses, draws FROM duel_ratings WHERE userId = ?').get(userId) || null;
+  const profile = {
+    userId: player.userId,
+    name: player.name,
+    title: player.title || null,
+    location: location ? { guildId: location.guildId, name: location.name, kind: location.kind } : null,
+    travelling: (player.travelArrivalAt || 0) > Date.now(),
+    stats: { serversVisited: player.serversVisited || 0, bossKills: player.bossKills || 0, itemsCrafted: player.itemsCrafted || 0 },
+    duel
+  };
+  if (includePrivate) {
+    profile.private = {
+      drakari: player.drakari || 0,
+      gems: player.gems || 0,
+      health: player.health,
+      stamina: player.stamina,
+      travelArrivalAt: player.travelArrivalAt || 0
+    };
+  }
+  return profile;
+}
+
+function page(data, total, { limit, offset }) {
+  return { data, meta: { total, limit, offset } };
+}
+
+// ===============================================
+// ENDPOINTS
+// ===============================================
+
+endpoint({
+  path: '/me',
+  id: 'getMe',
+  tag: 'Players',
+  scope: 'profile:read',
+  summary: 'Profile of the key owner, including balances and health',
+  schema: PROFILE,
+  notFound: 'You have not started playing QuestCord yet'
+}, (req) => playerProfile(req.apiKey.userId, { includePrivate: true }));
+
+endpoint({
+  path: '/players/{userId}',
+  id: 'getPlayer',
+  tag: 'Players',
+  scope: 'profile:read',
+  summary: 'Public profile of a player',
+  params: [{ name: 'userId', in: 'path', type: 'string', required: true, description: 'Discord user ID' }],
+  schema: PROFILE,
+  notFound: 'Player not found'
+}, (req) => playerProfile(req.input.userId));
+
+endpoint({
+  path: '/me/inventory',
+  id: 'getMyInventory',
+  tag: 'Players',
+  scope: 'inventory:read',
+  summary: "The key owner's inventory",
+  schema: list(object({ itemId: T.string, name: T.string, rarity: T.nullableString, category: T.nullableString, qty: T.integer }))
+}, (req) => db.prepare('SELECT itemId, qty FROM inventory WHERE userId = ? AND qty > 0 ORDER BY itemId').all(req.apiKey.userId).map(row => {
+  const item = itemById(row.itemId);
+  return { itemId: row.itemId, name: item?.name || row.itemId, rarity: item?.rarity || null, category: item?.category || null, qty: row.qty };
+}));
+
+endpoint({
+  path: '/bosses',
+  id: 'listBosses',
+  tag: 'Bosses',
+  scope: 'bosses:read',
+  summary: 'Bosses currently active on the map',
+  schema: list(object({
+    id: T.integer, guildId: T.string, serverName: T.nullableString, name: T.string, tier: T.integer,
+    hp: T.integer, maxHp: T.integer, phase: T.nullableInteger, enraged: T.boolean, startedAt: T.timestamp, expiresAt: T.timestamp
+  }))
+}, () => db.prepare(`
+  SELECT b.id, b.guildId, s.name AS serverName, b.name, b.tier, b.hp, b.maxHp, b.phase, b.enraged, b.startedAt, b.expiresAt
+  FROM bosses b LEFT JOIN servers s ON s.guildId = b.guildId
+  WHERE b.active = 1 AND b.expiresAt > ?
+  ORDER BY b.startedAt DESC
+`).all(Date.now()).map(b => ({ ...b, enraged: !!b.enraged })));
+
+endpoint({
+  path: '/market/listings',
+  id: 'listMarketListings',
+  tag: 'Market',
+  scope: 'market:read',
+  summary: 'Open sell listings on the market',
+  params: [
+    { name: 'itemId', in: 'query', type: 'string', description: 'Only listings of this item' },
+    { name: 'sort', in: 'query', type: 'string', enum: ['newest', 'price'], default: 'newest', description: 'newest first, or cheapest unit price first' },
+    ...pageParams()
+  ],
+  paginated: true,
+  schema: list(object({
+    id: T.integer, itemId: T.string, itemName: T.string, qty: T.integer, price: { ...T.integer, description: 'Total for the listed quantity' },
+    unitPrice: T.number, sellerId: T.string, createdAt: T.timestamp, expiresAt: T.timestamp
+  }))
+}, (req) => {
+  const { itemId, sort, limit, offset } = req.input;
+  const where = 'expiresAt > ? AND qty > 0' + (itemId ? ' AND itemId = ?' : '');
+  const args = itemId ? [Date.now(), itemId] : [Date.now()];
+  const order = sort === 'price' ? 'price * 1.0 / qty ASC, id ASC' : 'createdAt DESC, id DESC';
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM market_listings WHERE ${where}`).get(...args).n;
+  const rows = db.prepare(`
+    SELECT id, itemId, qty, price, sellerId, createdAt, expiresAt FROM market_listings
+    WHERE ${where} ORDER BY ${order} LIMIT ? OFFSET ?
+  `).all(...args, limit, offset);
+  return page(rows.map(r => ({
+    ...r,
+    itemName: itemById(r.itemId)?.name || r.itemId,
+    unitPrice: Math.round((r.price / r.qty) * 100) / 100
+  })), total, req.input);
+});
+
+endpoint({
+  path: '/market/items/{itemId}/orderbook',
+  id: 'getOrderBook',
+  tag: 'Market',
+  scope: 'market:read',
+  summary: 'Best bids and asks for an item, and its last trade',
+  params: [
+    { name: 'itemId', in: 'path', type: 'string', required: true, description: 'Item ID' },
+    { name: 'depth', in: 'query', type: 'integer', min: 1, max: 20, default: 5, description: 'Price levels per side' }
+  ],
+  schema: object({
+    itemId: T.string,
+    bids: list(object({ unitPrice: T.number, qty: T.integer, orders: T.integer })),
+    asks: list(object({ unitPrice: T.number, qty: T.integer, orders: T.integer })),
+    lastTrade: { ...object({ unitPrice: T.number, qty: T.integer, createdAt: T.timestamp }), nullable: true }
+  }),
+  notFound: 'Unknown item'
+}, (req) => {
+  if (!itemById(req.input.itemId)) return null;
+  return { itemId: req.input.itemId, ...getOrderBook(req.input.itemId, req.input.depth) };
+});
+
+endpoint({
+  path: '/map/servers',
+  id: 'listMapServers',
+  tag: 'Map',
+  scope: 'map:read',
+  summary: 'Registered servers on the map',
+  params: pageParams(),
+  paginated: true,
+  schema: list(object({
+    guildId: T.string, name: T.nullableString, lat: T.number, lon: T.number, iconUrl: T.nullableString,
+    biome: T.nullableString, discoverable: T.boolean, visitors: T.integer, bossActive: T.boolean
+  }))
+}, (req) => {
+  const now = Date.now();
+  const where = 'COALESCE(s.archived, 0) = 0 AND COALESCE(s.isBanned, 0) = 0 AND s.lat IS NOT NULL AND s.lon IS NOT NULL';
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM servers s WHERE ${where}`).get().n;
+  const rows = db.prepare(`
+    SELECT s.guildId, s.name, s.lat, s.lon, s.iconUrl, s.biome, s.discoverable,
+      (SELECT COUNT(*) FROM players p WHERE p.locationGuildId = s.guildId AND (p.travelArrivalAt = 0 OR p.travelArrivalAt <= ?)) AS visitors,
+      EXISTS (SELECT 1 FROM bosses b WHERE b.guildId = s.guildId AND b.active = 1 AND b.expiresAt > ?) AS bossActive
+    FROM servers s WHERE ${where}
+    ORDER BY s.guildId LIMIT ? OFFSET ?
+  `).all(now, now, req.input.limit, req.input.offset);
+  return page(rows.map(r => ({ ...r, discoverable: !!r.discoverable, bossActive: !!r.bossActive })), total, req.input);
+});
+
+endpoint({
+  path: '/leaderboards/{board}',
+  id: 'getLeaderboard',
+  tag: 'Leaderboards',
+  scope: 'leaderboards:read',
+  summary: 'Top players (or clans, for the weekly clans board)',
+  params: [
+    { name: 'board', in: 'path', type: 'string', required: true, enum: LEADERBOARDS, description: 'Leaderboard to read' },
+    { name: 'limit', in: 'query', type: 'integer', min: 1, max: 100, default: 10, description: 'Entries to return' }
+  ],
+  schema: list(object({
+    rank: T.integer, id: { ...T.string, description: 'User ID, or clan ID on the clans board' },
+    name: T.nullableString, value: { ...T.number, description: 'Amount ranked by (rating on duels, weekly boss damage on clans)' }
+  }))
+}, (req) => {
+  const { board, limit } = req.input;
+  let rows;
+  if (board === 'clans') {
+    rows = weeklyLeaderboard(undefined, limit).map(c => ({ id: String(c.id), name: `[${c.tag}] ${c.name}`, value: c.bossDamage }));
+  } else if (board === 'duels') {
+    rows = db.prepare(`
+      SELECT r.userId AS id, p.name, r.rating AS value FROM duel_ratings r
+      JOIN players p ON p.userId = r.userId
+      WHERE COALESCE(p.banned, 0) = 0
+      ORDER BY r.rating DESC LIMIT ?
+    `).all(limit);
+  } else {
+    rows = db.prepare(`
+      SELECT userId AS id, name, COALESCE(${PLAYER_BOARDS[board]}, 0) AS value FROM players
+      WHERE COALESCE(banned, 0) = 0
+      ORDER BY value DESC LIMIT ?
+    `).all(limit);
+  }
+  return rows.map((row, i) => ({ rank: i + 1, ...row }));
+});
+
+// ===============================================
+// OPENAPI DOCUMENT
+// ===============================================
+
+const ERROR_RESPONSE = (description) => ({ description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } });
+
+/**
+ * OpenAPI 3 document built from the endpoint definitions
+ */
+function openApiDocument(baseUrl) {
+  const paths = {};
+  for (const def of endpoints) {
+    const data = def.paginated
+      ? object({ data: def.schema, meta: { $ref: '#/components/schemas/PageMeta' } })
+      : object({ data: def.schema });
+    const responses = {
+      200: { description: 'Success', content: { 'application/json': { schema: data } } },
+      400: { $ref: '#/components/responses/InvalidInput' },
+      401: { $ref: '#/components/responses/Unauthorized' },
+      403: { $ref: '#/components/responses/Forbidden' },
+      429: { $ref: '#/components/responses/TooManyRequests' },
+      500: { $ref: '#/components/responses/ServerError' }
+    };
+    if (def.notFound) responses[404] = { $ref: '#/components/responses/NotFound' };
+    paths[def.path] = {
+      get: {
+        operationId: def.id,
+        summary: def.summary,
+        description: `Requires the \`${def.scope}\` scope.`,
+        tags: [def.tag],
+        security: [{ apiKey: [] }],
+        'x-scope': def.scope,
+        parameters: def.params.map(p => ({
+          name: p.name,
+          in: p.in,
+          required: p.in === 'path' || !!p.required,
+          description: p.description,
+          schema: {
+            type: p.type || 'string',
+            ...(p.enum ? { enum: p.enum } : {}),
+            ...(p.min != null ? { minimum: p.min } : {}),
+            ...(p.max != null ? { maximum: p.max } : {}),
+            ...(p.default !== undefined ? { default: p.default } : {})
+          }
+        })),
+        responses
+      }
+    };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'QuestCord Public API',
+      version: '1.0.0',
+      description: `Read-only access to QuestCord game data. Create an API key at /developer and send it as a Bearer token. Scopes: ${Object.keys(API_SCOPES).join(', ')}.`
+    },
+    servers: [{ url: baseUrl }],
+    tags: [...new Set(endpoints.map(e => e.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'http', scheme: 'bearer', description: 'Personal API key (qc_...) from /developer' }
+      },
+      schemas: {
+        Error: object({
+          error: { type: 'string', enum: Object.keys(ERRORS) },
+          message: T.string
+        }),
+        PageMeta: object({ total: T.integer, limit: T.integer, offset: T.integer })
+      },
+      responses: {
+        InvalidInput: ERROR_RESPONSE('Invalid parameters (invalid_input)'),
+        Unauthorized: ERROR_RESPONSE('Missing or invalid API key (missing_key, invalid_key)'),
+        Forbidden: ERROR_RESPONSE('The key lacks the required scope (missing_scope)'),
+        NotFound: ERROR_RESPONSE('Resource not found (not_found)'),
+        TooManyRequests: ERROR_RESPONSE('Per-minute limit or daily quota reached (rate_limited, quota_exceeded)'),
+        ServerError: ERROR_RESPONSE('Unexpected error (server_error)')
+      }
+    }
+  };
+}
+
+/**
+ * OpenAPI Document Endpoint
+ * GET /api/v1/openapi.json
+ * Public; describes every endpoint above
+ */
+router.get('/openapi.json', rateLimit(30, 60000), (req, res) => {
+  res.json(openApiDocument(`${req.protocol}://${req.get('host')}/api/v1`));
+});
+
+// CORS preflight for browser-based tools (headers come from securityHeaders)
+router.options('*', (req, res) => res.sendStatus(204));
+
+// Anything else under /api/v1 gets the same error envelope
+router.use((req, res) => sendError(res, 'not_found', 'Unknown API endpoint'));
+
+// Errors thrown by middleware (e.g. malformed JSON) get the envelope too
+router.use((err, req, res, next) => {
+  logger.error('/api/v1 error: %s', err.message);
+  sendError(res, err.status === 400 ? 'invalid_input' : 'server_error');
+});
+
+module.exports = router;
+module.exports.openApiDocument = openApiDocument;
@@ -24,20 +24,10 @@
 
 // Import Node.js crypto module for secure token generation
 const crypto = require('crypto');
-// In-memory storage for rate limiting buckets (per IP + path combination)
-const buckets = new Map();
 // Import configuration for security settings and rate limits
 const config = require('../utils/config');
-
-// Cleanup expired rate limiting buckets every 5 minutes to prevent memory leaks
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, bucket] of buckets.entries()) {
-    if (now > bucket.reset) {
-      buckets.delete(key);
-    }
-  }
-}, 300000); // Clean every 5 minutes
+// Rate limit counters (per IP + path), shared between processes when sharded
+const { hitLimit } = require('../utils/shared_store');
 
 /**
  * Security Headers Middleware
@@ -95,7 +85,7 @@ function securityHeaders(req, res, next) {
 /**
  * Rate Limiting Middleware Factory
  * Creates rate limiting middleware to prevent abuse and DoS attacks
- * Uses token bucket algorithm with per-IP + per-path tracking
+ * Uses fixed windows per IP + path, counted in the shared store (utils/shared_store)
  * @param {number} maxDefault - Default maximum requests per time window (30)
  * @param {number} perMsDefault - Default time window in milliseconds (60000 = 1 minute)
  * @returns {Function} - Express middleware function
@@ -108,24 +98,10 @@ function rateLimit(maxDefault = 30, perMsDefault = 60000) {
     const perMs = apiCfg.perMs ?? perMsDefault;
     
     // Create unique key combining client IP and request path
-    const k = req.ip + '|' + req.path;
-    const now = Date.now();
-    
-    // Get or create rate limit bucket for this IP + path combination
-    const b = buckets.get(k) || { count: 0, reset: now + perMs };
-    
-    // Reset bucket if time window has expired
-    if (now > b.reset) { 
-      b.count = 0; 
-      b.reset = now + perMs; 
-    }
-    
-    // Increment request count
-    b.count++;
-    buckets.set(k, b);
+    const k = 'web:' + req.ip + '|' + req.path;
     
-    // Check if rate limit exceeded
-    if (b.count > max) {
+    // Count the request and check if rate limit exceeded
+    if (!hitLimit(k, max, perMs).allowed) {
       return res.status(429).json({ error: 'rate_limited' });
     }
     
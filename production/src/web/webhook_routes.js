@@ -0,0 +1,139 @@
+/**
+ * Outbound Webhook Management Routes
+ * ==================================
+ * The same endpoints serve server owners (dashboard, /api/dashboard/guild/:guildId/webhooks)
+ * and API key holders (developer page, /api/developer/webhooks). Each caller
+ * supplies guard middleware that signs the user in, checks access and sets
+ * req.webhookOwner = { ownerType, ownerId }; everything else goes through
+ * utils/outbound_webhooks.
+ *
+ * **Endpoints (relative to the base path):**
+ * - GET / - Endpoints and the events the owner can subscribe to
+ * - POST / - Register an endpoint; the signing secret is returned once
+ * - POST /:endpointId - Pause/resume ({ enabled }) or change { events }
+ * - POST /:endpointId/delete - Delete an endpoint and its delivery log
+ * - GET /:endpointId/deliveries?status= - Delivery log (status 'dead' is the dead-letter list)
+ * - POST /deliveries/:deliveryId/redeliver - Queue a delivery again
+ */
+
+const { rateLimit, ensureCsrf } = require('./security');
+const { GAME_EVENTS } = require('../utils/game_events');
+const { eventsFor, createEndpoint, listEndpoints, updateEndpoint, deleteEndpoint, deliveryLog, redeliver } = require('../utils/outbound_webhooks');
+
+// Error codes returned by utils/outbound_webhooks, as HTTP status and message
+const REASONS = {
+  invalid_url: [400, 'Enter an https:// URL'],
+  private_url: [400, 'Webhook URLs must point to a public internet address'],
+  unresolvable_url: [400, 'That URL\'s host name could not be resolved'],
+  invalid_events: [400, 'Pick at least one of the listed events'],
+  too_many_endpoints: [400, 'You already have the maximum number of webhooks'],
+  endpoint_not_found: [404, 'Webhook not found'],
+  delivery_not_found: [404, 'Delivery not found'],
+  already_pending: [400, 'That delivery is already queued'],
+  no_api_key: [403, 'Create an API key before registering webhooks']
+};
+
+const STATUSES = ['pending', 'delivered', 'dead'];
+
+function sendFailure(res, result) {
+  const { ok, reason, ...details } = result;
+  const [status, message] = REASONS[reason] || [400, 'Request failed'];
+  return res.status(status).json({ error: reason, message, ...details });
+}
+
+function serverError(res, label, error) {
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: 'server_error', message: 'Internal server error' });
+}
+
+/**
+ * Add the webhook management endpoints to a router
+ *
+ * @param {Router} router - Express router to add them to
+ * @param {string} base - Base path
+ * @param {Array<Function>} guards - Middleware that must set req.webhookOwner
+ * @param {Object} options
+ * @param {Function} options.beforeCreate - (req) returning a failure result to
+ *   refuse registration, or null
+ */
+function webhookRoutes(router, base, guards, { beforeCreate = () => null } = {}) {
+  const owner = (req) => [req.webhookOwner.ownerType, req.webhookOwner.ownerId];
+
+  router.get(base, rateLimit(60, 60000), ...guards, (req, res) => {
+    try {
+      const [ownerType, ownerId] = owner(req);
+      res.json({
+        endpoints: listEndpoints(ownerType, ownerId),
+        events: eventsFor(ownerType).map(id => ({ id, description: GAME_EVENTS[id].description }))
+      });
+    } catch (error) {
+      serverError(res, `GET ${base}`, error);
+    }
+  });
+
+  router.post(base, rateLimit(10, 60000), ensureCsrf, ...guards, async (req, res) => {
+    try {
+      const refused = beforeCreate(req);
+      if (refused) return sendFailure(res, refused);
+      const [ownerType, ownerId] = owner(req);
+      const result = await createEndpoint({
+        ownerType,
+        ownerId,
+        url: req.body?.url,
+        events: req.body?.events,
+        actorId: req.session.user.id
+      });
+      if (!result.ok) return sendFailure(res, result);
+      res.status(201).json({ endpoint: result.endpoint, secret: result.secret });
+    } catch (error) {
+      serverError(res, `POST ${base}`, error);
+    }
+  });
+
+  router.post(`${base}/deliveries/:deliveryId/redeliver`, rateLimit(30, 60000), ensureCsrf, ...guards, (req, res) => {
+    try {
+      const result = redeliver(...owner(req), Number(req.params.deliveryId));
+      if (!result.ok) return sendFailure(res, result);
+      res.json(result);
+    } catch (error) {
+      serverError(res, `POST ${base}/deliveries/redeliver`, error);
+    }
+  });
+
+  router.post(`${base}/:endpointId`, rateLimit(20, 60000), ensureCsrf, ...guards, (req, res) => {
+    try {
+      const { enabled, events } = req.body || {};
+      const result = updateEndpoint(...owner(req), Number(req.params.endpointId), {
+        enabled: typeof enabled === 'boolean' ? enabled : undefined,
+        events
+      });
+      if (!result.ok) return sendFailure(res, result);
+      res.json(result);
+    } catch (error) {
+      serverError(res, `POST ${base}/:endpointId`, error);
+    }
+  });
+
+  router.post(`${base}/:endpointId/delete`, rateLimit(20, 60000), ensureCsrf, ...guards, (req, res) => {
+    try {
+      const result = deleteEndpoint(...owner(req), Number(req.params.endpointId));
+      if (!result.ok) return sendFailure(res, result);
+      res.json(result);
+    } catch (error) {
+      serverError(res, `POST ${base}/:endpointId/delete`, error);
+    }
+  });
+
+  router.get(`${base}/:endpointId/deliveries`, rateLimit(60, 60000), ...guards, (req, res) => {
+    try {
+      const status = STATUSES.includes(req.query.status) ? req.query.status : null;
+      const result = deliveryLog(...owner(req), Number(req.params.endpointId), { status, limit: 50 });
+      if (!result.ok) return sendFailure(res, result);
+      res.json({ deliveries: result.deliveries });
+    } catch (error) {
+      serverError(res, `GET ${base}/:endpointId/deliveries`, error);
+    }
+  });
+}
+
+module.exports = { webhookRoutes };
@@ -0,0 +1,163 @@
+// Shared Seasonal Event Banner for QuestCord
+// Shows running events (and ones starting soon) from /api/seasonal-events at
+// the top of the page, with a live countdown to the event's end or start.
+// Everything is built with textContent so event data is never parsed as HTML.
+
+(function () {
+  const REFRESH_MS = 5 * 60 * 1000;
+
+  const bannerCSS = `
+    <style>
+        .event-banner {
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+        }
+
+        .event-banner-item {
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            flex-wrap: wrap;
+            gap: 12px;
+            padding: 10px 20px;
+            color: #fff;
+            font-size: 0.95rem;
+            text-align: center;
+            border-bottom: 2px solid rgba(0, 0, 0, 0.25);
+        }
+
+        .event-banner-name {
+            font-weight: 700;
+        }
+
+        .event-banner-desc {
+            opacity: 0.9;
+        }
+
+        .event-banner-countdown {
+            font-family: monospace;
+            font-weight: 700;
+            padding: 2px 10px;
+            border-radius: 6px;
+            background: rgba(0, 0, 0, 0.3);
+        }
+
+        .event-banner-close {
+            background: none;
+            border: none;
+            color: inherit;
+            font-size: 1.1rem;
+            cursor: pointer;
+            opacity: 0.8;
+        }
+    </style>
+  `;
+
+  function el(tag, text, className) {
+    const node = document.createElement(tag);
+    if (text != null) node.textContent = text;
+    if (className) node.className = className;
+    return node;
+  }
+
+  function formatRemaining(ms) {
+    if (ms <= 0) return '0s';
+    const total = Math.floor(ms / 1000);
+    const days = Math.floor(total / 86400);
+    const hours = Math.floor((total % 86400) / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const seconds = total % 60;
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${days > 0 ? `${days}d ` : ''}${pad(hours)}h ${pad(minutes)}m ${pad(seconds)}s`;
+  }
+
+  // Only accept #rgb/#rrggbb so config typos cannot inject other CSS
+  function safeColor(color) {
+    return /^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(color || '') ? color : '#F39C12';
+  }
+
+  const dismissedKey = (event) => `eventBannerDismissed:${event.id}:${event.status}`;
+
+  let container = null;
+  let countdowns = [];
+  let clockOffset = 0;
+
+  function render(events) {
+    container.replaceChildren();
+    countdowns = [];
+
+    for (const event of events) {
+      if (sessionStorage.getItem(dismissedKey(event))) continue;
+      const active = event.status === 'active';
+      const row = el('div', null, 'event-banner-item');
+      row.style.background = safeColor(event.color);
+
+      row.appendChild(el('span', `${event.emoji} ${event.name}`, 'event-banner-name'));
+      if (event.description) row.appendChild(el('span', event.description, 'event-banner-desc'));
+      row.appendChild(el('span', active ? 'Ends in' : 'Starts in'));
+      const countdown = el('span', null, 'event-banner-countdown');
+      row.appendChild(countdown);
+      countdowns.push({ node: countdown, target: active ? event.endsAt : event.startsAt });
+
+      const close = el('button', '✕', 'event-banner-close');
+      close.type = 'button';
+      close.title = 'Hide';
+      close.addEventListener('click', () => {
+        sessionStorage.setItem(dismissedKey(event), '1');
+        row.remove();
+      });
+      row.appendChild(close);
+      container.appendChild(row);
+    }
+    tick();
+  }
+
+  function tick() {
+    const now = Date.now() + clockOffset;
+    let elapsed = false;
+    for (const { node, target } of countdowns) {
+      const remaining = target - now;
+      if (remaining <= 0) elapsed = true;
+      node.textContent = formatRemaining(remaining);
+    }
+    // An event started or ended: fetch the new state
+    if (elapsed) refresh();
+  }
+
+  let refreshing = false;
+  let lastRefresh = 0;
+  async function refresh() {
+    // At most one request every 10 seconds while a countdown sits at zero
+    if (refreshing || Date.now() - lastRefresh < 10000) return;
+    refreshing = true;
+    lastRefresh = Date.now();
+    try {
+      const res = await fetch('/api/seasonal-events');
+      if (!res.ok) return;
+      const data = await res.json();
+      clockOffset = (data.serverTime || Date.now()) - Date.now();
+      render(Array.isArray(data.events) ? data.events : []);
+    } catch (e) {
+      // The banner is optional; leave the page as it is
+    } finally {
+      refreshing = false;
+    }
+  }
+
+  function loadEventBanner() {
+    if (document.querySelector('.event-banner')) return;
+    document.head.insertAdjacentHTML('beforeend', bannerCSS);
+    container = el('div', null, 'event-banner');
+    document.body.prepend(container);
+    refresh();
+    setInterval(tick, 1000);
+    setInterval(refresh, REFRESH_MS);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', loadEventBanner);
+  } else {
+    loadEventBanner();
+  }
+})();
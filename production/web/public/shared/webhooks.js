@@ -0,0 +1,219 @@
+// Shared Outbound Webhooks Panel for QuestCord
+// Used by the server dashboard and the developer page. Both pages talk to the
+// same endpoints (src/web/webhook_routes.js) under different base paths.
+// Everything is built with textContent so server data is never parsed as HTML.
+
+(function () {
+  const STATUS_LABELS = { pending: '⏳ Pending', delivered: '✅ Delivered', dead: '💀 Dead' };
+
+  function el(tag, text, className) {
+    const node = document.createElement(tag);
+    if (text != null) node.textContent = text;
+    if (className) node.className = className;
+    return node;
+  }
+
+  function button(text, onClick) {
+    const node = el('button', text);
+    node.type = 'button';
+    node.addEventListener('click', onClick);
+    return node;
+  }
+
+  function when(ms) {
+    return ms ? new Date(ms).toLocaleString() : '-';
+  }
+
+  /**
+   * Render the webhooks panel into a container
+   *
+   * @param {HTMLElement} container - Element to fill
+   * @param {string} base - API base path, e.g. /api/developer/webhooks
+   * @param {Object} api - The page's getJson(url) and postJson(url, data) helpers
+   */
+  function mount(container, base, { getJson, postJson }) {
+    const message = el('div', null, 'message');
+    const list = el('tbody');
+    const logTitle = el('h3', null, 'hidden');
+    const logFilter = el('select', null, 'hidden');
+    const logBody = el('tbody');
+    const secretBox = el('div', null, 'hidden');
+    let logEndpoint = null;
+    let built = false;
+
+    for (const [value, label] of [['', 'All deliveries'], ['dead', 'Dead letters'], ['pending', 'Pending'], ['delivered', 'Delivered']]) {
+      const option = el('option', label);
+      option.value = value;
+      logFilter.appendChild(option);
+    }
+    logFilter.addEventListener('change', () => logEndpoint && loadLog(logEndpoint));
+
+    function show(text, ok) {
+      message.textContent = text;
+      message.className = `message ${ok ? 'ok' : 'error'}`;
+    }
+
+    function table(headings, body) {
+      const node = el('table');
+      const head = el('thead');
+      const tr = el('tr');
+      for (const heading of headings) tr.appendChild(el('th', heading));
+      head.appendChild(tr);
+      node.append(head, body);
+      return node;
+    }
+
+    async function load() {
+      const { status, body } = await getJson(base);
+      if (status !== 200) {
+        container.replaceChildren(el('p', body.message || 'Webhooks are not available.', 'muted'));
+        return;
+      }
+      if (!built) build(body.events);
+      renderList(body.endpoints);
+    }
+
+    function build(events) {
+      built = true;
+      const form = el('form');
+      const url = el('input');
+      url.type = 'text';
+      url.placeholder = 'https://example.com/questcord-webhook';
+      url.required = true;
+      const boxes = el('div', null, 'scopes');
+      for (const event of events) {
+        const label = el('label');
+        const box = el('input');
+        box.type = 'checkbox';
+        box.value = event.id;
+        box.checked = true;
+        label.append(box, el('span', `${event.id} - ${event.description}`));
+        boxes.appendChild(label);
+      }
+      const submit = el('button', 'Add webhook', 'primary');
+      submit.type = 'submit';
+      form.append(url, boxes, submit);
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const chosen = [...boxes.querySelectorAll('input:checked')].map(box => box.value);
+        submit.disabled = true;
+        const { status, body } = await postJson(base, { url: url.value, events: chosen });
+        submit.disabled = false;
+        if (status !== 201) {
+          secretBox.classList.add('hidden');
+          return show(body.message || 'Could not add the webhook', false);
+        }
+        show(`Added ${body.endpoint.url}.`, true);
+        secretBox.replaceChildren(
+          el('p', 'Signing secret - copy it now, it will not be shown again. Verify X-QuestCord-Signature as sha256=HMAC-SHA256(secret, "<X-QuestCord-Timestamp>.<body>").', 'muted'),
+          el('div', body.secret, 'new-key')
+        );
+        secretBox.classList.remove('hidden');
+        url.value = '';
+        load();
+      });
+
+      container.replaceChildren(
+        form,
+        message,
+        secretBox,
+        table(['URL', 'Events', 'State', 'Queue', 'Last success', ''], list),
+        logTitle,
+        logFilter,
+        table(['When', 'Event', 'Status', 'Attempts', 'Response', ''], logBody)
+      );
+    }
+
+    function renderList(endpoints) {
+      if (!endpoints.length) {
+        const tr = el('tr');
+        const td = el('td', 'No webhooks yet.', 'muted');
+        td.colSpan = 6;
+        tr.appendChild(td);
+        list.replaceChildren(tr);
+        return;
+      }
+      list.replaceChildren(...endpoints.map(endpoint => {
+        const tr = el('tr');
+        const actions = el('td');
+        actions.append(
+          button('Log', () => loadLog(endpoint)),
+          button(endpoint.enabled ? 'Pause' : 'Resume', async () => {
+            const { status, body } = await postJson(`${base}/${endpoint.id}`, { enabled: !endpoint.enabled });
+            if (status !== 200) return show(body.message || 'Could not update the webhook', false);
+            load();
+          }),
+          button('Delete', async () => {
+            if (!confirm(`Delete the webhook for ${endpoint.url}? Its delivery log is deleted too.`)) return;
+            const { status, body } = await postJson(`${base}/${endpoint.id}/delete`, {});
+            if (status !== 200) return show(body.message || 'Could not delete the webhook', false);
+            if (logEndpoint?.id === endpoint.id) {
+              logEndpoint = null;
+              logTitle.classList.add('hidden');
+              logFilter.classList.add('hidden');
+              logBody.replaceChildren();
+            }
+            load();
+          })
+        );
+        tr.append(
+          el('td', endpoint.url),
+          el('td', endpoint.events.join(', ')),
+          el('td', endpoint.enabled ? '🟢 On' : '⏸️ Paused'),
+          el('td', `${endpoint.pending} pending, ${endpoint.dead} dead`),
+          el('td', when(endpoint.lastSuccessAt)),
+          actions
+        );
+        return tr;
+      }));
+    }
+
+    async function loadLog(endpoint) {
+      logEndpoint = endpoint;
+      const filter = logFilter.value ? `?status=${logFilter.value}` : '';
+      const { status, body } = await getJson(`${base}/${endpoint.id}/deliveries${filter}`);
+      if (status !== 200) return show(body.message || 'Could not load the delivery log', false);
+      logTitle.textContent = `Delivery log - ${endpoint.url}`;
+      logTitle.classList.remove('hidden');
+      logFilter.classList.remove('hidden');
+      if (!body.deliveries.length) {
+        const tr = el('tr');
+        const td = el('td', 'No deliveries.', 'muted');
+        td.colSpan = 6;
+        tr.appendChild(td);
+        logBody.replaceChildren(tr);
+        return;
+      }
+      logBody.replaceChildren(...body.deliveries.map(delivery => {
+        const tr = el('tr');
+        const action = el('td');
+        if (delivery.status !== 'pending') {
+          action.appendChild(button('Redeliver', async () => {
+            const { status, body } = await postJson(`${base}/deliveries/${delivery.id}/redeliver`, {});
+            if (status !== 200) return show(body.message || 'Could not redeliver', false);
+            show('Queued for delivery.', true);
+            loadLog(endpoint);
+            load();
+          }));
+        }
+        const response = delivery.lastError || (delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : '-');
+        const statusText = delivery.status === 'pending' && delivery.attempts
+          ? `${STATUS_LABELS.pending} (retry ${when(delivery.nextAttemptAt)})`
+          : STATUS_LABELS[delivery.status] || delivery.status;
+        tr.append(
+          el('td', when(delivery.createdAt)),
+          el('td', delivery.event),
+          el('td', statusText),
+          el('td', String(delivery.attempts)),
+          el('td', response),
+          action
+        );
+        return tr;
+      }));
+    }
+
+    load();
+  }
+
+  window.QuestCordWebhooks = { mount };
+})();